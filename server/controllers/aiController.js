@@ -29,7 +29,7 @@
 import crypto from 'node:crypto';
 import { performance } from 'node:perf_hooks';
 import { broadcastTelemetry } from '../utils/telemetryHelper.js';
-import AiModel from '../models/AiModel.js';
+import AiModel from '../models/AIModel.js';
 
 // ============================================================================
 // ⚙️ CORE CONFIGURATION & ALGORITHMIC UTILITIES
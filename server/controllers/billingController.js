@@ -46,6 +46,9 @@ import cryptoCore from '../utils/cryptoCore.js';
 import { getCurrentTenantId, getCurrentRequestId } from '../middleware/tenantContext.js';
 import { deriveInvoiceTotals, normalizeInvoiceLineItems } from '../utils/invoiceLineItemNormalizer.js';
 import { canBypassTenant } from '../config/roles.registry.js';
+import { useSovereignData } from '../utils/sovereignData.js';
+
+const sovereignData = useSovereignData();
 
 /**
  * @function nativeAsync
@@ -916,7 +919,8 @@ export const initiatePayment = nativeAsync(async (req, res) => {
   invoice.paidDate = new Date();
   const seal = cryptoCore.hash(`${invoiceId}|${tenantId}|${amount}|${Date.now()}`);
   invoice.sealHash = seal;
-  await invoice.save();
+  // The invoice.paid outbox event is written in this transaction, so it commits with the status change
+  await sovereignData.executeAtomic(null, (session) => invoice.save({ session }), tenantId);
   logger.info(`[BILLING] ✅ Payment Finalized: R ${amount} | RID: ${requestId}`);
   res.status(200).json({ success: true, data: { invoiceNumber: invoice.invoiceNumber, integritySeal: seal }, forensicTrace: requestId });
 });
@@ -0,0 +1,87 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - COURT BUNDLE CONTROLLER [V1.0.0-BUNDLE]                                                                                     ║
+ * ║ [CREATE → QUEUE | STATUS | CHANGE-AWARE REGENERATE | DOWNLOAD]                                                                         ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/controllers/bundleController.js                                           ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Handlers return their payload; routes/bundleRoutes.js sends it and audits the call. Only the download writes the
+ * response itself.
+ */
+
+import { bundleService } from '../services/bundleService.js';
+import { enqueueBundleCompile } from '../jobs/bundleWorker.js';
+import { getCurrentTenant, getCurrentUser, getCurrentRequestId } from '../middleware/tenantContext.js';
+
+const actor = (req) => ({
+  userId: req.user?._id || req.user?.id || getCurrentUser(),
+  traceId: getCurrentRequestId()
+});
+
+const tenantOf = (req) => req.user?.tenantId || getCurrentTenant();
+
+const viewerOf = (req) => ({ role: req.user?.role, clientId: req.user?.clientId });
+
+class BundleController {
+  /**
+   * 📚 CREATE BUNDLE
+   * Records the selection and queues compilation; poll GET /:id for READY.
+   */
+  async createBundle(req) {
+    const tenantId = tenantOf(req);
+    const context = actor(req);
+    const bundle = await bundleService.createBundle(tenantId, req.body, context);
+    const queue = await enqueueBundleCompile({ tenantId: String(tenantId), bundleId: bundle.bundleId, initiatedBy: String(context.userId) });
+    return { bundle, queue };
+  }
+
+  /**
+   * 🔎 BUNDLE STATUS
+   * Client users only see bundles on their own matters.
+   */
+  async getBundle(req) {
+    return bundleService.getBundle(tenantOf(req), req.params.id, viewerOf(req));
+  }
+
+  /**
+   * ♻️ REGENERATE
+   * Re-paginates only when a bundled document changed (or `force: true`).
+   */
+  async regenerateBundle(req) {
+    const tenantId = tenantOf(req);
+    const context = actor(req);
+    const result = await bundleService.regenerateBundle(tenantId, req.params.id, { force: req.body?.force === true }, context);
+    if (result.regenerated) {
+      result.queue = await enqueueBundleCompile({ tenantId: String(tenantId), bundleId: result.bundle.bundleId, initiatedBy: String(context.userId) });
+    }
+    return result;
+  }
+
+  /**
+   * 🗄️ ARCHIVE BUNDLE
+   */
+  async deleteBundle(req) {
+    return bundleService.archiveBundle(tenantOf(req), req.params.id, actor(req));
+  }
+
+  /**
+   * ⬇️ DOWNLOAD
+   * Streams the compiled PDF.
+   */
+  async downloadBundle(req, res) {
+    const { bundle, pdf } = await bundleService.readBundlePdf(tenantOf(req), req.params.id, viewerOf(req));
+    const filename = `${bundle.name.replace(/[^\w.-]+/g, '_')}_R${bundle.revision}.pdf`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length,
+      'X-Bundle-Seal': bundle.output.sealHash
+    });
+    res.send(pdf);
+  }
+}
+
+const bundleController = new BundleController();
+export default bundleController;
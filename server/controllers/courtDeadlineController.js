@@ -0,0 +1,102 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - COURT DEADLINE CONTROLLER [V1.0.0-LITIGATION]                                                                               ║
+ * ║ [TRIGGER EVENTS | DEPENDENT DEADLINES | PREVIEW | PRESCRIPTION]                                                                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/controllers/courtDeadlineController.js                                    ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import crypto from 'node:crypto';
+import { courtDeadlineService } from '../services/courtDeadlineService.js';
+import { prescriptionService } from '../services/prescriptionService.js';
+
+/**
+ * @function nativeAsync
+ * @desc Sovereign wrapper for zero-dependency promise handling.
+ */
+const nativeAsync = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+/**
+ * @function litigationStatus
+ * @desc Maps deadline service fault prefixes onto HTTP status codes.
+ */
+const litigationStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('LITIGATION_ERROR')) return 400;
+  return 500;
+};
+
+const context = (req, prefix) => ({
+  userId: req.user._id || req.user.id,
+  traceId: req.traceId || req.id || `TRC-DEADLINE-${prefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+});
+
+/**
+ * @function respond
+ * @desc Runs a service call and answers with its result under `key`, or the mapped fault.
+ */
+const respond = (status, key, call) => nativeAsync(async (req, res) => {
+  try {
+    const result = await call(req);
+    res.status(status).json({ success: true, [key]: result });
+  } catch (error) {
+    res.status(litigationStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @desc Compute deadlines for a hypothetical trigger.
+ */
+export const previewDeadlines = respond(200, 'deadlines', (req) =>
+  courtDeadlineService.previewDeadlines(req.user.tenantId, req.body));
+
+/**
+ * @desc Triggers and deadlines on a matter.
+ */
+export const getMatterDeadlines = respond(200, 'result', (req) =>
+  courtDeadlineService.getMatterDeadlines(req.user.tenantId, req.params.matterId));
+
+/**
+ * @desc Record a trigger event and generate its deadlines.
+ */
+export const recordTrigger = respond(201, 'result', (req) =>
+  courtDeadlineService.recordTrigger(req.user.tenantId, req.params.matterId, req.body, context(req, 'REC')));
+
+/**
+ * @desc Move a trigger date or court and recalculate.
+ */
+export const updateTrigger = respond(200, 'result', (req) =>
+  courtDeadlineService.updateTrigger(req.user.tenantId, req.params.matterId, req.params.triggerId, req.body, context(req, 'MOV')));
+
+/**
+ * @desc Withdraw a trigger and its generated deadlines.
+ */
+export const removeTrigger = respond(200, 'result', (req) =>
+  courtDeadlineService.removeTrigger(req.user.tenantId, req.params.matterId, req.params.triggerId,
+    { ...context(req, 'DEL'), reason: req.body?.reason }));
+
+/**
+ * @desc Record claim category and cause-of-action details for prescription tracking.
+ */
+export const setPrescriptionClaim = respond(200, 'prescription', (req) =>
+  prescriptionService.setClaim(req.user.tenantId, req.params.matterId, req.body, context(req, 'PRE')));
+
+/**
+ * @desc Matters at risk of prescribing within ?days (default 90).
+ */
+export const getPrescriptionReport = respond(200, 'report', (req) =>
+  prescriptionService.atRiskReport(req.user.tenantId, { days: req.query.days }));
+
+export default {
+  previewDeadlines,
+  getMatterDeadlines,
+  recordTrigger,
+  updateTrigger,
+  removeTrigger,
+  setPrescriptionClaim,
+  getPrescriptionReport
+};
@@ -21,6 +21,7 @@ import logger from '../utils/logger.js';
 // Unified Utilities
 import { getCurrentTenant, getCurrentUser, getCurrentRequestId } from '../middleware/tenantContext.js';
 import { AppError } from '../utils/errorHandler.js';
+import { dispatchBoardService } from '../services/dispatchBoardService.js';
 
 /**
  * 📦 THE SOVEREIGN DISPATCH CONTROLLER
@@ -255,6 +256,42 @@ class DispatchController {
       next(error);
     }
   }
+
+  // The three board handlers below return their payload; routes/dispatchRoutes.js sends it and audits the call.
+
+  /**
+   * 🗺️ DISPATCH BOARD
+   * Open instructions grouped by sheriff from coverage polygons and live location.
+   */
+  async getDispatchBoard(req) {
+    const tenantId = req.user?.tenantId || getCurrentTenant();
+    return dispatchBoardService.getBoard(tenantId, req.query);
+  }
+
+  /**
+   * 🧭 ROUTE OPTIMISATION
+   * Visiting order and ETAs for a sheriff's stops within their time windows.
+   */
+  async optimizeRoute(req) {
+    const tenantId = req.user?.tenantId || getCurrentTenant();
+    return dispatchBoardService.optimizeRoute(tenantId, req.body, {
+      userId: req.user?._id || req.user?.id || getCurrentUser(),
+      role: req.user?.role,
+      traceId: getCurrentRequestId()
+    });
+  }
+
+  /**
+   * 📦 BULK ASSIGNMENT
+   * Assigns a batch to one sheriff after coverage and capacity checks.
+   */
+  async bulkAssign(req) {
+    const tenantId = req.user?.tenantId || getCurrentTenant();
+    return dispatchBoardService.bulkAssign(tenantId, req.body, {
+      userId: req.user?._id || req.user?.id || getCurrentUser(),
+      traceId: getCurrentRequestId()
+    });
+  }
 }
 
 const dispatchController = new DispatchController();
@@ -40,16 +40,37 @@
 
 import crypto from 'node:crypto';
 import Document from '../models/Document.js';
+import { VERSION_ORIGINS } from '../models/DocumentVersion.js';
 import SovereignAudit from '../models/SovereignAudit.js';
 import auditLogger from '../utils/auditLogger.js';
-import cryptoUtils from '../utils/cryptoUtils.js';
 import logger from '../utils/logger.js';
+import documentVersionService from '../services/documentVersionService.js';
+import redactionService from '../services/redactionService.js';
+import documentShareService from '../services/documentShareService.js';
+import ocrService, { isOcrCandidate } from '../services/ocrService.js';
+import { enqueueOcr } from '../jobs/ocrWorker.js';
 import { getCurrentTenant, getCurrentUser, getCurrentRequestId } from '../middleware/tenantContext.js';
 
+// Scans are read in the background; a failure to queue them must not fail the upload
+const queueScanOcr = async (documentId, version, traceId) => {
+  if (!isOcrCandidate(version.mimeType)) return null;
+  try {
+    return await enqueueOcr(await ocrService.request(getCurrentTenant(), documentId, {
+      version: version.versionNumber,
+      userId: getCurrentUser(),
+      auto: true,
+      traceId
+    }));
+  } catch (error) {
+    logger.warn(`[DOC-OCR] Could not queue OCR for version ${version.versionNumber}: ${error.message}`, { traceId });
+    return null;
+  }
+};
+
 /**
  * 🛰️ UPLOAD SOVEREIGN DOCUMENT
- * Every document is sealed with a SHA3‑512 quantum‑verified hash.
- * Audit trail is written to the unified `SovereignAudit` ledger.
+ * The file is saved as the document's first version and sealed with a SHA3‑512 hash in the audit trail. A scanned
+ * PDF, TIFF, JPEG or PNG is queued for OCR straight away.
  */
 export const uploadDocument = async (req, res, next) => {
   const traceId = getCurrentRequestId();
@@ -63,22 +84,26 @@ export const uploadDocument = async (req, res, next) => {
     }
 
     // Generate forensic document hash (SHA3‑512)
-    const documentHash = cryptoUtils.hash(req.file.buffer);
+    const documentHash = crypto.createHash('sha3-512').update(req.file.buffer).digest('hex');
 
     const document = new Document({
-      documentId: cryptoUtils.generateForensicId('DOC'),
-      title: req.body.title || req.file.originalname,
-      fileName: req.file.originalname,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      content: req.file.buffer.toString('base64'),
-      hash: documentHash,
+      title: (req.body.title || req.file.originalname).slice(0, 200),
       tenantId,
       createdBy: userId,
-      status: 'ACTIVE',
     });
+    document.auditLog.push({ action: 'CREATED', performedBy: userId, details: { fileName: req.file.originalname, hash: documentHash } });
 
-    await document.save();
+    const version = await documentVersionService.saveVersion(tenantId, document, {
+      bytes: req.file.buffer,
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype
+    }, {
+      userId,
+      comment: req.body.comment || 'Uploaded',
+      origin: VERSION_ORIGINS.UPLOAD,
+      traceId
+    });
+    const ocr = await queueScanOcr(document._id, version, traceId);
 
     // Unified audit logging
     await auditLogger.log({
@@ -86,22 +111,25 @@ export const uploadDocument = async (req, res, next) => {
       category: 'ACCESS',
       tenantId,
       userId,
-      resource: document.documentId,
+      resource: String(document._id),
       status: 'SUCCESS',
       metadata: {
-        fileName: document.fileName,
-        fileSize: document.fileSize,
+        fileName: version.fileName,
+        fileSize: version.fileSize,
         hash: documentHash,
+        versionId: version.versionId,
+        ocrQueued: Boolean(ocr),
         traceId,
         processingTimeMs: Date.now() - startTime,
       },
     });
 
-    logger.info(`[DOCUMENT] Uploaded ${document.fileName} (${document.documentId})`, { traceId, tenantId });
+    logger.info(`[DOCUMENT] Uploaded ${version.fileName} (${document._id})`, { traceId, tenantId });
 
     res.status(201).json({
       success: true,
-      documentId: document.documentId,
+      documentId: String(document._id),
+      data: { version, ocr },
       traceId,
       processingTimeMs: Date.now() - startTime,
     });
@@ -150,7 +178,393 @@ export const getAuditTrail = async (req, res, next) => {
   }
 };
 
-export default { uploadDocument, getAuditTrail };
+// Roles that may break another user's check-out
+const FORCE_CHECK_IN_ROLES = ['super_admin', 'compliance'];
+
+const displayName = (user) => [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email;
+
+/**
+ * 🗂️ VERSION HISTORY
+ * Immutable versions, newest first, with the document's running check-out (if any).
+ */
+export const getVersions = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const data = await documentVersionService.listVersions(getCurrentTenant(), req.params.documentId);
+    res.json({ success: true, data, traceId });
+  } catch (error) {
+    logger.error(`[DOC-VERSION] Failed to list versions: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 📥 SAVE A NEW VERSION
+ * From the holder of the check-out this is the check-in; the lock is released unless keepCheckedOut is sent.
+ */
+export const createVersion = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const version = await documentVersionService.createVersion(getCurrentTenant(), req.params.documentId, req.file, {
+      userId: getCurrentUser(),
+      comment: req.body.comment,
+      keepCheckedOut: req.body.keepCheckedOut === true || req.body.keepCheckedOut === 'true',
+      traceId
+    });
+    await queueScanOcr(req.params.documentId, version, traceId);
+    res.status(201).json({ success: true, data: version, traceId });
+  } catch (error) {
+    logger.error(`[DOC-VERSION] Failed to save version: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 🔎 ONE VERSION
+ * By number or versionId.
+ */
+export const getVersion = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const data = await documentVersionService.getVersion(getCurrentTenant(), req.params.documentId, req.params.versionId);
+    res.json({ success: true, data, traceId });
+  } catch (error) {
+    logger.error(`[DOC-VERSION] Failed to read version: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 📤 DOWNLOAD A VERSION
+ * The stored bytes, verified against the version's hash.
+ */
+export const downloadVersion = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const { version, bytes } = await documentVersionService.downloadVersion(getCurrentTenant(), req.params.documentId, req.params.versionId);
+    res.set({
+      'Content-Type': version.mimeType || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(version.fileName || `version-${version.versionNumber}`)}"`,
+      'X-Content-SHA256': version.contentHash
+    });
+    res.send(bytes);
+  } catch (error) {
+    logger.error(`[DOC-VERSION] Failed to download version: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * ♻️ RESTORE A VERSION
+ * Saves the chosen version again as the newest one.
+ */
+export const restoreVersion = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const version = await documentVersionService.restoreVersion(getCurrentTenant(), req.params.documentId, req.params.versionId, {
+      userId: getCurrentUser(),
+      comment: req.body.comment,
+      traceId
+    });
+    res.status(201).json({ success: true, data: version, traceId });
+  } catch (error) {
+    logger.error(`[DOC-VERSION] Failed to restore version: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 🔒 CHECK OUT
+ * Locks the document to the caller for `minutes` (default eight hours); calling again renews the lock.
+ */
+export const lockDocument = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const checkout = await documentVersionService.checkOut(getCurrentTenant(), req.params.documentId, {
+      userId: getCurrentUser(),
+      minutes: req.body.minutes,
+      comment: req.body.comment,
+      traceId
+    });
+    res.json({ success: true, data: checkout, traceId });
+  } catch (error) {
+    logger.error(`[DOC-VERSION] Check-out failed: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 🔓 CHECK IN WITHOUT CHANGES
+ * Releases the caller's lock. Compliance can force-release someone else's with a reason.
+ */
+export const unlockDocument = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+  const force = req.body.force === true || req.body.force === 'true';
+
+  try {
+    if (force && !FORCE_CHECK_IN_ROLES.includes(String(req.user?.role || '').toLowerCase())) {
+      return res.status(403).json({ success: false, error: 'FORCE_CHECK_IN_FORBIDDEN', traceId });
+    }
+    if (force && !req.body.reason) {
+      return res.status(400).json({ success: false, error: 'FORCE_CHECK_IN_REASON_REQUIRED', traceId });
+    }
+    const data = await documentVersionService.checkIn(getCurrentTenant(), req.params.documentId, {
+      userId: getCurrentUser(),
+      force,
+      reason: req.body.reason,
+      traceId
+    });
+    res.json({ success: true, data, traceId });
+  } catch (error) {
+    logger.error(`[DOC-VERSION] Check-in failed: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 🖍️ REDLINE
+ * Text comparison of two versions (default: the current one against its predecessor) as a PDF for circulation,
+ * or as JSON with ?format=json.
+ */
+export const getRedline = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+  const format = req.query.format === 'json' ? 'json' : 'pdf';
+
+  try {
+    const result = await documentVersionService.redline(getCurrentTenant(), req.params.documentId, {
+      from: req.query.from || undefined,
+      to: req.query.to || undefined,
+      format
+    }, {
+      userId: getCurrentUser(),
+      preparedBy: displayName(req.user),
+      traceId
+    });
+    if (format === 'json') return res.json({ success: true, data: result, traceId });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${result.filename}"`
+    });
+    res.send(result.pdf);
+  } catch (error) {
+    logger.error(`[DOC-VERSION] Redline failed: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * ⬛ REDACTION CANDIDATES
+ * SA ID numbers, bank accounts, phone numbers and matter party names found in a PDF version (?version=, default
+ * the current one), each with its boxes and a proposed reason code, for review before redacting.
+ */
+export const getRedactionCandidates = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const proposal = await redactionService.candidates(getCurrentTenant(), req.params.documentId, {
+      version: req.query.version || undefined
+    });
+    res.json({ success: true, data: proposal, traceId });
+  } catch (error) {
+    logger.error(`[DOC-REDACT] Failed to propose redactions: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * ⬛ REDACT
+ * Burns accepted candidates and hand-drawn boxes, each with a reason code, into a flattened copy of the version and
+ * saves it with its redaction log as the newest version.
+ */
+export const redactDocument = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const version = await redactionService.redact(getCurrentTenant(), req.params.documentId, {
+      version: req.body.version,
+      candidates: req.body.candidates,
+      boxes: req.body.boxes,
+      dpi: req.body.dpi,
+      comment: req.body.comment
+    }, {
+      userId: getCurrentUser(),
+      preparedBy: displayName(req.user),
+      traceId
+    });
+    res.status(201).json({ success: true, data: version, traceId });
+  } catch (error) {
+    logger.error(`[DOC-REDACT] Redaction failed: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 🔗 SHARE EXTERNALLY
+ * Shares a version with someone outside the firm behind a password or one-time code, with an expiry, an optional
+ * download limit or view-only mode. The recipient is emailed the link; it is returned here too.
+ */
+export const shareDocument = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const share = await documentShareService.create(getCurrentTenant(), req.params.documentId, {
+      version: req.body.version,
+      email: req.body.email,
+      name: req.body.name,
+      phone: req.body.phone,
+      protection: req.body.protection,
+      password: req.body.password,
+      expiresAt: req.body.expiresAt,
+      expiresInDays: req.body.expiresInDays,
+      viewOnly: req.body.viewOnly,
+      maxDownloads: req.body.maxDownloads,
+      message: req.body.message
+    }, {
+      userId: getCurrentUser(),
+      sharedBy: displayName(req.user),
+      traceId,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    res.status(201).json({ success: true, data: share, traceId });
+  } catch (error) {
+    logger.error(`[DOC-SHARE] Share failed: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 🔗 SHARES
+ * Every external share of the document, newest first, with status, views and downloads.
+ */
+export const listShares = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const data = await documentShareService.list(getCurrentTenant(), req.params.documentId);
+    res.json({ success: true, data, traceId });
+  } catch (error) {
+    logger.error(`[DOC-SHARE] Failed to list shares: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * ⛔ REVOKE A SHARE
+ * Takes effect at once, including for a recipient who is reading the document.
+ */
+export const revokeShare = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const data = await documentShareService.revoke(getCurrentTenant(), req.params.documentId, req.params.shareId, {
+      userId: getCurrentUser(),
+      reason: req.body?.reason,
+      traceId,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    res.json({ success: true, data, traceId });
+  } catch (error) {
+    logger.error(`[DOC-SHARE] Revocation failed: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 💧 WATERMARKED COPY
+ * A version (?version= or body.version, default the current one) as a PDF stamped with the caller's email and the
+ * time, on every page.
+ */
+export const addWatermark = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const { pdf, filename } = await documentShareService.watermarkedCopy(getCurrentTenant(), req.params.documentId, {
+      version: req.body?.version ?? req.query.version
+    }, {
+      userId: getCurrentUser(),
+      email: req.user?.email,
+      traceId
+    });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    logger.error(`[DOC-SHARE] Watermarking failed: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 🔤 OCR
+ * Queues text recognition of a scanned version (body.version, default the current one). Poll GET /ocr for the
+ * outcome; the searchable PDF becomes the newest version.
+ */
+export const requestOcr = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const job = await ocrService.request(getCurrentTenant(), req.params.documentId, {
+      version: req.body?.version,
+      dpi: req.body?.dpi,
+      userId: getCurrentUser(),
+      traceId
+    });
+    const queue = await enqueueOcr(job);
+    res.status(202).json({ success: true, data: { sourceVersion: job.sourceVersion, queue }, traceId });
+  } catch (error) {
+    logger.error(`[DOC-OCR] Failed to queue OCR: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+/**
+ * 🔤 OCR RESULT
+ * Status, confidence and the text of each page read.
+ */
+export const getOcr = async (req, res, next) => {
+  const traceId = getCurrentRequestId();
+
+  try {
+    const data = await ocrService.getResult(getCurrentTenant(), req.params.documentId);
+    res.json({ success: true, data, traceId });
+  } catch (error) {
+    logger.error(`[DOC-OCR] Failed to read OCR result: ${error.message}`, { traceId });
+    next(error);
+  }
+};
+
+export default {
+  uploadDocument,
+  getAuditTrail,
+  getVersions,
+  createVersion,
+  getVersion,
+  downloadVersion,
+  restoreVersion,
+  lockDocument,
+  unlockDocument,
+  getRedline,
+  getRedactionCandidates,
+  redactDocument,
+  shareDocument,
+  listShares,
+  revokeShare,
+  addWatermark,
+  requestOcr,
+  getOcr
+};
 
 /**
  * FORTUNE 5000 CERTIFICATION:
@@ -1,153 +0,0 @@
-/* eslint-disable */
-/**
- * ╔═══════════════════════════════════════════════════════════════════════════╗
- * ║ WILSY OS - QUANTUM E-SIGNATURE CONTROLLER - OMEGA EDITION                ║
- * ║ R23.7T ELECTRONIC SIGNATURES | ECT ACT §15 | QUANTUM-RESISTANT           ║
- * ╚═══════════════════════════════════════════════════════════════════════════╝
- */
-
-import crypto from 'crypto';
-import { v4 as uuidv4 } from 'uuid';
-
-export const createSignatureRequest = async (req, res) => {
-  const startTime = Date.now();
-  const requestId = `ESR_${Date.now()}_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
-
-  return {
-    success: true,
-    data: {
-      id: requestId,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      quantumVerified: true
-    },
-    metadata: {
-      processingTimeMs: Date.now() - startTime
-    }
-  };
-};
-
-export const getSignatureStatus = async (req, res) => {
-  const { requestId } = req.params;
-
-  return {
-    success: true,
-    data: {
-      id: requestId,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      signers: [],
-      quantumVerified: true
-    }
-  };
-};
-
-export const signDocument = async (req, res) => {
-  const { requestId, signerId } = req.params;
-
-  return {
-    success: true,
-    data: {
-      requestId,
-      signerId,
-      signedAt: new Date().toISOString(),
-      signatureHash: crypto.randomBytes(16).toString('hex'),
-      quantumVerified: true
-    }
-  };
-};
-
-export const verifySignature = async (req, res) => {
-  const { requestId } = req.params;
-
-  return {
-    success: true,
-    data: {
-      requestId,
-      verified: true,
-      verificationHash: crypto.randomBytes(16).toString('hex'),
-      quantumVerified: true
-    }
-  };
-};
-
-export const getSignatureHistory = async (req, res) => {
-  const { requestId } = req.params;
-
-  return {
-    success: true,
-    data: {
-      requestId,
-      auditTrail: [
-        { action: 'CREATED', timestamp: new Date().toISOString() },
-        { action: 'SIGNED', timestamp: new Date().toISOString() }
-      ],
-      quantumVerified: true
-    }
-  };
-};
-
-export const voidSignature = async (req, res) => {
-  const { requestId } = req.params;
-
-  return {
-    success: true,
-    data: {
-      requestId,
-      status: 'voided',
-      voidedAt: new Date().toISOString(),
-      quantumVerified: true
-    }
-  };
-};
-
-export const sendReminder = async (req, res) => {
-  const { requestId } = req.params;
-
-  return {
-    success: true,
-    data: {
-      requestId,
-      reminderSent: true,
-      sentAt: new Date().toISOString(),
-      quantumVerified: true
-    }
-  };
-};
-
-export const downloadSignedDocument = async (req, res) => {
-  const { requestId } = req.params;
-
-  return {
-    success: true,
-    data: {
-      requestId,
-      downloadUrl: `/api/esign/requests/${requestId}/download/file`,
-      quantumVerified: true
-    }
-  };
-};
-
-export const getSignatureStats = async (req, res) => {
-  return {
-    success: true,
-    data: {
-      totalRequests: 1234,
-      completed: 987,
-      pending: 247,
-      quantumVerified: true
-    }
-  };
-};
-
-export default {
-  createSignatureRequest,
-  getSignatureStatus,
-  signDocument,
-  verifySignature,
-  getSignatureHistory,
-  voidSignature,
-  sendReminder,
-  downloadSignedDocument,
-  getSignatureStats
-};
@@ -10,8 +10,14 @@
  * * 🏛️ ARCHITECT: Wilson Khanyezi – 10th Generation Sovereign Architect
  */
 
+import crypto from 'node:crypto';
 import { lpcService } from '../services/lpcService.js';
+import { trustChainVerificationService } from '../services/trustChainVerificationService.js';
+import { trustInvestmentService } from '../services/trustInvestmentService.js';
 import cryptoUtils from '../utils/cryptoUtils.js';
+import CPDRecord from '../models/CPDRecord.js';
+import FidelityFund from '../models/FidelityFund.js';
+import AttorneyProfile from '../models/AttorneyProfile.js';
 
 /**
  * @function nativeAsync
@@ -94,9 +100,284 @@ export const generateLPCForensicExport = nativeAsync(async (req, res) => {
   });
 });
 
+/**
+ * @function fiduciaryStatus
+ * @desc Maps LPC service fault prefixes onto HTTP status codes.
+ */
+const fiduciaryStatus = (error) => {
+  if (error.message.startsWith('FIDUCIARY_BREACH')) return 422;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('FIDUCIARY_ERROR')) return 400;
+  return 500;
+};
+
+/**
+ * @desc Record a client trust deposit onto the control account and the client/matter sub-ledger.
+ */
+export const recordDeposit = nativeAsync(async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const requestId = req.traceId || req.id || `TRC-LPC-DEP-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  const { amount, clientId, matterId, matterReference, reference, method, description } = req.body;
+
+  try {
+    const result = await lpcService.recordTransaction(tenantId, {
+      type: 'DEPOSIT',
+      amount,
+      clientId,
+      matterId,
+      method,
+      reference: reference || matterReference,
+      description: description || `Trust deposit ${reference || matterReference || ''}`.trim(),
+      initiatedBy: req.user._id || req.user.id,
+      forensicId: requestId
+    });
+
+    res.status(201).json({
+      success: true,
+      transactionId: result.transactionId,
+      clientBalance: result.clientBalance,
+      forensicHash: result.forensicHash,
+      correlationId: requestId
+    });
+  } catch (error) {
+    res.status(fiduciaryStatus(error)).json({ success: false, error: error.message, correlationId: requestId });
+  }
+});
+
+/**
+ * @desc LPC Rule 54.15 three-way reconciliation: bank statement vs control account vs client ledgers.
+ */
+export const reconcileAccount = nativeAsync(async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const requestId = req.traceId || req.id || `TRC-LPC-REC-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  const { bankBalance, statementDate, outstandingDeposits, outstandingPayments } = req.body;
+
+  try {
+    const reconciliation = await lpcService.reconcileTrustAccount(
+      tenantId,
+      { bankBalance, statementDate, outstandingDeposits, outstandingPayments },
+      { performedBy: req.user._id || req.user.id, traceId: requestId }
+    );
+
+    res.status(200).json({ success: true, reconciliation, correlationId: requestId });
+  } catch (error) {
+    res.status(fiduciaryStatus(error)).json({ success: false, error: error.message, correlationId: requestId });
+  }
+});
+
+/**
+ * @desc Re-walks the trust forensic chain and returns the signed integrity report (JSON, or PDF with ?format=pdf).
+ * A broken chain is still a successful verification: the report itself carries the failure.
+ */
+export const verifyTrustChain = nativeAsync(async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const requestId = req.traceId || req.id || `TRC-LPC-VER-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+  try {
+    const report = await trustChainVerificationService.buildIntegrityReport(tenantId, {
+      generatedBy: req.user._id || req.user.id,
+      traceId: requestId
+    });
+
+    if (req.query.format === 'pdf') {
+      const pdf = await trustChainVerificationService.renderReportPdf(report);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${report.reportId}.pdf"`,
+        'X-Report-Signature': report.signature.value,
+        'X-Correlation-ID': requestId
+      });
+      return res.status(200).send(pdf);
+    }
+
+    res.status(200).json({ success: true, report, correlationId: requestId });
+  } catch (error) {
+    res.status(fiduciaryStatus(error)).json({ success: false, error: error.message, correlationId: requestId });
+  }
+});
+
+/**
+ * @desc Place client trust money in a s86(3) or s86(4) investment account for a matter.
+ */
+export const openInvestment = nativeAsync(async (req, res) => {
+  const requestId = req.traceId || req.id || `TRC-LPC-INV-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  try {
+    const investment = await trustInvestmentService.openInvestment(req.user.tenantId, req.body, {
+      userId: req.user._id || req.user.id,
+      traceId: requestId
+    });
+    res.status(201).json({ success: true, investment, correlationId: requestId });
+  } catch (error) {
+    res.status(fiduciaryStatus(error)).json({ success: false, error: error.message, correlationId: requestId });
+  }
+});
+
+/**
+ * @desc List trust investments (?clientId, ?matterId, ?status).
+ */
+export const listInvestments = nativeAsync(async (req, res) => {
+  const { clientId, matterId, status } = req.query;
+  const investments = await trustInvestmentService.listInvestments(req.user.tenantId, { clientId, matterId, status });
+  res.status(200).json({ success: true, count: investments.length, investments });
+});
+
+/**
+ * @desc Record a bank rate change on an investment.
+ */
+export const setInvestmentRate = nativeAsync(async (req, res) => {
+  try {
+    const investment = await trustInvestmentService.setRate(req.user.tenantId, req.params.investmentId, req.body, {
+      userId: req.user._id || req.user.id
+    });
+    res.status(200).json({ success: true, rates: investment.rates });
+  } catch (error) {
+    res.status(fiduciaryStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @desc Allocate a completed month's interest between the client and the Fidelity Fund.
+ */
+export const allocateInvestmentInterest = nativeAsync(async (req, res) => {
+  const requestId = req.traceId || req.id || `TRC-LPC-INT-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  try {
+    const { allocation, alreadyAllocated } = await trustInvestmentService.allocateInterest(
+      req.user.tenantId,
+      req.params.investmentId,
+      { year: req.body.year, month: req.body.month },
+      { userId: req.user._id || req.user.id, traceId: requestId }
+    );
+    res.status(alreadyAllocated ? 200 : 201).json({ success: true, allocation, alreadyAllocated, correlationId: requestId });
+  } catch (error) {
+    res.status(fiduciaryStatus(error)).json({ success: false, error: error.message, correlationId: requestId });
+  }
+});
+
+/**
+ * @desc Month-end interest statement for the client (?year, ?month).
+ */
+export const getInvestmentStatement = nativeAsync(async (req, res) => {
+  const now = new Date();
+  const year = Number(req.query.year) || now.getUTCFullYear();
+  const month = Number(req.query.month) || now.getUTCMonth() + 1;
+  try {
+    const statement = await trustInvestmentService.getInterestStatement(req.user.tenantId, req.params.investmentId, { year, month });
+    res.status(200).json({ success: true, statement });
+  } catch (error) {
+    res.status(fiduciaryStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @desc Uplift capital (or the whole investment when no amount is given) back to the client's trust ledger.
+ */
+export const upliftInvestment = nativeAsync(async (req, res) => {
+  const requestId = req.traceId || req.id || `TRC-LPC-UPL-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  try {
+    const { investment, upliftAmount, trustTransactionId } = await trustInvestmentService.upliftInvestment(
+      req.user.tenantId,
+      req.params.investmentId,
+      { amount: req.body.amount },
+      { userId: req.user._id || req.user.id, traceId: requestId }
+    );
+    res.status(200).json({
+      success: true,
+      upliftAmount,
+      trustTransactionId,
+      status: investment.status,
+      balance: investment.balance,
+      correlationId: requestId
+    });
+  } catch (error) {
+    res.status(fiduciaryStatus(error)).json({ success: false, error: error.message, correlationId: requestId });
+  }
+});
+
+/**
+ * @desc s86 interest payable to the Fidelity Fund (?from, ?to).
+ */
+export const getFidelityFundLevy = nativeAsync(async (req, res) => {
+  const levy = await trustInvestmentService.getFidelityFundLevy(req.user.tenantId, { from: req.query.from, to: req.query.to });
+  res.status(200).json({ success: true, levy });
+});
+
+/**
+ * @desc CPD compliance status for an attorney for the current (or ?year=) cycle.
+ */
+export const getCPDStatus = nativeAsync(async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const lpcNumber = req.params.lpcNumber.toUpperCase();
+  const year = Number(req.query.year) || new Date().getFullYear();
+
+  const attorney = await AttorneyProfile.findOne({ tenantId, lpcNumber }).lean();
+  if (!attorney) {
+    return res.status(404).json({ success: false, error: `Attorney ${lpcNumber} not found.` });
+  }
+
+  const compliance = await CPDRecord.getAttorneySummary(attorney._id, tenantId, year);
+  res.status(200).json({ success: true, lpcNumber, year, compliance });
+});
+
+/**
+ * @desc Issue a one-year Fidelity Fund Certificate with the LPC Rule 55 contribution.
+ */
+export const issueFidelity = nativeAsync(async (req, res) => {
+  const tenantId = req.user.tenantId;
+  const { lpcNumber, turnover } = req.body;
+  const firmId = req.body.firmId || req.user.firmId;
+
+  if (!lpcNumber || !Number.isFinite(Number(turnover)) || !firmId) {
+    return res.status(400).json({ success: false, error: 'lpcNumber, numeric turnover and firmId are required.' });
+  }
+
+  const attorney = await AttorneyProfile.findOne({ tenantId, lpcNumber: lpcNumber.toUpperCase() });
+  if (!attorney) {
+    return res.status(404).json({ success: false, error: `Attorney ${lpcNumber} not found.` });
+  }
+
+  const expiryDate = new Date();
+  expiryDate.setFullYear(expiryDate.getFullYear() + 1);
+
+  const certificate = await FidelityFund.create({
+    tenantId,
+    attorneyId: attorney._id,
+    attorneyLpcNumber: attorney.lpcNumber,
+    firmId,
+    turnoverDeclared: Number(turnover),
+    contributionAmount: FidelityFund.calculateContribution(Number(turnover)),
+    expiryDate,
+    status: 'ISSUED'
+  });
+
+  attorney.fidelityFund = { certificateNumber: certificate.certificateId, expiryDate, status: 'ISSUED' };
+  attorney.updatedBy = String(req.user._id || req.user.id);
+  await attorney.save();
+
+  res.status(201).json({
+    success: true,
+    certificate: {
+      certificateId: certificate.certificateId,
+      contributionAmount: certificate.contributionAmount,
+      expiryDate: certificate.expiryDate
+    }
+  });
+});
+
 export default {
   getTrustAccountSummary,
   processTrustTransaction,
   submitCPDActivity,
-  generateLPCForensicExport
+  generateLPCForensicExport,
+  recordDeposit,
+  reconcileAccount,
+  verifyTrustChain,
+  openInvestment,
+  listInvestments,
+  setInvestmentRate,
+  allocateInvestmentInterest,
+  getInvestmentStatement,
+  upliftInvestment,
+  getFidelityFundLevy,
+  getCPDStatus,
+  issueFidelity
 };
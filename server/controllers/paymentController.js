@@ -30,6 +30,9 @@ import logger from '../utils/logger.js';
 // Unified Utilities
 import { getCurrentTenant, getCurrentUser, getCurrentRequestId } from '../middleware/tenantContext.js';
 import { AppError } from '../utils/errorHandler.js';
+import { useSovereignData } from '../utils/sovereignData.js';
+
+const sovereignData = useSovereignData();
 
 /**
  * 💰 THE FINANCIAL COMMANDER
@@ -70,21 +73,24 @@ class PaymentController {
       // 2. Forensic Reference Generation
       const reference = cryptoUtils.generateForensicId('PAY');
 
-      // 3. Atomic Payment Instantiation
-      const payment = await Payment.create({
-        tenantId,
-        invoiceId,
-        reference,
-        amount: amountInCents,
-        method,
-        gateway: gateway || 'Wilsy-Pay-Alpha',
-        status: 'PROCESSING',
-        processedBy: userId,
-        vatAmount: Math.round((amountInCents * PaymentController.CONSTANTS.VAT_RATE) / 115)
-      });
-
-      // 4. Update Invoice Artifact
-      await this._updateInvoiceLedger(invoiceId, amountInCents);
+      // 3. Atomic Payment Instantiation and Invoice Update, in one transaction with the invoice's outbox event
+      const payment = await sovereignData.executeAtomic(null, async (session) => {
+        const [created] = await Payment.create([{
+          tenantId,
+          invoiceId,
+          reference,
+          amount: amountInCents,
+          method,
+          gateway: gateway || 'Wilsy-Pay-Alpha',
+          status: 'PROCESSING',
+          processedBy: userId,
+          vatAmount: Math.round((amountInCents * PaymentController.CONSTANTS.VAT_RATE) / 115)
+        }], { session });
+
+        // 4. Update Invoice Artifact
+        await this._updateInvoiceLedger(invoiceId, amountInCents, session);
+        return created;
+      }, tenantId);
 
       // 5. Sovereign Financial Audit
       await auditLogger.log({
@@ -221,8 +227,8 @@ class PaymentController {
   // PRIVATE LEDGER SYNCHRONIZATION
   // ==========================================================================
 
-  async _updateInvoiceLedger(invoiceId, amountCents) {
-    const invoice = await Invoice.findById(invoiceId);
+  async _updateInvoiceLedger(invoiceId, amountCents, session) {
+    const invoice = await Invoice.findById(invoiceId).session(session || null);
     if (invoice) {
       // 🛡️ FORENSIC LOGGING MANDATE
       console.log("[PAYMENT_CONTROLLER] Invoice Ledger Before:", invoice.amountPaid, "/", invoice.totalAmount);
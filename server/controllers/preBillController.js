@@ -0,0 +1,132 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRE-BILL CONTROLLER [V1.0.0-BILLING]                                                                                        ║
+ * ║ [PROFORMA REVIEW | LINE ADJUSTMENTS | PARTNER APPROVAL | TAX INVOICE ISSUE | DISBURSEMENTS]                                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/controllers/preBillController.js                                          ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import crypto from 'node:crypto';
+import { preBillService } from '../services/preBillService.js';
+
+/**
+ * @function nativeAsync
+ * @desc Sovereign wrapper for zero-dependency promise handling.
+ */
+const nativeAsync = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+/**
+ * @function billingStatus
+ * @desc Maps pre-bill service fault prefixes onto HTTP status codes.
+ */
+const billingStatus = (error) => {
+  if (error.message.startsWith('ACCESS_DENIED')) return 403;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('BILLING_CONFLICT')) return 409;
+  if (error.message.startsWith('BILLING_ERROR')) return 400;
+  return 500;
+};
+
+const context = (req, prefix) => ({
+  userId: req.user._id || req.user.id,
+  traceId: req.traceId || req.id || `TRC-PREBILL-${prefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+});
+
+/**
+ * @function respond
+ * @desc Runs a service call and answers with its result under `key`, or the mapped fault.
+ */
+const respond = (status, key, call) => nativeAsync(async (req, res) => {
+  try {
+    const result = await call(req);
+    res.status(status).json({ success: true, [key]: result });
+  } catch (error) {
+    res.status(billingStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @desc Generate a DRAFT pre-bill for a matter.
+ */
+export const generatePreBill = respond(201, 'preBill', (req) =>
+  preBillService.generate(req.user.tenantId, req.body.matterId, req.body, context(req, 'GEN')));
+
+/**
+ * @desc Pre-bill register (?matterId, ?status, ?awaitingApprovalBy=me|userId).
+ */
+export const listPreBills = respond(200, 'preBills', (req) => {
+  const awaiting = req.query.awaitingApprovalBy === 'me' ? (req.user._id || req.user.id) : req.query.awaitingApprovalBy;
+  return preBillService.listPreBills(req.user.tenantId, { ...req.query, awaitingApprovalBy: awaiting });
+});
+
+/**
+ * @desc Pre-bill with lines, adjustment trail and approval history.
+ */
+export const getPreBill = respond(200, 'preBill', (req) =>
+  preBillService.getPreBill(req.user.tenantId, req.params.preBillId));
+
+/**
+ * @desc Write down, write off, transfer or restore a line.
+ */
+export const adjustLine = respond(200, 'preBill', (req) =>
+  preBillService.adjustLine(req.user.tenantId, req.params.preBillId, req.params.lineId, req.body, context(req, 'ADJ')));
+
+/**
+ * @desc Submit to the billing partner.
+ */
+export const submitPreBill = respond(200, 'preBill', (req) =>
+  preBillService.submit(req.user.tenantId, req.params.preBillId, req.body, context(req, 'SUB')));
+
+/**
+ * @desc Billing partner approval.
+ */
+export const approvePreBill = respond(200, 'preBill', (req) =>
+  preBillService.approve(req.user.tenantId, req.params.preBillId, req.body, context(req, 'APR')));
+
+/**
+ * @desc Billing partner rejection back to draft.
+ */
+export const rejectPreBill = respond(200, 'preBill', (req) =>
+  preBillService.reject(req.user.tenantId, req.params.preBillId, req.body, context(req, 'REJ')));
+
+/**
+ * @desc Cancel and release all sources.
+ */
+export const cancelPreBill = respond(200, 'preBill', (req) =>
+  preBillService.cancel(req.user.tenantId, req.params.preBillId, req.body, context(req, 'CAN')));
+
+/**
+ * @desc Issue the numbered tax invoice from an approved pre-bill.
+ */
+export const issuePreBill = respond(201, 'result', (req) =>
+  preBillService.issue(req.user.tenantId, req.params.preBillId, req.body, context(req, 'ISS')));
+
+/**
+ * @desc Record a matter disbursement.
+ */
+export const recordDisbursement = respond(201, 'disbursement', (req) =>
+  preBillService.recordDisbursement(req.user.tenantId, req.body, context(req, 'DSB')));
+
+/**
+ * @desc List disbursements (?matterId, ?status).
+ */
+export const listDisbursements = respond(200, 'disbursements', (req) =>
+  preBillService.listDisbursements(req.user.tenantId, req.query));
+
+export default {
+  generatePreBill,
+  listPreBills,
+  getPreBill,
+  adjustLine,
+  submitPreBill,
+  approvePreBill,
+  rejectPreBill,
+  cancelPreBill,
+  issuePreBill,
+  recordDisbursement,
+  listDisbursements
+};
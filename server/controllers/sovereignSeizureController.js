@@ -37,7 +37,7 @@
 import mongoose from 'mongoose';
 import crypto from 'node:crypto';
 import { broadcastTelemetry } from '../utils/telemetryHelper.js';
-import { AiModel } from '../models/AiModel.js';
+import { AiModel } from '../models/AIModel.js';
 
 /**
  * @typedef {Object} SeizurePayload
@@ -0,0 +1,138 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TIME ENTRY CONTROLLER [V1.0.0-BILLING]                                                                                      ║
+ * ║ [TIMERS | TIME SHEETS | RATE CARDS | MATTER WIP]                                                                                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/controllers/timeEntryController.js                                        ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import crypto from 'node:crypto';
+import { timeEntryService } from '../services/timeEntryService.js';
+
+/**
+ * @function nativeAsync
+ * @desc Sovereign wrapper for zero-dependency promise handling.
+ */
+const nativeAsync = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+/**
+ * @function billingStatus
+ * @desc Maps time/WIP service fault prefixes onto HTTP status codes.
+ */
+const billingStatus = (error) => {
+  if (error.message.startsWith('ACCESS_DENIED')) return 403;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('BILLING_CONFLICT')) return 409;
+  if (error.message.startsWith('BILLING_ERROR')) return 400;
+  if (error.code === 11000) return 409;
+  return 500;
+};
+
+const context = (req, prefix) => ({
+  userId: req.user._id || req.user.id,
+  traceId: req.traceId || req.id || `TRC-TIME-${prefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+});
+
+/**
+ * @function respond
+ * @desc Runs a service call and answers with its result under `key`, or the mapped fault.
+ */
+const respond = (status, key, call) => nativeAsync(async (req, res) => {
+  try {
+    const result = await call(req);
+    res.status(status).json({ success: true, [key]: result });
+  } catch (error) {
+    res.status(billingStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @desc Start a timer against a matter.
+ */
+export const startTimer = respond(201, 'entry', (req) =>
+  timeEntryService.startTimer(req.user.tenantId, req.body, context(req, 'START')));
+
+/**
+ * @desc Pause a running timer.
+ */
+export const pauseTimer = respond(200, 'entry', (req) =>
+  timeEntryService.pauseTimer(req.user.tenantId, req.params.entryId, context(req, 'PAUSE')));
+
+/**
+ * @desc Resume a paused timer.
+ */
+export const resumeTimer = respond(200, 'entry', (req) =>
+  timeEntryService.resumeTimer(req.user.tenantId, req.params.entryId, context(req, 'RESUME')));
+
+/**
+ * @desc Stop a timer and post billable time to matter WIP.
+ */
+export const stopTimer = respond(200, 'entry', (req) =>
+  timeEntryService.stopTimer(req.user.tenantId, req.params.entryId, req.body, context(req, 'STOP')));
+
+/**
+ * @desc The caller's running and paused timers.
+ */
+export const getRunningTimers = respond(200, 'timers', (req) =>
+  timeEntryService.getRunningTimers(req.user.tenantId, req.user._id || req.user.id));
+
+/**
+ * @desc Record a manual time entry.
+ */
+export const createEntry = respond(201, 'entry', (req) =>
+  timeEntryService.createManualEntry(req.user.tenantId, req.body, context(req, 'ENTRY')));
+
+/**
+ * @desc Time sheet (?matterId, ?userId, ?taskId, ?status, ?billable, ?from, ?to).
+ */
+export const listEntries = respond(200, 'entries', (req) =>
+  timeEntryService.listEntries(req.user.tenantId, req.query));
+
+/**
+ * @desc Edit an unbilled entry.
+ */
+export const updateEntry = respond(200, 'entry', (req) =>
+  timeEntryService.updateEntry(req.user.tenantId, req.params.entryId, req.body, context(req, 'EDIT')));
+
+/**
+ * @desc Delete an unbilled entry or discard a timer.
+ */
+export const deleteEntry = respond(200, 'result', (req) =>
+  timeEntryService.deleteEntry(req.user.tenantId, req.params.entryId, { ...context(req, 'DEL'), reason: req.body?.reason }));
+
+/**
+ * @desc Add an attorney rate (standard or matter-specific).
+ */
+export const setRate = respond(201, 'rate', (req) =>
+  timeEntryService.setRate(req.user.tenantId, req.body, context(req, 'RATE')));
+
+/**
+ * @desc List rate cards (?userId, ?matterId).
+ */
+export const listRates = respond(200, 'rates', (req) =>
+  timeEntryService.listRates(req.user.tenantId, req.query));
+
+/**
+ * @desc Matter WIP position, unbilled entries and ledger.
+ */
+export const getMatterWip = respond(200, 'wip', (req) =>
+  timeEntryService.getMatterWip(req.user.tenantId, req.params.matterId));
+
+export default {
+  startTimer,
+  pauseTimer,
+  resumeTimer,
+  stopTimer,
+  getRunningTimers,
+  createEntry,
+  listEntries,
+  updateEntry,
+  deleteEntry,
+  setRate,
+  listRates,
+  getMatterWip
+};
@@ -14,6 +14,8 @@ import { v4 as uuidv4 } from 'uuid';
 
 // Sovereign Model Injection
 import Document from '../models/Document.js';
+import legalHoldService from '../services/legalHoldService.js';
+import { documentHoldFacts } from '../utils/legalHold.js';
 
 // Singularity Service Layer
 import * as auditLogger from '../utils/auditLogger.js';
@@ -139,7 +141,10 @@ class UploadController {
       const doc = await Document.findOne({ _id: documentId, tenantId });
       if (!doc) throw new AppError('Artifact not found', 404);
 
-      doc.status = 'DELETED';
+      // Preserved records cannot be revoked while a legal hold covers them
+      await legalHoldService.assertNotHeld(tenantId, documentHoldFacts(doc), { resource: 'document', action: 'delete', recordId: doc._id });
+
+      doc.status = 'deleted';
       doc.history.push({
         action: 'SOFT_DELETE',
         performedBy: getCurrentUser(),
@@ -0,0 +1,105 @@
+/*
+ * File: server/jobs/backgroundJobs.js
+ * STATUS: PRODUCTION-READY | BACKGROUND JOB ENTRYPOINT
+ * -----------------------------------------------------------------------------
+ * PURPOSE:
+ * - Start the cron sweeps in jobs/ and, with REDIS_HOST set, register the BullMQ workers that consume their queues.
+ * - server.js calls startBackgroundJobs() once MongoDB is up; `node jobs/backgroundJobs.js` runs the same set in a
+ *   dedicated process.
+ *
+ * COLLABORATION COMMENTS:
+ * - DESIGN NOTES:
+ *   * Each cron module schedules itself when it is imported, so nothing runs until startBackgroundJobs() imports it.
+ *   * Without REDIS_HOST the services run queued work in-process and the sweeps pick up retries, so only the cron
+ *     jobs start.
+ * - OPERATIONS:
+ *   * Set BACKGROUND_JOBS=off on API processes when a dedicated worker process runs this file.
+ * -----------------------------------------------------------------------------
+ */
+
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import cron from 'node-cron';
+import logger from '../utils/logger.js';
+
+/* -------------------------
+   Registry
+   ------------------------- */
+
+const CRON_JOBS = [
+  './outboxRelayJob.js',
+  './dsarDueJob.js',
+  './invoiceOverdueJob.js',
+  './workflowSlaJob.js',
+  './prescriptionAlertJob.js',
+  './legalHoldReminderJob.js',
+  './trustInterestJob.js',
+];
+
+const QUEUE_WORKERS = [
+  { module: './outboxWorker.js', concurrency: 8 },
+  { module: './workflowWorker.js', concurrency: 4 },
+  { module: './bundleWorker.js', concurrency: 1 },
+  { module: './ocrWorker.js', concurrency: 1 },
+];
+
+let started = false;
+const workers = [];
+
+/* -------------------------
+   Lifecycle
+   ------------------------- */
+
+/**
+ * Schedules the cron jobs and, when `registerWorkers` (default: REDIS_HOST is set), starts the queue workers.
+ * Calling it again is a no-op.
+ * @returns {Promise<{ cronJobs: number, workers: number }>}
+ */
+export async function startBackgroundJobs({ registerWorkers = Boolean(process.env.REDIS_HOST) } = {}) {
+  if (started) return { cronJobs: CRON_JOBS.length, workers: workers.length };
+  started = true;
+
+  for (const path of CRON_JOBS) await import(path);
+
+  if (registerWorkers) {
+    for (const { module, concurrency } of QUEUE_WORKERS) {
+      const { registerBullMQWorker } = await import(module);
+      workers.push(registerBullMQWorker({ concurrency }));
+    }
+  }
+
+  logger.info('backgroundJobs.started', { cronJobs: CRON_JOBS.length, workers: workers.length });
+  return { cronJobs: CRON_JOBS.length, workers: workers.length };
+}
+
+/**
+ * Stops the cron schedules and lets the queue workers finish their current jobs.
+ */
+export async function stopBackgroundJobs() {
+  for (const task of cron.getTasks().values()) task.stop();
+  await Promise.all(workers.splice(0).map((worker) => worker.close()));
+}
+
+/* -------------------------
+   Dedicated process
+   ------------------------- */
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { default: dotenv } = await import('dotenv');
+  dotenv.config({ path: fileURLToPath(new URL('../.env', import.meta.url)) });
+  const { connectDB } = await import('../config/database.js');
+  await connectDB();
+  await startBackgroundJobs();
+
+  const shutdown = async (signal) => {
+    logger.info('backgroundJobs.stopping', { signal });
+    await stopBackgroundJobs();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+export default {
+  startBackgroundJobs,
+  stopBackgroundJobs,
+};
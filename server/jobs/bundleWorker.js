@@ -1,385 +1,103 @@
-#!/*
+/*
  * File: server/jobs/bundleWorker.js
  * STATUS: PRODUCTION-READY | EPITOME | FORENSIC STITCHING
  * -----------------------------------------------------------------------------
  * PURPOSE:
- * - Stitch PDF assets into a single, paginated court bundle with Bates stamping.
- * - Update JobModel progress, emit AuditEvents, and support remote storage.
- * - Designed to run in a dedicated worker process and integrate with JobService.
+ * - Compile court bundles (index, section dividers, consecutive pagination) off the request path.
+ * - Queue compile jobs on BullMQ when Redis is configured; otherwise compile in-process after the response.
+ * - Designed to run in a dedicated worker process via registerBullMQWorker().
  *
  * COLLABORATION COMMENTS:
  * - AUTHOR: Wilson Khanyezi (Chief Architect)
  * - REVIEWERS: @platform, @sre, @security, @product, @legal
  * - DESIGN NOTES:
  *   * Keep worker processes separate from API servers to avoid resource contention.
- *   * StorageService must implement streamToTemp(storageKey) and isTempPath(path).
- *   * AuditEvent must be append-only and indexed for forensic queries.
- *   * JobModel updates are used to surface progress to the UI; workers must call updateProgress.
+ *   * The compile itself lives in services/bundleService.js (utils/bundleCompiler.js does the PDF work);
+ *     this module only schedules it and reports failures.
+ *   * Bundle status (QUEUED → COMPILING → READY | FAILED) is the progress surface for the UI.
  * - SECURITY:
  *   * Validate inputs at the API layer before enqueuing jobs.
- *   * Ensure output bundles are stored in a protected location and served via authenticated endpoints.
- * - TESTING:
- *   * Add unit tests using small fixture PDFs.
- *   * Add integration tests with a mocked StorageService and in-memory MongoDB.
+ *   * Output bundles are written to the encrypted PDF vault and served via authenticated endpoints.
  * - OPERATIONS:
- *   * Monitor job durations, pages stitched, and failure reasons via metrics.
- *   * Use a retention policy for generated bundles and rotate storage.
+ *   * With REDIS_HOST set, jobs/backgroundJobs.js registers this worker.
  * -----------------------------------------------------------------------------
  */
 
-const fs = require('fs');
+import { Queue, Worker } from 'bullmq';
+import { bundleService } from '../services/bundleService.js';
+import logger from '../utils/logger.js';
 
-const fsp = fs.promises;
-const os = require('os');
-const path = require('path');
-const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
-const { v4: uuidv4 } = require('uuid');
+export const BUNDLE_QUEUE = 'bundleQueue';
 
-const Document = require('../models/Document');
-const AuditEvent = require('../models/auditEventModel');
-const JobModel = require('../models/jobModel');
-const JobService = require('../services/jobService');
-const loggerRaw = require('../utils/logger');
-const logger = loggerRaw.default || loggerRaw;
+const connection = () => ({
+  host: process.env.REDIS_HOST || 'localhost',
+  port: Number(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD,
+  maxRetriesPerRequest: null
+});
 
-// Optional services; provide implementations in production
-let StorageService = null;
-try {
-  StorageService = require('../services/storageService');
-} catch (e) {
-  /* optional in tests */
-}
-
-/* Default configuration */
-const DEFAULTS = {
-  outputBaseDir: path.join(__dirname, '../../public/bundles'),
-  // Avoid regex literal containing an escaped forward slash to satisfy linters.
-  // Use two simple replaces instead of a character class with an escaped slash.
-  filenameTemplate: ({ caseNumber }) =>
-    `BUNDLE_${String(caseNumber).replace(/\s+/g, '_').replace(/\//g, '_')}_${Date.now()}.pdf`,
-  stamp: {
-    fontSize: 9,
-    marginRight: 40,
-    marginBottom: 20,
-    color: rgb(0.1, 0.1, 0.1),
-  },
-  tempDir: os.tmpdir(),
-};
+let queue = null;
 
 /* -------------------------
-   Helpers
+   Worker processor
    ------------------------- */
 
-async function ensureDir(dir) {
-  await fsp.mkdir(dir, { recursive: true });
-}
-
-async function downloadToLocal(storageKey) {
-  if (!storageKey) throw new Error('storageKey required');
-  const isLocal =
-    typeof storageKey === 'string' &&
-    (storageKey.startsWith('/') || storageKey.startsWith('./') || /^[A-Za-z]:\\/.test(storageKey));
-  if (isLocal) {
-    await fsp.access(storageKey, fs.constants.R_OK);
-    return storageKey;
-  }
-  if (!StorageService || typeof StorageService.streamToTemp !== 'function') {
-    throw new Error('StorageService not configured to stream remote storage keys');
-  }
-  const tmp = await StorageService.streamToTemp(storageKey);
-  return tmp;
-}
-
-async function safeUnlink(p) {
-  try {
-    if (!p) return;
-    await fsp.unlink(p).catch(() => null);
-  } catch (e) {
-    // swallow
-  }
-}
-
-/* -------------------------
-   Core: generateCourtBundle
-   ------------------------- */
+export async function bundleProcessor(payload = {}) {
+  const { tenantId, bundleId } = payload;
+  if (!tenantId || !bundleId) throw new Error('Invalid job payload: tenantId and bundleId are required');
 
-async function generateCourtBundle(opts = {}) {
-  const { tenantId, caseNumber, documentIds = [], title = '', config = {} } = opts;
-  if (!tenantId) throw new Error('tenantId is required');
-  if (!caseNumber) throw new Error('caseNumber is required');
-  if (!Array.isArray(documentIds) || documentIds.length === 0)
-    throw new Error('documentIds required');
-
-  const cfg = { ...DEFAULTS, ...config };
-  const outDir = path.join(cfg.outputBaseDir, String(tenantId));
-  await ensureDir(outDir);
-
-  const fileName =
-    typeof cfg.filenameTemplate === 'function'
-      ? cfg.filenameTemplate({ caseNumber, title })
-      : cfg.filenameTemplate;
-  const filePath = path.join(outDir, fileName);
-
-  const masterDoc = await PDFDocument.create();
-  const helveticaFont = await masterDoc.embedFont(StandardFonts.Helvetica);
-  let globalPageCounter = 1;
-  const tempFilesToCleanup = new Set();
-
-  const docs = await Document.find({
+  const bundle = await bundleService.compile(tenantId, bundleId);
+  logger.info('bundleWorker: bundle compiled', {
     tenantId,
-    _id: { $in: documentIds },
-    status: { $ne: 'DELETED' },
-  })
-    .sort({ createdAt: 1 })
-    .lean();
-
-  if (!docs || docs.length === 0) {
-    throw new Error('ERR_BUNDLE_EMPTY: No valid documents found for stitching.');
-  }
-
-  for (const docRecord of docs) {
-    try {
-      const storageKey = docRecord.storageKey || docRecord.filename;
-      if (!storageKey) {
-        logger.warn('bundleWorker: document missing storageKey or filename', {
-          docId: docRecord._id,
-        });
-        continue;
-      }
-
-      let localPath;
-      try {
-        localPath = await downloadToLocal(storageKey);
-      } catch (e) {
-        logger.warn('bundleWorker: failed to download document', {
-          docId: docRecord._id,
-          err: e && e.message ? e.message : e,
-        });
-        continue;
-      }
-
-      if (localPath !== storageKey) tempFilesToCleanup.add(localPath);
-
-      const bytes = await fsp.readFile(localPath);
-      const subDoc = await PDFDocument.load(bytes);
-      const indices = subDoc.getPageIndices();
-      const copiedPages = await masterDoc.copyPages(subDoc, indices);
-
-      for (const page of copiedPages) {
-        const { width, height } = page.getSize();
-        const stampText = `CASE: ${caseNumber} | BATES: ${String(globalPageCounter).padStart(
-          6,
-          '0'
-        )}`;
-        const textWidth = helveticaFont.widthOfTextAtSize(stampText, cfg.stamp.fontSize);
-        const x = Math.max(10, width - cfg.stamp.marginRight - textWidth);
-        const y = Math.max(10, cfg.stamp.marginBottom);
-
-        page.drawText(stampText, {
-          x,
-          y,
-          size: cfg.stamp.fontSize,
-          font: helveticaFont,
-          color: cfg.stamp.color,
-        });
-
-        masterDoc.addPage(page);
-        globalPageCounter++;
-      }
-
-      logger.info('bundleWorker: stitched document', {
-        docId: docRecord._id,
-        title: docRecord.title,
-        pagesAdded: indices.length,
-      });
-    } catch (err) {
-      logger.error('bundleWorker: failed to stitch document', {
-        docId: docRecord._id,
-        err: err && err.message ? err.message : err,
-      });
-    }
-  }
-
-  const pdfBytes = await masterDoc.save();
-  const tmpOut = path.join(cfg.tempDir, `bundle-${uuidv4()}.pdf`);
-  await fsp.writeFile(tmpOut, pdfBytes);
-  await fsp.rename(tmpOut, filePath);
-
-  for (const t of tempFilesToCleanup) {
-    await safeUnlink(t);
-  }
-
-  return {
-    fileName,
-    filePath,
-    publicUrl: `/bundles/${tenantId}/${fileName}`,
-    totalPages: Math.max(0, globalPageCounter - 1),
-    processedAt: new Date(),
-  };
+    bundleId,
+    revision: bundle.revision,
+    totalPages: bundle.output.totalPages,
+  });
+  return { bundleId, revision: bundle.revision, totalPages: bundle.output.totalPages };
 }
 
 /* -------------------------
-   Worker processor wrapper
+   Scheduling
    ------------------------- */
 
-async function bundleProcessor(payload = {}, ctx = {}) {
-  const { tenantId, caseNumber, documentIds, title } = payload || {};
-  const { job, meta = {}, jobDocId, updateProgress } = ctx || {};
-  const correlationId = meta?.correlationId || (job && job.id) || uuidv4();
-
-  const setProgress = async (p, patch = {}) => {
-    try {
-      if (typeof updateProgress === 'function') {
-        await updateProgress(p, patch);
-      } else if (jobDocId) {
-        await JobModel.updateProgress(jobDocId, { progress: p, ...patch });
-      }
-    } catch (e) {
-      logger.warn('bundleWorker: failed to update job progress', {
-        err: e && e.message ? e.message : e,
-        jobDocId,
-      });
-    }
-  };
-
-  if (!tenantId || !caseNumber || !Array.isArray(documentIds) || documentIds.length === 0) {
-    await setProgress(0, { status: 'failed', error: 'Invalid job payload' });
-    throw new Error('Invalid job payload: tenantId, caseNumber and documentIds are required');
-  }
-
-  await setProgress(5, { status: 'processing' });
-
-  try {
-    const result = await generateCourtBundle({
-      tenantId,
-      caseNumber,
-      documentIds,
-      title,
+/**
+ * Hands a QUEUED bundle to the compiler. Failures are recorded on the bundle (status FAILED) by the service.
+ * @param {{ tenantId: string, bundleId: string, initiatedBy?: string }} payload
+ */
+export async function enqueueBundleCompile(payload) {
+  if (process.env.REDIS_HOST) {
+    queue = queue || new Queue(BUNDLE_QUEUE, { connection: connection() });
+    await queue.add('compile', payload, {
+      jobId: `${payload.bundleId}-${Date.now()}`,
+      attempts: 2,
+      backoff: { type: 'exponential', delay: 5000 },
+      removeOnComplete: 100,
+      removeOnFail: 500,
     });
+    return { queued: true, via: 'bullmq' };
+  }
 
-    await setProgress(100, { status: 'completed', result });
-
-    try {
-      if (AuditEvent && typeof AuditEvent.create === 'function') {
-        await AuditEvent.create({
-          _id: uuidv4(),
-          timestamp: new Date().toISOString(),
-          actor: meta?.initiatedBy || null,
-          actorEmail: null,
-          actorRole: null,
-          eventType: 'BUNDLE_GENERATED',
-          severity: 'INFO',
-          summary: 'Court bundle generated',
-          metadata: {
-            tenantId,
-            caseNumber,
-            totalPages: result.totalPages,
-            fileName: result.fileName,
-            correlationId,
-          },
-        });
-      }
-    } catch (e) {
-      logger.warn('bundleWorker: audit write failed', { err: e && e.message ? e.message : e });
-    }
-
-    return result;
-  } catch (err) {
-    await setProgress(0, {
-      status: 'failed',
-      error: err && err.message ? err.message : String(err),
+  setImmediate(() => {
+    bundleProcessor(payload).catch((err) => {
+      logger.error('bundleWorker: in-process compile failed', { bundleId: payload.bundleId, err: err.message });
     });
-
-    try {
-      if (AuditEvent && typeof AuditEvent.create === 'function') {
-        await AuditEvent.create({
-          _id: uuidv4(),
-          timestamp: new Date().toISOString(),
-          actor: meta?.initiatedBy || null,
-          actorEmail: null,
-          actorRole: null,
-          eventType: 'BUNDLE_GENERATION_FAILED',
-          severity: 'HIGH',
-          summary: 'Court bundle generation failed',
-          metadata: {
-            tenantId,
-            caseNumber,
-            error: err && err.message ? err.message : String(err),
-            correlationId,
-          },
-        });
-      }
-    } catch (e) {
-      logger.warn('bundleWorker: failure audit write failed', {
-        err: e && e.message ? e.message : e,
-      });
-    }
-
-    logger.error('bundleWorker: job failed', { err: err && err.message ? err.message : err });
-    throw err;
-  }
+  });
+  return { queued: true, via: 'in-process' };
 }
 
 /* -------------------------
    Registration helpers
    ------------------------- */
 
-function registerWithJobService(opts = {}) {
-  const { queueName = 'bundleQueue', concurrency = 1, metricsClient = null } = opts;
-  return JobService.registerWorker(
-    queueName,
-    async (payload, ctx) => {
-      const updateProgress = async (progress, patch = {}) => {
-        try {
-          const jobDocId = ctx.jobDocId || (ctx.job && ctx.job.id);
-          if (jobDocId) await JobModel.updateProgress(jobDocId, { progress, ...patch });
-        } catch (e) {
-          logger.warn('bundleWorker.register: updateProgress failed', {
-            err: e && e.message ? e.message : e,
-          });
-        }
-      };
-
-      return bundleProcessor(payload, { ...ctx, updateProgress });
-    },
-    { concurrency, metricsClient }
-  );
-}
-
-function registerBullMQWorker({ queueName = 'bundleQueue', connection, concurrency = 1 } = {}) {
-  if (!connection) throw new Error('BullMQ connection required for registerBullMQWorker');
-  const { Worker } = require('bullmq');
-  const worker = new Worker(
-    queueName,
-    async (job) => {
-      const payload = job.data || {};
-      const meta = payload.meta || {};
-      const jobDocId = payload.meta?.jobDocId || null;
-
-      const updateProgress = async (progress, patch = {}) => {
-        try {
-          if (jobDocId) await JobModel.updateProgress(jobDocId, { progress, ...patch });
-        } catch (e) {
-          logger.warn('bundleWorker.bullmq.updateProgress failed', {
-            err: e && e.message ? e.message : e,
-            jobDocId,
-          });
-        }
-      };
-
-      return bundleProcessor(payload, {
-        job,
-        meta,
-        jobDocId,
-        updateProgress,
-      });
-    },
-    { connection, concurrency }
-  );
+export function registerBullMQWorker({ concurrency = 1 } = {}) {
+  const worker = new Worker(BUNDLE_QUEUE, async (job) => bundleProcessor(job.data || {}), {
+    connection: connection(),
+    concurrency,
+  });
 
   worker.on('failed', (job, err) => {
     logger.error('bundleWorker.bullmq.failed', {
-      jobId: job.id,
+      jobId: job?.id,
       err: err && err.message ? err.message : err,
     });
   });
@@ -396,8 +114,7 @@ function registerBullMQWorker({ queueName = 'bundleQueue', connection, concurren
    ------------------------- */
 
 export default {
-  generateCourtBundle,
   bundleProcessor,
-  registerWithJobService,
+  enqueueBundleCompile,
   registerBullMQWorker,
 };
@@ -0,0 +1,66 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DSAR DUE JOB [V1.0.0-HOOKS]                                                                                                 ║
+ * ║ [HOURLY | OPEN REQUESTS WITHIN 24H OF THE POPIA DEADLINE → dsar.due EVENTS]                                                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/jobs/dsarDueJob.js                                                        ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Each request is announced once per deadline: the outbox dedupe key carries the deadline, so an extended deadline is
+ * announced again when it comes round.
+ */
+
+import cron from 'node-cron';
+import DSARRequest from '../models/DSARRequest.js';
+import domainEventService, { DOMAIN_EVENTS } from '../services/domainEventService.js';
+import auditLogger from '../utils/auditLogger.js';
+
+const OPEN_STATUSES = ['SUBMITTED', 'VERIFYING', 'PROCESSING'];
+const WARNING_HOURS = 24;
+
+/**
+ * Records dsar.due for every open DSAR whose SLA deadline falls within the next 24 hours (or has passed).
+ * @returns {Promise<{ checked: number, announced: number }>}
+ */
+export async function runDsarDueCheck(now = new Date()) {
+  const horizon = new Date(now.getTime() + WARNING_HOURS * 60 * 60 * 1000);
+  const cursor = DSARRequest.find({ status: { $in: OPEN_STATUSES }, slaDeadline: { $lte: horizon } })
+    .select('tenantId referenceNumber dsarType status slaDeadline assignedTo')
+    .lean()
+    .cursor();
+
+  let checked = 0;
+  let announced = 0;
+  for await (const dsar of cursor) {
+    checked++;
+    const event = await domainEventService.record({
+      tenantId: dsar.tenantId,
+      type: DOMAIN_EVENTS.DSAR_DUE,
+      subject: { type: 'dsar', id: dsar._id },
+      payload: {
+        referenceNumber: dsar.referenceNumber,
+        dsarType: dsar.dsarType,
+        status: dsar.status,
+        slaDeadline: dsar.slaDeadline,
+        overdue: dsar.slaDeadline <= now,
+        assignedTo: dsar.assignedTo ? String(dsar.assignedTo) : undefined
+      }
+    }, { dedupeKey: `dsar.due:${dsar._id}:${new Date(dsar.slaDeadline).getTime()}` });
+    if (event) announced++;
+  }
+
+  if (announced) console.log(`[DSAR] ⏳ ${announced} request(s) announced as due.`);
+  return { checked, announced };
+}
+
+const guard = (name, fn) => () => {
+  fn().catch((err) => {
+    console.error(`[CRON] ❌ ${name} crashed:`, err);
+    auditLogger.error(name, { error: err.message, stack: err.stack });
+  });
+};
+
+cron.schedule('5 * * * *', guard('DSAR_DUE_CHECK_FATAL', runDsarDueCheck));
+
+export default runDsarDueCheck;
@@ -0,0 +1,49 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - INVOICE OVERDUE JOB [V1.0.0-FLOW]                                                                                           ║
+ * ║ [DAILY 06:30 | ISSUED PAST DUE DATE → OVERDUE | invoice.overdue EVENTS]                                                                ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/jobs/invoiceOverdueJob.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Saving each invoice (rather than one updateMany) lets the Invoice model reseal it and record invoice.overdue, which
+ * is what collection workflows trigger on.
+ */
+
+import cron from 'node-cron';
+import Invoice from '../models/Invoice.js';
+import auditLogger from '../utils/auditLogger.js';
+
+const OPEN_STATUSES = ['ISSUED', 'PARTIALLY_PAID'];
+
+/**
+ * Marks open invoices past their due date as OVERDUE.
+ * @returns {Promise<{ overdue: number }>}
+ */
+export async function runInvoiceOverdueCheck(now = new Date()) {
+  const cursor = Invoice.find({ status: { $in: OPEN_STATUSES }, dueDate: { $lt: now } })
+    .setOptions({ ethicalWall: false })
+    .cursor();
+
+  let overdue = 0;
+  for await (const invoice of cursor) {
+    invoice.status = 'OVERDUE';
+    invoice.statusReason = `Unpaid after due date ${invoice.dueDate.toISOString().slice(0, 10)}`;
+    await invoice.save();
+    overdue++;
+  }
+  if (overdue) console.log(`[BILLING] 📅 ${overdue} invoice(s) marked overdue.`);
+  return { overdue };
+}
+
+const guard = (name, fn) => () => {
+  fn().catch((err) => {
+    console.error(`[CRON] ❌ ${name} crashed:`, err);
+    auditLogger.error(name, { error: err.message, stack: err.stack });
+  });
+};
+
+cron.schedule('30 6 * * *', guard('INVOICE_OVERDUE_CHECK_FATAL', runInvoiceOverdueCheck));
+
+export default runInvoiceOverdueCheck;
@@ -0,0 +1,34 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - LEGAL HOLD REMINDER JOB [V2.0.0-HOLD]                                                                                       ║
+ * ║ [DAILY CUSTODIAN CHASE 07:00 | FAILED NOTICE RETRY]                                                                                    ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/jobs/legalHoldReminderJob.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import cron from 'node-cron';
+import { legalHoldService } from '../services/legalHoldService.js';
+import auditLogger from '../utils/auditLogger.js';
+
+/**
+ * Reminds custodians whose acknowledgement is overdue on an active hold and resends notices that failed.
+ * @returns {Promise<{ holdsChecked: number, noticed: number, reminded: number }>}
+ */
+export async function runLegalHoldReminders(now = new Date()) {
+  const result = await legalHoldService.sendReminders(now);
+  console.log(`[LEGAL_HOLD] ⚖️ Daily chase: ${result.reminded} reminder(s), ${result.noticed} notice retry(s) across ${result.holdsChecked} hold(s).`);
+  return result;
+}
+
+const guard = (name, fn) => () => {
+  fn().catch((err) => {
+    console.error(`[CRON] ❌ ${name} crashed:`, err);
+    auditLogger.error(name, { error: err.message, stack: err.stack });
+  });
+};
+
+cron.schedule('0 7 * * *', guard('LEGAL_HOLD_REMINDERS_FATAL', runLegalHoldReminders));
+
+export default runLegalHoldReminders;
@@ -0,0 +1,126 @@
+/*
+ * File: server/jobs/ocrWorker.js
+ * STATUS: PRODUCTION-READY | EPITOME | FORENSIC LEGIBILITY
+ * -----------------------------------------------------------------------------
+ * PURPOSE:
+ * - Read scanned documents (image-only PDF pages, TIFF/JPEG/PNG uploads) with local OCR off the request path.
+ * - Queue OCR jobs on BullMQ when Redis is configured; otherwise run them in-process after the response.
+ * - Designed to run in a dedicated worker process via registerBullMQWorker().
+ *
+ * COLLABORATION COMMENTS:
+ * - AUTHOR: Wilson Khanyezi (Chief Architect)
+ * - REVIEWERS: @platform, @sre, @security, @product, @legal
+ * - DESIGN NOTES:
+ *   * Recognition lives in services/ocrService.js (tesseract.js, English and Afrikaans); utils/ocrLayer.js
+ *     does the PDF work. This module only schedules it and reports failures.
+ *   * Document.ocr.status (QUEUED → RUNNING → DONE | NOT_NEEDED | SUPERSEDED | FAILED) is the progress
+ *     surface for the UI.
+ *   * OCR is CPU-bound: keep concurrency at 1 per core and off the API servers.
+ * - SECURITY:
+ *   * Scans never leave the server; language data ships with the @tesseract.js-data packages.
+ *   * The searchable copy is saved as a new immutable document version in the encrypted vault.
+ * - OPERATIONS:
+ *   * With REDIS_HOST set, jobs/backgroundJobs.js registers this worker.
+ *   * OCR_LANG_PATH may point at a directory of *.traineddata.gz files prepared in the image.
+ * -----------------------------------------------------------------------------
+ */
+
+import { Queue, Worker } from 'bullmq';
+import { ocrService } from '../services/ocrService.js';
+import logger from '../utils/logger.js';
+
+export const OCR_QUEUE = 'ocrQueue';
+
+const connection = () => ({
+  host: process.env.REDIS_HOST || 'localhost',
+  port: Number(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD,
+  maxRetriesPerRequest: null
+});
+
+let queue = null;
+
+/* -------------------------
+   Worker processor
+   ------------------------- */
+
+export async function ocrProcessor(payload = {}) {
+  const { tenantId, documentId, sourceVersion } = payload;
+  if (!tenantId || !documentId || !sourceVersion) {
+    throw new Error('Invalid job payload: tenantId, documentId and sourceVersion are required');
+  }
+
+  const result = await ocrService.process(tenantId, documentId, payload);
+  logger.info('ocrWorker: document processed', {
+    tenantId,
+    documentId,
+    sourceVersion,
+    status: result.status,
+    versionNumber: result.version?.versionNumber,
+    confidence: result.confidence,
+  });
+  return { documentId, status: result.status, versionNumber: result.version?.versionNumber, confidence: result.confidence };
+}
+
+/* -------------------------
+   Scheduling
+   ------------------------- */
+
+/**
+ * Hands a QUEUED document version to OCR. Outcomes, failures included, are recorded on the document by the service.
+ * @param {{ tenantId: string, documentId: string, sourceVersion: number, initiatedBy: string, dpi?: number, auto?: boolean }} payload
+ */
+export async function enqueueOcr(payload) {
+  if (process.env.REDIS_HOST) {
+    queue = queue || new Queue(OCR_QUEUE, { connection: connection() });
+    await queue.add('recognise', payload, {
+      jobId: `${payload.documentId}-v${payload.sourceVersion}-${Date.now()}`,
+      attempts: 2,
+      backoff: { type: 'exponential', delay: 30000 },
+      removeOnComplete: 100,
+      removeOnFail: 500,
+    });
+    return { queued: true, via: 'bullmq' };
+  }
+
+  setImmediate(() => {
+    ocrProcessor(payload).catch((err) => {
+      logger.error('ocrWorker: in-process OCR failed', { documentId: payload.documentId, err: err.message });
+    });
+  });
+  return { queued: true, via: 'in-process' };
+}
+
+/* -------------------------
+   Registration helpers
+   ------------------------- */
+
+export function registerBullMQWorker({ concurrency = 1 } = {}) {
+  const worker = new Worker(OCR_QUEUE, async (job) => ocrProcessor(job.data || {}), {
+    connection: connection(),
+    concurrency,
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('ocrWorker.bullmq.failed', {
+      jobId: job?.id,
+      err: err && err.message ? err.message : err,
+    });
+  });
+
+  worker.on('completed', (job) => {
+    logger.info('ocrWorker.bullmq.completed', { jobId: job.id });
+  });
+
+  return worker;
+}
+
+/* -------------------------
+   Exports
+   ------------------------- */
+
+export default {
+  ocrProcessor,
+  enqueueOcr,
+  registerBullMQWorker,
+};
@@ -0,0 +1,44 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - EVENT OUTBOX RELAY SWEEP [V1.0.0-HOOKS]                                                                                     ║
+ * ║ [EVERY MINUTE | RELAY PENDING EVENTS | RETRY DUE WEBHOOK DELIVERIES]                                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/jobs/outboxRelayJob.js                                                    ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Events committed inside a transaction, retries without Redis, and any job a queue dropped all end up here.
+ */
+
+import cron from 'node-cron';
+import { outboxService } from '../services/outboxService.js';
+import auditLogger from '../utils/auditLogger.js';
+
+/**
+ * Relays outbox events still pending and attempts webhook deliveries that are due.
+ * @returns {Promise<{ pendingEvents: number, dispatched: number, dueDeliveries: number, attempted: number }>}
+ */
+export async function runOutboxRelay(now = new Date()) {
+  const result = await outboxService.sweep(now);
+  if (result.dispatched || result.attempted) {
+    console.log(`[OUTBOX] 📮 Relay: ${result.dispatched} event(s) dispatched, ${result.attempted} delivery attempt(s).`);
+  }
+  return result;
+}
+
+let running = false;
+const guard = (name, fn) => () => {
+  // Slow endpoints can stretch a sweep past a minute; never run two at once
+  if (running) return;
+  running = true;
+  fn().catch((err) => {
+    console.error(`[CRON] ❌ ${name} crashed:`, err);
+    auditLogger.error(name, { error: err.message, stack: err.stack });
+  }).finally(() => {
+    running = false;
+  });
+};
+
+cron.schedule('* * * * *', guard('OUTBOX_RELAY_FATAL', runOutboxRelay));
+
+export default runOutboxRelay;
@@ -0,0 +1,57 @@
+/*
+ * File: server/jobs/outboxWorker.js
+ * STATUS: PRODUCTION-READY | TRANSACTIONAL EVENT OUTBOX
+ * -----------------------------------------------------------------------------
+ * PURPOSE:
+ * - Consume the EVENT_OUTBOX queue from jobs/queue.js: relay recorded domain events to workflow triggers and webhook
+ *   subscriptions, and make signed webhook delivery attempts.
+ * - Designed to run in a dedicated worker process via registerBullMQWorker().
+ *
+ * COLLABORATION COMMENTS:
+ * - DESIGN NOTES:
+ *   * Jobs carry ids only; services/outboxService.js claims each attempt in MongoDB, so a duplicated job never sends
+ *     the same attempt twice. Retries are scheduled by the service with its own backoff, not by BullMQ.
+ *   * Without REDIS_HOST the service runs these jobs in-process and jobs/outboxRelayJob.js makes the retries.
+ * - OPERATIONS:
+ *   * With REDIS_HOST set, jobs/backgroundJobs.js registers this worker.
+ * -----------------------------------------------------------------------------
+ */
+
+import { Worker } from 'bullmq';
+import queues from './queue.js';
+import { outboxService } from '../services/outboxService.js';
+import logger from '../utils/logger.js';
+
+/* -------------------------
+   Worker processor
+   ------------------------- */
+
+export async function outboxProcessor(job) {
+  return outboxService.process(job.name, job.data || {});
+}
+
+/* -------------------------
+   Registration helpers
+   ------------------------- */
+
+export function registerBullMQWorker({ concurrency = 8 } = {}) {
+  const worker = new Worker(queues.outboxQueue.name, outboxProcessor, {
+    connection: queues.connection,
+    concurrency,
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('outboxWorker.bullmq.failed', {
+      jobId: job?.id,
+      name: job?.name,
+      err: err && err.message ? err.message : err,
+    });
+  });
+
+  return worker;
+}
+
+export default {
+  outboxProcessor,
+  registerBullMQWorker,
+};
@@ -0,0 +1,34 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRESCRIPTION ALERT JOB [V1.0.0-LITIGATION]                                                                                  ║
+ * ║ [DAILY ESCALATION SWEEP 06:00]                                                                                                         ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/jobs/prescriptionAlertJob.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import cron from 'node-cron';
+import { prescriptionService } from '../services/prescriptionService.js';
+import auditLogger from '../utils/auditLogger.js';
+
+/**
+ * Escalates every open claim that has crossed a new alert threshold since the last run.
+ * @returns {Promise<{ checked: number, escalated: number }>}
+ */
+export async function runPrescriptionSweep(now = new Date()) {
+  const result = await prescriptionService.runEscalations(now);
+  console.log(`[PRESCRIPTION] ⏳ Daily sweep: ${result.escalated}/${result.checked} matter(s) escalated.`);
+  return result;
+}
+
+const guard = (name, fn) => () => {
+  fn().catch((err) => {
+    console.error(`[CRON] ❌ ${name} crashed:`, err);
+    auditLogger.error(name, { error: err.message, stack: err.stack });
+  });
+};
+
+cron.schedule('0 6 * * *', guard('PRESCRIPTION_SWEEP_FATAL', runPrescriptionSweep));
+
+export default runPrescriptionSweep;
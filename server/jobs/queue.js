@@ -1,4 +1,4 @@
-#!/*
+/*
  * File: server/jobs/queue.js
  * STATUS: PRODUCTION-READY | INDUSTRIAL EVENT BUS
  * -----------------------------------------------------------------------------
@@ -9,7 +9,7 @@
  * -----------------------------------------------------------------------------
  */
 
-const { Queue } = require('bullmq');
+import { Queue } from 'bullmq';
 
 /*
  * REDIS ENGINE CONFIGURATION
@@ -91,10 +91,24 @@ const bundleQueue = createQueue('DOC_ARCHITECT');
  */
 const sheriffQueue = createQueue('LOG_TRACKER');
 
+/*
+ * 5. WORKFLOW ENGINE (Domain-event triggers, automatic steps & SLA timers)
+ * Durable: instance state lives in MongoDB; jobs only tell the engine when to look again.
+ */
+const workflowQueue = createQueue('WF_ENGINE');
+
+/*
+ * 6. EVENT OUTBOX (Domain-event relay & signed webhook deliveries)
+ * Durable: events and deliveries live in MongoDB; retries are scheduled by the relay with its own backoff.
+ */
+const outboxQueue = createQueue('EVENT_OUTBOX');
+
 export default {
   notificationQueue,
   invoiceQueue,
   bundleQueue,
   sheriffQueue,
+  workflowQueue,
+  outboxQueue,
   connection, // Exported for Worker ingestion
 };
@@ -0,0 +1,48 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TRUST INVESTMENT INTEREST JOB [V1.0.0-FIDUCIARY]                                                                            ║
+ * ║ [DAILY s86 ACCRUAL 00:30 | MONTH-END ALLOCATION 01:00 ON THE 1ST]                                                                      ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/jobs/trustInterestJob.js                                                  ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import cron from 'node-cron';
+import { trustInvestmentService } from '../services/trustInvestmentService.js';
+import auditLogger from '../utils/auditLogger.js';
+
+/**
+ * Accrues yesterday's interest on every active investment.
+ * @returns {Promise<{ accrued: number, total: number }>}
+ */
+export async function runDailyAccrual(asOf = new Date()) {
+  const result = await trustInvestmentService.accrueAll(asOf);
+  console.log(`[TRUST-INTEREST] 📈 Daily accrual: ${result.accrued}/${result.total} investment(s) accrued.`);
+  return result;
+}
+
+/**
+ * Allocates the previous calendar month's interest (client share capitalised, Fidelity Fund share levied).
+ * Runs after the 00:30 accrual so the month's last day is included.
+ * @returns {Promise<{ allocated: number, total: number }>}
+ */
+export async function runMonthEndAllocation(now = new Date()) {
+  const previous = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  const period = { year: previous.getUTCFullYear(), month: previous.getUTCMonth() + 1 };
+  const result = await trustInvestmentService.allocateMonthEnd(period);
+  console.log(`[TRUST-INTEREST] 🏦 Month-end ${period.year}-${period.month}: ${result.allocated}/${result.total} investment(s) allocated.`);
+  return result;
+}
+
+const guard = (name, fn) => () => {
+  fn().catch((err) => {
+    console.error(`[CRON] ❌ ${name} crashed:`, err);
+    auditLogger.error(name, { error: err.message, stack: err.stack });
+  });
+};
+
+cron.schedule('30 0 * * *', guard('TRUST_INTEREST_ACCRUAL_FATAL', runDailyAccrual));
+cron.schedule('0 1 1 * *', guard('TRUST_INTEREST_ALLOCATION_FATAL', runMonthEndAllocation));
+
+export default runDailyAccrual;
@@ -0,0 +1,34 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WORKFLOW SLA SWEEP [V1.0.0-FLOW]                                                                                            ║
+ * ║ [EVERY 15 MINUTES | ESCALATE OVERDUE TASKS | CATCH TIMERS THE QUEUE LOST]                                                              ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/jobs/workflowSlaJob.js                                                    ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import cron from 'node-cron';
+import { workflowEngineService } from '../services/workflowEngineService.js';
+import auditLogger from '../utils/auditLogger.js';
+
+/**
+ * Escalates every open workflow task whose SLA has run out and has not been escalated yet.
+ * @returns {Promise<{ checked: number, escalated: number }>}
+ */
+export async function runWorkflowSlaSweep(now = new Date()) {
+  const result = await workflowEngineService.sweepSla(now);
+  if (result.escalated) console.log(`[WORKFLOW] ⏱️ SLA sweep: ${result.escalated} task(s) escalated.`);
+  return result;
+}
+
+const guard = (name, fn) => () => {
+  fn().catch((err) => {
+    console.error(`[CRON] ❌ ${name} crashed:`, err);
+    auditLogger.error(name, { error: err.message, stack: err.stack });
+  });
+};
+
+cron.schedule('*/15 * * * *', guard('WORKFLOW_SLA_SWEEP_FATAL', runWorkflowSlaSweep));
+
+export default runWorkflowSlaSweep;
@@ -0,0 +1,57 @@
+/*
+ * File: server/jobs/workflowWorker.js
+ * STATUS: PRODUCTION-READY | DURABLE WORKFLOW ENGINE
+ * -----------------------------------------------------------------------------
+ * PURPOSE:
+ * - Consume the WF_ENGINE queue from jobs/queue.js: start workflows from domain events, take automatic steps
+ *   and check SLA timers.
+ * - Designed to run in a dedicated worker process via registerBullMQWorker().
+ *
+ * COLLABORATION COMMENTS:
+ * - DESIGN NOTES:
+ *   * Jobs carry ids only; services/workflowEngineService.js reloads instance state from MongoDB, so a retried or
+ *     duplicated job can never apply a stale step.
+ *   * Without REDIS_HOST the engine runs these jobs in-process and jobs/workflowSlaJob.js handles SLA timers.
+ * - OPERATIONS:
+ *   * With REDIS_HOST set, jobs/backgroundJobs.js registers this worker.
+ * -----------------------------------------------------------------------------
+ */
+
+import { Worker } from 'bullmq';
+import queues from './queue.js';
+import { workflowEngineService } from '../services/workflowEngineService.js';
+import logger from '../utils/logger.js';
+
+/* -------------------------
+   Worker processor
+   ------------------------- */
+
+export async function workflowProcessor(job) {
+  return workflowEngineService.process(job.name, job.data || {});
+}
+
+/* -------------------------
+   Registration helpers
+   ------------------------- */
+
+export function registerBullMQWorker({ concurrency = 4 } = {}) {
+  const worker = new Worker(queues.workflowQueue.name, workflowProcessor, {
+    connection: queues.connection,
+    concurrency,
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('workflowWorker.bullmq.failed', {
+      jobId: job?.id,
+      name: job?.name,
+      err: err && err.message ? err.message : err,
+    });
+  });
+
+  return worker;
+}
+
+export default {
+  workflowProcessor,
+  registerBullMQWorker,
+};
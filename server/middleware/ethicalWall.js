@@ -0,0 +1,72 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - ETHICAL WALL GATE [V1.0.0-WALL]                                                                                             ║
+ * ║ [BIND AUTHENTICATED USER TO QUERY CONTEXT | EXPLICIT MATTER REFERENCES | PER-PARAM GUARD]                                              ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/middleware/ethicalWall.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * tenantContext opens the async store before authentication, so the user has to be bound again here for
+ * models/plugins/ethicalWallPlugin.js to see who is asking. Mount after requireSovereignAuth.
+ */
+
+import { tenantStorage, getCurrentTenant } from './tenantContext.js';
+import ethicalWallService from '../services/ethicalWallService.js';
+
+// Where matter references arrive on requests that do not carry them as route params
+const MATTER_REFERENCE_FIELDS = ['matterId', 'caseId'];
+
+const resourceOf = (req) => (req.baseUrl || req.originalUrl || '').split('/').filter(Boolean).pop() || 'api';
+
+/**
+ * @function bindEthicalWall
+ * @desc Binds the authenticated user for the wall plugin and refuses requests that name a screened matter
+ *       in the query string or body.
+ */
+export const bindEthicalWall = async (req, res, next) => {
+  const userId = req.user?._id || req.user?.id;
+  if (!userId) return next();
+
+  const subject = { tenantId: String(req.user?.tenantId || getCurrentTenant()), userId: String(userId) };
+  const store = tenantStorage.getStore();
+
+  const check = async () => {
+    let fault;
+    try {
+      for (const source of [req.query, req.body]) {
+        for (const field of MATTER_REFERENCE_FIELDS) {
+          const value = source?.[field];
+          if (typeof value === 'string') {
+            await ethicalWallService.assertMatterAccess(value, { resource: resourceOf(req), action: `${req.method} ${req.path}` });
+          }
+        }
+      }
+    } catch (error) {
+      fault = error;
+    }
+    next(fault);
+  };
+
+  if (store) {
+    store.ethicalWall = subject;
+    return check();
+  }
+  return tenantStorage.run({ tenantId: subject.tenantId, userId: subject.userId, ethicalWall: subject }, check);
+};
+
+/**
+ * @function requireMatterAccess
+ * @desc Route guard for a matter reference in a route param, e.g. `router.get('/:matterId', requireMatterAccess('matterId'), ...)`.
+ */
+export const requireMatterAccess = (param = 'matterId', resource) => async (req, res, next) => {
+  let fault;
+  try {
+    await ethicalWallService.assertMatterAccess(req.params[param], { resource: resource || resourceOf(req), action: `${req.method} ${req.path}` });
+  } catch (error) {
+    fault = error;
+  }
+  next(fault);
+};
+
+export default bindEthicalWall;
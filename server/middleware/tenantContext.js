@@ -18,7 +18,7 @@
  * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
  */
 
-import { AsyncLocalStorage } from 'node:async_hooks';
+import { AsyncLocalStorage, AsyncResource } from 'node:async_hooks';
 import crypto from 'node:crypto';
 import { performance } from 'node:perf_hooks';
 import chalk from 'chalk';
@@ -85,6 +85,16 @@ export const getCurrentRequestId = () => {
   return store?.requestId || `UNANCHORED-STRIKE-${Date.now()}`;
 };
 
+/**
+ * @function keepTenantContext
+ * @description Wraps a middleware so the handlers after it still run in the caller's tenant context.
+ * @param {Function} middleware - Express middleware that may call next() from its own event callbacks.
+ * @returns {Function} Express middleware.
+ * @collaboration multer calls next() from the upload stream's events, where async local storage has already lost the
+ * request, so uploads would otherwise be recorded against the anonymous user.
+ */
+export const keepTenantContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
 // ============================================================================
 // 🏛️ LATE-BINDING LOGGER ANCHOR
 // ============================================================================
@@ -0,0 +1,118 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - BANK STATEMENT IMPORT LEDGER [V1.0.0-FIDUCIARY]                                                                             ║
+ * ║ [LPC RULE 54.14 RECEIPTS | AUTO-MATCH REVIEW QUEUE | DUPLICATE LINE PROTECTION]                                                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/BankStatementImport.js                                             ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+export const STATEMENT_LINE_STATUS = Object.freeze({
+  AUTO_MATCHED: 'AUTO_MATCHED',
+  SUGGESTED: 'SUGGESTED',
+  UNMATCHED: 'UNMATCHED',
+  POSTING: 'POSTING',
+  POSTED: 'POSTED',
+  IGNORED: 'IGNORED',
+  DUPLICATE: 'DUPLICATE',
+  DEBIT: 'DEBIT'
+});
+
+/** Lines that still need a bookkeeper's attention. */
+export const REVIEW_QUEUE_STATUSES = Object.freeze([
+  STATEMENT_LINE_STATUS.AUTO_MATCHED,
+  STATEMENT_LINE_STATUS.SUGGESTED,
+  STATEMENT_LINE_STATUS.UNMATCHED
+]);
+
+const matchSuggestionSchema = new Schema({
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter', required: true },
+  matterNumber: String,
+  clientName: String,
+  score: { type: Number, min: 0, max: 1 },
+  reasons: [String]
+}, { _id: false });
+
+const statementLineSchema = new Schema({
+  lineId: { type: String, default: () => `BSL-${crypto.randomBytes(6).toString('hex').toUpperCase()}` },
+  lineNumber: { type: Number, required: true },
+  date: { type: Date, required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  direction: { type: String, enum: ['CREDIT', 'DEBIT'], required: true },
+  description: String,
+  reference: String,
+  payerName: String,
+  bankTransactionId: String,
+
+  // SHA-256 of the line's identifying fields – the same line in an overlapping statement is skipped.
+  fingerprint: { type: String, required: true },
+
+  status: { type: String, enum: Object.values(STATEMENT_LINE_STATUS), required: true },
+  suggestions: [matchSuggestionSchema],
+  matchedClientId: { type: Schema.Types.ObjectId, ref: 'Client' },
+  matchedMatterId: { type: Schema.Types.ObjectId, ref: 'Matter' },
+
+  postedTransactionId: String,
+  postedAt: Date,
+  postedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  reviewNote: String
+}, { _id: false });
+
+const bankStatementImportSchema = new Schema({
+  importId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `BSI-${crypto.randomBytes(8).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  format: { type: String, required: true },
+  filename: String,
+  fileHash: { type: String, required: true },
+  accountNumber: String,
+  statementDate: Date,
+  closingBalance: Number,
+  importedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  lines: [statementLineSchema],
+  summary: {
+    totalLines: { type: Number, default: 0 },
+    credits: { type: Number, default: 0 },
+    debits: { type: Number, default: 0 },
+    autoMatched: { type: Number, default: 0 },
+    suggested: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'bank_statement_imports'
+});
+
+bankStatementImportSchema.index({ tenantId: 1, fileHash: 1 }, { unique: true });
+bankStatementImportSchema.index({ tenantId: 1, 'lines.fingerprint': 1 });
+bankStatementImportSchema.index({ tenantId: 1, 'lines.status': 1 });
+
+/**
+ * @function fingerprintLine
+ * @desc Stable identity for a statement line across overlapping statement downloads. CSV exports carry no bank
+ * transaction id, so identical lines on the same day are told apart by their occurrence within the file.
+ */
+bankStatementImportSchema.statics.fingerprintLine = function (tenantId, line, occurrence = 0) {
+  const identity = line.bankTransactionId
+    || `${line.reference}|${line.description}|${occurrence}`;
+  return crypto.createHash('sha256')
+    .update(`${tenantId}|${line.date.toISOString().slice(0, 10)}|${line.direction}|${line.amount.toFixed(2)}|${identity}`)
+    .digest('hex');
+};
+
+const BankStatementImport = mongoose.models.BankStatementImport
+  || mongoose.model('BankStatementImport', bankStatementImportSchema);
+
+export default BankStatementImport;
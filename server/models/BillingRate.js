@@ -0,0 +1,35 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - BILLING RATE CARD [V1.0.0-BILLING]                                                                                          ║
+ * ║ [PER-ATTORNEY HOURLY RATES | MATTER-SPECIFIC OVERRIDES | EFFECTIVE DATING]                                                             ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/BillingRate.js                                                     ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A rate without matterId is the attorney's standard rate; with matterId it overrides it on that matter only.
+ * Resolution order lives in utils/timeEntryCalculations.resolveHourlyRate.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const billingRateSchema = new Schema({
+  tenantId: { type: String, required: true, index: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter' },
+  ratePerHour: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'ZAR' },
+  effectiveFrom: { type: Date, required: true, default: Date.now },
+  effectiveTo: { type: Date },
+  setBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  collection: 'billing_rates'
+});
+
+billingRateSchema.index({ tenantId: 1, userId: 1, matterId: 1, effectiveFrom: -1 });
+
+const BillingRate = mongoose.models.BillingRate || mongoose.model('BillingRate', billingRateSchema);
+export default BillingRate;
@@ -1,4 +1,4 @@
-#!/* eslint-disable */
+/* eslint-disable */
 /* ╔════════════════════════════════════════════════════════════════╗
   ║ CITATION MODEL - INVESTOR-GRADE MODULE                         ║
   ║ 85% cost reduction | R3.2M risk elimination | 90% margins      ║
@@ -42,12 +42,13 @@
 
 /* eslint-env node */
 
-const mongoose = require('mongoose');
-const auditLogger = require('../utils/auditLogger');
-const loggerRaw = require('../utils/logger');
-
-const logger = loggerRaw.default || loggerRaw;
-const cryptoUtils = require('../utils/cryptoUtils');
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import auditLogger from '../utils/auditLogger.js';
+import logger from '../utils/logger.js';
+import cryptoUtils from '../utils/cryptoUtils.js';
+import searchIndexPlugin from './plugins/searchIndexPlugin.js';
+import { INDEX_KINDS } from './SearchIndexEntry.js';
 
 /*
  * MERMAID INTEGRATION DIAGRAM:
@@ -233,37 +234,38 @@ const citationSchema = new mongoose.Schema(
 );
 
 /*
- * Pre-save middleware to generate citation hash and set retention dates
+ * Pre-validate middleware to generate the citation hash and set retention dates (both are required, so they must
+ * exist before validation runs)
  */
-citationSchema.pre('save', async function (next) {
-  try {
-    // Generate citation hash for tamper-evident tracking
-    if (!this.citationHash) {
-      const hashInput = `${this.tenantId}:${this.citingCase}:${this.citedPrecedent}:${
-        this.strength
-      }:${Date.now()}`;
-      this.citationHash = cryptoUtils.sha256(hashInput);
-    }
-
-    // Set retention end based on policy
-    if (!this.retentionEnd) {
-      const retentionYears = {
-        companies_act_10_years: 10,
-        popia_retention_6_years: 6,
-        permanent_precedent: 100, // Practical permanent
-      };
-      const years = retentionYears[this.retentionPolicy] || 10;
-      this.retentionEnd = new Date();
-      this.retentionEnd.setFullYear(this.retentionEnd.getFullYear() + years);
-    }
-
-    this.updatedAt = new Date();
-    next();
-  } catch (error) {
-    next(error);
+citationSchema.pre('validate', function () {
+  // Generate citation hash for tamper-evident tracking
+  if (!this.citationHash) {
+    const hashInput = `${this.tenantId}:${this.citingCase}:${this.citedPrecedent}:${
+      this.strength
+    }:${Date.now()}`;
+    this.citationHash = crypto.createHash('sha256').update(hashInput).digest('hex');
+  }
+
+  // Set retention end based on policy
+  if (!this.retentionEnd) {
+    const retentionYears = {
+      companies_act_10_years: 10,
+      popia_retention_6_years: 6,
+      permanent_precedent: 100, // Practical permanent
+    };
+    const years = retentionYears[this.retentionPolicy] || 10;
+    this.retentionEnd = new Date();
+    this.retentionEnd.setFullYear(this.retentionEnd.getFullYear() + years);
   }
 });
 
+/*
+ * Pre-save middleware to stamp the update time
+ */
+citationSchema.pre('save', function () {
+  this.updatedAt = new Date();
+});
+
 /*
  * Post-save middleware for audit logging
  */
@@ -373,7 +375,6 @@ citationSchema.statics.calculatePrecedentStrength = async function (precedentId,
 /*
  * ASSUMPTIONS:
  * - Model names: 'Case' and 'Precedent' exist in models/
- * - cryptoUtils.sha256 exists and returns hex string
  * - cryptoUtils.redactSensitive exists for PII redaction
  * - auditLogger.log accepts retentionPolicy, dataResidency, retentionStart
  * - tenantId regex: ^[a-zA-Z0-9_-]{8,64}$
@@ -381,7 +382,10 @@ citationSchema.statics.calculatePrecedentStrength = async function (precedentId,
  * - dataResidency defaults: ZA
  */
 
-const Citation = mongoose.model('Citation', citationSchema);
+// Citations are searchable by pinpoint, court and reasoning
+citationSchema.plugin(searchIndexPlugin, { kind: INDEX_KINDS.CITATION });
+
+const Citation = mongoose.models.Citation || mongoose.model('Citation', citationSchema);
 
 // Export constants for testing and linting
 const RETENTION_POLICIES = {
@@ -398,5 +402,4 @@ const AUTHORITY_TYPES = {
 };
 
 export default Citation;
-module.exports.RETENTION_POLICIES = RETENTION_POLICIES;
-module.exports.AUTHORITY_TYPES = AUTHORITY_TYPES;
+export { RETENTION_POLICIES, AUTHORITY_TYPES };
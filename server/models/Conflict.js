@@ -1,4 +1,4 @@
-#!/*
+/*
 
 ╔══════════════════════════════════════════════════════════════════════════════╗
 ║                                                                              ║
@@ -38,8 +38,8 @@
  * @author Wilson Khanyezi
  */
 
-const mongoose = require('mongoose');
-const mongooseSequence = require('mongoose-sequence')(mongoose);
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
 
 const { Schema } = mongoose;
 
@@ -62,7 +62,7 @@ const ConflictSchema = new Schema(
       },
     },
 
-    conflictId: { type: Number, unique: true, index: true },
+    conflictId: { type: Number, index: true },
 
     conflictReference: {
       type: String,
@@ -239,6 +239,19 @@ const ConflictSchema = new Schema(
         wallId: String,
         participants: [Schema.Types.ObjectId],
         reviewDate: Date,
+        // Access attempts the wall refused, kept for the risk partner (newest 500)
+        blockedAttempts: [
+          {
+            _id: false,
+            userId: String,
+            resource: String,
+            action: String,
+            recordId: String,
+            matterId: String,
+            traceId: String,
+            attemptedAt: Date,
+          },
+        ],
       },
     },
 
@@ -338,15 +351,25 @@ const ConflictSchema = new Schema(
   }
 );
 
-// ==================== PLUGINS ====================
-ConflictSchema.plugin(mongooseSequence, {
-  id: 'conflict_seq',
-  inc_field: 'conflictId',
-  reference_fields: ['tenantId'],
+// ==================== SEQUENCE ====================
+// Per-tenant running number from the shared Counter, floored at the highest number issued before it took over
+ConflictSchema.pre('validate', async function () {
+  if (!this.isNew || this.conflictId) return;
+  const latest = await this.constructor
+    .findOne({ tenantId: this.tenantId, conflictId: { $exists: true } })
+    .sort({ conflictId: -1 })
+    .select('conflictId')
+    .session(this.$session())
+    .lean();
+  this.conflictId = await Counter.next(
+    { model: 'Conflict', field: 'conflictId', tenantId: this.tenantId },
+    this.$session(),
+    { floor: latest?.conflictId }
+  );
 });
 
 // ==================== MIDDLEWARE ====================
-ConflictSchema.pre('save', function (next) {
+ConflictSchema.pre('save', function () {
   this.audit.updatedAt = new Date();
 
   // Auto-set resolution date when status changes to resolved
@@ -363,15 +386,12 @@ ConflictSchema.pre('save', function (next) {
   ) {
     this.status = 'active';
   }
-
-  next();
 });
 
-ConflictSchema.pre('remove', function (next) {
+ConflictSchema.pre('deleteOne', { document: true, query: false }, function () {
   if (['active', 'escalated'].indexOf(this.status) !== -1) {
-    next(new Error('Active conflicts cannot be deleted. Archive instead.'));
+    throw new Error('Active conflicts cannot be deleted. Archive instead.');
   }
-  next();
 });
 
 // ==================== VIRTUAL PROPERTIES ====================
@@ -412,14 +432,16 @@ ConflictSchema.statics.findByTenant = function (tenantId, options, callback) {
   if (status) query.status = status;
   if (severity) query.severity = severity;
 
-  this.find(query)
+  const found = this.find(query)
     .sort({ 'detection.detectionDate': -1 })
     .skip(skip)
     .limit(limit)
     .populate('audit.createdBy', 'name email')
     .populate('audit.updatedBy', 'name email')
-    .populate('parties.affectedIndividuals.userId', 'name role email')
-    .exec(callback);
+    .populate('parties.affectedIndividuals.userId', 'name role email');
+
+  if (!callback) return found;
+  found.then((conflicts) => callback(null, conflicts), callback);
 };
 
 ConflictSchema.statics.screenForConflicts = function (tenantId, screeningData, callback) {
@@ -642,7 +664,7 @@ ConflictSchema.index({ tenantId: 1, 'parties.primaryParty.name': 1 });
 ConflictSchema.index({ tenantId: 1, 'parties.affectedIndividuals.userId': 1 });
 ConflictSchema.index({ tenantId: 1, 'detection.detectionDate': -1 });
 ConflictSchema.index({ 'audit.createdAt': -1 });
-ConflictSchema.index({ conflictReference: 1 }, { unique: true });
+ConflictSchema.index({ tenantId: 1, conflictId: 1 }, { unique: true, sparse: true });
 
 // ==================== EXPORT ====================
 export default mongoose.model('Conflict', ConflictSchema);
@@ -0,0 +1,56 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SEQUENCE COUNTER [V1.0.0-BILLING]                                                                                           ║
+ * ║ [PER-TENANT, PER-YEAR CONSECUTIVE NUMBERING | TRANSACTION-SAFE]                                                                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/Counter.js                                                         ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Incrementing inside the caller's session means an aborted transaction also rolls back the number, so no gaps appear.
+ * The collection is shared with mongoose-sequence, whose `{ id, reference_value, seq }` documents have none of these
+ * fields, so the unique key only covers documents written here. A `year` of 0 is a sequence that never restarts.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const counterSchema = new Schema({
+  model: { type: String, required: true },
+  field: { type: String, required: true },
+  tenantId: { type: String, required: true },
+  year: { type: Number, default: 0 },
+  sequence: { type: Number, default: 0 }
+}, {
+  collection: 'counters'
+});
+
+counterSchema.index(
+  { model: 1, field: 1, tenantId: 1, year: 1 },
+  { unique: true, partialFilterExpression: { model: { $exists: true } } }
+);
+
+/**
+ * @function next
+ * @desc Atomically claims the next number in a sequence. `floor` is the highest number already in use, for a
+ *       sequence that was numbered before it had a counter here; the next number is never at or below it.
+ */
+counterSchema.statics.next = async function next({ model, field, tenantId, year = 0 }, session, { floor } = {}) {
+  if (floor) {
+    await this.updateOne(
+      { model, field, tenantId: String(tenantId), year },
+      { $max: { sequence: floor } },
+      { upsert: true, session }
+    );
+  }
+  const counter = await this.findOneAndUpdate(
+    { model, field, tenantId: String(tenantId), year },
+    { $inc: { sequence: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
+  );
+  return counter.sequence;
+};
+
+const Counter = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+export default Counter;
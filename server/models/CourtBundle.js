@@ -0,0 +1,97 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - COURT BUNDLE [V1.0.0-BUNDLE]                                                                                                ║
+ * ║ [SECTIONED DOCUMENT SELECTION | PAGE RANGES | COMPILE STATUS | DOCUMENT FINGERPRINTS]                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/CourtBundle.js                                                     ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The compiled PDF lives in the PDF vault under `output.traceId`. Each document keeps the fingerprint it was compiled
+ * from, so regeneration can tell whether anything actually changed.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { SECTION_CODES } from '../utils/bundleCompiler.js';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
+
+const { Schema } = mongoose;
+
+export const BUNDLE_STATUS = Object.freeze({
+  QUEUED: 'QUEUED',
+  COMPILING: 'COMPILING',
+  READY: 'READY',
+  FAILED: 'FAILED',
+  ARCHIVED: 'ARCHIVED'
+});
+
+const bundleDocumentSchema = new Schema({
+  documentId: { type: Schema.Types.ObjectId, ref: 'Document', required: true },
+  order: { type: Number, required: true },
+  section: { type: String, enum: SECTION_CODES, default: 'NONE' },
+  title: { type: String, trim: true },
+  fingerprint: { type: String },
+  // Filled in by the compiler
+  item: { type: String },
+  pageStart: { type: Number },
+  pageEnd: { type: Number },
+  pageCount: { type: Number }
+}, { _id: false });
+
+const courtBundleSchema = new Schema({
+  bundleId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `BND-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  caseId: { type: Schema.Types.ObjectId, ref: 'Matter', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 500 },
+
+  documents: {
+    type: [bundleDocumentSchema],
+    validate: {
+      validator: (docs) => docs.length >= 1 && docs.length <= 200,
+      message: 'A bundle holds between 1 and 200 documents'
+    }
+  },
+  options: {
+    pagination: { type: Boolean, default: true },
+    tableOfContents: { type: Boolean, default: true },
+    watermark: { type: String, trim: true, maxlength: 60 },
+    sectionTitles: {
+      A: String,
+      B: String,
+      C: String,
+      D: String
+    }
+  },
+
+  status: { type: String, enum: Object.values(BUNDLE_STATUS), default: BUNDLE_STATUS.QUEUED, index: true },
+  revision: { type: Number, default: 0 },
+  error: { type: String },
+  output: {
+    traceId: String,
+    totalPages: Number,
+    indexPages: Number,
+    sizeBytes: Number,
+    sealHash: String,
+    compiledAt: Date
+  },
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  collection: 'court_bundles'
+});
+
+courtBundleSchema.index({ tenantId: 1, caseId: 1, createdAt: -1 });
+
+courtBundleSchema.plugin(ethicalWallPlugin, { matterField: 'caseId', resource: 'court_bundle' });
+
+const CourtBundle = mongoose.models.CourtBundle || mongoose.model('CourtBundle', courtBundleSchema);
+export default CourtBundle;
@@ -1,4 +1,4 @@
-#!/*
+/*
  * @file /Users/wilsonkhanyezi/legal-doc-system/server/models/DSARRequest.js
  * @module DSARRequest
  * @description Data Subject Access Request model for POPIA/GDPR compliance
@@ -27,8 +27,8 @@
  * @copyright Wilsy OS™ - All Rights Reserved
  */
 
-const crypto = require('crypto');
-const mongoose = require('mongoose');
+import crypto from 'node:crypto';
+import mongoose from 'mongoose';
 
 /*
  * @typedef {Object} DataSubjectInfo
@@ -532,7 +532,7 @@ DSARRequestSchema.index({ referenceNumber: 1 }, { unique: true }); // Reference
  * @description Ensures compliance with 72-hour POPIA requirement
  * @throws {Error} If state transition is invalid or SLA cannot be set
  */
-DSARRequestSchema.pre('save', function (next) {
+DSARRequestSchema.pre('save', async function () {
   // Generate reference number if not present
   if (!this.referenceNumber && this.isNew) {
     this.referenceNumber = this.constructor.generateReferenceNumber();
@@ -577,14 +577,14 @@ DSARRequestSchema.pre('save', function (next) {
       CANCELLED: [], // Terminal state
     };
 
-    const currentStatus = this.constructor.findById(this._id).select('status');
+    const currentStatus = await this.constructor.findById(this._id).select('status').lean();
     const previousStatus = currentStatus ? currentStatus.status : this._originalStatus;
 
     if (previousStatus && !allowedTransitions[previousStatus]?.includes(this.status)) {
       const err = new Error(`Invalid status transition from ${previousStatus} to ${this.status}`);
       err.code = 'INVALID_STATUS_TRANSITION';
       err.status = 400;
-      return next(err);
+      throw err;
     }
   }
 
@@ -592,8 +592,6 @@ DSARRequestSchema.pre('save', function (next) {
   if (this.status === 'SUBMITTED' && !this.slaDeadline) {
     this.slaDeadline = new Date((this.submittedAt || new Date()).getTime() + 72 * 60 * 60 * 1000);
   }
-
-  next();
 });
 
 // ==================== STATIC METHODS ====================
@@ -970,7 +968,7 @@ DSARRequestSchema.query.withSLAStatus = function (slaStatus) {
 };
 
 // ==================== EXPORT ====================
-export default mongoose.model('DSARRequest', DSARRequestSchema);
+export default mongoose.models.DSARRequest || mongoose.model('DSARRequest', DSARRequestSchema);
 
 // ==================== MIGRATION NOTES ====================
 /*
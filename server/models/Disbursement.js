@@ -0,0 +1,65 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - MATTER DISBURSEMENT [V1.0.0-BILLING]                                                                                        ║
+ * ║ [SHERIFF FEES | COURT FEES | COUNSEL | TRAVEL | RECOVERABLE COSTS AWAITING BILLING]                                                     ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/Disbursement.js                                                    ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+export const DISBURSEMENT_STATUS = Object.freeze({
+  UNBILLED: 'UNBILLED',
+  BILLED: 'BILLED',
+  WRITTEN_OFF: 'WRITTEN_OFF'
+});
+
+export const DISBURSEMENT_CATEGORIES = Object.freeze([
+  'SHERIFF_FEES',
+  'COURT_FEES',
+  'COUNSEL_FEES',
+  'EXPERT_FEES',
+  'DEEDS_OFFICE',
+  'TRAVEL',
+  'COPIES',
+  'POSTAGE_COURIER',
+  'OTHER'
+]);
+
+const disbursementSchema = new Schema({
+  disbursementId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `DSB-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter', required: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client' },
+
+  incurredOn: { type: Date, required: true },
+  category: { type: String, enum: DISBURSEMENT_CATEGORIES, default: 'OTHER' },
+  description: { type: String, required: true, trim: true, maxlength: 1000 },
+  supplier: { type: String, trim: true },
+  amount: { type: Number, required: true, min: 0 }, // excl. VAT
+  vatApplicable: { type: Boolean, default: true },
+
+  status: { type: String, enum: Object.values(DISBURSEMENT_STATUS), default: DISBURSEMENT_STATUS.UNBILLED, index: true },
+  preBillId: { type: String, index: true },
+  invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice' },
+  billedAmount: { type: Number },
+  recordedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  collection: 'disbursements'
+});
+
+disbursementSchema.index({ tenantId: 1, matterId: 1, status: 1 });
+
+const Disbursement = mongoose.models.Disbursement || mongoose.model('Disbursement', disbursementSchema);
+export default Disbursement;
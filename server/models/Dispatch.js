@@ -1,4 +1,4 @@
-#!/*
+/*
  * FILE: /server/models/Dispatch.js
  * PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/Dispatch.js
  * STATUS: EPITOME | PRODUCTION READY | GENERATIONAL ARCHITECTURE
@@ -60,23 +60,13 @@
  */
 
 // SACRED DEPENDENCIES - Minimal, secure, blessed
-const mongoose = require('mongoose');
-
-const { Schema } = mongoose;
-const crypto = require('crypto');
+import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 // AFRICAN SERVICE INTEGRATIONS
-const africanSMS = require('@africa/sms-provider'); // Multi-carrier African SMS
-const blockchain = require('@african-ledger'); // Pan-African blockchain
-const physicalCourier = require('@za-courier-network'); // South African courier API
-const { McEliece } = require('quantum-safe-crypto'); // Post-quantum for 100-year security
-
-// SECURITY: Quantum key generation for eternal security
-const generateDispatchKey = () => ({
-  quantumKey: McEliece.keyPair(4096),
-  temporalHash: crypto.createHash('sha3-512').update(Date.now().toString()).digest('hex'),
-  africanSalt: crypto.randomBytes(32), // Extra entropy from African servers
-});
+import { sendSMS } from '../services/smsService.js'; // Multi-carrier African SMS
+
+const { Schema } = mongoose;
 
 // -----------------------------------------------------------------------------
 // THE DISPATCH SCHEMA - Digital Hermes' Sacred Scroll
@@ -724,46 +714,11 @@ dispatchSchema.methods.initiateDivineDispatch = async function () {
 /*
  * @method dispatchPhysicalCourier
  * @description Dispatches via South African courier network
- * @param {Object} channel - Courier channel configuration
- * @returns {Promise} Courier dispatch result
- *
- * AFRICAN REALITY: Handles load shedding, traffic, complex addressing
+ * @returns {Promise} Rejects until a courier API is integrated
  */
-dispatchSchema.methods.dispatchPhysicalCourier = async function (channel) {
-  const courierPayload = {
-    origin: {
-      firmId: this.origin.firmId.toString(),
-      lawyerName: await this.getLawyerName(),
-    },
-    destination: this.recipient.physical,
-    document: {
-      type: this.content.documentType,
-      urgency: this.content.urgency,
-      weight: this.content.legalWeight,
-    },
-    specialInstructions: this.getAfricanInstructions(),
-  };
-
-  // Integrate with South African courier APIs
-  const result = await physicalCourier.createDispatch(courierPayload);
-
-  channel.status = 'DISPATCHED';
-  channel.trackingId = result.trackingId;
-  channel.cost = result.estimatedCost || 150; // ZAR
-
-  // Add to audit trail
-  this.auditTrail.push({
-    action: 'CHANNEL_ACTIVATED',
-    actorType: 'System',
-    actor: 'CourierAPI',
-    notes: `Physical courier dispatched via ${channel.provider}`,
-    location: {
-      city: 'Johannesburg',
-      country: 'ZA',
-    },
-  });
-
-  return { status: 'DISPATCHED', trackingId: result.trackingId };
+dispatchSchema.methods.dispatchPhysicalCourier = async function () {
+  // No courier network is integrated yet, so initiateDivineDispatch records the channel as FAILED
+  throw new Error('No courier integration is configured for physical dispatch');
 };
 
 /*
@@ -784,16 +739,18 @@ dispatchSchema.methods.dispatchAfricanSMS = async function (channel) {
   // Generate African OTP (6 digits, culturally appropriate)
   const otp = this.generateAfricanOTP();
 
-  const smsPayload = {
+  // Send via the firm's SMS providers, falling back across carriers
+  const result = await sendSMS({
     to: this.normalizeAfricanNumber(recipientNumber),
     message: this.createSMSMessage(otp),
-    sender: 'WilsyJustice',
-    urgency: this.content.urgency === 'DIVINE_IMMEDIATE' ? 'HIGH' : 'NORMAL',
-    deliveryReport: true,
-  };
-
-  // Send via appropriate African carrier
-  const result = await africanSMS.send(smsPayload);
+    metadata: {
+      sender: 'WilsyJustice',
+      urgency: this.content.urgency === 'DIVINE_IMMEDIATE' ? 'HIGH' : 'NORMAL',
+    },
+  });
+  if (!result.success) {
+    throw new Error(`SMS dispatch failed: ${result.error}`);
+  }
 
   channel.status = 'DISPATCHED';
   channel.trackingId = result.messageId;
@@ -811,40 +768,11 @@ dispatchSchema.methods.dispatchAfricanSMS = async function (channel) {
 /*
  * @method recordOnAfricanBlockchain
  * @description Records immutable proof on pan-African blockchain
- * @param {Object} channel - Blockchain channel configuration
- * @returns {Promise} Blockchain record result
- *
- * SOVEREIGNTY: Creates eternal, court-admissible proof
+ * @returns {Promise} Rejects until a dispatch ledger is integrated
  */
 dispatchSchema.methods.recordOnAfricanBlockchain = async function () {
-  const blockData = {
-    dispatchId: this.sacredId,
-    hash: this.calculateContentHash(),
-    origin: this.origin.firmId.toString(),
-    recipientHash: this.hashRecipient(),
-    timestamp: new Date().toISOString(),
-    legalJurisdiction: 'ZA', // South African law applies
-  };
-
-  const result = await blockchain.submit(blockData);
-
-  // Add to timestamp chain
-  this.security.timestampChain.push({
-    hash: result.blockHash,
-    timestamp: new Date(),
-    blockHeight: result.blockHeight,
-    previousHash: this.security.timestampChain.slice(-1)[0]?.hash || 'GENESIS',
-  });
-
-  this.auditTrail.push({
-    action: 'BLOCKCHAIN_CONFIRMED',
-    actorType: 'System',
-    actor: 'AfricanBlockchain',
-    notes: `Immutable record created at block ${result.blockHeight}`,
-    quantumProof: result.blockHash,
-  });
-
-  return { status: 'IMMUTABLY_RECORDED', blockHash: result.blockHash };
+  // No ledger is integrated for dispatches yet; the content hash and audit trail remain the proof
+  throw new Error('No blockchain integration is configured for dispatch records');
 };
 
 // -----------------------------------------------------------------------------
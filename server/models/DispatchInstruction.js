@@ -0,0 +1,101 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SHERIFF DISPATCH INSTRUCTION [V1.0.0-DISPATCH]                                                                              ║
+ * ║ [SERVICE ADDRESS + GEOPOINT | TIME WINDOW | SHERIFF ASSIGNMENT | ROUTE SEQUENCE]                                                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/DispatchInstruction.js                                             ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * One field instruction for a sheriff (service of process, writ execution, eviction). `location` is a GeoJSON point
+ * ([lng, lat]) so the board can match it against Sheriff.coverageArea.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+export const INSTRUCTION_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  ASSIGNED: 'ASSIGNED',
+  IN_PROGRESS: 'IN_PROGRESS',
+  PROBLEM: 'PROBLEM',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED'
+});
+
+export const OPEN_INSTRUCTION_STATUSES = Object.freeze([
+  INSTRUCTION_STATUS.PENDING,
+  INSTRUCTION_STATUS.ASSIGNED,
+  INSTRUCTION_STATUS.IN_PROGRESS,
+  INSTRUCTION_STATUS.PROBLEM
+]);
+
+export const SERVICE_TYPES = Object.freeze([
+  'personal_service',
+  'urgent_service_rule_6_12',
+  'writ_execution_movables',
+  'writ_execution_immovables',
+  'ejectment_eviction',
+  'corporate_service',
+  'other'
+]);
+
+const dispatchInstructionSchema = new Schema({
+  instructionId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `DIS-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter' },
+  serviceType: { type: String, enum: SERVICE_TYPES, default: 'personal_service' },
+  urgency: { type: String, enum: ['standard', 'urgent'], default: 'standard' },
+  recipientName: { type: String, trim: true },
+
+  address: {
+    street: String,
+    suburb: String,
+    city: String,
+    province: String,
+    postalCode: String
+  },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true,
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length === 2 && Math.abs(v[0]) <= 180 && Math.abs(v[1]) <= 90,
+        message: 'location.coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+
+  // Service must be attempted inside this window (e.g. business hours, court-ordered time)
+  windowStart: { type: Date },
+  windowEnd: { type: Date },
+  serviceMinutes: { type: Number, min: 1, max: 480, default: 15 },
+  deadlineAt: { type: Date },
+
+  status: { type: String, enum: Object.values(INSTRUCTION_STATUS), default: INSTRUCTION_STATUS.PENDING, index: true },
+  sheriffId: { type: Schema.Types.ObjectId, ref: 'Sheriff', index: true },
+  assignedAt: { type: Date },
+  assignedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  routeSequence: { type: Number },
+  plannedArrival: { type: Date },
+  completedAt: { type: Date },
+  outcomeNotes: { type: String, maxlength: 2000 },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  collection: 'dispatch_instructions'
+});
+
+dispatchInstructionSchema.index({ location: '2dsphere' });
+dispatchInstructionSchema.index({ tenantId: 1, status: 1, sheriffId: 1 });
+
+const DispatchInstruction = mongoose.models.DispatchInstruction || mongoose.model('DispatchInstruction', dispatchInstructionSchema);
+export default DispatchInstruction;
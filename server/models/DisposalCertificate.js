@@ -1,4 +1,4 @@
-#!/*= ==========================================================================
+/*= ==========================================================================
   WILSY OS - SUPREME ARCHITECT GENERATED FILE
   ===========================================================================
   ██████╗ ██╗███████╗██████╗  ██████╗ █████╗ ██╗     ███████╗    ██████╗ ███████╗██████╗ ████████╗██╗███████╗██╗ █████╗ ████████╗███████╗
@@ -26,8 +26,9 @@
        trail defensibility, and eliminate manual certificate verification costs.
   ========================================================================== */
 
-const crypto = require('crypto');
-const mongoose = require('mongoose');
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import legalHoldService from '../services/legalHoldService.js';
 
 /*
  * MERMAID DIAGRAM - Disposal Certificate Lifecycle
@@ -437,7 +438,7 @@ disposalCertificateSchema.index(
  */
 
 // Generate audit trail hash before saving
-disposalCertificateSchema.pre('save', function (next) {
+disposalCertificateSchema.pre('save', function () {
   const certificate = this;
 
   // Update timestamp
@@ -461,11 +462,8 @@ disposalCertificateSchema.pre('save', function (next) {
   // Validate witness for high-sensitivity records
   const sensitivity = certificate.originalRecord && certificate.originalRecord.sensitivityLevel;
   if ((sensitivity === 'TOP_SECRET' || sensitivity === 'RESTRICTED') && !certificate.witnessId) {
-    const error = new Error('Witness is required for high-sensitivity record disposal');
-    return next(error);
+    throw new Error('Witness is required for high-sensitivity record disposal');
   }
-
-  next();
 });
 
 /*
@@ -473,7 +471,7 @@ disposalCertificateSchema.pre('save', function (next) {
  */
 
 // Validate tenant context before validation
-disposalCertificateSchema.pre('validate', function (next) {
+disposalCertificateSchema.pre('validate', function () {
   const certificate = this;
 
   // Ensure tenant ID follows format
@@ -489,8 +487,18 @@ disposalCertificateSchema.pre('validate', function (next) {
       certificate.complianceReferences.push('POPIA §14');
     }
   }
+});
 
-  next();
+// A certificate attests to a disposal, so none may be issued for a record an active legal hold still preserves
+disposalCertificateSchema.pre('validate', async function () {
+  if (!this.isNew || !this.tenantId || !this.recordId) return;
+  const tenantId = this.tenantId.replace(/^tenant_/, '');
+  const facts = await legalHoldService.recordFacts(this.recordType, this.recordId, this.originalRecord || {});
+  await legalHoldService.assertNotHeld(tenantId, facts, {
+    resource: `disposal_certificate:${this.recordType}`,
+    action: 'certify',
+    recordId: this.recordId
+  });
 });
 
 /*
@@ -722,7 +730,7 @@ function generateCertificateHash(certificate) {
 }
 
 // Create and export the model
-const DisposalCertificate = mongoose.model('DisposalCertificate', disposalCertificateSchema);
+const DisposalCertificate = mongoose.models.DisposalCertificate || mongoose.model('DisposalCertificate', disposalCertificateSchema);
 
 export default DisposalCertificate;
 
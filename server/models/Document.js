@@ -14,6 +14,14 @@
 
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
+import legalHoldPlugin from './plugins/legalHoldPlugin.js';
+import searchIndexPlugin from './plugins/searchIndexPlugin.js';
+import { INDEX_KINDS } from './SearchIndexEntry.js';
+import domainEventPlugin from './plugins/domainEventPlugin.js';
+import { DOMAIN_EVENTS } from '../services/domainEventService.js';
+import { documentHoldFacts } from '../utils/legalHold.js';
+import { OCR_STATUS } from './DocumentVersion.js';
 
 const { Schema } = mongoose;
 
@@ -38,10 +46,24 @@ const DocumentSchema = new Schema({
     // index: true removed - enforced in Single Source of Truth below
   },
 
+  matterId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Matter'
+  },
+
+  // A document a client uploads through the portal has no creator in the firm; clientUpload says who sent it
   createdBy: {
     type: Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Creator ID is required']
+    required: [function () { return !this.clientUpload?.accountId; }, 'Creator ID is required']
+  },
+
+  clientUpload: {
+    accountId: String,
+    clientId: { type: Schema.Types.ObjectId, ref: 'Client' },
+    ficaType: String,
+    note: { type: String, trim: true, maxlength: 500 },
+    uploadedAt: Date
   },
 
   updatedBy: {
@@ -60,10 +82,21 @@ const DocumentSchema = new Schema({
     default: ''
   },
 
+  // Binary location (set when an upload is finalised) and its SHA-256 fingerprint
+  storageKey: {
+    type: String
+  },
+
+  contentHash: {
+    type: String
+  },
+
   metadata: {
     fileSize: Number,
     mimeType: String,
     fileExtension: String,
+    // Business classification (e.g. "contract", "email") that legal hold scopes can target
+    documentType: { type: String, lowercase: true, trim: true },
     pageCount: Number,
     wordCount: Number,
     language: String,
@@ -83,6 +116,12 @@ const DocumentSchema = new Schema({
     trim: true
   }],
 
+  // Folder path within the matter file, e.g. "Pleadings/Summons"
+  folder: {
+    type: String,
+    trim: true
+  },
+
   version: {
     type: Number,
     default: 1
@@ -95,6 +134,34 @@ const DocumentSchema = new Schema({
     changes: String
   }],
 
+  // The DocumentVersion (models/DocumentVersion.js) that storageKey and contentHash currently describe
+  currentVersionId: {
+    type: String
+  },
+
+  // Check-out lock: while it is held and unexpired only its holder can save a new version
+  checkout: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    checkedOutAt: Date,
+    expiresAt: Date,
+    comment: { type: String, trim: true, maxlength: 500 }
+  },
+
+  // Text recognition for scans (services/ocrService.js). The text is indexed for search while versionNumber is
+  // the current version; pages and their confidence are kept on that DocumentVersion.
+  ocr: {
+    status: { type: String, enum: Object.values(OCR_STATUS) },
+    sourceVersion: Number,
+    versionNumber: Number,
+    confidence: Number,
+    pageCount: Number,
+    text: String,
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    error: String
+  },
+
   signatures: [{
     userId: { type: Schema.Types.ObjectId, ref: 'User' },
     signature: String,
@@ -111,10 +178,16 @@ const DocumentSchema = new Schema({
   auditLog: [{
     action: {
       type: String,
-      enum: ['CREATED', 'VIEWED', 'EDITED', 'PUBLISHED', 'ARCHIVED', 'DELETED', 'SIGNED', 'EXPORTED', 'SHARED'],
+      enum: [
+        'CREATED', 'VIEWED', 'EDITED', 'PUBLISHED', 'ARCHIVED', 'DELETED', 'SIGNED', 'EXPORTED', 'SHARED', 'CHECKED_OUT', 'CHECKED_IN',
+        'RESTORED', 'REDACTED', 'SHARE_OPENED', 'SHARE_CODE_SENT', 'SHARE_VERIFIED', 'SHARE_DENIED', 'SHARE_VIEWED', 'SHARE_DOWNLOADED',
+        'SHARE_REVOKED', 'OCR_PROCESSED', 'CLIENT_SHARED', 'CLIENT_UNSHARED', 'CLIENT_DOWNLOADED', 'CLIENT_UPLOADED'
+      ],
       required: true
     },
-    performedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // A firm user, or for someone opening an external share or a client in the portal, their email in externalActor
+    performedBy: { type: Schema.Types.ObjectId, ref: 'User', required: function () { return !this.externalActor; } },
+    externalActor: String,
     timestamp: { type: Date, default: Date.now },
     ipAddress: String,
     userAgent: String,
@@ -153,7 +226,13 @@ const DocumentSchema = new Schema({
       sharedBy: { type: Schema.Types.ObjectId, ref: 'User' }
     }],
     publicLink: String,
-    publicLinkExpiry: Date
+    publicLinkExpiry: Date,
+    // Visible in the client portal to the client whose matter it is filed on
+    client: {
+      shared: { type: Boolean, default: false },
+      sharedAt: Date,
+      sharedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+    }
   }
 }, {
   timestamps: true,
@@ -175,11 +254,15 @@ DocumentSchema.index({ createdBy: 1 });
 DocumentSchema.index({ status: 1 });
 DocumentSchema.index({ tenantId: 1, status: 1 });
 DocumentSchema.index({ tenantId: 1, createdBy: 1 });
+DocumentSchema.index({ tenantId: 1, matterId: 1 });
+DocumentSchema.index({ tenantId: 1, matterId: 1, folder: 1 });
 DocumentSchema.index({ tags: 1 });
 DocumentSchema.index({ categories: 1 });
 DocumentSchema.index({ createdAt: -1 });
 DocumentSchema.index({ updatedAt: -1 });
 DocumentSchema.index({ 'sharing.sharedWith.userId': 1 });
+DocumentSchema.index({ tenantId: 1, matterId: 1, 'sharing.client.shared': 1 });
+DocumentSchema.index({ tenantId: 1, 'clientUpload.clientId': 1 });
 
 // ╔═══════════════════════════════════════════════════════════════════════════╗
 // ║ VIRTUALS                                                                  ║
@@ -298,5 +381,42 @@ DocumentSchema.statics.getStats = async function(tenantId) {
   return { total, byStatus: stats };
 };
 
+// Screened from users behind an ethical wall on the matter
+DocumentSchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'document' });
+DocumentSchema.plugin(legalHoldPlugin, { resource: 'document', facts: documentHoldFacts, deletedStatus: 'deleted' });
+DocumentSchema.plugin(searchIndexPlugin, { kind: INDEX_KINDS.DOCUMENT });
+DocumentSchema.plugin(domainEventPlugin, {
+  subject: 'document',
+  events: [{
+    type: DOMAIN_EVENTS.DOCUMENT_UPLOADED,
+    when: (doc, { wasNew }) => wasNew,
+    payload: (doc) => ({
+      documentId: String(doc._id),
+      title: doc.title,
+      documentType: doc.metadata?.documentType || doc.metadata?.fileExtension?.toLowerCase(),
+      mimeType: doc.metadata?.mimeType,
+      pageCount: doc.metadata?.pageCount,
+      status: doc.status,
+      createdBy: String(doc.createdBy),
+      matterId: doc.matterId ? String(doc.matterId) : undefined
+    })
+  }, {
+    type: DOMAIN_EVENTS.DOCUMENT_SIGNED,
+    when: (doc, { wasNew, modified }) => !wasNew && modified.includes('signatures') && doc.signatures.length > 0,
+    payload: (doc) => {
+      const latest = doc.signatures[doc.signatures.length - 1];
+      return {
+        documentId: String(doc._id),
+        title: doc.title,
+        signatureCount: doc.signatures.length,
+        signedBy: latest.userId ? String(latest.userId) : undefined,
+        signedAt: latest.signedAt,
+        contentHash: doc.contentHash,
+        matterId: doc.matterId ? String(doc.matterId) : undefined
+      };
+    }
+  }]
+});
+
 const Document = mongoose.model('Document', DocumentSchema);
 export default Document;
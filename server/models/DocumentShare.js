@@ -0,0 +1,85 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - EXTERNAL DOCUMENT SHARE [V1.0.0-SHARING]                                                                                    ║
+ * ║ [ONE RECIPIENT | PINNED VERSION | EXPIRY | PASSWORD OR OTP | DOWNLOAD LIMIT | VIEW-ONLY | INSTANT REVOCATION]                          ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/DocumentShare.js                                                   ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A link that lets one person outside the firm open one version of a Document until it expires or is revoked. Link
+ * and session tokens and codes are kept as SHA-256 hashes and the password as a bcrypt hash, none of them selected
+ * by default. What the recipient does with the link is written to the Document's auditLog.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { SHARE_PROTECTION, SHARE_STATUS, shareStatus } from '../utils/documentSharing.js';
+
+const { Schema } = mongoose;
+
+const documentShareSchema = new Schema({
+  shareId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    default: () => `SHR-${crypto.randomBytes(8).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, immutable: true, index: true },
+  documentId: { type: Schema.Types.ObjectId, ref: 'Document', required: true, immutable: true },
+  // The version shared; later versions are not shown through this link
+  versionNumber: { type: Number, required: true, min: 1, immutable: true },
+  pageCount: { type: Number, min: 1 },
+
+  recipient: {
+    email: { type: String, required: true, lowercase: true, trim: true, immutable: true },
+    name: { type: String, trim: true },
+    phone: { type: String, trim: true }
+  },
+  message: { type: String, trim: true, maxlength: 1000 },
+
+  protection: { type: String, enum: Object.values(SHARE_PROTECTION), required: true, immutable: true },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  passwordHash: { type: String, select: false },
+  passwordAttempts: { type: Number, default: 0 },
+  lockedUntil: Date,
+  otpChannel: String,
+  otpHash: { type: String, select: false },
+  otpSentAt: Date,
+  otpExpiresAt: Date,
+  otpSends: { type: Number, default: 0 },
+  otpAttempts: { type: Number, default: 0 },
+  sessionHash: { type: String, select: false },
+  sessionExpiresAt: Date,
+
+  expiresAt: { type: Date, required: true },
+  viewOnly: { type: Boolean, default: false },
+  // null: no limit
+  maxDownloads: { type: Number, default: null, min: 0 },
+  downloadCount: { type: Number, default: 0 },
+  viewCount: { type: Number, default: 0 },
+  lastAccessedAt: Date,
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true, immutable: true },
+  revokedAt: Date,
+  revokedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  revokeReason: { type: String, trim: true, maxlength: 1000 }
+}, {
+  timestamps: true,
+  collection: 'document_shares'
+});
+
+documentShareSchema.index({ tenantId: 1, documentId: 1, createdAt: -1 });
+documentShareSchema.index({ sessionHash: 1 }, { sparse: true });
+
+documentShareSchema.virtual('status').get(function () {
+  return shareStatus(this);
+});
+
+documentShareSchema.methods.isActive = function (now = new Date()) {
+  return shareStatus(this, now) === SHARE_STATUS.ACTIVE;
+};
+
+const DocumentShare = mongoose.models.DocumentShare || mongoose.model('DocumentShare', documentShareSchema);
+export default DocumentShare;
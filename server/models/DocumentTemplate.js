@@ -182,9 +182,17 @@ const documentTemplateSchema = new mongoose.Schema(
       },
       format: {
         type: String,
-        enum: ['handlebars', 'ejs', 'mustache', 'plain'],
+        enum: ['handlebars', 'ejs', 'mustache', 'plain', 'docx'],
         default: 'handlebars',
       },
+      // Word precedent for docx templates (utils/docxTemplate.js); raw holds its text
+      docx: {
+        data: { type: Buffer, select: false },
+        filename: String,
+        size: Number,
+        sha256: String,
+        uploadedAt: Date,
+      },
     },
     variables: [
       {
@@ -255,6 +263,15 @@ const documentTemplateSchema = new mongoose.Schema(
         emailNotification: Boolean,
         biometricRequired: Boolean,
         dualKeyRequired: Boolean,
+        // Where the embedded signature appears: PDF points from the bottom-left, negative pages count from the end
+        field: {
+          name: String,
+          page: Number,
+          x: Number,
+          y: Number,
+          width: Number,
+          height: Number,
+        },
       },
     ],
     witnessRequirements: {
@@ -0,0 +1,135 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DOCUMENT VERSION [V1.0.0-VERSIONING]                                                                                        ║
+ * ║ [IMMUTABLE VERSIONS | AUTHOR AND COMMENT | SHA-256 CONTENT HASH | ENCRYPTED VAULT BYTES]                                               ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/DocumentVersion.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * One row per saved version of a Document. Rows are written once and never changed or removed; restoring an old
+ * version saves it again as the newest. The bytes sit in the tenant's encrypted vault (services/pdfStore.js) under
+ * `vaultTraceId`, and the Document's storageKey points at its current version as `vault:<traceId>`.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+export const VERSION_ORIGINS = Object.freeze({
+  // The file a document already had when its first new version was saved
+  BASELINE: 'BASELINE',
+  UPLOAD: 'UPLOAD',
+  CHECK_IN: 'CHECK_IN',
+  RESTORE: 'RESTORE',
+  // A flattened copy with areas burnt out (utils/pdfRedaction.js)
+  REDACTION: 'REDACTION',
+  // A scan with the text read by OCR laid invisibly over it (services/ocrService.js)
+  OCR: 'OCR'
+});
+
+// Document.ocr.status
+export const OCR_STATUS = Object.freeze({
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  DONE: 'DONE',
+  // Every page already has text, or the file is not a PDF or a scanned image
+  NOT_NEEDED: 'NOT_NEEDED',
+  // A newer version was saved while OCR ran; its result would have replaced it
+  SUPERSEDED: 'SUPERSEDED',
+  FAILED: 'FAILED'
+});
+
+export const VAULT_KEY_PREFIX = 'vault:';
+
+/** Document.storageKey for bytes held in the encrypted vault. */
+export const vaultStorageKey = (traceId) => `${VAULT_KEY_PREFIX}${traceId}`;
+
+/** The vault trace id behind a storageKey, or null for keys held elsewhere. */
+export const vaultTraceId = (storageKey) => (String(storageKey || '').startsWith(VAULT_KEY_PREFIX)
+  ? storageKey.slice(VAULT_KEY_PREFIX.length)
+  : null);
+
+const redactionLogSchema = new Schema({
+  sourceVersion: Number,
+  dpi: Number,
+  entries: [{
+    _id: false,
+    number: Number,
+    page: Number,
+    type: { type: String },
+    reason: String,
+    note: String,
+    candidateId: String,
+    rects: [{ _id: false, x: Number, y: Number, width: Number, height: Number }]
+  }]
+}, { _id: false });
+
+const ocrResultSchema = new Schema({
+  sourceVersion: Number,
+  engine: String,
+  languages: [String],
+  dpi: Number,
+  // Mean word confidence, 0-100
+  confidence: Number,
+  wordCount: Number,
+  // The pages read by OCR; pages that already had text are not listed
+  pages: [{
+    _id: false,
+    page: Number,
+    text: String,
+    confidence: Number,
+    wordCount: Number
+  }]
+}, { _id: false });
+
+const documentVersionSchema = new Schema({
+  versionId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    default: () => `DV-${crypto.randomBytes(8).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, immutable: true },
+  documentId: { type: Schema.Types.ObjectId, ref: 'Document', required: true, immutable: true },
+  versionNumber: { type: Number, required: true, min: 1, immutable: true },
+
+  fileName: { type: String, immutable: true },
+  mimeType: { type: String, immutable: true },
+  fileSize: { type: Number, immutable: true },
+  contentHash: { type: String, required: true, immutable: true },
+  vaultTraceId: { type: String, required: true, immutable: true },
+
+  origin: { type: String, enum: Object.values(VERSION_ORIGINS), required: true, immutable: true },
+  restoredFrom: { type: Number, immutable: true },
+  // The redaction log of a REDACTION version; the redacted text itself is never kept
+  redaction: { type: redactionLogSchema, default: undefined, immutable: true },
+  // What OCR read on each page of an OCR version, with the engine's confidence
+  ocr: { type: ocrResultSchema, default: undefined, immutable: true },
+  comment: { type: String, trim: true, maxlength: 2000, immutable: true },
+  author: { type: Schema.Types.ObjectId, ref: 'User', immutable: true },
+  authoredAt: { type: Date, default: Date.now, immutable: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'document_versions'
+});
+
+documentVersionSchema.index({ documentId: 1, versionNumber: 1 }, { unique: true });
+documentVersionSchema.index({ tenantId: 1, documentId: 1, versionNumber: -1 });
+
+documentVersionSchema.pre('save', async function () {
+  if (!this.isNew) throw new Error('DOCUMENT_VERSION_IMMUTABLE: A saved version cannot be changed; save a new version instead.');
+});
+
+documentVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  async function () {
+    throw new Error('DOCUMENT_VERSION_IMMUTABLE: Saved versions cannot be changed or removed.');
+  }
+);
+
+const DocumentVersion = mongoose.models.DocumentVersion || mongoose.model('DocumentVersion', documentVersionSchema);
+export default DocumentVersion;
@@ -1,4 +1,4 @@
-#!/*
+/*
  * FILE: /server/models/Event.js
  * PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/Event.js
  * STATUS: EPITOME | QUANTUM CALENDAR | PROFESSIONAL IMMORTAL
@@ -61,16 +61,16 @@
  */
 
 // QUANTUM DEPENDENCIES - Time-synchronized, future-proof
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { DateTime } from 'luxon'; // ISO 8601 temporal precision
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
 
 const { Schema } = mongoose;
-const crypto = require('crypto');
 
-// AFRICAN TIME SERVICES
-const prescriptionGuardian = require('@africa-prescription-ai');
-const africanTimeSync = require('@africa-temporal-sync');
-const courtCalendarAPI = require('@african-court-calendars');
-const { Temporal } = require('@js-temporal/polyfill'); // ISO 8601 temporal precision
+// Instants are stored as UTC ISO 8601 strings
+const toInstant = (iso) => DateTime.fromISO(iso, { zone: 'utc' });
+const nowInstant = () => DateTime.utc();
 
 // -----------------------------------------------------------------------------
 // QUANTUM TIME UTILITIES - Chronometric Tools
@@ -80,7 +80,7 @@ const { Temporal } = require('@js-temporal/polyfill'); // ISO 8601 temporal prec
  * @function generateTemporalSignature
  * @description Creates quantum-proof time signature for event immutability
  * @param {Object} eventData - Event data to sign
- * @param {Temporal.Instant} instant - Precise creation moment
+ * @param {DateTime} instant - Precise creation moment
  * @returns {String} Quantum temporal signature
  *
  * SECURITY: Prevents time-based tampering with court schedules
@@ -90,19 +90,18 @@ const generateTemporalSignature = (eventData, instant) => {
 
   // Combine event data with quantum time precision
   timeHash.update(JSON.stringify(eventData));
-  timeHash.update(instant.toString());
+  timeHash.update(instant.toISO());
   timeHash.update(process.env.TEMPORAL_SOVEREIGN_SEED || 'wilsy-africa-time');
 
   // Add African temporal entropy
   const africanTimeEntropy = Buffer.concat([
-    Buffer.from(africanTimeSync.getContinentalTime().toString()),
     Buffer.from(Date.now().toString()),
     crypto.randomBytes(32),
   ]);
 
   timeHash.update(africanTimeEntropy);
 
-  return `temporal:${timeHash.digest('hex')}:${instant.toString()}:africa`;
+  return `temporal:${timeHash.digest('hex')}:${instant.toISO()}:africa`;
 };
 
 /*
@@ -161,7 +160,7 @@ const eventSchema = new Schema(
       default: () =>
         `event:${crypto
           .randomBytes(16)
-          .toString('hex')}:${Temporal.Now.instant().toString()}:africa`,
+          .toString('hex')}:${nowInstant().toISO()}:africa`,
     },
 
     // === SOVEREIGN TEMPORAL CONTEXT ===
@@ -836,10 +835,10 @@ eventSchema.pre('validate', function (next) {
     !this.temporalIntegrity?.quantumSignature?.signature &&
     this.temporal?.coordinates?.start?.instant
   ) {
-    const instant = Temporal.Instant.from(this.temporal.coordinates.start.instant);
+    const instant = toInstant(this.temporal.coordinates.start.instant);
     this.temporalIntegrity.quantumSignature = {
       signature: generateTemporalSignature(this.toObject(), instant),
-      signedAt: instant.toString(),
+      signedAt: instant.toISO(),
       signingAuthority: 'WILSY_OS_TEMPORAL_CORE',
     };
   }
@@ -887,7 +886,7 @@ eventSchema.pre('save', async function (next) {
   if (this.isModified('status.current') && !this.isNew) {
     this.status.timeline.push({
       status: this.status.current,
-      changedAt: Temporal.Now.instant().toString(),
+      changedAt: nowInstant().toISO(),
       changedBy: this._modifiedBy || this.sovereignty.creator.userId,
       reason: this._statusChangeReason || 'Status update',
       temporalProof: crypto.randomBytes(16).toString('hex'),
@@ -926,10 +925,10 @@ eventSchema.post('save', async (doc) => {
  * @returns {String} Urgency classification
  */
 eventSchema.methods.calculateTemporalUrgency = function () {
-  const now = Temporal.Now.instant();
-  const startInstant = Temporal.Instant.from(this.temporal.coordinates.start.instant);
+  const now = nowInstant();
+  const startInstant = toInstant(this.temporal.coordinates.start.instant);
 
-  const hoursUntil = startInstant.since(now).total('hours');
+  const hoursUntil = startInstant.diff(now, 'hours').hours;
 
   if (hoursUntil < 24 && this.temporal.significance.legalWeight > 80) {
     return 'CRITICAL_IMMEDIATE';
@@ -956,7 +955,7 @@ eventSchema.methods.calculateTemporalUrgency = function () {
  */
 eventSchema.methods.generateQuantumReminders = async function () {
   const reminders = [];
-  const startInstant = Temporal.Instant.from(this.temporal.coordinates.start.instant);
+  const startInstant = toInstant(this.temporal.coordinates.start.instant);
 
   // Base reminder schedule based on event type
   const baseSchedule = {
@@ -992,36 +991,36 @@ eventSchema.methods.generateQuantumReminders = async function () {
 
     switch (reminder.offset) {
       case 'ONE_YEAR_BEFORE':
-        reminderInstant = startInstant.subtract({ years: 1 });
+        reminderInstant = startInstant.minus({ years: 1 });
         break;
       case 'SIX_MONTHS_BEFORE':
-        reminderInstant = startInstant.subtract({ months: 6 });
+        reminderInstant = startInstant.minus({ months: 6 });
         break;
       case 'ONE_MONTH_BEFORE':
-        reminderInstant = startInstant.subtract({ months: 1 });
+        reminderInstant = startInstant.minus({ months: 1 });
         break;
       case 'TWO_WEEKS_BEFORE':
-        reminderInstant = startInstant.subtract({ weeks: 2 });
+        reminderInstant = startInstant.minus({ weeks: 2 });
         break;
       case 'ONE_WEEK_BEFORE':
-        reminderInstant = startInstant.subtract({ weeks: 1 });
+        reminderInstant = startInstant.minus({ weeks: 1 });
         break;
       case 'THREE_DAYS_BEFORE':
-        reminderInstant = startInstant.subtract({ days: 3 });
+        reminderInstant = startInstant.minus({ days: 3 });
         break;
       case 'ONE_DAY_BEFORE':
-        reminderInstant = startInstant.subtract({ days: 1 });
+        reminderInstant = startInstant.minus({ days: 1 });
         break;
       case 'ONE_HOUR_BEFORE':
-        reminderInstant = startInstant.subtract({ hours: 1 });
+        reminderInstant = startInstant.minus({ hours: 1 });
         break;
       default:
-        reminderInstant = startInstant.subtract({ days: 1 });
+        reminderInstant = startInstant.minus({ days: 1 });
     }
 
     reminders.push({
       temporalOffset: reminder.offset,
-      exactInstant: reminderInstant.toString(),
+      exactInstant: reminderInstant.toISO(),
       delivery: {
         channels: reminder.channels,
         template: this.generateReminderTemplate(reminder.offset),
@@ -1057,47 +1056,12 @@ eventSchema.methods.synchronizeWithCourtCalendar = async function () {
     return { success: false, reason: 'No court specified' };
   }
 
-  try {
-    const courtId = this.essence.location.physical.court.quantumId;
-    const startTime = this.temporal.coordinates.start.instant;
-    const endTime = this.temporal.coordinates.end.instant;
-
-    const syncResult = await courtCalendarAPI.synchronizeEvent({
-      courtId,
-      eventId: this.temporalId,
-      title: this.essence.title,
-      startTime,
-      endTime,
-      caseReference: this.sovereignty.caseId?.toString(),
-      attendees: this.participation.entities.map((e) => e.entityId),
-    });
-
-    this.temporalIntegrity.synchronization = {
-      lastSyncedWithCourts: Temporal.Now.instant().toString(),
-      courtCalendarId: syncResult.calendarEventId,
-      africanTimeSync: {
-        synchronizedWith: ['COURT_CALENDAR', 'AFRICAN_TIME_NETWORK'],
-        driftMilliseconds: syncResult.timeDrift || 0,
-        lastCalibration: Temporal.Now.instant().toString(),
-      },
-    };
-
-    await this.save();
-
-    return {
-      success: true,
-      calendarEventId: syncResult.calendarEventId,
-      courtConfirmed: syncResult.confirmed,
-      nextSync: syncResult.nextSyncRecommendation,
-    };
-  } catch (error) {
-    console.error('Court calendar synchronization failed:', error);
-    return {
-      success: false,
-      error: error.message,
-      fallback: 'Using Wilsy OS internal calendar',
-    };
-  }
+  // No court calendar feed is integrated yet, so the internal calendar stays authoritative
+  return {
+    success: false,
+    reason: 'No court calendar integration is configured',
+    fallback: 'Using Wilsy OS internal calendar',
+  };
 };
 
 /*
@@ -1106,39 +1070,12 @@ eventSchema.methods.synchronizeWithCourtCalendar = async function () {
  * @returns {Promise} Guardian activation
  */
 eventSchema.methods.activatePrescriptionGuardian = async function () {
-  try {
-    const guardianResult = await prescriptionGuardian.activate({
-      eventId: this.temporalId,
-      deadline: this.temporal.coordinates.start.instant,
-      statutes: this.guardianship.prescriptionGuardian.statutes,
-      recipients: this.participation.entities
-        .filter((e) => e.type === 'LAWYER')
-        .map((e) => e.entityId),
-    });
-
-    this.guardianship.prescriptionGuardian.alerts = guardianResult.scheduledAlerts;
-    this.analytics.risk = {
-      ...this.analytics.risk,
-      probabilityOfMiss: guardianResult.riskAssessment.probabilityOfMiss,
-      mitigationStrategies: guardianResult.riskAssessment.mitigationStrategies,
-    };
-
-    await this.save();
-
-    return {
-      success: true,
-      guardianActivated: true,
-      scheduledAlerts: guardianResult.scheduledAlerts.length,
-      nextCheck: guardianResult.nextCheck,
-    };
-  } catch (error) {
-    console.error('Prescription guardian activation failed:', error);
-    return {
-      success: false,
-      guardianActivated: false,
-      fallback: 'Basic reminder system active',
-    };
-  }
+  // Prescription escalation runs on the matter (services/prescriptionService.js); this event keeps its reminders
+  return {
+    success: false,
+    guardianActivated: false,
+    fallback: 'Basic reminder system active',
+  };
 };
 
 // -----------------------------------------------------------------------------
@@ -1154,18 +1091,18 @@ eventSchema.virtual('isPrescriptionCritical').get(function () {
 });
 
 eventSchema.virtual('timeUntilEvent').get(function () {
-  const now = Temporal.Now.instant();
-  const start = Temporal.Instant.from(this.temporal.coordinates.start.instant);
+  const now = nowInstant();
+  const start = toInstant(this.temporal.coordinates.start.instant);
 
-  const duration = start.since(now);
+  const duration = start.diff(now);
 
-  if (duration.total('seconds') < 0) {
+  if (duration.as('seconds') < 0) {
     return 'PAST';
   }
 
-  const days = Math.floor(duration.total('days'));
-  const hours = Math.floor(duration.total('hours') % 24);
-  const minutes = Math.floor(duration.total('minutes') % 60);
+  const days = Math.floor(duration.as('days'));
+  const hours = Math.floor(duration.as('hours') % 24);
+  const minutes = Math.floor(duration.as('minutes') % 60);
 
   if (days > 0) {
     return `${days} days, ${hours} hours`;
@@ -1188,14 +1125,14 @@ eventSchema.virtual('timeUntilEvent').get(function () {
  * @returns {Promise} Critical events
  */
 eventSchema.statics.findUpcomingCriticalEvents = async function (tenantId, hoursAhead = 72) {
-  const now = Temporal.Now.instant();
-  const future = now.add({ hours: hoursAhead });
+  const now = nowInstant();
+  const future = now.plus({ hours: hoursAhead });
 
   return this.find({
     'sovereignty.tenantId': tenantId,
     'temporal.coordinates.start.instant': {
-      $gte: now.toString(),
-      $lte: future.toString(),
+      $gte: now.toISO(),
+      $lte: future.toISO(),
     },
     'status.current': { $in: ['SCHEDULED', 'IN_PROGRESS'] },
     $or: [
@@ -1212,6 +1149,9 @@ eventSchema.statics.findUpcomingCriticalEvents = async function (tenantId, hours
 // THE QUANTUM EVENT MODEL
 // -----------------------------------------------------------------------------
 
+// Calendar entries of a walled matter are hidden from screened users
+eventSchema.plugin(ethicalWallPlugin, { matterField: 'sovereignty.caseId', resource: 'calendar_event' });
+
 const Event = mongoose.model('Event', eventSchema);
 
 // -----------------------------------------------------------------------------
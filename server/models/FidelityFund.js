@@ -32,6 +32,7 @@
 
 import mongoose from 'mongoose';
 import crypto from 'node:crypto';
+import { DEFAULT_FUND_SHARE, splitInterest } from '../utils/trustInterest.js';
 
 const { Schema } = mongoose;
 
@@ -128,6 +129,22 @@ fidelityFundSchema.statics.calculateContribution = function(turnover) {
   return Math.round(base * 100) / 100;
 };
 
+// ============================================================================
+// 🏦 SECTION 86 INTEREST SHARE (Legal Practice Act s86(5))
+// ============================================================================
+/**
+ * Splits interest earned on a s86(3)/s86(4) trust investment between the client and the Fund.
+ * @param {number} grossInterest - Interest for the period (unrounded)
+ * @param {string} section - 'S86_3' | 'S86_4'
+ * @param {number} [fundShare] - Per-account override of the statutory share (0..1)
+ * @returns {{ grossInterest: number, clientShare: number, fundShare: number }}
+ */
+fidelityFundSchema.statics.calculateInterestShare = function(grossInterest, section, fundShare) {
+  const share = fundShare ?? DEFAULT_FUND_SHARE[section];
+  if (share === undefined) throw new Error(`FIDUCIARY_ERROR: Unknown trust investment section ${section}.`);
+  return splitInterest(grossInterest, share);
+};
+
 // ============================================================================
 // MODEL EXPORT (Sovereign Singleton)
 // ============================================================================
@@ -30,6 +30,9 @@ dotenv.config();
 // 🚀 Sovereign Mesh & Data Integration Imports
 import { useSovereignMesh } from '../utils/sovereignMesh.js';
 import { useSovereignData } from '../utils/sovereignData.js';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
+import domainEventPlugin from './plugins/domainEventPlugin.js';
+import { DOMAIN_EVENTS } from '../services/domainEventService.js';
 
 const { Schema } = mongoose;
 
@@ -211,6 +214,7 @@ const invoiceSchema = new Schema(
     // ------------------------------------------------------------------------
     matterId: { type: String, index: true },
     attorneyId: { type: String },
+    preBillId: { type: String, index: true }, // approved pre-bill the invoice was issued from
 
     // ------------------------------------------------------------------------
     // 📅 STATUS & TIMELINES
@@ -241,6 +245,8 @@ const invoiceSchema = new Schema(
         lineTotal: { type: Number, default: 0 },
         category: { type: String, default: 'LEGAL_FEES' },
         units: { type: String, default: 'HOURS' },
+        sourceType: { type: String }, // e.g. TIME_ENTRY when raised from matter WIP
+        sourceId: { type: String },
       },
     ],
 
@@ -338,6 +344,36 @@ async function propagateInvoiceToSovereignMesh(doc) {
 }
 
 invoiceSchema.post('save', propagateInvoiceToSovereignMesh);
+invoiceSchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'invoice' });
+invoiceSchema.plugin(domainEventPlugin, {
+  subject: 'invoice',
+  events: [{
+    type: DOMAIN_EVENTS.INVOICE_OVERDUE,
+    when: (doc, { modified }) => modified.includes('status') && doc.status === 'OVERDUE',
+    payload: (doc) => ({
+      invoiceId: String(doc._id),
+      invoiceNumber: doc.invoiceNumber,
+      clientId: doc.clientId,
+      attorneyId: doc.attorneyId,
+      totalAmount: doc.totalAmount,
+      outstandingAmount: doc.outstandingAmount,
+      dueDate: doc.dueDate,
+      matterId: doc.matterId
+    })
+  }, {
+    type: DOMAIN_EVENTS.INVOICE_PAID,
+    when: (doc, { modified }) => modified.includes('status') && doc.status === 'PAID',
+    payload: (doc) => ({
+      invoiceId: String(doc._id),
+      invoiceNumber: doc.invoiceNumber,
+      clientId: doc.clientId,
+      totalAmount: doc.totalAmount,
+      amountPaid: doc.amountPaid,
+      paidAt: doc.paymentHistory?.[doc.paymentHistory.length - 1]?.paymentDate || new Date(),
+      matterId: doc.matterId
+    })
+  }]
+});
 
 // ============================================================================
 // 🏛️ MODEL EXPORT
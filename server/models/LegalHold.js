@@ -0,0 +1,91 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - LEGAL HOLD [V2.0.0-HOLD]                                                                                                    ║
+ * ║ [SCOPE | CUSTODIAN NOTICES | ACKNOWLEDGEMENTS | REMINDER CADENCE | RELEASE TRAIL]                                                      ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/LegalHold.js                                                       ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * What a hold covers is decided by utils/legalHold.js. Custodians acknowledge through an emailed link; only the hash of
+ * that link's token is stored here.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { HOLD_STATUS, CUSTODIAN_STATUS } from '../utils/legalHold.js';
+
+const { Schema } = mongoose;
+
+export { HOLD_STATUS, CUSTODIAN_STATUS };
+
+const custodianSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  email: { type: String, required: true, trim: true, lowercase: true },
+  tokenHash: { type: String, select: false },
+  status: { type: String, enum: Object.values(CUSTODIAN_STATUS), default: CUSTODIAN_STATUS.PENDING },
+  noticeSentAt: { type: Date },
+  acknowledgedAt: { type: Date },
+  acknowledgedFrom: { type: String },
+  remindersSent: { type: Number, default: 0 },
+  lastReminderAt: { type: Date }
+}, { _id: true });
+
+const legalHoldSchema = new Schema({
+  holdId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `LH-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  reason: { type: String, required: true, trim: true, maxlength: 1000 },
+
+  scope: {
+    matterIds: [{ type: Schema.Types.ObjectId, ref: 'Matter' }],
+    custodianIds: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    dateFrom: { type: Date },
+    dateTo: { type: Date },
+    documentTypes: [{ type: String, lowercase: true, trim: true }]
+  },
+
+  custodians: {
+    type: [custodianSchema],
+    validate: {
+      validator: (custodians) => custodians.length >= 1,
+      message: 'A hold needs at least one custodian to notify'
+    }
+  },
+  reminders: {
+    intervalDays: { type: Number, default: 7, min: 1, max: 90 },
+    maxReminders: { type: Number, default: 5, min: 0, max: 52 }
+  },
+
+  status: { type: String, enum: Object.values(HOLD_STATUS), default: HOLD_STATUS.ACTIVE, index: true },
+  issuedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  issuedAt: { type: Date, default: Date.now },
+  releasedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  releasedAt: { type: Date },
+  releaseReason: { type: String, trim: true, maxlength: 1000 }
+}, {
+  timestamps: true,
+  collection: 'legal_holds'
+});
+
+legalHoldSchema.index({ tenantId: 1, status: 1, 'scope.matterIds': 1 });
+legalHoldSchema.index({ tenantId: 1, status: 1, 'scope.custodianIds': 1 });
+legalHoldSchema.index({ 'custodians.tokenHash': 1 }, { sparse: true });
+
+legalHoldSchema.virtual('acknowledgement').get(function () {
+  const total = this.custodians?.length || 0;
+  const acknowledged = (this.custodians || []).filter((custodian) => custodian.status === CUSTODIAN_STATUS.ACKNOWLEDGED).length;
+  return { total, acknowledged, outstanding: total - acknowledged };
+});
+
+legalHoldSchema.set('toJSON', { virtuals: true });
+
+const LegalHold = mongoose.models.LegalHold || mongoose.model('LegalHold', legalHoldSchema);
+export default LegalHold;
@@ -52,6 +52,14 @@
 
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import { TRIGGER_EVENTS, reconcileDeadlines } from '../utils/courtDeadlineRules.js';
+import { CLAIM_CATEGORIES, computePrescription } from '../utils/prescriptionRules.js';
+import { nameSearchKeys } from '../utils/nameMatcher.js';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
+import searchIndexPlugin from './plugins/searchIndexPlugin.js';
+import { INDEX_KINDS } from './SearchIndexEntry.js';
+import domainEventPlugin from './plugins/domainEventPlugin.js';
+import { DOMAIN_EVENTS } from '../services/domainEventService.js';
 
 // ============================================================================
 // ENUMS & CONSTANTS
@@ -227,6 +235,8 @@ const partySchema = new mongoose.Schema({
     type: String,
     required: true,
     set(v) {
+      // Blind-index keys let conflict screening match the name after it is hashed below
+      if (this instanceof mongoose.Document) this.searchKeys = nameSearchKeys(v, process.env.CONFLICT_INDEX_KEY);
       // Store encrypted in production
       return process.env.NODE_ENV === 'production'
         ? crypto.createHash('sha256').update(v).digest('hex')
@@ -234,6 +244,8 @@ const partySchema = new mongoose.Schema({
     },
   },
 
+  searchKeys: [String],
+
   idNumber: {
     type: String,
     set(v) {
@@ -355,7 +367,7 @@ const timelineEventSchema = new mongoose.Schema({
   },
 });
 
-timelineEventSchema.pre('save', function (next) {
+timelineEventSchema.pre('save', function () {
   const data = JSON.stringify({
     eventId: this.eventId,
     eventType: this.eventType,
@@ -366,7 +378,6 @@ timelineEventSchema.pre('save', function (next) {
   });
 
   this.forensicHash = crypto.createHash('sha256').update(data).digest('hex');
-  next();
 });
 
 /**
@@ -443,11 +454,10 @@ const noteSchema = new mongoose.Schema({
   ],
 });
 
-noteSchema.pre('save', function (next) {
+noteSchema.pre('save', function () {
   if (!this.isNew) {
     this.updatedAt = new Date();
   }
-  next();
 });
 
 // ============================================================================
@@ -605,6 +615,65 @@ const matterSchema = new mongoose.Schema(
         courtOrder: Boolean,
         courtReference: String,
         reminderDays: [Number],
+        // Set on deadlines generated by the court rules engine; manual deadlines leave these empty
+        triggerId: String,
+        ruleCode: String,
+      },
+    ],
+
+    prescription: {
+      claimCategory: {
+        type: String,
+        enum: Object.keys(CLAIM_CATEGORIES),
+      },
+      causeOfActionDate: Date,
+      // s12(3): the debt is only due once the creditor knows the debtor's identity and the facts
+      knowledgeDate: Date,
+      // s13(1): minority, curatorship or similar impediment ending on this date
+      impedimentEndsOn: Date,
+      noticeServedOn: Date,
+      interruptedOn: Date,
+      prescriptionDate: Date,
+      noticeDeadline: Date,
+      basis: String,
+      alertThresholds: [Number],
+      lastAlert: {
+        cutoff: String,
+        cutoffDate: Date,
+        threshold: Number,
+        severity: String,
+        sentAt: Date,
+      },
+    },
+
+    deadlineTriggers: [
+      {
+        triggerId: {
+          type: String,
+          default: () => `TRG-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        },
+        event: {
+          type: String,
+          enum: Object.values(TRIGGER_EVENTS),
+          required: true,
+        },
+        triggerDate: {
+          type: Date,
+          required: true,
+        },
+        courtTier: {
+          type: String,
+          required: true,
+        },
+        courtId: String,
+        recordedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        recordedAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
 
@@ -614,6 +683,66 @@ const matterSchema = new mongoose.Schema(
 
     parties: [partySchema],
 
+    // Conflict screens run for this matter; intake proceeds once the latest one is signed off
+    conflictScreenings: [
+      {
+        screeningId: {
+          type: String,
+          default: () => `CSR-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        },
+        searchedNames: [String],
+        threshold: Number,
+        outcome: {
+          type: String,
+          enum: ['CLEAR', 'POTENTIAL_CONFLICT'],
+          required: true,
+        },
+        hitCount: Number,
+        highestScore: Number,
+        hits: [
+          {
+            _id: false,
+            searchedName: String,
+            matchedName: String,
+            score: Number,
+            matchType: String,
+            source: String,
+            role: String,
+            recordId: String,
+            caseId: String,
+            matterId: String,
+            matterNumber: String,
+            matterTitle: String,
+            responsibleAttorney: {
+              userId: String,
+              name: String,
+            },
+          },
+        ],
+        screenedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        screenedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        signOff: {
+          status: {
+            type: String,
+            enum: ['PENDING', 'CLEARED', 'WAIVED', 'DECLINED'],
+            default: 'PENDING',
+          },
+          decidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          decidedAt: Date,
+          notes: String,
+        },
+      },
+    ],
+
     primaryClient: {
       partyId: String,
       userId: {
@@ -622,6 +751,13 @@ const matterSchema = new mongoose.Schema(
       },
     },
 
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      index: true,
+      description: 'Billing/trust client the matter is opened for (LPC Rule 54 client ledger)',
+    },
+
     responsibleAttorney: {
       userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -661,6 +797,11 @@ const matterSchema = new mongoose.Schema(
       },
       hourlyRate: Number,
       fixedFee: Number,
+      billingPartnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        description: 'Partner who approves pre-bills before tax invoices are issued',
+      },
       contingencyPercentage: Number,
       totalBilled: {
         type: Number,
@@ -714,6 +855,8 @@ const matterSchema = new mongoose.Schema(
         ],
       },
       caseNumber: String,
+      // Court record (models/Court.js) whose details fill court fields in templates
+      courtId: String,
       judge: String,
       magistrate: String,
       registry: String,
@@ -1024,7 +1167,9 @@ matterSchema.index({ tenantId: 1, retentionExpiryDate: 1 });
 matterSchema.index({ tenantId: 1, openedDate: -1 });
 matterSchema.index({ tenantId: 1, closedDate: -1 });
 matterSchema.index({ 'parties.userId': 1, tenantId: 1 });
+matterSchema.index({ tenantId: 1, 'parties.searchKeys': 1 });
 matterSchema.index({ 'deadlines.dueDate': 1, status: 1 });
+matterSchema.index({ tenantId: 1, 'prescription.prescriptionDate': 1 });
 matterSchema.index({ 'courtDetails.nextHearingDate': 1 });
 matterSchema.index({ 'popia.dataSubjects.subjectId': 1 });
 matterSchema.index({ 'timeline.timestamp': -1 });
@@ -1034,7 +1179,7 @@ matterSchema.index({ tags: 1, tenantId: 1 });
 // MIDDLEWARE
 // ============================================================================
 
-matterSchema.pre('validate', function (next) {
+matterSchema.pre('validate', function () {
   // Set retention expiry date based on policy
   if (!this.retentionExpiryDate && this.retentionPolicyId) {
     const policy = RETENTION_POLICIES[this.retentionPolicyId];
@@ -1050,10 +1195,24 @@ matterSchema.pre('validate', function (next) {
     this.documentCount = this.documents.length;
   }
 
-  next();
+  // Recalculate rule-generated deadlines whenever a trigger is added, moved or removed
+  if (this.isModified('deadlineTriggers')) {
+    this.deadlines = reconcileDeadlines(
+      this.deadlines.map((deadline) => deadline.toObject()),
+      this.deadlineTriggers.map((trigger) => trigger.toObject()),
+    );
+  }
+
+  // Keep the computed prescription and notice dates in step with the claim details
+  if (this.isModified('prescription') && this.prescription?.claimCategory && this.prescription?.causeOfActionDate) {
+    const computed = computePrescription(this.prescription);
+    this.prescription.prescriptionDate = new Date(`${computed.prescriptionDate}T00:00:00Z`);
+    this.prescription.noticeDeadline = computed.noticeDeadline ? new Date(`${computed.noticeDeadline}T00:00:00Z`) : undefined;
+    this.prescription.basis = computed.basis;
+  }
 });
 
-matterSchema.pre('save', async function (next) {
+matterSchema.pre('save', async function () {
   this.updatedAt = new Date();
   this.lastActivityDate = new Date();
 
@@ -1089,8 +1248,6 @@ matterSchema.pre('save', async function (next) {
       this.previousHash = previousVersion.forensicHash;
     }
   }
-
-  next();
 });
 
 // ============================================================================
@@ -1374,6 +1531,27 @@ matterSchema.virtual('timelineCount').get(function () {
 // EXPORTS
 // ============================================================================
 
+// Walled users neither list nor open the matter (deadlines and prescription live on it too)
+matterSchema.plugin(ethicalWallPlugin, { matterField: '_id', resource: 'matter' });
+matterSchema.plugin(searchIndexPlugin, { kind: INDEX_KINDS.MATTER });
+matterSchema.plugin(domainEventPlugin, {
+  subject: 'matter',
+  matterField: '_id',
+  events: [{
+    type: DOMAIN_EVENTS.MATTER_CREATED,
+    when: (doc, { wasNew }) => wasNew,
+    payload: (doc) => ({
+      matterId: String(doc._id),
+      matterNumber: doc.matterNumber,
+      title: doc.title,
+      matterType: doc.matterType,
+      status: doc.status,
+      clientId: doc.clientId ? String(doc.clientId) : undefined,
+      responsibleAttorneyId: doc.responsibleAttorney?.userId ? String(doc.responsibleAttorney.userId) : undefined
+    })
+  }]
+});
+
 const Matter = mongoose.model('Matter', matterSchema);
 
 export default Matter;
@@ -1,4 +1,4 @@
-#!/* ╔════════════════════════════════════════════════════════════════════════════════════════════════╗
+/* ╔════════════════════════════════════════════════════════════════════════════════════════════════╗
   ║                                                                                                ║
   ║ ███╗   ███╗███████╗███████╗███████╗ █████╗  ██████╗ ███████╗    ███╗   ███╗ ██████╗ ██████╗ ███████╗██╗      ║
   ║ ████╗ ████║██╔════╝██╔════╝██╔════╝██╔══██╗██╔════╝ ██╔════╝    ████╗ ████║██╔═══██╗██╔══██╗██╔════╝██║      ║
@@ -79,17 +79,20 @@
  */
 
 // QUANTUM SECURITY IMPORTS - PINNED VERSIONS FOR LEGAL COMMUNICATIONS
-const crypto = require('crypto');
-const mongoose = require('mongoose@^7.0.0');
-// Native Node.js crypto for legal-grade security
-const { Schema } = mongoose;
+import crypto from 'crypto'; // Native Node.js crypto for legal-grade security
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
 
-// AI & ANALYTICS IMPORTS (Optional - for intelligent message processing)
-const { default: natural } = require('natural@^5.2.4'); // For sentiment analysis
-const { default: franc } = require('franc@^6.2.0'); // For language detection
+const { Schema } = mongoose;
 
 // ENVIRONMENT CONFIGURATION - ABSOLUTE LEGAL SECURITY
-require('dotenv').config({ path: `${process.cwd()}/server/.env` });
+dotenv.config({ path: `${process.cwd()}/server/.env` });
+
+// AI & ANALYTICS (Optional) - franc is only loaded when language detection is switched on
+const franc = process.env.ENABLE_LANGUAGE_DETECTION === 'true'
+  ? await import('franc').then((module) => module.franc).catch(() => null)
+  : null;
 
 // QUANTUM VALIDATION: CRITICAL LEGAL COMMUNICATION ENVIRONMENT VARIABLES
 const REQUIRED_LEGAL_ENV_VARS = [
@@ -1565,7 +1568,7 @@ MessageSchema.pre('validate', function (next) {
   }
 
   // Auto-detect language if not specified
-  if (this.content && !this.language && process.env.ENABLE_LANGUAGE_DETECTION === 'true') {
+  if (franc && this.content && !this.language) {
     try {
       const detected = franc(this.content, { minLength: 10 });
       if (detected !== 'und') {
@@ -1718,6 +1721,9 @@ MessageSchema.index(
   }
 );
 
+// Matter correspondence is screened by the matter's ethical wall
+MessageSchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'message' });
+
 // ============================================================================
 // MODEL EXPORT - LEGAL COMMUNICATION SANCTUARY
 // ============================================================================
@@ -0,0 +1,45 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - MIGRATION MAPPING PROFILE [V1.0.0-MIGRATION]                                                                                ║
+ * ║ [SAVED COLUMN MAPPINGS | SOURCE VALUE TRANSLATIONS | PER TENANT]                                                                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/MigrationProfile.js                                                ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A firm's own column mapping for an export the built-in profiles (utils/migrationMapping.js) do not fit.
+ * `entities` maps entity → field → column header (or a list of header spellings).
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+const migrationProfileSchema = new Schema({
+  profileId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `MGP-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  // The practice-management system the export comes from; part of every migrated row's key
+  source: { type: String, required: true, trim: true, maxlength: 100 },
+  basedOn: String,
+  entities: { type: Schema.Types.Mixed, required: true },
+  values: { type: Schema.Types.Mixed, default: {} },
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  minimize: false,
+  collection: 'migration_profiles'
+});
+
+migrationProfileSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+const MigrationProfile = mongoose.models.MigrationProfile || mongoose.model('MigrationProfile', migrationProfileSchema);
+export default MigrationProfile;
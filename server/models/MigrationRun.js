@@ -0,0 +1,126 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - MIGRATION RUN LEDGER [V1.0.0-MIGRATION]                                                                                     ║
+ * ║ [ONE EXPORT FILE PER RUN | ROW LEDGER | RESUMABLE BATCHES | LEASED WORKER | IMPORT REPORT]                                             ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/MigrationRun.js                                                    ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A run holds one entity file from the old system. Its rows live in MigrationRecord, one document per row, so a
+ * batch that stops halfway is picked up at the first row still PENDING. Imported rows keep the id of the record
+ * they became, which is how later files (matters, deadlines, time, trust) find the contacts and matters they refer to.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { MIGRATION_ENTITIES } from '../utils/migrationMapping.js';
+
+const { Schema } = mongoose;
+
+export const MIGRATION_RUN_STATUS = Object.freeze({
+  READY: 'READY',
+  RUNNING: 'RUNNING',
+  PAUSED: 'PAUSED',
+  COMPLETED: 'COMPLETED'
+});
+
+export const MIGRATION_ROW_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  INVALID: 'INVALID',
+  IMPORTED: 'IMPORTED',
+  // Already on the system: an earlier import of the same row, or a client with the same email or identity number
+  SKIPPED: 'SKIPPED',
+  LINKED: 'LINKED',
+  // A duplicate contact folded into the first row with the same email or identity number
+  MERGED: 'MERGED',
+  FAILED: 'FAILED'
+});
+
+/** Rows that ended with a record on the system that later files can refer to. */
+export const RESOLVED_ROW_STATUSES = Object.freeze([
+  MIGRATION_ROW_STATUS.IMPORTED,
+  MIGRATION_ROW_STATUS.SKIPPED,
+  MIGRATION_ROW_STATUS.LINKED,
+  MIGRATION_ROW_STATUS.MERGED
+]);
+
+const issueSchema = new Schema({
+  row: Number,
+  field: String,
+  message: String
+}, { _id: false });
+
+const migrationRunSchema = new Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `MGR-${crypto.randomBytes(8).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true },
+  firmId: { type: Schema.Types.ObjectId, ref: 'Firm' },
+  entity: { type: String, enum: Object.values(MIGRATION_ENTITIES), required: true },
+  source: { type: String, required: true },
+  profileId: { type: String, required: true },
+  filename: String,
+  fileHash: { type: String, required: true },
+  batchSize: { type: Number, min: 1, max: 1000, default: 100 },
+
+  status: { type: String, enum: Object.values(MIGRATION_RUN_STATUS), default: MIGRATION_RUN_STATUS.READY },
+  // A worker holds the run until its lease lapses; a crashed worker's run can then be resumed
+  leaseExpiresAt: Date,
+  batchesRun: { type: Number, default: 0 },
+  lastRow: { type: Number, default: 0 },
+
+  counts: {
+    rows: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    linked: { type: Number, default: 0 },
+    merged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  issues: { type: [issueSchema], default: [] },
+  duplicates: { type: Schema.Types.Mixed },
+  reconciliation: { type: Schema.Types.Mixed },
+
+  startedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  completedAt: Date
+}, {
+  timestamps: true,
+  collection: 'migration_runs'
+});
+
+migrationRunSchema.index({ tenantId: 1, createdAt: -1 });
+migrationRunSchema.index({ tenantId: 1, entity: 1, fileHash: 1 });
+
+const migrationRecordSchema = new Schema({
+  tenantId: { type: String, required: true },
+  runId: { type: String, required: true },
+  source: { type: String, required: true },
+  entity: { type: String, enum: Object.values(MIGRATION_ENTITIES), required: true },
+  row: { type: Number, required: true },
+  key: { type: String, required: true },
+  record: { type: Schema.Types.Mixed },
+  // For MERGED contacts: the row whose client this one became
+  mergeIntoKey: String,
+  status: { type: String, enum: Object.values(MIGRATION_ROW_STATUS), required: true },
+  targetId: String,
+  message: String,
+  processedAt: Date
+}, {
+  timestamps: true,
+  minimize: false,
+  collection: 'migration_records'
+});
+
+migrationRecordSchema.index({ runId: 1, row: 1 }, { unique: true });
+migrationRecordSchema.index({ runId: 1, status: 1, row: 1 });
+migrationRecordSchema.index({ tenantId: 1, source: 1, entity: 1, key: 1, status: 1 });
+
+export const MigrationRecord = mongoose.models.MigrationRecord || mongoose.model('MigrationRecord', migrationRecordSchema);
+
+const MigrationRun = mongoose.models.MigrationRun || mongoose.model('MigrationRun', migrationRunSchema);
+export default MigrationRun;
@@ -0,0 +1,62 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - EVENT OUTBOX [V1.0.0-HOOKS]                                                                                                 ║
+ * ║ [WRITTEN WITH THE DOMAIN CHANGE | RELAYED AT LEAST ONCE | DEDUPLICATED SCHEDULED EVENTS]                                               ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/OutboxEvent.js                                                     ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A domain event is inserted here in the same session (and so the same transaction) as the change it describes; an
+ * aborted transaction leaves no event behind, and a committed one is relayed even if the process dies straight after.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+export const OUTBOX_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  DISPATCHED: 'DISPATCHED',
+  FAILED: 'FAILED'
+});
+
+const outboxEventSchema = new Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `EVT-${crypto.randomBytes(8).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true },
+  type: { type: String, required: true },
+  subject: {
+    type: { type: String, required: true },
+    id: { type: String, required: true }
+  },
+  matterId: { type: String },
+  payload: { type: Schema.Types.Mixed, default: {} },
+  occurredAt: { type: Date, default: Date.now },
+  // Set for events raised by schedules (e.g. dsar.due) so a rerun does not announce the same fact twice
+  dedupeKey: { type: String },
+
+  status: { type: String, enum: Object.values(OUTBOX_STATUS), default: OUTBOX_STATUS.PENDING },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  dispatchedAt: { type: Date },
+  deliveries: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  minimize: false,
+  collection: 'event_outbox'
+});
+
+outboxEventSchema.index({ status: 1, occurredAt: 1 });
+outboxEventSchema.index({ tenantId: 1, type: 1, occurredAt: -1 });
+outboxEventSchema.index({ tenantId: 1, dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+// Relayed events are kept for 30 days for replay and support, then expire
+outboxEventSchema.index({ dispatchedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const OutboxEvent = mongoose.models.OutboxEvent || mongoose.model('OutboxEvent', outboxEventSchema);
+export default OutboxEvent;
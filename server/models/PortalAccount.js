@@ -0,0 +1,73 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - CLIENT PORTAL ACCOUNT [V1.0.0-PORTAL]                                                                                       ║
+ * ║ [CLIENT SIGN-IN | SEPARATE FROM STAFF USERS | INVITATION | PASSWORD LOCKOUT | HASHED SESSIONS | SUSPENSION]                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/PortalAccount.js                                                   ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A sign-in to the client portal for one person acting for a firm's Client. It is not a staff User and carries no
+ * firm role: everything it can reach is scoped to its clientId. The password is a bcrypt hash and the emailed
+ * set-password link and session tokens are SHA-256 hashes, none of them selected by default.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { PORTAL_STATUS, SETUP_PURPOSES } from '../utils/clientPortal.js';
+
+const { Schema } = mongoose;
+
+const portalSessionSchema = new Schema({
+  tokenHash: { type: String, required: true },
+  createdAt: { type: Date, required: true },
+  lastSeenAt: Date,
+  ip: String,
+  userAgent: String
+}, { _id: false });
+
+const portalAccountSchema = new Schema({
+  accountId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    default: () => `PCA-${crypto.randomBytes(8).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, immutable: true, index: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true, immutable: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  name: { type: String, trim: true, maxlength: 200 },
+
+  status: { type: String, enum: Object.values(PORTAL_STATUS), default: PORTAL_STATUS.INVITED },
+  passwordHash: { type: String, select: false },
+  passwordChangedAt: Date,
+  failedLogins: { type: Number, default: 0 },
+  lockedUntil: Date,
+  lastLoginAt: Date,
+
+  // The emailed link that sets the password, for an invitation or a reset; cleared once used
+  setupTokenHash: { type: String, select: false },
+  setupPurpose: { type: String, enum: Object.values(SETUP_PURPOSES) },
+  setupExpiresAt: Date,
+
+  sessions: { type: [portalSessionSchema], select: false, default: [] },
+
+  invitedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true, immutable: true },
+  invitedAt: { type: Date, default: Date.now },
+  activatedAt: Date,
+  suspendedAt: Date,
+  suspendedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  suspendReason: { type: String, trim: true, maxlength: 1000 }
+}, {
+  timestamps: true,
+  collection: 'portal_accounts'
+});
+
+portalAccountSchema.index({ tenantId: 1, email: 1 }, { unique: true });
+portalAccountSchema.index({ tenantId: 1, clientId: 1 });
+portalAccountSchema.index({ setupTokenHash: 1 }, { sparse: true });
+portalAccountSchema.index({ 'sessions.tokenHash': 1 }, { sparse: true });
+
+const PortalAccount = mongoose.models.PortalAccount || mongoose.model('PortalAccount', portalAccountSchema);
+export default PortalAccount;
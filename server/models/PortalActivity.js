@@ -0,0 +1,41 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - CLIENT PORTAL ACTIVITY [V1.0.0-PORTAL]                                                                                      ║
+ * ║ [APPEND-ONLY AUDIT TRAIL | EVERY CLIENT ACTION | REFUSALS | FIRM CHANGES TO ACCESS]                                                    ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/PortalActivity.js                                                  ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The audit trail of a client portal account: every sign-in, page of data read, download, upload and message, and
+ * every refusal, with the firm's own changes to the account's access. Entries are only ever inserted; each one is
+ * also written to the forensic ledger by utils/auditLogger.js.
+ */
+
+import mongoose from 'mongoose';
+import { PORTAL_EVENTS } from '../utils/clientPortal.js';
+
+const { Schema } = mongoose;
+
+const portalActivitySchema = new Schema({
+  tenantId: { type: String, required: true, immutable: true },
+  accountId: { type: String, required: true, immutable: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true, immutable: true },
+  action: { type: String, enum: Object.values(PORTAL_EVENTS), required: true, immutable: true },
+  // Set when a member of the firm acted on the account rather than the client
+  userId: { type: Schema.Types.ObjectId, ref: 'User', immutable: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter', immutable: true },
+  documentId: { type: Schema.Types.ObjectId, ref: 'Document', immutable: true },
+  ipAddress: { type: String, immutable: true },
+  userAgent: { type: String, immutable: true },
+  details: { type: Schema.Types.Mixed, immutable: true },
+  at: { type: Date, default: Date.now, immutable: true }
+}, {
+  collection: 'portal_activity'
+});
+
+portalActivitySchema.index({ tenantId: 1, accountId: 1, at: -1 });
+portalActivitySchema.index({ tenantId: 1, clientId: 1, at: -1 });
+
+const PortalActivity = mongoose.models.PortalActivity || mongoose.model('PortalActivity', portalActivitySchema);
+export default PortalActivity;
@@ -0,0 +1,53 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - CLIENT PORTAL MESSAGE [V1.0.0-PORTAL]                                                                                       ║
+ * ║ [SECURE MESSAGES | CLIENT AND MATTER TEAM | ENCRYPTED AT REST | READ RECEIPTS]                                                         ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/PortalMessage.js                                                   ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * One message in the conversation between a client and the team on one of their matters. The text is privileged
+ * and is kept encrypted with the tenant's key (utils/cryptoCore.js); it is decrypted only for the two sides of the
+ * conversation.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+export const MESSAGE_DIRECTIONS = Object.freeze({ FROM_CLIENT: 'FROM_CLIENT', FROM_FIRM: 'FROM_FIRM' });
+
+const portalMessageSchema = new Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    default: () => `PMG-${crypto.randomBytes(8).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, immutable: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true, immutable: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter', required: true, immutable: true },
+  direction: { type: String, enum: Object.values(MESSAGE_DIRECTIONS), required: true, immutable: true },
+  bodyCiphertext: { type: String, required: true, immutable: true },
+
+  // The portal account that wrote it, or the member of the matter team
+  accountId: { type: String, immutable: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', immutable: true },
+  authorName: { type: String, trim: true, immutable: true },
+
+  // When the other side first opened it
+  readAt: Date,
+  readBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  collection: 'portal_messages'
+});
+
+portalMessageSchema.index({ tenantId: 1, matterId: 1, createdAt: 1 });
+portalMessageSchema.index({ tenantId: 1, clientId: 1, direction: 1, readAt: 1 });
+
+const PortalMessage = mongoose.models.PortalMessage || mongoose.model('PortalMessage', portalMessageSchema);
+export default PortalMessage;
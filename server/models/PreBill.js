@@ -0,0 +1,116 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRE-BILL (PROFORMA) MODEL [V1.0.0-BILLING]                                                                                  ║
+ * ║ [DRAFT → SUBMITTED → APPROVED → ISSUED | LINE ADJUSTMENTS WITH REASONS | BILLING PARTNER SIGN-OFF]                                     ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/PreBill.js                                                         ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A pre-bill holds unbilled time, disbursements and fixed fee for one matter. Gathered sources are locked to it through
+ * their preBillId until it is issued or cancelled. The adjustments array is append-only and is the audit trail.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { PRE_BILL_LINE_SOURCES, PRE_BILL_LINE_STATUS, PRE_BILL_ADJUSTMENTS } from '../utils/preBillCalculations.js';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
+
+const { Schema } = mongoose;
+
+export { PRE_BILL_LINE_SOURCES, PRE_BILL_LINE_STATUS, PRE_BILL_ADJUSTMENTS };
+
+export const PRE_BILL_STATUS = Object.freeze({
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  APPROVED: 'APPROVED',
+  ISSUED: 'ISSUED',
+  CANCELLED: 'CANCELLED'
+});
+
+/** Pre-bills that still hold their sources. */
+export const OPEN_PRE_BILL_STATUSES = Object.freeze([PRE_BILL_STATUS.DRAFT, PRE_BILL_STATUS.SUBMITTED, PRE_BILL_STATUS.APPROVED]);
+
+const preBillLineSchema = new Schema({
+  lineId: { type: String, required: true },
+  sourceType: { type: String, enum: Object.values(PRE_BILL_LINE_SOURCES), required: true },
+  sourceId: { type: String },
+  workDate: Date,
+  description: { type: String, required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  quantity: { type: Number, default: 1 },
+  units: { type: String, default: 'HOURS' },
+  unitPrice: { type: Number, default: 0 },
+  taxRate: { type: Number, default: 0.15 },
+  originalAmount: { type: Number, required: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: Object.values(PRE_BILL_LINE_STATUS), default: PRE_BILL_LINE_STATUS.INCLUDED },
+  transferToMatterId: { type: Schema.Types.ObjectId, ref: 'Matter' }
+}, { _id: false });
+
+const adjustmentSchema = new Schema({
+  lineId: String,
+  action: { type: String, enum: Object.values(PRE_BILL_ADJUSTMENTS), required: true },
+  fromStatus: String,
+  toStatus: String,
+  fromAmount: Number,
+  toAmount: Number,
+  targetMatterId: { type: Schema.Types.ObjectId, ref: 'Matter' },
+  reason: String,
+  performedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  performedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const approvalEventSchema = new Schema({
+  action: { type: String, enum: ['SUBMITTED', 'APPROVED', 'REJECTED', 'ISSUED', 'CANCELLED'], required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  comment: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const preBillSchema = new Schema({
+  preBillId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `PB-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter', required: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client' },
+  responsibleAttorneyId: { type: Schema.Types.ObjectId, ref: 'User' },
+  billingPartnerId: { type: Schema.Types.ObjectId, ref: 'User' },
+  currency: { type: String, default: 'ZAR' },
+
+  status: { type: String, enum: Object.values(PRE_BILL_STATUS), default: PRE_BILL_STATUS.DRAFT, index: true },
+  periodTo: Date,
+  lines: [preBillLineSchema],
+  adjustments: [adjustmentSchema],
+  approvals: [approvalEventSchema],
+
+  totals: {
+    originalTotal: { type: Number, default: 0 },
+    writtenDown: { type: Number, default: 0 },
+    writtenOff: { type: Number, default: 0 },
+    transferred: { type: Number, default: 0 },
+    subtotal: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 }
+  },
+
+  invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice' },
+  invoiceNumber: String,
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  issuedAt: Date
+}, {
+  timestamps: true,
+  collection: 'pre_bills'
+});
+
+preBillSchema.index({ tenantId: 1, matterId: 1, status: 1 });
+preBillSchema.index({ tenantId: 1, billingPartnerId: 1, status: 1 });
+
+preBillSchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'prebill' });
+
+const PreBill = mongoose.models.PreBill || mongoose.model('PreBill', preBillSchema);
+export default PreBill;
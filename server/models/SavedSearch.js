@@ -0,0 +1,47 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SAVED SEARCH [V1.0.0-SEARCH]                                                                                                ║
+ * ║ [PER-USER QUERIES | FACET FILTERS | LAST RUN]                                                                                          ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/SavedSearch.js                                                     ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+const savedSearchSchema = new Schema({
+  savedSearchId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `SS-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  query: { type: String, required: true, trim: true, maxlength: 1000 },
+  filters: {
+    domain: String,
+    matterType: String,
+    attorneyId: String,
+    documentType: String,
+    startDate: Date,
+    endDate: Date
+  },
+  frequency: { type: String, enum: ['hourly', 'daily', 'weekly', 'monthly'] },
+  notify: { type: Boolean, default: false },
+  lastRunAt: { type: Date },
+  lastResultCount: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  collection: 'saved_searches'
+});
+
+savedSearchSchema.index({ tenantId: 1, userId: 1, createdAt: -1 });
+
+const SavedSearch = mongoose.models.SavedSearch || mongoose.model('SavedSearch', savedSearchSchema);
+export default SavedSearch;
@@ -0,0 +1,34 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SEARCH HISTORY [V1.0.0-SEARCH]                                                                                              ║
+ * ║ [PER-USER RECENT QUERIES | 90-DAY EXPIRY]                                                                                              ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/SearchHistory.js                                                   ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * One row per search a user runs, so /api/search/recent can offer their latest queries. Rows expire after 90 days.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const searchHistorySchema = new Schema({
+  tenantId: { type: String, required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  query: { type: String, required: true, trim: true, maxlength: 500 },
+  domain: String,
+  resultCount: { type: Number, default: 0 },
+  searchedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'search_history'
+});
+
+searchHistorySchema.index({ tenantId: 1, userId: 1, searchedAt: -1 });
+searchHistorySchema.index({ searchedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+const SearchHistory = mongoose.models.SearchHistory || mongoose.model('SearchHistory', searchHistorySchema);
+export default SearchHistory;
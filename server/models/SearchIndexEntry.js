@@ -0,0 +1,72 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SEARCH INDEX ENTRY [V1.0.0-SEARCH]                                                                                          ║
+ * ║ [ONE ENTRY PER INDEXED RECORD | WEIGHTED POSTINGS | FACETS | ACCESS LISTS]                                                             ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/SearchIndexEntry.js                                                ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The multikey index on `postings.term` is the inverted index: term → entries. Document frequencies live in
+ * models/SearchTerm.js. Entries for walled matters are hidden by the ethical wall plugin like any matter-scoped record.
+ */
+
+import mongoose from 'mongoose';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
+
+const { Schema } = mongoose;
+
+export const INDEX_KINDS = Object.freeze({
+  MATTER: 'MATTER',
+  DOCUMENT: 'DOCUMENT',
+  CLIENT: 'CLIENT',
+  CITATION: 'CITATION'
+});
+
+const postingSchema = new Schema({
+  term: { type: String, required: true },
+  tf: { type: Number, required: true }
+}, { _id: false });
+
+const searchIndexEntrySchema = new Schema({
+  tenantId: { type: String, required: true },
+  kind: { type: String, enum: Object.values(INDEX_KINDS), required: true },
+  recordId: { type: Schema.Types.ObjectId, required: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter' },
+
+  title: { type: String, trim: true },
+  reference: { type: String, trim: true },
+  // Stored (capped) so hits can be highlighted without reloading the source record
+  text: { type: String },
+
+  postings: [postingSchema],
+  length: { type: Number, default: 0 },
+
+  facets: {
+    matterType: String,
+    attorneyId: { type: Schema.Types.ObjectId, ref: 'User' },
+    attorneyName: String,
+    documentType: String,
+    date: Date
+  },
+
+  // restricted entries are visible to privileged roles and to the listed users only
+  access: {
+    restricted: { type: Boolean, default: false },
+    userIds: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    teamIds: [{ type: Schema.Types.ObjectId, ref: 'User' }]
+  },
+
+  indexedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'search_index'
+});
+
+searchIndexEntrySchema.index({ tenantId: 1, kind: 1, recordId: 1 }, { unique: true });
+searchIndexEntrySchema.index({ tenantId: 1, 'postings.term': 1 });
+searchIndexEntrySchema.index({ tenantId: 1, matterId: 1 });
+
+searchIndexEntrySchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'search' });
+
+const SearchIndexEntry = mongoose.models.SearchIndexEntry || mongoose.model('SearchIndexEntry', searchIndexEntrySchema);
+export default SearchIndexEntry;
@@ -0,0 +1,29 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SEARCH TERM STATISTICS [V1.0.0-SEARCH]                                                                                      ║
+ * ║ [PER-TENANT DOCUMENT FREQUENCY FOR BM25 IDF]                                                                                           ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/SearchTerm.js                                                      ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Kept in step with models/SearchIndexEntry.js by services/searchIndexService.js: a term's df rises when an entry
+ * gains it and falls when an entry loses it.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const searchTermSchema = new Schema({
+  tenantId: { type: String, required: true },
+  term: { type: String, required: true },
+  df: { type: Number, default: 0 }
+}, {
+  collection: 'search_terms'
+});
+
+searchTermSchema.index({ tenantId: 1, term: 1 }, { unique: true });
+
+const SearchTerm = mongoose.models.SearchTerm || mongoose.model('SearchTerm', searchTermSchema);
+export default SearchTerm;
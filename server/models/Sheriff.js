@@ -1,4 +1,4 @@
-#!/*
+/*
  * =============================================================================
  * File: /Users/wilsonkhanyezi/legal-doc-system/server/models/Sheriff.js
  * =============================================================================
@@ -37,12 +37,12 @@
 // =============================================================================
 // QUANTUM IMPORTS - SECURE, PINNED DEPENDENCIES
 // =============================================================================
-const mongoose = require('mongoose');
-const crypto = require('crypto');
-const { promisify } = require('util');
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import axios from 'axios'; // For external API verification
 
 const scrypt = promisify(crypto.scrypt);
-const axios = require('axios'); // For external API verification
 
 // =============================================================================
 // QUANTUM CONSTANTS - ENV-DRIVEN, LEGALLY COMPLIANT
@@ -416,6 +416,13 @@ const sheriffSchema = new mongoose.Schema(
       index: true,
       comment: 'Last communication from mobile device',
     },
+    dailyCapacity: {
+      type: Number,
+      min: 1,
+      max: 200,
+      default: 25,
+      comment: 'Dispatch Quantum: Maximum open instructions the sheriff can carry',
+    },
 
     // =================================================================
     // QUANTUM PERFORMANCE COMMAND LEDGER
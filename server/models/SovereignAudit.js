@@ -17,7 +17,7 @@
 
 import mongoose from 'mongoose';
 import crypto from 'node:crypto';
-import { hash as sovereignHash } from '../utils/cryptoUtils.js';
+import { generateSHA3_512 as sovereignHash } from '../utils/cryptoUtils.js';
 
 const { Schema } = mongoose;
 
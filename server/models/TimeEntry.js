@@ -0,0 +1,88 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TIME ENTRY MODEL [V1.0.0-BILLING]                                                                                           ║
+ * ║ [MATTER TIME SHEETS | START/PAUSE/STOP TIMERS | ACTIVITY CODES | BILLABLE FLAGS | RATE SNAPSHOT]                                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/TimeEntry.js                                                       ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The rate and value are snapshotted when the entry is recorded so a later rate card change never re-prices old work.
+ * Every value change is mirrored in the matter's WipTransaction ledger by timeEntryService.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { ACTIVITY_CODES } from '../utils/timeEntryCalculations.js';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
+
+const { Schema } = mongoose;
+
+export { ACTIVITY_CODES };
+
+export const TIME_ENTRY_STATUS = Object.freeze({
+  RUNNING: 'RUNNING',
+  PAUSED: 'PAUSED',
+  UNBILLED: 'UNBILLED',
+  BILLED: 'BILLED',
+  WRITTEN_OFF: 'WRITTEN_OFF'
+});
+
+/** Statuses that carry value in work in progress. */
+export const WIP_STATUSES = Object.freeze([TIME_ENTRY_STATUS.UNBILLED]);
+
+const timerSegmentSchema = new Schema({
+  startedAt: { type: Date, required: true },
+  stoppedAt: { type: Date }
+}, { _id: false });
+
+const timeEntrySchema = new Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `TE-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter', required: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client' },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  taskId: { type: String, index: true },
+
+  workDate: { type: Date, required: true },
+  activityCode: { type: String, enum: Object.keys(ACTIVITY_CODES), required: true },
+  description: { type: String, trim: true, maxlength: 2000 },
+  billable: { type: Boolean, default: true },
+
+  status: { type: String, enum: Object.values(TIME_ENTRY_STATUS), required: true, index: true },
+  timerSegments: [timerSegmentSchema],
+
+  // Minutes as worked and as billed (rounded up to the billing unit)
+  rawMinutes: { type: Number, default: 0, min: 0 },
+  billedMinutes: { type: Number, default: 0, min: 0 },
+
+  ratePerHour: { type: Number, default: 0, min: 0 },
+  rateSource: { type: String },
+  amount: { type: Number, default: 0, min: 0 }, // zero for non-billable time
+  currency: { type: String, default: 'ZAR' },
+
+  preBillId: { type: String, index: true }, // set while the entry sits on an open pre-bill
+  invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice' },
+  billedAt: Date
+}, {
+  timestamps: true,
+  collection: 'time_entries'
+});
+
+timeEntrySchema.index({ tenantId: 1, matterId: 1, status: 1, workDate: 1 });
+timeEntrySchema.index({ tenantId: 1, userId: 1, workDate: -1 });
+// One live timer per fee earner
+timeEntrySchema.index(
+  { tenantId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: TIME_ENTRY_STATUS.RUNNING } }
+);
+
+timeEntrySchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'time_entry' });
+
+const TimeEntry = mongoose.models.TimeEntry || mongoose.model('TimeEntry', timeEntrySchema);
+export default TimeEntry;
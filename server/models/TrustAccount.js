@@ -36,12 +36,34 @@ const TrustTransactionSchema = new Schema({
   description: { type: String, required: true },
   reference: { type: String, index: true },
   entityId: { type: Schema.Types.ObjectId, ref: 'Entity', required: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client' },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter' },
   initiatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
 
   // 🧬 RECURSIVE FORENSIC LINK: SHA3-512 recursive link to the previous transaction hash
+  sequence: { type: Number },
+  previousHash: { type: String },
   forensicHash: { type: String, required: true, unique: true }
 }, { timestamps: true });
 
+/**
+ * ⚖️ RECONCILIATION SCHEMA (LPC RULE 54.15)
+ * Retained record of each three-way reconciliation: bank vs control account vs client ledgers.
+ */
+const TrustReconciliationSchema = new Schema({
+  reconciledAt: { type: Date, default: Date.now },
+  statementDate: { type: Date },
+  bankBalance: { type: Number, required: true },
+  adjustedBankBalance: { type: Number, required: true },
+  controlBalance: { type: Number, required: true },
+  clientLedgerTotal: { type: Number, required: true },
+  isReconciled: { type: Boolean, required: true },
+  discrepancies: [{ type: Schema.Types.Mixed }],
+  performedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  traceId: { type: String },
+  reconciliationHash: { type: String, required: true }
+}, { _id: true });
+
 /**
  * 🏛️ TRUST ACCOUNT SCHEMA [THE FIDUCIARY VAULT]
  */
@@ -58,9 +80,12 @@ const TrustAccountSchema = new Schema({
   currency: { type: String, default: 'ZAR' },
   currentBalance: { type: Number, default: 0 },
   isFrozen: { type: Boolean, default: false },
+  // Seal issued at account opening; the first movement must chain from it.
+  genesisSeal: { type: String },
   masterIntegritySeal: { type: String, unique: true },
   lastTransactionAt: { type: Date },
-  transactions: [TrustTransactionSchema]
+  transactions: [TrustTransactionSchema],
+  reconciliations: [TrustReconciliationSchema]
 }, {
   timestamps: true,
   collection: 'fiduciary_trust_accounts'
@@ -0,0 +1,101 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TRUST INVESTMENT ACCOUNT [V1.0.0-FIDUCIARY]                                                                                 ║
+ * ║ [LEGAL PRACTICE ACT s86(3) / s86(4) | PER CLIENT MATTER | DAILY ACCRUAL | FIDELITY FUND SPLIT]                                         ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/TrustInvestmentAccount.js                                          ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Capital movements and allocated interest are posted to the TrustTransaction ledger with this investmentId, so the trust
+ * current account sub-ledgers (and the three-way reconciliation) never include investment money.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { INVESTMENT_SECTIONS, DEFAULT_FUND_SHARE } from '../utils/trustInterest.js';
+
+const { Schema } = mongoose;
+
+export { INVESTMENT_SECTIONS };
+
+export const INVESTMENT_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  CLOSED: 'CLOSED'
+});
+
+const rateSchema = new Schema({
+  ratePercent: { type: Number, required: true, min: 0 },
+  effectiveFrom: { type: Date, required: true },
+  setBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const accrualSchema = new Schema({
+  date: { type: Date, required: true },
+  balance: { type: Number, required: true },
+  ratePercent: { type: Number, required: true },
+  interest: { type: Number, required: true },
+  allocationId: { type: String }
+}, { _id: false });
+
+const allocationSchema = new Schema({
+  allocationId: { type: String, required: true },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  grossInterest: { type: Number, required: true },
+  clientShare: { type: Number, required: true },
+  fundShare: { type: Number, required: true },
+  interestTransactionId: String,
+  levyTransactionId: String,
+  allocatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const trustInvestmentAccountSchema = new Schema({
+  investmentId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `INV-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter', required: true },
+  section: { type: String, enum: Object.values(INVESTMENT_SECTIONS), required: true },
+  status: { type: String, enum: Object.values(INVESTMENT_STATUS), default: INVESTMENT_STATUS.ACTIVE, index: true },
+
+  bankName: { type: String, required: true },
+  accountNumber: { type: String, required: true },
+  dayCountBasis: { type: Number, enum: [365, 360], default: 365 },
+  rates: { type: [rateSchema], validate: (v) => v.length > 0 },
+
+  // Fidelity Fund share of interest (0..1); defaults to the statutory share for the section.
+  fundShare: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default() { return DEFAULT_FUND_SHARE[this.section]; }
+  },
+
+  balance: { type: Number, default: 0 },
+  accruedInterest: { type: Number, default: 0 }, // accrued but not yet allocated
+  accruedThrough: { type: Date, required: true }, // next day to accrue (exclusive bound of accrued days)
+  accruals: [accrualSchema],
+  allocations: [allocationSchema],
+
+  // SHA3-512 head of this investment's ledger rows
+  ledgerHead: { type: String, required: true },
+
+  openedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  closedAt: Date
+}, {
+  timestamps: true,
+  collection: 'trust_investment_accounts'
+});
+
+trustInvestmentAccountSchema.index({ tenantId: 1, clientId: 1, matterId: 1 });
+trustInvestmentAccountSchema.index({ tenantId: 1, 'allocations.periodStart': 1 });
+
+const TrustInvestmentAccount = mongoose.models.TrustInvestmentAccount
+  || mongoose.model('TrustInvestmentAccount', trustInvestmentAccountSchema);
+
+export default TrustInvestmentAccount;
@@ -34,6 +34,8 @@
 
 import mongoose from 'mongoose';
 import crypto from 'node:crypto';
+import domainEventPlugin from './plugins/domainEventPlugin.js';
+import { DOMAIN_EVENTS } from '../services/domainEventService.js';
 
 const trustTransactionSchema = new mongoose.Schema({
   // 🔐 SOVEREIGN IDENTITY
@@ -53,12 +55,14 @@ const trustTransactionSchema = new mongoose.Schema({
   // 💰 FINANCIAL CORE (stored as Number for arithmetic, but protected by chain)
   type: {
     type: String,
-    enum: ['DEPOSIT', 'WITHDRAWAL', 'TRANSFER', 'INTEREST_ACCRUAL', 'LPC_LEVY'],
+    enum: ['DEPOSIT', 'WITHDRAWAL', 'TRANSFER', 'FEE_EARNED', 'INTEREST_ACCRUAL', 'LPC_LEVY'],
     required: true
   },
   amount: { type: Number, required: true, min: 0.01 },
   currency: { type: String, default: 'ZAR', required: true },
   balanceAfter: { type: Number, required: true }, // snapshot for forensic determinism
+  controlTransactionId: { type: String, index: true }, // link to the TrustAccount control entry
+  investmentId: { type: String, index: true }, // set on s86(3)/(4) investment ledger rows, which sit outside the trust current account
 
   // 🔐 ENCRYPTED NARRATION (POPIA §19 – protects client privilege)
   encryptedNarration: { type: String },
@@ -89,7 +93,27 @@ const trustTransactionSchema = new mongoose.Schema({
 
 // 📊 High‑speed indices for audits and reconciliation
 trustTransactionSchema.index({ tenantId: 1, matterId: 1, createdAt: -1 });
+trustTransactionSchema.index({ tenantId: 1, clientId: 1, matterId: 1, createdAt: -1 }); // per-client sub-ledger
 trustTransactionSchema.index({ forensicHash: 1 });
 
+// Recorded in the posting's session, so the deposit and its event commit (or roll back) together
+trustTransactionSchema.plugin(domainEventPlugin, {
+  subject: 'trust_transaction',
+  events: [{
+    type: DOMAIN_EVENTS.TRUST_DEPOSIT,
+    when: (doc, { wasNew }) => wasNew && doc.type === 'DEPOSIT' && !doc.investmentId,
+    payload: (doc) => ({
+      transactionId: doc.transactionId,
+      clientId: String(doc.clientId),
+      matterId: String(doc.matterId),
+      amount: doc.amount,
+      currency: doc.currency,
+      method: doc.method,
+      balanceAfter: doc.balanceAfter,
+      lpcReference: doc.lpcReference
+    })
+  }]
+});
+
 const TrustTransaction = mongoose.model('TrustTransaction', trustTransactionSchema);
 export default TrustTransaction;
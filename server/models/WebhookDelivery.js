@@ -0,0 +1,73 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WEBHOOK DELIVERY [V1.0.0-HOOKS]                                                                                             ║
+ * ║ [ONE EVENT TO ONE SUBSCRIBER | ATTEMPT LOG | BACKOFF SCHEDULE | DEAD-LETTER | REPLAY LINEAGE]                                          ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/WebhookDelivery.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Deliveries that exhaust their attempts, or get a final (non-retryable) answer, are parked as DEAD: that status is the
+ * dead-letter queue, and a replay creates a fresh delivery pointing back at the one it replays.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+
+const { Schema } = mongoose;
+
+export const DELIVERY_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  RETRYING: 'RETRYING',
+  SUCCEEDED: 'SUCCEEDED',
+  DEAD: 'DEAD'
+});
+
+const attemptSchema = new Schema({
+  attempt: { type: Number, required: true },
+  at: { type: Date, default: Date.now },
+  statusCode: { type: Number },
+  durationMs: { type: Number },
+  error: { type: String },
+  responseBody: { type: String, maxlength: 2000 }
+}, { _id: false });
+
+const webhookDeliverySchema = new Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `WHD-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true },
+  subscriptionId: { type: String, required: true },
+  eventId: { type: String, required: true },
+  eventType: { type: String, required: true },
+  url: { type: String, required: true },
+  // Exact body sent (and re-sent on retry), so the signature a subscriber checks never depends on later edits
+  body: { type: String, required: true },
+
+  status: { type: String, enum: Object.values(DELIVERY_STATUS), default: DELIVERY_STATUS.PENDING },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextAttemptAt: { type: Date, default: Date.now },
+  attemptLog: [attemptSchema],
+  lastError: { type: String },
+  deliveredAt: { type: Date },
+  deadAt: { type: Date },
+
+  replayOf: { type: String },
+  replayedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  collection: 'webhook_deliveries'
+});
+
+webhookDeliverySchema.index({ tenantId: 1, subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// An event reaches a subscriber once however often the outbox relays it; replays are separate deliveries
+webhookDeliverySchema.index({ subscriptionId: 1, eventId: 1 }, { unique: true, partialFilterExpression: { replayOf: { $exists: false } } });
+
+const WebhookDelivery = mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', webhookDeliverySchema);
+export default WebhookDelivery;
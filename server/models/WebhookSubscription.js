@@ -0,0 +1,57 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WEBHOOK SUBSCRIPTION [V1.0.0-HOOKS]                                                                                         ║
+ * ║ [ENDPOINT | EVENT SELECTION | ENCRYPTED SIGNING SECRET | FAILURE STREAK]                                                               ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/WebhookSubscription.js                                             ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The signing secret is stored encrypted under the tenant key (utils/cryptoCore.js) and is never selected by default;
+ * it is shown to the subscriber once, when created or rotated.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { DEFAULT_MAX_ATTEMPTS } from '../utils/webhooks.js';
+
+const { Schema } = mongoose;
+
+export const SUBSCRIPTION_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  PAUSED: 'PAUSED',
+  DISABLED: 'DISABLED'
+});
+
+const webhookSubscriptionSchema = new Schema({
+  subscriptionId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `WHS-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, maxlength: 1000 },
+  url: { type: String, required: true },
+  events: { type: [String], required: true },
+  encryptedSecret: { type: String, required: true, select: false },
+  status: { type: String, enum: Object.values(SUBSCRIPTION_STATUS), default: SUBSCRIPTION_STATUS.ACTIVE },
+  maxAttempts: { type: Number, min: 1, max: 15, default: DEFAULT_MAX_ATTEMPTS },
+
+  consecutiveFailures: { type: Number, default: 0 },
+  lastDeliveredAt: { type: Date },
+  lastFailedAt: { type: Date },
+  secretRotatedAt: { type: Date },
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  collection: 'webhook_subscriptions'
+});
+
+webhookSubscriptionSchema.index({ tenantId: 1, status: 1, events: 1 });
+
+const WebhookSubscription = mongoose.models.WebhookSubscription || mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+export default WebhookSubscription;
@@ -0,0 +1,51 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WORK IN PROGRESS LEDGER [V1.0.0-BILLING]                                                                                    ║
+ * ║ [APPEND-ONLY PER-MATTER WIP | RECORD / ADJUST / BILL / WRITE-OFF | INVOICE FEED]                                                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/WipTransaction.js                                                  ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Rows are never edited: a correction is a further signed row. A matter's WIP balance is the sum of its rows.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const WIP_TRANSACTION_TYPES = Object.freeze({
+  TIME_RECORDED: 'TIME_RECORDED',
+  TIME_ADJUSTED: 'TIME_ADJUSTED',
+  TIME_REVERSED: 'TIME_REVERSED',
+  BILLED: 'BILLED',
+  WRITTEN_DOWN: 'WRITTEN_DOWN',
+  WRITTEN_OFF: 'WRITTEN_OFF',
+  TRANSFERRED_OUT: 'TRANSFERRED_OUT',
+  TRANSFERRED_IN: 'TRANSFERRED_IN'
+});
+
+const wipTransactionSchema = new Schema({
+  tenantId: { type: String, required: true, index: true },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter', required: true },
+  type: { type: String, enum: Object.values(WIP_TRANSACTION_TYPES), required: true },
+
+  // Signed: positive adds to WIP, negative relieves it.
+  amount: { type: Number, required: true },
+  minutes: { type: Number, default: 0 },
+  balanceAfter: { type: Number, required: true },
+
+  timeEntryId: { type: String, index: true },
+  invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice' },
+  reason: { type: String },
+  performedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  traceId: { type: String }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'wip_transactions'
+});
+
+wipTransactionSchema.index({ tenantId: 1, matterId: 1, createdAt: 1 });
+
+const WipTransaction = mongoose.models.WipTransaction || mongoose.model('WipTransaction', wipTransactionSchema);
+export default WipTransaction;
@@ -0,0 +1,94 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WORKFLOW DEFINITION [V1.0.0-FLOW]                                                                                           ║
+ * ║ [STATES | TRANSITIONS | GUARDS | ASSIGNEES | SLA TIMERS | EVENT TRIGGERS | VERSIONS]                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/WorkflowDefinition.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * States, transitions and triggers are stored in the canonical form produced by utils/workflowRules.js. Editing bumps
+ * `version`; running instances keep the snapshot they started with.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { STATE_TYPES, GUARD_OPERATORS } from '../utils/workflowRules.js';
+
+const { Schema } = mongoose;
+
+export const DEFINITION_STATUS = Object.freeze({
+  DRAFT: 'DRAFT',
+  ACTIVE: 'ACTIVE',
+  ARCHIVED: 'ARCHIVED'
+});
+
+const guardSchema = new Schema({
+  field: { type: String, required: true },
+  op: { type: String, enum: GUARD_OPERATORS, default: 'eq' },
+  value: { type: Schema.Types.Mixed }
+}, { _id: false });
+
+export const stateSchema = new Schema({
+  key: { type: String, required: true },
+  name: { type: String, trim: true },
+  type: { type: String, enum: Object.values(STATE_TYPES), default: STATE_TYPES.TASK },
+  assignees: {
+    roles: [String],
+    userIds: [String],
+    // Context paths naming the responsible user, e.g. "document.createdBy"
+    fields: [String]
+  },
+  sla: {
+    hours: Number,
+    escalateTo: [String]
+  }
+}, { _id: false });
+
+export const transitionSchema = new Schema({
+  action: { type: String, required: true },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  name: { type: String, trim: true },
+  guard: [guardSchema],
+  auto: { type: Boolean, default: false },
+  requiresComment: { type: Boolean, default: false }
+}, { _id: false });
+
+const triggerSchema = new Schema({
+  event: { type: String, required: true },
+  guard: [guardSchema]
+}, { _id: false });
+
+const workflowDefinitionSchema = new Schema({
+  workflowId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `WF-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  status: { type: String, enum: Object.values(DEFINITION_STATUS), default: DEFINITION_STATUS.DRAFT },
+  version: { type: Number, default: 1 },
+
+  states: [stateSchema],
+  initialState: { type: String, required: true },
+  transitions: [transitionSchema],
+  triggers: [triggerSchema],
+
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  activatedAt: { type: Date },
+  archivedAt: { type: Date }
+}, {
+  timestamps: true,
+  collection: 'workflow_definitions'
+});
+
+workflowDefinitionSchema.index({ tenantId: 1, status: 1 });
+workflowDefinitionSchema.index({ tenantId: 1, status: 1, 'triggers.event': 1 });
+
+const WorkflowDefinition = mongoose.models.WorkflowDefinition || mongoose.model('WorkflowDefinition', workflowDefinitionSchema);
+export default WorkflowDefinition;
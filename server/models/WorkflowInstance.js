@@ -0,0 +1,106 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WORKFLOW INSTANCE [V1.0.0-FLOW]                                                                                             ║
+ * ║ [CURRENT STATE | HUMAN TASK | SLA DUE DATE | ESCALATION | HISTORY | OPTIMISTIC CONCURRENCY]                                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/WorkflowInstance.js                                                ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * One running (or finished) workflow. The definition is snapshotted at start, so later edits never strand an instance.
+ * Writes use optimistic concurrency: two people acting on the same task cannot both win.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import { stateSchema, transitionSchema } from './WorkflowDefinition.js';
+import ethicalWallPlugin from './plugins/ethicalWallPlugin.js';
+
+const { Schema } = mongoose;
+
+export const INSTANCE_STATUS = Object.freeze({
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+  FAILED: 'FAILED'
+});
+
+export const TRIGGER_TYPES = Object.freeze({
+  MANUAL: 'MANUAL',
+  EVENT: 'EVENT'
+});
+
+const historySchema = new Schema({
+  from: { type: String },
+  to: { type: String },
+  action: { type: String, required: true },
+  by: { type: Schema.Types.ObjectId, ref: 'User' },
+  comment: { type: String, maxlength: 2000 },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const workflowInstanceSchema = new Schema({
+  instanceId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `WFI-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  },
+  tenantId: { type: String, required: true },
+  workflowId: { type: String, required: true },
+  workflowName: { type: String },
+  definitionVersion: { type: Number, required: true },
+  definition: {
+    states: [stateSchema],
+    transitions: [transitionSchema]
+  },
+
+  status: { type: String, enum: Object.values(INSTANCE_STATUS), default: INSTANCE_STATUS.RUNNING },
+  currentState: { type: String, required: true },
+  enteredStateAt: { type: Date, default: Date.now },
+  context: { type: Schema.Types.Mixed, default: {} },
+  subject: {
+    type: { type: String },
+    id: { type: String }
+  },
+  matterId: { type: Schema.Types.ObjectId, ref: 'Matter' },
+
+  // The open human task, when the current state is a TASK state
+  task: {
+    roles: [String],
+    userIds: [String],
+    dueAt: Date,
+    escalatedAt: Date
+  },
+
+  trigger: {
+    type: { type: String, enum: Object.values(TRIGGER_TYPES), default: TRIGGER_TYPES.MANUAL },
+    event: String,
+    eventId: String
+  },
+  history: [historySchema],
+  error: { type: String },
+
+  startedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  completedAt: { type: Date },
+  cancelledBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: { type: Date },
+  cancellationReason: { type: String }
+}, {
+  timestamps: true,
+  minimize: false,
+  optimisticConcurrency: true,
+  collection: 'workflow_instances'
+});
+
+workflowInstanceSchema.index({ tenantId: 1, status: 1, updatedAt: -1 });
+workflowInstanceSchema.index({ tenantId: 1, status: 1, 'task.userIds': 1 });
+workflowInstanceSchema.index({ tenantId: 1, status: 1, 'task.roles': 1 });
+workflowInstanceSchema.index({ status: 1, 'task.dueAt': 1, 'task.escalatedAt': 1 });
+// An event starts a given workflow at most once, however often it is redelivered
+workflowInstanceSchema.index({ tenantId: 1, workflowId: 1, 'trigger.eventId': 1 }, { unique: true, partialFilterExpression: { 'trigger.eventId': { $type: 'string' } } });
+
+workflowInstanceSchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'workflow_instance' });
+
+const WorkflowInstance = mongoose.models.WorkflowInstance || mongoose.model('WorkflowInstance', workflowInstanceSchema);
+export default WorkflowInstance;
@@ -23,6 +23,8 @@
  */
 
 import mongoose from 'mongoose';
+import searchIndexPlugin from './plugins/searchIndexPlugin.js';
+import { INDEX_KINDS } from './SearchIndexEntry.js';
 
 // ============================================================================
 // SOVEREIGN CLIENT SCHEMA DEFINITION
@@ -288,10 +290,9 @@ clientSchema.index({ tenantId: 1, isCurrent: 1, status: 1 });
  * * @name preSaveComplianceEnforcement
  * @function
  * @memberof module:models/Client~clientSchema
- * @param {Function} next - Express/Mongoose callback to proceed to the next middleware or save operation.
  * @returns {void}
  */
-clientSchema.pre('save', function (next) {
+clientSchema.pre('save', function () {
   if (this.isModified('compliance.riskRating')) {
     // RESOLVED: Functional purity maintained by cloning a new Date object.
     const reviewDate = new Date();
@@ -304,9 +305,11 @@ clientSchema.pre('save', function (next) {
 
     this.compliance.nextReviewDate = reviewDate;
   }
-  next();
 });
 
+// Clients are searchable by name, trading name and reference
+clientSchema.plugin(searchIndexPlugin, { kind: INDEX_KINDS.CLIENT });
+
 // ============================================================================
 // 🏛️ EXPORT
 // ============================================================================
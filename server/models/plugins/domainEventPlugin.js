@@ -0,0 +1,49 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DOMAIN EVENT PLUGIN [V2.0.0-EVENTS]                                                                                         ║
+ * ║ [RECORD ON CREATE | RECORD ON STATUS CHANGE | SAME SESSION AS THE WRITE]                                                               ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/plugins/domainEventPlugin.js                                       ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Applied with the events a schema announces after a successful save:
+ *
+ *   invoiceSchema.plugin(domainEventPlugin, {
+ *     subject: 'invoice',
+ *     events: [{ type: DOMAIN_EVENTS.INVOICE_OVERDUE, when: (doc, { modified }) => modified.includes('status') && doc.status === 'OVERDUE' }]
+ *   });
+ *
+ * `when` sees the saved record plus `{ wasNew, modified }` captured before the save; `payload` picks what subscribers get.
+ * The event is written to the outbox in the document's session. Inside a transaction a failed write fails the save, so
+ * the change and its event commit together; outside one the change stands and the failure is audited.
+ */
+
+import domainEventService from '../../services/domainEventService.js';
+import auditLogger from '../../utils/auditLogger.js';
+
+export default function domainEventPlugin(schema, { subject, events = [], matterField = 'matterId' } = {}) {
+  schema.pre('save', function () {
+    this.$locals.domainEventChange = { wasNew: this.isNew, modified: this.modifiedPaths() };
+  });
+
+  schema.post('save', async function (doc) {
+    const change = doc.$locals.domainEventChange || { wasNew: false, modified: [] };
+    const session = doc.$session();
+    for (const event of events) {
+      if (!event.when(doc, change)) continue;
+      try {
+        await domainEventService.record({
+          tenantId: doc.tenantId,
+          type: event.type,
+          subject: { type: subject, id: doc._id },
+          matterId: doc.get(matterField),
+          payload: event.payload ? event.payload(doc) : {}
+        }, { session });
+      } catch (error) {
+        auditLogger.error('DOMAIN_EVENT_FAILED', { type: event.type, recordId: String(doc._id), error: error.message });
+        if (session?.inTransaction()) throw error;
+      }
+    }
+  });
+}
@@ -0,0 +1,91 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - ETHICAL WALL PLUGIN [V1.0.0-WALL]                                                                                           ║
+ * ║ [HIDE SCREENED MATTERS FROM LISTS | DENY DIRECT ACCESS | BLOCK WRITES | AGGREGATE SCOPING]                                             ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/plugins/ethicalWallPlugin.js                                       ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Applied to every matter-scoped schema with the path that holds the matter reference:
+ *
+ *   timeEntrySchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'time_entry' });
+ *
+ * Lists and aggregates silently drop screened records. A query that names a screened matter, or a single-record
+ * lookup or write that only misses because of the wall, is denied with a 403 and audited. `{ ethicalWall: false }`
+ * as a query option skips the wall for system reads.
+ */
+
+import ethicalWallService from '../../services/ethicalWallService.js';
+
+const LIST_OPERATIONS = ['find', 'countDocuments', 'distinct', 'updateMany', 'deleteMany'];
+const SINGLE_OPERATIONS = ['findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace', 'updateOne', 'deleteOne', 'replaceOne'];
+// Stages MongoDB only accepts at the head of a pipeline
+const LEADING_STAGES = ['$search', '$searchMeta', '$vectorSearch', '$geoNear', '$collStats', '$indexStats'];
+
+const readPath = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+const missed = (result) => result === null
+  || result?.value === null
+  || result?.matchedCount === 0
+  || result?.deletedCount === 0;
+
+export default function ethicalWallPlugin(schema, { matterField = 'matterId', resource = 'record' } = {}) {
+  const valuesFor = (screen) => (schema.path(matterField)?.instance === 'String' ? screen.keys : screen.objectIds);
+
+  const scopeOf = async (options = {}) => {
+    if (options.ethicalWall === false) return null;
+    const subject = ethicalWallService.currentSubject();
+    if (!subject) return null;
+    const screen = await ethicalWallService.screenFor(subject.tenantId, subject.userId);
+    return screen.walls.size ? { subject, screen } : null;
+  };
+
+  // A filter that asks for a screened matter by name is an access attempt, not a listing
+  const namedWall = (filter, screen) => {
+    const condition = filter?.[matterField];
+    const references = condition?.$in || (condition?.$eq !== undefined ? [condition.$eq] : [condition]);
+    return references.map((reference) => ethicalWallService.wallFor(screen, reference)).find(Boolean);
+  };
+
+  schema.pre(LIST_OPERATIONS, { document: false, query: true }, async function () {
+    const scope = await scopeOf(this.getOptions());
+    if (!scope) return;
+    const wall = namedWall(this.getFilter(), scope.screen);
+    if (wall) await ethicalWallService.deny(scope.subject, wall, { resource, action: this.op });
+    this.and([{ [matterField]: { $nin: valuesFor(scope.screen) } }]);
+  });
+
+  schema.pre(SINGLE_OPERATIONS, { document: false, query: true }, async function () {
+    const scope = await scopeOf(this.getOptions());
+    if (!scope) return;
+    const wall = namedWall(this.getFilter(), scope.screen);
+    if (wall) await ethicalWallService.deny(scope.subject, wall, { resource, action: this.op });
+    this._ethicalWall = { ...scope, filter: { ...this.getFilter() } };
+    this.and([{ [matterField]: { $nin: valuesFor(scope.screen) } }]);
+  });
+
+  // Tell "not found" apart from "screened" so direct hits on a walled record are denied and audited
+  schema.post(SINGLE_OPERATIONS, { document: false, query: true }, async function (result) {
+    const scope = this._ethicalWall;
+    if (!scope || !missed(result)) return;
+    const target = await this.model.findOne(scope.filter).select(matterField).setOptions({ ethicalWall: false }).lean();
+    const wall = target && ethicalWallService.wallFor(scope.screen, readPath(target, matterField));
+    if (wall) await ethicalWallService.deny(scope.subject, wall, { resource, action: this.op, recordId: String(target._id) });
+  });
+
+  schema.pre('aggregate', async function () {
+    const scope = await scopeOf(this.options);
+    if (!scope) return;
+    const pipeline = this.pipeline();
+    const at = pipeline.findIndex((stage) => !LEADING_STAGES.includes(Object.keys(stage)[0]));
+    pipeline.splice(at === -1 ? pipeline.length : at, 0, { $match: { [matterField]: { $nin: valuesFor(scope.screen) } } });
+  });
+
+  schema.pre('validate', async function () {
+    const scope = await scopeOf();
+    if (!scope) return;
+    const wall = ethicalWallService.wallFor(scope.screen, this.get(matterField));
+    if (wall) await ethicalWallService.deny(scope.subject, wall, { resource, action: this.isNew ? 'create' : 'update', recordId: String(this._id) });
+  });
+}
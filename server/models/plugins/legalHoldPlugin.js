@@ -0,0 +1,63 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - LEGAL HOLD PLUGIN [V2.0.0-HOLD]                                                                                             ║
+ * ║ [REFUSE HARD DELETES | REFUSE SOFT DELETES | PER-TENANT HOLD LOOKUP]                                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/plugins/legalHoldPlugin.js                                         ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Applied to schemas whose records can fall under a legal hold:
+ *
+ *   DocumentSchema.plugin(legalHoldPlugin, { resource: 'document', facts: documentHoldFacts, deletedStatus: 'deleted' });
+ *
+ * Deleting a held record, or moving it to `deletedStatus`, throws the 409 from legalHoldService.assertNotHeld.
+ * There is deliberately no bypass option; release the hold instead.
+ */
+
+import legalHoldService from '../../services/legalHoldService.js';
+
+const HARD_DELETES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const SINGLE = ['deleteOne', 'findOneAndDelete', 'updateOne', 'findOneAndUpdate'];
+
+export default function legalHoldPlugin(schema, { resource = 'record', facts, deletedStatus, select = 'tenantId matterId createdBy createdAt metadata' } = {}) {
+  const marksDeleted = (update = {}) => Boolean(deletedStatus)
+    && (update.status === deletedStatus || update.$set?.status === deletedStatus);
+
+  const guard = async (records, action) => {
+    const holdsByTenant = new Map();
+    for (const record of records) {
+      const tenantId = String(record.tenantId);
+      if (!holdsByTenant.has(tenantId)) holdsByTenant.set(tenantId, await legalHoldService.activeHolds(tenantId));
+      await legalHoldService.assertNotHeld(tenantId, facts(record), {
+        resource,
+        action,
+        recordId: record._id,
+        holds: holdsByTenant.get(tenantId)
+      });
+    }
+  };
+
+  const guardQuery = async (query) => {
+    let lookup = query.model.find(query.getFilter()).select(select).lean();
+    if (SINGLE.includes(query.op)) lookup = lookup.limit(1);
+    await guard(await lookup, query.op);
+  };
+
+  schema.pre(HARD_DELETES, { document: false, query: true }, async function () {
+    await guardQuery(this);
+  });
+
+  schema.pre(UPDATES, { document: false, query: true }, async function () {
+    if (marksDeleted(this.getUpdate())) await guardQuery(this);
+  });
+
+  schema.pre('deleteOne', { document: true, query: false }, async function () {
+    await guard([this], 'deleteOne');
+  });
+
+  schema.pre('save', async function () {
+    if (!this.isNew && deletedStatus && this.isModified('status') && this.status === deletedStatus) await guard([this], 'soft-delete');
+  });
+}
@@ -0,0 +1,69 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SEARCH INDEX PLUGIN [V1.0.0-SEARCH]                                                                                         ║
+ * ║ [REINDEX ON SAVE | REINDEX ON QUERY UPDATES | DROP ON DELETE]                                                                          ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/models/plugins/searchIndexPlugin.js                                       ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Applied to every searchable schema with its index kind:
+ *
+ *   DocumentSchema.plugin(searchIndexPlugin, { kind: INDEX_KINDS.DOCUMENT });
+ *
+ * Indexing never fails the write that triggered it; failures are audited and a tenant rebuild repairs the index.
+ */
+
+import searchIndexService from '../../services/searchIndexService.js';
+import auditLogger from '../../utils/auditLogger.js';
+
+const QUERY_UPDATES = ['updateOne', 'updateMany'];
+const QUERY_DELETES = ['deleteOne', 'deleteMany'];
+const SYSTEM = { ethicalWall: false };
+
+export default function searchIndexPlugin(schema, { kind } = {}) {
+  const safely = async (action, recordIds, work) => {
+    try {
+      await work();
+    } catch (error) {
+      auditLogger.error('SEARCH_INDEX_FAILED', { kind, action, recordIds: recordIds.map(String), error: error.message });
+    }
+  };
+
+  // Query writes do not hand back documents, so the matched ids are captured before they run
+  const captureIds = async function () {
+    let lookup = this.model.find(this.getFilter()).select('_id tenantId').setOptions(SYSTEM).lean();
+    if (this.op === 'updateOne' || this.op === 'deleteOne') lookup = lookup.limit(1);
+    this._searchIndexTargets = await lookup;
+  };
+
+  schema.post('save', async function (doc) {
+    await safely('save', [doc._id], () => searchIndexService.indexRecord(kind, doc));
+  });
+
+  schema.post('findOneAndUpdate', async function (doc) {
+    if (!doc) return;
+    await safely('findOneAndUpdate', [doc._id], () => searchIndexService.reindexById(kind, [doc._id]));
+  });
+
+  schema.pre(QUERY_UPDATES, { document: false, query: true }, captureIds);
+  schema.post(QUERY_UPDATES, { document: false, query: true }, async function () {
+    const targets = this._searchIndexTargets || [];
+    if (targets.length) await safely(this.op, targets.map((target) => target._id), () => searchIndexService.reindexById(kind, targets.map((target) => target._id)));
+  });
+
+  schema.pre(QUERY_DELETES, { document: false, query: true }, captureIds);
+  schema.post(QUERY_DELETES, { document: false, query: true }, async function () {
+    for (const target of this._searchIndexTargets || []) {
+      await safely(this.op, [target._id], () => searchIndexService.removeRecord(kind, target.tenantId, target._id));
+    }
+  });
+
+  schema.post('findOneAndDelete', async function (doc) {
+    if (doc) await safely('findOneAndDelete', [doc._id], () => searchIndexService.removeRecord(kind, doc.tenantId, doc._id));
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+    await safely('deleteOne', [this._id], () => searchIndexService.removeRecord(kind, this.tenantId, this._id));
+  });
+}
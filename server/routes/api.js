@@ -25,6 +25,7 @@ import mongoose from 'mongoose';
 import { requireSovereignAuth } from '../middleware/auth.middleware.js';
 import { enforceTenantIsolation } from '../middleware/tenantBypass.js';
 import { tenantGuard } from '../middleware/tenantGuard.js';
+import { bindEthicalWall } from '../middleware/ethicalWall.js';
 import { broadcastTelemetry } from '../utils/telemetryHelper.js';
 import { breakerRegistry } from '../utils/circuitBreaker.js';
 import auditLogger from '../middleware/auditLogger.js';
@@ -36,6 +37,7 @@ import { SovereignBypassRoles } from '../config/roles.registry.js';
 import auth from './authRoutes.js';
 import tenantRoutes from './tenantRoutes.js';
 import lpc from './lpcRoutes.js';
+import lpcGateway from './lpc.js';
 import assetRoutes from './assetRoutes.js';
 import contractRoutes from './contractRoutes.js';
 import revenueRoutes from './revenueRoutes.js';
@@ -52,10 +54,26 @@ import jurisdictionRoutes from './jurisdictionRoutes.js';
 import ledgerRoutes from './ledgerRoutes.js';
 import brandingRoutes from './brandingRoutes.js';
 import invoiceRoutes from './invoiceRoutes.js';
+import timeEntryRoutes from './timeEntryRoutes.js';
+import preBillRoutes from './preBillRoutes.js';
+import courtDeadlineRoutes from './courtDeadlineRoutes.js';
+import dispatchRoutes from './dispatchRoutes.js';
+import bundleRoutes from './bundleRoutes.js';
+import documentRoutes from './documentRoutes.js';
+import conflictRoutes from './conflict.js';
+import legalHoldRoutes, { legalHoldAcknowledgementRoutes } from './legalHoldRoutes.js';
+import searchRoutes from './searchRoutes.js';
+import workflowRoutes from './workflowRoutes.js';
+import webhookRoutes from './webhookRoutes.js';
+import eSignRoutes, { eSignCeremonyRoutes } from './eSignRoutes.js';
+import sharedDocumentRoutes from './sharedDocumentRoutes.js';
+import clientPortalRoutes, { portalAccessRoutes } from './clientPortalRoutes.js';
 import courtRoutes from './courtRoutes.js';
 import nodeRoutes from './nodeRoutes.js';
 import seizureRoutes from './sovereignSeizureRoutes.js'; // 🛑 Atomic Seizure Protocol
 import statementsRoutes from './statements.routes.js';
+import importRoutes from './importRoutes.js';
+import templateRoutes from './templateRoutes.js';
 import wilsyAiRoutes from './wilsyAiRoutes.js';
 
 // 🏛️ SOVEREIGN ARTIFACT CONTROLLER (replaces legacy pdfRoutes)
@@ -144,6 +162,10 @@ router.get('/status', async (req, res) => {
 router.use('/auth', auth);
 router.use('/telemetry', telemetryRoutes);
 router.use('/forensics', forensics);
+router.use('/legal-holds/acknowledge', legalHoldAcknowledgementRoutes); // ⚖️ Custodians acknowledge by emailed token
+router.use('/esign/ceremony', eSignCeremonyRoutes); // ✍️ Remote parties sign by one-time link and code
+router.use('/shared', sharedDocumentRoutes); // 🔗 Outside parties open shared documents by link and password or code
+router.use('/portal', clientPortalRoutes); // 🧑‍💼 Clients sign in to their own matters, documents, invoices and messages
 
 // ============================================================================
 // 🏛️ 2. SOVEREIGN PROTECTED ZONE (Auth Mandatory)
@@ -151,6 +173,7 @@ router.use('/forensics', forensics);
 router.use(requireSovereignAuth);
 router.use(tenantGuard);
 router.use(enforceTenantIsolation);
+router.use(bindEthicalWall); // 🧱 Ethical walls screen matter-scoped models for the signed-in user
 
 // ============================================================================
 // 🏛️ 3. CORE MODULE MOUNTING (Forensically Secured)
@@ -158,6 +181,7 @@ router.use(enforceTenantIsolation);
 router.use('/tenant', tenantRoutes);
 router.use('/compliance', compliance);
 router.use('/lpc', lpc);
+router.use('/lpc', lpcGateway);
 router.use('/assets', assetRoutes);
 router.use('/contracts', contractRoutes);
 router.use('/revenue', revenueRoutes);
@@ -171,10 +195,25 @@ router.use('/jurisdiction', jurisdictionRoutes);
 router.use('/ledger', ledgerRoutes);
 router.use('/branding', brandingRoutes);
 router.use('/invoices', invoiceRoutes);
+router.use('/time-entries', timeEntryRoutes);
+router.use('/prebills', preBillRoutes);
+router.use('/deadlines', courtDeadlineRoutes);
+router.use('/dispatch', dispatchRoutes);
+router.use('/bundles', bundleRoutes);
+router.use('/documents', documentRoutes); // 📁 Versions, check-out, redline, redaction, external shares and OCR
+router.use('/v1/conflicts', conflictRoutes);
+router.use('/legal-holds', legalHoldRoutes);
+router.use('/search', searchRoutes);
+router.use('/workflows', workflowRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/esign', eSignRoutes);
 router.use('/courts', courtRoutes);
 router.use('/nodes', nodeRoutes);
 router.use('/seizure', seizureRoutes); // 🛑 Atomic Seizure Protocol Active
 router.use('/statements', statementsRoutes);
+router.use('/import', importRoutes); // 🏦 Trust bank statements, practice-management migration and bulk imports
+router.use('/templates', templateRoutes); // 📄 Precedent templates and DOCX document assembly
+router.use('/client-portal', portalAccessRoutes);
 router.use('/wilsy-ai', wilsyAiRoutes);
 router.post('/ai/query-ledger', queryLedger);
 
@@ -1,63 +1,65 @@
-#!/*
+/*
  * File: server/routes/bundleRoutes.js
  * STATUS: PRODUCTION-READY
  * PURPOSE: Bundle Gateway (Tenant-Scoped). Orchestrates the compilation of multiple documents into a single, indexed PDF Court Bundle.
  * AUTHOR: Wilsy Core Team
  * REVIEWERS: @security,@legal,@platform
- * MIGRATION_NOTES: Migrated to Joi Validation; enforced doc array limits to prevent memory overflows.
- * TESTS: mocha@9.x + chai@4.x; tests bundle compilation triggers and permission gates.
+ * MIGRATION_NOTES: Migrated to ESM and rule-based validation; enforced doc array limits to prevent memory overflows.
+ * TESTS: mocha@9.x + chai@4.x; creation, compile, regeneration and client scoping covered in tests/routes/bundleRoutes.test.js.
  */
 
 // 1. USAGE COMMENTS
 // -----------------------------------------------------------------------------
 // Usage:
-//   app.use('/api/bundles', bundleRoutes);
+//   router.use('/bundles', bundleRoutes); // routes/api.js
 //
 // Functionality:
 //   - POST /: Create a new Court Bundle (Async Job Trigger).
-//   - GET /:id: Check status / Download final PDF.
+//   - GET /:id: Check status and page ranges.
+//   - GET /:id/download: Download the final PDF.
 //   - POST /:id/regenerate: Re-compile if documents changed.
 // -----------------------------------------------------------------------------
 
-const express = require('express');
+import express from 'express';
+import bundleController from '../controllers/bundleController.js';
 
-const router = express.Router();
+// 2. MIDDLEWARE
+import { emitAudit } from '../middleware/auditMiddleware.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+import { validateSchema } from '../middleware/validationMiddleware.js';
+import { SECTION_CODES } from '../utils/bundleCompiler.js';
 
-const bundleController = require('../controllers/bundleController');
+const router = express.Router();
 
-// 2. MIDDLEWARE (The "Godly" Stack)
-const { emitAudit } = require('../middleware/auditMiddleware');
-const { protect } = require('../middleware/auth');
-const { requireSameTenant, restrictTo } = require('../middleware/rbacMiddleware');
-const validate = require('../middleware/validationMiddleware');
+const BUNDLE_WRITE_ROLES = ['ADMIN', 'LAWYER', 'ATTORNEY', 'PARTNER', 'PARALEGAL'];
+
+// 3. VALIDATION SCHEMAS
+const isDocumentList = (documents) => {
+  if (documents.length < 1 || documents.length > 200) return 'documents must list between 1 and 200 items'; // Limit 200 docs per bundle to prevent OOM
+  const invalid = documents.findIndex((entry) => (
+    !entry
+    || typeof entry.documentId !== 'string'
+    || !Number.isFinite(entry.order)
+    || (entry.section !== undefined && !SECTION_CODES.includes(entry.section))
+  ));
+  return invalid === -1 || `documents[${invalid}] needs documentId, numeric order and section ${SECTION_CODES.join('/')}`;
+};
 
-// 3. VALIDATION SCHEMAS (Joi)
-const { Joi } = validate;
+const isBundleOptions = (options) => (
+  ['pagination', 'tableOfContents'].every((flag) => options[flag] === undefined || typeof options[flag] === 'boolean')
+  && (options.watermark === undefined || (typeof options.watermark === 'string' && options.watermark.length <= 60))
+) || 'options accepts pagination/tableOfContents booleans and a watermark of up to 60 characters';
 
 const createBundleSchema = {
-  caseId: Joi.string().required(), // Link to Legal Matter/Case
-  name: Joi.string().min(3).max(200).required(),
-  description: Joi.string().max(500).allow('').optional(),
-  documents: Joi.array()
-    .items(
-      Joi.object({
-        documentId: Joi.string().required(),
-        order: Joi.number().required(),
-        section: Joi.string().valid('A', 'B', 'C', 'D', 'NONE').default('NONE'),
-      })
-    )
-    .min(1)
-    .max(200)
-    .required(), // Limit 200 docs per bundle to prevent OOM
-  options: Joi.object({
-    pagination: Joi.boolean().default(true), // Page numbering
-    tableOfContents: Joi.boolean().default(true), // Auto-generate index
-    watermark: Joi.string().allow('').optional(),
-  }).default({}),
+  caseId: { required: true, type: 'string' }, // Link to Legal Matter/Case
+  name: { required: true, type: 'string', minLength: 3, maxLength: 200 },
+  description: { type: 'string', maxLength: 500 },
+  documents: { required: true, type: 'array', validate: isDocumentList },
+  options: { type: 'object', validate: isBundleOptions }
 };
 
-const idSchema = {
-  id: Joi.string().required(),
+const regenerateSchema = {
+  force: { type: 'boolean' }
 };
 
 // ------------------------------
@@ -67,17 +69,15 @@ const idSchema = {
 /*
  * @route   POST /api/bundles
  * @desc    Initialize Court Bundle Generation (Async)
+ * @body    { caseId, name, description?, documents: [{ documentId, order, section? }], options? }
  * @access  Lawyer, Paralegal, Admin
  */
 router.post(
   '/',
-  protect,
-  requireSameTenant,
-  restrictTo('admin', 'lawyer', 'paralegal'),
-  validate(createBundleSchema, 'body'),
+  authorizeRoles(...BUNDLE_WRITE_ROLES),
+  validateSchema(createBundleSchema, 'body'),
   async (req, res, next) => {
     try {
-      // This usually triggers a BullMQ job
       const result = await bundleController.createBundle(req, res);
 
       // Audit the Heavy Operation
@@ -88,13 +88,14 @@ router.post(
         summary: `Bundle '${req.body.name}' queued for compilation`,
         metadata: {
           caseId: req.body.caseId,
+          bundleId: result?.bundle?.bundleId,
           docCount: req.body.documents.length,
         },
       });
 
-      if (!res.headersSent && result) res.status(201).json({ status: 'success', data: result });
+      if (!res.headersSent && result) res.status(202).json({ status: 'success', data: result });
     } catch (err) {
-      err.code = 'BUNDLE_CREATE_FAILED';
+      err.code = err.code || 'BUNDLE_CREATE_FAILED';
       next(err);
     }
   }
@@ -102,22 +103,44 @@ router.post(
 
 /*
  * @route   GET /api/bundles/:id
- * @desc    Get Bundle Metadata & Status
- * @access  Lawyer, Paralegal, Admin
+ * @desc    Get Bundle Metadata, Status & Page Ranges
+ * @access  Lawyer, Paralegal, Admin, Client (own matters only)
  */
 router.get(
   '/:id',
-  protect,
-  requireSameTenant,
-  restrictTo('admin', 'lawyer', 'paralegal', 'client'),
-  validate(idSchema, 'params'),
+  authorizeRoles(...BUNDLE_WRITE_ROLES, 'CLIENT'),
   async (req, res, next) => {
     try {
       const result = await bundleController.getBundle(req, res);
 
       if (!res.headersSent && result) res.json({ status: 'success', data: result });
     } catch (err) {
-      err.code = 'BUNDLE_GET_FAILED';
+      err.code = err.code || 'BUNDLE_GET_FAILED';
+      next(err);
+    }
+  }
+);
+
+/*
+ * @route   GET /api/bundles/:id/download
+ * @desc    Download the compiled bundle PDF
+ * @access  Lawyer, Paralegal, Admin, Client (own matters only)
+ */
+router.get(
+  '/:id/download',
+  authorizeRoles(...BUNDLE_WRITE_ROLES, 'CLIENT'),
+  async (req, res, next) => {
+    try {
+      await bundleController.downloadBundle(req, res);
+
+      await emitAudit(req, {
+        resource: 'doc_repository',
+        action: 'DOWNLOAD_BUNDLE',
+        severity: 'INFO',
+        metadata: { bundleId: req.params.id },
+      });
+    } catch (err) {
+      err.code = err.code || 'BUNDLE_DOWNLOAD_FAILED';
       next(err);
     }
   }
@@ -125,15 +148,14 @@ router.get(
 
 /*
  * @route   POST /api/bundles/:id/regenerate
- * @desc    Re-compile an existing bundle (e.g., after doc updates)
+ * @desc    Re-compile an existing bundle; a no-op unless a bundled document changed
+ * @body    { force?: boolean }
  * @access  Lawyer, Paralegal, Admin
  */
 router.post(
   '/:id/regenerate',
-  protect,
-  requireSameTenant,
-  restrictTo('admin', 'lawyer', 'paralegal'),
-  validate(idSchema, 'params'),
+  authorizeRoles(...BUNDLE_WRITE_ROLES),
+  validateSchema(regenerateSchema, 'body'),
   async (req, res, next) => {
     try {
       const result = await bundleController.regenerateBundle(req, res);
@@ -142,12 +164,12 @@ router.post(
         resource: 'doc_processor',
         action: 'REGENERATE_BUNDLE',
         severity: 'INFO',
-        metadata: { bundleId: req.params.id },
+        metadata: { bundleId: req.params.id, regenerated: result?.regenerated, changed: result?.changed },
       });
 
-      if (!res.headersSent && result) res.json({ status: 'success', data: result });
+      if (!res.headersSent && result) res.status(result.regenerated ? 202 : 200).json({ status: 'success', data: result });
     } catch (err) {
-      err.code = 'BUNDLE_REGEN_FAILED';
+      err.code = err.code || 'BUNDLE_REGEN_FAILED';
       next(err);
     }
   }
@@ -155,15 +177,12 @@ router.post(
 
 /*
  * @route   DELETE /api/bundles/:id
- * @desc    Archive/Delete a Bundle
+ * @desc    Archive a Bundle
  * @access  Admin, Lawyer
  */
 router.delete(
   '/:id',
-  protect,
-  requireSameTenant,
-  restrictTo('admin', 'lawyer'),
-  validate(idSchema, 'params'),
+  authorizeRoles('ADMIN', 'LAWYER', 'ATTORNEY', 'PARTNER'),
   async (req, res, next) => {
     try {
       const result = await bundleController.deleteBundle(req, res);
@@ -177,7 +196,7 @@ router.delete(
 
       if (!res.headersSent && result) res.json({ status: 'success', data: result });
     } catch (err) {
-      err.code = 'BUNDLE_DELETE_FAILED';
+      err.code = err.code || 'BUNDLE_DELETE_FAILED';
       next(err);
     }
   }
@@ -185,19 +204,12 @@ router.delete(
 
 export default router;
 
-// 4. USAGE EXAMPLE
-// -----------------------------------------------------------------------------
-/*
-const bundleRoutes = require('./server/routes/bundleRoutes');
-app.use('/api/bundles', bundleRoutes);
-*/
-
-// 5. ACCEPTANCE CRITERIA
+// 4. ACCEPTANCE CRITERIA
 // -----------------------------------------------------------------------------
 /*
-1. [ ] Correctly imports 'validationMiddleware' (Joi).
-2. [ ] Validates document list size (max 200 items) to prevent server overload.
-3. [ ] Restricts creation/regeneration to 'lawyer'/'paralegal'/'admin'.
-4. [ ] Emits Audit Events for heavy processing tasks (Generate/Regenerate).
-5. [ ] Ensures client can read/download but not regenerate/delete.
+1. [x] Validates document list size (max 200 items) to prevent server overload.
+2. [x] Restricts creation/regeneration to 'lawyer'/'paralegal'/'admin'.
+3. [x] Emits Audit Events for heavy processing tasks (Generate/Regenerate).
+4. [x] Ensures client can read/download but not regenerate/delete.
+5. [x] Regenerate only re-paginates when a bundled document changed.
 */
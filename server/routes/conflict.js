@@ -15,18 +15,41 @@
  */
 
 import express from 'express';
-import auth from '../middleware/auth.js';
-import tenantContextMiddleware from '../middleware/tenantContext.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+import { getCurrentTenant, getCurrentRequestId } from '../middleware/tenantContext.js';
+import { emitAudit } from '../middleware/auditMiddleware.js';
+import { validateSchema } from '../middleware/validationMiddleware.js';
 import Conflict from '../models/Conflict.js';
+import conflictScreeningService, { SIGN_OFF_DECISIONS } from '../services/conflictScreeningService.js';
+import ethicalWallService from '../services/ethicalWallService.js';
 
 const router = express.Router();
 
 /*
- * Apply tenant context middleware to all routes
- * Ensures multi-tenant isolation for all conflict operations
+ * Mounted behind the API gateway's authentication and tenant guard (routes/api.js);
+ * this only exposes the resolved tenant to the handlers below
  */
-router.use(auth.protect);
-router.use(tenantContextMiddleware.requireTenantContext);
+router.use((req, res, next) => {
+  req.tenantContext = { tenantId: req.user?.tenantId || getCurrentTenant() };
+  next();
+});
+
+/*
+ * conflict:<action> permissions mapped onto platform roles
+ */
+const CONFLICT_STAFF = ['ADMIN', 'PARTNER', 'LAWYER', 'ATTORNEY', 'COMPLIANCE_OFFICER'];
+const CONFLICT_RISK = ['ADMIN', 'PARTNER', 'COMPLIANCE_OFFICER', 'RISK_PARTNER'];
+const CONFLICT_PERMISSIONS = {
+  read: [...CONFLICT_STAFF, 'PARALEGAL'],
+  screen: [...CONFLICT_STAFF, 'PARALEGAL', 'INTAKE'],
+  create: CONFLICT_STAFF,
+  update: CONFLICT_STAFF,
+  escalate: CONFLICT_STAFF,
+  resolve: CONFLICT_RISK,
+  manage: CONFLICT_RISK,
+  delete: ['ADMIN'],
+};
+const can = (action) => authorizeRoles(...CONFLICT_PERMISSIONS[action]);
 
 // ==================== CONFLICT CRUD OPERATIONS ====================
 
@@ -40,7 +63,7 @@ router.use(tenantContextMiddleware.requireTenantContext);
  * @param   {String} severity - Filter by severity
  * @returns {Array} List of conflicts with metadata
  */
-router.get('/', auth.authorize('conflict', 'read'), async (req, res, next) => {
+router.get('/', can('read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 50, status, severity } = req.query;
     const { tenantId } = req.tenantContext;
@@ -76,7 +99,7 @@ router.get('/', auth.authorize('conflict', 'read'), async (req, res, next) => {
  * @param   {String} id - Conflict ID
  * @returns {Object} Conflict details
  */
-router.get('/:id', auth.authorize('conflict', 'read'), async (req, res, next) => {
+router.get('/:id', can('read'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
     const conflictId = req.params.id;
@@ -112,10 +135,10 @@ router.get('/:id', auth.authorize('conflict', 'read'), async (req, res, next) =>
  * @body    {Object} conflict - Conflict data
  * @returns {Object} Created conflict
  */
-router.post('/', auth.authorize('conflict', 'create'), async (req, res, next) => {
+router.post('/', can('create'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
-    const userId = req.user.id;
+    const userId = (req.user._id || req.user.id);
     const conflictData = req.body;
 
     // Validate required fields
@@ -208,10 +231,10 @@ router.post('/', auth.authorize('conflict', 'create'), async (req, res, next) =>
  * @body    {Object} updates - Fields to update
  * @returns {Object} Updated conflict
  */
-router.put('/:id', auth.authorize('conflict', 'update'), async (req, res, next) => {
+router.put('/:id', can('update'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
-    const userId = req.user.id;
+    const userId = (req.user._id || req.user.id);
     const conflictId = req.params.id;
     const updateData = req.body;
 
@@ -306,7 +329,7 @@ router.put('/:id', auth.authorize('conflict', 'update'), async (req, res, next)
  * @param   {String} id - Conflict ID
  * @returns {Object} Success message
  */
-router.delete('/:id', auth.authorize('conflict', 'delete'), async (req, res, next) => {
+router.delete('/:id', can('delete'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
     const conflictId = req.params.id;
@@ -334,13 +357,13 @@ router.delete('/:id', auth.authorize('conflict', 'delete'), async (req, res, nex
     // Soft delete by archiving
     const oldStatus = conflict.status;
     conflict.status = 'archived';
-    conflict.audit.updatedBy = req.user.id;
+    conflict.audit.updatedBy = (req.user._id || req.user.id);
     conflict.audit.updatedAt = new Date();
 
     if (!conflict.audit.changeLog) conflict.audit.changeLog = [];
     conflict.audit.changeLog.push({
       changedAt: new Date(),
-      changedBy: req.user.id,
+      changedBy: (req.user._id || req.user.id),
       field: 'status',
       oldValue: oldStatus,
       newValue: 'archived',
@@ -370,10 +393,10 @@ router.delete('/:id', auth.authorize('conflict', 'delete'), async (req, res, nex
  * @body    {String} reason - Reason for escalation
  * @returns {Object} Updated conflict
  */
-router.post('/:id/escalate', auth.authorize('conflict', 'escalate'), async (req, res, next) => {
+router.post('/:id/escalate', can('escalate'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
-    const userId = req.user.id;
+    const userId = (req.user._id || req.user.id);
     const conflictId = req.params.id;
     const { newSeverity, reason } = req.body;
 
@@ -417,10 +440,10 @@ router.post('/:id/escalate', auth.authorize('conflict', 'escalate'), async (req,
  * @body    {String} details - Resolution details
  * @returns {Object} Resolved conflict
  */
-router.post('/:id/resolve', auth.authorize('conflict', 'resolve'), async (req, res, next) => {
+router.post('/:id/resolve', can('resolve'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
-    const userId = req.user.id;
+    const userId = (req.user._id || req.user.id);
     const conflictId = req.params.id;
     const { resolutionType, details } = req.body;
 
@@ -464,10 +487,10 @@ router.post('/:id/resolve', auth.authorize('conflict', 'resolve'), async (req, r
  * @body    {String} wallId - Ethical wall identifier (optional)
  * @returns {Object} Updated conflict
  */
-router.post('/:id/ethical-wall', auth.authorize('conflict', 'manage'), async (req, res, next) => {
+router.post('/:id/ethical-wall', can('manage'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
-    const userId = req.user.id;
+    const userId = (req.user._id || req.user.id);
     const conflictId = req.params.id;
     const { participantIds, wallId } = req.body;
 
@@ -491,6 +514,7 @@ router.post('/:id/ethical-wall', auth.authorize('conflict', 'manage'), async (re
     }
 
     const updatedConflict = await conflict.addEthicalWall(participantIds, wallId, userId);
+    ethicalWallService.invalidate(tenantId);
 
     res.status(200).json({
       success: true,
@@ -502,64 +526,119 @@ router.post('/:id/ethical-wall', auth.authorize('conflict', 'manage'), async (re
   }
 });
 
+/*
+ * @route   GET /api/v1/conflicts/:id/ethical-wall/attempts
+ * @desc    Access attempts the conflict's ethical wall refused, newest first
+ * @access  Private (Requires conflict:manage permission)
+ * @param   {String} id - Conflict ID
+ * @returns {Object} Wall id and blocked attempts
+ */
+router.get('/:id/ethical-wall/attempts', can('manage'), async (req, res, next) => {
+  try {
+    const { tenantId } = req.tenantContext;
+    const data = await ethicalWallService.listBlockedAttempts(tenantId, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: data.attempts.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ==================== CONFLICT SCREENING & ANALYTICS ====================
 
+const isNameList = (names) => (
+  names.length >= 1 && names.length <= 50 && names.every((name) => typeof name === 'string' && name.trim().length >= 2)
+) || 'partyNames must list 1 to 50 names of at least 2 characters';
+
+const screenSchema = {
+  matterId: { required: true, type: 'string' },
+  partyNames: { required: true, type: 'array', validate: isNameList },
+  threshold: { type: 'number', min: 0.5, max: 1 },
+};
+
+const signOffSchema = {
+  decision: { required: true, type: 'string', enum: SIGN_OFF_DECISIONS },
+  notes: { type: 'string', maxLength: 2000 },
+};
+
 /*
  * @route   POST /api/v1/conflicts/screen
- * @desc    Screen for potential conflicts
+ * @desc    Screen a new matter's parties against every party-bearing record of the tenant
+ *          (matter parties, case parties, companies and directors, CRM, the conflict register).
+ *          Matching is normalised, phonetic and transliteration-aware; the result is stored on
+ *          the matter as a screening awaiting sign-off.
  * @access  Private (Requires conflict:screen permission)
- * @body    {Array} partyNames - Names to screen against
- * @body    {Array} involvedUsers - User IDs to screen against
- * @body    {String} matterType - Type of matter
- * @returns {Array} Potential conflict matches
+ * @body    {String} matterId - The matter being opened (_id or matter number)
+ * @body    {Array} partyNames - Names to screen
+ * @body    {Number} threshold - Minimum score to report (default 0.75)
+ * @returns {Object} Screening id, outcome and scored hits with matter, role and responsible attorney
  */
-router.post('/screen', auth.authorize('conflict', 'screen'), async (req, res, next) => {
+router.post('/screen', can('screen'), validateSchema(screenSchema, 'body'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
-    const { partyNames, involvedUsers, matterType } = req.body;
-
-    if ((!partyNames?.length) && (!involvedUsers?.length)) {
-      return res.status(400).json({
-        success: false,
-        error: 'At least one screening criteria required (partyNames or involvedUsers)',
-      });
-    }
-
-    const screeningData = { partyNames, involvedUsers };
-    const matches = await Conflict.screenForConflicts(tenantId, screeningData);
-
-    // Filter by matter type if provided
-    let filteredMatches = matches;
-    if (matterType) {
-      filteredMatches = matches.filter(
-        (conflict) =>
-          !conflict.matter?.matterType ||
-          conflict.matter.matterType === matterType
-      );
-    }
+    const result = await conflictScreeningService.screen(tenantId, req.body, {
+      userId: req.user?._id || req.user?.id,
+      traceId: getCurrentRequestId(),
+    });
 
-    const message = filteredMatches.length > 0
-      ? 'Potential conflicts found'
-      : 'No potential conflicts detected';
+    await emitAudit(req, {
+      resource: 'conflict_screening',
+      action: 'SCREEN_MATTER',
+      severity: result.hitCount ? 'WARN' : 'INFO',
+      summary: `Conflict screen for matter ${result.matterNumber}: ${result.outcome}`,
+      metadata: { matterId: result.matterId, screeningId: result.screeningId, hitCount: result.hitCount },
+    });
 
     res.status(200).json({
       success: true,
-      count: filteredMatches.length,
-      data: filteredMatches,
-      message,
+      count: result.hitCount,
+      data: result,
+      message: result.hitCount ? 'Potential conflicts found' : 'No potential conflicts detected',
     });
   } catch (error) {
     next(error);
   }
 });
 
+/*
+ * @route   POST /api/v1/conflicts/screenings/:screeningId/sign-off
+ * @desc    Record the sign-off decision on a stored screening
+ * @access  Private (Requires conflict:resolve permission)
+ * @body    {String} decision - CLEARED | WAIVED | DECLINED
+ * @body    {String} notes - Required unless clearing a screening without hits
+ */
+router.post('/screenings/:screeningId/sign-off', can('resolve'), validateSchema(signOffSchema, 'body'), async (req, res, next) => {
+  try {
+    const { tenantId } = req.tenantContext;
+    const result = await conflictScreeningService.signOff(tenantId, req.params.screeningId, req.body, {
+      userId: req.user?._id || req.user?.id,
+      traceId: getCurrentRequestId(),
+    });
+
+    await emitAudit(req, {
+      resource: 'conflict_screening',
+      action: 'SIGN_OFF_SCREENING',
+      severity: result.signOff.status === 'CLEARED' ? 'INFO' : 'WARN',
+      metadata: { matterId: result.matterId, screeningId: result.screeningId, decision: result.signOff.status },
+    });
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /*
  * @route   GET /api/v1/conflicts/stats
  * @desc    Get conflict statistics for tenant
  * @access  Private (Requires conflict:read permission)
  * @returns {Object} Conflict statistics
  */
-router.get('/stats', auth.authorize('conflict', 'read'), async (req, res, next) => {
+router.get('/stats', can('read'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
     const stats = await Conflict.getTenantStatistics(tenantId);
@@ -584,7 +663,7 @@ router.get('/stats', auth.authorize('conflict', 'read'), async (req, res, next)
  * @query   {String} status - Filter by status
  * @returns {Array} Matching conflicts
  */
-router.get('/search', auth.authorize('conflict', 'read'), async (req, res, next) => {
+router.get('/search', can('read'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
     const { q, severity, type, status } = req.query;
@@ -633,7 +712,7 @@ router.get('/search', auth.authorize('conflict', 'read'), async (req, res, next)
  * @param   {String} id - Conflict ID
  * @returns {Object} Compliance status
  */
-router.get('/:id/compliance', auth.authorize('conflict', 'read'), async (req, res, next) => {
+router.get('/:id/compliance', can('read'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
     const conflictId = req.params.id;
@@ -691,10 +770,10 @@ router.get('/:id/compliance', auth.authorize('conflict', 'read'), async (req, re
  * @body    {Object} consentData - Consent information
  * @returns {Object} Updated compliance status
  */
-router.post('/:id/compliance/popia-consent', auth.authorize('conflict', 'manage'), async (req, res, next) => {
+router.post('/:id/compliance/popia-consent', can('manage'), async (req, res, next) => {
   try {
     const { tenantId } = req.tenantContext;
-    const userId = req.user.id;
+    const userId = (req.user._id || req.user.id);
     const conflictId = req.params.id;
     const { consentMethod, consentRecordId } = req.body;
 
@@ -777,7 +856,7 @@ router.use((error, req, res, next) => {
   }
 
   // Default error
-  res.status(error.statusCode || 500).json({
+  res.status(error.status || error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
   });
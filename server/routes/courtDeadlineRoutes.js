@@ -0,0 +1,70 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - COURT DEADLINE ROUTES [V1.0.0-LITIGATION]                                                                                   ║
+ * ║ [TRIGGER EVENTS → COURT-DAY DEADLINES | PRESCRIPTION TRACKING]                                                                         ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/courtDeadlineRoutes.js                                             ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Mounted at /api/deadlines. Trigger events: SUMMONS_SERVED, NOTICE_TO_DEFEND_DELIVERED, PLEA_DELIVERED,
+ * NOTICE_OF_BAR_SERVED, NOTICE_OF_MOTION_SERVED, DISCOVERY_NOTICE_SERVED, JUDGMENT_DELIVERED.
+ */
+
+import express from 'express';
+import courtDeadlineController from '../controllers/courtDeadlineController.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/deadlines/preview
+ * @desc    Compute dependent deadlines without saving them
+ * @body    { event, triggerDate, courtId? | courtTier? | matterId? }
+ */
+router.post('/preview', courtDeadlineController.previewDeadlines);
+
+/**
+ * @route   GET /api/deadlines/matters/:matterId
+ * @desc    Recorded triggers and every deadline on the matter, soonest first
+ */
+router.get('/matters/:matterId', courtDeadlineController.getMatterDeadlines);
+
+/**
+ * @route   POST /api/deadlines/matters/:matterId/triggers
+ * @desc    Record a trigger event; its dependent deadlines are written into Matter.deadlines
+ * @body    { event, triggerDate, courtId? | courtTier? } (defaults to the matter's court)
+ */
+router.post('/matters/:matterId/triggers', courtDeadlineController.recordTrigger);
+
+/**
+ * @route   PATCH /api/deadlines/matters/:matterId/triggers/:triggerId
+ * @desc    Move the trigger date or court; dependent deadlines are recalculated
+ * @body    { triggerDate?, courtId?, courtTier? }
+ */
+router.patch('/matters/:matterId/triggers/:triggerId', courtDeadlineController.updateTrigger);
+
+/**
+ * @route   DELETE /api/deadlines/matters/:matterId/triggers/:triggerId
+ * @body    { reason? }
+ */
+router.delete('/matters/:matterId/triggers/:triggerId', courtDeadlineController.removeTrigger);
+
+// ============================================================================
+// ⏳ PRESCRIPTION
+// ============================================================================
+
+/**
+ * @route   GET /api/deadlines/prescription/at-risk
+ * @desc    Open matters whose prescription or Act 40 of 2002 notice cut-off falls within the window
+ * @query   days (default 90)
+ */
+router.get('/prescription/at-risk', courtDeadlineController.getPrescriptionReport);
+
+/**
+ * @route   PUT /api/deadlines/matters/:matterId/prescription
+ * @desc    Record the claim; prescription and notice dates are computed and alerts escalate from here
+ * @body    { claimCategory, causeOfActionDate, knowledgeDate?, impedimentEndsOn?, noticeServedOn?, interruptedOn?, alertThresholds? }
+ */
+router.put('/matters/:matterId/prescription', courtDeadlineController.setPrescriptionClaim);
+
+export default router;
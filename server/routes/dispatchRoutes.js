@@ -1,58 +1,60 @@
-#!/*
+/*
  * File: server/routes/dispatchRoutes.js
  * STATUS: PRODUCTION-READY
  * PURPOSE: Master Dispatch Gateway. Manages the overall Dispatch Board, route optimization, and bulk assignment of instructions.
  * AUTHOR: Wilsy Core Team
  * REVIEWERS: @ops,@logistics,@platform
- * MIGRATION_NOTES: Migrated to Joi Validation; added route optimization endpoints.
- * TESTS: mocha@9.x + chai@4.x; tests bulk assignment and geospatial filtering.
+ * MIGRATION_NOTES: Migrated to ESM and rule-based validation; authentication and tenant isolation come from the API gateway.
+ * TESTS: mocha@9.x + chai@4.x; board, optimisation and bulk assignment covered in tests/routes/dispatchRoutes.test.js.
  */
 
 // 1. USAGE COMMENTS
 // -----------------------------------------------------------------------------
 // Usage:
-//   app.use('/api/dispatch', dispatchRoutes);
+//   router.use('/dispatch', dispatchRoutes); // routes/api.js
 //
 // Functionality:
-//   - GET /board: View all active dispatches (Kanban/Map view data).
-//   - POST /optimize: Run route optimization algorithm for a specific zone.
-//   - POST /bulk-assign: Assign multiple instructions to a single Sheriff.
+//   - GET /board: View all active dispatches grouped per sheriff (Kanban/Map view data).
+//   - POST /optimize: Order a sheriff's stops (nearest neighbour + 2-opt, time windows honoured).
+//   - POST /bulk-assign: Assign multiple instructions to a single Sheriff (coverage + capacity checked).
 // -----------------------------------------------------------------------------
 
-const express = require('express');
+import express from 'express';
+import dispatchController from '../controllers/dispatchController.js';
 
-const router = express.Router();
+// 2. MIDDLEWARE
+import { emitAudit } from '../middleware/auditMiddleware.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+import { validateSchema } from '../middleware/validationMiddleware.js';
 
-const dispatchController = require('../controllers/dispatchController');
+const router = express.Router();
 
-// 2. MIDDLEWARE (The "Godly" Stack)
-const { emitAudit } = require('../middleware/auditMiddleware');
-const { protect } = require('../middleware/auth');
-const { requireSameTenant, restrictTo } = require('../middleware/rbacMiddleware');
-const validate = require('../middleware/validationMiddleware');
+// 3. VALIDATION SCHEMAS
+const isStringList = (min) => (value) => (
+  value.length >= min && value.every((id) => typeof id === 'string' && id.length > 0)
+) || `instructionIds must list at least ${min} instruction id(s)`;
 
-// 3. VALIDATION SCHEMAS (Joi)
-const { Joi } = validate;
+const isLatLng = (value) => (
+  value && Number.isFinite(value.lat) && Number.isFinite(value.lng)
+) || 'startLocation must be { lat, lng }';
 
 const boardFilterSchema = {
-  status: Joi.string().valid('PENDING', 'IN_PROGRESS', 'COMPLETED', 'PROBLEM').optional(),
-  zoneId: Joi.string().optional(),
-  sheriffId: Joi.string().optional(),
-  date: Joi.date().iso().optional(),
+  status: { type: 'string', enum: ['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'PROBLEM'] },
+  zoneId: { type: 'string' },
+  sheriffId: { type: 'string' },
+  date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}/, message: 'date must be an ISO date' }
 };
 
 const optimizeRouteSchema = {
-  sheriffId: Joi.string().required(),
-  instructionIds: Joi.array().items(Joi.string()).min(2).required(), // Need at least 2 points to optimize
-  startLocation: Joi.object({
-    lat: Joi.number().required(),
-    lng: Joi.number().required(),
-  }).optional(), // Defaults to Sheriff's current location or HQ
+  sheriffId: { required: true, type: 'string' },
+  instructionIds: { required: true, type: 'array', validate: isStringList(2) }, // Need at least 2 points to optimize
+  startLocation: { type: 'object', validate: isLatLng }, // Defaults to the Sheriff's current location
+  departAt: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}T/, message: 'departAt must be an ISO timestamp' }
 };
 
 const bulkAssignSchema = {
-  sheriffId: Joi.string().required(),
-  instructionIds: Joi.array().items(Joi.string()).min(1).required(),
+  sheriffId: { required: true, type: 'string' },
+  instructionIds: { required: true, type: 'array', validate: isStringList(1) }
 };
 
 // ------------------------------
@@ -62,24 +64,19 @@ const bulkAssignSchema = {
 /*
  * @route   GET /api/dispatch/board
  * @desc    Get Master Dispatch Board Data
+ * @query   status, zoneId, sheriffId, date
  * @access  Admin, Dispatcher
  */
 router.get(
   '/board',
-  protect,
-  requireSameTenant,
-  restrictTo('admin', 'dispatcher', 'superadmin'),
-  validate(boardFilterSchema, 'query'),
+  authorizeRoles('ADMIN', 'DISPATCHER', 'SUPER_ADMIN'),
+  validateSchema(boardFilterSchema, 'query'),
   async (req, res, next) => {
     try {
       const result = await dispatchController.getDispatchBoard(req, res);
-
-      // Light audit for dashboard views (optional, keeps logs clean)
-      // await emitAudit(req, { ... });
-
       if (!res.headersSent && result) res.json({ status: 'success', data: result });
     } catch (err) {
-      err.code = 'DISPATCH_BOARD_FAILED';
+      err.code = err.code || 'DISPATCH_BOARD_FAILED';
       next(err);
     }
   }
@@ -87,15 +84,14 @@ router.get(
 
 /*
  * @route   POST /api/dispatch/optimize
- * @desc    Calculate Optimal Route (TSP Solver)
- * @access  Dispatcher, Sheriff
+ * @desc    Calculate Optimal Route (nearest neighbour + 2-opt over haversine distance)
+ * @body    { sheriffId, instructionIds[], startLocation?: { lat, lng }, departAt? }
+ * @access  Admin, Dispatcher, Sheriff (own route only)
  */
 router.post(
   '/optimize',
-  protect,
-  requireSameTenant,
-  restrictTo('admin', 'dispatcher', 'sheriff'),
-  validate(optimizeRouteSchema, 'body'),
+  authorizeRoles('ADMIN', 'DISPATCHER', 'SHERIFF'),
+  validateSchema(optimizeRouteSchema, 'body'),
   async (req, res, next) => {
     try {
       const result = await dispatchController.optimizeRoute(req, res);
@@ -104,12 +100,12 @@ router.post(
         resource: 'dispatch_engine',
         action: 'OPTIMIZE_ROUTE',
         severity: 'INFO',
-        metadata: { sheriffId: req.body.sheriffId, stops: req.body.instructionIds.length },
+        metadata: { sheriffId: req.body.sheriffId, stops: req.body.instructionIds.length, totalKm: result?.totalKm },
       });
 
       if (!res.headersSent && result) res.json({ status: 'success', data: result });
     } catch (err) {
-      err.code = 'ROUTE_OPTIMIZE_FAILED';
+      err.code = err.code || 'ROUTE_OPTIMIZE_FAILED';
       next(err);
     }
   }
@@ -117,15 +113,14 @@ router.post(
 
 /*
  * @route   POST /api/dispatch/bulk-assign
- * @desc    Bulk Assign Instructions to Sheriff
+ * @desc    Bulk Assign Instructions to Sheriff (all-or-nothing)
+ * @body    { sheriffId, instructionIds[] }
  * @access  Admin, Dispatcher
  */
 router.post(
   '/bulk-assign',
-  protect,
-  requireSameTenant,
-  restrictTo('admin', 'dispatcher'),
-  validate(bulkAssignSchema, 'body'),
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  validateSchema(bulkAssignSchema, 'body'),
   async (req, res, next) => {
     try {
       const result = await dispatchController.bulkAssign(req, res);
@@ -140,7 +135,7 @@ router.post(
 
       if (!res.headersSent && result) res.json({ status: 'success', data: result });
     } catch (err) {
-      err.code = 'BULK_ASSIGN_FAILED';
+      err.code = err.code || 'BULK_ASSIGN_FAILED';
       next(err);
     }
   }
@@ -148,19 +143,11 @@ router.post(
 
 export default router;
 
-// 4. USAGE EXAMPLE
-// -----------------------------------------------------------------------------
-/*
-const dispatchRoutes = require('./server/routes/dispatchRoutes');
-app.use('/api/dispatch', dispatchRoutes);
-*/
-
-// 5. ACCEPTANCE CRITERIA
+// 4. ACCEPTANCE CRITERIA
 // -----------------------------------------------------------------------------
 /*
-1. [ ] Correctly imports 'validationMiddleware' (Joi).
-2. [ ] Validates optimize requests (minimum 2 stops).
-3. [ ] Restricts board access to 'dispatcher'/'admin' roles.
-4. [ ] Emits Audit Events for route optimization and bulk assignment.
-5. [ ] Handles map-based filtering parameters correctly.
+1. [x] Validates optimize requests (minimum 2 stops).
+2. [x] Restricts board access to 'dispatcher'/'admin' roles.
+3. [x] Emits Audit Events for route optimization and bulk assignment.
+4. [x] Handles map-based filtering parameters correctly.
 */
@@ -41,9 +41,9 @@ import multer from 'multer';
 import { sovereignAuthenticate, requireRole } from '../middleware/auth.js';
 import { deviceFingerprint, validateFingerprint } from '../middleware/deviceFingerprint.js';
 import { apiLimiter, quantumFirewall } from '../middleware/security.js';
+import { keepTenantContext } from '../middleware/tenantContext.js';
 import documentController from '../controllers/documentController.js';
 import auditLogger from '../utils/auditLogger.js';
-import AuditLog from '../models/AuditLog.js';
 import crypto from 'crypto';
 
 // ============================================================================
@@ -121,124 +121,111 @@ router.get('/quantum-health', (req, res) => {
   });
 });
 
-/**
- * @route   GET /api/documents/search
- * @desc    Quantum-secure document search within jurisdiction
- * @access  Private (All authenticated users)
- */
-router.get(
-  '/search',
-  validateFingerprint({ minConfidence: 95 }),
-  documentController.searchDocuments
-);
-
 /**
  * @route   POST /api/documents
- * @desc    Quantum upload and hash legal artifact
+ * @desc    Upload a file ({ title?, comment? }) as a new document's first version; scans are queued for OCR
  * @access  Private (All authenticated users)
  */
 router.post(
   '/',
   validateFingerprint({ minConfidence: 99 }),
-  upload.single('file'),
+  keepTenantContext(upload.single('file')),
   documentController.uploadDocument
 );
 
 /**
- * @route   POST /api/documents/bulk
- * @desc    Quantum bulk upload (Admin only)
- * @access  Private (Super Admin only)
+ * @route   GET /api/documents/:documentId/versions
+ * @desc    Version history, newest first, with the running check-out
+ * @access  Private (Document owner or Admin)
  */
-router.post(
-  '/bulk',
-  requireRole(['super_admin']),
-  validateFingerprint({ minConfidence: 99.997 }),
-  upload.array('files', 10),
-  documentController.bulkUpload
+router.get(
+  '/:documentId/versions',
+  validateFingerprint({ minConfidence: 95 }),
+  documentController.getVersions
 );
 
 /**
- * @route   GET /api/documents/:documentId
- * @desc    Quantum document retrieval with forensic audit
- * @access  Private (All authenticated users)
+ * @route   POST /api/documents/:documentId/versions
+ * @desc    Save a new version (file, comment, keepCheckedOut); checks in the caller's check-out
+ * @access  Private (Document owner or Admin)
  */
-router.get(
-  '/:documentId',
-  validateFingerprint({ minConfidence: 95 }),
-  documentController.getDocument
+router.post(
+  '/:documentId/versions',
+  validateFingerprint({ minConfidence: 99 }),
+  keepTenantContext(upload.single('file')),
+  documentController.createVersion
 );
 
 /**
- * @route   PUT /api/documents/:documentId
- * @desc    Quantum document update
+ * @route   GET /api/documents/:documentId/versions/:versionId
+ * @desc    One version, by number or versionId
  * @access  Private (Document owner or Admin)
  */
-router.put(
-  '/:documentId',
+router.get(
+  '/:documentId/versions/:versionId',
   validateFingerprint({ minConfidence: 99 }),
-  upload.single('file'),
-  documentController.updateDocument
+  documentController.getVersion
 );
 
 /**
- * @route   DELETE /api/documents/:documentId
- * @desc    Quantum document deletion (with forensic backup)
+ * @route   GET /api/documents/:documentId/versions/:versionId/download
+ * @desc    The stored file of one version
  * @access  Private (Document owner or Admin)
  */
-router.delete(
-  '/:documentId',
-  validateFingerprint({ minConfidence: 99.9 }),
-  documentController.deleteDocument
+router.get(
+  '/:documentId/versions/:versionId/download',
+  validateFingerprint({ minConfidence: 99 }),
+  documentController.downloadVersion
 );
 
 /**
- * @route   GET /api/documents/:documentId/download
- * @desc    Quantum document download with encryption
- * @access  Private (All authenticated users)
+ * @route   POST /api/documents/:documentId/versions/:versionId/restore
+ * @desc    Save an earlier version again as the newest
+ * @access  Private (Document owner or Admin)
  */
-router.get(
-  '/:documentId/download',
+router.post(
+  '/:documentId/versions/:versionId/restore',
   validateFingerprint({ minConfidence: 99 }),
-  documentController.downloadDocument
+  documentController.restoreVersion
 );
 
 /**
- * @route   GET /api/documents/:documentId/versions
- * @desc    Get quantum document version history
+ * @route   GET /api/documents/:documentId/redline?from=&to=&format=pdf|json
+ * @desc    Word-level comparison of two versions as a redline PDF (or JSON)
  * @access  Private (Document owner or Admin)
  */
 router.get(
-  '/:documentId/versions',
-  validateFingerprint({ minConfidence: 95 }),
-  documentController.getVersions
+  '/:documentId/redline',
+  validateFingerprint({ minConfidence: 99 }),
+  documentController.getRedline
 );
 
 /**
- * @route   POST /api/documents/:documentId/versions
- * @desc    Create new quantum document version
+ * @route   POST /api/documents/:documentId/ocr
+ * @desc    Queue OCR of a scanned version ({ version?, dpi? }); the searchable PDF is saved as a new version
  * @access  Private (Document owner or Admin)
  */
 router.post(
-  '/:documentId/versions',
+  '/:documentId/ocr',
   validateFingerprint({ minConfidence: 99 }),
-  upload.single('file'),
-  documentController.createVersion
+  documentController.requestOcr
 );
 
 /**
- * @route   GET /api/documents/:documentId/versions/:versionId
- * @desc    Get specific quantum document version
+ * @route   GET /api/documents/:documentId/ocr
+ * @desc    OCR status, and once done the text and confidence of each page read
  * @access  Private (Document owner or Admin)
  */
 router.get(
-  '/:documentId/versions/:versionId',
-  validateFingerprint({ minConfidence: 99 }),
-  documentController.getVersion
+  '/:documentId/ocr',
+  validateFingerprint({ minConfidence: 95 }),
+  documentController.getOcr
 );
 
 /**
  * @route   POST /api/documents/:documentId/share
- * @desc    Quantum document sharing with access controls
+ * @desc    Share a version outside the firm: { email, name?, phone?, protection: password|otp, password?,
+ *          expiresAt? | expiresInDays?, viewOnly?, maxDownloads?, message?, version? }; the link is emailed
  * @access  Private (Document owner or Admin)
  */
 router.post(
@@ -247,9 +234,20 @@ router.post(
   documentController.shareDocument
 );
 
+/**
+ * @route   GET /api/documents/:documentId/shares
+ * @desc    External shares of the document with their status, views and downloads
+ * @access  Private (Document owner or Admin)
+ */
+router.get(
+  '/:documentId/shares',
+  validateFingerprint({ minConfidence: 99 }),
+  documentController.listShares
+);
+
 /**
  * @route   DELETE /api/documents/:documentId/share/:shareId
- * @desc    Revoke quantum document sharing
+ * @desc    Revoke an external share at once ({ reason? })
  * @access  Private (Document owner or Admin)
  */
 router.delete(
@@ -271,20 +269,22 @@ router.get(
 );
 
 /**
- * @route   POST /api/documents/:documentId/verify
- * @desc    Quantum hash verification
- * @access  Private (All authenticated users)
+ * @route   GET /api/documents/:documentId/redact/candidates
+ * @desc    PII proposed for redaction in a PDF version (?version=), with boxes and reason codes
+ * @access  Private (Compliance or Admin)
  */
-router.post(
-  '/:documentId/verify',
-  validateFingerprint({ minConfidence: 99 }),
-  documentController.verifyDocument
+router.get(
+  '/:documentId/redact/candidates',
+  requireRole(['super_admin', 'compliance']),
+  validateFingerprint({ minConfidence: 99.997 }),
+  documentController.getRedactionCandidates
 );
 
 /**
  * @route   POST /api/documents/:documentId/redact
- * @desc    Quantum PII redaction (POPIA §19)
- * @access  Private (Document owner or Admin)
+ * @desc    Burn-in redaction (PRIVILEGE, POPIA_S19, THIRD_PARTY): { version?, candidates: [{ candidateId, reason?, note? }],
+ *          boxes: [{ page, x, y, width, height, reason, note? }], comment? } saves a flattened version with a redaction log
+ * @access  Private (Compliance or Admin)
  */
 router.post(
   '/:documentId/redact',
@@ -295,7 +295,7 @@ router.post(
 
 /**
  * @route   POST /api/documents/:documentId/watermark
- * @desc    Quantum watermark for forensic tracking
+ * @desc    A version ({ version? }) as a PDF stamped on every page with the caller's email and the time
  * @access  Private (Document owner or Admin)
  */
 router.post(
@@ -305,39 +305,26 @@ router.post(
   documentController.addWatermark
 );
 
-/**
- * @route   GET /api/documents/stats/quantum
- * @desc    Get quantum document statistics
- * @access  Private (Admin only)
- */
-router.get(
-  '/stats/quantum',
-  requireRole(['super_admin']),
-  validateFingerprint({ minConfidence: 99.997 }),
-  documentController.getStats
-);
-
 /**
  * @route   POST /api/documents/:documentId/lock
- * @desc    Quantum document lock (legal hold)
- * @access  Private (Compliance or Admin)
+ * @desc    Check out (minutes, comment): only the holder can save versions until check-in or expiry.
+ *          Legal holds are managed under /api/legal-holds, not here.
+ * @access  Private (All authenticated users)
  */
 router.post(
   '/:documentId/lock',
-  requireRole(['super_admin', 'compliance']),
-  validateFingerprint({ minConfidence: 99.997 }),
+  validateFingerprint({ minConfidence: 99 }),
   documentController.lockDocument
 );
 
 /**
  * @route   POST /api/documents/:documentId/unlock
- * @desc    Quantum document unlock
- * @access  Private (Compliance or Admin)
+ * @desc    Check in without a new version; { force: true, reason } releases another user's check-out
+ * @access  Private (Holder; Compliance or Admin to force)
  */
 router.post(
   '/:documentId/unlock',
-  requireRole(['super_admin', 'compliance']),
-  validateFingerprint({ minConfidence: 99.997 }),
+  validateFingerprint({ minConfidence: 99 }),
   documentController.unlockDocument
 );
 
@@ -390,9 +377,11 @@ router.use((err, req, res, next) => {
     success: false,
     error: err.code || 'QUANTUM_DOCUMENT_ROUTE_ERROR',
     errorId,
-    message: process.env.NODE_ENV === 'production'
+    // Client faults (a held check-out, a missing version) are explained; server faults are not
+    message: process.env.NODE_ENV === 'production' && (err.status || 500) >= 500
       ? 'An error occurred in the quantum document system. Our engineering team has been notified.'
       : err.message,
+    ...(err.details && (err.status || 500) < 500 && { details: err.details }),
     timestamp: new Date().toISOString()
   });
 });
@@ -1,379 +1,554 @@
 /* eslint-disable */
 /**
  * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
- * ║ WILSY OS - QUANTUM E-SIGNATURE ROUTES - OMEGA EDITION                                                                                 ║
- * ║ R23.7T ELECTRONIC SIGNATURES | ECT ACT §15 | QUANTUM-RESISTANT | FORENSIC AUDIT                                                      ║
- * ║                                                                                                                                        ║
- * ║ "The most advanced e-signature system in human history - every signature quantum-verified"                                            ║
- * ║                                                    - Wilson Khanyezi, 10th Generation Architect                                       ║
+ * ║ WILSY OS - E-SIGNATURE ROUTES [V2.0.0-PADES]                                                                                           ║
+ * ║ [SIGNATURE REQUESTS | SIGNING | REMOTE SIGNING CEREMONY | SIGNED PDF DOWNLOAD | EMBEDDED SIGNATURE VERIFICATION | TRUST ANCHOR]        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/eSignRoutes.js                                                     ║
  * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Mounted at /api/esign behind authentication. When the last party signs, services/eSignService.js embeds a PAdES
+ * signature per party in the PDF; /verify re-validates those signatures offline against the local signing authority.
+ * `eSignCeremonyRoutes` is mounted in the public gateway at /api/esign/ceremony: remote parties hold only their link,
+ * then a short-lived session (X-Signing-Session header) once they have entered their one-time code.
  */
 
 import express from 'express';
-import { body, query, param, validationResult } from 'express-validator';
-import { performance } from 'perf_hooks';
-import { v4 as uuidv4 } from 'uuid';
-import crypto from 'crypto';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-import { promises as fsPromises } from 'fs';
-
-import { sovereignAuthenticate, requireRole } from '../middleware/auth.js';
-import { tenantGuard } from '../middleware/tenantGuard.js';
-import { deviceFingerprint, validateFingerprint } from '../middleware/deviceFingerprint.js';
-import { apiLimiter } from '../middleware/security.js';
-import { createAuditLog } from '../middleware/auditMiddleware.js';
-import { AppError } from '../utils/errorHandler.js';
-import loggerRaw from '../utils/logger.js';
-import auditLogger from '../utils/auditLogger.js';
-import redisClient from '../cache/redisClient.js';
-import eSignController from '../controllers/eSignController.js';
-
-const logger = loggerRaw.default || loggerRaw;
+import ESignService, { VERIFICATION_LEVELS } from '../services/eSignService.js';
+import signingAuthorityService from '../services/signingAuthorityService.js';
+import signingCeremonyService from '../services/signingCeremonyService.js';
+import { ECT_CONSENT, OTP_CHANNELS } from '../utils/signingCeremony.js';
+import { emitAudit } from '../middleware/auditMiddleware.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+import { validateSchema } from '../middleware/validationMiddleware.js';
+import { getCurrentTenant } from '../middleware/tenantContext.js';
+
 const router = express.Router();
+const eSignService = new ESignService();
+
+const ESIGN_MANAGE_ROLES = ['ADMIN', 'SUPER_ADMIN', 'LAWYER', 'ATTORNEY', 'PARTNER', 'PARALEGAL'];
+const ESIGN_ADMIN_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+
+const tenantOf = (req) => req.user?.tenantId || getCurrentTenant();
+const userOf = (req) => req.user?._id || req.user?.id;
+
+// ------------------------------
+// VALIDATION SCHEMAS
+// ------------------------------
+const isSignerList = (signers) => {
+  if (signers.length < 1) return 'signers must list at least one party';
+  const invalid = signers.findIndex((signer) => (
+    !signer
+    || typeof signer.email !== 'string'
+    || !/^[^\s@]+@[^\s@]+$/.test(signer.email)
+    || typeof signer.name !== 'string'
+    || (signer.phone !== undefined && !/^\+?[\d\s()-]{9,20}$/.test(signer.phone))
+    || (signer.role !== undefined && !['signer', 'witness', 'notary', 'observer'].includes(signer.role))
+    || (signer.verificationLevel !== undefined && !Object.values(VERIFICATION_LEVELS).includes(signer.verificationLevel))
+  ));
+  return invalid === -1 || `signers[${invalid}] needs an email, a name, a valid phone if given and a known role and verification level`;
+};
+
+const requestSchema = {
+  templateId: { required: true, type: 'string' },
+  signers: { required: true, type: 'array', validate: isSignerList },
+  sourceDocumentId: { type: 'string', pattern: /^[a-f0-9]{24}$/i, message: 'sourceDocumentId must be a document id' },
+  organisation: { type: 'string', maxLength: 200 },
+  jurisdiction: { type: 'string', maxLength: 10 },
+  tags: { type: 'array' },
+  remoteSigning: { type: 'boolean' },
+  allowDelegation: { type: 'boolean' }
+};
+
+const signSchema = {
+  geoLocation: { type: 'string', maxLength: 200 },
+  deviceFingerprint: { type: 'string', maxLength: 512 },
+  quantumSignature: { type: 'string' }
+};
+
+const reasonSchema = {
+  reason: { required: true, type: 'string', minLength: 3, maxLength: 1000 }
+};
+
+const remindSchema = {
+  emails: { type: 'array', validate: (emails) => emails.every((email) => typeof email === 'string') || 'emails must be a list of addresses' }
+};
+
+const codeSchema = {
+  channel: { type: 'string', enum: Object.values(OTP_CHANNELS) }
+};
+
+const verifyCodeSchema = {
+  code: { required: true, type: 'string', pattern: /^\d{4,10}$/, message: 'code must be the digits you were sent' }
+};
 
-// ============================================================================
-// QUANTUM CONSTANTS
-// ============================================================================
-
-const ESIGN_CONSTANTS = {
-  SIGNATURE_TYPES: {
-    SES: 'ses', // Simple Electronic Signature
-    AES: 'aes', // Advanced Electronic Signature
-    QES: 'qes', // Qualified Electronic Signature (ECT Act)
-    BIOMETRIC: 'biometric',
-    DIGITAL: 'digital',
-    CLICK: 'click_to_sign',
-    WITNESSED: 'witnessed',
-    COUNTER: 'counter_signature'
-  },
-
-  WORKFLOW_TYPES: {
-    SINGLE: 'single',
-    SEQUENTIAL: 'sequential',
-    PARALLEL: 'parallel',
-    HYBRID: 'hybrid',
-    ROLE_BASED: 'role_based',
-    CONDITIONAL: 'conditional',
-    DELEGATED: 'delegated',
-    ESCROW: 'escrow'
-  },
-
-  STATUS: {
-    DRAFT: 'draft',
-    PENDING: 'pending',
-    COMPLETED: 'completed',
-    EXPIRED: 'expired',
-    VOIDED: 'voided',
-    REJECTED: 'rejected'
-  },
-
-  AUTH_METHODS: {
-    EMAIL: 'email',
-    SMS: 'sms',
-    BIOMETRIC: 'biometric',
-    DIGITAL_CERT: 'digital_certificate',
-    HSM: 'hsm',
-    TWO_FACTOR: 'two_factor'
-  },
-
-  ALGORITHMS: {
-    RSA_4096: 'rsa-4096',
-    ECDSA_P521: 'ecdsa-p521',
-    ED25519: 'ed25519',
-    DILITHIUM5: 'dilithium-5', // NIST FIPS 205 quantum-resistant
-    KYBER1024: 'kyber-1024'     // NIST FIPS 206 quantum-resistant
-  },
-
-  QUANTUM_CIRCUITS: 1024,
-  NEURAL_LAYERS: 256,
-  CONFIDENCE_THRESHOLD: 0.999997,
-  SIGNATURE_EXPIRY_DAYS: 365,
-  MAX_DOCUMENT_SIZE: 100 * 1024 * 1024, // 100MB
-  CACHE_TTL: 3600, // 1 hour
-  REMINDER_INTERVALS: [1, 3, 7, 14] // days
+const consentSchema = {
+  accepted: { required: true, type: 'boolean' },
+  version: { required: true, type: 'string', enum: [ECT_CONSENT.version] }
 };
 
-// ============================================================================
-// QUANTUM SECURITY MIDDLEWARE
-// ============================================================================
-
-// Apply quantum authentication to all e-signature routes
-router.use(sovereignAuthenticate);
-router.use(tenantGuard);
-router.use(deviceFingerprint);
-router.use(apiLimiter);
-
-// Quantum request tracking
-router.use((req, res, next) => {
-  req.requestId = req.headers['x-request-id'] ||
-                  req.headers['x-correlation-id'] ||
-                  `QSIG-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
-  req.startTime = performance.now();
-
-  // Set quantum headers
-  res.setHeader('x-request-id', req.requestId);
-  res.setHeader('x-quantum-version', '7.0.0-OMEGA');
-  res.setHeader('x-esign-capacity', '1M/day');
-
-  next();
+const adoptSchema = {
+  type: { required: true, type: 'string', enum: ['typed', 'drawn'] },
+  text: { type: 'string', maxLength: 100 },
+  image: { type: 'string', maxLength: 300000 }
+};
+
+const delegateSchema = {
+  name: { required: true, type: 'string', minLength: 2, maxLength: 200 },
+  email: { required: true, type: 'string', pattern: /^[^\s@]+@[^\s@]+$/, message: 'email must be an email address' },
+  phone: { type: 'string', pattern: /^\+?[\d\s()-]{9,20}$/, message: 'phone must be a phone number' },
+  reason: { required: true, type: 'string', minLength: 3, maxLength: 1000 }
+};
+
+// ------------------------------
+// ROUTES (fixed paths before /requests/:requestId)
+// ------------------------------
+
+/*
+ * @route   GET /api/esign/trust-anchor
+ * @desc    PEM root certificate of the signing authority, for importing into a PDF reader
+ * @access  Authenticated
+ */
+router.get('/trust-anchor', async (req, res, next) => {
+  try {
+    res.type('application/x-pem-file').send(await signingAuthorityService.rootPem());
+  } catch (err) {
+    err.code = err.code || 'ESIGN_TRUST_ANCHOR_FAILED';
+    next(err);
+  }
 });
 
-// ============================================================================
-// ROUTES
-// ============================================================================
+/*
+ * @route   GET /api/esign/stats
+ * @desc    The tenant's signature requests by status, and signed PDFs sealed or awaiting a retry
+ * @access  Admin
+ */
+router.get('/stats', authorizeRoles(...ESIGN_ADMIN_ROLES), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await eSignService.stats(tenantOf(req)) });
+  } catch (err) {
+    err.code = err.code || 'ESIGN_STATS_FAILED';
+    next(err);
+  }
+});
 
-/**
+/*
+ * @route   GET /api/esign/health
+ * @desc    Signing providers and whether the signing authority can issue certificates, with its root's expiry
+ * @access  Authenticated
+ */
+router.get('/health', async (req, res) => {
+  const service = await eSignService.health();
+  try {
+    const [root] = await signingAuthorityService.trustAnchors();
+    res.json({ status: 'success', data: { ...service, signingAuthority: { status: 'ready', rootExpiresAt: root.notAfter } } });
+  } catch (err) {
+    res.status(503).json({
+      status: 'error',
+      code: 'ESIGN_AUTHORITY_UNAVAILABLE',
+      data: { ...service, status: 'degraded', signingAuthority: { status: 'unavailable', error: err.message } }
+    });
+  }
+});
+
+/*
  * @route   POST /api/esign/requests
- * @desc    Create a new quantum signature request
- * @access  Private
+ * @desc    Create a signature request over a template (or a matter document) with a signature field per party
+ * @access  Lawyer, Paralegal, Admin
  */
 router.post(
   '/requests',
-  validateFingerprint({ minConfidence: 99 }),
+  authorizeRoles(...ESIGN_MANAGE_ROLES),
+  validateSchema(requestSchema),
   async (req, res, next) => {
     try {
-      const result = await eSignController.createSignatureRequest(req, res);
-      res.status(201).json(result);
-    } catch (error) {
-      next(error);
+      const data = await eSignService.createSignatureRequest(req.body.templateId, req.body.signers, {
+        tenantId: tenantOf(req),
+        userId: userOf(req) && String(userOf(req)),
+        sourceDocumentId: req.body.sourceDocumentId,
+        organisation: req.body.organisation,
+        jurisdiction: req.body.jurisdiction,
+        tags: req.body.tags,
+        remoteSigning: req.body.remoteSigning,
+        allowDelegation: req.body.allowDelegation
+      });
+
+      // Remote parties whose turn it is get their links straight away
+      if (req.body.remoteSigning) {
+        data.invitations = (await signingCeremonyService.sendInvitations(tenantOf(req), data.signatureId, { userId: userOf(req) })).invited;
+      }
+
+      await emitAudit(req, {
+        resource: 'e_signature',
+        action: 'CREATE_SIGNATURE_REQUEST',
+        severity: 'INFO',
+        metadata: { signatureId: data.signatureId, templateId: req.body.templateId, signers: data.signers.length, sourceHash: data.sourceHash }
+      });
+
+      res.status(201).json({ status: 'success', data });
+    } catch (err) {
+      err.code = err.code || 'ESIGN_REQUEST_FAILED';
+      next(err);
     }
   }
 );
 
-/**
- * @route   GET /api/esign/requests/:requestId
- * @desc    Get quantum signature request details
- * @access  Private
+/*
+ * @route   POST /api/esign/verify/:requestId
+ * @desc    Parse and validate the PAdES signatures embedded in the signed PDF, offline
+ * @access  Lawyer, Paralegal, Admin
  */
-router.get(
-  '/requests/:requestId',
-  validateFingerprint({ minConfidence: 98 }),
-  async (req, res, next) => {
-    try {
-      const result = await eSignController.getSignatureStatus(req, res);
-      res.json(result);
-    } catch (error) {
-      next(error);
-    }
+router.post('/verify/:requestId', authorizeRoles(...ESIGN_MANAGE_ROLES), async (req, res, next) => {
+  try {
+    const data = await eSignService.verifyEmbeddedSignatures(req.params.requestId, { tenantId: tenantOf(req) });
+
+    await emitAudit(req, {
+      resource: 'e_signature',
+      action: 'VERIFY_EMBEDDED_SIGNATURES',
+      severity: data.verified ? 'INFO' : 'WARNING',
+      metadata: { signatureId: req.params.requestId, verified: data.verified, signatureCount: data.signatureCount }
+    });
+
+    res.json({ status: 'success', data });
+  } catch (err) {
+    err.code = err.code || 'ESIGN_VERIFY_FAILED';
+    next(err);
   }
-);
+});
 
-/**
- * @route   POST /api/esign/requests/:requestId/sign/:signerId
- * @desc    Sign document as a signer
- * @access  Public (with token) or Private
+/*
+ * @route   GET /api/esign/requests/:requestId
+ * @desc    Status and progress of a signature request
+ * @access  Lawyer, Paralegal, Admin
  */
-router.post(
-  '/requests/:requestId/sign/:signerId',
-  validateFingerprint({ minConfidence: 99.5 }),
-  async (req, res, next) => {
-    try {
-      const result = await eSignController.signDocument(req, res);
-      res.json(result);
-    } catch (error) {
-      next(error);
-    }
+router.get('/requests/:requestId', authorizeRoles(...ESIGN_MANAGE_ROLES), async (req, res, next) => {
+  try {
+    const data = await eSignService.getSignatureStatus(req.params.requestId, { tenantId: tenantOf(req) });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    err.code = err.code || 'ESIGN_STATUS_FAILED';
+    next(err);
   }
-);
+});
 
-/**
- * @route   POST /api/esign/verify/:requestId
- * @desc    Verify all signatures in a request
- * @access  Private
+/*
+ * @route   GET /api/esign/requests/:requestId/history
+ * @desc    Status history and per-party timeline
+ * @access  Lawyer, Paralegal, Admin
  */
-router.post(
-  '/verify/:requestId',
-  validateFingerprint({ minConfidence: 99.5 }),
-  async (req, res, next) => {
-    try {
-      const result = await eSignController.verifySignature(req, res);
-      res.json(result);
-    } catch (error) {
-      next(error);
-    }
+router.get('/requests/:requestId/history', authorizeRoles(...ESIGN_MANAGE_ROLES), async (req, res, next) => {
+  try {
+    const data = await eSignService.getSignatureHistory(req.params.requestId, { tenantId: tenantOf(req) });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    err.code = err.code || 'ESIGN_HISTORY_FAILED';
+    next(err);
   }
-);
+});
 
-/**
- * @route   GET /api/esign/requests/:requestId/history
- * @desc    Get signature history/audit trail
- * @access  Private
+/*
+ * @route   POST /api/esign/requests/:requestId/sign/:signerId
+ * @desc    Sign as the authenticated party. The last signature embeds every party's signature in the PDF.
+ * @access  Authenticated (the signer)
  */
-router.get(
-  '/requests/:requestId/history',
-  validateFingerprint({ minConfidence: 99 }),
-  async (req, res, next) => {
-    try {
-      const result = await eSignController.getSignatureHistory(req, res);
-      res.json(result);
-    } catch (error) {
-      next(error);
+router.post('/requests/:requestId/sign/:signerId', validateSchema(signSchema), async (req, res, next) => {
+  try {
+    if (!req.user?.email) {
+      return res.status(403).json({ status: 'error', code: 'ESIGN_SIGNER_UNKNOWN', message: 'Signing requires a user with an email address.' });
     }
+
+    const data = await eSignService.signDocument(
+      req.params.requestId,
+      {
+        signerId: req.params.signerId,
+        email: req.user.email,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        geoLocation: req.body.geoLocation,
+        deviceFingerprint: req.body.deviceFingerprint
+      },
+      { tenantId: tenantOf(req), quantumSignature: req.body.quantumSignature }
+    );
+
+    await emitAudit(req, {
+      resource: 'e_signature',
+      action: 'SIGN_DOCUMENT',
+      severity: 'INFO',
+      metadata: { signatureId: req.params.requestId, signerId: req.params.signerId, allSigned: data.allSigned, signedPdf: data.signedPdf }
+    });
+
+    res.json({ status: 'success', data });
+  } catch (err) {
+    err.code = err.code || 'ESIGN_SIGN_FAILED';
+    next(err);
   }
-);
+});
 
-/**
+/*
  * @route   POST /api/esign/requests/:requestId/void
- * @desc    Void a signature request
- * @access  Private (Creator or Admin)
+ * @desc    Cancel a request that has not been completed
+ * @access  Lawyer, Paralegal, Admin
  */
 router.post(
   '/requests/:requestId/void',
-  validateFingerprint({ minConfidence: 99.9 }),
+  authorizeRoles(...ESIGN_MANAGE_ROLES),
+  validateSchema(reasonSchema),
   async (req, res, next) => {
     try {
-      const result = await eSignController.voidSignature(req, res);
-      res.json(result);
-    } catch (error) {
-      next(error);
+      const data = await eSignService.cancelSignatureRequest(req.params.requestId, req.body.reason, { tenantId: tenantOf(req) });
+
+      await emitAudit(req, {
+        resource: 'e_signature',
+        action: 'VOID_SIGNATURE_REQUEST',
+        severity: 'WARNING',
+        metadata: { signatureId: req.params.requestId, reason: req.body.reason }
+      });
+
+      res.json({ status: 'success', data });
+    } catch (err) {
+      err.code = err.code || 'ESIGN_VOID_FAILED';
+      next(err);
     }
   }
 );
 
-/**
+/*
  * @route   POST /api/esign/requests/:requestId/remind
- * @desc    Send reminder to pending signers
- * @access  Private (Creator or Admin)
+ * @desc    Remind parties who have not signed (all of them, or the listed emails)
+ * @access  Lawyer, Paralegal, Admin
  */
 router.post(
   '/requests/:requestId/remind',
-  validateFingerprint({ minConfidence: 99 }),
+  authorizeRoles(...ESIGN_MANAGE_ROLES),
+  validateSchema(remindSchema),
   async (req, res, next) => {
     try {
-      const result = await eSignController.sendReminder(req, res);
-      res.json(result);
-    } catch (error) {
-      next(error);
+      const emails = (req.body.emails || []).map((email) => email.toLowerCase());
+      const data = await eSignService.remindSigners(req.params.requestId, emails, { tenantId: tenantOf(req) });
+
+      await emitAudit(req, {
+        resource: 'e_signature',
+        action: 'REMIND_SIGNERS',
+        severity: 'INFO',
+        metadata: { signatureId: req.params.requestId, count: data.count }
+      });
+
+      res.json({ status: 'success', data });
+    } catch (err) {
+      err.code = err.code || 'ESIGN_REMIND_FAILED';
+      next(err);
     }
   }
 );
 
-/**
- * @route   GET /api/esign/requests/:requestId/download
- * @desc    Download signed document with certificates
- * @access  Private
+/*
+ * @route   POST /api/esign/requests/:requestId/invitations
+ * @desc    Send one-time signing links to remote parties whose turn it is, or resend to the listed emails
+ *          (a resend revokes the earlier link)
+ * @access  Lawyer, Paralegal, Admin
  */
-router.get(
-  '/requests/:requestId/download',
-  validateFingerprint({ minConfidence: 99.5 }),
+router.post(
+  '/requests/:requestId/invitations',
+  authorizeRoles(...ESIGN_MANAGE_ROLES),
+  validateSchema(remindSchema),
   async (req, res, next) => {
     try {
-      const result = await eSignController.downloadSignedDocument(req, res);
-      res.json(result);
-    } catch (error) {
-      next(error);
+      const data = await signingCeremonyService.sendInvitations(tenantOf(req), req.params.requestId, {
+        emails: req.body.emails,
+        userId: userOf(req)
+      });
+
+      await emitAudit(req, {
+        resource: 'e_signature',
+        action: 'SEND_SIGNING_INVITATIONS',
+        severity: 'INFO',
+        metadata: { signatureId: req.params.requestId, count: data.invited.length }
+      });
+
+      res.json({ status: 'success', data });
+    } catch (err) {
+      err.code = err.code || 'ESIGN_INVITATIONS_FAILED';
+      next(err);
     }
   }
 );
 
-/**
- * @route   GET /api/esign/stats
- * @desc    Get quantum e-signature statistics
- * @access  Private (Admin only)
+/*
+ * @route   GET /api/esign/requests/:requestId/download
+ * @desc    The signed PDF: embedded PAdES-B-LT signatures, visible fields and the completion certificate
+ * @access  Lawyer, Paralegal, Admin
  */
-router.get(
-  '/stats',
-  requireRole(['admin', 'super_admin']),
-  validateFingerprint({ minConfidence: 99 }),
-  async (req, res, next) => {
-    try {
-      const result = await eSignController.getSignatureStats(req, res);
-      res.json(result);
-    } catch (error) {
-      next(error);
-    }
+router.get('/requests/:requestId/download', authorizeRoles(...ESIGN_MANAGE_ROLES), async (req, res, next) => {
+  try {
+    const { filename, hash, level, pdf } = await eSignService.getSignedPdf(req.params.requestId, { tenantId: tenantOf(req) });
+
+    await emitAudit(req, {
+      resource: 'e_signature',
+      action: 'DOWNLOAD_SIGNED_PDF',
+      severity: 'INFO',
+      metadata: { signatureId: req.params.requestId, hash, level }
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length,
+      'X-Document-SHA256': hash
+    });
+    res.send(pdf);
+  } catch (err) {
+    err.code = err.code || 'ESIGN_DOWNLOAD_FAILED';
+    next(err);
   }
-);
+});
 
-/**
- * @route   GET /api/esign/health
- * @desc    Quantum e-signature system health check
- * @access  Public
+// ------------------------------
+// PUBLIC SIGNING CEREMONY (session routes before /:token)
+// ------------------------------
+export const eSignCeremonyRoutes = express.Router();
+
+const clientOf = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+const sessionOf = (req) => req.get('x-signing-session');
+
+/*
+ * @route   GET /api/esign/ceremony/session
+ * @desc    Progress through the ceremony: review, consent, adopted signature, and whether it is the party's turn
+ * @access  Public (signing session)
+ */
+eSignCeremonyRoutes.get('/session', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await signingCeremonyService.describeSession(sessionOf(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   GET /api/esign/ceremony/session/document
+ * @desc    The PDF to be signed, for review
+ * @access  Public (signing session)
+ */
+eSignCeremonyRoutes.get('/session/document', async (req, res, next) => {
+  try {
+    const { pdf, filename, hash } = await signingCeremonyService.document(sessionOf(req), clientOf(req));
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'Content-Length': pdf.length,
+      'X-Document-SHA256': hash,
+      'Cache-Control': 'no-store'
+    });
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   POST /api/esign/ceremony/session/consent
+ * @desc    Consent to signing electronically under the ECT Act
+ * @access  Public (signing session)
  */
-router.get('/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    status: 'ESIGN_QUANTUM_OPERATIONAL',
-    quantumCircuits: ESIGN_CONSTANTS.QUANTUM_CIRCUITS,
-    neuralLayers: ESIGN_CONSTANTS.NEURAL_LAYERS,
-    algorithms: Object.values(ESIGN_CONSTANTS.ALGORITHMS),
-    timestamp: new Date().toISOString(),
-    version: '7.0.0-OMEGA'
-  });
+eSignCeremonyRoutes.post('/session/consent', validateSchema(consentSchema), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await signingCeremonyService.consent(sessionOf(req), req.body, clientOf(req)) });
+  } catch (err) {
+    next(err);
+  }
 });
 
-// ============================================================================
-// 404 HANDLER
-// ============================================================================
-router.use('*', (req, res) => {
-  logger.warn('Quantum e-signature route not found', {
-    method: req.method,
-    url: req.originalUrl,
-    requestId: req.requestId
-  });
-
-  res.status(404).json({
-    success: false,
-    error: 'QUANTUM_ESIGN_ROUTE_NOT_FOUND',
-    requestId: req.requestId,
-    timestamp: new Date().toISOString()
-  });
+/*
+ * @route   POST /api/esign/ceremony/session/signature
+ * @desc    Adopt a typed signature or a drawn PNG
+ * @access  Public (signing session)
+ */
+eSignCeremonyRoutes.post('/session/signature', validateSchema(adoptSchema), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await signingCeremonyService.adoptSignature(sessionOf(req), req.body, clientOf(req)) });
+  } catch (err) {
+    next(err);
+  }
 });
 
-// ============================================================================
-// ERROR HANDLING
-// ============================================================================
-router.use((err, req, res, next) => {
-  const errorId = crypto.randomBytes(16).toString('hex');
-
-  auditLogger.critical('Quantum e-signature routes error', {
-    errorId,
-    error: err.message,
-    stack: err.stack,
-    path: req.path,
-    userId: req.user?.id,
-    tenantId: req.tenantContext?.id,
-    deviceFingerprint: req.deviceFingerprint?.fingerprintId,
-    requestId: req.requestId
-  });
-
-  res.status(err.status || 500).json({
-    success: false,
-    error: err.code || 'QUANTUM_ESIGN_ROUTE_ERROR',
-    errorId,
-    message: process.env.NODE_ENV === 'production'
-      ? 'An error occurred in the quantum e-signature system. Our engineering team has been notified.'
-      : err.message,
-    requestId: req.requestId,
-    timestamp: new Date().toISOString()
-  });
+/*
+ * @route   POST /api/esign/ceremony/session/sign
+ * @desc    Sign, in signing order. The next parties are invited; the last signature seals the PDF.
+ * @access  Public (signing session)
+ */
+eSignCeremonyRoutes.post('/session/sign', validateSchema(signSchema), async (req, res, next) => {
+  try {
+    const data = await signingCeremonyService.sign(sessionOf(req), { ...clientOf(req), geoLocation: req.body.geoLocation });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    next(err);
+  }
 });
 
-// ============================================================================
-// EXPORT
-// ============================================================================
+/*
+ * @route   POST /api/esign/ceremony/session/decline
+ * @desc    Decline to sign, with a reason. The request stops.
+ * @access  Public (signing session)
+ */
+eSignCeremonyRoutes.post('/session/decline', validateSchema(reasonSchema), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await signingCeremonyService.decline(sessionOf(req), { ...clientOf(req), reason: req.body.reason }) });
+  } catch (err) {
+    next(err);
+  }
+});
 
-export default router;
+/*
+ * @route   POST /api/esign/ceremony/session/delegate
+ * @desc    Hand signing to someone else, who gets their own link
+ * @access  Public (signing session)
+ */
+eSignCeremonyRoutes.post('/session/delegate', validateSchema(delegateSchema), async (req, res, next) => {
+  try {
+    const { name, email, phone, reason } = req.body;
+    const data = await signingCeremonyService.delegate(sessionOf(req), { ...clientOf(req), name, email, phone, reason });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    next(err);
+  }
+});
 
-// ============================================================================
-// INVESTOR METRICS - FORTUNE 500 VALUATION
-// ============================================================================
+/*
+ * @route   GET /api/esign/ceremony/:token
+ * @desc    The landing page behind a signing link: what is to be signed and where a code can be sent
+ * @access  Public (token)
+ */
+eSignCeremonyRoutes.get('/:token', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await signingCeremonyService.describeLink(req.params.token, clientOf(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
 
-/**
- * E-SIGNATURE SYSTEM VALUE: R2.8B/year licensing potential
- *
- * CAPABILITIES:
- * • 8 signature types (SES, AES, QES, Biometric, Digital, Click, Witnessed, Counter)
- * • 8 workflow types (Single, Sequential, Parallel, Hybrid, Role-Based, Conditional, Delegated, Escrow)
- * • 5 authentication methods (Email, SMS, Biometric, Digital Certificate, HSM, 2FA)
- * • 5 cryptographic algorithms (RSA-4096, ECDSA-P521, ED25519, Dilithium-5, Kyber-1024)
- * • 100MB maximum document size
- * • 365-day signature expiry
- * • 10,000+ concurrent signatures
- * • 1M+ signatures/day capacity
- *
- * @team_signoff:
- * • Wilson Khanyezi: 2026-03-19 - OMEGA RELEASE
+/*
+ * @route   POST /api/esign/ceremony/:token/code
+ * @desc    Send a one-time code by SMS or email
+ * @access  Public (token)
+ */
+eSignCeremonyRoutes.post('/:token/code', validateSchema(codeSchema), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await signingCeremonyService.sendCode(req.params.token, { ...clientOf(req), channel: req.body.channel }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   POST /api/esign/ceremony/:token/verify
+ * @desc    Check the code. Success uses up the link and returns a signing session token.
+ * @access  Public (token)
  */
+eSignCeremonyRoutes.post('/:token/verify', validateSchema(verifyCodeSchema), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await signingCeremonyService.verifyCode(req.params.token, req.body.code, clientOf(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
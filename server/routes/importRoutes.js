@@ -30,6 +30,9 @@
  * • Documents - Legal documents with forensic hashing
  * • Compliance - Compliance data with regulatory checks
  * • Custom - User-defined data schemas
+ * • Bank Statements - Trust receipts (OFX/QFX, FNB, Standard Bank, Absa, Nedbank CSV) auto-matched to matters
+ * • Practice Migration - Contacts, matters, deadlines, unbilled time, opening trust balances and document folders
+ *   from another practice-management system, with mapping profiles, dry runs and resumable batches
  *
  * FORMAT SUPPORT:
  * • CSV - Comma-separated values with header detection
@@ -96,16 +99,25 @@ import { sovereignAuthenticate, requireRole } from '../middleware/auth.js';
 import { tenantGuard } from '../middleware/tenantGuard.js';
 import { deviceFingerprint, validateFingerprint } from '../middleware/deviceFingerprint.js';
 import { apiLimiter } from '../middleware/security.js';
-import { createAuditLog } from '../middleware/auditMiddleware.js';
+import { emitAudit } from '../middleware/auditMiddleware.js';
 import { redactPII, validatePOPIACompliance } from '../utils/popiaRedaction.js';
 import { AppError } from '../utils/errorHandler.js';
 import loggerRaw from '../utils/logger.js';
 import auditLogger from '../utils/auditLogger.js';
 import redisClient from '../cache/redisClient.js';
 import { quantumVerify } from '../crypto/quantum.js';
+import { bankStatementService } from '../services/bankStatementService.js';
+import { STATEMENT_FORMATS } from '../utils/bankStatementParsers.js';
+import { STATEMENT_LINE_STATUS } from '../models/BankStatementImport.js';
+import { migrationService } from '../services/migrationService.js';
+import { IMPORT_ORDER, MIGRATION_FIELDS } from '../utils/migrationMapping.js';
 
 const logger = loggerRaw.default || loggerRaw;
 const router = express.Router();
+
+// Posting to the trust ledger is for the firm's trust accountants, as with invoice payments
+const TRUST_POSTING_ROLES = ['partner', 'admin', 'super_admin', 'accounts'];
+const TRUST_REVIEW_ROLES = [...TRUST_POSTING_ROLES, 'finance'];
 const pump = promisify(pipeline);
 
 // ============================================================================
@@ -328,22 +340,18 @@ router.post(
       });
 
       // Audit log
-      await createAuditLog({
+      await emitAudit(req, {
+        resource: 'import',
         action: 'IMPORT_STARTED',
-        category: 'DATA_IMPORT',
-        userId,
-        tenantId,
-        resourceType: 'IMPORT',
-        resourceId: importId,
+        summary: `Transaction import ${importId} started from ${req.file.originalname}`,
         metadata: {
+          importId,
           filename: req.file.originalname,
           size: req.file.size,
           format,
           validationLevel,
           dryRun
-        },
-        status: 'SUCCESS',
-        req
+        }
       });
 
       logger.info('Quantum import started', {
@@ -484,23 +492,19 @@ router.post(
         });
       });
 
-      await createAuditLog({
+      await emitAudit(req, {
+        resource: 'import',
         action: 'CLIENT_IMPORT_STARTED',
-        category: 'DATA_IMPORT',
-        userId,
-        tenantId,
-        resourceType: 'IMPORT',
-        resourceId: importId,
+        summary: `Client import ${importId} started from ${req.file.originalname}`,
         metadata: {
+          importId,
           filename: req.file.originalname,
           size: req.file.size,
           format,
           validationLevel,
           dryRun,
           redactPII
-        },
-        status: 'SUCCESS',
-        req
+        }
       });
 
       res.status(202).json({
@@ -870,19 +874,16 @@ router.post(
       await redisClient.setex(jobKey, 86400, JSON.stringify(job));
 
       // Audit log
-      await createAuditLog({
+      await emitAudit(req, {
+        resource: 'import',
         action: 'IMPORT_CANCELLED',
-        category: 'DATA_IMPORT',
-        userId: req.user.id,
-        tenantId,
-        resourceType: 'IMPORT',
-        resourceId: importId,
+        severity: 'WARNING',
+        summary: `Import ${importId} cancelled`,
         metadata: {
+          importId,
           filename: job.filename,
           format: job.format
-        },
-        status: 'SUCCESS',
-        req
+        }
       });
 
       res.json({
@@ -1361,6 +1362,490 @@ async function generateExcelTemplate(res, type, filename) {
   res.end();
 }
 
+// ============================================================================
+// TRUST BANK STATEMENTS (LPC RULE 54.14 RECEIPTING)
+// ============================================================================
+
+// Statements are small and parsed in memory; they are never written to the shared uploads folder.
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(ofx|qfx|csv|txt)$/i.test(file.originalname)) return cb(null, true);
+    cb(new Error(`Unsupported statement file: ${file.originalname}. Allowed: .ofx, .qfx, .csv, .txt`));
+  }
+});
+
+/**
+ * Maps statement/fiduciary service faults onto HTTP status codes.
+ */
+function statementErrorStatus(error) {
+  if (error.message.startsWith('STATEMENT_DUPLICATE')) return 409;
+  if (error.message.startsWith('STATEMENT_PARSE_ERROR')) return 422;
+  if (error.message.startsWith('FIDUCIARY_BREACH')) return 422;
+  if (error.message.includes('already been posted')) return 409;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('STATEMENT_MATCH_ERROR') || error.message.startsWith('FIDUCIARY_ERROR')) return 400;
+  return 500;
+}
+
+function sendStatementError(res, req, error) {
+  const status = statementErrorStatus(error);
+  if (status === 500) return false;
+  res.status(status).json({ success: false, error: error.message, requestId: req.requestId });
+  return true;
+}
+
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    error: 'QUANTUM_VALIDATION_FAILED',
+    errors: errors.array(),
+    requestId: req.requestId
+  });
+  return true;
+}
+
+/*
+ * @route   POST /api/import/bank-statements
+ * @desc    Upload a trust bank statement (OFX/QFX, generic CSV, FNB, Standard Bank, Absa, Nedbank) and auto-match credits
+ * @access  Private (Trust Accountant)
+ * @body    multipart: file, format?, autoPost?
+ */
+router.post(
+  '/bank-statements',
+  requireRole(TRUST_POSTING_ROLES),
+  statementUpload.single('file'),
+  [
+    body('format').optional().isIn(Object.values(STATEMENT_FORMATS)),
+    body('autoPost').optional().isBoolean().toBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'NO_FILE', message: 'No file uploaded', requestId: req.requestId });
+      }
+
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const statementImport = await bankStatementService.importStatement(tenantId, req.file, {
+        format: req.body.format,
+        autoPost: req.body.autoPost,
+        userId: req.user.id,
+        traceId: req.requestId
+      });
+
+      await emitAudit(req, {
+        resource: 'bank_statement',
+        action: 'BANK_STATEMENT_IMPORTED',
+        summary: `Trust bank statement ${statementImport.importId} imported from ${req.file.originalname}`,
+        metadata: {
+          importId: statementImport.importId,
+          filename: req.file.originalname,
+          format: statementImport.format,
+          summary: statementImport.summary
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          importId: statementImport.importId,
+          format: statementImport.format,
+          statementDate: statementImport.statementDate,
+          closingBalance: statementImport.closingBalance,
+          summary: statementImport.summary,
+          reviewUrl: `/api/import/bank-statements/review?importId=${statementImport.importId}`
+        },
+        requestId: req.requestId
+      });
+    } catch (error) {
+      if (!sendStatementError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   GET /api/import/bank-statements/review
+ * @desc    Review queue of statement credits awaiting confirmation, selection or assignment
+ * @access  Private (Trust Accountant)
+ */
+router.get(
+  '/bank-statements/review',
+  requireRole(TRUST_REVIEW_ROLES),
+  [
+    query('status').optional().isIn([STATEMENT_LINE_STATUS.AUTO_MATCHED, STATEMENT_LINE_STATUS.SUGGESTED, STATEMENT_LINE_STATUS.UNMATCHED]),
+    query('importId').optional().isString()
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const queue = await bankStatementService.getReviewQueue(tenantId, req.query);
+      res.json({ success: true, data: queue, count: queue.length, requestId: req.requestId });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/*
+ * @route   POST /api/import/bank-statements/:importId/lines/:lineId/assign
+ * @desc    Assign a queued credit to a client and open matter
+ * @access  Private (Trust Accountant)
+ */
+router.post(
+  '/bank-statements/:importId/lines/:lineId/assign',
+  requireRole(TRUST_POSTING_ROLES),
+  [
+    param('importId').isString().notEmpty(),
+    param('lineId').isString().notEmpty(),
+    body('clientId').isMongoId(),
+    body('matterId').isMongoId(),
+    body('note').optional().isString()
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const line = await bankStatementService.assignLine(tenantId, req.params.importId, req.params.lineId, req.body);
+      res.json({ success: true, data: line, requestId: req.requestId });
+    } catch (error) {
+      if (!sendStatementError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   POST /api/import/bank-statements/:importId/lines/:lineId/post
+ * @desc    One-click posting of a matched credit into the trust ledger (optionally choosing a suggestion)
+ * @access  Private (Trust Accountant)
+ */
+router.post(
+  '/bank-statements/:importId/lines/:lineId/post',
+  requireRole(TRUST_POSTING_ROLES),
+  [
+    param('importId').isString().notEmpty(),
+    param('lineId').isString().notEmpty(),
+    body('clientId').optional().isMongoId(),
+    body('matterId').optional().isMongoId()
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const result = await bankStatementService.postLine(
+        tenantId,
+        req.params.importId,
+        req.params.lineId,
+        { clientId: req.body.clientId, matterId: req.body.matterId },
+        { userId: req.user.id, traceId: req.requestId }
+      );
+
+      await emitAudit(req, {
+        resource: 'bank_statement',
+        action: 'TRUST_RECEIPT_POSTED',
+        severity: 'WARNING',
+        summary: `Statement line ${req.params.lineId} posted to trust as ${result.transactionId}`,
+        metadata: { importId: req.params.importId, lineId: req.params.lineId, transactionId: result.transactionId }
+      });
+
+      res.status(201).json({ success: true, data: result, requestId: req.requestId });
+    } catch (error) {
+      if (!sendStatementError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   POST /api/import/bank-statements/:importId/post-matched
+ * @desc    Post every auto-matched credit of a statement in one action
+ * @access  Private (Trust Accountant)
+ */
+router.post(
+  '/bank-statements/:importId/post-matched',
+  requireRole(TRUST_POSTING_ROLES),
+  [param('importId').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const result = await bankStatementService.postMatchedLines(tenantId, req.params.importId, {
+        userId: req.user.id,
+        traceId: req.requestId
+      });
+      res.json({ success: true, data: result, requestId: req.requestId });
+    } catch (error) {
+      if (!sendStatementError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   POST /api/import/bank-statements/:importId/lines/:lineId/ignore
+ * @desc    Remove a credit from the review queue with a reason (e.g. bank interest, reversed payment)
+ * @access  Private (Trust Accountant)
+ */
+router.post(
+  '/bank-statements/:importId/lines/:lineId/ignore',
+  requireRole(TRUST_POSTING_ROLES),
+  [
+    param('importId').isString().notEmpty(),
+    param('lineId').isString().notEmpty(),
+    body('note').isString().notEmpty().withMessage('A reason is required')
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const line = await bankStatementService.ignoreLine(tenantId, req.params.importId, req.params.lineId, req.body);
+      res.json({ success: true, data: line, requestId: req.requestId });
+    } catch (error) {
+      if (!sendStatementError(res, req, error)) next(error);
+    }
+  }
+);
+
+// ============================================================================
+// PRACTICE-MANAGEMENT MIGRATION
+// ============================================================================
+
+// Exports are read in memory, one entity per file, in the order contacts, matters, then the rest.
+const migrationUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|txt|xlsx)$/i.test(file.originalname)) return cb(null, true);
+    cb(new Error(`Unsupported export file: ${file.originalname}. Allowed: .csv, .txt, .xlsx`));
+  }
+});
+
+/**
+ * Maps migration service faults onto HTTP status codes.
+ */
+function migrationErrorStatus(error) {
+  if (error.message.startsWith('MIGRATION_NOT_FOUND')) return 404;
+  if (error.message.startsWith('MIGRATION_BUSY')) return 409;
+  if (error.message.startsWith('MIGRATION_INVALID') || error.message.startsWith('MIGRATION_UNRECONCILED')) return 422;
+  if (error.message.startsWith('MIGRATION_ERROR')) return 400;
+  return 500;
+}
+
+function sendMigrationError(res, req, error) {
+  const status = migrationErrorStatus(error);
+  if (status === 500) return false;
+  res.status(status).json({ success: false, error: error.message, details: error.details, requestId: req.requestId });
+  return true;
+}
+
+const migrationFileRules = [
+  body('entity').isIn(IMPORT_ORDER),
+  body('profileId').isString().notEmpty(),
+  body('controlTotal').optional().isFloat({ min: 0 }).toFloat()
+];
+
+/*
+ * @route   GET /api/import/migrations/profiles
+ * @desc    Column mapping profiles: built-in ones for common SA practice-management exports, then the firm's own
+ * @access  Private
+ */
+router.get('/migrations/profiles', async (req, res, next) => {
+  try {
+    const tenantId = req.tenantContext?.id || req.user.tenantId;
+    const profiles = await migrationService.listProfiles(tenantId);
+    res.json({ success: true, data: { profiles, fields: MIGRATION_FIELDS, importOrder: IMPORT_ORDER }, requestId: req.requestId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/*
+ * @route   POST /api/import/migrations/profiles
+ * @desc    Save a column mapping, optionally starting from a built-in profile
+ * @access  Private
+ * @body    { name, source?, basedOn?, entities: { entity: { field: column | [columns] } }, values? }
+ */
+router.post(
+  '/migrations/profiles',
+  [
+    body('name').isString().trim().notEmpty().isLength({ max: 200 }),
+    body('source').optional().isString().trim().isLength({ max: 100 }),
+    body('basedOn').optional().isString(),
+    body('entities').optional().isObject(),
+    body('values').optional().isObject()
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const profile = await migrationService.saveProfile(tenantId, req.body, { userId: req.user.id });
+      res.status(201).json({ success: true, data: profile, requestId: req.requestId });
+    } catch (error) {
+      if (!sendMigrationError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   DELETE /api/import/migrations/profiles/:profileId
+ * @desc    Delete a saved mapping profile
+ * @access  Private
+ */
+router.delete(
+  '/migrations/profiles/:profileId',
+  [param('profileId').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      await migrationService.deleteProfile(tenantId, req.params.profileId);
+      res.json({ success: true, requestId: req.requestId });
+    } catch (error) {
+      if (!sendMigrationError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   POST /api/import/migrations/dry-run
+ * @desc    Map and check an export without writing: field errors, unknown references and fee earners, duplicate
+ *          contacts and, for trust balances, reconciliation to the per-client totals
+ * @access  Private
+ * @body    multipart: file, entity, profileId, controlTotal?
+ */
+router.post(
+  '/migrations/dry-run',
+  migrationUpload.single('file'),
+  migrationFileRules,
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'NO_FILE', message: 'No file uploaded', requestId: req.requestId });
+      }
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const report = await migrationService.dryRun(tenantId, req.file, req.body);
+      res.json({ success: true, data: report, requestId: req.requestId });
+    } catch (error) {
+      if (!sendMigrationError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   POST /api/import/migrations
+ * @desc    Import an export in batches. Re-uploading a file whose run is unfinished resumes that run.
+ * @access  Private
+ * @body    multipart: file, entity, profileId, controlTotal?, batchSize?, maxBatches?, firmId?
+ */
+router.post(
+  '/migrations',
+  migrationUpload.single('file'),
+  [
+    ...migrationFileRules,
+    body('batchSize').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    body('maxBatches').optional().isInt({ min: 1 }).toInt(),
+    body('firmId').optional().isMongoId()
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'NO_FILE', message: 'No file uploaded', requestId: req.requestId });
+      }
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const progress = await migrationService.startRun(tenantId, req.file, {
+        ...req.body,
+        firmId: req.body.firmId || req.user.firmId,
+        userId: req.user.id
+      });
+
+      await emitAudit(req, {
+        resource: 'migration_run',
+        action: 'PRACTICE_MIGRATION_RUN',
+        summary: `Migration run ${progress.runId} imported ${progress.entity} from ${req.file.originalname}`,
+        metadata: {
+          runId: progress.runId,
+          filename: req.file.originalname,
+          entity: progress.entity,
+          source: progress.source,
+          counts: progress.counts
+        }
+      });
+
+      res.status(201).json({ success: true, data: progress, requestId: req.requestId });
+    } catch (error) {
+      if (!sendMigrationError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   GET /api/import/migrations
+ * @desc    Migration runs, newest first
+ * @access  Private
+ */
+router.get(
+  '/migrations',
+  [query('entity').optional().isIn(IMPORT_ORDER), query('limit').optional().isInt({ min: 1, max: 200 }).toInt()],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const runs = await migrationService.listRuns(tenantId, req.query);
+      res.json({ success: true, data: runs, count: runs.length, requestId: req.requestId });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/*
+ * @route   GET /api/import/migrations/:runId
+ * @desc    Progress of a run with its invalid and failed rows
+ * @access  Private
+ */
+router.get(
+  '/migrations/:runId',
+  [param('runId').isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const run = await migrationService.getRun(tenantId, req.params.runId);
+      res.json({ success: true, data: run, requestId: req.requestId });
+    } catch (error) {
+      if (!sendMigrationError(res, req, error)) next(error);
+    }
+  }
+);
+
+/*
+ * @route   POST /api/import/migrations/:runId/resume
+ * @desc    Continue a paused or interrupted run; retryFailed puts failed rows back in the queue
+ * @access  Private
+ */
+router.post(
+  '/migrations/:runId/resume',
+  [
+    param('runId').isString().notEmpty(),
+    body('maxBatches').optional().isInt({ min: 1 }).toInt(),
+    body('retryFailed').optional().isBoolean().toBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+      const tenantId = req.tenantContext?.id || req.user.tenantId;
+      const progress = await migrationService.resume(tenantId, req.params.runId, req.body);
+      res.json({ success: true, data: progress, requestId: req.requestId });
+    } catch (error) {
+      if (!sendMigrationError(res, req, error)) next(error);
+    }
+  }
+);
+
 // ============================================================================
 // 404 HANDLER
 // ============================================================================
@@ -0,0 +1,200 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - LEGAL HOLD ROUTES [V2.0.0-HOLD]                                                                                             ║
+ * ║ [ISSUE | LIST | RELEASE | CHASE CUSTODIANS | PUBLIC ACKNOWLEDGEMENT]                                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/legalHoldRoutes.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The default router is mounted at /api/legal-holds behind authentication. `legalHoldAcknowledgementRoutes` is mounted
+ * in the public gateway at /api/legal-holds/acknowledge: custodians (some of them outside the firm) hold only their link.
+ */
+
+import express from 'express';
+import legalHoldService from '../services/legalHoldService.js';
+import { HOLD_STATUS } from '../models/LegalHold.js';
+import { emitAudit } from '../middleware/auditMiddleware.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+import { validateSchema } from '../middleware/validationMiddleware.js';
+import { getCurrentTenant } from '../middleware/tenantContext.js';
+
+const router = express.Router();
+
+const HOLD_MANAGERS = ['ADMIN', 'PARTNER', 'COMPLIANCE_OFFICER', 'RISK_PARTNER'];
+const HOLD_READERS = [...HOLD_MANAGERS, 'ATTORNEY', 'LAWYER', 'PARALEGAL'];
+
+const tenantOf = (req) => req.user?.tenantId || getCurrentTenant();
+const userOf = (req) => req.user?._id || req.user?.id;
+
+// ------------------------------
+// VALIDATION SCHEMAS
+// ------------------------------
+const isIdList = (values) => values.every((value) => typeof value === 'string') || 'must be a list of ids';
+
+const isScope = (scope) => (
+  (scope.matterIds === undefined || (Array.isArray(scope.matterIds) && isIdList(scope.matterIds) === true))
+  && (scope.custodianIds === undefined || (Array.isArray(scope.custodianIds) && isIdList(scope.custodianIds) === true))
+  && (scope.documentTypes === undefined || (Array.isArray(scope.documentTypes) && scope.documentTypes.every((type) => typeof type === 'string')))
+) || 'scope accepts matterIds, custodianIds, documentTypes lists and dateFrom/dateTo';
+
+const isCustodianList = (custodians) => custodians.every((custodian) => custodian && (
+  typeof custodian.userId === 'string' || (typeof custodian.name === 'string' && typeof custodian.email === 'string')
+)) || 'each custodian needs a userId, or a name and email';
+
+const isReminderCadence = (reminders) => (
+  (reminders.intervalDays === undefined || (Number.isInteger(reminders.intervalDays) && reminders.intervalDays >= 1 && reminders.intervalDays <= 90))
+  && (reminders.maxReminders === undefined || (Number.isInteger(reminders.maxReminders) && reminders.maxReminders >= 0 && reminders.maxReminders <= 52))
+) || 'reminders accepts intervalDays (1-90) and maxReminders (0-52)';
+
+const createHoldSchema = {
+  name: { required: true, type: 'string', minLength: 3, maxLength: 200 },
+  reason: { required: true, type: 'string', minLength: 3, maxLength: 1000 },
+  description: { type: 'string', maxLength: 2000 },
+  scope: { required: true, type: 'object', validate: isScope },
+  custodians: { type: 'array', validate: isCustodianList },
+  reminders: { type: 'object', validate: isReminderCadence }
+};
+
+const releaseSchema = {
+  reason: { required: true, type: 'string', minLength: 3, maxLength: 1000 }
+};
+
+// ------------------------------
+// ROUTES
+// ------------------------------
+
+/*
+ * @route   POST /api/legal-holds
+ * @desc    Issue a hold and email every custodian their notice. Users in scope.custodianIds are notified automatically.
+ * @body    { name, reason, description?, scope: { matterIds?, custodianIds?, dateFrom?, dateTo?, documentTypes? },
+ *            custodians?: [{ userId } | { name, email }], reminders?: { intervalDays?, maxReminders? } }
+ * @access  Admin, Partner, Compliance Officer, Risk Partner
+ */
+router.post('/', authorizeRoles(...HOLD_MANAGERS), validateSchema(createHoldSchema, 'body'), async (req, res, next) => {
+  try {
+    const hold = await legalHoldService.createHold(tenantOf(req), req.body, { userId: userOf(req) });
+
+    await emitAudit(req, {
+      resource: 'legal_hold',
+      action: 'ISSUE_LEGAL_HOLD',
+      severity: 'WARNING',
+      summary: `Legal hold ${hold.holdId} issued to ${hold.custodians.length} custodian(s)`,
+      metadata: { holdId: hold.holdId, matterIds: hold.scope.matterIds.map(String) }
+    });
+
+    res.status(201).json({ status: 'success', data: hold });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   GET /api/legal-holds
+ * @query   status? (ACTIVE | RELEASED), matterId?, custodianId?
+ * @access  Legal staff
+ */
+router.get('/', authorizeRoles(...HOLD_READERS), async (req, res, next) => {
+  try {
+    const { status, matterId, custodianId } = req.query;
+    if (status && !Object.values(HOLD_STATUS).includes(status)) {
+      return res.status(400).json({ status: 'fail', message: `status must be one of ${Object.values(HOLD_STATUS).join(', ')}` });
+    }
+    const holds = await legalHoldService.list(tenantOf(req), { status, matterId, custodianId });
+    res.json({ status: 'success', count: holds.length, data: holds });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   GET /api/legal-holds/:holdId
+ * @desc    A hold with its custodians' notice, reminder and acknowledgement status
+ * @access  Legal staff
+ */
+router.get('/:holdId', authorizeRoles(...HOLD_READERS), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await legalHoldService.get(tenantOf(req), req.params.holdId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   POST /api/legal-holds/:holdId/reminders
+ * @desc    Chase every custodian who has not yet acknowledged
+ * @access  Admin, Partner, Compliance Officer, Risk Partner
+ */
+router.post('/:holdId/reminders', authorizeRoles(...HOLD_MANAGERS), async (req, res, next) => {
+  try {
+    const result = await legalHoldService.remindNow(tenantOf(req), req.params.holdId);
+
+    await emitAudit(req, {
+      resource: 'legal_hold',
+      action: 'REMIND_LEGAL_HOLD_CUSTODIANS',
+      severity: 'INFO',
+      summary: `Chased ${result.pending} custodian(s) on legal hold ${result.holdId}`,
+      metadata: result
+    });
+
+    res.json({ status: 'success', data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   POST /api/legal-holds/:holdId/release
+ * @body    { reason }
+ * @access  Admin, Partner, Compliance Officer, Risk Partner
+ */
+router.post('/:holdId/release', authorizeRoles(...HOLD_MANAGERS), validateSchema(releaseSchema, 'body'), async (req, res, next) => {
+  try {
+    const hold = await legalHoldService.release(tenantOf(req), req.params.holdId, req.body, { userId: userOf(req) });
+
+    await emitAudit(req, {
+      resource: 'legal_hold',
+      action: 'RELEASE_LEGAL_HOLD',
+      severity: 'WARNING',
+      summary: `Legal hold ${hold.holdId} released`,
+      metadata: { holdId: hold.holdId, reason: req.body.reason }
+    });
+
+    res.json({ status: 'success', data: hold });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ------------------------------
+// PUBLIC ACKNOWLEDGEMENT
+// ------------------------------
+export const legalHoldAcknowledgementRoutes = express.Router();
+
+/*
+ * @route   GET /api/legal-holds/acknowledge/:token
+ * @desc    The notice behind a custodian's link, for the acknowledgement page
+ * @access  Public (token)
+ */
+legalHoldAcknowledgementRoutes.get('/:token', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await legalHoldService.describeForCustodian(req.params.token) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   POST /api/legal-holds/acknowledge/:token
+ * @desc    Record the custodian's acknowledgement. POST so mail scanners following the link cannot acknowledge.
+ * @access  Public (token)
+ */
+legalHoldAcknowledgementRoutes.post('/:token', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await legalHoldService.acknowledge(req.params.token, { ip: req.ip }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
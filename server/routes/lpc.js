@@ -5,7 +5,7 @@
  * ║ [LEGAL PRACTICE COUNCIL COMPLIANCE | TRUST ACCOUNTING | FIDELITY CERTIFICATION]                                                        ║
  * ║ VERSION: 15.0.3-SINGULARITY                                                                                                            ║
  * ║ EPITOME: BIBLICAL WORTH BILLIONS | FIDUCIARY INTEGRITY ANCHOR                                                                          ║
- * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/lpcRoutes.js                                                      ║
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/lpc.js                                                            ║
  * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
  *
  * 🏛️ ARCHITECT: Wilson Khanyezi - 10th Generation Sovereign Architect
@@ -37,39 +37,114 @@
 import express from 'express';
 import lpcController from '../controllers/lpcController.js';
 import { integrityShield } from '../middleware/ProductionHardening.middleware.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Money moves on the trust account only at the hands of the firm's trust accountants
+const TRUST_POSTING_ROLES = ['partner', 'admin', 'super_admin', 'accounts'];
+
 // ============================================================================
 // 💰 TRUST ACCOUNTING (LPC Rule 54.14)
 // ============================================================================
 
 /**
- * @route   POST /api/v2/lpc/trust/deposit
- * @desc    Record a client trust deposit with AES-256-GCM encryption
+ * @route   POST /api/lpc/trust/deposit
+ * @desc    Record a client trust deposit on the control account and the client/matter sub-ledger
  * @access  Sovereign (LegalFirm Admin, Trust Accountant)
- * @body    { amount, matterReference, clientId, firmId, authorizedBy }
- * @response { success, transactionId, correlationId }
- * @security Integrity shield (rate limiting, header validation)
+ * @body    { amount, clientId, matterId, matterReference, method }
+ * @response { success, transactionId, clientBalance, forensicHash, correlationId }
+ * @security Integrity shield (rate limiting, header validation); trust posting roles
  */
-router.post('/trust/deposit', integrityShield, lpcController.recordDeposit);
+router.post('/trust/deposit', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.recordDeposit);
 
 /**
- * @route   POST /api/v2/lpc/trust/reconcile
- * @desc    Perform monthly trust reconciliation (book vs bank)
+ * @route   POST /api/lpc/trust/reconcile
+ * @desc    LPC Rule 54.15 three-way reconciliation (bank statement vs control account vs client ledgers)
  * @access  Sovereign (LegalFirm Admin, Trust Accountant)
- * @body    { accountNumber, bankBalance }
- * @response { success, reconciliation: { isReconciled, variance, timestamp } }
- * @security Integrity shield
+ * @body    { bankBalance, statementDate, outstandingDeposits, outstandingPayments }
+ * @response { success, reconciliation: { isReconciled, adjustedBankBalance, controlBalance, clientLedgerTotal, discrepancies[], clientLedgers[] } }
+ * @security Integrity shield; trust posting roles
+ */
+router.post('/trust/reconcile', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.reconcileAccount);
+
+/**
+ * @route   GET /api/lpc/trust/verify
+ * @desc    Re-walk the SHA3-512 trust chain and detect gaps, reordering, edited amounts and master seal mismatch
+ * @access  Sovereign (LegalFirm Admin, Trust Accountant, Auditor)
+ * @query   format=json|pdf (default json)
+ * @response { success, report: { reportId, account, verification: { isIntact, checkedCount, computedSeal, findings[] }, signature } }
+ * @security Integrity shield; trust posting roles and auditors
+ */
+router.get('/trust/verify', integrityShield, requireRole([...TRUST_POSTING_ROLES, 'auditor']), lpcController.verifyTrustChain);
+
+// ============================================================================
+// 🏦 TRUST INVESTMENTS (Legal Practice Act s86(3) / s86(4))
+// ============================================================================
+
+/**
+ * @route   POST /api/lpc/trust/investments
+ * @desc    Place client trust money in a s86(3)/s86(4) investment for a matter (moves it off the trust current ledger)
+ * @access  Sovereign (LegalFirm Admin, Trust Accountant)
+ * @body    { clientId, matterId, section: S86_3|S86_4, bankName, accountNumber, amount, ratePercent, dayCountBasis? }
+ * @response { success, investment }
+ * @security Integrity shield; trust posting roles
+ */
+router.post('/trust/investments', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.openInvestment);
+
+/**
+ * @route   GET /api/lpc/trust/investments
+ * @desc    List trust investments
+ * @query   clientId, matterId, status
+ * @security Integrity shield; trust posting roles
+ */
+router.get('/trust/investments', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.listInvestments);
+
+/**
+ * @route   GET /api/lpc/trust/investments/fidelity-levy
+ * @desc    s86 interest payable to the Fidelity Fund for a period, by section
+ * @query   from, to (ISO dates)
+ * @security Integrity shield; trust posting roles
+ */
+router.get('/trust/investments/fidelity-levy', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.getFidelityFundLevy);
+
+/**
+ * @route   POST /api/lpc/trust/investments/:investmentId/rates
+ * @desc    Record a bank rate change ({ ratePercent, effectiveFrom }); accrued days cannot be re-rated
+ * @security Integrity shield; trust posting roles
+ */
+router.post('/trust/investments/:investmentId/rates', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.setInvestmentRate);
+
+/**
+ * @route   POST /api/lpc/trust/investments/:investmentId/allocate
+ * @desc    Allocate a completed month's interest ({ year, month }) – idempotent per month
+ * @response { success, allocation: { grossInterest, clientShare, fundShare }, alreadyAllocated }
+ * @security Integrity shield; trust posting roles
+ */
+router.post('/trust/investments/:investmentId/allocate', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.allocateInvestmentInterest);
+
+/**
+ * @route   GET /api/lpc/trust/investments/:investmentId/statement
+ * @desc    Month-end interest statement for the client
+ * @query   year, month (defaults to the current month)
+ * @security Integrity shield; trust posting roles
+ */
+router.get('/trust/investments/:investmentId/statement', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.getInvestmentStatement);
+
+/**
+ * @route   POST /api/lpc/trust/investments/:investmentId/uplift
+ * @desc    Return capital to the client's trust ledger; without an amount the investment is closed
+ * @body    { amount? }
+ * @security Integrity shield; trust posting roles
  */
-router.post('/trust/reconcile', integrityShield, lpcController.reconcileAccount);
+router.post('/trust/investments/:investmentId/uplift', integrityShield, requireRole(TRUST_POSTING_ROLES), lpcController.upliftInvestment);
 
 // ============================================================================
 // 🎓 ATTORNEY COMPLIANCE (CPD & FIDELITY)
 // ============================================================================
 
 /**
- * @route   GET /api/v2/lpc/attorney/:lpcNumber/cpd
+ * @route   GET /api/lpc/attorney/:lpcNumber/cpd
  * @desc    Get CPD compliance status for an attorney (annual hours, ethics, shortfall)
  * @access  Sovereign (LegalFirm Admin, Compliance Officer)
  * @param   {string} lpcNumber - LPC registration number (e.g., LPC/2024/12345)
@@ -79,7 +154,7 @@ router.post('/trust/reconcile', integrityShield, lpcController.reconcileAccount)
 router.get('/attorney/:lpcNumber/cpd', integrityShield, lpcController.getCPDStatus);
 
 /**
- * @route   POST /api/v2/lpc/fidelity/issue
+ * @route   POST /api/lpc/fidelity/issue
  * @desc    Issue a new Fidelity Fund Certificate (valid 1 year)
  * @access  Sovereign (LegalFirm Admin, Compliance Officer)
  * @body    { lpcNumber, turnover }
@@ -93,7 +168,7 @@ router.post('/fidelity/issue', integrityShield, lpcController.issueFidelity);
 // ============================================================================
 
 /**
- * @route   GET /api/v2/lpc/health
+ * @route   GET /api/lpc/health
  * @desc    Health check for LPC gateway (monitoring only)
  * @access  Public (monitoring systems)
  * @response { status, service, version, timestamp }
@@ -0,0 +1,100 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRE-BILL ROUTES [V1.0.0-BILLING]                                                                                            ║
+ * ║ [PROFORMA → PARTNER APPROVAL → TAX INVOICE | DISBURSEMENTS]                                                                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/preBillRoutes.js                                                   ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Mounted at /api/prebills. Preparation is limited to the matter's responsible attorney and approval to its billing
+ * partner (enforced in preBillService); issuing the tax invoice additionally needs a finance role.
+ */
+
+import express from 'express';
+import preBillController from '../controllers/preBillController.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+const FINANCE_WRITE_ROLES = ['FOUNDER', 'OMEGA', 'SUPER_ADMIN', 'PARTNER', 'ADMIN', 'ACCOUNTS'];
+
+// ============================================================================
+// 🧾 DISBURSEMENTS
+// ============================================================================
+
+/**
+ * @route   POST /api/prebills/disbursements
+ * @desc    Record a recoverable cost against a matter
+ * @body    { matterId, amount (excl. VAT), description, incurredOn?, category?, supplier?, vatApplicable? }
+ */
+router.post('/disbursements', preBillController.recordDisbursement);
+
+/**
+ * @route   GET /api/prebills/disbursements
+ * @query   matterId, status
+ */
+router.get('/disbursements', preBillController.listDisbursements);
+
+// ============================================================================
+// 📋 PRE-BILLS
+// ============================================================================
+
+/**
+ * @route   POST /api/prebills
+ * @desc    Gather unbilled time, disbursements and undrawn fixed fee for a matter into a DRAFT pre-bill
+ * @body    { matterId, periodTo?, includeFixedFee? }
+ */
+router.post('/', preBillController.generatePreBill);
+
+/**
+ * @route   GET /api/prebills
+ * @query   matterId, status, awaitingApprovalBy (userId or "me")
+ */
+router.get('/', preBillController.listPreBills);
+
+/**
+ * @route   GET /api/prebills/:preBillId
+ * @desc    Lines, totals, adjustment trail and approval history
+ */
+router.get('/:preBillId', preBillController.getPreBill);
+
+/**
+ * @route   POST /api/prebills/:preBillId/lines/:lineId/adjust
+ * @desc    Write down, write off, transfer to another matter, or restore a line (DRAFT only)
+ * @body    { action: WRITE_DOWN|WRITE_OFF|TRANSFER|RESTORE, amount?, targetMatterId?, reason }
+ */
+router.post('/:preBillId/lines/:lineId/adjust', preBillController.adjustLine);
+
+/**
+ * @route   POST /api/prebills/:preBillId/submit
+ * @body    { billingPartnerId?, comment? }
+ */
+router.post('/:preBillId/submit', preBillController.submitPreBill);
+
+/**
+ * @route   POST /api/prebills/:preBillId/approve
+ * @body    { comment? }
+ */
+router.post('/:preBillId/approve', preBillController.approvePreBill);
+
+/**
+ * @route   POST /api/prebills/:preBillId/reject
+ * @body    { reason }
+ */
+router.post('/:preBillId/reject', preBillController.rejectPreBill);
+
+/**
+ * @route   POST /api/prebills/:preBillId/cancel
+ * @desc    Abandon the pre-bill and release its time entries and disbursements
+ * @body    { reason? }
+ */
+router.post('/:preBillId/cancel', preBillController.cancelPreBill);
+
+/**
+ * @route   POST /api/prebills/:preBillId/issue
+ * @desc    Issue the sequentially numbered tax invoice, relieve WIP and update Matter.financials
+ * @body    { dueDate? }
+ */
+router.post('/:preBillId/issue', authorizeRoles(...FINANCE_WRITE_ROLES), preBillController.issuePreBill);
+
+export default router;
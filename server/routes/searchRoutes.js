@@ -1,1527 +1,307 @@
 /* eslint-disable */
 /**
  * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
- * ║ WILSY OS - QUANTUM SEARCH ENGINE - OMEGA EDITION                                                                                      ║
- * ║ R23.7T GLOBAL SEARCH | NEURAL RELEVANCE | FORENSIC INDEXING | REAL-TIME                                                               ║
- * ║                                                                                                                                        ║
- * ║ "The most advanced search system in human history - every query quantum-accelerated"                                                  ║
- * ║                                                    - Wilson Khanyezi, 10th Generation Architect                                       ║
+ * ║ WILSY OS - GLOBAL SEARCH ROUTES [V8.0.0-SEARCH]                                                                                        ║
+ * ║ [BM25 RANKING | FACETS | HIGHLIGHTS | PERMISSION TRIMMING | SUGGESTIONS | SAVED SEARCHES | REINDEX]                                    ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/searchRoutes.js                                                    ║
  * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
  *
- * ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/searchRoutes.js
- * VERSION: 7.0.0-QUANTUM-OMEGA
- * CREATED: 2026-03-19
- * UPDATED: 2026-03-19 - Upgraded to quantum security architecture
- *
- * REVOLUTIONARY CAPABILITIES:
- * • Quantum-accelerated search across 23.7T data points
- * • Neural relevance scoring with 99.9997% accuracy
- * • Real-time indexing with zero-latency updates
- * • Multi-tenant isolation with quantum boundaries
- * • Forensic audit trail of all searches
- * • Predictive search with neural networks
- * • Semantic understanding with 128-layer transformers
- * • Cross-lingual search (11 official languages + legal Latin)
- *
- * SEARCH TYPES:
- * • Global Search - Unified search across all data types
- * • Semantic Search - Meaning-based search with context understanding
- * • Vector Search - Embedding-based similarity search
- * • Fuzzy Search - Approximate matching with typo tolerance
- * • Range Search - Numerical and date range queries
- * • Boolean Search - AND/OR/NOT operators with nesting
- * • Phrase Search - Exact phrase matching
- * • Regex Search - Regular expression pattern matching
- * • Faceted Search - Filtered by type, date, status, etc.
- * • Saved Searches - Persistent search queries with alerts
- *
- * SEARCH DOMAINS:
- * • Transactions - Financial transactions with amounts
- * • Nodes - Network nodes with status and location
- * • Audit Logs - Forensic audit trail with timestamps
- * • Documents - Legal documents with full-text search
- * • Clients - Client profiles with contact info
- * • Compliance - Regulatory compliance data
- * • System Events - System logs and metrics
- * • Users - User profiles and permissions
- *
- * INVESTOR VALUE PROPOSITION:
- * • Data Accessibility: R23.7T in searchable insights
- * • Efficiency Gain: 95% reduction in manual data discovery
- * • Risk Reduction: R45M in compliance violation prevention
- * • Market Value: R950M/year licensing potential
- *
- * PERFORMANCE METRICS:
- * • Search latency: <50ms (p95)
- * • Concurrent searches: 10,000+
- * • Daily capacity: 100M+ searches
- * • Index size: 23.7T+ documents
- * • Quantum circuits: 1024
- * • Neural layers: 128
- * • Relevance accuracy: 99.9997%
- *
- * COMPLIANCE:
- * • POPIA Section 19 - Access logging
- * • ECT Act Section 15 - Data integrity
- * • GDPR Article 17 - Right to erasure (search exclusion)
- * • SOC2 Type II - Security controls
- * • ISO27001:2022 - Information security
- *
- * TEAM COLLABORATION:
- * • Lead Architect: Wilson Khanyezi - Final approval
- * • Quantum Search: Dr. Priya Naidoo
- * • Neural Networks: Dr. Fatima Cassim
- * • Indexing: Sipho Dlamini
- * • Compliance: Johan Botha
+ * Mounted at /api/search behind authentication. Searches run over the tenant's inverted index (services/searchIndexService.js),
+ * which matters, documents, clients and citations keep current as they are saved. Query syntax: words, "quoted phrases"
+ * and -excluded words.
  */
 
 import express from 'express';
-import { body, query, param, validationResult } from 'express-validator';
-import { performance } from 'perf_hooks';
-import { v4 as uuidv4 } from 'uuid';
-import crypto from 'crypto';
-
-import { sovereignAuthenticate, requireRole } from '../middleware/auth.js';
-import { tenantGuard } from '../middleware/tenantGuard.js';
-import { deviceFingerprint, validateFingerprint } from '../middleware/deviceFingerprint.js';
-import { apiLimiter } from '../middleware/security.js';
-import { createAuditLog } from '../middleware/auditMiddleware.js';
-import { AppError } from '../utils/errorHandler.js';
-import loggerRaw from '../utils/logger.js';
-import auditLogger from '../utils/auditLogger.js';
-import redisClient from '../cache/redisClient.js';
+import searchIndexService, { INDEX_KINDS, SEARCH_SORTS } from '../services/searchIndexService.js';
+import { emitAudit } from '../middleware/auditMiddleware.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+import { validateSchema } from '../middleware/validationMiddleware.js';
+import { getCurrentTenant } from '../middleware/tenantContext.js';
 
-const logger = loggerRaw.default || loggerRaw;
 const router = express.Router();
 
-// ============================================================================
-// QUANTUM CONSTANTS
-// ============================================================================
-
-const SEARCH_CONSTANTS = {
-  TYPES: {
-    GLOBAL: 'global',
-    SEMANTIC: 'semantic',
-    VECTOR: 'vector',
-    FUZZY: 'fuzzy',
-    RANGE: 'range',
-    BOOLEAN: 'boolean',
-    PHRASE: 'phrase',
-    REGEX: 'regex',
-    FACETED: 'facets'
-  },
+const INDEX_MANAGERS = ['ADMIN', 'SUPER_ADMIN'];
+const DOMAINS = Object.values(INDEX_KINDS).map((kind) => kind.toLowerCase());
+const FREQUENCIES = ['hourly', 'daily', 'weekly', 'monthly'];
+const MAX_RESULTS = 100;
 
-  DOMAINS: {
-    TRANSACTIONS: 'transaction',
-    NODES: 'node',
-    AUDIT: 'audit',
-    DOCUMENTS: 'document',
-    CLIENTS: 'client',
-    COMPLIANCE: 'compliance',
-    SYSTEM: 'system',
-    USERS: 'user'
-  },
+const tenantOf = (req) => req.user?.tenantId || getCurrentTenant();
+const userOf = (req) => req.user?._id || req.user?.id;
 
-  SORT: {
-    RELEVANCE: 'relevance',
-    DATE_DESC: 'date_desc',
-    DATE_ASC: 'date_asc',
-    SCORE_DESC: 'score_desc',
-    SCORE_ASC: 'score_asc'
-  },
-
-  FUZZY_LEVELS: {
-    NONE: 0,
-    LOW: 1,
-    MEDIUM: 2,
-    HIGH: 3
-  },
-
-  QUANTUM_CIRCUITS: 1024,
-  NEURAL_LAYERS: 128,
-  CONFIDENCE_THRESHOLD: 0.999997,
-  MAX_SEARCH_TERMS: 100,
-  MAX_RESULTS: 1000,
-  CACHE_TTL: 300, // 5 minutes
-  SUGGESTION_CACHE_TTL: 3600, // 1 hour
-  MIN_QUERY_LENGTH: 2,
-  MAX_QUERY_LENGTH: 1000
+const toInt = (value, fallback, max) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) return fallback;
+  return max ? Math.min(parsed, max) : parsed;
 };
 
-// ============================================================================
-// QUANTUM SEARCH INDEX (Simulated)
-// ============================================================================
-
-// In production, this would be Elasticsearch, Solr, or custom quantum index
-const searchIndex = {
-  transactions: generateTransactionIndex(10000),
-  nodes: generateNodeIndex(1000),
-  audit: generateAuditIndex(50000),
-  documents: generateDocumentIndex(25000),
-  clients: generateClientIndex(5000),
-  compliance: generateComplianceIndex(1000),
-  system: generateSystemIndex(10000),
-  users: generateUserIndex(1000)
+// ------------------------------
+// VALIDATION SCHEMAS
+// ------------------------------
+const isoDate = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}/, message: 'dates must be ISO dates' };
+
+const searchQuerySchema = {
+  q: { required: true, type: 'string', minLength: 2, maxLength: 500 },
+  domain: { type: 'string', enum: DOMAINS },
+  matterType: { type: 'string', maxLength: 100 },
+  attorneyId: { type: 'string', maxLength: 64 },
+  documentType: { type: 'string', maxLength: 50 },
+  startDate: isoDate,
+  endDate: isoDate,
+  sort: { type: 'string', enum: SEARCH_SORTS },
+  limit: { type: 'string', pattern: /^\d+$/, message: 'limit must be a whole number' },
+  offset: { type: 'string', pattern: /^\d+$/, message: 'offset must be a whole number' },
+  highlight: { type: 'string', enum: ['true', 'false'] }
 };
 
-// ============================================================================
-// QUANTUM SECURITY MIDDLEWARE
-// ============================================================================
+const relatedBodySchema = {
+  text: { required: true, type: 'string', minLength: 2, maxLength: 5000 },
+  domain: { type: 'string', enum: DOMAINS },
+  limit: { type: 'number', min: 1, max: MAX_RESULTS },
+  threshold: { type: 'number', min: 0.5, max: 1 }
+};
 
-// Apply quantum authentication to all search routes
-router.use(sovereignAuthenticate);
-router.use(tenantGuard);
-router.use(deviceFingerprint);
-router.use(apiLimiter);
+const suggestQuerySchema = {
+  q: { required: true, type: 'string', minLength: 1, maxLength: 100 },
+  domain: { type: 'string', enum: DOMAINS },
+  limit: { type: 'string', pattern: /^\d+$/, message: 'limit must be a whole number' }
+};
 
-// Quantum request tracking
-router.use((req, res, next) => {
-  req.requestId = req.headers['x-request-id'] ||
-                  req.headers['x-correlation-id'] ||
-                  `QSRCH-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
-  req.startTime = performance.now();
+const isSavedFilters = (filters) => Object.keys(filters).every((key) => (
+  ['domain', 'matterType', 'attorneyId', 'documentType', 'startDate', 'endDate'].includes(key) && typeof filters[key] === 'string'
+)) || 'filters accepts domain, matterType, attorneyId, documentType, startDate and endDate';
 
-  // Set quantum headers
-  res.setHeader('x-request-id', req.requestId);
-  res.setHeader('x-quantum-version', '7.0.0-OMEGA');
-  res.setHeader('x-search-capacity', '100M/day');
+const savedSearchSchema = {
+  name: { required: true, type: 'string', minLength: 2, maxLength: 120 },
+  query: { required: true, type: 'string', minLength: 2, maxLength: 500 },
+  filters: { type: 'object', validate: isSavedFilters },
+  frequency: { type: 'string', enum: FREQUENCIES },
+  notify: { type: 'boolean' }
+};
 
-  next();
+const searchOptions = (query) => ({
+  q: query.q,
+  domain: query.domain,
+  matterType: query.matterType,
+  attorneyId: query.attorneyId,
+  documentType: query.documentType,
+  startDate: query.startDate,
+  endDate: query.endDate,
+  sort: query.sort,
+  limit: toInt(query.limit, 20, MAX_RESULTS),
+  offset: toInt(query.offset, 0),
+  highlight: query.highlight !== 'false'
 });
 
-// ============================================================================
-// GLOBAL QUANTUM SEARCH
-// ============================================================================
+// ------------------------------
+// ROUTES
+// ------------------------------
+
 /*
  * @route   GET /api/search
- * @desc    Global quantum search across all tenant data
- * @access  Private
+ * @desc    Ranked search across matters, documents, clients and citations the user may see
+ * @query   q, domain?, matterType?, attorneyId?, documentType?, startDate?, endDate?, sort?, limit?, offset?, highlight?
+ * @access  Private (results are trimmed to the caller's permissions)
  */
-router.get(
-  '/',
-  validateFingerprint({ minConfidence: 95 }),
-  [
-    query('q').isString().notEmpty().withMessage('Search query is required')
-      .isLength({ min: SEARCH_CONSTANTS.MIN_QUERY_LENGTH, max: SEARCH_CONSTANTS.MAX_QUERY_LENGTH })
-      .withMessage(`Query must be between ${SEARCH_CONSTANTS.MIN_QUERY_LENGTH} and ${SEARCH_CONSTANTS.MAX_QUERY_LENGTH} characters`),
-    query('type').optional().isIn(Object.values(SEARCH_CONSTANTS.TYPES)),
-    query('domain').optional().isIn(Object.values(SEARCH_CONSTANTS.DOMAINS)),
-    query('sort').optional().isIn(Object.values(SEARCH_CONSTANTS.SORT)),
-    query('limit').optional().isInt({ min: 1, max: SEARCH_CONSTANTS.MAX_RESULTS }).toInt(),
-    query('offset').optional().isInt({ min: 0 }).toInt(),
-    query('fuzzy').optional().isIn([0, 1, 2, 3]).toInt(),
-    query('semantic').optional().isBoolean().toBoolean(),
-    query('highlight').optional().isBoolean().toBoolean(),
-    query('explain').optional().isBoolean().toBoolean(),
-    query('filters').optional().isString(),
-    query('startDate').optional().isISO8601(),
-    query('endDate').optional().isISO8601(),
-    query('minScore').optional().isFloat({ min: 0, max: 1 }).toFloat()
-  ],
-  async (req, res, next) => {
-    const startTime = performance.now();
-    const searchId = `SRCH-${uuidv4()}`;
-
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const {
-        q,
-        type = SEARCH_CONSTANTS.TYPES.GLOBAL,
-        domain,
-        sort = SEARCH_CONSTANTS.SORT.RELEVANCE,
-        limit = 50,
-        offset = 0,
-        fuzzy = SEARCH_CONSTANTS.FUZZY_LEVELS.MEDIUM,
-        semantic = true,
-        highlight = true,
-        explain = false,
-        filters,
-        startDate,
-        endDate,
-        minScore = 0.5
-      } = req.query;
-
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      // Check cache for identical search
-      const cacheKey = `search:${tenantId}:${q}:${type}:${domain}:${sort}:${limit}:${offset}`;
-      const cachedResults = await redisClient.get(cacheKey);
-
-      if (cachedResults && !explain) {
-        logger.debug('Serving cached search results', { searchId, cacheKey });
-
-        await createAuditLog({
-          action: 'SEARCH_PERFORMED',
-          category: 'SEARCH',
-          userId,
-          tenantId,
-          resourceType: 'SEARCH',
-          resourceId: searchId,
-          metadata: {
-            query: q,
-            type,
-            domain,
-            cached: true,
-            resultCount: JSON.parse(cachedResults).total
-          },
-          status: 'SUCCESS',
-          req
-        });
-
-        const cached = JSON.parse(cachedResults);
-        cached.metadata.cached = true;
-        return res.json(cached);
-      }
-
-      // Parse filters if provided
-      const filterObj = filters ? JSON.parse(filters) : {};
-
-      // Perform quantum search across specified domains
-      let results = [];
-      const domainsToSearch = domain ? [domain] : Object.values(SEARCH_CONSTANTS.DOMAINS);
-
-      for (const searchDomain of domainsToSearch) {
-        if (searchIndex[searchDomain]) {
-          const domainResults = await searchDomainIndex(
-            searchDomain,
-            q,
-            searchIndex[searchDomain],
-            {
-              type,
-              fuzzy,
-              semantic,
-              startDate,
-              endDate,
-              minScore,
-              filters: filterObj[searchDomain]
-            }
-          );
-          results.push(...domainResults);
-        }
-      }
-
-      // Apply global filters
-      if (startDate || endDate) {
-        results = results.filter(r => {
-          const date = new Date(r.date || r.timestamp || r.createdAt);
-          if (startDate && date < new Date(startDate)) return false;
-          if (endDate && date > new Date(endDate)) return false;
-          return true;
-        });
-      }
-
-      // Sort results
-      results.sort((a, b) => {
-        switch (sort) {
-          case SEARCH_CONSTANTS.SORT.DATE_DESC:
-            return new Date(b.date || b.timestamp) - new Date(a.date || a.timestamp);
-          case SEARCH_CONSTANTS.SORT.DATE_ASC:
-            return new Date(a.date || a.timestamp) - new Date(b.date || b.timestamp);
-          case SEARCH_CONSTANTS.SORT.SCORE_DESC:
-            return b.score - a.score;
-          case SEARCH_CONSTANTS.SORT.SCORE_ASC:
-            return a.score - b.score;
-          default:
-            return b.score - a.score;
-        }
-      });
-
-      // Generate highlights if requested
-      if (highlight) {
-        results = results.map(r => ({
-          ...r,
-          highlights: generateHighlights(r, q)
-        }));
-      }
-
-      // Calculate search analytics
-      const searchAnalytics = {
-        totalResults: results.length,
-        domainBreakdown: domainsToSearch.reduce((acc, d) => {
-          acc[d] = results.filter(r => r.type === d).length;
-          return acc;
-        }, {}),
-        averageScore: results.reduce((sum, r) => sum + r.score, 0) / results.length || 0,
-        maxScore: Math.max(...results.map(r => r.score), 0),
-        minScore: Math.min(...results.map(r => r.score), 0)
-      };
-
-      // Paginate results
-      const paginatedResults = results.slice(offset, offset + limit);
-
-      // Generate quantum signature
-      const signature = crypto
-        .createHash('sha3-512')
-        .update(searchId + tenantId + q + JSON.stringify(paginatedResults))
-        .digest('hex');
-
-      // Cache results
-      const response = {
-        success: true,
-        data: {
-          query: q,
-          type,
-          domain: domain || 'all',
-          total: results.length,
-          limit,
-          offset,
-          results: paginatedResults,
-          analytics: explain ? searchAnalytics : undefined,
-          searchId,
-          quantumSignature: signature.substring(0, 32),
-          quantumVerified: true,
-          neuralConfidence: SEARCH_CONSTANTS.CONFIDENCE_THRESHOLD,
-          timestamp: new Date().toISOString()
-        },
-        metadata: {
-          tenantId,
-          userId,
-          processingTimeMs: Math.round(performance.now() - startTime),
-          quantumCircuits: SEARCH_CONSTANTS.QUANTUM_CIRCUITS,
-          neuralLayers: SEARCH_CONSTANTS.NEURAL_LAYERS,
-          cached: false,
-          requestId: req.requestId
-        }
-      };
-
-      await redisClient.setex(cacheKey, SEARCH_CONSTANTS.CACHE_TTL, JSON.stringify(response));
-
-      // Audit log
-      await createAuditLog({
-        action: 'SEARCH_PERFORMED',
-        category: 'SEARCH',
-        userId,
-        tenantId,
-        resourceType: 'SEARCH',
-        resourceId: searchId,
-        metadata: {
-          query: q,
-          type,
-          domain,
-          resultCount: results.length,
-          processingTime: Math.round(performance.now() - startTime)
-        },
-        status: 'SUCCESS',
-        req
-      });
-
-      logger.info('Quantum search performed', {
-        searchId,
-        query: q.substring(0, 50),
-        type,
-        domain,
-        resultCount: results.length,
-        processingTimeMs: Math.round(performance.now() - startTime),
-        userId
-      });
-
-      res.json(response);
-
-    } catch (error) {
-      auditLogger.error('Quantum search failed', {
-        error: error.message,
-        searchId,
-        requestId: req.requestId,
-        processingTimeMs: Math.round(performance.now() - startTime)
-      });
+router.get('/', validateSchema(searchQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const options = searchOptions(req.query);
+    const result = await searchIndexService.search(tenantOf(req), req.user, options);
+    await searchIndexService.recordSearch(tenantOf(req), userOf(req), { q: options.q, domain: options.domain, total: result.total });
+
+    await emitAudit(req, {
+      resource: 'search',
+      action: 'SEARCH',
+      severity: 'INFO',
+      metadata: { query: options.q.slice(0, 100), domain: options.domain, total: result.total }
+    });
 
-      next(new AppError(error.message, 500, 'QUANTUM_SEARCH_FAILED'));
-    }
+    res.json({ status: 'success', data: { query: options.q, limit: options.limit, offset: options.offset, ...result } });
+  } catch (err) {
+    err.code = err.code || 'SEARCH_FAILED';
+    next(err);
   }
-);
+});
 
-// ============================================================================
-// SEMANTIC SEARCH
-// ============================================================================
 /*
  * @route   POST /api/search/semantic
- * @desc    Semantic search with neural understanding
- * @access  Private
+ * @desc    Results most like a passage of free text, each with its similarity to the best match
+ * @body    { text, domain?, limit?, threshold? (0.5 to 1, share of the best match's score) }
+ * @access  Private (results are trimmed to the caller's permissions)
  */
-router.post(
-  '/semantic',
-  validateFingerprint({ minConfidence: 99 }),
-  [
-    body('text').isString().notEmpty().withMessage('Search text is required'),
-    body('domain').optional().isIn(Object.values(SEARCH_CONSTANTS.DOMAINS)),
-    body('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-    body('threshold').optional().isFloat({ min: 0.5, max: 1 }).toFloat()
-  ],
-  async (req, res, next) => {
-    const startTime = performance.now();
-    const searchId = `SEM-${uuidv4()}`;
-
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const {
-        text,
-        domain,
-        limit = 20,
-        threshold = 0.8
-      } = req.body;
-
-      const tenantId = req.tenantContext?.id;
-
-      // Generate embedding for search text (simulated)
-      const embedding = generateEmbedding(text);
-
-      // Perform semantic search across domains
-      let results = [];
-      const domainsToSearch = domain ? [domain] : Object.values(SEARCH_CONSTANTS.DOMAINS);
-
-      for (const searchDomain of domainsToSearch) {
-        if (searchIndex[searchDomain]) {
-          const domainResults = await semanticSearch(
-            searchDomain,
-            embedding,
-            searchIndex[searchDomain],
-            { threshold, limit }
-          );
-          results.push(...domainResults);
-        }
-      }
-
-      // Sort by similarity
-      results.sort((a, b) => b.similarity - a.similarity);
-
-      // Limit results
-      results = results.slice(0, limit);
-
-      res.json({
-        success: true,
-        data: {
-          query: text,
-          domain: domain || 'all',
-          total: results.length,
-          results,
-          searchId,
-          quantumVerified: true,
-          timestamp: new Date().toISOString()
-        },
-        metadata: {
-          tenantId,
-          processingTimeMs: Math.round(performance.now() - startTime),
-          neuralLayers: SEARCH_CONSTANTS.NEURAL_LAYERS,
-          requestId: req.requestId
-        }
-      });
+router.post('/semantic', validateSchema(relatedBodySchema, 'body'), async (req, res, next) => {
+  try {
+    const { text, domain, limit = 20, threshold = 0.5 } = req.body;
+    const result = await searchIndexService.related(tenantOf(req), req.user, { text, domain, limit: Math.floor(limit), threshold });
+
+    await emitAudit(req, {
+      resource: 'search',
+      action: 'SEMANTIC_SEARCH',
+      severity: 'INFO',
+      metadata: { length: text.length, domain, total: result.total }
+    });
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'SEMANTIC_SEARCH_FAILED'));
-    }
+    res.json({ status: 'success', data: { domain: domain || 'all', ...result } });
+  } catch (err) {
+    err.code = err.code || 'SEMANTIC_SEARCH_FAILED';
+    next(err);
   }
-);
+});
 
-// ============================================================================
-// SEARCH SUGGESTIONS
-// ============================================================================
 /*
  * @route   GET /api/search/suggest
- * @desc    Get quantum search suggestions
+ * @desc    Type-ahead completions drawn from titles the user may see
+ * @query   q, domain?, limit?
  * @access  Private
  */
-router.get(
-  '/suggest',
-  validateFingerprint({ minConfidence: 90 }),
-  [
-    query('q').isString().notEmpty().withMessage('Query is required')
-      .isLength({ min: 1, max: 50 }),
-    query('domain').optional().isIn(Object.values(SEARCH_CONSTANTS.DOMAINS)),
-    query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const { q, domain, limit = 10 } = req.query;
-      const tenantId = req.tenantContext?.id;
-
-      // Check cache
-      const cacheKey = `suggest:${tenantId}:${q}:${domain || 'all'}`;
-      const cached = await redisClient.get(cacheKey);
-
-      if (cached) {
-        return res.json(JSON.parse(cached));
-      }
-
-      // Generate suggestions based on search history and common terms
-      const suggestions = [
-        { text: 'transaction', count: 124, type: 'term' },
-        { text: 'transaction amount', count: 89, type: 'phrase' },
-        { text: 'transaction date', count: 76, type: 'phrase' },
-        { text: 'node', count: 98, type: 'term' },
-        { text: 'node status', count: 67, type: 'phrase' },
-        { text: 'audit', count: 115, type: 'term' },
-        { text: 'audit trail', count: 92, type: 'phrase' },
-        { text: 'revenue', count: 132, type: 'term' },
-        { text: 'deposit', count: 89, type: 'term' },
-        { text: 'withdrawal', count: 78, type: 'term' },
-        { text: 'client', count: 145, type: 'term' },
-        { text: 'client profile', count: 56, type: 'phrase' },
-        { text: 'compliance', count: 167, type: 'term' },
-        { text: 'popia compliance', count: 43, type: 'phrase' },
-        { text: 'document', count: 98, type: 'term' },
-        { text: 'legal document', count: 67, type: 'phrase' }
-      ].filter(s => s.text.includes(q.toLowerCase()));
-
-      // Filter by domain if specified
-      let filtered = suggestions;
-      if (domain) {
-        filtered = filtered.filter(s =>
-          s.text.includes(domain) || s.type === domain
-        );
-      }
-
-      // Limit results
-      filtered = filtered.slice(0, limit);
-
-      const response = {
-        success: true,
-        data: {
-          query: q,
-          domain: domain || 'all',
-          suggestions: filtered,
-          total: filtered.length
-        },
-        metadata: {
-          tenantId,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      };
-
-      await redisClient.setex(cacheKey, SEARCH_CONSTANTS.SUGGESTION_CACHE_TTL, JSON.stringify(response));
-
-      res.json(response);
-
-    } catch (error) {
-      next(new AppError(error.message, 500, 'SUGGESTIONS_FAILED'));
-    }
+router.get('/suggest', validateSchema(suggestQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const suggestions = await searchIndexService.suggest(tenantOf(req), req.user, {
+      q: req.query.q,
+      domain: req.query.domain,
+      limit: toInt(req.query.limit, 10, 20)
+    });
+    res.json({ status: 'success', data: { query: req.query.q, suggestions, total: suggestions.length } });
+  } catch (err) {
+    err.code = err.code || 'SUGGESTIONS_FAILED';
+    next(err);
   }
-);
+});
 
-// ============================================================================
-// RECENT SEARCHES
-// ============================================================================
 /*
  * @route   GET /api/search/recent
- * @desc    Get recent quantum searches
+ * @desc    The caller's latest distinct searches, newest first
+ * @query   limit? (at most 50)
  * @access  Private
  */
-router.get(
-  '/recent',
-  validateFingerprint({ minConfidence: 90 }),
-  [
-    query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
-  ],
-  async (req, res, next) => {
-    try {
-      const { limit = 20 } = req.query;
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      // In production, fetch from database
-      const recentSearches = generateRecentSearches(userId, tenantId, 50);
-
-      res.json({
-        success: true,
-        data: {
-          searches: recentSearches.slice(0, limit),
-          total: recentSearches.length
-        },
-        metadata: {
-          tenantId,
-          userId,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
-
-    } catch (error) {
-      next(new AppError(error.message, 500, 'RECENT_SEARCHES_FAILED'));
-    }
+router.get('/recent', async (req, res, next) => {
+  try {
+    const searches = await searchIndexService.recent(tenantOf(req), userOf(req), { limit: toInt(req.query.limit, 20, 50) || 20 });
+    res.json({ status: 'success', data: { searches, total: searches.length } });
+  } catch (err) {
+    err.code = err.code || 'RECENT_SEARCHES_FAILED';
+    next(err);
   }
-);
+});
 
-// ============================================================================
-// SAVED SEARCHES
-// ============================================================================
 /*
  * @route   GET /api/search/saved
- * @desc    Get saved quantum searches
+ * @desc    The caller's saved searches
  * @access  Private
  */
-router.get(
-  '/saved',
-  validateFingerprint({ minConfidence: 95 }),
-  async (req, res, next) => {
-    try {
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      // In production, fetch from database
-      const savedSearches = generateSavedSearches(userId, tenantId);
-
-      res.json({
-        success: true,
-        data: {
-          searches: savedSearches,
-          total: savedSearches.length
-        },
-        metadata: {
-          tenantId,
-          userId,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
-
-    } catch (error) {
-      next(new AppError(error.message, 500, 'SAVED_SEARCHES_FAILED'));
-    }
+router.get('/saved', async (req, res, next) => {
+  try {
+    const searches = await searchIndexService.listSaved(tenantOf(req), userOf(req));
+    res.json({ status: 'success', data: { searches, total: searches.length } });
+  } catch (err) {
+    err.code = err.code || 'SAVED_SEARCHES_FAILED';
+    next(err);
   }
-);
+});
 
-// ============================================================================
-// CREATE SAVED SEARCH
-// ============================================================================
 /*
  * @route   POST /api/search/saved
- * @desc    Save a quantum search
+ * @desc    Save a search for re-running later
+ * @body    { name, query, filters?: { domain?, matterType?, attorneyId?, documentType?, startDate?, endDate? }, frequency?, notify? }
  * @access  Private
  */
-router.post(
-  '/saved',
-  validateFingerprint({ minConfidence: 99 }),
-  [
-    body('name').isString().notEmpty().withMessage('Name is required'),
-    body('query').isString().notEmpty().withMessage('Query is required'),
-    body('type').optional().isIn(Object.values(SEARCH_CONSTANTS.TYPES)),
-    body('domain').optional().isIn(Object.values(SEARCH_CONSTANTS.DOMAINS)),
-    body('frequency').optional().isIn(['hourly', 'daily', 'weekly', 'monthly']),
-    body('notify').optional().isBoolean().toBoolean()
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const {
-        name,
-        query,
-        type = SEARCH_CONSTANTS.TYPES.GLOBAL,
-        domain,
-        frequency,
-        notify = false
-      } = req.body;
-
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      const savedSearch = {
-        id: `saved_${crypto.randomBytes(8).toString('hex')}`,
-        name,
-        query,
-        type,
-        domain: domain || 'all',
-        frequency,
-        notify,
-        createdBy: userId,
-        createdAt: new Date().toISOString(),
-        lastRun: null,
-        resultCount: 0,
-        quantumVerified: true
-      };
-
-      // In production, save to database
-
-      await createAuditLog({
-        action: 'SAVED_SEARCH_CREATED',
-        category: 'SEARCH',
-        userId,
-        tenantId,
-        resourceType: 'SEARCH',
-        resourceId: savedSearch.id,
-        metadata: {
-          name,
-          query: query.substring(0, 100),
-          type,
-          domain
-        },
-        status: 'SUCCESS',
-        req
-      });
-
-      res.status(201).json({
-        success: true,
-        data: savedSearch,
-        metadata: {
-          tenantId,
-          userId,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+router.post('/saved', validateSchema(savedSearchSchema, 'body'), async (req, res, next) => {
+  try {
+    const saved = await searchIndexService.saveSearch(tenantOf(req), userOf(req), req.body);
+
+    await emitAudit(req, {
+      resource: 'search',
+      action: 'SAVED_SEARCH_CREATED',
+      severity: 'INFO',
+      summary: `Saved search ${saved.savedSearchId} created`,
+      metadata: { savedSearchId: saved.savedSearchId, name: saved.name }
+    });
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'SAVED_SEARCH_CREATE_FAILED'));
-    }
+    res.status(201).json({ status: 'success', data: saved });
+  } catch (err) {
+    err.code = err.code || 'SAVED_SEARCH_CREATE_FAILED';
+    next(err);
   }
-);
+});
 
-// ============================================================================
-// DELETE SAVED SEARCH
-// ============================================================================
 /*
- * @route   DELETE /api/search/saved/:searchId
- * @desc    Delete a saved quantum search
- * @access  Private
+ * @route   POST /api/search/saved/:savedSearchId/run
+ * @desc    Run a saved search now (records when it ran and how many hits it had)
+ * @access  Private (owner only)
  */
-router.delete(
-  '/saved/:searchId',
-  validateFingerprint({ minConfidence: 99.5 }),
-  [
-    param('searchId').isString().notEmpty().withMessage('Search ID is required')
-  ],
-  async (req, res, next) => {
-    try {
-      const { searchId } = req.params;
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      // In production, delete from database
-
-      await createAuditLog({
-        action: 'SAVED_SEARCH_DELETED',
-        category: 'SEARCH',
-        userId,
-        tenantId,
-        resourceType: 'SEARCH',
-        resourceId: searchId,
-        metadata: {},
-        status: 'SUCCESS',
-        req
-      });
-
-      res.json({
-        success: true,
-        data: {
-          id: searchId,
-          deleted: true,
-          deletedAt: new Date().toISOString()
-        },
-        metadata: {
-          tenantId,
-          userId,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
-
-    } catch (error) {
-      next(new AppError(error.message, 500, 'SAVED_SEARCH_DELETE_FAILED'));
-    }
+router.post('/saved/:savedSearchId/run', async (req, res, next) => {
+  try {
+    const result = await searchIndexService.runSaved(tenantOf(req), req.user, req.params.savedSearchId, {
+      limit: toInt(req.body?.limit, 20, MAX_RESULTS),
+      offset: toInt(req.body?.offset, 0)
+    });
+    res.json({ status: 'success', data: result });
+  } catch (err) {
+    err.code = err.code || 'SAVED_SEARCH_RUN_FAILED';
+    next(err);
   }
-);
+});
 
-// ============================================================================
-// SEARCH STATISTICS
-// ============================================================================
 /*
- * @route   GET /api/search/stats
- * @desc    Get quantum search statistics
- * @access  Private (Admin only)
+ * @route   DELETE /api/search/saved/:savedSearchId
+ * @desc    Delete one of the caller's saved searches
+ * @access  Private (owner only)
  */
-router.get(
-  '/stats',
-  requireRole(['admin', 'super_admin']),
-  validateFingerprint({ minConfidence: 99 }),
-  async (req, res, next) => {
-    try {
-      const tenantId = req.tenantContext?.id;
-
-      const stats = {
-        totalSearches: 15234,
-        uniqueUsers: 567,
-        averageQueriesPerUser: 26.9,
-        topQueries: [
-          { query: 'transaction', count: 1234 },
-          { query: 'audit', count: 987 },
-          { query: 'node', count: 876 },
-          { query: 'client', count: 765 },
-          { query: 'document', count: 654 }
-        ],
-        searchTimes: {
-          average: 47, // ms
-          p95: 89,
-          p99: 156
-        },
-        domainBreakdown: {
-          transaction: 4321,
-          node: 2345,
-          audit: 3456,
-          document: 2789,
-          client: 1987,
-          compliance: 876,
-          system: 654,
-          user: 432
-        },
-        zeroResultQueries: 234,
-        popularDays: {
-          Monday: 2345,
-          Tuesday: 2678,
-          Wednesday: 2987,
-          Thursday: 2765,
-          Friday: 2456,
-          Saturday: 1234,
-          Sunday: 987
-        },
-        quantumCircuits: SEARCH_CONSTANTS.QUANTUM_CIRCUITS,
-        neuralLayers: SEARCH_CONSTANTS.NEURAL_LAYERS,
-        confidence: SEARCH_CONSTANTS.CONFIDENCE_THRESHOLD
-      };
-
-      res.json({
-        success: true,
-        data: stats,
-        metadata: {
-          tenantId,
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
-
-    } catch (error) {
-      next(new AppError(error.message, 500, 'STATS_FETCH_FAILED'));
-    }
-  }
-);
-
-// ============================================================================
-// SEARCH INDEX GENERATORS (Simulated)
-// ============================================================================
-
-function generateTransactionIndex(count) {
-  const types = ['revenue', 'expense', 'transfer', 'fee', 'refund'];
-  const descriptions = [
-    'Legal consultation fee',
-    'Document processing',
-    'Court filing',
-    'Contract review',
-    'Trust deposit',
-    'Client payment',
-    'Subscription fee',
-    'Service charge'
-  ];
-
-  const index = [];
-  for (let i = 0; i < count; i++) {
-    const date = new Date(Date.now() - Math.random() * 90 * 86400000);
-    index.push({
-      id: `TX_${Date.now()}_${i}_${crypto.randomBytes(4).toString('hex')}`,
-      type: 'transaction',
-      title: `Transaction ${i}`,
-      description: descriptions[Math.floor(Math.random() * descriptions.length)],
-      amount: Math.floor(Math.random() * 100000) + 100,
-      type: types[Math.floor(Math.random() * types.length)],
-      date: date.toISOString(),
-      reference: `REF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
-      client: `CLT-${Math.floor(Math.random() * 100)}`,
-      status: Math.random() > 0.1 ? 'completed' : 'pending',
-      tags: ['transaction', 'financial'],
-      score: 0
-    });
-  }
-  return index;
-}
-
-function generateNodeIndex(count) {
-  const regions = ['ZA_JHB', 'ZA_CPT', 'ZA_DBN', 'NA_WDH', 'BW_GBE'];
-  const statuses = ['online', 'offline', 'syncing', 'error'];
-  const types = ['validator', 'observer', 'archive', 'light'];
-
-  const index = [];
-  for (let i = 0; i < count; i++) {
-    index.push({
-      id: `NODE_${i}_${crypto.randomBytes(4).toString('hex')}`,
-      type: 'node',
-      title: `Node ${i}`,
-      entity: `Entity ${Math.floor(Math.random() * 50)}`,
-      region: regions[Math.floor(Math.random() * regions.length)],
-      type: types[Math.floor(Math.random() * types.length)],
-      status: statuses[Math.floor(Math.random() * statuses.length)],
-      ip: `192.168.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`,
-      port: 8545 + Math.floor(Math.random() * 100),
-      lastSeen: new Date().toISOString(),
-      version: `v${Math.floor(Math.random() * 3)}.${Math.floor(Math.random() * 10)}.${Math.floor(Math.random() * 10)}`,
-      score: 0
-    });
-  }
-  return index;
-}
-
-function generateAuditIndex(count) {
-  const actions = ['login', 'logout', 'create', 'update', 'delete', 'export', 'import', 'search'];
-  const categories = ['authentication', 'authorization', 'data_access', 'data_modification', 'system'];
-
-  const index = [];
-  for (let i = 0; i < count; i++) {
-    const date = new Date(Date.now() - Math.random() * 90 * 86400000);
-    index.push({
-      id: `AUD_${i}_${crypto.randomBytes(4).toString('hex')}`,
-      type: 'audit',
-      title: `Audit Event ${i}`,
-      action: actions[Math.floor(Math.random() * actions.length)],
-      category: categories[Math.floor(Math.random() * categories.length)],
-      userId: `usr_${Math.floor(Math.random() * 100)}`,
-      timestamp: date.toISOString(),
-      ip: `192.168.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`,
-      details: `Performed ${actions[Math.floor(Math.random() * actions.length)]} operation`,
-      status: Math.random() > 0.05 ? 'success' : 'failure',
-      score: 0
-    });
-  }
-  return index;
-}
-
-function generateDocumentIndex(count) {
-  const types = ['contract', 'agreement', 'invoice', 'report', 'pleading', 'affidavit'];
-  const jurisdictions = ['ZA', 'NA', 'BW', 'ZW', 'MZ', 'KE', 'NG', 'INTL'];
-
-  const index = [];
-  for (let i = 0; i < count; i++) {
-    const date = new Date(Date.now() - Math.random() * 365 * 86400000);
-    index.push({
-      id: `DOC_${i}_${crypto.randomBytes(4).toString('hex')}`,
-      type: 'document',
-      title: `Document ${i}`,
-      documentType: types[Math.floor(Math.random() * types.length)],
-      jurisdiction: jurisdictions[Math.floor(Math.random() * jurisdictions.length)],
-      parties: `Party A, Party B, Party ${Math.floor(Math.random() * 5)}`,
-      effectiveDate: date.toISOString(),
-      expiryDate: new Date(date.getTime() + 365 * 86400000).toISOString(),
-      pages: Math.floor(Math.random() * 100) + 1,
-      language: ['en', 'af', 'zu'][Math.floor(Math.random() * 3)],
-      tags: ['legal', types[Math.floor(Math.random() * types.length)]],
-      score: 0
-    });
-  }
-  return index;
-}
-
-function generateClientIndex(count) {
-  const types = ['individual', 'corporate', 'trust', 'government'];
-  const statuses = ['active', 'inactive', 'pending', 'suspended'];
-
-  const index = [];
-  for (let i = 0; i < count; i++) {
-    index.push({
-      id: `CLT_${i}_${crypto.randomBytes(4).toString('hex')}`,
-      type: 'client',
-      title: `Client ${i}`,
-      name: `Client Name ${i}`,
-      email: `client${i}@example.com`,
-      phone: `+27${Math.floor(Math.random() * 1000000000)}`,
-      type: types[Math.floor(Math.random() * types.length)],
-      status: statuses[Math.floor(Math.random() * statuses.length)],
-      registrationNumber: i % 3 === 0 ? `2026/12345${i}/07` : null,
-      vatNumber: i % 4 === 0 ? `12345678${i}` : null,
-      address: `${Math.floor(Math.random() * 1000)} Main St, Johannesburg`,
-      createdAt: new Date(Date.now() - Math.random() * 365 * 86400000).toISOString(),
-      score: 0
+router.delete('/saved/:savedSearchId', async (req, res, next) => {
+  try {
+    const removed = await searchIndexService.deleteSaved(tenantOf(req), userOf(req), req.params.savedSearchId);
+
+    await emitAudit(req, {
+      resource: 'search',
+      action: 'SAVED_SEARCH_DELETED',
+      severity: 'INFO',
+      metadata: { savedSearchId: removed.savedSearchId }
     });
-  }
-  return index;
-}
 
-function generateComplianceIndex(count) {
-  const frameworks = ['POPIA', 'GDPR', 'SOC2', 'ISO27001', 'FICA', 'ECT'];
-  const controls = [
-    'Section 19 - Security measures',
-    'Section 14 - Retention',
-    'Article 32 - Security',
-    'CC1 - Control environment',
-    'A.12 - Operations security'
-  ];
-
-  const index = [];
-  for (let i = 0; i < count; i++) {
-    index.push({
-      id: `CMP_${i}_${crypto.randomBytes(4).toString('hex')}`,
-      type: 'compliance',
-      title: `Compliance Item ${i}`,
-      framework: frameworks[Math.floor(Math.random() * frameworks.length)],
-      control: controls[Math.floor(Math.random() * controls.length)],
-      status: Math.random() > 0.2 ? 'compliant' : 'non_compliant',
-      score: Math.random() * 100,
-      lastReviewed: new Date().toISOString(),
-      nextReview: new Date(Date.now() + 90 * 86400000).toISOString(),
-      evidence: `evidence_${i}.pdf`,
-      reviewer: `reviewer_${Math.floor(Math.random() * 10)}`,
-      score: 0
-    });
+    res.json({ status: 'success', data: { savedSearchId: removed.savedSearchId, deleted: true } });
+  } catch (err) {
+    err.code = err.code || 'SAVED_SEARCH_DELETE_FAILED';
+    next(err);
   }
-  return index;
-}
-
-function generateSystemIndex(count) {
-  const levels = ['info', 'warning', 'error', 'critical'];
-  const components = ['auth', 'api', 'database', 'cache', 'queue', 'worker'];
+});
 
-  const index = [];
-  for (let i = 0; i < count; i++) {
-    index.push({
-      id: `SYS_${i}_${crypto.randomBytes(4).toString('hex')}`,
-      type: 'system',
-      title: `System Event ${i}`,
-      level: levels[Math.floor(Math.random() * levels.length)],
-      component: components[Math.floor(Math.random() * components.length)],
-      message: `System ${components[Math.floor(Math.random() * components.length)]} event`,
-      timestamp: new Date(Date.now() - Math.random() * 7 * 86400000).toISOString(),
-      host: `host-${Math.floor(Math.random() * 10)}`,
-      pid: Math.floor(Math.random() * 10000) + 1000,
-      score: 0
-    });
+/*
+ * @route   GET /api/search/stats
+ * @desc    Size of the tenant's index
+ * @access  Admin
+ */
+router.get('/stats', authorizeRoles(...INDEX_MANAGERS), async (req, res, next) => {
+  try {
+    const stats = await searchIndexService.tenantStats(String(tenantOf(req)));
+    res.json({ status: 'success', data: stats });
+  } catch (err) {
+    err.code = err.code || 'SEARCH_STATS_FAILED';
+    next(err);
   }
-  return index;
-}
-
-function generateUserIndex(count) {
-  const roles = ['user', 'admin', 'compliance', 'auditor', 'partner'];
+});
 
-  const index = [];
-  for (let i = 0; i < count; i++) {
-    index.push({
-      id: `usr_${i}`,
-      type: 'user',
-      title: `User ${i}`,
-      email: `user${i}@example.com`,
-      firstName: `First${i}`,
-      lastName: `Last${i}`,
-      role: roles[Math.floor(Math.random() * roles.length)],
-      lastLogin: new Date(Date.now() - Math.random() * 30 * 86400000).toISOString(),
-      status: Math.random() > 0.1 ? 'active' : 'inactive',
-      permissions: ['read', 'write'].filter(() => Math.random() > 0.5),
-      score: 0
+/*
+ * @route   POST /api/search/reindex
+ * @desc    Rebuild the tenant's index from the source collections (after imports or index failures)
+ * @access  Admin
+ */
+router.post('/reindex', authorizeRoles(...INDEX_MANAGERS), async (req, res, next) => {
+  try {
+    const counts = await searchIndexService.rebuildTenant(tenantOf(req));
+
+    await emitAudit(req, {
+      resource: 'search',
+      action: 'SEARCH_INDEX_REBUILT',
+      severity: 'WARN',
+      summary: 'Search index rebuilt',
+      metadata: { counts }
     });
-  }
-  return index;
-}
-
-// ============================================================================
-// SEARCH HELPER FUNCTIONS
-// ============================================================================
-
-async function searchDomainIndex(domain, query, index, options) {
-  const {
-    type,
-    fuzzy,
-    semantic,
-    startDate,
-    endDate,
-    minScore,
-    filters
-  } = options;
-
-  const results = [];
-
-  for (const item of index) {
-    let score = 0;
-
-    // Exact matches
-    if (item.title?.toLowerCase().includes(query.toLowerCase())) {
-      score += 0.8;
-    }
-    if (item.description?.toLowerCase().includes(query.toLowerCase())) {
-      score += 0.6;
-    }
-    if (item.id?.toLowerCase().includes(query.toLowerCase())) {
-      score += 0.5;
-    }
-
-    // Fuzzy matching
-    if (fuzzy > 0) {
-      const fuzzyScore = calculateFuzzyScore(item, query, fuzzy);
-      score += fuzzyScore;
-    }
-
-    // Semantic matching (simulated)
-    if (semantic) {
-      const semanticScore = calculateSemanticScore(item, query);
-      score += semanticScore;
-    }
-
-    // Apply filters
-    if (filters) {
-      for (const [key, value] of Object.entries(filters)) {
-        if (item[key] !== value) {
-          score = 0;
-          break;
-        }
-      }
-    }
-
-    // Apply date range
-    if (startDate || endDate) {
-      const itemDate = new Date(item.date || item.timestamp || item.createdAt);
-      if (startDate && itemDate < new Date(startDate)) {
-        score = 0;
-      }
-      if (endDate && itemDate > new Date(endDate)) {
-        score = 0;
-      }
-    }
-
-    if (score >= minScore) {
-      results.push({
-        ...item,
-        score: Math.min(score, 1)
-      });
-    }
-  }
-
-  return results;
-}
-
-function calculateFuzzyScore(item, query, level) {
-  // Simulated fuzzy matching
-  const itemText = JSON.stringify(item).toLowerCase();
-  const queryLower = query.toLowerCase();
-
-  if (itemText.includes(queryLower)) {
-    return 0.3;
-  }
-
-  // Levenshtein distance simulation
-  const words = queryLower.split(' ');
-  for (const word of words) {
-    if (word.length > 3 && itemText.includes(word.substring(0, word.length - 1))) {
-      return 0.2;
-    }
-  }
-
-  return 0;
-}
-
-function calculateSemanticScore(item, query) {
-  // Simulated semantic similarity
-  // In production, would use actual embeddings
-  const itemWords = new Set(JSON.stringify(item).toLowerCase().split(/\W+/));
-  const queryWords = new Set(query.toLowerCase().split(/\W+/));
-
-  const intersection = new Set([...itemWords].filter(x => queryWords.has(x)));
-  const union = new Set([...itemWords, ...queryWords]);
-
-  return intersection.size / union.size * 0.4;
-}
-
-async function semanticSearch(domain, embedding, index, options) {
-  const { threshold, limit } = options;
-  const results = [];
-
-  for (const item of index) {
-    // Generate item embedding (simulated)
-    const itemEmbedding = generateEmbedding(JSON.stringify(item));
-
-    // Calculate cosine similarity
-    const similarity = cosineSimilarity(embedding, itemEmbedding);
-
-    if (similarity >= threshold) {
-      results.push({
-        ...item,
-        similarity,
-        score: similarity
-      });
-    }
-  }
-
-  return results;
-}
-
-function generateEmbedding(text) {
-  // Simulate embedding generation
-  // In production, would use actual embedding model
-  const embedding = [];
-  const seed = text.length;
 
-  for (let i = 0; i < 384; i++) {
-    embedding.push(Math.sin(seed * i) * 0.5 + 0.5);
+    res.json({ status: 'success', data: { counts } });
+  } catch (err) {
+    err.code = err.code || 'SEARCH_REINDEX_FAILED';
+    next(err);
   }
-
-  return embedding;
-}
-
-function cosineSimilarity(vec1, vec2) {
-  let dotProduct = 0;
-  let mag1 = 0;
-  let mag2 = 0;
-
-  for (let i = 0; i < vec1.length; i++) {
-    dotProduct += vec1[i] * vec2[i];
-    mag1 += vec1[i] * vec1[i];
-    mag2 += vec2[i] * vec2[i];
-  }
-
-  mag1 = Math.sqrt(mag1);
-  mag2 = Math.sqrt(mag2);
-
-  if (mag1 === 0 || mag2 === 0) return 0;
-
-  return dotProduct / (mag1 * mag2);
-}
-
-function generateHighlights(result, query) {
-  const highlights = [];
-  const textFields = ['title', 'description', 'details', 'message'];
-
-  for (const field of textFields) {
-    if (result[field]) {
-      const text = result[field];
-      const index = text.toLowerCase().indexOf(query.toLowerCase());
-
-      if (index >= 0) {
-        const start = Math.max(0, index - 30);
-        const end = Math.min(text.length, index + query.length + 30);
-        highlights.push({
-          field,
-          snippet: (start > 0 ? '...' : '') +
-                   text.substring(start, end) +
-                   (end < text.length ? '...' : '')
-        });
-      }
-    }
-  }
-
-  return highlights;
-}
-
-function generateRecentSearches(userId, tenantId, count) {
-  const searches = [];
-  const queries = [
-    'transaction > 10000',
-    'node status:offline',
-    'audit date:2026-03-18',
-    'document type:contract',
-    'client type:corporate',
-    'compliance status:non_compliant',
-    'system level:error',
-    'user role:admin',
-    'transaction reference:REF-*',
-    'node region:ZA_JHB'
-  ];
-
-  for (let i = 0; i < count; i++) {
-    searches.push({
-      id: `recent_${i}`,
-      query: queries[Math.floor(Math.random() * queries.length)],
-      timestamp: new Date(Date.now() - Math.random() * 7 * 86400000).toISOString(),
-      resultCount: Math.floor(Math.random() * 1000),
-      userId,
-      tenantId
-    });
-  }
-
-  return searches.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-}
-
-function generateSavedSearches(userId, tenantId) {
-  return [
-    {
-      id: 'saved_001',
-      name: 'High Value Transactions',
-      query: 'amount>10000',
-      type: SEARCH_CONSTANTS.TYPES.RANGE,
-      domain: SEARCH_CONSTANTS.DOMAINS.TRANSACTIONS,
-      frequency: 'daily',
-      notify: true,
-      createdBy: userId,
-      createdAt: new Date(Date.now() - 30 * 86400000).toISOString(),
-      lastRun: new Date().toISOString(),
-      resultCount: 47,
-      quantumVerified: true
-    },
-    {
-      id: 'saved_002',
-      name: 'Offline Nodes',
-      query: 'status:offline',
-      type: SEARCH_CONSTANTS.TYPES.BOOLEAN,
-      domain: SEARCH_CONSTANTS.DOMAINS.NODES,
-      frequency: 'hourly',
-      notify: true,
-      createdBy: userId,
-      createdAt: new Date(Date.now() - 15 * 86400000).toISOString(),
-      lastRun: new Date().toISOString(),
-      resultCount: 3,
-      quantumVerified: true
-    },
-    {
-      id: 'saved_003',
-      name: 'Recent Audits',
-      query: 'type:audit date>2026-03-01',
-      type: SEARCH_CONSTANTS.TYPES.RANGE,
-      domain: SEARCH_CONSTANTS.DOMAINS.AUDIT,
-      frequency: 'weekly',
-      notify: false,
-      createdBy: userId,
-      createdAt: new Date(Date.now() - 7 * 86400000).toISOString(),
-      lastRun: new Date(Date.now() - 1 * 86400000).toISOString(),
-      resultCount: 156,
-      quantumVerified: true
-    },
-    {
-      id: 'saved_004',
-      name: 'POPIA Compliance Issues',
-      query: 'framework:POPIA status:non_compliant',
-      type: SEARCH_CONSTANTS.TYPES.BOOLEAN,
-      domain: SEARCH_CONSTANTS.DOMAINS.COMPLIANCE,
-      frequency: 'daily',
-      notify: true,
-      createdBy: userId,
-      createdAt: new Date(Date.now() - 45 * 86400000).toISOString(),
-      lastRun: new Date().toISOString(),
-      resultCount: 12,
-      quantumVerified: true
-    }
-  ];
-}
-
-// ============================================================================
-// 404 HANDLER
-// ============================================================================
-router.use('*', (req, res) => {
-  logger.warn('Quantum search route not found', {
-    method: req.method,
-    url: req.originalUrl,
-    requestId: req.requestId
-  });
-
-  res.status(404).json({
-    success: false,
-    error: 'QUANTUM_SEARCH_ROUTE_NOT_FOUND',
-    requestId: req.requestId,
-    timestamp: new Date().toISOString()
-  });
 });
 
-// ============================================================================
-// EXPORT - QUANTUM SEARCH ROUTER
-// ============================================================================
-
 export default router;
-
-// ============================================================================
-// QUANTUM ERROR HANDLING
-// ============================================================================
-
-router.use((err, req, res, next) => {
-  const errorId = crypto.randomBytes(16).toString('hex');
-
-  auditLogger.critical('Quantum search routes error', {
-    errorId,
-    error: err.message,
-    stack: err.stack,
-    path: req.path,
-    userId: req.user?.id,
-    tenantId: req.tenantContext?.id,
-    deviceFingerprint: req.deviceFingerprint?.fingerprintId,
-    requestId: req.requestId
-  });
-
-  res.status(err.status || 500).json({
-    success: false,
-    error: err.code || 'QUANTUM_SEARCH_ROUTE_ERROR',
-    errorId,
-    message: process.env.NODE_ENV === 'production'
-      ? 'An error occurred in the quantum search system. Our engineering team has been notified.'
-      : err.message,
-    requestId: req.requestId,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// ============================================================================
-// INVESTOR METRICS - FORTUNE 500 VALUATION
-// ============================================================================
-
-/**
- * SEARCH SYSTEM VALUE: R950M/year licensing potential
- *
- * CAPABILITIES:
- * • 8 search types (Global, Semantic, Vector, Fuzzy, Range, Boolean, Phrase, Regex)
- * • 8 search domains (Transactions, Nodes, Audit, Documents, Clients, Compliance, System, Users)
- * • 5 fuzzy matching levels (None, Low, Medium, High)
- * • 4 sort options (Relevance, Date, Score)
- * • 10,000 concurrent searches
- * • 100M searches/day capacity
- * • 23.7T indexed documents
- * • 99.9997% relevance accuracy
- *
- * INNOVATION:
- * • Quantum-accelerated search
- * • Neural semantic understanding
- * • Real-time indexing
- * • Predictive suggestions
- * • Cross-lingual support (11 languages)
- * • Saved searches with alerts
- * • Search analytics
- * • Zero-latency caching
- *
- * COMPLIANCE:
- * • POPIA Section 19 - Search logging
- * • ECT Act Section 15 - Data integrity
- * • GDPR Article 17 - Search exclusion
- * • SOC2 Type II - Security controls
- * • ISO27001:2022 - Information security
- *
- * PERFORMANCE:
- * • <50ms search latency (p95)
- * • 10,000 concurrent searches
- * • 100M searches/day capacity
- * • 23.7T indexed documents
- * • 1024 quantum circuits
- * • 128 neural layers
- * • 5-minute cache TTL
- * • 1-hour suggestion cache
- *
- * @team_signoff:
- * • Wilson Khanyezi: 2026-03-19 - OMEGA RELEASE
- * • Dr. Priya Naidoo: 2026-03-19 - QUANTUM SEARCH
- * • Dr. Fatima Cassim: 2026-03-19 - NEURAL NETWORKS
- * • Sipho Dlamini: 2026-03-19 - INDEXING
- * • Johan Botha: 2026-03-19 - COMPLIANCE
- */
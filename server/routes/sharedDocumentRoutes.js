@@ -0,0 +1,140 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SHARED DOCUMENT ROUTES [V1.0.0-SHARING]                                                                                     ║
+ * ║ [PUBLIC SHARE LINKS | PASSWORD OR OTP | WATERMARKED PAGE IMAGES | WATERMARKED DOWNLOAD]                                                ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/sharedDocumentRoutes.js                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Mounted in the public gateway at /api/shared for people outside the firm who hold a share link. After the share
+ * password or a one-time code they get a short-lived session (X-Share-Session header). Shares are created and
+ * revoked under /api/documents/:documentId/share.
+ */
+
+import express from 'express';
+import documentShareService from '../services/documentShareService.js';
+import { OTP_CHANNELS } from '../utils/signingCeremony.js';
+import { validateSchema } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+const clientOf = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+const sessionOf = (req) => req.get('x-share-session');
+
+const codeSchema = {
+  channel: { type: 'string', enum: Object.values(OTP_CHANNELS) }
+};
+
+const verifySchema = {
+  code: { type: 'string', pattern: /^\d{4,10}$/, message: 'code must be the digits you were sent' },
+  password: { type: 'string', maxLength: 128 }
+};
+
+// ------------------------------
+// SESSION ROUTES (before /:token)
+// ------------------------------
+
+/*
+ * @route   GET /api/shared/session
+ * @desc    The shared document's title and page count, and whether it may be downloaded
+ * @access  Public (share session)
+ */
+router.get('/session', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await documentShareService.describeSession(sessionOf(req), clientOf(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   GET /api/shared/session/pages/:page?dpi=
+ * @desc    One page as a PNG watermarked with the viewer's email and the time
+ * @access  Public (share session)
+ */
+router.get('/session/pages/:page', async (req, res, next) => {
+  try {
+    const { png, pageCount, watermarkedAt } = await documentShareService.page(sessionOf(req), Number(req.params.page), {
+      ...clientOf(req),
+      dpi: req.query.dpi
+    });
+    res.set({
+      'Content-Type': 'image/png',
+      'Content-Length': png.length,
+      'X-Page-Count': pageCount,
+      'X-Watermarked-At': watermarkedAt.toISOString(),
+      'Cache-Control': 'no-store'
+    });
+    res.send(png);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   GET /api/shared/session/download
+ * @desc    The document as a watermarked PDF, counted against the download limit
+ * @access  Public (share session)
+ */
+router.get('/session/download', async (req, res, next) => {
+  try {
+    const { pdf, filename, downloadsLeft } = await documentShareService.download(sessionOf(req), clientOf(req));
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length,
+      ...(downloadsLeft !== null && { 'X-Downloads-Left': downloadsLeft }),
+      'Cache-Control': 'no-store'
+    });
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ------------------------------
+// LINK ROUTES
+// ------------------------------
+
+/*
+ * @route   GET /api/shared/:token
+ * @desc    The landing page behind a share link: the title and how to prove who you are
+ * @access  Public (token)
+ */
+router.get('/:token', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await documentShareService.describeLink(req.params.token, clientOf(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   POST /api/shared/:token/code
+ * @desc    Send a one-time code by SMS or email (OTP-protected shares)
+ * @access  Public (token)
+ */
+router.post('/:token/code', validateSchema(codeSchema), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await documentShareService.sendCode(req.params.token, { ...clientOf(req), channel: req.body.channel }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * @route   POST /api/shared/:token/verify
+ * @desc    Check the code or share password; success returns a session token
+ * @access  Public (token)
+ */
+router.post('/:token/verify', validateSchema(verifySchema), async (req, res, next) => {
+  try {
+    const { code, password } = req.body;
+    res.json({ status: 'success', data: await documentShareService.verify(req.params.token, { code, password }, clientOf(req)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
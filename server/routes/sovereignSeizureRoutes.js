@@ -37,7 +37,7 @@ import crypto from 'node:crypto';
 import mongoose from 'mongoose';
 import { protect } from '../middleware/auth.js';
 import { broadcastTelemetry } from '../utils/telemetryHelper.js';
-import { AiModel } from '../models/AiModel.js';
+import { AiModel } from '../models/AIModel.js';
 
 // ✅ FIXED: Safe import of auditMiddleware with fallback
 let auditLogger;
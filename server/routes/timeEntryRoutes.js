@@ -0,0 +1,111 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TIME ENTRY ROUTES [V1.0.0-BILLING]                                                                                          ║
+ * ║ [TIMERS | TIME SHEETS | RATE CARDS | MATTER WIP]                                                                                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/timeEntryRoutes.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Mounted at /api/time-entries behind the sovereign auth, tenant guard and isolation chain in routes/api.js. Fee earners
+ * record their own time; attorney rate cards are set by finance.
+ */
+
+import express from 'express';
+import timeEntryController from '../controllers/timeEntryController.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+const FINANCE_WRITE_ROLES = ['FOUNDER', 'OMEGA', 'SUPER_ADMIN', 'PARTNER', 'ADMIN', 'ACCOUNTS'];
+
+// ============================================================================
+// ⏱️ TIMERS
+// ============================================================================
+
+/**
+ * @route   POST /api/time-entries/timers
+ * @desc    Start a timer against a matter; the caller's running timer (if any) is paused
+ * @body    { matterId, activityCode, description?, billable?, taskId? }
+ */
+router.post('/timers', timeEntryController.startTimer);
+
+/**
+ * @route   GET /api/time-entries/timers
+ * @desc    The caller's running and paused timers with live elapsed minutes
+ */
+router.get('/timers', timeEntryController.getRunningTimers);
+
+/**
+ * @route   POST /api/time-entries/timers/:entryId/pause
+ */
+router.post('/timers/:entryId/pause', timeEntryController.pauseTimer);
+
+/**
+ * @route   POST /api/time-entries/timers/:entryId/resume
+ */
+router.post('/timers/:entryId/resume', timeEntryController.resumeTimer);
+
+/**
+ * @route   POST /api/time-entries/timers/:entryId/stop
+ * @desc    Stop, round to 6-minute units, price from the rate card and post billable time to WIP
+ * @body    { description?, activityCode?, billable? }
+ */
+router.post('/timers/:entryId/stop', timeEntryController.stopTimer);
+
+// ============================================================================
+// 💷 RATE CARDS
+// ============================================================================
+
+/**
+ * @route   POST /api/time-entries/rates
+ * @desc    Add an attorney hourly rate; with matterId it applies to that matter only
+ * @body    { userId, ratePerHour, matterId?, effectiveFrom? }
+ */
+router.post('/rates', authorizeRoles(...FINANCE_WRITE_ROLES), timeEntryController.setRate);
+
+/**
+ * @route   GET /api/time-entries/rates
+ * @query   userId, matterId
+ */
+router.get('/rates', timeEntryController.listRates);
+
+// ============================================================================
+// 📒 MATTER WIP
+// ============================================================================
+
+/**
+ * @route   GET /api/time-entries/matters/:matterId/wip
+ * @desc    WIP balance, unbilled entries and the append-only WIP ledger for a matter
+ */
+router.get('/matters/:matterId/wip', timeEntryController.getMatterWip);
+
+// ============================================================================
+// 📝 TIME SHEET
+// ============================================================================
+
+/**
+ * @route   POST /api/time-entries
+ * @desc    Record time manually; time spent on a task is recorded here with its taskId
+ * @body    { matterId, minutes | hours, activityCode, workDate?, description?, billable?, taskId? }
+ */
+router.post('/', timeEntryController.createEntry);
+
+/**
+ * @route   GET /api/time-entries
+ * @query   matterId, userId, taskId, status, billable, from, to
+ */
+router.get('/', timeEntryController.listEntries);
+
+/**
+ * @route   PATCH /api/time-entries/:entryId
+ * @desc    Edit unbilled time; the WIP difference is posted as TIME_ADJUSTED
+ */
+router.patch('/:entryId', timeEntryController.updateEntry);
+
+/**
+ * @route   DELETE /api/time-entries/:entryId
+ * @desc    Delete unbilled time (reversed out of WIP) or discard a timer
+ */
+router.delete('/:entryId', timeEntryController.deleteEntry);
+
+export default router;
@@ -1,1466 +1,381 @@
 /* eslint-disable */
 /**
  * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
- * ║ WILSY OS - QUANTUM WORKFLOW AUTOMATION ENGINE - OMEGA EDITION                                                                         ║
- * ║ R23.7T PROCESS AUTOMATION | NEURAL STATE MACHINES | FORENSIC AUDIT                                                                    ║
- * ║                                                                                                                                        ║
- * ║ "The most advanced workflow system in human history - every process quantum-verified"                                                 ║
- * ║                                                    - Wilson Khanyezi, 10th Generation Architect                                       ║
+ * ║ WILSY OS - WORKFLOW ROUTES [V8.0.0-FLOW]                                                                                               ║
+ * ║ [DEFINITIONS | VERSIONS | INSTANCES | TRANSITIONS | HUMAN TASK INBOX | EVENT CATALOGUE | METRICS]                                      ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/workflowRoutes.js                                                  ║
  * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
  *
- * ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/routes/workflowRoutes.js
- * VERSION: 7.0.0-QUANTUM-OMEGA
- * CREATED: 2026-03-19
- * UPDATED: 2026-03-19 - Fixed syntax errors
+ * Mounted at /api/workflows behind authentication. Definitions and instances are persisted (services/workflowEngineService.js);
+ * who may act on an open task is decided by its assignees, not by route roles.
  */
 
 import express from 'express';
-import { body, query, param, validationResult } from 'express-validator';
-import { performance } from 'perf_hooks';
-import { v4 as uuidv4 } from 'uuid';
-import crypto from 'crypto';
+import workflowEngineService, { DEFINITION_STATUS, INSTANCE_STATUS } from '../services/workflowEngineService.js';
+import { EVENT_CATALOGUE } from '../services/domainEventService.js';
+import { GUARD_OPERATORS, STATE_TYPES } from '../utils/workflowRules.js';
+import { emitAudit } from '../middleware/auditMiddleware.js';
+import { authorizeRoles } from '../middleware/auth.middleware.js';
+import { validateSchema } from '../middleware/validationMiddleware.js';
+import { getCurrentTenant } from '../middleware/tenantContext.js';
 
-import { sovereignAuthenticate, requireRole } from '../middleware/auth.js';
-import { tenantGuard } from '../middleware/tenantGuard.js';
-import { deviceFingerprint, validateFingerprint } from '../middleware/deviceFingerprint.js';
-import { apiLimiter } from '../middleware/security.js';
-import { createAuditLog } from '../middleware/auditMiddleware.js';
-import { AppError } from '../utils/errorHandler.js';
-import loggerRaw from '../utils/logger.js';
-import auditLogger from '../utils/auditLogger.js';
-import redisClient from '../cache/redisClient.js';
-
-const logger = loggerRaw.default || loggerRaw;
 const router = express.Router();
 
-// ============================================================================
-// QUANTUM CONSTANTS
-// ============================================================================
-
-const WORKFLOW_CONSTANTS = {
-  TYPES: {
-    DOCUMENT_APPROVAL: 'document_approval',
-    COMPLIANCE_AUDIT: 'compliance_audit',
-    INFRASTRUCTURE: 'infrastructure',
-    NOTIFICATION: 'notification',
-    DATA_PROCESSING: 'data_processing',
-    APPROVAL_CHAIN: 'approval_chain',
-    ESCALATION: 'escalation',
-    RECONCILIATION: 'reconciliation',
-    ONBOARDING: 'onboarding',
-    CUSTOM: 'custom'
-  },
+const WORKFLOW_DESIGNERS = ['ADMIN', 'SUPER_ADMIN', 'PARTNER'];
 
-  STATUS: {
-    DRAFT: 'draft',
-    ACTIVE: 'active',
-    PAUSED: 'paused',
-    ARCHIVED: 'archived',
-    DEPRECATED: 'deprecated'
-  },
+const tenantOf = (req) => req.user?.tenantId || getCurrentTenant();
+const userOf = (req) => req.user?._id || req.user?.id;
 
-  INSTANCE_STATUS: {
-    PENDING: 'pending',
-    RUNNING: 'running',
-    PAUSED: 'paused',
-    COMPLETED: 'completed',
-    FAILED: 'failed',
-    CANCELLED: 'cancelled',
-    TIMEOUT: 'timeout'
-  },
+const toInt = (value, fallback, max) => {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) return fallback;
+  return max ? Math.min(parsed, max) : parsed;
+};
 
-  PRIORITY: {
-    CRITICAL: 0,
-    HIGH: 1,
-    NORMAL: 2,
-    LOW: 3,
-    BACKGROUND: 4
-  },
+// ------------------------------
+// VALIDATION SCHEMAS
+// ------------------------------
+// Shape checks only; utils/workflowRules.js validates the state machine itself
+const isObjectList = (label) => (values) => values.every((value) => value && typeof value === 'object' && !Array.isArray(value)) || `${label} must be a list of objects`;
+
+const definitionSchema = {
+  name: { required: true, type: 'string', minLength: 3, maxLength: 200 },
+  description: { type: 'string', maxLength: 2000 },
+  states: { required: true, type: 'array', validate: isObjectList('states') },
+  initialState: { type: 'string' },
+  transitions: { required: true, type: 'array', validate: isObjectList('transitions') },
+  triggers: { type: 'array', validate: isObjectList('triggers') }
+};
 
-  TRIGGER_TYPES: {
-    MANUAL: 'manual',
-    SCHEDULED: 'scheduled',
-    EVENT: 'event',
-    WEBHOOK: 'webhook',
-    DEPENDENCY: 'dependency'
-  },
+const definitionUpdateSchema = {
+  ...definitionSchema,
+  name: { type: 'string', minLength: 3, maxLength: 200 },
+  states: { type: 'array', validate: isObjectList('states') },
+  transitions: { type: 'array', validate: isObjectList('transitions') }
+};
 
-  QUANTUM_CIRCUITS: 1024,
-  NEURAL_LAYERS: 128,
-  CONFIDENCE_THRESHOLD: 0.999997,
-  MAX_WORKFLOW_STAGES: 100,
-  MAX_PARALLEL_BRANCHES: 50,
-  CACHE_TTL: 3600,
-  DEFAULT_SLA_HOURS: 48,
-  ESCALATION_INTERVALS: [1, 4, 8, 24, 48]
+const startSchema = {
+  context: { type: 'object' },
+  subject: { type: 'object', validate: (subject) => (typeof subject.type === 'string' && typeof subject.id === 'string') || 'subject needs a type and an id' },
+  matterId: { type: 'string', pattern: /^[a-f0-9]{24}$/i, message: 'matterId must be an id' }
 };
 
-// ============================================================================
-// QUANTUM WORKFLOW ENGINE (Simulated)
-// ============================================================================
+const transitionSchema = {
+  action: { required: true, type: 'string', minLength: 1, maxLength: 64 },
+  comment: { type: 'string', maxLength: 2000 },
+  data: { type: 'object' }
+};
 
-const workflowEngine = {
-  definitions: [],
-  instances: []
+const cancelSchema = {
+  reason: { type: 'string', maxLength: 1000 }
 };
 
-// Initialize with sample data
-function initializeWorkflowEngine() {
-  // Generate workflow definitions
-  for (let i = 0; i < 10; i++) {
-    const type = Object.values(WORKFLOW_CONSTANTS.TYPES)[i % Object.values(WORKFLOW_CONSTANTS.TYPES).length];
-    const workflowId = `WF_${type.toUpperCase()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+const instanceFilterSchema = {
+  status: { type: 'string', enum: Object.values(INSTANCE_STATUS) },
+  workflowId: { type: 'string' },
+  limit: { type: 'string', pattern: /^\d+$/, message: 'limit must be a whole number' },
+  offset: { type: 'string', pattern: /^\d+$/, message: 'offset must be a whole number' }
+};
 
-    workflowEngine.definitions.push({
-      id: workflowId,
-      name: `${type.replace('_', ' ')} Workflow ${i + 1}`,
-      type: type,
-      status: WORKFLOW_CONSTANTS.STATUS.ACTIVE,
-      version: '1.0.0',
-      description: `Automated ${type} workflow process`,
-      stages: generateStages(5),
-      transitions: generateTransitions(5),
-      parallelBranches: 1,
-      sla: WORKFLOW_CONSTANTS.DEFAULT_SLA_HOURS,
-      escalationPolicy: {
-        intervals: WORKFLOW_CONSTANTS.ESCALATION_INTERVALS,
-        notifyRoles: ['manager', 'director']
-      },
-      createdBy: 'system',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      metadata: {
-        department: 'operations'
-      },
-      tenantId: 'tenant_1',
-      quantumSignature: crypto.randomBytes(32).toString('hex').substring(0, 32),
-      quantumCircuits: WORKFLOW_CONSTANTS.QUANTUM_CIRCUITS,
-      neuralLayers: WORKFLOW_CONSTANTS.NEURAL_LAYERS
-    });
-  }
+// ------------------------------
+// ROUTES (fixed paths before /:workflowId)
+// ------------------------------
 
-  // Generate workflow instances
-  for (let i = 0; i < 20; i++) {
-    const status = Object.values(WORKFLOW_CONSTANTS.INSTANCE_STATUS)[i % Object.values(WORKFLOW_CONSTANTS.INSTANCE_STATUS).length];
-    const priority = Object.values(WORKFLOW_CONSTANTS.PRIORITY)[i % Object.values(WORKFLOW_CONSTANTS.PRIORITY).length];
-    const workflowDef = workflowEngine.definitions[i % workflowEngine.definitions.length];
+/*
+ * @route   GET /api/workflows/catalogue
+ * @desc    Domain events a workflow can trigger on, plus the state types and guard operators definitions may use
+ * @access  Private
+ */
+router.get('/catalogue', (req, res) => {
+  res.json({
+    status: 'success',
+    data: { events: EVENT_CATALOGUE, stateTypes: Object.values(STATE_TYPES), guardOperators: GUARD_OPERATORS }
+  });
+});
 
-    workflowEngine.instances.push({
-      id: `WFI_${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
-      workflowId: workflowDef.id,
-      workflowName: workflowDef.name,
-      workflowVersion: workflowDef.version,
-      status: status,
-      currentStage: 'stage_1',
-      context: {
-        input: {},
-        startedBy: 'user_1',
-        tenantId: 'tenant_1'
-      },
-      priority: priority,
-      triggerType: WORKFLOW_CONSTANTS.TRIGGER_TYPES.MANUAL,
-      startedBy: 'user_1',
-      startedAt: new Date().toISOString(),
-      lastUpdated: new Date().toISOString(),
-      slaDeadline: new Date(Date.now() + WORKFLOW_CONSTANTS.DEFAULT_SLA_HOURS * 3600000).toISOString(),
-      tenantId: 'tenant_1',
-      history: [
-        {
-          stage: 'initialization',
-          action: 'WORKFLOW_STARTED',
-          timestamp: new Date().toISOString(),
-          userId: 'user_1',
-          metadata: {}
-        }
-      ],
-      metadata: {}
+/*
+ * @route   GET /api/workflows/inbox
+ * @desc    Open tasks assigned to the caller (by name or by role), soonest due first
+ * @access  Private
+ */
+router.get('/inbox', async (req, res, next) => {
+  try {
+    const inbox = await workflowEngineService.inbox(tenantOf(req), req.user, {
+      limit: toInt(req.query.limit, 50, 200),
+      offset: toInt(req.query.offset, 0)
     });
+    res.json({ status: 'success', data: inbox });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_INBOX_FAILED';
+    next(err);
   }
-}
+});
 
-function generateStages(count) {
-  const stages = [];
-  for (let i = 0; i < count; i++) {
-    stages.push({
-      id: `stage_${i + 1}`,
-      name: `Stage ${i + 1}`,
-      requiredRole: ['reviewer', 'legal_counsel', 'director'][i % 3],
-      order: i + 1,
-      estimatedDuration: '24h',
-      autoTransition: i < count - 1,
-      requiresApproval: i === count - 1
-    });
+/*
+ * @route   GET /api/workflows/metrics
+ * @desc    Definitions and instances by status, and how many open tasks are past their SLA
+ * @access  Admin, Partner
+ */
+router.get('/metrics', authorizeRoles(...WORKFLOW_DESIGNERS), async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await workflowEngineService.metrics(tenantOf(req)) });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_METRICS_FAILED';
+    next(err);
   }
-  return stages;
-}
+});
 
-function generateTransitions(stageCount) {
-  const transitions = [];
-  for (let i = 0; i < stageCount - 1; i++) {
-    transitions.push({
-      from: `stage_${i + 1}`,
-      to: `stage_${i + 2}`,
-      condition: 'auto'
+/*
+ * @route   GET /api/workflows/instances
+ * @desc    Workflow instances, most recently active first
+ * @query   status?, workflowId?, limit?, offset?
+ * @access  Private
+ */
+router.get('/instances', validateSchema(instanceFilterSchema, 'query'), async (req, res, next) => {
+  try {
+    const result = await workflowEngineService.listInstances(tenantOf(req), {
+      status: req.query.status,
+      workflowId: req.query.workflowId,
+      limit: toInt(req.query.limit, 50, 200),
+      offset: toInt(req.query.offset, 0)
     });
+    res.json({ status: 'success', data: result });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_INSTANCES_FAILED';
+    next(err);
   }
-  return transitions;
-}
-
-// Initialize the engine
-initializeWorkflowEngine();
-
-// ============================================================================
-// QUANTUM SECURITY MIDDLEWARE
-// ============================================================================
-
-router.use(sovereignAuthenticate);
-router.use(tenantGuard);
-router.use(deviceFingerprint);
-router.use(apiLimiter);
-
-router.use((req, res, next) => {
-  req.requestId = req.headers['x-request-id'] ||
-                  req.headers['x-correlation-id'] ||
-                  `QWF-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
-  req.startTime = performance.now();
-
-  res.setHeader('x-request-id', req.requestId);
-  res.setHeader('x-quantum-version', '7.0.0-OMEGA');
-  res.setHeader('x-workflow-capacity', '1B/day');
-
-  next();
 });
 
-// ============================================================================
-// GET ALL WORKFLOW DEFINITIONS
-// ============================================================================
-
-router.get(
-  '/',
-  validateFingerprint({ minConfidence: 95 }),
-  [
-    query('status').optional().isIn(Object.values(WORKFLOW_CONSTANTS.STATUS)),
-    query('type').optional().isIn(Object.values(WORKFLOW_CONSTANTS.TYPES)),
-    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
-    query('offset').optional().isInt({ min: 0 }).toInt()
-  ],
-  async (req, res, next) => {
-    const startTime = performance.now();
-
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const {
-        status,
-        type,
-        limit = 50,
-        offset = 0
-      } = req.query;
-
-      const tenantId = req.tenantContext?.id;
-
-      let workflows = [...workflowEngine.definitions];
-
-      if (status) {
-        workflows = workflows.filter(w => w.status === status);
-      }
-      if (type) {
-        workflows = workflows.filter(w => w.type === type);
-      }
-
-      const paginated = workflows.slice(offset, offset + limit);
-
-      const stats = {
-        total: workflows.length,
-        byStatus: workflows.reduce((acc, w) => {
-          acc[w.status] = (acc[w.status] || 0) + 1;
-          return acc;
-        }, {}),
-        byType: workflows.reduce((acc, w) => {
-          acc[w.type] = (acc[w.type] || 0) + 1;
-          return acc;
-        }, {})
-      };
-
-      await createAuditLog({
-        action: 'WORKFLOWS_LISTED',
-        category: 'WORKFLOW',
-        userId: req.user?.id,
-        tenantId,
-        metadata: {
-          filters: { status, type },
-          resultCount: paginated.length
-        },
-        status: 'SUCCESS',
-        req
-      });
-
-      const processingTime = Math.round(performance.now() - startTime);
-
-      res.json({
-        success: true,
-        data: {
-          workflows: paginated,
-          statistics: stats,
-          pagination: {
-            total: workflows.length,
-            limit,
-            offset,
-            pages: Math.ceil(workflows.length / limit)
-          }
-        },
-        metadata: {
-          tenantId,
-          quantumVerified: true,
-          processingTimeMs: processingTime,
-          quantumCircuits: WORKFLOW_CONSTANTS.QUANTUM_CIRCUITS,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
-
-    } catch (error) {
-      auditLogger.error('Quantum workflow fetch failed', {
-        error: error.message,
-        requestId: req.requestId,
-        processingTimeMs: Math.round(performance.now() - startTime)
-      });
-
-      next(new AppError(error.message, 500, 'QUANTUM_WORKFLOW_FETCH_FAILED'));
-    }
-  }
-);
-
-// ============================================================================
-// GET WORKFLOW BY ID
-// ============================================================================
-
-router.get(
-  '/:workflowId',
-  validateFingerprint({ minConfidence: 98 }),
-  [
-    param('workflowId').isString().notEmpty().withMessage('Workflow ID is required')
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const { workflowId } = req.params;
-      const tenantId = req.tenantContext?.id;
-
-      const workflow = workflowEngine.definitions.find(w => w.id === workflowId);
-
-      if (!workflow) {
-        return res.status(404).json({
-          success: false,
-          error: 'WORKFLOW_NOT_FOUND',
-          message: 'Workflow definition not found',
-          requestId: req.requestId
-        });
-      }
-
-      if (workflow.tenantId !== tenantId && req.user.role !== 'super_admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'ACCESS_DENIED',
-          message: 'Access denied to this workflow',
-          requestId: req.requestId
-        });
-      }
-
-      const instances = workflowEngine.instances.filter(i => i.workflowId === workflowId);
-
-      const instanceStats = {
-        total: instances.length,
-        byStatus: instances.reduce((acc, i) => {
-          acc[i.status] = (acc[i.status] || 0) + 1;
-          return acc;
-        }, {}),
-        averageDuration: '24h',
-        successRate: instances.filter(i => i.status === WORKFLOW_CONSTANTS.INSTANCE_STATUS.COMPLETED).length / instances.length * 100
-      };
-
-      res.json({
-        success: true,
-        data: {
-          ...workflow,
-          instanceStats
-        },
-        metadata: {
-          tenantId,
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
-
-    } catch (error) {
-      next(new AppError(error.message, 500, 'WORKFLOW_FETCH_FAILED'));
-    }
+/*
+ * @route   GET /api/workflows/instances/:instanceId
+ * @desc    An instance with its history and the actions the caller can take now
+ * @access  Private
+ */
+router.get('/instances/:instanceId', async (req, res, next) => {
+  try {
+    const instance = await workflowEngineService.getInstance(tenantOf(req), req.params.instanceId);
+    res.json({ status: 'success', data: workflowEngineService.describeInstance(instance, req.user) });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_INSTANCE_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// CREATE WORKFLOW DEFINITION
-// ============================================================================
+});
 
-router.post(
-  '/',
-  validateFingerprint({ minConfidence: 99 }),
-  [
-    body('name').isString().notEmpty().trim().escape().withMessage('Name is required'),
-    body('type').isIn(Object.values(WORKFLOW_CONSTANTS.TYPES)).withMessage('Invalid workflow type'),
-    body('description').optional().isString().trim().escape(),
-    body('stages').isArray().withMessage('Stages must be an array')
-      .custom(stages => stages.length > 0).withMessage('At least one stage required')
-      .custom(stages => stages.length <= WORKFLOW_CONSTANTS.MAX_WORKFLOW_STAGES)
-      .withMessage(`Maximum ${WORKFLOW_CONSTANTS.MAX_WORKFLOW_STAGES} stages allowed`),
-    body('stages.*.name').isString().notEmpty(),
-    body('stages.*.requiredRole').optional().isString(),
-    body('stages.*.estimatedDuration').optional().isString(),
-    body('stages.*.autoTransition').optional().isBoolean(),
-    body('stages.*.requiresApproval').optional().isBoolean(),
-    body('transitions').optional().isArray(),
-    body('metadata').optional().isObject(),
-    body('parallelBranches').optional().isInt({ max: WORKFLOW_CONSTANTS.MAX_PARALLEL_BRANCHES }),
-    body('sla').optional().isInt({ min: 1, max: 720 })
-  ],
-  async (req, res, next) => {
-    const startTime = performance.now();
+/*
+ * @route   POST /api/workflows/instances/:instanceId/transition
+ * @desc    Complete the open task by taking one of its actions; `data` is merged into the instance context first
+ * @body    { action, comment?, data? }
+ * @access  Task assignees (Admin may override)
+ */
+router.post('/instances/:instanceId/transition', validateSchema(transitionSchema, 'body'), async (req, res, next) => {
+  try {
+    const { instance, previousState, transition } = await workflowEngineService.transition(
+      tenantOf(req),
+      req.params.instanceId,
+      req.body,
+      req.user
+    );
+
+    await emitAudit(req, {
+      resource: 'workflow_instance',
+      action: 'WORKFLOW_TRANSITION',
+      severity: 'INFO',
+      summary: `${instance.instanceId}: ${previousState} → ${instance.currentState} (${transition.action})`,
+      metadata: { instanceId: instance.instanceId, workflowId: instance.workflowId, from: previousState, to: instance.currentState, action: transition.action }
+    });
 
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
+    res.json({
+      status: 'success',
+      data: {
+        instanceId: instance.instanceId,
+        previousState,
+        currentState: instance.currentState,
+        action: transition.action,
+        status: instance.status,
+        task: instance.task
       }
-
-      const {
-        name,
-        type,
-        description,
-        stages,
-        transitions = [],
-        metadata = {},
-        parallelBranches = 1,
-        sla = WORKFLOW_CONSTANTS.DEFAULT_SLA_HOURS
-      } = req.body;
-
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      const workflowId = `WF_${type.toUpperCase()}_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
-      const timestamp = new Date().toISOString();
-
-      const enhancedStages = stages.map((stage, index) => ({
-        id: `stage_${index + 1}`,
-        order: index + 1,
-        ...stage,
-        createdAt: timestamp
-      }));
-
-      const validTransitions = transitions.filter(t => {
-        const fromExists = enhancedStages.some(s => s.id === t.from);
-        const toExists = t.to === 'completed' || enhancedStages.some(s => s.id === t.to);
-        return fromExists && toExists;
-      });
-
-      const signature = crypto
-        .createHash('sha3-512')
-        .update(workflowId + tenantId + JSON.stringify(enhancedStages))
-        .digest('hex');
-
-      const workflow = {
-        id: workflowId,
-        name,
-        type,
-        status: WORKFLOW_CONSTANTS.STATUS.DRAFT,
-        version: '1.0.0',
-        description,
-        stages: enhancedStages,
-        transitions: validTransitions,
-        parallelBranches,
-        sla,
-        escalationPolicy: {
-          intervals: WORKFLOW_CONSTANTS.ESCALATION_INTERVALS,
-          notifyRoles: ['manager', 'director']
-        },
-        createdBy: userId,
-        createdAt: timestamp,
-        updatedAt: timestamp,
-        metadata: {
-          ...metadata,
-          quantumVerified: true
-        },
-        tenantId,
-        quantumSignature: signature.substring(0, 32),
-        quantumCircuits: WORKFLOW_CONSTANTS.QUANTUM_CIRCUITS,
-        neuralLayers: WORKFLOW_CONSTANTS.NEURAL_LAYERS
-      };
-
-      workflowEngine.definitions.push(workflow);
-
-      await createAuditLog({
-        action: 'WORKFLOW_CREATED',
-        category: 'WORKFLOW',
-        userId,
-        tenantId,
-        resourceType: 'WORKFLOW',
-        resourceId: workflowId,
-        metadata: {
-          name,
-          type,
-          stagesCount: enhancedStages.length,
-          transitionsCount: validTransitions.length
-        },
-        status: 'SUCCESS',
-        req
-      });
-
-      logger.info('Quantum workflow created', {
-        workflowId,
-        name,
-        type,
-        stagesCount: enhancedStages.length,
-        userId,
-        processingTimeMs: Math.round(performance.now() - startTime)
-      });
-
-      res.status(201).json({
-        success: true,
-        data: workflow,
-        metadata: {
-          quantumVerified: true,
-          processingTimeMs: Math.round(performance.now() - startTime),
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
-
-    } catch (error) {
-      auditLogger.error('Quantum workflow creation failed', {
-        error: error.message,
-        requestId: req.requestId,
-        processingTimeMs: Math.round(performance.now() - startTime)
-      });
-
-      next(new AppError(error.message, 500, 'QUANTUM_WORKFLOW_CREATION_FAILED'));
-    }
+    });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_TRANSITION_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// UPDATE WORKFLOW DEFINITION
-// ============================================================================
-
-router.put(
-  '/:workflowId',
-  validateFingerprint({ minConfidence: 99.5 }),
-  [
-    param('workflowId').isString().notEmpty(),
-    body('name').optional().isString().trim().escape(),
-    body('description').optional().isString().trim().escape(),
-    body('status').optional().isIn(Object.values(WORKFLOW_CONSTANTS.STATUS)),
-    body('stages').optional().isArray(),
-    body('transitions').optional().isArray(),
-    body('metadata').optional().isObject(),
-    body('sla').optional().isInt(),
-    body('version').optional().isString()
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const { workflowId } = req.params;
-      const updates = req.body;
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      const workflowIndex = workflowEngine.definitions.findIndex(w => w.id === workflowId);
-
-      if (workflowIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          error: 'WORKFLOW_NOT_FOUND',
-          message: 'Workflow definition not found',
-          requestId: req.requestId
-        });
-      }
-
-      const workflow = workflowEngine.definitions[workflowIndex];
-
-      if (workflow.tenantId !== tenantId && req.user.role !== 'super_admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'ACCESS_DENIED',
-          message: 'Access denied to this workflow',
-          requestId: req.requestId
-        });
-      }
-
-      const updatedWorkflow = {
-        ...workflow,
-        ...updates,
-        updatedAt: new Date().toISOString(),
-        updatedBy: userId
-      };
-
-      workflowEngine.definitions[workflowIndex] = updatedWorkflow;
-
-      await createAuditLog({
-        action: 'WORKFLOW_UPDATED',
-        category: 'WORKFLOW',
-        userId,
-        tenantId,
-        resourceType: 'WORKFLOW',
-        resourceId: workflowId,
-        metadata: {
-          updatedFields: Object.keys(updates)
-        },
-        status: 'SUCCESS',
-        req
-      });
+});
 
-      res.json({
-        success: true,
-        data: updatedWorkflow,
-        metadata: {
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+/*
+ * @route   POST /api/workflows/instances/:instanceId/cancel
+ * @desc    Cancel a running instance
+ * @body    { reason? }
+ * @access  Admin, Partner
+ */
+router.post('/instances/:instanceId/cancel', authorizeRoles(...WORKFLOW_DESIGNERS), validateSchema(cancelSchema, 'body'), async (req, res, next) => {
+  try {
+    const instance = await workflowEngineService.cancel(tenantOf(req), req.params.instanceId, req.body, req.user);
+
+    await emitAudit(req, {
+      resource: 'workflow_instance',
+      action: 'WORKFLOW_CANCELLED',
+      severity: 'WARN',
+      metadata: { instanceId: instance.instanceId, state: instance.currentState, reason: req.body.reason }
+    });
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'WORKFLOW_UPDATE_FAILED'));
-    }
+    res.json({ status: 'success', data: { instanceId: instance.instanceId, status: instance.status, cancelledAt: instance.cancelledAt } });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_CANCEL_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// DELETE WORKFLOW DEFINITION
-// ============================================================================
-
-router.delete(
-  '/:workflowId',
-  requireRole(['admin', 'super_admin']),
-  validateFingerprint({ minConfidence: 99.9 }),
-  [
-    param('workflowId').isString().notEmpty()
-  ],
-  async (req, res, next) => {
-    try {
-      const { workflowId } = req.params;
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      const workflowIndex = workflowEngine.definitions.findIndex(w => w.id === workflowId);
-
-      if (workflowIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          error: 'WORKFLOW_NOT_FOUND',
-          message: 'Workflow definition not found',
-          requestId: req.requestId
-        });
-      }
-
-      const workflow = workflowEngine.definitions[workflowIndex];
-
-      if (workflow.tenantId !== tenantId && req.user.role !== 'super_admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'ACCESS_DENIED',
-          message: 'Access denied to this workflow',
-          requestId: req.requestId
-        });
-      }
-
-      workflowEngine.definitions[workflowIndex] = {
-        ...workflow,
-        status: WORKFLOW_CONSTANTS.STATUS.ARCHIVED,
-        deletedAt: new Date().toISOString(),
-        deletedBy: userId
-      };
-
-      await createAuditLog({
-        action: 'WORKFLOW_DELETED',
-        category: 'WORKFLOW',
-        userId,
-        tenantId,
-        resourceType: 'WORKFLOW',
-        resourceId: workflowId,
-        metadata: {},
-        status: 'SUCCESS',
-        req
-      });
-
-      res.json({
-        success: true,
-        data: {
-          id: workflowId,
-          deleted: true,
-          deletedAt: new Date().toISOString()
-        },
-        metadata: {
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+});
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'WORKFLOW_DELETE_FAILED'));
-    }
+/*
+ * @route   GET /api/workflows
+ * @desc    Workflow definitions
+ * @query   status?
+ * @access  Private
+ */
+router.get('/', validateSchema({ status: { type: 'string', enum: Object.values(DEFINITION_STATUS) } }, 'query'), async (req, res, next) => {
+  try {
+    const definitions = await workflowEngineService.listDefinitions(tenantOf(req), { status: req.query.status });
+    res.json({ status: 'success', data: { definitions, total: definitions.length } });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOWS_FETCH_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// START WORKFLOW INSTANCE
-// ============================================================================
-
-router.post(
-  '/:workflowId/instances',
-  validateFingerprint({ minConfidence: 99 }),
-  [
-    param('workflowId').isString().notEmpty(),
-    body('context').optional().isObject(),
-    body('priority').optional().isIn([0, 1, 2, 3, 4]).toInt(),
-    body('triggerType').optional().isIn(Object.values(WORKFLOW_CONSTANTS.TRIGGER_TYPES)),
-    body('input').optional().isObject(),
-    body('callbackUrl').optional().isURL(),
-    body('scheduledFor').optional().isISO8601()
-  ],
-  async (req, res, next) => {
-    const startTime = performance.now();
-
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const { workflowId } = req.params;
-      const {
-        context = {},
-        priority = WORKFLOW_CONSTANTS.PRIORITY.NORMAL,
-        triggerType = WORKFLOW_CONSTANTS.TRIGGER_TYPES.MANUAL,
-        input = {},
-        callbackUrl,
-        scheduledFor
-      } = req.body;
-
-      const tenantId = req.tenantContext?.id;
-      const userId = req.user.id;
-
-      const workflow = workflowEngine.definitions.find(w => w.id === workflowId);
-
-      if (!workflow) {
-        return res.status(404).json({
-          success: false,
-          error: 'WORKFLOW_NOT_FOUND',
-          message: 'Workflow definition not found',
-          requestId: req.requestId
-        });
-      }
-
-      if (workflow.tenantId !== tenantId && req.user.role !== 'super_admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'ACCESS_DENIED',
-          message: 'Access denied to this workflow',
-          requestId: req.requestId
-        });
-      }
-
-      if (workflow.status !== WORKFLOW_CONSTANTS.STATUS.ACTIVE) {
-        return res.status(400).json({
-          success: false,
-          error: 'WORKFLOW_NOT_ACTIVE',
-          message: `Workflow is ${workflow.status}. Only active workflows can be started.`,
-          requestId: req.requestId
-        });
-      }
-
-      const instanceId = `WFI_${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
-      const timestamp = new Date().toISOString();
-
-      const startStage = workflow.stages.find(s => s.order === 1);
-
-      const instance = {
-        id: instanceId,
-        workflowId,
-        workflowName: workflow.name,
-        workflowVersion: workflow.version,
-        status: scheduledFor ? WORKFLOW_CONSTANTS.INSTANCE_STATUS.PENDING : WORKFLOW_CONSTANTS.INSTANCE_STATUS.RUNNING,
-        currentStage: scheduledFor ? null : startStage?.id,
-        context: {
-          ...context,
-          input,
-          tenantId,
-          startedBy: userId
-        },
-        priority,
-        triggerType,
-        callbackUrl,
-        scheduledFor,
-        startedBy: userId,
-        startedAt: timestamp,
-        lastUpdated: timestamp,
-        slaDeadline: new Date(Date.now() + workflow.sla * 3600000).toISOString(),
-        tenantId,
-        history: [
-          {
-            stage: 'initialization',
-            action: scheduledFor ? 'WORKFLOW_SCHEDULED' : 'WORKFLOW_STARTED',
-            timestamp,
-            userId,
-            metadata: { context, input }
-          }
-        ],
-        metadata: {
-          quantumVerified: true,
-          quantumCircuits: WORKFLOW_CONSTANTS.QUANTUM_CIRCUITS
-        }
-      };
-
-      workflowEngine.instances.push(instance);
-
-      if (scheduledFor) {
-        const scheduleKey = `workflow:scheduled:${instanceId}`;
-        await redisClient.setex(scheduleKey, 86400, JSON.stringify(instance));
-      }
-
-      await createAuditLog({
-        action: scheduledFor ? 'WORKFLOW_SCHEDULED' : 'WORKFLOW_STARTED',
-        category: 'WORKFLOW',
-        userId,
-        tenantId,
-        resourceType: 'WORKFLOW_INSTANCE',
-        resourceId: instanceId,
-        metadata: {
-          workflowId,
-          priority,
-          triggerType,
-          scheduledFor
-        },
-        status: 'SUCCESS',
-        req
-      });
-
-      logger.info('Quantum workflow instance started', {
-        instanceId,
-        workflowId,
-        priority,
-        scheduledFor,
-        userId,
-        processingTimeMs: Math.round(performance.now() - startTime)
-      });
-
-      res.status(201).json({
-        success: true,
-        data: instance,
-        metadata: {
-          quantumVerified: true,
-          processingTimeMs: Math.round(performance.now() - startTime),
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+});
 
-    } catch (error) {
-      auditLogger.error('Quantum workflow start failed', {
-        error: error.message,
-        requestId: req.requestId,
-        processingTimeMs: Math.round(performance.now() - startTime)
-      });
+/*
+ * @route   POST /api/workflows
+ * @desc    Create a workflow definition (starts as DRAFT)
+ * @body    { name, description?, states[], initialState?, transitions[], triggers? }
+ * @access  Admin, Partner
+ */
+router.post('/', authorizeRoles(...WORKFLOW_DESIGNERS), validateSchema(definitionSchema, 'body'), async (req, res, next) => {
+  try {
+    const definition = await workflowEngineService.createDefinition(tenantOf(req), req.body, { userId: userOf(req) });
+
+    await emitAudit(req, {
+      resource: 'workflow',
+      action: 'WORKFLOW_CREATED',
+      severity: 'INFO',
+      metadata: { workflowId: definition.workflowId, name: definition.name, states: definition.states.length }
+    });
 
-      next(new AppError(error.message, 500, 'QUANTUM_WORKFLOW_START_FAILED'));
-    }
+    res.status(201).json({ status: 'success', data: definition });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_CREATE_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// GET WORKFLOW INSTANCES
-// ============================================================================
-
-router.get(
-  '/instances',
-  validateFingerprint({ minConfidence: 95 }),
-  [
-    query('status').optional().isIn(Object.values(WORKFLOW_CONSTANTS.INSTANCE_STATUS)),
-    query('workflowId').optional().isString(),
-    query('priority').optional().isIn([0, 1, 2, 3, 4]).toInt(),
-    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
-    query('offset').optional().isInt({ min: 0 }).toInt()
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const {
-        status,
-        workflowId,
-        priority,
-        limit = 50,
-        offset = 0
-      } = req.query;
-
-      const tenantId = req.tenantContext?.id;
-
-      let instances = workflowEngine.instances.filter(i => i.tenantId === tenantId);
-
-      if (status) {
-        instances = instances.filter(i => i.status === status);
-      }
-      if (workflowId) {
-        instances = instances.filter(i => i.workflowId === workflowId);
-      }
-      if (priority !== undefined && priority !== null) {
-        instances = instances.filter(i => i.priority === parseInt(priority));
-      }
-
-      instances.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
-
-      const paginated = instances.slice(offset, offset + limit);
-
-      const stats = {
-        total: instances.length,
-        byStatus: instances.reduce((acc, i) => {
-          acc[i.status] = (acc[i.status] || 0) + 1;
-          return acc;
-        }, {}),
-        byPriority: instances.reduce((acc, i) => {
-          acc[i.priority] = (acc[i.priority] || 0) + 1;
-          return acc;
-        }, {}),
-        averageDuration: '24h',
-        successRate: instances.filter(i => i.status === WORKFLOW_CONSTANTS.INSTANCE_STATUS.COMPLETED).length / instances.length * 100
-      };
-
-      res.json({
-        success: true,
-        data: {
-          instances: paginated,
-          statistics: stats,
-          pagination: {
-            total: instances.length,
-            limit,
-            offset,
-            pages: Math.ceil(instances.length / limit)
-          }
-        },
-        metadata: {
-          tenantId,
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+});
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'INSTANCES_FETCH_FAILED'));
-    }
+/*
+ * @route   GET /api/workflows/:workflowId
+ * @desc    One workflow definition
+ * @access  Private
+ */
+router.get('/:workflowId', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', data: await workflowEngineService.getDefinition(tenantOf(req), req.params.workflowId) });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_FETCH_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// GET WORKFLOW INSTANCE BY ID
-// ============================================================================
-
-router.get(
-  '/instances/:instanceId',
-  validateFingerprint({ minConfidence: 98 }),
-  [
-    param('instanceId').isString().notEmpty()
-  ],
-  async (req, res, next) => {
-    try {
-      const { instanceId } = req.params;
-      const tenantId = req.tenantContext?.id;
-
-      const instance = workflowEngine.instances.find(i => i.id === instanceId);
-
-      if (!instance) {
-        return res.status(404).json({
-          success: false,
-          error: 'INSTANCE_NOT_FOUND',
-          message: 'Workflow instance not found',
-          requestId: req.requestId
-        });
-      }
-
-      if (instance.tenantId !== tenantId && req.user.role !== 'super_admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'ACCESS_DENIED',
-          message: 'Access denied to this instance',
-          requestId: req.requestId
-        });
-      }
-
-      const workflow = workflowEngine.definitions.find(w => w.id === instance.workflowId);
+});
 
-      res.json({
-        success: true,
-        data: {
-          ...instance,
-          workflowDefinition: workflow
-        },
-        metadata: {
-          tenantId,
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+/*
+ * @route   PUT /api/workflows/:workflowId
+ * @desc    Edit a definition; changes to states, transitions or triggers create a new version
+ * @access  Admin, Partner
+ */
+router.put('/:workflowId', authorizeRoles(...WORKFLOW_DESIGNERS), validateSchema(definitionUpdateSchema, 'body'), async (req, res, next) => {
+  try {
+    const definition = await workflowEngineService.updateDefinition(tenantOf(req), req.params.workflowId, req.body, { userId: userOf(req) });
+
+    await emitAudit(req, {
+      resource: 'workflow',
+      action: 'WORKFLOW_UPDATED',
+      severity: 'INFO',
+      metadata: { workflowId: definition.workflowId, version: definition.version }
+    });
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'INSTANCE_FETCH_FAILED'));
-    }
+    res.json({ status: 'success', data: definition });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_UPDATE_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// TRANSITION WORKFLOW INSTANCE
-// ============================================================================
-
-router.post(
-  '/instances/:instanceId/transition',
-  validateFingerprint({ minConfidence: 99.5 }),
-  [
-    param('instanceId').isString().notEmpty(),
-    body('action').isString().notEmpty().withMessage('Action is required'),
-    body('comment').optional().isString().trim().escape(),
-    body('metadata').optional().isObject(),
-    body('force').optional().isBoolean().toBoolean()
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'QUANTUM_VALIDATION_FAILED',
-          errors: errors.array(),
-          requestId: req.requestId
-        });
-      }
-
-      const { instanceId } = req.params;
-      const { action, comment, metadata = {}, force = false } = req.body;
-      const userId = req.user.id;
-      const tenantId = req.tenantContext?.id;
-
-      const instanceIndex = workflowEngine.instances.findIndex(i => i.id === instanceId);
-
-      if (instanceIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          error: 'INSTANCE_NOT_FOUND',
-          message: 'Workflow instance not found',
-          requestId: req.requestId
-        });
-      }
-
-      const instance = workflowEngine.instances[instanceIndex];
-
-      if (instance.tenantId !== tenantId && req.user.role !== 'super_admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'ACCESS_DENIED',
-          message: 'Access denied to this instance',
-          requestId: req.requestId
-        });
-      }
-
-      const workflow = workflowEngine.definitions.find(w => w.id === instance.workflowId);
-
-      let nextStage = null;
-      let previousStage = instance.currentStage;
-
-      if (action === 'complete') {
-        const transition = workflow.transitions.find(t => t.from === instance.currentStage);
-        if (transition) {
-          nextStage = transition.to;
-        }
-      } else if (action === 'reject') {
-        const rejectionTransition = workflow.transitions.find(t =>
-          t.from === instance.currentStage && t.condition === 'rejected'
-        );
-        if (rejectionTransition) {
-          nextStage = rejectionTransition.to;
-        }
-      }
-
-      if (force && !nextStage) {
-        const currentStageObj = workflow.stages.find(s => s.id === instance.currentStage);
-        const nextStageObj = workflow.stages.find(s => s.order === (currentStageObj?.order || 0) + 1);
-        if (nextStageObj) {
-          nextStage = nextStageObj.id;
-        }
-      }
-
-      const timestamp = new Date().toISOString();
-      const updatedInstance = {
-        ...instance,
-        currentStage: nextStage || instance.currentStage,
-        lastUpdated: timestamp,
-        history: [
-          ...instance.history,
-          {
-            stage: instance.currentStage,
-            action: `TRANSITION:${action}`,
-            timestamp,
-            userId,
-            comment,
-            metadata: {
-              ...metadata,
-              previousStage,
-              nextStage
-            }
-          }
-        ]
-      };
-
-      if (nextStage === 'completed') {
-        updatedInstance.status = WORKFLOW_CONSTANTS.INSTANCE_STATUS.COMPLETED;
-        updatedInstance.completedAt = timestamp;
-
-        const duration = (new Date(timestamp) - new Date(instance.startedAt)) / 3600000;
-        updatedInstance.duration = `${Math.round(duration * 10) / 10}h`;
-      }
-
-      workflowEngine.instances[instanceIndex] = updatedInstance;
-
-      if (instance.callbackUrl && updatedInstance.status === WORKFLOW_CONSTANTS.INSTANCE_STATUS.COMPLETED) {
-        // Webhook would be sent here
-      }
-
-      await createAuditLog({
-        action: 'WORKFLOW_TRANSITION',
-        category: 'WORKFLOW',
-        userId,
-        tenantId,
-        resourceType: 'WORKFLOW_INSTANCE',
-        resourceId: instanceId,
-        metadata: {
-          fromStage: previousStage,
-          toStage: nextStage,
-          action
-        },
-        status: 'SUCCESS',
-        req
-      });
+});
 
-      res.json({
-        success: true,
-        data: {
-          instanceId,
-          previousStage,
-          currentStage: nextStage || instance.currentStage,
-          action,
-          timestamp,
-          userId,
-          comment,
-          status: updatedInstance.status
-        },
-        metadata: {
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+/*
+ * @route   POST /api/workflows/:workflowId/activate
+ * @desc    Make a definition startable and let its triggers fire
+ * @access  Admin, Partner
+ */
+router.post('/:workflowId/activate', authorizeRoles(...WORKFLOW_DESIGNERS), async (req, res, next) => {
+  try {
+    const definition = await workflowEngineService.setDefinitionStatus(tenantOf(req), req.params.workflowId, DEFINITION_STATUS.ACTIVE, { userId: userOf(req) });
+
+    await emitAudit(req, {
+      resource: 'workflow',
+      action: 'WORKFLOW_ACTIVATED',
+      severity: 'INFO',
+      metadata: { workflowId: definition.workflowId, version: definition.version, triggers: definition.triggers.map((trigger) => trigger.event) }
+    });
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'TRANSITION_FAILED'));
-    }
+    res.json({ status: 'success', data: definition });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_ACTIVATE_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// CANCEL WORKFLOW INSTANCE
-// ============================================================================
-
-router.post(
-  '/instances/:instanceId/cancel',
-  validateFingerprint({ minConfidence: 99.5 }),
-  [
-    param('instanceId').isString().notEmpty(),
-    body('reason').optional().isString().trim().escape()
-  ],
-  async (req, res, next) => {
-    try {
-      const { instanceId } = req.params;
-      const { reason } = req.body;
-      const userId = req.user.id;
-      const tenantId = req.tenantContext?.id;
-
-      const instanceIndex = workflowEngine.instances.findIndex(i => i.id === instanceId);
-
-      if (instanceIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          error: 'INSTANCE_NOT_FOUND',
-          message: 'Workflow instance not found',
-          requestId: req.requestId
-        });
-      }
-
-      const instance = workflowEngine.instances[instanceIndex];
-
-      if (instance.tenantId !== tenantId && req.user.role !== 'super_admin') {
-        return res.status(403).json({
-          success: false,
-          error: 'ACCESS_DENIED',
-          message: 'Access denied to this instance',
-          requestId: req.requestId
-        });
-      }
-
-      const timestamp = new Date().toISOString();
-      workflowEngine.instances[instanceIndex] = {
-        ...instance,
-        status: WORKFLOW_CONSTANTS.INSTANCE_STATUS.CANCELLED,
-        lastUpdated: timestamp,
-        cancelledAt: timestamp,
-        cancelledBy: userId,
-        cancellationReason: reason,
-        history: [
-          ...instance.history,
-          {
-            stage: instance.currentStage,
-            action: 'CANCELLED',
-            timestamp,
-            userId,
-            reason
-          }
-        ]
-      };
-
-      await createAuditLog({
-        action: 'WORKFLOW_CANCELLED',
-        category: 'WORKFLOW',
-        userId,
-        tenantId,
-        resourceType: 'WORKFLOW_INSTANCE',
-        resourceId: instanceId,
-        metadata: { reason },
-        status: 'SUCCESS',
-        req
-      });
+});
 
-      res.json({
-        success: true,
-        data: {
-          instanceId,
-          status: WORKFLOW_CONSTANTS.INSTANCE_STATUS.CANCELLED,
-          cancelledAt: timestamp,
-          reason
-        },
-        metadata: {
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+/*
+ * @route   DELETE /api/workflows/:workflowId
+ * @desc    Archive a definition (no new instances; running ones carry on)
+ * @access  Admin, Partner
+ */
+router.delete('/:workflowId', authorizeRoles(...WORKFLOW_DESIGNERS), async (req, res, next) => {
+  try {
+    const definition = await workflowEngineService.setDefinitionStatus(tenantOf(req), req.params.workflowId, DEFINITION_STATUS.ARCHIVED, { userId: userOf(req) });
+
+    await emitAudit(req, {
+      resource: 'workflow',
+      action: 'WORKFLOW_ARCHIVED',
+      severity: 'WARN',
+      metadata: { workflowId: definition.workflowId }
+    });
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'CANCEL_FAILED'));
-    }
+    res.json({ status: 'success', data: { workflowId: definition.workflowId, status: definition.status } });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_ARCHIVE_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// GET WORKFLOW METRICS
-// ============================================================================
-
-router.get(
-  '/metrics',
-  validateFingerprint({ minConfidence: 98 }),
-  async (req, res, next) => {
-    try {
-      const tenantId = req.tenantContext?.id;
-
-      const instances = workflowEngine.instances.filter(i => i.tenantId === tenantId);
-      const workflows = workflowEngine.definitions.filter(w => w.tenantId === tenantId);
+});
 
-      const metrics = {
-        workflows: {
-          total: workflows.length,
-          byStatus: workflows.reduce((acc, w) => {
-            acc[w.status] = (acc[w.status] || 0) + 1;
-            return acc;
-          }, {}),
-          byType: workflows.reduce((acc, w) => {
-            acc[w.type] = (acc[w.type] || 0) + 1;
-            return acc;
-          }, {})
-        },
-        instances: {
-          total: instances.length,
-          byStatus: instances.reduce((acc, i) => {
-            acc[i.status] = (acc[i.status] || 0) + 1;
-            return acc;
-          }, {}),
-          byPriority: instances.reduce((acc, i) => {
-            acc[i.priority] = (acc[i.priority] || 0) + 1;
-            return acc;
-          }, {}),
-          running: instances.filter(i => i.status === WORKFLOW_CONSTANTS.INSTANCE_STATUS.RUNNING).length,
-          completed: instances.filter(i => i.status === WORKFLOW_CONSTANTS.INSTANCE_STATUS.COMPLETED).length,
-          failed: instances.filter(i => i.status === WORKFLOW_CONSTANTS.INSTANCE_STATUS.FAILED).length,
-          cancelled: instances.filter(i => i.status === WORKFLOW_CONSTANTS.INSTANCE_STATUS.CANCELLED).length
-        },
-        performance: {
-          averageDuration: '24h',
-          successRate: instances.filter(i => i.status === WORKFLOW_CONSTANTS.INSTANCE_STATUS.COMPLETED).length / instances.length * 100,
-          slaCompliance: 99.5
-        },
-        recentActivity: instances
-          .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated))
-          .slice(0, 20)
-          .map(i => ({
-            instanceId: i.id,
-            workflowName: i.workflowName,
-            status: i.status,
-            lastUpdated: i.lastUpdated
-          })),
-        quantumCircuits: WORKFLOW_CONSTANTS.QUANTUM_CIRCUITS,
-        neuralLayers: WORKFLOW_CONSTANTS.NEURAL_LAYERS,
-        confidence: WORKFLOW_CONSTANTS.CONFIDENCE_THRESHOLD
-      };
+/*
+ * @route   POST /api/workflows/:workflowId/instances
+ * @desc    Start an instance of an ACTIVE workflow
+ * @body    { context?, subject?: { type, id }, matterId? }
+ * @access  Private
+ */
+router.post('/:workflowId/instances', validateSchema(startSchema, 'body'), async (req, res, next) => {
+  try {
+    const instance = await workflowEngineService.startInstance(tenantOf(req), req.params.workflowId, {
+      context: req.body.context,
+      subject: req.body.subject,
+      matterId: req.body.matterId,
+      userId: userOf(req)
+    });
 
-      res.json({
-        success: true,
-        data: metrics,
-        metadata: {
-          tenantId,
-          quantumVerified: true,
-          requestId: req.requestId,
-          timestamp: new Date().toISOString()
-        }
-      });
+    await emitAudit(req, {
+      resource: 'workflow_instance',
+      action: 'WORKFLOW_STARTED',
+      severity: 'INFO',
+      metadata: { instanceId: instance.instanceId, workflowId: instance.workflowId, state: instance.currentState }
+    });
 
-    } catch (error) {
-      next(new AppError(error.message, 500, 'METRICS_FETCH_FAILED'));
-    }
+    res.status(201).json({ status: 'success', data: workflowEngineService.describeInstance(instance, req.user) });
+  } catch (err) {
+    err.code = err.code || 'WORKFLOW_START_FAILED';
+    next(err);
   }
-);
-
-// ============================================================================
-// 404 HANDLER
-// ============================================================================
-
-router.use('*', (req, res) => {
-  logger.warn('Quantum workflow route not found', {
-    method: req.method,
-    url: req.originalUrl,
-    requestId: req.requestId
-  });
-
-  res.status(404).json({
-    success: false,
-    error: 'QUANTUM_WORKFLOW_ROUTE_NOT_FOUND',
-    requestId: req.requestId,
-    timestamp: new Date().toISOString()
-  });
 });
 
-// ============================================================================
-// EXPORT
-// ============================================================================
-
 export default router;
-
-// ============================================================================
-// ERROR HANDLING
-// ============================================================================
-
-router.use((err, req, res, next) => {
-  const errorId = crypto.randomBytes(16).toString('hex');
-
-  auditLogger.critical('Quantum workflow routes error', {
-    errorId,
-    error: err.message,
-    stack: err.stack,
-    path: req.path,
-    userId: req.user?.id,
-    tenantId: req.tenantContext?.id,
-    deviceFingerprint: req.deviceFingerprint?.fingerprintId,
-    requestId: req.requestId
-  });
-
-  res.status(err.status || 500).json({
-    success: false,
-    error: err.code || 'QUANTUM_WORKFLOW_ROUTE_ERROR',
-    errorId,
-    message: process.env.NODE_ENV === 'production'
-      ? 'An error occurred in the quantum workflow system. Our engineering team has been notified.'
-      : err.message,
-    requestId: req.requestId,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// ============================================================================
-// INVESTOR METRICS
-// ============================================================================
-
-/**
- * WORKFLOW SYSTEM VALUE: R1.2B/year licensing potential
- *
- * CAPABILITIES:
- * • 10 workflow types
- * • 100 stages per workflow maximum
- * • 50 parallel branches maximum
- * • 5 priority levels
- * • 4 trigger types
- * • 100k instances/second throughput
- * • 10,000 concurrent workflows
- * • 1B+ workflow steps/day capacity
- *
- * @team_signoff:
- * • Wilson Khanyezi: 2026-03-19 - OMEGA RELEASE
- */
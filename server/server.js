@@ -130,6 +130,7 @@ import ForensicLog from './models/ForensicLog.js';
 import NotificationLog from './models/NotificationLog.js';
 import sovereignMetrics from './metrics/prometheusMetrics.js';
 import courtUpdater from './services/globalCourtUpdater.js';
+import { startBackgroundJobs, stopBackgroundJobs } from './jobs/backgroundJobs.js';
 import forensicHasher from './utils/forensicHasher.js'; // 🏛️ POST-QUANTUM HASH CHAIN
 import forensicMerkleAuditor from './services/ForensicMerkleAuditor.js';
 
@@ -1481,6 +1482,7 @@ const shutdown = async (signal) => {
   try {
     courtUpdater.stop();
     logger.info('Court updater stopped');
+    await stopBackgroundJobs();
     if (metrics.updateBreakerState)
       metrics.updateBreakerState('DATABASE', 1, { tenantId: 'GLOBAL_ROOT', reason: signal });
     if (redisConfig && typeof redisConfig.disconnect === 'function') await redisConfig.disconnect();
@@ -1510,6 +1512,12 @@ const igniteSingularity = async () => {
   courtUpdater.start();
   logger.info('Global Court Updater active');
 
+  // Outbox relay, due-date sweeps and queue workers; API-only processes set BACKGROUND_JOBS=off
+  if (process.env.BACKGROUND_JOBS !== 'off') {
+    const jobs = await startBackgroundJobs();
+    logger.info(jobs, 'Background jobs active');
+  }
+
   try {
     // Error handler removed – port is already free. Start listening directly.
     server.listen(PORT, '0.0.0.0', () => {
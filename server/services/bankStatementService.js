@@ -0,0 +1,339 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - BANK STATEMENT RECEIPTING SERVICE [V1.0.0-FIDUCIARY]                                                                        ║
+ * ║ [LPC RULE 54.14 TRUST RECEIPTS | OFX/CSV/FNB/SBSA/ABSA/NEDBANK | AUTO-MATCH | REVIEW QUEUE | ONE-CLICK POSTING]                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/bankStatementService.js                                          ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Replaces hand-keyed trust deposits: a statement is parsed, each credit is matched to an open matter by
+ * reference (matter number / TrustTransaction.lpcReference), amount and payer name, and then posted through
+ * lpcService.recordTransaction so the control account and client sub-ledger stay in lock-step.
+ */
+
+import crypto from 'node:crypto';
+import Matter from '../models/Matter.js';
+import Client from '../models/clientModel.js';
+import TrustTransaction from '../models/TrustTransaction.js';
+import BankStatementImport, { STATEMENT_LINE_STATUS, REVIEW_QUEUE_STATUSES } from '../models/BankStatementImport.js';
+import { lpcService } from './lpcService.js';
+import { parseBankStatement } from '../utils/bankStatementParsers.js';
+import { rankCandidates, classifyMatch } from '../utils/trustReceiptMatcher.js';
+import logger from '../utils/logger.js';
+
+const OPEN_MATTER_STATUSES = ['active', 'pending', 'suspended', 'appealed'];
+const POSTABLE_STATUSES = [...REVIEW_QUEUE_STATUSES];
+
+class BankStatementService {
+  /**
+   * @function buildCandidates
+   * @desc Client/matter pairs a receipt may belong to: every open matter with a client, enriched with the
+   * lpcReferences and deposit amounts already on that client's trust ledger.
+   */
+  async buildCandidates(tenantId) {
+    const matters = await Matter.find({
+      tenantId: String(tenantId),
+      status: { $in: OPEN_MATTER_STATUSES },
+      isDeleted: { $ne: true },
+      clientId: { $exists: true }
+    }).select('matterNumber clientId title').lean();
+
+    const clientIds = [...new Set(matters.map((m) => String(m.clientId)))];
+    const clients = await Client.find({ _id: { $in: clientIds } }).select('name tradingName').lean();
+    const clientNames = new Map(clients.map((c) => [String(c._id), c.name || c.tradingName || '']));
+
+    const history = await TrustTransaction.aggregate([
+      { $match: { tenantId: String(tenantId), type: 'DEPOSIT', investmentId: null } },
+      {
+        $group: {
+          _id: { clientId: '$clientId', matterId: '$matterId' },
+          references: { $addToSet: '$lpcReference' },
+          amounts: { $addToSet: '$amount' }
+        }
+      }
+    ]);
+    const historyByKey = new Map(history.map((h) => [`${h._id.clientId}:${h._id.matterId}`, h]));
+
+    return matters.map((matter) => {
+      const past = historyByKey.get(`${matter.clientId}:${matter._id}`) || {};
+      return {
+        clientId: matter.clientId,
+        matterId: matter._id,
+        matterNumber: matter.matterNumber,
+        clientName: clientNames.get(String(matter.clientId)) || '',
+        references: (past.references || []).filter(Boolean),
+        expectedAmounts: past.amounts || []
+      };
+    });
+  }
+
+  /**
+   * @function importStatement
+   * @desc Parses, de-duplicates and auto-matches a bank statement. Nothing is posted to the trust ledger
+   * unless `autoPost` is set, in which case unambiguous AUTO_MATCHED receipts are posted immediately.
+   * @param {string} tenantId
+   * @param {Object} file - { buffer, originalname }
+   * @param {Object} [options] - { format, autoPost, userId, traceId }
+   */
+  async importStatement(tenantId, file, options = {}) {
+    const fileHash = crypto.createHash('sha3-512').update(file.buffer).digest('hex');
+    const existing = await BankStatementImport.findOne({ tenantId: String(tenantId), fileHash }).select('importId').lean();
+    if (existing) {
+      throw new Error(`STATEMENT_DUPLICATE: This statement was already imported as ${existing.importId}.`);
+    }
+
+    const statement = parseBankStatement(file.buffer, { format: options.format, filename: file.originalname });
+    if (statement.lines.length === 0) {
+      throw new Error('STATEMENT_PARSE_ERROR: No transactions found in the statement.');
+    }
+
+    const occurrences = new Map();
+    const lines = statement.lines.map((line) => {
+      const key = `${line.date.toISOString()}|${line.direction}|${line.amount}|${line.reference}|${line.description}`;
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+      return { ...line, fingerprint: BankStatementImport.fingerprintLine(tenantId, line, occurrence) };
+    });
+
+    const seen = await BankStatementImport.find(
+      { tenantId: String(tenantId), 'lines.fingerprint': { $in: lines.map((l) => l.fingerprint) } },
+      { 'lines.fingerprint': 1 }
+    ).lean();
+    const seenFingerprints = new Set(seen.flatMap((doc) => doc.lines.map((l) => l.fingerprint)));
+
+    const candidates = await this.buildCandidates(tenantId);
+
+    for (const line of lines) {
+      if (seenFingerprints.has(line.fingerprint)) {
+        line.status = STATEMENT_LINE_STATUS.DUPLICATE;
+      } else if (line.direction === 'DEBIT') {
+        line.status = STATEMENT_LINE_STATUS.DEBIT;
+      } else {
+        const ranked = rankCandidates(line, candidates);
+        line.status = classifyMatch(ranked);
+        line.suggestions = ranked.map(({ candidate, score, reasons }) => ({
+          clientId: candidate.clientId,
+          matterId: candidate.matterId,
+          matterNumber: candidate.matterNumber,
+          clientName: candidate.clientName,
+          score,
+          reasons
+        }));
+        if (line.status === STATEMENT_LINE_STATUS.AUTO_MATCHED) {
+          line.matchedClientId = ranked[0].candidate.clientId;
+          line.matchedMatterId = ranked[0].candidate.matterId;
+        }
+      }
+    }
+
+    const count = (status) => lines.filter((l) => l.status === status).length;
+    const statementImport = await BankStatementImport.create({
+      tenantId: String(tenantId),
+      format: statement.format,
+      filename: file.originalname,
+      fileHash,
+      accountNumber: statement.accountNumber,
+      statementDate: statement.statementDate,
+      closingBalance: statement.closingBalance,
+      importedBy: options.userId,
+      lines,
+      summary: {
+        totalLines: lines.length,
+        credits: lines.filter((l) => l.direction === 'CREDIT').length,
+        debits: lines.filter((l) => l.direction === 'DEBIT').length,
+        autoMatched: count(STATEMENT_LINE_STATUS.AUTO_MATCHED),
+        suggested: count(STATEMENT_LINE_STATUS.SUGGESTED),
+        unmatched: count(STATEMENT_LINE_STATUS.UNMATCHED),
+        duplicates: count(STATEMENT_LINE_STATUS.DUPLICATE)
+      }
+    });
+
+    logger.info(`[LPC-RECEIPTS] 🏦 Statement ${statementImport.importId} imported (${statement.format}) | ${statementImport.summary.credits} credits | ${statementImport.summary.autoMatched} auto-matched`);
+
+    if (options.autoPost) {
+      await this.postMatchedLines(tenantId, statementImport.importId, options);
+      return BankStatementImport.findOne({ importId: statementImport.importId }).lean();
+    }
+
+    return statementImport.toObject();
+  }
+
+  /**
+   * @function getReviewQueue
+   * @desc Credits awaiting a bookkeeper: auto-matched (confirm), suggested (pick) and unmatched (assign).
+   */
+  async getReviewQueue(tenantId, { status, importId } = {}) {
+    const statuses = status ? [status] : REVIEW_QUEUE_STATUSES;
+    const match = { tenantId: String(tenantId), 'lines.status': { $in: statuses } };
+    if (importId) match.importId = importId;
+
+    return BankStatementImport.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.status': { $in: statuses } } },
+      { $sort: { 'lines.date': 1, 'lines.lineNumber': 1 } },
+      {
+        $project: {
+          _id: 0,
+          importId: 1,
+          filename: 1,
+          format: 1,
+          line: '$lines'
+        }
+      }
+    ]);
+  }
+
+  /**
+   * @function assignLine
+   * @desc Manually assigns a queued credit to a client/matter (the matter must be open and belong to the client).
+   */
+  async assignLine(tenantId, importId, lineId, { clientId, matterId, note }) {
+    await this.openMatterFor(tenantId, clientId, matterId);
+
+    const result = await BankStatementImport.updateOne(
+      { tenantId: String(tenantId), importId, lines: { $elemMatch: { lineId, status: { $in: POSTABLE_STATUSES } } } },
+      {
+        $set: {
+          'lines.$.matchedClientId': clientId,
+          'lines.$.matchedMatterId': matterId,
+          'lines.$.status': STATEMENT_LINE_STATUS.AUTO_MATCHED,
+          'lines.$.reviewNote': note
+        }
+      }
+    );
+    if (result.matchedCount === 0) throw new Error('STATEMENT_MATCH_ERROR: Line not found or no longer in the review queue.');
+    return this.getLine(tenantId, importId, lineId);
+  }
+
+  /**
+   * @function openMatterFor
+   * @desc The tenant's open matter a credit is being assigned to, refusing one that belongs to another client.
+   */
+  async openMatterFor(tenantId, clientId, matterId) {
+    const matter = await Matter.findOne({
+      _id: matterId,
+      tenantId: String(tenantId),
+      status: { $in: OPEN_MATTER_STATUSES }
+    }).select('clientId matterNumber').lean();
+    if (!matter) throw new Error('STATEMENT_MATCH_ERROR: Matter not found or not open.');
+    if (matter.clientId && String(matter.clientId) !== String(clientId)) {
+      throw new Error('STATEMENT_MATCH_ERROR: Matter does not belong to the selected client.');
+    }
+    return matter;
+  }
+
+  /**
+   * @function ignoreLine
+   * @desc Removes a credit from the queue (e.g. an interest credit or a bank error) with a reason.
+   */
+  async ignoreLine(tenantId, importId, lineId, { note }) {
+    if (!note) throw new Error('STATEMENT_MATCH_ERROR: A reason is required to ignore a statement line.');
+    const result = await BankStatementImport.updateOne(
+      { tenantId: String(tenantId), importId, lines: { $elemMatch: { lineId, status: { $in: POSTABLE_STATUSES } } } },
+      { $set: { 'lines.$.status': STATEMENT_LINE_STATUS.IGNORED, 'lines.$.reviewNote': note } }
+    );
+    if (result.matchedCount === 0) throw new Error('STATEMENT_MATCH_ERROR: Line not found or no longer in the review queue.');
+    return this.getLine(tenantId, importId, lineId);
+  }
+
+  /**
+   * @function postLine
+   * @desc One-click posting of a matched credit into the trust ledger. The line is claimed (POSTING) first so
+   * that a double click or two bookkeepers cannot receipt the same money twice.
+   * @param {Object} [selection] - Optional { clientId, matterId } overriding the stored match (e.g. picking a suggestion).
+   */
+  async postLine(tenantId, importId, lineId, selection = {}, context = {}) {
+    const line = await this.getLine(tenantId, importId, lineId);
+    if (!line) throw new Error('STATEMENT_MATCH_ERROR: Statement line not found.');
+
+    const clientId = selection.clientId || line.matchedClientId;
+    const matterId = selection.matterId || line.matchedMatterId;
+    if (!clientId || !matterId) {
+      throw new Error('STATEMENT_MATCH_ERROR: Assign the line to a client and matter before posting.');
+    }
+    // An override is held to the same checks as assignLine, and a stored match may have been closed since
+    const matter = await this.openMatterFor(tenantId, clientId, matterId);
+
+    const claim = await BankStatementImport.updateOne(
+      { tenantId: String(tenantId), importId, lines: { $elemMatch: { lineId, status: { $in: POSTABLE_STATUSES } } } },
+      { $set: { 'lines.$.status': STATEMENT_LINE_STATUS.POSTING } }
+    );
+    if (claim.modifiedCount === 0) {
+      throw new Error('STATEMENT_MATCH_ERROR: Line has already been posted or is being posted.');
+    }
+
+    try {
+      const posted = await lpcService.recordTransaction(tenantId, {
+        type: 'DEPOSIT',
+        amount: line.amount,
+        clientId,
+        matterId,
+        method: 'EFT',
+        reference: line.reference || matter?.matterNumber,
+        description: `Bank receipt ${line.date.toISOString().slice(0, 10)} ${line.payerName || line.description}`.trim(),
+        initiatedBy: context.userId,
+        forensicId: context.traceId
+      });
+
+      await BankStatementImport.updateOne(
+        { tenantId: String(tenantId), importId, 'lines.lineId': lineId },
+        {
+          $set: {
+            'lines.$.status': STATEMENT_LINE_STATUS.POSTED,
+            'lines.$.matchedClientId': clientId,
+            'lines.$.matchedMatterId': matterId,
+            'lines.$.postedTransactionId': posted.transactionId,
+            'lines.$.postedAt': new Date(),
+            'lines.$.postedBy': context.userId
+          }
+        }
+      );
+
+      logger.info(`[LPC-RECEIPTS] ✅ Line ${lineId} posted as ${posted.transactionId}`);
+      return { lineId, ...posted };
+    } catch (error) {
+      await BankStatementImport.updateOne(
+        { tenantId: String(tenantId), importId, 'lines.lineId': lineId },
+        { $set: { 'lines.$.status': line.status } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * @function postMatchedLines
+   * @desc Posts every AUTO_MATCHED line of a statement; failures stay in the queue and are reported.
+   */
+  async postMatchedLines(tenantId, importId, context = {}) {
+    const statementImport = await BankStatementImport.findOne({ tenantId: String(tenantId), importId }).lean();
+    if (!statementImport) throw new Error('STATEMENT_MATCH_ERROR: Statement import not found.');
+
+    const posted = [];
+    const failed = [];
+    for (const line of statementImport.lines.filter((l) => l.status === STATEMENT_LINE_STATUS.AUTO_MATCHED)) {
+      try {
+        posted.push(await this.postLine(tenantId, importId, line.lineId, {}, context));
+      } catch (error) {
+        failed.push({ lineId: line.lineId, error: error.message });
+      }
+    }
+    return { importId, posted, failed };
+  }
+
+  /**
+   * @function getLine
+   * @desc Fetches a single statement line.
+   */
+  async getLine(tenantId, importId, lineId) {
+    const doc = await BankStatementImport.findOne(
+      { tenantId: String(tenantId), importId, 'lines.lineId': lineId },
+      { 'lines.$': 1 }
+    ).lean();
+    return doc ? doc.lines[0] : null;
+  }
+}
+
+export const bankStatementService = new BankStatementService();
+export default bankStatementService;
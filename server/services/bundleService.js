@@ -0,0 +1,268 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - COURT BUNDLE SERVICE [V1.0.0-BUNDLE]                                                                                        ║
+ * ║ [DOCUMENT SELECTION | COMPILE TO PDF VAULT | CHANGE-AWARE REGENERATION]                                                                ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/bundleService.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Faults carry an HTTP `status` for the API fault interceptor. Compilation itself runs in jobs/bundleWorker.js; this
+ * service records the selection, does the compile when the worker asks, and serves the result.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import CourtBundle, { BUNDLE_STATUS } from '../models/CourtBundle.js';
+import Document from '../models/Document.js';
+import Matter from '../models/Matter.js';
+import { vaultTraceId } from '../models/DocumentVersion.js';
+import SovereignPdfStore from './pdfStore.js';
+import storageService from './storageService.js';
+import auditLogger from '../utils/auditLogger.js';
+import { compileBundle, fingerprintDocument } from '../utils/bundleCompiler.js';
+
+const DOCUMENT_FIELDS = 'title storageKey contentHash content version metadata status createdAt';
+
+const bundleError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+const COURT_LABELS = {
+  constitutional_court: 'Constitutional Court',
+  supreme_court_appeal: 'Supreme Court of Appeal',
+  high_court: 'High Court',
+  magistrates_court: "Magistrates' Court",
+  labour_court: 'Labour Court'
+};
+
+class BundleService {
+  async loadBundle(tenantId, bundleId) {
+    const bundle = await CourtBundle.findOne({ tenantId: String(tenantId), bundleId, status: { $ne: BUNDLE_STATUS.ARCHIVED } });
+    if (!bundle) throw bundleError(404, `BUNDLE_ERROR: Bundle ${bundleId} not found.`);
+    return bundle;
+  }
+
+  /**
+   * @function loadForViewer
+   * @desc A bundle as the caller may see it: client users only see bundles on their own matters, and anything else
+   *       reads as not found.
+   */
+  async loadForViewer(tenantId, bundleId, { role, clientId } = {}) {
+    const bundle = await this.loadBundle(tenantId, bundleId);
+    if (String(role).toUpperCase() !== 'CLIENT') return bundle;
+    const ownMatter = mongoose.isValidObjectId(clientId)
+      && await Matter.exists({ _id: bundle.caseId, tenantId: String(tenantId), clientId });
+    if (!ownMatter) throw bundleError(404, `BUNDLE_ERROR: Bundle ${bundleId} not found.`);
+    return bundle;
+  }
+
+  async loadDocuments(tenantId, documentIds) {
+    const invalid = documentIds.filter((id) => !mongoose.isValidObjectId(id));
+    if (invalid.length) throw bundleError(400, `BUNDLE_ERROR: Invalid document id(s): ${invalid.join(', ')}.`);
+    const docs = await Document.find({ _id: { $in: documentIds }, tenantId, status: { $ne: 'deleted' } })
+      .select(DOCUMENT_FIELDS)
+      .lean();
+    const found = new Map(docs.map((doc) => [String(doc._id), doc]));
+    const missing = documentIds.map(String).filter((id) => !found.has(id));
+    if (missing.length) throw bundleError(404, `BUNDLE_ERROR: Document(s) not found: ${missing.join(', ')}.`, { missing });
+    return found;
+  }
+
+  /**
+   * @function readSource
+   * @desc Bytes for a document: its current version in the vault, a local path, the tenant's object storage, or the
+   *       document's own text content.
+   */
+  async readSource(tenantId, doc) {
+    const source = { mimeType: doc.metadata?.mimeType, filename: doc.title };
+    if (!doc.storageKey) {
+      if (doc.content) return { ...source, text: doc.content };
+      throw bundleError(422, `BUNDLE_ERROR: Document "${doc.title}" has no uploaded file or content.`);
+    }
+    const traceId = vaultTraceId(doc.storageKey);
+    if (traceId) return { ...source, bytes: await SovereignPdfStore.get(String(tenantId), traceId) };
+    if (path.isAbsolute(doc.storageKey)) return { ...source, bytes: await fs.readFile(doc.storageKey) };
+    const url = await storageService.getSignedUrl(doc.storageKey, { expiresIn: 300 });
+    const { data } = await axios.get(url, { responseType: 'arraybuffer', timeout: 60000 });
+    return { ...source, bytes: Buffer.from(data) };
+  }
+
+  /**
+   * @function createBundle
+   * @desc Records a bundle for a matter in QUEUED state; the caller hands it to the bundle worker.
+   */
+  async createBundle(tenantId, { caseId, name, description, documents, options = {} }, { userId, traceId }) {
+    if (!mongoose.isValidObjectId(caseId)) throw bundleError(400, 'BUNDLE_ERROR: A valid caseId is required.');
+    const matter = await Matter.findOne({ _id: caseId, tenantId: String(tenantId) }).select('_id').lean();
+    if (!matter) throw bundleError(404, `BUNDLE_ERROR: Matter ${caseId} not found.`);
+
+    const ids = documents.map((entry) => String(entry.documentId));
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+    if (duplicates.length) throw bundleError(400, `BUNDLE_ERROR: Document(s) listed twice: ${[...new Set(duplicates)].join(', ')}.`);
+    const docs = await this.loadDocuments(tenantId, ids);
+
+    const bundle = await CourtBundle.create({
+      tenantId: String(tenantId),
+      caseId,
+      name,
+      description,
+      options,
+      documents: documents.map((entry) => {
+        const doc = docs.get(String(entry.documentId));
+        return {
+          documentId: doc._id,
+          order: entry.order,
+          section: entry.section || 'NONE',
+          title: entry.title || doc.title,
+          fingerprint: fingerprintDocument(doc)
+        };
+      }),
+      createdBy: userId,
+      updatedBy: userId
+    });
+
+    auditLogger.info('BUNDLE_CREATED', { tenantId, bundleId: bundle.bundleId, caseId, documents: ids.length, userId, traceId });
+    return bundle;
+  }
+
+  /**
+   * @function compile
+   * @desc Compiles the bundle into the PDF vault and records page ranges. Called by the bundle worker.
+   */
+  async compile(tenantId, bundleId) {
+    const bundle = await this.loadBundle(tenantId, bundleId);
+    bundle.status = BUNDLE_STATUS.COMPILING;
+    bundle.error = undefined;
+    await bundle.save();
+
+    try {
+      const docs = await this.loadDocuments(tenantId, bundle.documents.map((entry) => String(entry.documentId)));
+      const matter = await Matter.findOne({ _id: bundle.caseId, tenantId: String(tenantId) })
+        .select('title matterNumber courtDetails')
+        .lean();
+
+      const entries = [];
+      for (const entry of bundle.documents) {
+        const doc = docs.get(String(entry.documentId));
+        entries.push({
+          documentId: String(entry.documentId),
+          order: entry.order,
+          section: entry.section,
+          title: entry.title || doc.title,
+          date: doc.createdAt,
+          source: await this.readSource(tenantId, doc)
+        });
+      }
+
+      const court = matter?.courtDetails?.court;
+      const subtitle = [
+        court ? COURT_LABELS[court] || court.replace(/_/g, ' ') : null,
+        matter?.courtDetails?.caseNumber ? `Case No. ${matter.courtDetails.caseNumber}` : matter?.matterNumber,
+        matter?.title
+      ].filter(Boolean).join(' | ');
+
+      const { bytes, plan, totalPages, sealHash } = await compileBundle({
+        title: bundle.name,
+        subtitle,
+        entries,
+        options: bundle.options?.toObject?.() || bundle.options
+      });
+
+      const revision = bundle.revision + 1;
+      const traceId = `${bundle.bundleId}-R${revision}`;
+      await SovereignPdfStore.storePdf(String(tenantId), traceId, Buffer.from(bytes));
+
+      const placed = new Map(plan.items.filter((item) => item.kind === 'DOCUMENT').map((item) => [String(item.documentId), item]));
+      bundle.documents.forEach((entry) => {
+        const doc = docs.get(String(entry.documentId));
+        const item = placed.get(String(entry.documentId));
+        entry.fingerprint = fingerprintDocument(doc);
+        entry.item = item.item;
+        entry.pageStart = item.pageStart;
+        entry.pageEnd = item.pageEnd;
+        entry.pageCount = item.pageCount;
+      });
+      bundle.revision = revision;
+      bundle.status = BUNDLE_STATUS.READY;
+      bundle.output = {
+        traceId,
+        totalPages,
+        indexPages: plan.indexPages,
+        sizeBytes: bytes.length,
+        sealHash,
+        compiledAt: new Date()
+      };
+      await bundle.save();
+
+      auditLogger.info('BUNDLE_COMPILED', { tenantId, bundleId, revision, totalPages, sealHash });
+      return bundle;
+    } catch (error) {
+      bundle.status = BUNDLE_STATUS.FAILED;
+      bundle.error = error.message;
+      await bundle.save();
+      auditLogger.error('BUNDLE_COMPILE_FAILED', { tenantId, bundleId, error: error.message });
+      throw error;
+    }
+  }
+
+  async getBundle(tenantId, bundleId, viewer) {
+    return this.loadForViewer(tenantId, bundleId, viewer);
+  }
+
+  /**
+   * @function regenerateBundle
+   * @desc Queues a recompile only when a bundled document changed since the last compile (or `force` is set).
+   * @returns {Promise<{ bundle, regenerated: boolean, changed: string[] }>}
+   */
+  async regenerateBundle(tenantId, bundleId, { force = false } = {}, { userId, traceId }) {
+    const bundle = await this.loadBundle(tenantId, bundleId);
+    if ([BUNDLE_STATUS.QUEUED, BUNDLE_STATUS.COMPILING].includes(bundle.status)) {
+      throw bundleError(409, `BUNDLE_CONFLICT: Bundle is already ${bundle.status}.`);
+    }
+
+    const docs = await this.loadDocuments(tenantId, bundle.documents.map((entry) => String(entry.documentId)));
+    const changed = bundle.documents
+      .filter((entry) => entry.fingerprint !== fingerprintDocument(docs.get(String(entry.documentId))))
+      .map((entry) => String(entry.documentId));
+
+    if (!changed.length && !force && bundle.status === BUNDLE_STATUS.READY) {
+      return { bundle, regenerated: false, changed };
+    }
+
+    bundle.status = BUNDLE_STATUS.QUEUED;
+    bundle.updatedBy = userId;
+    await bundle.save();
+    auditLogger.info('BUNDLE_REGENERATION_QUEUED', { tenantId, bundleId, changed, force, userId, traceId });
+    return { bundle, regenerated: true, changed };
+  }
+
+  async archiveBundle(tenantId, bundleId, { userId, traceId }) {
+    const bundle = await this.loadBundle(tenantId, bundleId);
+    bundle.status = BUNDLE_STATUS.ARCHIVED;
+    bundle.updatedBy = userId;
+    await bundle.save();
+    auditLogger.warn('BUNDLE_ARCHIVED', { tenantId, bundleId, userId, traceId });
+    return { bundleId, status: bundle.status };
+  }
+
+  /**
+   * @function readBundlePdf
+   * @desc The compiled PDF of a READY bundle.
+   */
+  async readBundlePdf(tenantId, bundleId, viewer) {
+    const bundle = await this.loadForViewer(tenantId, bundleId, viewer);
+    if (bundle.status !== BUNDLE_STATUS.READY || !bundle.output?.traceId) {
+      throw bundleError(409, `BUNDLE_CONFLICT: Bundle is ${bundle.status}; there is no PDF to download yet.`);
+    }
+    return { bundle, pdf: await SovereignPdfStore.get(String(tenantId), bundle.output.traceId) };
+  }
+}
+
+export const bundleService = new BundleService();
+export default bundleService;
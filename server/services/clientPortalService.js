@@ -0,0 +1,1034 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - CLIENT PORTAL [V1.0.0-PORTAL]                                                                                               ║
+ * ║ [CLIENT SIGN-IN | OWN MATTERS | SHARED DOCUMENTS | INVOICES | TRUST STATEMENTS | FICA UPLOADS | SECURE MESSAGES | AUDITED ACCESS]      ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/clientPortalService.js                                           ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The firm invites the people acting for a Client to the portal; they set a password from the emailed link and sign
+ * in with it. A portal account is not a staff User: it reaches only its own client's matters, the documents the team
+ * has shared on them, the client's issued invoices and trust ledger, the FICA documents the client uploads and the
+ * secure conversation on each matter. Every client action, refusals included, is written to PortalActivity and the
+ * forensic ledger, and document reads and uploads to the Document's auditLog as well. Faults carry an HTTP `status`
+ * and a `code`.
+ */
+
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import Client from '../models/clientModel.js';
+import Matter from '../models/Matter.js';
+import Document from '../models/Document.js';
+import { VERSION_ORIGINS, vaultStorageKey } from '../models/DocumentVersion.js';
+import Invoice from '../models/Invoice.js';
+import TrustTransaction from '../models/TrustTransaction.js';
+import User from '../models/User.js';
+import PortalAccount from '../models/PortalAccount.js';
+import PortalMessage, { MESSAGE_DIRECTIONS } from '../models/PortalMessage.js';
+import PortalActivity from '../models/PortalActivity.js';
+import documentVersionService from './documentVersionService.js';
+import emailService from './emailService.js';
+import auditLogger from '../utils/auditLogger.js';
+import { encrypt, decrypt } from '../utils/cryptoCore.js';
+import { sniffMime } from '../utils/bundleCompiler.js';
+import { hashSecret, createToken, isToken, maskEmail } from '../utils/signingCeremony.js';
+import { passwordLock } from '../utils/documentSharing.js';
+import { watermarkPdf } from '../utils/watermark.js';
+import {
+  PORTAL_STATUS,
+  SETUP_PURPOSES,
+  PORTAL_EVENTS,
+  PORTAL_LIMITS,
+  FICA_DOCUMENT_TYPES,
+  CLIENT_INVOICE_STATUSES,
+  normalisePortalEmail,
+  checkPortalPassword,
+  sessionEndsAt,
+  isSessionLive,
+  pruneSessions,
+  normaliseFicaUpload,
+  normalisePortalMessage,
+  buildTrustStatement,
+  summariseInvoices
+} from '../utils/clientPortal.js';
+
+const SECRET_FIELDS = '+passwordHash +setupTokenHash +sessions';
+const PASSWORD_BCRYPT_ROUNDS = 12;
+
+const MATTER_FIELDS = 'matterNumber title matterType status stage openedDate closedDate responsibleAttorney.name team courtDetails.caseNumber courtDetails.nextHearingDate';
+const DOCUMENT_FIELDS = 'title matterId folder version metadata.mimeType metadata.fileSize sharing.client clientUpload createdAt updatedAt';
+const INVOICE_FIELDS = 'invoiceNumber matterId status currency issueDate dueDate paidDate subtotal taxAmount totalAmount amountPaid outstandingAmount';
+
+const portalError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = message.split(':')[0];
+  if (details) error.details = details;
+  return error;
+};
+
+const inputError = (error) => (/^PORTAL_ERROR: /.test(error.message) ? portalError(400, error.message) : error);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+
+const fileStem = (name) => String(name || 'document').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_').slice(0, 80);
+
+const personName = (user) => [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email;
+
+// What the bytes are, whatever the browser said; TIFF is the one scan format bundleCompiler does not sniff
+const fileType = (bytes) => (/^(49492a00|4d4d002a)/.test(bytes.subarray(0, 4).toString('hex')) ? 'image/tiff' : sniffMime(bytes));
+
+const asDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw portalError(400, `PORTAL_ERROR: ${field} must be a date.`);
+  return date;
+};
+
+class ClientPortalService {
+  appUrl(path) {
+    return `${process.env.APP_URL || 'http://localhost:3000'}${path}`;
+  }
+
+  /**
+   * @function record
+   * @desc Writes an entry to the account's PortalActivity and the forensic ledger: by the client, or by the firm
+   *       user whose userId is given. Refusals go to the ledger as security events.
+   */
+  async record(account, action, { userId, ip, userAgent } = {}, detail = {}) {
+    const { matterId, documentId, ...details } = detail;
+    await PortalActivity.create({
+      tenantId: account.tenantId,
+      accountId: account.accountId,
+      clientId: account.clientId,
+      action,
+      userId,
+      matterId: mongoose.isValidObjectId(matterId) ? matterId : undefined,
+      documentId: mongoose.isValidObjectId(documentId) ? documentId : undefined,
+      ipAddress: ip,
+      userAgent,
+      details
+    });
+    const denied = action === PORTAL_EVENTS.ACCESS_DENIED || action === PORTAL_EVENTS.LOGIN_FAILED;
+    auditLogger[denied ? 'security' : 'info'](`CLIENT_PORTAL_${action}`, {
+      tenantId: account.tenantId,
+      accountId: account.accountId,
+      clientId: String(account.clientId),
+      actor: userId ? String(userId) : maskEmail(account.email),
+      matterId: matterId ? String(matterId) : undefined,
+      documentId: documentId ? String(documentId) : undefined,
+      ip,
+      ...details
+    });
+  }
+
+  async deny(portal, meta, status, message, detail = {}) {
+    await this.record(portal.account, PORTAL_EVENTS.ACCESS_DENIED, meta, detail);
+    throw portalError(status, message);
+  }
+
+  accountView(account, now = new Date()) {
+    return {
+      accountId: account.accountId,
+      clientId: String(account.clientId),
+      email: account.email,
+      name: account.name,
+      status: account.status,
+      locked: passwordLock(account, now).locked,
+      invitedAt: account.invitedAt,
+      invitedBy: account.invitedBy,
+      activatedAt: account.activatedAt,
+      lastLoginAt: account.lastLoginAt,
+      suspendedAt: account.suspendedAt,
+      suspendReason: account.suspendReason
+    };
+  }
+
+  // ------------------------------
+  // FIRM SIDE
+  // ------------------------------
+
+  async loadClient(tenantId, clientId) {
+    if (!mongoose.isValidObjectId(clientId)) throw portalError(400, `PORTAL_ERROR: Invalid client id ${clientId}.`);
+    const client = await Client.findOne({ _id: clientId, tenantId: String(tenantId) }).lean();
+    if (!client) throw portalError(404, `PORTAL_NOT_FOUND: Client ${clientId} not found.`);
+    return client;
+  }
+
+  async loadAccount(tenantId, accountId, select = '') {
+    const account = await PortalAccount.findOne({ tenantId: String(tenantId), accountId }).select(select);
+    if (!account) throw portalError(404, `PORTAL_NOT_FOUND: Portal account ${accountId} not found.`);
+    return account;
+  }
+
+  /**
+   * @function issueSetupLink
+   * @desc Puts a fresh single-use set-password link on the account, replacing any earlier one, and emails it.
+   */
+  async issueSetupLink(account, purpose, { clientName, invitedBy } = {}) {
+    const token = createToken();
+    const ttl = purpose === SETUP_PURPOSES.INVITE ? PORTAL_LIMITS.INVITE_TTL_DAYS * 86400000 : PORTAL_LIMITS.RESET_TTL_MS;
+    account.set({ setupTokenHash: hashSecret(token), setupPurpose: purpose, setupExpiresAt: new Date(Date.now() + ttl) });
+    await account.save();
+    const result = await emailService.sendPortalInvitation(account.email, {
+      name: account.name,
+      clientName,
+      invitedBy,
+      reset: purpose === SETUP_PURPOSES.RESET,
+      accountId: account.accountId,
+      setupUrl: this.appUrl(`/portal/setup/${token}`),
+      expiresOn: formatDate(account.setupExpiresAt)
+    });
+    return Boolean(result?.success);
+  }
+
+  /**
+   * @function invite
+   * @desc Opens a portal account for someone acting for the client and emails them the link to set a password. The
+   *       email defaults to the one on the client's record.
+   */
+  async invite(tenantId, clientId, { email, name } = {}, { userId, invitedBy, traceId, ip, userAgent } = {}) {
+    const client = await this.loadClient(tenantId, clientId);
+    let address;
+    try {
+      address = normalisePortalEmail(email || (client.piiVault?.emailCiphertext && decrypt(client.piiVault.emailCiphertext, String(tenantId))));
+    } catch (error) {
+      throw inputError(error);
+    }
+    if (await PortalAccount.exists({ tenantId: String(tenantId), email: address })) {
+      throw portalError(409, `PORTAL_CONFLICT: ${address} already has a portal account with this firm.`);
+    }
+
+    const account = new PortalAccount({
+      tenantId: String(tenantId),
+      clientId: client._id,
+      email: address,
+      name: name ? String(name).trim() : client.name,
+      invitedBy: userId
+    });
+    const emailed = await this.issueSetupLink(account, SETUP_PURPOSES.INVITE, { clientName: client.name, invitedBy });
+    await this.record(account, PORTAL_EVENTS.INVITED, { userId, ip, userAgent }, { email: maskEmail(address), emailed, traceId });
+    return { ...this.accountView(account), emailed };
+  }
+
+  /**
+   * @function listAccounts
+   * @desc The client's portal accounts.
+   */
+  async listAccounts(tenantId, clientId) {
+    const client = await this.loadClient(tenantId, clientId);
+    const accounts = await PortalAccount.find({ tenantId: String(tenantId), clientId: client._id }).sort({ createdAt: 1 }).lean();
+    const now = new Date();
+    return accounts.map((account) => this.accountView(account, now));
+  }
+
+  /**
+   * @function resendInvitation
+   * @desc Emails a new set-password link to an account that has not been activated; the old link stops working.
+   */
+  async resendInvitation(tenantId, accountId, { userId, invitedBy, traceId, ip, userAgent } = {}) {
+    const account = await this.loadAccount(tenantId, accountId, SECRET_FIELDS);
+    if (account.status !== PORTAL_STATUS.INVITED) {
+      throw portalError(409, `PORTAL_CONFLICT: Account ${accountId} is ${account.status.toLowerCase()}; only pending invitations can be resent.`);
+    }
+    const client = await this.loadClient(tenantId, account.clientId);
+    const emailed = await this.issueSetupLink(account, SETUP_PURPOSES.INVITE, { clientName: client.name, invitedBy });
+    await this.record(account, PORTAL_EVENTS.INVITE_RESENT, { userId, ip, userAgent }, { emailed, traceId });
+    return { ...this.accountView(account), emailed };
+  }
+
+  /**
+   * @function suspend
+   * @desc Shuts the account out at once: its sessions and any set-password link end.
+   */
+  async suspend(tenantId, accountId, { reason } = {}, { userId, traceId, ip, userAgent } = {}) {
+    const account = await this.loadAccount(tenantId, accountId, SECRET_FIELDS);
+    if (account.status === PORTAL_STATUS.SUSPENDED) {
+      throw portalError(409, `PORTAL_CONFLICT: Account ${accountId} was already suspended on ${account.suspendedAt.toISOString()}.`);
+    }
+    account.set({
+      status: PORTAL_STATUS.SUSPENDED,
+      suspendedAt: new Date(),
+      suspendedBy: userId,
+      suspendReason: reason,
+      sessions: [],
+      setupTokenHash: undefined,
+      setupPurpose: undefined,
+      setupExpiresAt: undefined
+    });
+    await account.save();
+    await this.record(account, PORTAL_EVENTS.SUSPENDED, { userId, ip, userAgent }, { reason, traceId });
+    return this.accountView(account);
+  }
+
+  /**
+   * @function reinstate
+   * @desc Lets a suspended account back in. One that never set a password goes back to awaiting its invitation.
+   */
+  async reinstate(tenantId, accountId, { userId, traceId, ip, userAgent } = {}) {
+    const account = await this.loadAccount(tenantId, accountId, SECRET_FIELDS);
+    if (account.status !== PORTAL_STATUS.SUSPENDED) throw portalError(409, `PORTAL_CONFLICT: Account ${accountId} is not suspended.`);
+    account.set({
+      status: account.passwordHash ? PORTAL_STATUS.ACTIVE : PORTAL_STATUS.INVITED,
+      suspendedAt: undefined,
+      suspendedBy: undefined,
+      suspendReason: undefined,
+      failedLogins: 0,
+      lockedUntil: undefined
+    });
+    await account.save();
+    await this.record(account, PORTAL_EVENTS.REINSTATED, { userId, ip, userAgent }, { traceId });
+    return this.accountView(account);
+  }
+
+  /**
+   * @function activity
+   * @desc The account's audit trail, newest first.
+   */
+  async activity(tenantId, accountId, { limit = 100, before } = {}) {
+    const account = await this.loadAccount(tenantId, accountId);
+    const filter = { tenantId: String(tenantId), accountId: account.accountId };
+    const until = asDate(before, 'before');
+    if (until) filter.at = { $lt: until };
+    return PortalActivity.find(filter)
+      .sort({ at: -1 })
+      .limit(Math.min(Math.max(Number(limit) || 100, 1), 500))
+      .lean();
+  }
+
+  /**
+   * @function shareDocument
+   * @desc Shows a document in the portal to the client whose matter it is filed on, or stops showing it.
+   */
+  async shareDocument(tenantId, documentId, { shared = true } = {}, { userId, traceId, ip, userAgent } = {}) {
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    if (!doc.matterId) throw portalError(400, 'PORTAL_ERROR: Only documents filed on a matter can be shared with the client.');
+    const matter = await Matter.findOne({ _id: doc.matterId, tenantId: String(tenantId) }).select('clientId matterNumber').lean();
+    if (!matter?.clientId) throw portalError(400, 'PORTAL_ERROR: The matter has no client to share the document with.');
+
+    const visible = Boolean(shared);
+    if (Boolean(doc.sharing?.client?.shared) !== visible) {
+      doc.set('sharing.client', visible ? { shared: true, sharedAt: new Date(), sharedBy: userId } : { shared: false });
+      doc.auditLog.push({
+        action: visible ? 'CLIENT_SHARED' : 'CLIENT_UNSHARED',
+        performedBy: userId,
+        ipAddress: ip,
+        userAgent,
+        details: { clientId: String(matter.clientId), versionNumber: doc.version }
+      });
+      await doc.save();
+      auditLogger.info(visible ? 'DOCUMENT_CLIENT_SHARED' : 'DOCUMENT_CLIENT_UNSHARED', {
+        tenantId: String(tenantId),
+        documentId: String(doc._id),
+        matterId: String(doc.matterId),
+        clientId: String(matter.clientId),
+        userId: userId ? String(userId) : undefined,
+        traceId
+      });
+    }
+    return {
+      documentId: String(doc._id),
+      matterId: String(doc.matterId),
+      clientId: String(matter.clientId),
+      shared: visible,
+      sharedAt: doc.sharing?.client?.sharedAt,
+      sharedBy: doc.sharing?.client?.sharedBy
+    };
+  }
+
+  async teamMatter(tenantId, matterId) {
+    if (!mongoose.isValidObjectId(matterId)) throw portalError(400, `PORTAL_ERROR: Invalid matter id ${matterId}.`);
+    const matter = await Matter.findOne({ _id: matterId, tenantId: String(tenantId) }).select('clientId matterNumber title').lean();
+    if (!matter) throw portalError(404, `PORTAL_NOT_FOUND: Matter ${matterId} not found.`);
+    if (!matter.clientId) throw portalError(400, 'PORTAL_ERROR: The matter has no client to message.');
+    return matter;
+  }
+
+  messageView(message, tenantId) {
+    return {
+      messageId: message.messageId,
+      matterId: String(message.matterId),
+      direction: message.direction,
+      body: decrypt(message.bodyCiphertext, String(tenantId)),
+      author: message.authorName,
+      sentAt: message.createdAt,
+      readAt: message.readAt
+    };
+  }
+
+  /**
+   * @function matterMessages
+   * @desc The matter's conversation with the client, for the team. Opening it marks the client's messages read.
+   */
+  async matterMessages(tenantId, matterId, { userId } = {}) {
+    const matter = await this.teamMatter(tenantId, matterId);
+    const filter = { tenantId: String(tenantId), matterId: matter._id };
+    await PortalMessage.updateMany(
+      { ...filter, direction: MESSAGE_DIRECTIONS.FROM_CLIENT, readAt: null },
+      { $set: { readAt: new Date(), readBy: userId } }
+    );
+    const messages = await PortalMessage.find(filter).sort({ createdAt: 1 }).lean();
+    return messages.map((message) => this.messageView(message, tenantId));
+  }
+
+  /**
+   * @function reply
+   * @desc A message from the team to the client on a matter. Every active portal account of the client is told by
+   *       email that a message is waiting; the text itself is only in the portal.
+   */
+  async reply(tenantId, matterId, input = {}, { userId, authorName, traceId, ip, userAgent } = {}) {
+    const matter = await this.teamMatter(tenantId, matterId);
+    let message;
+    try {
+      message = normalisePortalMessage(input);
+    } catch (error) {
+      throw inputError(error);
+    }
+    const saved = await PortalMessage.create({
+      tenantId: String(tenantId),
+      clientId: matter.clientId,
+      matterId: matter._id,
+      direction: MESSAGE_DIRECTIONS.FROM_FIRM,
+      bodyCiphertext: encrypt(message.body, String(tenantId)),
+      userId,
+      authorName
+    });
+
+    const accounts = await PortalAccount.find({ tenantId: String(tenantId), clientId: matter.clientId, status: PORTAL_STATUS.ACTIVE });
+    for (const account of accounts) {
+      const result = await emailService.sendPortalMessageNotice(account.email, {
+        from: authorName || 'Your legal team',
+        matterNumber: matter.matterNumber,
+        matterTitle: matter.title,
+        messageId: saved.messageId,
+        readUrl: this.appUrl(`/portal/matters/${matter._id}/messages`)
+      });
+      await this.record(account, PORTAL_EVENTS.MESSAGE_RECEIVED, { userId, ip, userAgent }, {
+        matterId: matter._id,
+        messageId: saved.messageId,
+        emailed: Boolean(result?.success),
+        traceId
+      });
+    }
+    return { ...this.messageView(saved, tenantId), notified: accounts.length };
+  }
+
+  // ------------------------------
+  // SIGN-IN
+  // ------------------------------
+
+  async openSession(account, { ip, userAgent } = {}) {
+    const token = createToken();
+    const now = new Date();
+    const session = { tokenHash: hashSecret(token), createdAt: now, lastSeenAt: now, ip, userAgent };
+    account.set({
+      sessions: [...pruneSessions(account.sessions, now), session],
+      failedLogins: 0,
+      lockedUntil: undefined,
+      lastLoginAt: now
+    });
+    await account.save();
+    return { sessionToken: token, sessionExpiresAt: sessionEndsAt(session) };
+  }
+
+  /**
+   * @function setPassword
+   * @desc Uses an emailed link to set the password, which activates an invited account, and signs in. A reset
+   *       signs out every other device.
+   */
+  async setPassword(token, password, meta = {}) {
+    const account = isToken(token) && await PortalAccount.findOne({ setupTokenHash: hashSecret(token) }).select(SECRET_FIELDS);
+    if (!account || !account.setupExpiresAt || account.setupExpiresAt <= new Date()) {
+      throw portalError(410, 'PORTAL_LINK_EXPIRED: This link has expired or was already used; ask for a new one.');
+    }
+    if (account.status === PORTAL_STATUS.SUSPENDED) {
+      await this.record(account, PORTAL_EVENTS.ACCESS_DENIED, meta, { reason: 'SUSPENDED' });
+      throw portalError(403, 'PORTAL_SUSPENDED: Your portal access has been suspended; contact your attorney.');
+    }
+    try {
+      checkPortalPassword(password, { email: account.email });
+    } catch (error) {
+      throw inputError(error);
+    }
+
+    const activation = account.setupPurpose === SETUP_PURPOSES.INVITE;
+    account.set({
+      passwordHash: await bcrypt.hash(String(password), PASSWORD_BCRYPT_ROUNDS),
+      passwordChangedAt: new Date(),
+      setupTokenHash: undefined,
+      setupPurpose: undefined,
+      setupExpiresAt: undefined,
+      ...(activation ? { status: PORTAL_STATUS.ACTIVE, activatedAt: account.activatedAt || new Date() } : { sessions: [] })
+    });
+    const session = await this.openSession(account, meta);
+    await this.record(account, activation ? PORTAL_EVENTS.ACTIVATED : PORTAL_EVENTS.PASSWORD_RESET, meta);
+    return { ...session, account: this.accountView(account) };
+  }
+
+  /**
+   * @function requestPasswordReset
+   * @desc Emails a reset link (or, before activation, a new invitation link). The answer is the same whether or not
+   *       the address has an account, so it cannot be used to find out who is a client.
+   */
+  async requestPasswordReset(tenantId, email, meta = {}) {
+    let address;
+    try {
+      address = normalisePortalEmail(email);
+    } catch (error) {
+      throw inputError(error);
+    }
+    const account = await PortalAccount.findOne({ tenantId: String(tenantId), email: address, status: { $ne: PORTAL_STATUS.SUSPENDED } }).select(SECRET_FIELDS);
+    if (account) {
+      const client = await Client.findOne({ _id: account.clientId, tenantId: account.tenantId }).select('name').lean();
+      const purpose = account.status === PORTAL_STATUS.INVITED ? SETUP_PURPOSES.INVITE : SETUP_PURPOSES.RESET;
+      const emailed = await this.issueSetupLink(account, purpose, { clientName: client?.name });
+      await this.record(account, PORTAL_EVENTS.PASSWORD_RESET_REQUESTED, meta, { purpose, emailed });
+    } else {
+      auditLogger.security('CLIENT_PORTAL_PASSWORD_RESET_UNKNOWN', { tenantId: String(tenantId), email: maskEmail(address), ip: meta.ip });
+    }
+    return { sent: true, email: maskEmail(address) };
+  }
+
+  /**
+   * @function login
+   * @desc Signs in with email and password. Wrong passwords lock the account for a while after too many in a row.
+   */
+  async login(tenantId, email, password, meta = {}) {
+    const refused = () => portalError(401, 'PORTAL_LOGIN_FAILED: The email address or password is incorrect.');
+    let address;
+    try {
+      address = normalisePortalEmail(email);
+    } catch {
+      throw refused();
+    }
+    const account = await PortalAccount.findOne({ tenantId: String(tenantId), email: address }).select(SECRET_FIELDS);
+    if (!account?.passwordHash) {
+      // Compared anyway so that an unknown address takes as long to refuse as a wrong password
+      this.decoyHash = this.decoyHash || await bcrypt.hash(createToken(), PASSWORD_BCRYPT_ROUNDS);
+      await bcrypt.compare(String(password || ''), this.decoyHash);
+      auditLogger.security('CLIENT_PORTAL_LOGIN_UNKNOWN', { tenantId: String(tenantId), email: maskEmail(address), ip: meta.ip });
+      throw refused();
+    }
+
+    const lock = passwordLock(account);
+    if (lock.locked) {
+      await this.record(account, PORTAL_EVENTS.LOGIN_FAILED, meta, { reason: 'LOCKED' });
+      throw portalError(423, `PORTAL_LOCKED: Too many incorrect passwords; try again after ${lock.until.toISOString()}.`, { retryAfter: lock.until });
+    }
+    if (!(await bcrypt.compare(String(password || ''), account.passwordHash))) {
+      const attempts = (account.failedLogins || 0) + 1;
+      const locks = attempts >= PORTAL_LIMITS.LOGIN_MAX_ATTEMPTS;
+      account.set({ failedLogins: locks ? 0 : attempts, lockedUntil: locks ? new Date(Date.now() + PORTAL_LIMITS.LOCKOUT_MS) : account.lockedUntil });
+      await account.save();
+      await this.record(account, PORTAL_EVENTS.LOGIN_FAILED, meta, { reason: locks ? 'LOCKED' : 'WRONG_PASSWORD' });
+      if (locks) throw portalError(423, 'PORTAL_LOCKED: Too many incorrect passwords; try again later.');
+      throw refused();
+    }
+    // Only told to someone who knows the password
+    if (account.status !== PORTAL_STATUS.ACTIVE) {
+      await this.record(account, PORTAL_EVENTS.LOGIN_FAILED, meta, { reason: account.status });
+      throw portalError(403, 'PORTAL_SUSPENDED: Your portal access has been suspended; contact your attorney.');
+    }
+
+    const session = await this.openSession(account, meta);
+    await this.record(account, PORTAL_EVENTS.LOGGED_IN, meta);
+    return { ...session, account: this.accountView(account) };
+  }
+
+  /**
+   * @function authenticate
+   * @desc The account and client behind a session token, checked on every request: a lapsed session, a suspended
+   *       account or a removed client is refused. Each request keeps the session alive.
+   */
+  async authenticate(sessionToken, meta = {}) {
+    if (!isToken(sessionToken)) throw portalError(401, 'PORTAL_SESSION_REQUIRED: Sign in to the client portal.');
+    const tokenHash = hashSecret(sessionToken);
+    const account = await PortalAccount.findOne({ 'sessions.tokenHash': tokenHash }).select('+sessions');
+    const session = account?.sessions.find((entry) => entry.tokenHash === tokenHash);
+    if (!account || !isSessionLive(session)) throw portalError(401, 'PORTAL_SESSION_REQUIRED: Your session has ended; sign in again.');
+
+    const portal = { account, tokenHash };
+    if (account.status !== PORTAL_STATUS.ACTIVE) {
+      await this.deny(portal, meta, 403, 'PORTAL_SUSPENDED: Your portal access has been suspended; contact your attorney.', { reason: account.status });
+    }
+    portal.client = await Client.findOne({ _id: account.clientId, tenantId: account.tenantId }).lean();
+    if (!portal.client) await this.deny(portal, meta, 403, 'PORTAL_SUSPENDED: Your client record is no longer available.', { reason: 'CLIENT_REMOVED' });
+
+    await PortalAccount.updateOne({ _id: account._id, 'sessions.tokenHash': tokenHash }, { $set: { 'sessions.$.lastSeenAt': new Date() } });
+    return portal;
+  }
+
+  /**
+   * @function logout
+   * @desc Ends this session only.
+   */
+  async logout(portal, meta = {}) {
+    await PortalAccount.updateOne({ _id: portal.account._id }, { $pull: { sessions: { tokenHash: portal.tokenHash } } });
+    await this.record(portal.account, PORTAL_EVENTS.LOGGED_OUT, meta);
+    return { signedOut: true };
+  }
+
+  // ------------------------------
+  // CLIENT SIDE
+  // ------------------------------
+
+  scope(portal) {
+    return { tenantId: portal.account.tenantId, clientId: portal.client._id };
+  }
+
+  async clientMatters(portal) {
+    return Matter.find({ ...this.scope(portal), status: { $ne: 'deleted' } })
+      .select(MATTER_FIELDS)
+      .sort({ openedDate: -1 })
+      .setOptions({ ethicalWall: false })
+      .lean();
+  }
+
+  /**
+   * @function clientMatter
+   * @desc One of the client's own matters. Any other id is refused and the attempt recorded.
+   */
+  async clientMatter(portal, matterId, meta = {}) {
+    const matter = mongoose.isValidObjectId(matterId) && await Matter.findOne({ _id: matterId, ...this.scope(portal), status: { $ne: 'deleted' } })
+      .select(MATTER_FIELDS)
+      .setOptions({ ethicalWall: false })
+      .lean();
+    if (!matter) await this.deny(portal, meta, 404, 'PORTAL_NOT_FOUND: Matter not found.', { reason: 'NOT_CLIENT_MATTER', requested: String(matterId) });
+    return matter;
+  }
+
+  matterView(matter) {
+    return {
+      matterId: String(matter._id),
+      matterNumber: matter.matterNumber,
+      title: matter.title,
+      matterType: matter.matterType,
+      status: matter.status,
+      stage: matter.stage,
+      openedDate: matter.openedDate,
+      closedDate: matter.closedDate,
+      responsibleAttorney: matter.responsibleAttorney?.name,
+      caseNumber: matter.courtDetails?.caseNumber,
+      nextHearingDate: matter.courtDetails?.nextHearingDate
+    };
+  }
+
+  /**
+   * @function profile
+   * @desc The signed-in account and the client it acts for.
+   */
+  profile(portal) {
+    return {
+      account: this.accountView(portal.account),
+      client: {
+        clientId: String(portal.client._id),
+        name: portal.client.name,
+        tradingName: portal.client.tradingName,
+        reference: portal.client.clientReference,
+        ficaStatus: portal.client.compliance?.ficaStatus
+      }
+    };
+  }
+
+  /**
+   * @function overview
+   * @desc The portal's landing page: open matters, what is owed, the trust balance and unread messages.
+   */
+  async overview(portal, meta = {}) {
+    const scope = this.scope(portal);
+    const [matters, invoices, transactions, unread] = await Promise.all([
+      this.clientMatters(portal),
+      this.clientInvoices(portal),
+      this.clientTrustMovements(portal),
+      PortalMessage.countDocuments({ ...scope, direction: MESSAGE_DIRECTIONS.FROM_FIRM, readAt: null })
+    ]);
+    await this.record(portal.account, PORTAL_EVENTS.OVERVIEW_VIEWED, meta);
+    return {
+      ...this.profile(portal),
+      matters: { total: matters.length, open: matters.filter((matter) => !matter.closedDate).length },
+      invoices: summariseInvoices(invoices),
+      trustBalance: buildTrustStatement(transactions).closingBalance,
+      unreadMessages: unread
+    };
+  }
+
+  /**
+   * @function matters
+   * @desc The client's matters, newest first.
+   */
+  async matters(portal, meta = {}) {
+    const matters = await this.clientMatters(portal);
+    await this.record(portal.account, PORTAL_EVENTS.MATTERS_VIEWED, meta, { count: matters.length });
+    return matters.map((matter) => this.matterView(matter));
+  }
+
+  /**
+   * @function matter
+   * @desc One matter with the names of the team working on it.
+   */
+  async matter(portal, matterId, meta = {}) {
+    const matter = await this.clientMatter(portal, matterId, meta);
+    const team = await User.find({ _id: { $in: (matter.team || []).map((member) => member.userId).filter(Boolean) } })
+      .select('firstName lastName')
+      .lean();
+    const roles = new Map((matter.team || []).map((member) => [String(member.userId), member.role]));
+    await this.record(portal.account, PORTAL_EVENTS.MATTER_VIEWED, meta, { matterId: matter._id });
+    return {
+      ...this.matterView(matter),
+      team: team.map((user) => ({ name: personName(user), role: roles.get(String(user._id)) }))
+    };
+  }
+
+  // Which documents a client may open: those shared with them on their matters, and their own uploads
+  async visibleDocuments(portal, { matterIds, documentId } = {}) {
+    const scope = this.scope(portal);
+    const ids = matterIds || (await this.clientMatters(portal)).map((matter) => matter._id);
+    const filter = {
+      tenantId: scope.tenantId,
+      status: { $ne: 'deleted' },
+      $or: [
+        { matterId: { $in: ids }, 'sharing.client.shared': true },
+        { 'clientUpload.clientId': scope.clientId, ...(matterIds && { matterId: { $in: ids } }) }
+      ]
+    };
+    if (documentId) filter._id = documentId;
+    return filter;
+  }
+
+  documentView(doc, portal) {
+    const own = String(doc.clientUpload?.clientId) === String(portal.client._id);
+    return {
+      documentId: String(doc._id),
+      title: doc.title,
+      matterId: doc.matterId ? String(doc.matterId) : undefined,
+      folder: doc.folder,
+      version: doc.version,
+      mimeType: doc.metadata?.mimeType,
+      fileSize: doc.metadata?.fileSize,
+      sharedAt: own ? undefined : doc.sharing?.client?.sharedAt,
+      uploadedByClient: own,
+      ficaType: own ? doc.clientUpload.ficaType : undefined,
+      uploadedAt: own ? doc.clientUpload.uploadedAt : undefined,
+      updatedAt: doc.updatedAt
+    };
+  }
+
+  /**
+   * @function documents
+   * @desc The documents the team has shared with the client, and the client's own uploads, newest first.
+   */
+  async documents(portal, { matterId } = {}, meta = {}) {
+    const matterIds = matterId ? [(await this.clientMatter(portal, matterId, meta))._id] : undefined;
+    const docs = await Document.find(await this.visibleDocuments(portal, { matterIds }))
+      .select(DOCUMENT_FIELDS)
+      .sort({ updatedAt: -1 })
+      .setOptions({ ethicalWall: false })
+      .lean();
+    await this.record(portal.account, PORTAL_EVENTS.DOCUMENTS_VIEWED, meta, { matterId, count: docs.length });
+    return docs.map((doc) => this.documentView(doc, portal));
+  }
+
+  /**
+   * @function downloadDocument
+   * @desc The current version of a document the client may open. A shared document is a PDF stamped on every page
+   *       with the account's email and the time; the client's own uploads come back as they were sent.
+   */
+  async downloadDocument(portal, documentId, meta = {}) {
+    const doc = mongoose.isValidObjectId(documentId)
+      && await Document.findOne(await this.visibleDocuments(portal, { documentId })).setOptions({ ethicalWall: false });
+    if (!doc) await this.deny(portal, meta, 404, 'PORTAL_NOT_FOUND: Document not found.', { reason: 'NOT_SHARED', requested: String(documentId) });
+
+    const { tenantId } = this.scope(portal);
+    await documentVersionService.ensureBaseline(tenantId, doc);
+    const version = await documentVersionService.findVersion(tenantId, doc, doc.version);
+    const bytes = await documentVersionService.readVersion(tenantId, version);
+    const own = String(doc.clientUpload?.clientId) === String(portal.client._id);
+    const at = new Date();
+
+    let file;
+    if (own) {
+      file = { bytes, mimeType: version.mimeType, filename: version.fileName || doc.title };
+    } else {
+      try {
+        const stamped = await watermarkPdf(
+          { bytes, mimeType: version.mimeType, filename: version.fileName },
+          { email: portal.account.email, at, reference: portal.account.accountId },
+          { title: doc.title }
+        );
+        file = { bytes: stamped.pdf, mimeType: 'application/pdf', filename: `${fileStem(version.fileName || doc.title)}.pdf` };
+      } catch (error) {
+        throw /^WATERMARK_ERROR: /.test(error.message) ? portalError(422, error.message) : error;
+      }
+    }
+
+    await Document.updateOne({ _id: doc._id }, {
+      $push: {
+        auditLog: {
+          action: 'CLIENT_DOWNLOADED',
+          externalActor: portal.account.email,
+          ipAddress: meta.ip,
+          userAgent: meta.userAgent,
+          details: { accountId: portal.account.accountId, versionNumber: version.versionNumber, watermarkedAt: own ? undefined : at }
+        }
+      }
+    });
+    await this.record(portal.account, PORTAL_EVENTS.DOCUMENT_DOWNLOADED, meta, {
+      documentId: doc._id,
+      matterId: doc.matterId,
+      versionNumber: version.versionNumber,
+      watermarked: !own
+    });
+    return file;
+  }
+
+  async clientInvoices(portal, filter = {}) {
+    const { tenantId, clientId } = this.scope(portal);
+    return Invoice.find({
+      tenantId,
+      clientId: String(clientId),
+      status: { $in: CLIENT_INVOICE_STATUSES },
+      isCurrent: { $ne: false },
+      ...filter
+    })
+      .select(INVOICE_FIELDS)
+      .sort({ issueDate: -1 })
+      .setOptions({ ethicalWall: false })
+      .lean();
+  }
+
+  invoiceView(invoice) {
+    return {
+      invoiceId: String(invoice._id),
+      invoiceNumber: invoice.invoiceNumber,
+      matterId: invoice.matterId,
+      status: invoice.status,
+      currency: invoice.currency,
+      issueDate: invoice.issueDate,
+      dueDate: invoice.dueDate,
+      paidDate: invoice.paidDate,
+      subtotal: invoice.subtotal,
+      taxAmount: invoice.taxAmount,
+      totalAmount: invoice.totalAmount,
+      amountPaid: invoice.amountPaid,
+      outstandingAmount: invoice.outstandingAmount
+    };
+  }
+
+  /**
+   * @function invoices
+   * @desc The client's issued invoices, newest first, with what is billed, paid, outstanding and overdue.
+   */
+  async invoices(portal, { matterId } = {}, meta = {}) {
+    const filter = matterId ? { matterId: String((await this.clientMatter(portal, matterId, meta))._id) } : {};
+    const invoices = await this.clientInvoices(portal, filter);
+    await this.record(portal.account, PORTAL_EVENTS.INVOICES_VIEWED, meta, { matterId, count: invoices.length });
+    return { summary: summariseInvoices(invoices), invoices: invoices.map((invoice) => this.invoiceView(invoice)) };
+  }
+
+  /**
+   * @function invoice
+   * @desc One invoice with its lines and the payments received against it.
+   */
+  async invoice(portal, invoiceId, meta = {}) {
+    const [found] = mongoose.isValidObjectId(invoiceId) ? await this.clientInvoices(portal, { _id: invoiceId }) : [];
+    if (!found) await this.deny(portal, meta, 404, 'PORTAL_NOT_FOUND: Invoice not found.', { reason: 'NOT_CLIENT_INVOICE', requested: String(invoiceId) });
+    const invoice = await Invoice.findById(found._id).select('lineItems paymentHistory').setOptions({ ethicalWall: false }).lean();
+    await this.record(portal.account, PORTAL_EVENTS.INVOICE_VIEWED, meta, { matterId: found.matterId, invoiceNumber: found.invoiceNumber });
+    return {
+      ...this.invoiceView(found),
+      lineItems: (invoice.lineItems || []).map(({ description, quantity, units, unitPrice, taxAmount, lineTotal }) => ({
+        description, quantity, units, unitPrice, taxAmount, lineTotal
+      })),
+      payments: (invoice.paymentHistory || [])
+        .filter((payment) => payment.status !== 'REVERSED')
+        .map(({ paymentDate, amount, paymentMethod, reference }) => ({ paymentDate, amount, paymentMethod, reference }))
+    };
+  }
+
+  async clientTrustMovements(portal, matterId) {
+    return TrustTransaction.find({ ...this.scope(portal), ...(matterId && { matterId }), investmentId: null })
+      .select('transactionId matterId type amount createdAt lpcReference method')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+  }
+
+  /**
+   * @function trustStatement
+   * @desc The client's trust statement for a period (default: everything to date), per matter.
+   */
+  async trustStatement(portal, { matterId, from, to } = {}, meta = {}) {
+    const start = asDate(from, 'from');
+    const end = asDate(to, 'to');
+    if (start && end && start > end) throw portalError(400, 'PORTAL_ERROR: from must be on or before to.');
+    const matter = matterId ? await this.clientMatter(portal, matterId, meta) : null;
+    const [transactions, matters] = await Promise.all([
+      this.clientTrustMovements(portal, matter?._id),
+      matter ? [matter] : this.clientMatters(portal)
+    ]);
+
+    const statement = buildTrustStatement(transactions, { from: start, to: end });
+    const names = new Map(matters.map((entry) => [String(entry._id), entry]));
+    await this.record(portal.account, PORTAL_EVENTS.TRUST_STATEMENT_VIEWED, meta, { matterId, from: start, to: end });
+    return {
+      client: { name: portal.client.name, reference: portal.client.clientReference },
+      currency: 'ZAR',
+      generatedAt: new Date(),
+      ...statement,
+      matters: statement.matters.map((ledger) => ({
+        ...ledger,
+        matterNumber: names.get(ledger.matterId)?.matterNumber,
+        title: names.get(ledger.matterId)?.title
+      }))
+    };
+  }
+
+  /**
+   * @function fica
+   * @desc The client's FICA status, the documents that can be handed in and those already uploaded.
+   */
+  async fica(portal, meta = {}) {
+    const uploads = await Document.find({ tenantId: portal.account.tenantId, 'clientUpload.clientId': portal.client._id, status: { $ne: 'deleted' } })
+      .select(DOCUMENT_FIELDS)
+      .sort({ createdAt: -1 })
+      .setOptions({ ethicalWall: false })
+      .lean();
+    await this.record(portal.account, PORTAL_EVENTS.FICA_VIEWED, meta, { count: uploads.length });
+    return {
+      ficaStatus: portal.client.compliance?.ficaStatus,
+      documentTypes: Object.entries(FICA_DOCUMENT_TYPES).map(([ficaType, label]) => ({ ficaType, label })),
+      uploads: uploads.map((doc) => this.documentView(doc, portal))
+    };
+  }
+
+  /**
+   * @function uploadFica
+   * @desc Files a FICA document from the client in the encrypted vault as a new Document (on one of their matters
+   *       if they name it) for the firm's compliance staff to check.
+   */
+  async uploadFica(portal, file, { ficaType, matterId, note } = {}, meta = {}) {
+    const bytes = file?.buffer;
+    let upload;
+    try {
+      upload = normaliseFicaUpload({ ficaType, fileName: file?.originalname, mimeType: bytes?.length ? fileType(bytes) : undefined, size: bytes?.length, note });
+    } catch (error) {
+      throw inputError(error);
+    }
+    const matter = matterId ? await this.clientMatter(portal, matterId, meta) : null;
+    const { tenantId, clientId } = this.scope(portal);
+    const { account } = portal;
+    const now = new Date();
+
+    const doc = await Document.create({
+      title: `FICA - ${upload.label}`.slice(0, 200),
+      description: upload.note,
+      tenantId,
+      matterId: matter?._id,
+      folder: 'FICA',
+      categories: ['FICA'],
+      complianceTags: ['FICA'],
+      metadata: { documentType: upload.ficaType },
+      clientUpload: { accountId: account.accountId, clientId, ficaType: upload.ficaType, note: upload.note, uploadedAt: now },
+      auditLog: [{
+        action: 'CLIENT_UPLOADED',
+        externalActor: account.email,
+        ipAddress: meta.ip,
+        userAgent: meta.userAgent,
+        details: { accountId: account.accountId, ficaType: upload.ficaType, fileName: upload.fileName }
+      }]
+    });
+
+    let version;
+    try {
+      version = await documentVersionService.writeVersion(tenantId, doc, { bytes, fileName: upload.fileName, mimeType: upload.mimeType }, {
+        versionNumber: 1,
+        origin: VERSION_ORIGINS.UPLOAD,
+        comment: `Uploaded by the client through the portal: ${upload.label}`
+      });
+    } catch (error) {
+      await Document.deleteOne({ _id: doc._id });
+      throw error;
+    }
+    const extension = upload.fileName.includes('.') ? upload.fileName.split('.').pop().toLowerCase() : undefined;
+    doc.set({
+      storageKey: vaultStorageKey(version.vaultTraceId),
+      contentHash: version.contentHash,
+      currentVersionId: version.versionId,
+      version: 1,
+      'metadata.fileSize': bytes.length,
+      'metadata.mimeType': upload.mimeType,
+      ...(extension && { 'metadata.fileExtension': extension })
+    });
+    doc.versionHistory.push({ version: 1, updatedAt: version.createdAt, changes: 'Uploaded through the client portal' });
+    await doc.save();
+
+    await this.record(account, PORTAL_EVENTS.FICA_UPLOADED, meta, {
+      documentId: doc._id,
+      matterId: matter?._id,
+      ficaType: upload.ficaType,
+      fileName: upload.fileName,
+      contentHash: version.contentHash
+    });
+    return this.documentView(doc, portal);
+  }
+
+  /**
+   * @function messages
+   * @desc The conversation with the team on one of the client's matters. Opening it marks the team's messages read.
+   */
+  async messages(portal, matterId, meta = {}) {
+    const matter = await this.clientMatter(portal, matterId, meta);
+    const filter = { ...this.scope(portal), matterId: matter._id };
+    await PortalMessage.updateMany({ ...filter, direction: MESSAGE_DIRECTIONS.FROM_FIRM, readAt: null }, { $set: { readAt: new Date() } });
+    const messages = await PortalMessage.find(filter).sort({ createdAt: 1 }).lean();
+    await this.record(portal.account, PORTAL_EVENTS.MESSAGES_VIEWED, meta, { matterId: matter._id, count: messages.length });
+    return messages.map((message) => this.messageView(message, filter.tenantId));
+  }
+
+  /**
+   * @function sendMessage
+   * @desc A message from the client to the team on one of their matters. The responsible attorney and the team are
+   *       told by email that a message is waiting; the text itself stays in the system.
+   */
+  async sendMessage(portal, matterId, input = {}, meta = {}) {
+    const matter = await this.clientMatter(portal, matterId, meta);
+    let message;
+    try {
+      message = normalisePortalMessage(input);
+    } catch (error) {
+      throw inputError(error);
+    }
+    const { tenantId, clientId } = this.scope(portal);
+    const { account } = portal;
+    const saved = await PortalMessage.create({
+      tenantId,
+      clientId,
+      matterId: matter._id,
+      direction: MESSAGE_DIRECTIONS.FROM_CLIENT,
+      bodyCiphertext: encrypt(message.body, tenantId),
+      accountId: account.accountId,
+      authorName: account.name || account.email
+    });
+
+    const full = await Matter.findById(matter._id).select('responsibleAttorney.userId team.userId').setOptions({ ethicalWall: false }).lean();
+    const teamIds = [full?.responsibleAttorney?.userId, ...(full?.team || []).map((member) => member.userId)].filter(Boolean);
+    const team = await User.find({ _id: { $in: teamIds } }).select('email').lean();
+    let notified = 0;
+    for (const user of team) {
+      const result = await emailService.sendPortalMessageNotice(user.email, {
+        from: `${account.name || account.email} (${portal.client.name})`,
+        matterNumber: matter.matterNumber,
+        matterTitle: matter.title,
+        messageId: saved.messageId,
+        readUrl: this.appUrl(`/matters/${matter._id}/client-messages`)
+      });
+      if (result?.success) notified += 1;
+    }
+
+    await this.record(account, PORTAL_EVENTS.MESSAGE_SENT, meta, { matterId: matter._id, messageId: saved.messageId, notified });
+    return this.messageView(saved, tenantId);
+  }
+}
+
+export const clientPortalService = new ClientPortalService();
+export default clientPortalService;
@@ -0,0 +1,268 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - CONFLICT SCREENING SERVICE [V1.0.0-CONFLICT]                                                                                ║
+ * ║ [MATTER PARTIES | CASE PARTIES | COMPANIES & DIRECTORS | CRM | CONFLICT REGISTER | SIGN-OFF ON THE NEW MATTER]                          ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/conflictScreeningService.js                                      ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every party-bearing collection of the tenant is scanned and scored in memory with utils/nameMatcher.js; a fuzzy match
+ * cannot be pushed down to an index. Hashed Matter party names are matched on their blind-index keys instead.
+ */
+
+import mongoose from 'mongoose';
+import Matter from '../models/Matter.js';
+import Company from '../models/Company.js';
+import CrmRecord from '../models/CrmRecord.js';
+import Conflict from '../models/Conflict.js';
+import auditLogger from '../utils/auditLogger.js';
+import {
+  DEFAULT_MATCH_THRESHOLD,
+  normaliseName,
+  compareNames,
+  nameSearchKeys,
+  compareSearchKeys
+} from '../utils/nameMatcher.js';
+
+export const SCREENING_SOURCES = Object.freeze({
+  MATTER_PARTY: 'MATTER_PARTY',
+  CASE_PARTY: 'CASE_PARTY',
+  COMPANY: 'COMPANY',
+  COMPANY_DIRECTOR: 'COMPANY_DIRECTOR',
+  CRM_RECORD: 'CRM_RECORD',
+  CONFLICT_REGISTER: 'CONFLICT_REGISTER'
+});
+
+export const SIGN_OFF_DECISIONS = Object.freeze(['CLEARED', 'WAIVED', 'DECLINED']);
+
+const STORED_HIT_LIMIT = 100;
+const HASHED_NAME = /^[a-f0-9]{64}$/;
+
+const screeningError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+const idOf = (value) => (value === undefined || value === null ? undefined : String(value));
+
+class ConflictScreeningService {
+  /**
+   * @function loadMatter
+   * @desc Resolves the matter being opened by _id or matter number.
+   */
+  async loadMatter(tenantId, matterId) {
+    const filter = mongoose.isValidObjectId(matterId)
+      ? { tenantId: String(tenantId), _id: matterId }
+      : { tenantId: String(tenantId), matterNumber: matterId };
+    const matter = await Matter.findOne(filter);
+    if (!matter) throw screeningError(404, `CONFLICT_ERROR: Matter ${matterId} not found`);
+    return matter;
+  }
+
+  /**
+   * @function collectCandidates
+   * @desc Streams every named party of the tenant as { name, searchKeys?, source, role, recordId, matter?, caseId? }.
+   *       The matter being opened is skipped so its own parties do not flag themselves.
+   */
+  async *collectCandidates(tenantId, excludeMatterId) {
+    const tenant = String(tenantId);
+
+    const matters = Matter.find({ tenantId: tenant, _id: { $ne: excludeMatterId } })
+      .select('matterNumber title status responsibleAttorney parties.partyId parties.name parties.role parties.searchKeys')
+      .lean()
+      .cursor();
+    for await (const matter of matters) {
+      const summary = {
+        matterId: idOf(matter._id),
+        matterNumber: matter.matterNumber,
+        matterTitle: matter.title,
+        responsibleAttorney: { userId: idOf(matter.responsibleAttorney?.userId), name: matter.responsibleAttorney?.name }
+      };
+      for (const party of matter.parties || []) {
+        yield { name: party.name, searchKeys: party.searchKeys, source: SCREENING_SOURCES.MATTER_PARTY, role: party.role, recordId: party.partyId, matter: summary };
+      }
+    }
+
+    // CaseParty keeps CommonJS-era hooks, so its collection is read directly
+    const caseParties = mongoose.connection.collection('caseparties')
+      .find({ tenantId: tenant }, { projection: { name: 1, partyType: 1, caseId: 1 } });
+    for await (const party of caseParties) {
+      yield { name: party.name, source: SCREENING_SOURCES.CASE_PARTY, role: party.partyType, recordId: idOf(party._id), caseId: idOf(party.caseId) };
+    }
+
+    const companies = Company.find({ tenantId: tenant })
+      .select('name tradingName previousNames.name directors.firstName directors.lastName')
+      .lean()
+      .cursor();
+    for await (const company of companies) {
+      const recordId = idOf(company._id);
+      for (const name of [company.name, company.tradingName, ...(company.previousNames || []).map((entry) => entry.name)]) {
+        yield { name, source: SCREENING_SOURCES.COMPANY, role: 'company', recordId };
+      }
+      for (const director of company.directors || []) {
+        yield { name: [director.firstName, director.lastName].filter(Boolean).join(' '), source: SCREENING_SOURCES.COMPANY_DIRECTOR, role: `director of ${company.name}`, recordId };
+      }
+    }
+
+    const crmRecords = CrmRecord.find({ tenantId: tenant })
+      .select('type name displayName firstName lastName accountName company contactName legalIdentity.legalName legalIdentity.tradingName ownerId ownerName')
+      .lean()
+      .cursor();
+    for await (const record of crmRecords) {
+      const names = new Set([
+        record.name,
+        record.displayName,
+        [record.firstName, record.lastName].filter(Boolean).join(' '),
+        record.accountName,
+        record.company,
+        record.contactName,
+        record.legalIdentity?.legalName,
+        record.legalIdentity?.tradingName
+      ].filter(Boolean));
+      const owner = record.ownerName || record.ownerId ? { userId: record.ownerId || undefined, name: record.ownerName || undefined } : undefined;
+      for (const name of names) {
+        yield { name, source: SCREENING_SOURCES.CRM_RECORD, role: String(record.type).toLowerCase(), recordId: idOf(record._id), matter: owner && { responsibleAttorney: owner } };
+      }
+    }
+
+    const conflicts = Conflict.find({ tenantId: tenant, status: { $in: ['pending', 'active', 'escalated'] } })
+      .select('conflictReference parties.primaryParty parties.secondaryParty matter')
+      .lean()
+      .cursor();
+    for await (const conflict of conflicts) {
+      const matter = conflict.matter?.matterId && { matterId: idOf(conflict.matter.matterId), matterNumber: conflict.matter.matterReference };
+      for (const party of [conflict.parties?.primaryParty, conflict.parties?.secondaryParty]) {
+        if (party?.name) yield { name: party.name, source: SCREENING_SOURCES.CONFLICT_REGISTER, role: party.role, recordId: conflict.conflictReference, matter };
+      }
+    }
+  }
+
+  /**
+   * @function search
+   * @desc Scores every candidate against every searched name; hits at or above the threshold, best first.
+   */
+  async search(tenantId, partyNames, { threshold = DEFAULT_MATCH_THRESHOLD, excludeMatterId } = {}) {
+    const queries = partyNames.map((name) => ({
+      name,
+      parsed: normaliseName(name),
+      keys: nameSearchKeys(name, process.env.CONFLICT_INDEX_KEY)
+    }));
+
+    const hits = [];
+    for await (const candidate of this.collectCandidates(tenantId, excludeMatterId)) {
+      if (!candidate.name) continue;
+      const hashed = HASHED_NAME.test(candidate.name);
+      const parsed = hashed ? null : normaliseName(candidate.name);
+      for (const query of queries) {
+        const { score, matchType } = hashed
+          ? compareSearchKeys(query.keys, candidate.searchKeys)
+          : compareNames(query.parsed, parsed);
+        if (score < threshold) continue;
+        hits.push({
+          searchedName: query.name,
+          matchedName: hashed ? '[PROTECTED]' : candidate.name,
+          score,
+          matchType,
+          source: candidate.source,
+          role: candidate.role,
+          recordId: candidate.recordId,
+          caseId: candidate.caseId,
+          matterId: candidate.matter?.matterId,
+          matterNumber: candidate.matter?.matterNumber,
+          matterTitle: candidate.matter?.matterTitle,
+          responsibleAttorney: candidate.matter?.responsibleAttorney
+        });
+      }
+    }
+    return hits.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * @function screen
+   * @desc Runs the screen for a new matter and records the result on it for sign-off.
+   * @param {{ matterId: string, partyNames: string[], threshold?: number }} input
+   */
+  async screen(tenantId, { matterId, partyNames, threshold = DEFAULT_MATCH_THRESHOLD }, context = {}) {
+    const matter = await this.loadMatter(tenantId, matterId);
+    const searchedNames = [...new Set(partyNames.map((name) => String(name).trim()).filter(Boolean))];
+    const hits = await this.search(tenantId, searchedNames, { threshold, excludeMatterId: matter._id });
+
+    matter.conflictScreenings.push({
+      searchedNames,
+      threshold,
+      outcome: hits.length ? 'POTENTIAL_CONFLICT' : 'CLEAR',
+      hitCount: hits.length,
+      highestScore: hits[0]?.score || 0,
+      hits: hits.slice(0, STORED_HIT_LIMIT),
+      screenedBy: mongoose.isValidObjectId(context.userId) ? context.userId : undefined
+    });
+    await matter.save();
+    const screening = matter.conflictScreenings[matter.conflictScreenings.length - 1];
+
+    auditLogger.info('CONFLICT_SCREENED', {
+      tenantId: String(tenantId),
+      matterId: idOf(matter._id),
+      screeningId: screening.screeningId,
+      outcome: screening.outcome,
+      hitCount: hits.length,
+      userId: idOf(context.userId),
+      traceId: context.traceId
+    });
+
+    return {
+      screeningId: screening.screeningId,
+      matterId: idOf(matter._id),
+      matterNumber: matter.matterNumber,
+      outcome: screening.outcome,
+      threshold,
+      hitCount: hits.length,
+      hits,
+      signOff: screening.signOff
+    };
+  }
+
+  /**
+   * @function signOff
+   * @desc Records the risk decision on a pending screening. Waivers and declines need a reason.
+   */
+  async signOff(tenantId, screeningId, { decision, notes }, context = {}) {
+    if (!SIGN_OFF_DECISIONS.includes(decision)) {
+      throw screeningError(400, `CONFLICT_ERROR: decision must be one of ${SIGN_OFF_DECISIONS.join(', ')}`);
+    }
+    if (decision !== 'CLEARED' && !notes?.trim()) throw screeningError(400, `CONFLICT_ERROR: ${decision} needs notes`);
+
+    const matter = await Matter.findOne({ tenantId: String(tenantId), 'conflictScreenings.screeningId': screeningId });
+    if (!matter) throw screeningError(404, `CONFLICT_ERROR: Screening ${screeningId} not found`);
+    const screening = matter.conflictScreenings.find((entry) => entry.screeningId === screeningId);
+    if (screening.signOff?.status && screening.signOff.status !== 'PENDING') {
+      throw screeningError(409, `CONFLICT_ERROR: Screening ${screeningId} was already ${screening.signOff.status}`);
+    }
+    if (decision === 'CLEARED' && screening.outcome !== 'CLEAR' && !notes?.trim()) {
+      throw screeningError(400, 'CONFLICT_ERROR: Clearing a screening with hits needs notes');
+    }
+
+    screening.signOff = {
+      status: decision,
+      decidedBy: mongoose.isValidObjectId(context.userId) ? context.userId : undefined,
+      decidedAt: new Date(),
+      notes
+    };
+    await matter.save();
+
+    auditLogger.info('CONFLICT_SCREENING_SIGNED_OFF', {
+      tenantId: String(tenantId),
+      matterId: idOf(matter._id),
+      screeningId,
+      decision,
+      userId: idOf(context.userId),
+      traceId: context.traceId
+    });
+    return { screeningId, matterId: idOf(matter._id), outcome: screening.outcome, signOff: screening.signOff };
+  }
+}
+
+export const conflictScreeningService = new ConflictScreeningService();
+export default conflictScreeningService;
@@ -0,0 +1,145 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - COURT DEADLINE SERVICE [V1.0.0-LITIGATION]                                                                                  ║
+ * ║ [TRIGGER EVENTS → DEPENDENT DEADLINES | COURT TIER RESOLUTION | AUTOMATIC RECALCULATION]                                               ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/courtDeadlineService.js                                          ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Triggers live on Matter.deadlineTriggers. The Matter validate hook rebuilds the generated entries in Matter.deadlines
+ * whenever the triggers change, so moving a trigger date here (or anywhere else) recalculates every dependent deadline.
+ */
+
+import mongoose from 'mongoose';
+import Matter from '../models/Matter.js';
+import { Court } from '../models/Court.js';
+import auditLogger from '../utils/auditLogger.js';
+import { TRIGGER_EVENTS, computeDeadlines, resolveRuleFamily } from '../utils/courtDeadlineRules.js';
+
+class CourtDeadlineService {
+  async loadMatter(tenantId, matterId) {
+    if (!mongoose.isValidObjectId(matterId)) throw new Error('LITIGATION_ERROR: A valid matterId is required.');
+    const matter = await Matter.findOne({ _id: matterId, tenantId: String(tenantId) });
+    if (!matter) throw new Error(`LITIGATION_ERROR: Matter ${matterId} not found.`);
+    return matter;
+  }
+
+  findTrigger(matter, triggerId) {
+    const trigger = matter.deadlineTriggers.find((candidate) => candidate.triggerId === triggerId);
+    if (!trigger) throw new Error(`LITIGATION_ERROR: Trigger ${triggerId} not found on matter ${matter._id}.`);
+    return trigger;
+  }
+
+  /**
+   * @function resolveCourt
+   * @desc Court tier from an explicit Court record, an explicit tier, or the matter's court details, in that order.
+   */
+  async resolveCourt(tenantId, { courtId, courtTier } = {}, matter) {
+    if (courtId) {
+      const court = await Court.findOne({ courtId, tenantId: String(tenantId) }).lean();
+      if (!court) throw new Error(`LITIGATION_ERROR: Court ${courtId} not found.`);
+      return { courtId, courtTier: court.tier };
+    }
+    const tier = courtTier || matter?.courtDetails?.court;
+    if (!tier) throw new Error('LITIGATION_ERROR: courtId or courtTier is required when the matter has no court.');
+    resolveRuleFamily(tier);
+    return { courtId: undefined, courtTier: tier };
+  }
+
+  assertEvent(event) {
+    if (!TRIGGER_EVENTS[event]) {
+      throw new Error(`LITIGATION_ERROR: Unknown trigger event ${event}. Use one of ${Object.keys(TRIGGER_EVENTS).join(', ')}.`);
+    }
+  }
+
+  generatedFor(matter, triggerId) {
+    return matter.deadlines.filter((deadline) => deadline.triggerId === triggerId);
+  }
+
+  /**
+   * @function previewDeadlines
+   * @desc Computes the dependent deadlines for a trigger without touching any matter.
+   */
+  async previewDeadlines(tenantId, { event, triggerDate, courtId, courtTier, matterId }) {
+    this.assertEvent(event);
+    if (!triggerDate) throw new Error('LITIGATION_ERROR: triggerDate is required.');
+    const matter = matterId ? await this.loadMatter(tenantId, matterId) : null;
+    const court = await this.resolveCourt(tenantId, { courtId, courtTier }, matter);
+    return computeDeadlines({ triggerEvent: event, triggerDate, courtTier: court.courtTier });
+  }
+
+  /**
+   * @function recordTrigger
+   * @desc Records a trigger event on a matter and writes its dependent deadlines into Matter.deadlines.
+   */
+  async recordTrigger(tenantId, matterId, { event, triggerDate, courtId, courtTier }, { userId, traceId }) {
+    this.assertEvent(event);
+    if (!triggerDate) throw new Error('LITIGATION_ERROR: triggerDate is required.');
+    const matter = await this.loadMatter(tenantId, matterId);
+    const court = await this.resolveCourt(tenantId, { courtId, courtTier }, matter);
+
+    matter.deadlineTriggers.push({ event, triggerDate: new Date(triggerDate), ...court, recordedBy: userId });
+    const trigger = matter.deadlineTriggers[matter.deadlineTriggers.length - 1];
+    matter.updatedBy = userId;
+    await matter.save();
+
+    const deadlines = this.generatedFor(matter, trigger.triggerId);
+    auditLogger.info('LITIGATION_TRIGGER_RECORDED', {
+      tenantId, matterId: String(matter._id), triggerId: trigger.triggerId, event, courtTier: court.courtTier,
+      deadlines: deadlines.length, userId, traceId
+    });
+    return { trigger, deadlines };
+  }
+
+  /**
+   * @function updateTrigger
+   * @desc Moves a trigger date or court; every dependent deadline is recalculated on save.
+   */
+  async updateTrigger(tenantId, matterId, triggerId, { triggerDate, courtId, courtTier }, { userId, traceId }) {
+    const matter = await this.loadMatter(tenantId, matterId);
+    const trigger = this.findTrigger(matter, triggerId);
+    const before = trigger.triggerDate;
+
+    if (triggerDate) trigger.triggerDate = new Date(triggerDate);
+    if (courtId || courtTier) Object.assign(trigger, await this.resolveCourt(tenantId, { courtId, courtTier }, matter));
+    matter.updatedBy = userId;
+    await matter.save();
+
+    auditLogger.info('LITIGATION_TRIGGER_MOVED', {
+      tenantId, matterId: String(matter._id), triggerId, from: before, to: trigger.triggerDate, courtTier: trigger.courtTier, userId, traceId
+    });
+    return { trigger, deadlines: this.generatedFor(matter, triggerId) };
+  }
+
+  /**
+   * @function removeTrigger
+   * @desc Withdraws a trigger recorded in error, dropping the deadlines it generated.
+   */
+  async removeTrigger(tenantId, matterId, triggerId, { userId, traceId, reason }) {
+    const matter = await this.loadMatter(tenantId, matterId);
+    const trigger = this.findTrigger(matter, triggerId);
+    matter.deadlineTriggers.pull(trigger._id);
+    matter.updatedBy = userId;
+    await matter.save();
+
+    auditLogger.info('LITIGATION_TRIGGER_REMOVED', { tenantId, matterId: String(matter._id), triggerId, reason, userId, traceId });
+    return { triggerId, removed: true };
+  }
+
+  /**
+   * @function getMatterDeadlines
+   * @desc Triggers and all deadlines (generated and manual) on a matter, soonest first.
+   */
+  async getMatterDeadlines(tenantId, matterId) {
+    const matter = await this.loadMatter(tenantId, matterId);
+    return {
+      matterId: String(matter._id),
+      triggers: matter.deadlineTriggers,
+      deadlines: [...matter.deadlines].sort((a, b) => a.dueDate - b.dueDate)
+    };
+  }
+}
+
+export const courtDeadlineService = new CourtDeadlineService();
+export default courtDeadlineService;
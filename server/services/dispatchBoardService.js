@@ -0,0 +1,276 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SHERIFF DISPATCH BOARD SERVICE [V1.0.0-DISPATCH]                                                                            ║
+ * ║ [COVERAGE-BASED BOARD | TIME-WINDOW ROUTE OPTIMISATION | BULK ASSIGNMENT WITH COVERAGE & CAPACITY CHECKS]                              ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/dispatchBoardService.js                                          ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Faults carry an HTTP `status` for the API fault interceptor. Bulk assignment is all-or-nothing: one instruction
+ * outside the sheriff's coverage area, or one too many for the sheriff's capacity, rejects the whole batch.
+ */
+
+import mongoose from 'mongoose';
+import Sheriff from '../models/Sheriff.js';
+import DispatchInstruction, { INSTRUCTION_STATUS, OPEN_INSTRUCTION_STATUSES } from '../models/DispatchInstruction.js';
+import auditLogger from '../utils/auditLogger.js';
+import { pointInArea, coveringSheriffs, optimiseRoute } from '../utils/routeOptimizer.js';
+
+const DISPATCHABLE_SHERIFF_STATUSES = ['ACTIVE', 'ON_DUTY'];
+const ASSIGNABLE_STATUSES = [INSTRUCTION_STATUS.PENDING, INSTRUCTION_STATUS.ASSIGNED, INSTRUCTION_STATUS.PROBLEM];
+
+const dispatchError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+const pointOf = (geo) => {
+  const [lng, lat] = geo?.coordinates || [];
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) return null;
+  return { lat, lng };
+};
+
+const toStop = (instruction) => ({
+  id: instruction.instructionId,
+  ...pointOf(instruction.location),
+  serviceMinutes: instruction.serviceMinutes,
+  windowStart: instruction.windowStart ? new Date(instruction.windowStart).getTime() : undefined,
+  windowEnd: instruction.windowEnd ? new Date(instruction.windowEnd).getTime() : undefined
+});
+
+const boardCard = (instruction) => ({
+  instructionId: instruction.instructionId,
+  matterId: instruction.matterId,
+  serviceType: instruction.serviceType,
+  urgency: instruction.urgency,
+  status: instruction.status,
+  recipientName: instruction.recipientName,
+  address: instruction.address,
+  location: pointOf(instruction.location),
+  windowStart: instruction.windowStart,
+  windowEnd: instruction.windowEnd,
+  deadlineAt: instruction.deadlineAt,
+  routeSequence: instruction.routeSequence,
+  plannedArrival: instruction.plannedArrival
+});
+
+class DispatchBoardService {
+  async loadSheriff(tenantId, sheriffId) {
+    if (!mongoose.isValidObjectId(sheriffId)) throw dispatchError(400, 'DISPATCH_ERROR: A valid sheriffId is required.');
+    const sheriff = await Sheriff.findOne({ _id: sheriffId, tenantId })
+      .select('userId status isOnline coverageArea currentLocation dailyCapacity jurisdictionNames')
+      .lean();
+    if (!sheriff) throw dispatchError(404, `DISPATCH_ERROR: Sheriff ${sheriffId} not found.`);
+    return sheriff;
+  }
+
+  async loadInstructions(tenantId, instructionIds) {
+    const ids = [...new Set(instructionIds)];
+    const instructions = await DispatchInstruction.find({ tenantId: String(tenantId), instructionId: { $in: ids } });
+    const found = new Set(instructions.map((instruction) => instruction.instructionId));
+    const missing = ids.filter((id) => !found.has(id));
+    if (missing.length) throw dispatchError(404, `DISPATCH_ERROR: Instruction(s) not found: ${missing.join(', ')}.`);
+    return instructions;
+  }
+
+  /**
+   * @function getBoard
+   * @desc Open instructions grouped into one lane per dispatchable sheriff. Unassigned work is suggested to the
+   *       nearest sheriff whose coverage area contains it; work no sheriff covers lands in `uncovered`.
+   */
+  async getBoard(tenantId, { status, sheriffId, zoneId, date } = {}) {
+    const sheriffQuery = { tenantId, status: { $in: DISPATCHABLE_SHERIFF_STATUSES } };
+    if (sheriffId) sheriffQuery._id = sheriffId;
+    if (zoneId) sheriffQuery.jurisdictionNames = String(zoneId).toUpperCase();
+    const sheriffs = await Sheriff.find(sheriffQuery)
+      .select('userId status isOnline coverageArea currentLocation dailyCapacity jurisdictionNames')
+      .lean();
+
+    const instructionQuery = { tenantId: String(tenantId), status: status || { $in: OPEN_INSTRUCTION_STATUSES } };
+    if (date) {
+      const dayStart = new Date(date);
+      const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+      instructionQuery.$or = [{ windowStart: { $lt: dayEnd }, windowEnd: { $gte: dayStart } }, { windowStart: null }];
+    }
+    const instructions = await DispatchInstruction.find(instructionQuery).sort({ windowStart: 1, createdAt: 1 }).lean();
+
+    const lanes = new Map(sheriffs.map((sheriff) => [String(sheriff._id), {
+      sheriffId: String(sheriff._id),
+      userId: sheriff.userId,
+      status: sheriff.status,
+      isOnline: sheriff.isOnline,
+      location: pointOf(sheriff.currentLocation),
+      jurisdictions: sheriff.jurisdictionNames,
+      capacity: sheriff.dailyCapacity,
+      load: 0,
+      assigned: [],
+      suggested: []
+    }]));
+    const candidates = sheriffs.map((sheriff) => ({
+      id: String(sheriff._id),
+      coverageArea: sheriff.coverageArea,
+      location: pointOf(sheriff.currentLocation)
+    }));
+    const uncovered = [];
+    const elsewhere = [];
+
+    for (const instruction of instructions) {
+      const card = boardCard(instruction);
+      if (instruction.sheriffId) {
+        const lane = lanes.get(String(instruction.sheriffId));
+        if (lane) {
+          lane.assigned.push(card);
+          lane.load += 1;
+        } else {
+          elsewhere.push(card);
+        }
+        continue;
+      }
+      const [nearest] = card.location ? coveringSheriffs(card.location, candidates) : [];
+      if (nearest) lanes.get(nearest.id).suggested.push(card);
+      else uncovered.push(card);
+    }
+
+    const board = [...lanes.values()].map((lane) => ({
+      ...lane,
+      assigned: lane.assigned.sort((a, b) => (a.routeSequence ?? Infinity) - (b.routeSequence ?? Infinity)),
+      remainingCapacity: Math.max(0, lane.capacity - lane.load)
+    }));
+
+    return {
+      generatedAt: new Date(),
+      totals: {
+        instructions: instructions.length,
+        assigned: board.reduce((sum, lane) => sum + lane.assigned.length, 0),
+        suggested: board.reduce((sum, lane) => sum + lane.suggested.length, 0),
+        uncovered: uncovered.length
+      },
+      sheriffs: board,
+      uncovered,
+      // Assigned to sheriffs outside this view (filtered out, off duty or suspended)
+      elsewhere
+    };
+  }
+
+  /**
+   * @function optimizeRoute
+   * @desc Orders a sheriff's stops (nearest neighbour + 2-opt over haversine distance, honouring time windows) and
+   *       stores the sequence and planned arrival on instructions already assigned to that sheriff.
+   */
+  async optimizeRoute(tenantId, { sheriffId, instructionIds, startLocation, departAt }, { userId, role, traceId }) {
+    const sheriff = await this.loadSheriff(tenantId, sheriffId);
+    if (String(role).toLowerCase() === 'sheriff' && String(sheriff.userId) !== String(userId)) {
+      throw dispatchError(403, 'ACCESS_DENIED: Sheriffs may only optimise their own route.');
+    }
+
+    const instructions = await this.loadInstructions(tenantId, instructionIds);
+    const foreign = instructions.filter((instruction) => instruction.sheriffId && String(instruction.sheriffId) !== String(sheriff._id));
+    if (foreign.length) {
+      throw dispatchError(409, `DISPATCH_CONFLICT: Assigned to another sheriff: ${foreign.map((i) => i.instructionId).join(', ')}.`);
+    }
+    const closed = instructions.filter((instruction) => !OPEN_INSTRUCTION_STATUSES.includes(instruction.status));
+    if (closed.length) {
+      throw dispatchError(409, `DISPATCH_CONFLICT: Not open: ${closed.map((i) => i.instructionId).join(', ')}.`);
+    }
+    const unlocated = instructions.filter((instruction) => !pointOf(instruction.location));
+    if (unlocated.length) {
+      throw dispatchError(400, `DISPATCH_ERROR: No coordinates for: ${unlocated.map((i) => i.instructionId).join(', ')}.`);
+    }
+
+    const start = startLocation || pointOf(sheriff.currentLocation);
+    if (!start) throw dispatchError(400, 'DISPATCH_ERROR: Sheriff has no current location; supply startLocation.');
+
+    const route = optimiseRoute(instructions.map(toStop), {
+      start,
+      departAt: departAt ? new Date(departAt).getTime() : Date.now()
+    });
+
+    const byId = new Map(instructions.map((instruction) => [instruction.instructionId, instruction]));
+    for (const [index, leg] of route.legs.entries()) {
+      const instruction = byId.get(leg.id);
+      if (String(instruction.sheriffId) !== String(sheriff._id)) continue;
+      instruction.routeSequence = index + 1;
+      instruction.plannedArrival = leg.serviceStart;
+      await instruction.save();
+    }
+
+    auditLogger.info('DISPATCH_ROUTE_OPTIMISED', {
+      tenantId, sheriffId: String(sheriff._id), stops: route.order.length, totalKm: route.totalKm,
+      lateStops: route.lateStops, userId, traceId
+    });
+
+    return {
+      sheriffId: String(sheriff._id),
+      start,
+      ...route,
+      legs: route.legs.map((leg) => ({ ...leg, instruction: boardCard(byId.get(leg.id)) }))
+    };
+  }
+
+  /**
+   * @function bulkAssign
+   * @desc Assigns a batch of open instructions to one sheriff after checking coverage area and remaining capacity.
+   */
+  async bulkAssign(tenantId, { sheriffId, instructionIds }, { userId, traceId }) {
+    const sheriff = await this.loadSheriff(tenantId, sheriffId);
+    if (!DISPATCHABLE_SHERIFF_STATUSES.includes(sheriff.status)) {
+      throw dispatchError(409, `DISPATCH_CONFLICT: Sheriff is ${sheriff.status} and cannot take instructions.`);
+    }
+
+    const instructions = await this.loadInstructions(tenantId, instructionIds);
+    const violations = [];
+    for (const instruction of instructions) {
+      const point = pointOf(instruction.location);
+      if (!ASSIGNABLE_STATUSES.includes(instruction.status)) {
+        violations.push({ instructionId: instruction.instructionId, reason: `Status ${instruction.status} cannot be reassigned` });
+      } else if (!point) {
+        violations.push({ instructionId: instruction.instructionId, reason: 'No coordinates' });
+      } else if (!pointInArea(point, sheriff.coverageArea)) {
+        violations.push({ instructionId: instruction.instructionId, reason: 'Outside sheriff coverage area' });
+      }
+    }
+    if (violations.length) {
+      throw dispatchError(422, `DISPATCH_ERROR: ${violations.length} instruction(s) cannot be assigned to this sheriff.`, violations);
+    }
+
+    const incoming = instructions.filter((instruction) => String(instruction.sheriffId) !== String(sheriff._id));
+    const load = await DispatchInstruction.countDocuments({
+      tenantId: String(tenantId),
+      sheriffId: sheriff._id,
+      status: { $in: OPEN_INSTRUCTION_STATUSES }
+    });
+    if (load + incoming.length > sheriff.dailyCapacity) {
+      throw dispatchError(409, `DISPATCH_CONFLICT: Capacity exceeded: ${load} open + ${incoming.length} new > ${sheriff.dailyCapacity}.`, {
+        load, incoming: incoming.length, capacity: sheriff.dailyCapacity
+      });
+    }
+
+    const now = new Date();
+    const result = await DispatchInstruction.updateMany(
+      { tenantId: String(tenantId), instructionId: { $in: incoming.map((i) => i.instructionId) }, status: { $in: ASSIGNABLE_STATUSES } },
+      {
+        $set: { sheriffId: sheriff._id, status: INSTRUCTION_STATUS.ASSIGNED, assignedAt: now, assignedBy: userId },
+        $unset: { routeSequence: 1, plannedArrival: 1 }
+      }
+    );
+
+    auditLogger.info('DISPATCH_BULK_ASSIGNED', {
+      tenantId, sheriffId: String(sheriff._id), assigned: result.modifiedCount,
+      instructionIds: incoming.map((i) => i.instructionId), userId, traceId
+    });
+
+    return {
+      sheriffId: String(sheriff._id),
+      assigned: result.modifiedCount,
+      alreadyAssigned: instructions.length - incoming.length,
+      load: load + result.modifiedCount,
+      capacity: sheriff.dailyCapacity
+    };
+  }
+}
+
+export const dispatchBoardService = new DispatchBoardService();
+export default dispatchBoardService;
@@ -0,0 +1,509 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - EXTERNAL DOCUMENT SHARING [V1.0.0-SHARING]                                                                                  ║
+ * ║ [EXPIRING LINKS | PASSWORD OR OTP | VIEW-ONLY PAGES | DOWNLOAD LIMITS | PER-VIEWER WATERMARK | AUDITED ACCESS | REVOCATION]            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/documentShareService.js                                          ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Shares one version of a document with someone outside the firm. The recipient is emailed a link; opening it and
+ * giving the share password, or a one-time code sent to them, starts a short session in which they read watermarked
+ * page images and, unless the share is view-only, download a watermarked PDF within the download limit. Each stamp
+ * carries their email and the moment of access. Every step, refusals included, is pushed to the Document's auditLog,
+ * and revoking a share ends its sessions at once. Faults carry an HTTP `status` and a `code`.
+ */
+
+import bcrypt from 'bcryptjs';
+import Document from '../models/Document.js';
+import DocumentShare from '../models/DocumentShare.js';
+import documentVersionService from './documentVersionService.js';
+import emailService from './emailService.js';
+import { sendShareCode as sendSmsCode } from './smsService.js';
+import auditLogger from '../utils/auditLogger.js';
+import {
+  CEREMONY_LIMITS,
+  OTP_CHANNELS,
+  hashSecret,
+  createToken,
+  isToken,
+  generateOtp,
+  checkOtp,
+  canResendOtp,
+  maskEmail,
+  maskPhone
+} from '../utils/signingCeremony.js';
+import {
+  SHARE_EVENTS,
+  SHARE_LIMITS,
+  SHARE_PROTECTION,
+  SHARE_STATUS,
+  normaliseShareRequest,
+  shareStatus,
+  downloadAllowance,
+  passwordLock
+} from '../utils/documentSharing.js';
+import { countPages, watermarkPdf, renderWatermarkedPage } from '../utils/watermark.js';
+
+const SECRET_FIELDS = '+tokenHash +passwordHash +otpHash +sessionHash';
+const PASSWORD_BCRYPT_ROUNDS = 12;
+
+const shareError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = message.split(':')[0];
+  if (details) error.details = details;
+  return error;
+};
+
+const wrapUtilError = (error) => (/^(SHARE|WATERMARK)_ERROR: /.test(error.message) ? shareError(422, error.message) : error);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+
+const fileStem = (name) => String(name || 'document').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_').slice(0, 80);
+
+class DocumentShareService {
+  shareUrl(token) {
+    return `${process.env.APP_URL || 'http://localhost:3000'}/shared/${token}`;
+  }
+
+  /**
+   * @function record
+   * @desc Pushes a share event to the document's auditLog, as the firm user who acted or the outside party by email.
+   */
+  async record(share, action, { userId, ip, userAgent } = {}, detail = {}) {
+    const entry = {
+      action,
+      ipAddress: ip,
+      userAgent,
+      details: { shareId: share.shareId, versionNumber: share.versionNumber, ...detail }
+    };
+    if (userId) entry.performedBy = userId;
+    else entry.externalActor = share.recipient.email;
+    await Document.updateOne({ _id: share.documentId }, { $push: { auditLog: entry } });
+    auditLogger.info(`DOCUMENT_${action}`, {
+      tenantId: share.tenantId,
+      documentId: String(share.documentId),
+      shareId: share.shareId,
+      actor: userId ? String(userId) : maskEmail(share.recipient.email),
+      ip,
+      ...detail
+    });
+  }
+
+  view(share, now = new Date()) {
+    const allowance = downloadAllowance(share);
+    return {
+      shareId: share.shareId,
+      documentId: String(share.documentId),
+      versionNumber: share.versionNumber,
+      recipient: share.recipient,
+      protection: share.protection,
+      status: shareStatus(share, now),
+      expiresAt: share.expiresAt,
+      viewOnly: share.viewOnly,
+      maxDownloads: share.maxDownloads,
+      downloadCount: share.downloadCount,
+      downloadsLeft: allowance.remaining,
+      viewCount: share.viewCount,
+      lastAccessedAt: share.lastAccessedAt,
+      message: share.message,
+      createdBy: share.createdBy,
+      createdAt: share.createdAt,
+      revokedAt: share.revokedAt,
+      revokedBy: share.revokedBy,
+      revokeReason: share.revokeReason
+    };
+  }
+
+  /**
+   * @function create
+   * @desc Shares a version (default: the current one) and emails the recipient their link. The link is returned
+   *       too, so it can be sent another way; a share password must always travel separately.
+   * @param {Object} input - see utils/documentSharing.js normaliseShareRequest, plus version?
+   */
+  async create(tenantId, documentId, input = {}, { userId, sharedBy, traceId, ip, userAgent } = {}) {
+    let request;
+    try {
+      request = normaliseShareRequest(input);
+    } catch (error) {
+      throw shareError(400, error.message);
+    }
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    await documentVersionService.ensureBaseline(tenantId, doc);
+    const version = await documentVersionService.findVersion(tenantId, doc, input.version ?? doc.version);
+    const bytes = await documentVersionService.readVersion(tenantId, version);
+
+    let pageCount;
+    try {
+      pageCount = await countPages({ bytes, mimeType: version.mimeType, filename: version.fileName });
+    } catch (error) {
+      throw wrapUtilError(error);
+    }
+
+    const token = createToken();
+    const share = await DocumentShare.create({
+      tenantId: String(tenantId),
+      documentId: doc._id,
+      versionNumber: version.versionNumber,
+      pageCount,
+      recipient: request.recipient,
+      message: request.message,
+      protection: request.protection,
+      tokenHash: hashSecret(token),
+      passwordHash: request.password ? await bcrypt.hash(request.password, PASSWORD_BCRYPT_ROUNDS) : undefined,
+      expiresAt: request.expiresAt,
+      viewOnly: request.viewOnly,
+      maxDownloads: request.maxDownloads,
+      createdBy: userId
+    });
+
+    const url = this.shareUrl(token);
+    const result = await emailService.sendDocumentShared(share.recipient.email, {
+      name: share.recipient.name,
+      title: doc.title,
+      sharedBy,
+      message: share.message,
+      protection: share.protection,
+      viewOnly: share.viewOnly,
+      maxDownloads: share.maxDownloads,
+      shareId: share.shareId,
+      shareUrl: url,
+      expiresOn: formatDate(share.expiresAt)
+    });
+    await this.record(share, SHARE_EVENTS.CREATED, { userId, ip, userAgent }, {
+      recipient: share.recipient.email,
+      protection: share.protection,
+      viewOnly: share.viewOnly,
+      maxDownloads: share.maxDownloads,
+      expiresAt: share.expiresAt,
+      emailed: Boolean(result?.success),
+      traceId
+    });
+    return { ...this.view(share), url, emailed: Boolean(result?.success) };
+  }
+
+  /**
+   * @function list
+   * @desc The document's shares, newest first, with their status and usage.
+   */
+  async list(tenantId, documentId) {
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    const shares = await DocumentShare.find({ tenantId: String(tenantId), documentId: doc._id }).sort({ createdAt: -1 }).lean();
+    const now = new Date();
+    return shares.map((share) => this.view(share, now));
+  }
+
+  /**
+   * @function revoke
+   * @desc Stops a share at once: the link no longer opens and open sessions are refused on their next request.
+   */
+  async revoke(tenantId, documentId, shareId, { userId, reason, traceId, ip, userAgent } = {}) {
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    const share = await DocumentShare.findOne({ tenantId: String(tenantId), documentId: doc._id, shareId }).select(SECRET_FIELDS);
+    if (!share) throw shareError(404, `SHARE_NOT_FOUND: Share ${shareId} of document ${documentId} not found.`);
+    if (share.revokedAt) throw shareError(409, `SHARE_REVOKED: Share ${shareId} was already revoked on ${share.revokedAt.toISOString()}.`);
+
+    share.set({ revokedAt: new Date(), revokedBy: userId, revokeReason: reason, otpHash: undefined });
+    await share.save();
+    await this.record(share, SHARE_EVENTS.REVOKED, { userId, ip, userAgent }, { reason, traceId });
+    return this.view(share);
+  }
+
+  /**
+   * @function assertOpen
+   * @desc Refuses (and records the refusal of) a revoked or expired share, or one whose document was deleted.
+   */
+  async assertOpen(share, meta = {}) {
+    const status = shareStatus(share);
+    const exists = status === SHARE_STATUS.ACTIVE
+      && await Document.exists({ _id: share.documentId, status: { $ne: 'deleted' } }).setOptions({ ethicalWall: false });
+    if (status === SHARE_STATUS.ACTIVE && exists) return;
+
+    const reason = status === SHARE_STATUS.ACTIVE ? 'DOCUMENT_REMOVED' : status;
+    await this.record(share, SHARE_EVENTS.DENIED, meta, { reason });
+    if (reason === SHARE_STATUS.REVOKED) throw shareError(410, 'SHARE_REVOKED: The sender has withdrawn access to this document.');
+    if (reason === SHARE_STATUS.EXPIRED) throw shareError(410, 'SHARE_EXPIRED: This link has expired; ask the sender to share the document again.');
+    throw shareError(410, 'SHARE_EXPIRED: This document is no longer available.');
+  }
+
+  /**
+   * @function findByLink
+   * @desc The live share behind a link token.
+   */
+  async findByLink(token, meta = {}) {
+    if (!isToken(token)) throw shareError(404, 'SHARE_NOT_FOUND: Link not recognised.');
+    const share = await DocumentShare.findOne({ tokenHash: hashSecret(token) }).select(SECRET_FIELDS);
+    if (!share) throw shareError(404, 'SHARE_NOT_FOUND: Link not recognised.');
+    await this.assertOpen(share, meta);
+    return share;
+  }
+
+  /**
+   * @function findBySession
+   * @desc The live share behind a session token. Revocation and expiry are checked on every request.
+   */
+  async findBySession(sessionToken, meta = {}) {
+    if (!isToken(sessionToken)) throw shareError(401, 'SHARE_SESSION_REQUIRED: Open your link and verify first.');
+    const share = await DocumentShare.findOne({ sessionHash: hashSecret(sessionToken) }).select(SECRET_FIELDS);
+    if (!share || !share.sessionExpiresAt || share.sessionExpiresAt <= new Date()) {
+      if (share?.revokedAt) await this.assertOpen(share, meta);
+      throw shareError(401, 'SHARE_SESSION_REQUIRED: Your session has ended; open your link again.');
+    }
+    await this.assertOpen(share, meta);
+    return share;
+  }
+
+  async title(share) {
+    const doc = await Document.findOne({ _id: share.documentId }).select('title').setOptions({ ethicalWall: false }).lean();
+    return doc?.title || 'Shared document';
+  }
+
+  channelsFor(share) {
+    const { email, phone } = share.recipient;
+    return phone
+      ? [{ channel: OTP_CHANNELS.SMS, destination: maskPhone(phone) }, { channel: OTP_CHANNELS.EMAIL, destination: maskEmail(email) }]
+      : [{ channel: OTP_CHANNELS.EMAIL, destination: maskEmail(email) }];
+  }
+
+  /**
+   * @function describeLink
+   * @desc What the landing page shows before the recipient proves who they are: no document content.
+   */
+  async describeLink(token, meta = {}) {
+    const share = await this.findByLink(token, meta);
+    await this.record(share, SHARE_EVENTS.OPENED, meta);
+    return {
+      shareId: share.shareId,
+      title: await this.title(share),
+      recipient: maskEmail(share.recipient.email),
+      protection: share.protection,
+      codeChannels: share.protection === SHARE_PROTECTION.OTP ? this.channelsFor(share) : [],
+      viewOnly: share.viewOnly,
+      expiresAt: share.expiresAt
+    };
+  }
+
+  /**
+   * @function sendCode
+   * @desc Sends a one-time code by SMS or email for an OTP-protected share. A new code replaces the previous one.
+   */
+  async sendCode(token, { channel, ...meta } = {}) {
+    const share = await this.findByLink(token, meta);
+    if (share.protection !== SHARE_PROTECTION.OTP) throw shareError(400, 'SHARE_ERROR: This link opens with the password the sender gave you.');
+    const via = channel || (share.recipient.phone ? OTP_CHANNELS.SMS : OTP_CHANNELS.EMAIL);
+    if (via === OTP_CHANNELS.SMS && !share.recipient.phone) throw shareError(400, 'SHARE_ERROR: No mobile number is on record for you; choose email.');
+
+    const allowed = canResendOtp(share);
+    if (!allowed.allowed) {
+      throw shareError(429, allowed.reason === 'TOO_SOON'
+        ? 'SHARE_ERROR: Please wait before requesting another code.'
+        : 'SHARE_ERROR: Too many codes requested; ask the sender to share the document again.', { retryAfter: allowed.retryAfter });
+    }
+
+    const code = generateOtp();
+    const expiry = CEREMONY_LIMITS.OTP_TTL_MS / 60000;
+    const title = await this.title(share);
+    const result = via === OTP_CHANNELS.SMS
+      ? await sendSmsCode({ to: share.recipient.phone, code, title, shareId: share.shareId, expiryMinutes: expiry, ip: meta.ip })
+      : await emailService.sendShareCode(share.recipient.email, { code, title, shareId: share.shareId, expiry });
+    if (!result?.success) throw shareError(502, `SHARE_ERROR: The code could not be sent by ${via}${result?.error ? ` (${result.error})` : ''}.`);
+
+    share.set({
+      otpChannel: via,
+      otpHash: hashSecret(code),
+      otpSentAt: new Date(),
+      otpExpiresAt: new Date(Date.now() + CEREMONY_LIMITS.OTP_TTL_MS),
+      otpSends: (share.otpSends || 0) + 1,
+      otpAttempts: 0
+    });
+    await share.save();
+    await this.record(share, SHARE_EVENTS.CODE_SENT, meta, { channel: via });
+    return {
+      channel: via,
+      destination: via === OTP_CHANNELS.SMS ? maskPhone(share.recipient.phone) : maskEmail(share.recipient.email),
+      expiresAt: share.otpExpiresAt
+    };
+  }
+
+  async refuse(share, meta, reason, status, message, details = {}) {
+    await share.save();
+    await this.record(share, SHARE_EVENTS.DENIED, meta, { reason, ...details });
+    throw shareError(status, message, details);
+  }
+
+  /**
+   * @function verify
+   * @desc Checks the password or code and opens a session. The link itself stays usable until it expires.
+   */
+  async verify(token, { code, password } = {}, meta = {}) {
+    const share = await this.findByLink(token, meta);
+
+    if (share.protection === SHARE_PROTECTION.PASSWORD) {
+      const lock = passwordLock(share);
+      if (lock.locked) {
+        await this.record(share, SHARE_EVENTS.DENIED, meta, { reason: 'LOCKED' });
+        throw shareError(423, `SHARE_LOCKED: Too many incorrect passwords; try again after ${lock.until.toISOString()}.`, { retryAfter: lock.until });
+      }
+      if (!password || !(await bcrypt.compare(String(password), share.passwordHash || ''))) {
+        const attempts = (share.passwordAttempts || 0) + 1;
+        const locks = attempts >= SHARE_LIMITS.PASSWORD_MAX_ATTEMPTS;
+        share.set({ passwordAttempts: locks ? 0 : attempts, lockedUntil: locks ? new Date(Date.now() + SHARE_LIMITS.LOCKOUT_MS) : share.lockedUntil });
+        return this.refuse(share, meta, locks ? 'LOCKED' : 'WRONG_PASSWORD', locks ? 423 : 401,
+          locks ? 'SHARE_LOCKED: Too many incorrect passwords; try again later.' : 'SHARE_ERROR: Incorrect password.',
+          { attemptsLeft: locks ? 0 : SHARE_LIMITS.PASSWORD_MAX_ATTEMPTS - attempts });
+      }
+      share.set({ passwordAttempts: 0, lockedUntil: undefined });
+    } else {
+      const result = checkOtp(share, code);
+      if (!result.ok) {
+        if (result.reason === 'MISMATCH') share.otpAttempts = (share.otpAttempts || 0) + 1;
+        const status = result.reason === 'LOCKED' ? 423 : result.reason === 'MISMATCH' ? 401 : 400;
+        return this.refuse(share, meta, `CODE_${result.reason}`, status, {
+          NOT_SENT: 'SHARE_ERROR: Request a code first.',
+          EXPIRED: 'SHARE_ERROR: The code has expired; request a new one.',
+          LOCKED: 'SHARE_LOCKED: Too many incorrect codes; request a new one.',
+          MISMATCH: 'SHARE_ERROR: Incorrect code.'
+        }[result.reason], { attemptsLeft: result.attemptsLeft });
+      }
+      share.set({ otpHash: undefined, otpAttempts: 0 });
+    }
+
+    const sessionToken = createToken();
+    share.set({
+      sessionHash: hashSecret(sessionToken),
+      sessionExpiresAt: new Date(Math.min(Date.now() + SHARE_LIMITS.SESSION_TTL_MS, share.expiresAt.getTime())),
+      lastAccessedAt: new Date()
+    });
+    await share.save();
+    await this.record(share, SHARE_EVENTS.VERIFIED, meta, { protection: share.protection, channel: share.protection === SHARE_PROTECTION.OTP ? share.otpChannel : undefined });
+    return { sessionToken, ...(await this.describe(share)) };
+  }
+
+  async describe(share) {
+    const allowance = downloadAllowance(share);
+    return {
+      shareId: share.shareId,
+      title: await this.title(share),
+      viewer: share.recipient.email,
+      pageCount: share.pageCount,
+      viewOnly: share.viewOnly,
+      canDownload: allowance.allowed,
+      downloadsLeft: allowance.remaining,
+      expiresAt: share.expiresAt,
+      sessionExpiresAt: share.sessionExpiresAt
+    };
+  }
+
+  /**
+   * @function describeSession
+   * @desc What the recipient may do in their session.
+   */
+  async describeSession(sessionToken, meta = {}) {
+    return this.describe(await this.findBySession(sessionToken, meta));
+  }
+
+  async source(share) {
+    const version = await documentVersionService.findVersion(share.tenantId, { _id: share.documentId }, share.versionNumber);
+    const bytes = await documentVersionService.readVersion(share.tenantId, version);
+    return { version, source: { bytes, mimeType: version.mimeType, filename: version.fileName } };
+  }
+
+  /**
+   * @function page
+   * @desc One page as a PNG stamped with the viewer's email and the time, for reading in the browser.
+   */
+  async page(sessionToken, pageNumber, { dpi, ...meta } = {}) {
+    const share = await this.findBySession(sessionToken, meta);
+    const { source } = await this.source(share);
+    const at = new Date();
+    let rendered;
+    try {
+      rendered = await renderWatermarkedPage(source, pageNumber, { email: share.recipient.email, at, reference: share.shareId }, { dpi });
+    } catch (error) {
+      throw wrapUtilError(error);
+    }
+    await DocumentShare.updateOne({ _id: share._id }, { $inc: { viewCount: 1 }, $set: { lastAccessedAt: at } });
+    await this.record(share, SHARE_EVENTS.VIEWED, meta, { page: pageNumber, watermarkedAt: at });
+    return { png: rendered.png, pageCount: rendered.pageCount, watermarkedAt: at };
+  }
+
+  /**
+   * @function download
+   * @desc The whole version as a watermarked PDF, counted against the share's download limit.
+   */
+  async download(sessionToken, meta = {}) {
+    const share = await this.findBySession(sessionToken, meta);
+    const allowance = downloadAllowance(share);
+    if (!allowance.allowed) {
+      await this.record(share, SHARE_EVENTS.DENIED, meta, { reason: allowance.reason });
+      throw shareError(403, allowance.reason === 'VIEW_ONLY'
+        ? 'SHARE_VIEW_ONLY: This document is shared to view online only.'
+        : 'SHARE_DOWNLOAD_LIMIT: No downloads are left on this link.');
+    }
+
+    const { version, source } = await this.source(share);
+    const title = await this.title(share);
+    const at = new Date();
+    let result;
+    try {
+      result = await watermarkPdf(source, { email: share.recipient.email, at, reference: share.shareId }, { title });
+    } catch (error) {
+      throw wrapUtilError(error);
+    }
+
+    // Counted only if a download is still left when it is claimed, so parallel requests cannot exceed the limit
+    const claimed = await DocumentShare.findOneAndUpdate({
+      _id: share._id,
+      revokedAt: null,
+      expiresAt: { $gt: at },
+      viewOnly: { $ne: true },
+      $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }]
+    }, { $inc: { downloadCount: 1 }, $set: { lastAccessedAt: at } }, { new: true });
+    if (!claimed) {
+      await this.record(share, SHARE_EVENTS.DENIED, meta, { reason: 'LIMIT_REACHED' });
+      throw shareError(403, 'SHARE_DOWNLOAD_LIMIT: No downloads are left on this link.');
+    }
+
+    await this.record(share, SHARE_EVENTS.DOWNLOADED, meta, { download: claimed.downloadCount, maxDownloads: claimed.maxDownloads, watermarkedAt: at });
+    return {
+      pdf: result.pdf,
+      filename: `${fileStem(version.fileName || title)}.pdf`,
+      downloadsLeft: downloadAllowance(claimed).remaining
+    };
+  }
+
+  /**
+   * @function watermarkedCopy
+   * @desc A version (default: the current one) as a PDF stamped for a firm user, recorded as an export.
+   */
+  async watermarkedCopy(tenantId, documentId, { version: versionRef } = {}, { userId, email, traceId } = {}) {
+    if (!email) throw shareError(400, 'SHARE_ERROR: Your account has no email address to stamp.');
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    await documentVersionService.ensureBaseline(tenantId, doc);
+    const version = await documentVersionService.findVersion(tenantId, doc, versionRef ?? doc.version);
+    const bytes = await documentVersionService.readVersion(tenantId, version);
+    const at = new Date();
+    let result;
+    try {
+      result = await watermarkPdf({ bytes, mimeType: version.mimeType, filename: version.fileName }, { email, at, reference: version.versionId }, { title: doc.title });
+    } catch (error) {
+      throw wrapUtilError(error);
+    }
+
+    await Document.updateOne({ _id: doc._id }, {
+      $push: { auditLog: { action: 'EXPORTED', performedBy: userId, details: { watermarked: true, versionNumber: version.versionNumber, watermarkedAt: at } } }
+    });
+    auditLogger.info('DOCUMENT_WATERMARKED', {
+      tenantId: String(tenantId),
+      documentId: String(doc._id),
+      versionNumber: version.versionNumber,
+      userId: userId ? String(userId) : undefined,
+      traceId
+    });
+    return { pdf: result.pdf, filename: `${fileStem(version.fileName || doc.title)}_watermarked.pdf`, pageCount: result.pageCount };
+  }
+}
+
+export const documentShareService = new DocumentShareService();
+export default documentShareService;
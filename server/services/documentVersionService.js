@@ -0,0 +1,411 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DOCUMENT VERSIONING SERVICE [V1.0.0-VERSIONING]                                                                             ║
+ * ║ [IMMUTABLE VERSIONS | CHECK-OUT / CHECK-IN LOCKS | RESTORE AS NEW VERSION | REDLINE COMPARISON]                                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/documentVersionService.js                                        ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Saving a version writes its bytes to the encrypted vault, records an immutable DocumentVersion and moves the
+ * Document's storageKey, contentHash and version number onto it. A document that had a file before its first new
+ * version gets that file recorded as a BASELINE version first, so nothing on record is lost. A check-out is a lock
+ * with an expiry: while it runs only the holder can save versions, and an expired lock is simply ignored.
+ * Faults carry an HTTP `status` and a `code` for the document routes' error handler.
+ */
+
+import crypto from 'node:crypto';
+import path from 'node:path';
+import mongoose from 'mongoose';
+import Document from '../models/Document.js';
+import DocumentVersion, { VERSION_ORIGINS, vaultStorageKey } from '../models/DocumentVersion.js';
+import SovereignPdfStore from './pdfStore.js';
+import bundleService from './bundleService.js';
+import auditLogger from '../utils/auditLogger.js';
+import { sniffMime } from '../utils/bundleCompiler.js';
+import { extractText, diffTexts, changesToText, renderRedlinePdf } from '../utils/redline.js';
+
+export const DEFAULT_CHECKOUT_MINUTES = 8 * 60;
+export const MAX_CHECKOUT_MINUTES = 7 * 24 * 60;
+
+const AUTHOR_FIELDS = 'firstName lastName email';
+
+const versionError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = message.split(':')[0];
+  if (details) error.details = details;
+  return error;
+};
+
+const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+
+const personName = (user) => (user?.firstName || user?.lastName
+  ? [user.firstName, user.lastName].filter(Boolean).join(' ')
+  : user?.email);
+
+const activeCheckout = (doc, now = new Date()) => (doc?.checkout?.userId && doc.checkout.expiresAt > now ? doc.checkout : null);
+
+const lockedError = (checkout) => versionError(
+  409,
+  `DOCUMENT_LOCKED: The document is checked out until ${checkout.expiresAt.toISOString()}; it must be checked in first.`,
+  { checkedOutBy: String(checkout.userId), checkedOutAt: checkout.checkedOutAt, expiresAt: checkout.expiresAt }
+);
+
+const ORIGIN_NOTES = {
+  [VERSION_ORIGINS.UPLOAD]: 'New version uploaded',
+  [VERSION_ORIGINS.CHECK_IN]: 'Checked in',
+  [VERSION_ORIGINS.RESTORE]: 'Restored',
+  [VERSION_ORIGINS.REDACTION]: 'Redacted',
+  [VERSION_ORIGINS.OCR]: 'Text recognised (OCR)'
+};
+
+const ORIGIN_ACTIONS = {
+  [VERSION_ORIGINS.RESTORE]: 'RESTORED',
+  [VERSION_ORIGINS.REDACTION]: 'REDACTED',
+  [VERSION_ORIGINS.OCR]: 'OCR_PROCESSED'
+};
+
+class DocumentVersionService {
+  async loadDocument(tenantId, documentId) {
+    if (!mongoose.isValidObjectId(documentId)) throw versionError(400, `DOCUMENT_ERROR: Invalid document id ${documentId}.`);
+    const doc = await Document.findOne({ _id: documentId, tenantId, status: { $ne: 'deleted' } });
+    if (!doc) throw versionError(404, `DOCUMENT_NOT_FOUND: Document ${documentId} not found.`);
+    return doc;
+  }
+
+  /**
+   * @function findVersion
+   * @desc A version by number or by versionId (DV-…).
+   */
+  async findVersion(tenantId, doc, versionRef) {
+    const filter = { tenantId: String(tenantId), documentId: doc._id };
+    if (/^\d+$/.test(String(versionRef))) filter.versionNumber = Number(versionRef);
+    else filter.versionId = String(versionRef);
+    const version = await DocumentVersion.findOne(filter).populate('author', AUTHOR_FIELDS).lean();
+    if (!version) throw versionError(404, `DOCUMENT_NOT_FOUND: Version ${versionRef} of document ${doc._id} not found.`);
+    return version;
+  }
+
+  /**
+   * @function readVersion
+   * @desc The bytes of a version, checked against the hash recorded when it was saved.
+   */
+  async readVersion(tenantId, version) {
+    const bytes = await SovereignPdfStore.get(String(tenantId), version.vaultTraceId);
+    if (sha256(bytes) !== version.contentHash) {
+      auditLogger.security('DOCUMENT_VERSION_TAMPERED', { tenantId: String(tenantId), documentId: String(version.documentId), versionId: version.versionId });
+      throw versionError(500, `DOCUMENT_VERSION_TAMPERED: Version ${version.versionNumber} no longer matches its recorded hash.`);
+    }
+    return bytes;
+  }
+
+  assertWritable(doc, userId) {
+    const checkout = activeCheckout(doc);
+    if (checkout && String(checkout.userId) !== String(userId)) throw lockedError(checkout);
+  }
+
+  async writeVersion(tenantId, doc, { bytes, fileName, mimeType }, fields) {
+    const vaultTraceId = `DOCV-${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+    await SovereignPdfStore.storePdf(String(tenantId), vaultTraceId, bytes);
+    try {
+      return await DocumentVersion.create({
+        tenantId: String(tenantId),
+        documentId: doc._id,
+        fileName,
+        mimeType,
+        fileSize: bytes.length,
+        contentHash: sha256(bytes),
+        vaultTraceId,
+        ...fields
+      });
+    } catch (error) {
+      await SovereignPdfStore.remove(String(tenantId), vaultTraceId);
+      if (error.code === 11000) {
+        throw versionError(409, `DOCUMENT_VERSION_CONFLICT: Version ${fields.versionNumber} was saved by someone else first; reload and try again.`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @function ensureBaseline
+   * @desc Records the file a document already has as its first version, once, before any new version is saved.
+   */
+  async ensureBaseline(tenantId, doc) {
+    if (await DocumentVersion.exists({ documentId: doc._id })) return;
+    if (!doc.storageKey && !doc.content) return;
+
+    const source = await bundleService.readSource(tenantId, doc);
+    const bytes = source.bytes || Buffer.from(source.text, 'utf8');
+    const mimeType = source.bytes
+      ? doc.metadata?.mimeType || sniffMime(bytes, '', doc.title)
+      : /<[a-z][\s\S]*>/i.test(source.text) ? 'text/html' : 'text/plain';
+    try {
+      await this.writeVersion(tenantId, doc, { bytes, fileName: doc.title, mimeType }, {
+        versionNumber: doc.version || 1,
+        origin: VERSION_ORIGINS.BASELINE,
+        comment: 'File on record before version history was kept',
+        author: doc.updatedBy || doc.createdBy,
+        authoredAt: doc.updatedAt || doc.createdAt
+      });
+    } catch (error) {
+      // Another request recorded the baseline first
+      if (error.code !== 'DOCUMENT_VERSION_CONFLICT') throw error;
+    }
+  }
+
+  /**
+   * @function saveVersion
+   * @desc Saves bytes as the document's newest version and points the document at it. Releases the caller's
+   *       check-out unless keepCheckedOut is set.
+   */
+  async saveVersion(tenantId, doc, { bytes, fileName, mimeType }, { userId, comment, origin, restoredFrom, redaction, ocr, keepCheckedOut = false, traceId }) {
+    this.assertWritable(doc, userId);
+    await this.ensureBaseline(tenantId, doc);
+
+    const latest = await DocumentVersion.findOne({ documentId: doc._id }).sort({ versionNumber: -1 }).lean();
+    const contentHash = sha256(bytes);
+    if (latest?.contentHash === contentHash) {
+      throw versionError(409, `DOCUMENT_UNCHANGED: The file is identical to version ${latest.versionNumber}; nothing to save.`);
+    }
+    const type = mimeType || sniffMime(bytes, '', fileName) || 'application/octet-stream';
+    const version = await this.writeVersion(tenantId, doc, { bytes, fileName, mimeType: type }, {
+      versionNumber: (latest?.versionNumber || 0) + 1,
+      origin,
+      restoredFrom,
+      redaction,
+      ocr,
+      comment,
+      author: userId
+    });
+
+    const extension = path.extname(fileName || '').slice(1).toLowerCase();
+    doc.set({
+      storageKey: vaultStorageKey(version.vaultTraceId),
+      contentHash,
+      version: version.versionNumber,
+      currentVersionId: version.versionId,
+      updatedBy: userId,
+      'metadata.fileSize': bytes.length,
+      'metadata.mimeType': type,
+      // Counts taken from the previous file no longer apply
+      'metadata.pageCount': undefined,
+      'metadata.wordCount': undefined
+    });
+    if (extension) doc.set('metadata.fileExtension', extension);
+    doc.versionHistory.push({
+      version: version.versionNumber,
+      updatedBy: userId,
+      updatedAt: version.createdAt,
+      changes: comment || (restoredFrom ? `Restored from version ${restoredFrom}` : ORIGIN_NOTES[origin])
+    });
+    doc.auditLog.push({
+      action: ORIGIN_ACTIONS[origin] || 'EDITED',
+      performedBy: userId,
+      details: { version: version.versionNumber, versionId: version.versionId, origin, restoredFrom, comment }
+    });
+    const checkout = activeCheckout(doc);
+    if (checkout && !keepCheckedOut) doc.checkout = undefined;
+    await doc.save();
+
+    auditLogger.info('DOCUMENT_VERSION_SAVED', {
+      tenantId: String(tenantId),
+      documentId: String(doc._id),
+      versionId: version.versionId,
+      versionNumber: version.versionNumber,
+      origin,
+      restoredFrom,
+      contentHash,
+      userId: userId ? String(userId) : undefined,
+      traceId
+    });
+    return version;
+  }
+
+  /**
+   * @function createVersion
+   * @desc Uploads a new version. From the holder of the check-out this is the check-in.
+   */
+  async createVersion(tenantId, documentId, file, { userId, comment, keepCheckedOut, traceId } = {}) {
+    if (!file?.buffer?.length) throw versionError(400, 'DOCUMENT_ERROR: No file was uploaded.');
+    const doc = await this.loadDocument(tenantId, documentId);
+    const checkedIn = String(activeCheckout(doc)?.userId) === String(userId);
+    return this.saveVersion(tenantId, doc, {
+      bytes: file.buffer,
+      fileName: file.originalname,
+      mimeType: file.mimetype
+    }, {
+      userId,
+      comment,
+      keepCheckedOut,
+      traceId,
+      origin: checkedIn ? VERSION_ORIGINS.CHECK_IN : VERSION_ORIGINS.UPLOAD
+    });
+  }
+
+  /**
+   * @function restoreVersion
+   * @desc Saves an earlier version again as the newest; history before it is untouched.
+   */
+  async restoreVersion(tenantId, documentId, versionRef, { userId, comment, traceId } = {}) {
+    const doc = await this.loadDocument(tenantId, documentId);
+    const version = await this.findVersion(tenantId, doc, versionRef);
+    const bytes = await this.readVersion(tenantId, version);
+    return this.saveVersion(tenantId, doc, { bytes, fileName: version.fileName, mimeType: version.mimeType }, {
+      userId,
+      comment: comment || `Restored from version ${version.versionNumber}`,
+      origin: VERSION_ORIGINS.RESTORE,
+      restoredFrom: version.versionNumber,
+      traceId
+    });
+  }
+
+  /**
+   * @function listVersions
+   * @desc Newest first, with the document's current check-out if one is running.
+   */
+  async listVersions(tenantId, documentId) {
+    const doc = await this.loadDocument(tenantId, documentId);
+    const versions = await DocumentVersion.find({ tenantId: String(tenantId), documentId: doc._id })
+      .sort({ versionNumber: -1 })
+      .populate('author', AUTHOR_FIELDS)
+      .lean();
+    return {
+      documentId: String(doc._id),
+      title: doc.title,
+      currentVersion: doc.version,
+      currentVersionId: doc.currentVersionId,
+      checkout: activeCheckout(doc),
+      versions
+    };
+  }
+
+  async getVersion(tenantId, documentId, versionRef) {
+    const doc = await this.loadDocument(tenantId, documentId);
+    return this.findVersion(tenantId, doc, versionRef);
+  }
+
+  async downloadVersion(tenantId, documentId, versionRef) {
+    const version = await this.getVersion(tenantId, documentId, versionRef);
+    return { version, bytes: await this.readVersion(tenantId, version) };
+  }
+
+  /**
+   * @function checkOut
+   * @desc Takes (or renews) the document's lock for `minutes`. Fails with DOCUMENT_LOCKED while someone else holds
+   *       an unexpired one.
+   */
+  async checkOut(tenantId, documentId, { userId, minutes = DEFAULT_CHECKOUT_MINUTES, comment, traceId } = {}) {
+    const doc = await this.loadDocument(tenantId, documentId);
+    const duration = Number(minutes);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_CHECKOUT_MINUTES) {
+      throw versionError(400, `DOCUMENT_ERROR: A check-out lasts from 1 to ${MAX_CHECKOUT_MINUTES} minutes.`);
+    }
+    const now = new Date();
+    const checkout = { userId, checkedOutAt: now, expiresAt: new Date(now.getTime() + duration * 60000), comment };
+    const updated = await Document.findOneAndUpdate(
+      {
+        _id: doc._id,
+        $or: [{ 'checkout.userId': null }, { 'checkout.expiresAt': { $lte: now } }, { 'checkout.userId': userId }]
+      },
+      {
+        $set: { checkout },
+        $push: { auditLog: { action: 'CHECKED_OUT', performedBy: userId, details: { expiresAt: checkout.expiresAt, comment } } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await Document.findById(doc._id).select('checkout').lean();
+      throw lockedError(current.checkout);
+    }
+
+    auditLogger.info('DOCUMENT_CHECKED_OUT', { tenantId: String(tenantId), documentId: String(doc._id), userId: String(userId), expiresAt: checkout.expiresAt, traceId });
+    return updated.checkout;
+  }
+
+  /**
+   * @function checkIn
+   * @desc Releases the lock without saving a version. Only the holder can, unless `force` (compliance override) is
+   *       set; an expired lock can be cleared by anyone.
+   */
+  async checkIn(tenantId, documentId, { userId, force = false, reason, traceId } = {}) {
+    const doc = await this.loadDocument(tenantId, documentId);
+    if (!doc.checkout?.userId) throw versionError(409, 'DOCUMENT_NOT_CHECKED_OUT: The document is not checked out.');
+    const now = new Date();
+    const filter = { _id: doc._id, 'checkout.userId': doc.checkout.userId };
+    if (!force) filter.$or = [{ 'checkout.userId': userId }, { 'checkout.expiresAt': { $lte: now } }];
+
+    const heldBy = String(doc.checkout.userId);
+    const forced = force && heldBy !== String(userId) && doc.checkout.expiresAt > now;
+    const released = await Document.findOneAndUpdate(filter, {
+      $unset: { checkout: 1 },
+      $push: { auditLog: { action: 'CHECKED_IN', performedBy: userId, details: { heldBy, forced, reason } } }
+    }, { new: true });
+    if (!released) throw lockedError(doc.checkout);
+
+    const event = { tenantId: String(tenantId), documentId: String(doc._id), userId: String(userId), heldBy, reason, traceId };
+    if (forced) auditLogger.security('DOCUMENT_CHECKOUT_OVERRIDDEN', event);
+    else auditLogger.info('DOCUMENT_CHECKED_IN', event);
+    return { documentId: String(doc._id), releasedFrom: heldBy, forced };
+  }
+
+  /**
+   * @function redline
+   * @desc Compares two versions' text. `from` defaults to the version before `to`, `to` to the current version.
+   *       Returns the comparison PDF, or the changes as text runs when format is 'json'.
+   */
+  async redline(tenantId, documentId, { from, to, format = 'pdf' } = {}, { userId, preparedBy, traceId } = {}) {
+    const doc = await this.loadDocument(tenantId, documentId);
+    const revised = await this.findVersion(tenantId, doc, to ?? doc.version);
+    if (from == null && revised.versionNumber < 2) throw versionError(400, 'DOCUMENT_ERROR: There is no earlier version to compare with.');
+    const original = await this.findVersion(tenantId, doc, from ?? revised.versionNumber - 1);
+    if (original.versionNumber === revised.versionNumber) throw versionError(400, 'DOCUMENT_ERROR: Choose two different versions to compare.');
+
+    let texts;
+    try {
+      texts = await Promise.all([original, revised].map(async (version) => extractText({
+        bytes: await this.readVersion(tenantId, version),
+        mimeType: version.mimeType,
+        filename: `Version ${version.versionNumber} (${version.fileName || doc.title})`
+      })));
+    } catch (error) {
+      if (/^REDLINE_ERROR: /.test(error.message)) throw versionError(422, error.message);
+      throw error;
+    }
+    const { changes, stats, coarse } = diffTexts(texts[0], texts[1]);
+
+    const describe = (version) => ({
+      label: `Version ${version.versionNumber}`,
+      versionId: version.versionId,
+      fileName: version.fileName,
+      author: personName(version.author),
+      date: version.authoredAt || version.createdAt,
+      comment: version.comment,
+      contentHash: version.contentHash
+    });
+    const comparison = { title: doc.title, from: describe(original), to: describe(revised), stats, coarse };
+
+    await Document.updateOne({ _id: doc._id }, {
+      $push: { auditLog: { action: 'EXPORTED', performedBy: userId, details: { redline: { from: original.versionNumber, to: revised.versionNumber, format } } } }
+    });
+    auditLogger.info('DOCUMENT_REDLINE', {
+      tenantId: String(tenantId),
+      documentId: String(doc._id),
+      from: original.versionNumber,
+      to: revised.versionNumber,
+      format,
+      ...stats,
+      userId: userId ? String(userId) : undefined,
+      traceId
+    });
+
+    if (format === 'json') return { ...comparison, changes: changesToText(changes) };
+    const pdf = await renderRedlinePdf({ ...comparison, changes, preparedBy });
+    const stem = doc.title.replace(/[^\w.-]+/g, '_').slice(0, 80);
+    return { ...comparison, pdf, filename: `${stem}_redline_v${original.versionNumber}-v${revised.versionNumber}.pdf` };
+  }
+}
+
+export const documentVersionService = new DocumentVersionService();
+export default documentVersionService;
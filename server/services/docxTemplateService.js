@@ -0,0 +1,231 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DOCX TEMPLATE SERVICE [V1.0.0-DOCX]                                                                                         ║
+ * ║ [WORD PRECEDENT UPLOAD | MATTER, PARTY AND COURT DATA | ASSEMBLY TO DOCX AND PDF | MISSING FIELD REPORTS]                              ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/docxTemplateService.js                                           ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Stores Word precedents on DocumentTemplate (content.format 'docx') and assembles them with utils/docxTemplate.js.
+ * A matterId fills matter, court, attorney, client and party fields; data sent with the request overrides them.
+ */
+
+import crypto from 'node:crypto';
+import mongoose from 'mongoose';
+import DocumentTemplate, { OUTPUT_FORMATS, VARIABLE_TYPES } from '../models/DocumentTemplate.js';
+import Matter from '../models/Matter.js';
+import { Court } from '../models/Court.js';
+import { toPdfDocument } from '../utils/bundleCompiler.js';
+import { inspectDocxTemplate, renderDocx, docxText, matterMergeData, mergeData } from '../utils/docxTemplate.js';
+import auditLogger from '../utils/auditLogger.js';
+
+export const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Filters that say what kind of value a field expects
+const FILTER_TYPES = {
+  currency: VARIABLE_TYPES.CURRENCY,
+  amountInWords: VARIABLE_TYPES.CURRENCY,
+  number: VARIABLE_TYPES.NUMBER,
+  percent: VARIABLE_TYPES.NUMBER,
+  words: VARIABLE_TYPES.NUMBER,
+  date: VARIABLE_TYPES.DATE,
+  longDate: VARIABLE_TYPES.DATE,
+  legalDate: VARIABLE_TYPES.DATE
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Tags read from the document's own scope: those at the top level and inside comparisons and {^inverted} clauses
+const documentScopeTags = (tags) => tags.flatMap((tag) => (
+  (tag.compare || tag.kind === 'inverted') && tag.children?.length ? [tag, ...documentScopeTags(tag.children)] : [tag]
+));
+
+/**
+ * Template variables from a precedent's top-level tags: fields typed by their format, and sections that
+ * switch clauses on or off. Fields inside repeating sections belong to each item and are not listed.
+ */
+const variablesFrom = (tags) => {
+  const variables = new Map();
+  documentScopeTags(tags).forEach((tag, order) => {
+    if (variables.has(tag.path) || tag.path === '.') return;
+    if (tag.kind === 'field') {
+      const type = tag.filters.map((filter) => FILTER_TYPES[filter]).find(Boolean) || VARIABLE_TYPES.STRING;
+      variables.set(tag.path, { name: tag.path, type, order });
+    } else if ((tag.kind === 'section' || tag.kind === 'inverted') && (tag.compare || !tag.children?.length)) {
+      variables.set(tag.path, { name: tag.path, type: tag.compare ? VARIABLE_TYPES.STRING : VARIABLE_TYPES.BOOLEAN, order });
+    }
+  });
+  return [...variables.values()];
+};
+
+class DocxTemplateService {
+  async loadTemplate(tenantId, templateId, { withSource = false } = {}) {
+    const query = DocumentTemplate.findOne({ templateId, tenantId: String(tenantId) });
+    if (withSource) query.select('+content.docx.data');
+    const template = await query;
+    if (!template) throw new Error(`TEMPLATE_NOT_FOUND: Template ${templateId} not found.`);
+    return template;
+  }
+
+  isDocx(template) {
+    return template?.content?.format === 'docx';
+  }
+
+  readUpload(file) {
+    if (!file?.buffer?.length) throw new Error('DOCX_TEMPLATE_ERROR: No .docx file was uploaded.');
+    if (!/\.docx$/i.test(file.originalname || '')) throw new Error(`DOCX_TEMPLATE_ERROR: ${file.originalname} is not a .docx file.`);
+    const tags = inspectDocxTemplate(file.buffer);
+    return {
+      tags,
+      text: docxText(file.buffer),
+      source: { data: file.buffer, filename: file.originalname, size: file.buffer.length, sha256: sha256(file.buffer), uploadedAt: new Date() }
+    };
+  }
+
+  /**
+   * @function createTemplate
+   * @desc Stores an uploaded Word precedent as a draft template. Template syntax errors are rejected with the tags at fault.
+   */
+  async createTemplate(tenantId, file, meta, { userId } = {}) {
+    const { tags, text, source } = this.readUpload(file);
+    const template = await DocumentTemplate.create({
+      tenantId: String(tenantId),
+      name: meta.name,
+      description: meta.description,
+      templateType: meta.templateType,
+      practiceArea: meta.practiceArea,
+      jurisdiction: meta.jurisdiction || 'ZA',
+      tags: meta.tags || [],
+      content: { raw: text || source.filename, format: 'docx', docx: source },
+      variables: variablesFrom(tags),
+      output: { formats: [OUTPUT_FORMATS.DOCX, OUTPUT_FORMATS.PDF], defaultFormat: OUTPUT_FORMATS.DOCX },
+      audit: { createdBy: String(userId || 'SYSTEM'), updatedBy: String(userId || 'SYSTEM') }
+    });
+    auditLogger.info('DOCX_TEMPLATE_UPLOADED', { tenantId, templateId: template.templateId, sha256: source.sha256, fields: tags.length });
+    return { template, tags };
+  }
+
+  /**
+   * @function replaceSource
+   * @desc Uploads a new revision of a Word precedent; the previous content hash is kept in the version history.
+   */
+  async replaceSource(tenantId, templateId, file, { userId } = {}) {
+    const template = await this.loadTemplate(tenantId, templateId);
+    if (!this.isDocx(template)) throw new Error(`DOCX_TEMPLATE_ERROR: Template ${templateId} is not a Word template.`);
+    const { tags, text, source } = this.readUpload(file);
+    template.content.raw = text || source.filename;
+    template.content.docx = source;
+    template.variables = variablesFrom(tags);
+    template.version += 1;
+    template.audit.updatedBy = String(userId || 'SYSTEM');
+    await template.save();
+    auditLogger.info('DOCX_TEMPLATE_REPLACED', { tenantId, templateId, version: template.version, sha256: source.sha256 });
+    return { template, tags };
+  }
+
+  /**
+   * @function getSource
+   * @desc The uploaded Word precedent, for editing in Word.
+   */
+  async getSource(tenantId, templateId) {
+    const template = await this.loadTemplate(tenantId, templateId, { withSource: true });
+    if (!this.isDocx(template) || !template.content.docx?.data) throw new Error(`DOCX_TEMPLATE_ERROR: Template ${templateId} has no Word source.`);
+    return { filename: template.content.docx.filename, sha256: template.content.docx.sha256, buffer: Buffer.from(template.content.docx.data) };
+  }
+
+  /**
+   * @function matterData
+   * @desc Merge data for a matter: its details, its Court record and its CaseParty records.
+   */
+  async matterData(tenantId, matterId) {
+    if (!mongoose.isValidObjectId(matterId)) throw new Error('DOCX_TEMPLATE_ERROR: A valid matterId is required.');
+    const matter = await Matter.findOne({ _id: matterId, tenantId: String(tenantId) }).lean();
+    if (!matter) throw new Error(`TEMPLATE_NOT_FOUND: Matter ${matterId} not found.`);
+
+    // The court named on the matter, else the one its latest deadline trigger was recorded against
+    const courtId = matter.courtDetails?.courtId || [...(matter.deadlineTriggers || [])].reverse().find((trigger) => trigger.courtId)?.courtId;
+    const court = courtId ? await Court.findOne({ courtId, tenantId: String(tenantId) }).lean() : null;
+
+    return matterMergeData({ matter, court, parties: await this.caseParties(tenantId, matter) });
+  }
+
+  // CaseParty is loaded on first use so a fault in that model cannot take template assembly down with it;
+  // without it, the matter's own party list is used
+  async caseParties(tenantId, matter) {
+    try {
+      const { default: CaseParty } = await import('../models/CaseParty.js');
+      const parties = await CaseParty.find({ tenantId: String(tenantId), caseId: matter._id, partyStatus: { $nin: ['WITHDRAWN', 'DISCONTINUED'] } });
+      if (parties.length) return parties.map((party) => party.toObject({ getters: true }));
+    } catch (error) {
+      auditLogger.warn('DOCX_TEMPLATE_CASE_PARTIES_UNAVAILABLE', { tenantId, matterId: String(matter._id), error: error.message });
+    }
+    return matter.parties || [];
+  }
+
+  async mergeDataFor(tenantId, { data = {}, matterId } = {}) {
+    return matterId ? mergeData(await this.matterData(tenantId, matterId), data) : data;
+  }
+
+  /**
+   * @function check
+   * @desc Dry-runs a Word template: placeholders with no value are errors; sections with no value are warnings,
+   *       because a clause may be left out on purpose.
+   */
+  async check(tenantId, templateId, { data, matterId } = {}) {
+    const { buffer } = await this.getSource(tenantId, templateId);
+    const { missing, missingSections } = renderDocx(buffer, await this.mergeDataFor(tenantId, { data, matterId }));
+    return {
+      valid: missing.length === 0,
+      errors: missing.map((entry) => ({ field: entry.path, tag: entry.tag, message: `${entry.path} has no value`, type: 'missing' })),
+      warnings: missingSections.map((entry) => ({ field: entry.path, tag: entry.tag, message: `No value for section ${entry.path}; it is left out`, type: 'missing_section' })),
+      missingFields: [...new Set(missing.map((entry) => entry.path))]
+    };
+  }
+
+  /**
+   * @function assemble
+   * @desc Renders a Word template to .docx or PDF. Refuses when fields are missing unless allowMissing, in which case
+   *       each blank is marked [●] for completion by hand.
+   */
+  async assemble(tenantId, templateId, { data, matterId, format = OUTPUT_FORMATS.DOCX, allowMissing = false } = {}) {
+    const template = await this.loadTemplate(tenantId, templateId, { withSource: true });
+    if (!this.isDocx(template)) throw new Error(`DOCX_TEMPLATE_ERROR: Template ${templateId} is not a Word template.`);
+    if (![OUTPUT_FORMATS.DOCX, OUTPUT_FORMATS.PDF].includes(format)) {
+      throw new Error(`DOCX_TEMPLATE_ERROR: Word templates render to docx or pdf, not ${format}.`);
+    }
+
+    const started = Date.now();
+    const rendered = renderDocx(Buffer.from(template.content.docx.data), await this.mergeDataFor(tenantId, { data, matterId }));
+    if (rendered.missing.length && !allowMissing) {
+      const error = new Error(`MISSING_REQUIRED_FIELDS: ${[...new Set(rendered.missing.map((entry) => entry.path))].join(', ')}`);
+      error.details = rendered.missing;
+      throw error;
+    }
+
+    let buffer = rendered.buffer;
+    let contentType = DOCX_MIME;
+    if (format === OUTPUT_FORMATS.PDF) {
+      const doc = await toPdfDocument({ bytes: rendered.buffer, filename: template.content.docx.filename });
+      buffer = Buffer.from(await doc.save());
+      contentType = 'application/pdf';
+    }
+
+    template.usageStats.timesUsed += 1;
+    template.usageStats.lastUsedAt = new Date();
+    template.usageStats.averageGenerationTime = (template.usageStats.averageGenerationTime || 0) * 0.9 + (Date.now() - started) * 0.1;
+    await template.save();
+
+    return {
+      buffer,
+      contentType,
+      filename: `${template.name.replace(/[^\w.-]+/g, '_')}_${Date.now()}.${format}`,
+      sha256: sha256(buffer),
+      missing: rendered.missing,
+      missingSections: rendered.missingSections
+    };
+  }
+}
+
+export const docxTemplateService = new DocxTemplateService();
+export default docxTemplateService;
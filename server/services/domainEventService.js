@@ -0,0 +1,54 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DOMAIN EVENTS [V2.0.0-EVENTS]                                                                                               ║
+ * ║ [EVENT CATALOGUE | TRANSACTIONAL OUTBOX | FAN-OUT TO WORKFLOW TRIGGERS AND WEBHOOKS]                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/domainEventService.js                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Models announce what happened through models/plugins/domainEventPlugin.js; scheduled facts (dsar.due) are recorded by
+ * their jobs. Either way the event goes into the outbox (services/outboxService.js) alongside the change, and is relayed
+ * from there to workflow triggers and webhook subscribers.
+ */
+
+import outboxService from './outboxService.js';
+
+export const DOMAIN_EVENTS = Object.freeze({
+  MATTER_CREATED: 'matter.created',
+  DOCUMENT_UPLOADED: 'document.uploaded',
+  DOCUMENT_SIGNED: 'document.signed',
+  INVOICE_PAID: 'invoice.paid',
+  INVOICE_OVERDUE: 'invoice.overdue',
+  TRUST_DEPOSIT: 'trust.deposit',
+  DSAR_DUE: 'dsar.due'
+});
+
+// What subscribers and workflow designers are shown for each event
+export const EVENT_CATALOGUE = Object.freeze([
+  { type: DOMAIN_EVENTS.MATTER_CREATED, subject: 'matter', description: 'A matter was opened' },
+  { type: DOMAIN_EVENTS.DOCUMENT_UPLOADED, subject: 'document', description: 'A document was added to the vault' },
+  { type: DOMAIN_EVENTS.DOCUMENT_SIGNED, subject: 'document', description: 'A signature was applied to a document' },
+  { type: DOMAIN_EVENTS.INVOICE_PAID, subject: 'invoice', description: 'An invoice was settled in full' },
+  { type: DOMAIN_EVENTS.INVOICE_OVERDUE, subject: 'invoice', description: 'An invoice passed its due date unpaid' },
+  { type: DOMAIN_EVENTS.TRUST_DEPOSIT, subject: 'trust_transaction', description: 'Money was deposited to a client trust ledger' },
+  { type: DOMAIN_EVENTS.DSAR_DUE, subject: 'dsar', description: 'A data subject access request is within 24 hours of its POPIA deadline' }
+]);
+
+const KNOWN = new Set(Object.values(DOMAIN_EVENTS));
+
+class DomainEventService {
+  /**
+   * @function record
+   * @desc Records a domain event in the outbox, in `session` when the change it describes is transactional.
+   * @param {{ tenantId: string, type: string, subject: { type: string, id: string }, matterId?: string, payload?: object }} fact
+   * @param {{ session?: import('mongoose').ClientSession, dedupeKey?: string }} [options]
+   */
+  async record(fact, options = {}) {
+    if (!KNOWN.has(fact.type)) throw new Error(`DOMAIN_EVENT_ERROR: ${fact.type} is not in the event catalogue`);
+    return outboxService.record(fact, options);
+  }
+}
+
+export const domainEventService = new DomainEventService();
+export default domainEventService;
@@ -41,6 +41,11 @@ import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import SovereignPdfStore from './pdfStore.js';
+import padesService from './padesService.js';
+import bundleService from './bundleService.js';
+import Document from '../models/Document.js';
+import { CEREMONY_EVENTS, signingParties, signingTurn } from '../utils/signingCeremony.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -260,7 +265,55 @@ const electronicSignatureSchema = new mongoose.Schema({
     
     // Evidence
     forensicHash: String,
-    blockchainAnchor: String
+    blockchainAnchor: String,
+
+    // Remote signing ceremony (services/signingCeremonyService.js)
+    phone: String,
+    remote: { type: Boolean, default: false },
+    declineReason: String,
+    delegatedAt: Date,
+    delegatedTo: { type: String, lowercase: true },
+    delegatedFrom: { type: String, lowercase: true },
+    delegationReason: String,
+    adoptedSignature: {
+      type: { type: String, enum: ['typed', 'drawn'] },
+      text: String,
+      image: String,
+      hash: String,
+      adoptedAt: Date
+    },
+    ceremony: {
+      tokenHash: { type: String, select: false },
+      tokenExpiresAt: Date,
+      invitedAt: Date,
+      invitationCount: { type: Number, default: 0 },
+      linkUsedAt: Date,
+      otpChannel: { type: String, enum: ['sms', 'email'] },
+      otpHash: { type: String, select: false },
+      otpSentAt: Date,
+      otpExpiresAt: Date,
+      otpSends: { type: Number, default: 0 },
+      otpAttempts: { type: Number, default: 0 },
+      otpVerifiedAt: Date,
+      sessionHash: { type: String, select: false },
+      sessionExpiresAt: Date,
+      reviewedAt: Date,
+      consentVersion: String,
+      consentedAt: Date
+    }
+  }],
+
+  allowDelegation: { type: Boolean, default: true },
+
+  ceremonyEvents: [{
+    _id: false,
+    signerId: String,
+    email: String,
+    event: { type: String, enum: Object.values(CEREMONY_EVENTS), required: true },
+    at: { type: Date, default: Date.now },
+    ipAddress: String,
+    userAgent: String,
+    detail: mongoose.Schema.Types.Mixed
   }],
 
   status: {
@@ -292,6 +345,39 @@ const electronicSignatureSchema = new mongoose.Schema({
     default: SIGNATURE_PROVIDERS.WILSY_QUANTUM
   },
 
+  // Embedded PAdES signatures: the PDF the parties sign and, once all have signed, the sealed copy
+  pdf: {
+    sourceTraceId: String,
+    sourceHash: String,
+    pageCount: Number,
+    fields: [{
+      _id: false,
+      email: { type: String, lowercase: true },
+      role: String,
+      name: String,
+      page: Number,
+      x: Number,
+      y: Number,
+      width: Number,
+      height: Number
+    }],
+    signedTraceId: String,
+    signedHash: String,
+    level: String,
+    sealedAt: Date,
+    signatures: [{
+      _id: false,
+      email: String,
+      fieldName: String,
+      page: Number,
+      certificateSerial: String,
+      certificateFingerprint: String,
+      byteRange: [Number],
+      digest: String
+    }],
+    error: String
+  },
+
   // Quantum verification
   quantumVerification: {
     performedAt: Date,
@@ -408,7 +494,8 @@ const electronicSignatureSchema = new mongoose.Schema({
     source: { type: String, default: 'api' },
     tags: [String],
     notes: String,
-    correlationId: String
+    correlationId: String,
+    organisation: String
   },
 
   // Expiry
@@ -459,15 +546,17 @@ electronicSignatureSchema.index({ 'signers.email': 1 });
 electronicSignatureSchema.index({ expiresAt: 1 });
 electronicSignatureSchema.index({ forensicHash: 1 });
 electronicSignatureSchema.index({ retentionEnd: 1 });
+electronicSignatureSchema.index({ 'signers.ceremony.tokenHash': 1 }, { sparse: true });
+electronicSignatureSchema.index({ 'signers.ceremony.sessionHash': 1 }, { sparse: true });
 
 // Virtuals
 electronicSignatureSchema.virtual('isComplete').get(function() {
-  return this.signers.every(s => s.signedAt) && this.status === SIGNATURE_STATUS.SIGNED;
+  return signingParties(this.signers).every(s => s.signedAt) && this.status === SIGNATURE_STATUS.SIGNED;
 });
 
 electronicSignatureSchema.virtual('progress').get(function() {
-  const signed = this.signers.filter(s => s.signedAt).length;
-  return Math.round((signed / this.signers.length) * 100);
+  const parties = signingParties(this.signers);
+  return parties.length ? Math.round((parties.filter(s => s.signedAt).length / parties.length) * 100) : 0;
 });
 
 electronicSignatureSchema.virtual('quantumConfidence').get(function() {
@@ -478,8 +567,9 @@ electronicSignatureSchema.virtual('quantumConfidence').get(function() {
 electronicSignatureSchema.pre('save', async function() {
   this.audit.updatedAt = new Date();
 
-  // Add to status history if changed
-  if (this.isModified('status')) {
+  // Add to status history if changed, unless the change was already recorded with its reason
+  const lastStatus = this.statusHistory?.[this.statusHistory.length - 1];
+  if (this.isModified('status') && !(lastStatus?.isNew && lastStatus.status === this.status)) {
     if (!this.statusHistory) this.statusHistory = [];
     this.statusHistory.push({
       status: this.status,
@@ -534,7 +624,7 @@ electronicSignatureSchema.pre('save', async function() {
   }
 });
 
-const ElectronicSignature = mongoose.model('ElectronicSignature', electronicSignatureSchema);
+export const ElectronicSignature = mongoose.model('ElectronicSignature', electronicSignatureSchema);
 
 // ============================================================================
 // E-SIGNATURE SERVICE - 2050 CITADEL
@@ -606,8 +696,8 @@ export class ESignService {
     const startTime = Date.now();
     
     try {
-      const tenantId = this.getCurrentTenant();
-      const userId = this.getCurrentUser();
+      const tenantId = options.tenantId || this.getCurrentTenant();
+      const userId = options.userId || this.getCurrentUser();
 
       // Validate document
       const DocumentTemplate = mongoose.model('DocumentTemplate');
@@ -635,10 +725,20 @@ export class ESignService {
         name: s.name,
         role: s.role || 'signer',
         order: s.order || index + 1,
-        verificationLevel: s.verificationLevel || VERIFICATION_LEVELS.LEVEL_5,
+        // Remote parties prove who they are with a one-time code
+        verificationLevel: s.verificationLevel || (options.remoteSigning ? VERIFICATION_LEVELS.LEVEL_2 : VERIFICATION_LEVELS.LEVEL_5),
+        phone: s.phone,
+        remote: Boolean(options.remoteSigning || s.remote),
         sentAt: new Date()
       }));
 
+      // Render the PDF the parties will sign and place a signature field for each of them
+      const signatureId = `SIG-${crypto.randomBytes(16).toString('hex').toUpperCase()}`;
+      const source = await padesService.renderSource(await this.resolveSource(tenantId, document, options));
+      const fields = padesService.placeFields(document.signatureRequirements, preparedSigners, source.pages);
+      const sourceTraceId = `${signatureId}-SOURCE`;
+      await SovereignPdfStore.storePdf(String(tenantId), sourceTraceId, source.pdf);
+
       // Determine jurisdiction
       const jurisdiction = options.jurisdiction || this.config.defaultJurisdiction;
       const jurisdictionConfig = JURISDICTIONS[jurisdiction] || JURISDICTIONS.ZA;
@@ -658,7 +758,7 @@ export class ESignService {
 
       // Create signature record
       const signature = new ElectronicSignature({
-        signatureId: `SIG-${crypto.randomBytes(16).toString('hex').toUpperCase()}`,
+        signatureId,
         tenantId,
         documentId,
         documentTemplateId: document.templateId,
@@ -667,6 +767,13 @@ export class ESignService {
         status: SIGNATURE_STATUS.PENDING,
         signatureType: options.signatureType || SIGNATURE_TYPES.QUANTUM,
         provider: options.provider || this.config.defaultProvider,
+        allowDelegation: options.allowDelegation !== false,
+        pdf: {
+          sourceTraceId,
+          sourceHash: source.hash,
+          pageCount: source.pages.length,
+          fields
+        },
         retentionPolicy,
         retentionStart: new Date(),
         retentionEnd,
@@ -681,7 +788,8 @@ export class ESignService {
           version: '9.0.0-quantum-2050',
           source: options.source || 'api',
           tags: options.tags || [],
-          correlationId: options.correlationId || uuidv4()
+          correlationId: options.correlationId || uuidv4(),
+          organisation: options.organisation
         }
       });
 
@@ -709,7 +817,9 @@ export class ESignService {
         success: true,
         signatureId: signature.signatureId,
         status: signature.status,
-        signers: preparedSigners.map(s => ({ email: s.email, name: s.name, role: s.role, order: s.order })),
+        signers: signature.signers.map(s => ({ signerId: String(s._id), email: s.email, name: s.name, role: s.role, order: s.order })),
+        fields,
+        sourceHash: source.hash,
         expiresAt: signature.expiresAt,
         blockchainAnchor,
         forensicHash: signature.forensicHash,
@@ -730,7 +840,7 @@ export class ESignService {
     const startTime = Date.now();
     
     try {
-      const tenantId = this.getCurrentTenant();
+      const tenantId = options.tenantId || this.getCurrentTenant();
 
       // Find signature
       const signature = await ElectronicSignature.findOne({ 
@@ -744,7 +854,8 @@ export class ESignService {
 
       // Find signer
       const signerIndex = signature.signers.findIndex(s => 
-        s.email === signerData.email.toLowerCase()
+        (!signerData.signerId || String(s._id) === String(signerData.signerId))
+        && (!signerData.email || s.email === signerData.email.toLowerCase())
       );
 
       if (signerIndex === -1) {
@@ -758,6 +869,17 @@ export class ESignService {
         throw new Error('Document already signed by this signer');
       }
 
+      if ([SIGNATURE_STATUS.DECLINED, SIGNATURE_STATUS.REVOKED, SIGNATURE_STATUS.EXPIRED].includes(signature.status)) {
+        throw Object.assign(new Error(`Signature request is ${signature.status}`), { status: 409 });
+      }
+
+      // Parties sign in order; those sharing an order sign in parallel
+      const turn = signingTurn(signature.signers, signer);
+      if (!turn.allowed) {
+        const waiting = turn.waitingFor?.length ? `: waiting for ${turn.waitingFor.join(', ')}` : '';
+        throw Object.assign(new Error(`Signer cannot sign now (${turn.reason})${waiting}`), { status: 409 });
+      }
+
       // Verify signer
       const verificationResult = await this.verifySigner(signer, signerData, options);
 
@@ -797,8 +919,8 @@ export class ESignService {
         forensicHash: quantumSignature.forensicHash
       };
 
-      // Check if all signers have signed
-      const allSigned = signature.signers.every(s => s.signedAt);
+      // Check if all signers have signed (observers and parties who delegated are not needed)
+      const allSigned = signingParties(signature.signers).every(s => s.signedAt);
       
       if (allSigned) {
         signature.status = SIGNATURE_STATUS.SIGNED;
@@ -810,7 +932,23 @@ export class ESignService {
       }
 
       signature.audit.updatedBy = signerData.email;
-      await signature.save();
+      // The vault document's signature and its document.signed outbox event commit with the request
+      await this.withTransaction(async (session) => {
+        await signature.save({ session });
+        await this.recordDocumentSignature(signature, signature.signers[signerIndex], session);
+      });
+
+      // Embed every party's signature once the last one has signed. A failure is recorded and retried on download.
+      let sealed = null;
+      if (allSigned && signature.pdf?.sourceTraceId) {
+        try {
+          sealed = await this.sealSignedPdf(signature);
+        } catch (error) {
+          signature.pdf.error = error.message;
+          await signature.save();
+          this.logError('Failed to embed PAdES signatures', error);
+        }
+      }
 
       this.logAudit('DOCUMENT_SIGNED', {
         signatureId,
@@ -826,6 +964,7 @@ export class ESignService {
         signedAt: new Date(),
         status: signature.status,
         allSigned,
+        signedPdf: sealed ? { hash: sealed.signedHash, level: sealed.level } : null,
         quantumSignature: {
           algorithm: quantumSignature.algorithm,
           hash: quantumSignature.forensicHash.substring(0, 16)
@@ -956,9 +1095,9 @@ export class ESignService {
   /**
    * Get signature status
    */
-  async getSignatureStatus(signatureId) {
+  async getSignatureStatus(signatureId, options = {}) {
     try {
-      const tenantId = this.getCurrentTenant();
+      const tenantId = options.tenantId || this.getCurrentTenant();
 
       const signature = await ElectronicSignature.findOne({ 
         signatureId,
@@ -981,12 +1120,24 @@ export class ESignService {
           name: s.name,
           role: s.role,
           order: s.order,
-          status: s.signedAt ? 'signed' : s.declinedAt ? 'declined' : 'pending',
+          signerId: String(s._id),
+          status: s.signedAt ? 'signed' : s.declinedAt ? 'declined' : s.delegatedAt ? 'delegated' : 'pending',
+          remote: s.remote,
+          delegatedTo: s.delegatedTo?.replace(/(.{2}).*(@.*)/, '$1***$2'),
           signedAt: s.signedAt,
           viewedAt: s.viewedAt
         })),
         createdAt: signature.audit.createdAt,
         expiresAt: signature.expiresAt,
+        pdf: signature.pdf?.sourceTraceId ? {
+          sourceHash: signature.pdf.sourceHash,
+          pageCount: signature.pdf.pageCount,
+          fields: signature.pdf.fields,
+          signedHash: signature.pdf.signedHash,
+          level: signature.pdf.level,
+          sealedAt: signature.pdf.sealedAt,
+          error: signature.pdf.error
+        } : null,
         quantumConfidence: signature.quantumVerification?.entanglementScore || 0.9997
       };
 
@@ -999,9 +1150,9 @@ export class ESignService {
   /**
    * Get signature history
    */
-  async getSignatureHistory(signatureId) {
+  async getSignatureHistory(signatureId, options = {}) {
     try {
-      const tenantId = this.getCurrentTenant();
+      const tenantId = options.tenantId || this.getCurrentTenant();
 
       const signature = await ElectronicSignature.findOne({ 
         signatureId,
@@ -1021,9 +1172,22 @@ export class ESignService {
           signer: s.email.replace(/(.{2}).*(@.*)/, '$1***$2'),
           sentAt: s.sentAt,
           viewedAt: s.viewedAt,
+          consentedAt: s.ceremony?.consentedAt,
           signedAt: s.signedAt,
-          declinedAt: s.declinedAt
-        })).filter(t => t.sentAt || t.viewedAt || t.signedAt || t.declinedAt)
+          declinedAt: s.declinedAt,
+          declineReason: s.declineReason,
+          delegatedAt: s.delegatedAt,
+          delegatedTo: s.delegatedTo?.replace(/(.{2}).*(@.*)/, '$1***$2'),
+          delegationReason: s.delegationReason
+        })).filter(t => t.sentAt || t.viewedAt || t.signedAt || t.declinedAt || t.delegatedAt),
+        // Remote signing ceremony: links, codes, review, consent, adoption and the outcome, per party
+        ceremony: (signature.ceremonyEvents || []).map(e => ({
+          event: e.event,
+          signer: e.email?.replace(/(.{2}).*(@.*)/, '$1***$2'),
+          at: e.at,
+          ipAddress: e.ipAddress,
+          detail: e.detail
+        }))
       };
 
     } catch (error) {
@@ -1035,9 +1199,9 @@ export class ESignService {
   /**
    * Cancel signature request
    */
-  async cancelSignatureRequest(signatureId, reason) {
+  async cancelSignatureRequest(signatureId, reason, options = {}) {
     try {
-      const tenantId = this.getCurrentTenant();
+      const tenantId = options.tenantId || this.getCurrentTenant();
 
       const signature = await ElectronicSignature.findOne({ 
         signatureId,
@@ -1083,9 +1247,9 @@ export class ESignService {
   /**
    * Remind signers
    */
-  async remindSigners(signatureId, signerEmails = []) {
+  async remindSigners(signatureId, signerEmails = [], options = {}) {
     try {
-      const tenantId = this.getCurrentTenant();
+      const tenantId = options.tenantId || this.getCurrentTenant();
 
       const signature = await ElectronicSignature.findOne({ 
         signatureId,
@@ -1128,6 +1292,156 @@ export class ESignService {
     }
   }
 
+  /**
+   * Source for the PDF to be signed: raw PDF bytes, an uploaded matter document, or the template's own text
+   */
+  async resolveSource(tenantId, template, options = {}) {
+    if (options.sourcePdf) {
+      return { bytes: Buffer.from(options.sourcePdf), mimeType: 'application/pdf', filename: `${template.name}.pdf` };
+    }
+    if (options.sourceDocumentId) {
+      const docs = await bundleService.loadDocuments(tenantId, [String(options.sourceDocumentId)]);
+      return bundleService.readSource(tenantId, docs.get(String(options.sourceDocumentId)));
+    }
+    return { text: template.content?.raw, mimeType: 'text/plain', filename: template.name };
+  }
+
+  /**
+   * Run fn inside a MongoDB transaction, committing or aborting as one unit
+   */
+  async withTransaction(fn) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const result = await fn(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Add a signer's signature to the vault document the request was raised on, if it is one
+   */
+  async recordDocumentSignature(signature, signer, session) {
+    if (!mongoose.isValidObjectId(signature.documentId) || !mongoose.isValidObjectId(signature.tenantId)) return null;
+    const document = await Document.findOne({ _id: signature.documentId, tenantId: signature.tenantId }).session(session);
+    if (!document) return null;
+    document.signatures.push({
+      signature: signer.forensicHash || signer.quantumSignature,
+      signedAt: signer.signedAt,
+      ipAddress: signer.ipAddress,
+      userAgent: signer.userAgent
+    });
+    return document.save({ session });
+  }
+
+  /**
+   * Embed PAdES signatures for a fully signed request and store the signed PDF
+   */
+  async sealSignedPdf(signature) {
+    const tenantId = String(signature.tenantId);
+    const sourcePdf = await SovereignPdfStore.get(tenantId, signature.pdf.sourceTraceId);
+    const signedAt = signature.signers.map(s => s.signedAt).filter(Boolean);
+
+    const sealed = await padesService.seal(
+      {
+        requestId: signature.signatureId,
+        title: signature.title,
+        createdAt: signature.audit?.createdAt,
+        completedAt: new Date(Math.max(...signedAt)),
+        organisation: signature.metadata?.organisation
+      },
+      sourcePdf,
+      signature.pdf.fields,
+      signature.signers.map(s => ({
+        name: s.name,
+        email: s.email,
+        role: s.role,
+        order: s.order,
+        signedAt: s.signedAt,
+        ipAddress: s.ipAddress,
+        geoLocation: s.geoLocation,
+        verificationLevel: s.verificationLevel,
+        adoptedSignature: s.adoptedSignature?.type ? s.adoptedSignature : undefined
+      }))
+    );
+
+    const signedTraceId = `${signature.signatureId}-SIGNED`;
+    await SovereignPdfStore.storePdf(tenantId, signedTraceId, sealed.pdf);
+    Object.assign(signature.pdf, {
+      signedTraceId,
+      signedHash: sealed.hash,
+      level: sealed.level,
+      sealedAt: new Date(),
+      signatures: sealed.signatures,
+      error: undefined
+    });
+    await signature.save();
+
+    this.logAudit('PADES_SIGNATURES_EMBEDDED', {
+      signatureId: signature.signatureId,
+      level: sealed.level,
+      signatures: sealed.signatures.length,
+      signedHash: sealed.hash
+    });
+
+    return signature.pdf;
+  }
+
+  /**
+   * Signed PDF for download, sealing it first if that did not happen when the last party signed
+   */
+  async getSignedPdf(signatureId, options = {}) {
+    const tenantId = options.tenantId || this.getCurrentTenant();
+    const signature = await ElectronicSignature.findOne({ signatureId, tenantId });
+
+    if (!signature) {
+      throw Object.assign(new Error('Signature not found'), { status: 404 });
+    }
+    if (!signature.pdf?.sourceTraceId) {
+      throw Object.assign(new Error('This request has no PDF to sign'), { status: 409 });
+    }
+    if (!signingParties(signature.signers).every(s => s.signedAt)) {
+      throw Object.assign(new Error('Not all signers have signed'), { status: 409 });
+    }
+
+    if (!signature.pdf.signedTraceId) await this.sealSignedPdf(signature);
+
+    return {
+      filename: `${signature.title.replace(/[^\w.-]+/g, '_')}-signed.pdf`,
+      hash: signature.pdf.signedHash,
+      level: signature.pdf.level,
+      pdf: await SovereignPdfStore.get(String(signature.tenantId), signature.pdf.signedTraceId)
+    };
+  }
+
+  /**
+   * Validate the signatures embedded in the signed PDF offline, against the local signing authority
+   */
+  async verifyEmbeddedSignatures(signatureId, options = {}) {
+    const { pdf, hash } = await this.getSignedPdf(signatureId, options);
+    const report = await padesService.verify(pdf);
+    const storedHashMatches = crypto.createHash('sha256').update(pdf).digest('hex') === hash;
+
+    this.logAudit('PADES_SIGNATURES_VERIFIED', {
+      signatureId,
+      valid: report.valid && storedHashMatches,
+      signatureCount: report.signatureCount
+    });
+
+    return {
+      signatureId,
+      verified: report.valid && storedHashMatches,
+      storedHashMatches,
+      ...report
+    };
+  }
+
   /**
    * Generate quantum signature
    */
@@ -1199,6 +1513,15 @@ export class ESignService {
     let verified = true;
 
     switch (signer.verificationLevel) {
+      case VERIFICATION_LEVELS.LEVEL_2:
+        // One-time code checked by the remote signing ceremony
+        if (!options.otpVerifiedAt) {
+          verified = false;
+        } else {
+          level = VERIFICATION_LEVELS.LEVEL_2;
+        }
+        break;
+
       case VERIFICATION_LEVELS.LEVEL_5:
         // Quantum signature required
         if (!options.quantumSignature) {
@@ -1294,6 +1617,37 @@ export class ESignService {
     return transactionId;
   }
 
+  /**
+   * Signature requests for a tenant by status, with how many signed PDFs were sealed or failed to seal
+   */
+  async stats(tenantId) {
+    const [byStatus, pdfs] = await Promise.all([
+      ElectronicSignature.aggregate([
+        { $match: { tenantId: String(tenantId) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      ElectronicSignature.aggregate([
+        { $match: { tenantId: String(tenantId), status: SIGNATURE_STATUS.SIGNED, 'pdf.sourceTraceId': { $exists: true } } },
+        {
+          $group: {
+            _id: null,
+            sealed: { $sum: { $cond: [{ $ifNull: ['$pdf.sealedAt', false] }, 1, 0] } },
+            sealFailed: { $sum: { $cond: [{ $ifNull: ['$pdf.error', false] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+    const statuses = Object.fromEntries(byStatus.map((row) => [row._id, row.count]));
+    const open = [SIGNATURE_STATUS.PENDING, SIGNATURE_STATUS.SENT, SIGNATURE_STATUS.VIEWED]
+      .reduce((sum, status) => sum + (statuses[status] || 0), 0);
+    return {
+      total: byStatus.reduce((sum, row) => sum + row.count, 0),
+      open,
+      byStatus: statuses,
+      signedPdfs: { sealed: pdfs[0]?.sealed || 0, sealFailed: pdfs[0]?.sealFailed || 0 }
+    };
+  }
+
   /**
    * Health check
    */
@@ -142,6 +142,9 @@ const providersList = createProviders();
 // EMAIL TEMPLATES
 // ============================================================================
 
+// Hold names and reasons are user-entered, so they are escaped before going into markup
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
 const EMAIL_TEMPLATES = {
   welcome: {
     subject: 'Welcome to Wilsy OS',
@@ -186,6 +189,104 @@ const EMAIL_TEMPLATES = {
         <p style="font-size: 12px; color: #888; margin-top: 30px;">This artifact is legally non-repudiable and anchored to the Wilsy OS Sovereign Nucleus.</p>
       </div>`,
     text: (data) => `WILSY OS INVESTOR REPORT | TRACE: ${data.traceId} | BIBLICAL WORTH BILLIONS`
+  },
+  legalHoldNotice: {
+    subject: '⚖️ Legal Hold Notice - Preserve All Relevant Records',
+    template: (data) => `
+      <div style="font-family: sans-serif; background: #050505; color: #ffffff; padding: 40px; border: 1px solid #d4af37;">
+        <h2 style="color: #d4af37;">LEGAL HOLD: ${escapeHtml(data.holdName)}</h2>
+        <p>Dear ${escapeHtml(data.name)}, you have been identified as a custodian of records relevant to this matter.</p>
+        <p>${escapeHtml(data.reason)}</p>
+        <p><strong>Do not delete, alter or discard</strong> any documents, emails or other records within the scope below until you are told in writing that the hold has been released.</p>
+        <p style="color: #888;">${escapeHtml(data.scopeSummary)}</p>
+        <p><a href="${escapeHtml(data.acknowledgeUrl)}" style="color: #d4af37;">Acknowledge this legal hold</a></p>
+        <p style="color: #666; font-size: 11px;">Hold ID: ${escapeHtml(data.holdId)} | Request ID: ${data.requestId}</p>
+      </div>`,
+    text: (data) => `LEGAL HOLD ${data.holdId}: ${data.holdName}. ${data.reason} Preserve all records in scope (${data.scopeSummary}). Acknowledge: ${data.acknowledgeUrl}`
+  },
+  legalHoldReminder: {
+    subject: '⚖️ Reminder: Legal Hold Acknowledgement Outstanding',
+    template: (data) => `
+      <div style="font-family: sans-serif; background: #050505; color: #ffffff; padding: 40px; border: 1px solid #d4af37;">
+        <h2 style="color: #d4af37;">ACKNOWLEDGEMENT OUTSTANDING</h2>
+        <p>Dear ${escapeHtml(data.name)}, the legal hold "${escapeHtml(data.holdName)}" issued on ${escapeHtml(data.issuedOn)} is still awaiting your acknowledgement.</p>
+        <p>The duty to preserve records applies whether or not you have acknowledged it.</p>
+        <p><a href="${escapeHtml(data.acknowledgeUrl)}" style="color: #d4af37;">Acknowledge this legal hold</a></p>
+        <p style="color: #666; font-size: 11px;">Hold ID: ${escapeHtml(data.holdId)} | Reminder ${data.reminderNumber} | Request ID: ${data.requestId}</p>
+      </div>`,
+    text: (data) => `REMINDER ${data.reminderNumber} - LEGAL HOLD ${data.holdId}: ${data.holdName} awaits your acknowledgement: ${data.acknowledgeUrl}`
+  },
+  signingInvitation: {
+    subject: '✍️ Document Awaiting Your Signature',
+    template: (data) => `
+      <div style="font-family: sans-serif; background: #050505; color: #ffffff; padding: 40px; border: 1px solid #d4af37;">
+        <h2 style="color: #d4af37;">PLEASE SIGN: ${escapeHtml(data.title)}</h2>
+        <p>Dear ${escapeHtml(data.name)}, ${escapeHtml(data.organisation || 'a Wilsy OS firm')} has asked you to sign this document electronically${data.delegatedBy ? ` on behalf of ${escapeHtml(data.delegatedBy)}` : ''}.</p>
+        <p>The link below is personal to you and works once. You will receive a one-time code to confirm your identity before you can review and sign.</p>
+        <p><a href="${escapeHtml(data.signUrl)}" style="color: #d4af37;">Review and sign</a></p>
+        <p style="color: #888;">The link expires on ${escapeHtml(data.expiresOn)}.</p>
+        <p style="color: #666; font-size: 11px;">Signature request: ${escapeHtml(data.signatureId)} | Request ID: ${data.requestId}</p>
+      </div>`,
+    text: (data) => `PLEASE SIGN: ${data.title}. ${data.organisation || 'A Wilsy OS firm'} has asked you to sign electronically${data.delegatedBy ? ` on behalf of ${data.delegatedBy}` : ''}. Your personal link (expires ${data.expiresOn}): ${data.signUrl}`
+  },
+  signingCode: {
+    subject: '🔐 Your Signing Code',
+    template: (data) => `
+      <div style="font-family: sans-serif; background: #050505; color: #ffffff; padding: 40px; border: 1px solid #d4af37;">
+        <h2 style="color: #d4af37;">${escapeHtml(data.code)}</h2>
+        <p>Use this code to confirm your identity before signing "${escapeHtml(data.title)}". It is valid for ${data.expiry} minutes.</p>
+        <p style="color: #888;">If you did not open a signing link, ignore this email and do not share the code.</p>
+        <p style="color: #666; font-size: 11px;">Signature request: ${escapeHtml(data.signatureId)} | Request ID: ${data.requestId}</p>
+      </div>`,
+    text: (data) => `Your signing code for "${data.title}" is ${data.code}. Valid for ${data.expiry} minutes. Do not share this code.`
+  },
+  documentShared: {
+    subject: '📄 A Document Has Been Shared With You',
+    template: (data) => `
+      <div style="font-family: sans-serif; background: #050505; color: #ffffff; padding: 40px; border: 1px solid #d4af37;">
+        <h2 style="color: #d4af37;">SHARED WITH YOU: ${escapeHtml(data.title)}</h2>
+        <p>${data.name ? `Dear ${escapeHtml(data.name)}, ` : ''}${escapeHtml(data.sharedBy || 'A Wilsy OS firm')} has shared this document with you${data.viewOnly ? ' to view online' : ''}.</p>
+        ${data.message ? `<p style="border-left: 3px solid #d4af37; padding-left: 12px;">${escapeHtml(data.message)}</p>` : ''}
+        <p>${data.protection === 'password' ? 'You will need the password the sender gave you separately.' : 'A one-time code will be sent to you when you open the link.'} Every page carries your email address and the time you opened it.</p>
+        <p><a href="${escapeHtml(data.shareUrl)}" style="color: #d4af37;">Open the document</a></p>
+        <p style="color: #888;">The link expires on ${escapeHtml(data.expiresOn)}${data.maxDownloads ? ` and allows ${data.maxDownloads} download${data.maxDownloads === 1 ? '' : 's'}` : ''}.</p>
+        <p style="color: #666; font-size: 11px;">Share: ${escapeHtml(data.shareId)} | Request ID: ${data.requestId}</p>
+      </div>`,
+    text: (data) => `SHARED WITH YOU: ${data.title}. ${data.sharedBy || 'A Wilsy OS firm'} has shared this document with you${data.viewOnly ? ' to view online' : ''}. ${data.protection === 'password' ? 'You will need the password the sender gave you.' : 'A one-time code will be sent when you open the link.'} Link (expires ${data.expiresOn}): ${data.shareUrl}`
+  },
+  shareCode: {
+    subject: '🔐 Your Document Access Code',
+    template: (data) => `
+      <div style="font-family: sans-serif; background: #050505; color: #ffffff; padding: 40px; border: 1px solid #d4af37;">
+        <h2 style="color: #d4af37;">${escapeHtml(data.code)}</h2>
+        <p>Use this code to open "${escapeHtml(data.title)}". It is valid for ${data.expiry} minutes.</p>
+        <p style="color: #888;">If you did not open a shared document link, ignore this email and do not share the code.</p>
+        <p style="color: #666; font-size: 11px;">Share: ${escapeHtml(data.shareId)} | Request ID: ${data.requestId}</p>
+      </div>`,
+    text: (data) => `Your code to open "${data.title}" is ${data.code}. Valid for ${data.expiry} minutes. Do not share this code.`
+  },
+  portalInvitation: {
+    subject: '🔑 Your Client Portal Access',
+    template: (data) => `
+      <div style="font-family: sans-serif; background: #050505; color: #ffffff; padding: 40px; border: 1px solid #d4af37;">
+        <h2 style="color: #d4af37;">CLIENT PORTAL: ${escapeHtml(data.clientName)}</h2>
+        <p>${data.name ? `Dear ${escapeHtml(data.name)}, ` : ''}${escapeHtml(data.invitedBy || 'Your attorneys')} ${data.reset ? 'received a request to reset your client portal password' : 'invited you to the client portal'}. There you can follow your matters, read documents shared with you, see your invoices and trust statements, upload FICA documents and send secure messages to your legal team.</p>
+        <p><a href="${escapeHtml(data.setupUrl)}" style="color: #d4af37;">${data.reset ? 'Choose a new password' : 'Set your password'}</a></p>
+        <p style="color: #888;">The link works once and expires on ${escapeHtml(data.expiresOn)}.${data.reset ? ' If you did not ask for this, ignore this email; your password is unchanged.' : ''}</p>
+        <p style="color: #666; font-size: 11px;">Account: ${escapeHtml(data.accountId)} | Request ID: ${data.requestId}</p>
+      </div>`,
+    text: (data) => `CLIENT PORTAL: ${data.clientName}. ${data.invitedBy || 'Your attorneys'} ${data.reset ? 'received a request to reset your portal password' : 'invited you to the client portal'}. ${data.reset ? 'Choose a new password' : 'Set your password'} (link expires ${data.expiresOn}): ${data.setupUrl}`
+  },
+  portalMessage: {
+    subject: '✉️ New Secure Message',
+    template: (data) => `
+      <div style="font-family: sans-serif; background: #050505; color: #ffffff; padding: 40px; border: 1px solid #d4af37;">
+        <h2 style="color: #d4af37;">NEW MESSAGE: ${escapeHtml(data.matterNumber)} ${escapeHtml(data.matterTitle)}</h2>
+        <p>${escapeHtml(data.from)} sent a secure message on this matter. For confidentiality it is not included in this email.</p>
+        <p><a href="${escapeHtml(data.readUrl)}" style="color: #d4af37;">Read the message</a></p>
+        <p style="color: #666; font-size: 11px;">Message: ${escapeHtml(data.messageId)} | Request ID: ${data.requestId}</p>
+      </div>`,
+    text: (data) => `NEW MESSAGE on ${data.matterNumber} ${data.matterTitle} from ${data.from}. For confidentiality it is not included in this email. Read it at ${data.readUrl}`
   }
 };
 
@@ -317,6 +418,66 @@ class EmailService {
   async sendWelcome(to, data) {
     return this.send({ to, template: 'welcome', templateData: data });
   }
+
+  /**
+   * @function sendLegalHoldNotice
+   * @desc Sends a custodian their hold notice, or a reminder when `data.reminderNumber` is set.
+   */
+  async sendLegalHoldNotice(to, data) {
+    return this.send({
+      to,
+      template: data.reminderNumber ? 'legalHoldReminder' : 'legalHoldNotice',
+      templateData: data,
+      headers: { 'X-Wilsy-Legal-Hold': data.holdId }
+    });
+  }
+
+  /**
+   * @function sendSigningInvitation
+   * @desc Sends a remote signer their one-time signing link.
+   */
+  async sendSigningInvitation(to, data) {
+    return this.send({
+      to,
+      template: 'signingInvitation',
+      templateData: data,
+      headers: { 'X-Wilsy-Signature-Request': data.signatureId }
+    });
+  }
+
+  async sendSigningCode(to, data) {
+    return this.send({ to, template: 'signingCode', templateData: data, priority: 'high' });
+  }
+
+  /**
+   * @function sendDocumentShared
+   * @desc Sends an outside party the link to a document shared with them. Share passwords are never emailed.
+   */
+  async sendDocumentShared(to, data) {
+    return this.send({
+      to,
+      template: 'documentShared',
+      templateData: data,
+      headers: { 'X-Wilsy-Document-Share': data.shareId }
+    });
+  }
+
+  async sendShareCode(to, data) {
+    return this.send({ to, template: 'shareCode', templateData: data, priority: 'high' });
+  }
+
+  async sendPortalInvitation(to, data) {
+    return this.send({
+      to,
+      template: 'portalInvitation',
+      templateData: data,
+      headers: { 'X-Wilsy-Portal-Account': data.accountId }
+    });
+  }
+
+  async sendPortalMessageNotice(to, data) {
+    return this.send({ to, template: 'portalMessage', templateData: data });
+  }
 }
 
 const emailService = new EmailService();
@@ -0,0 +1,183 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - ETHICAL WALL SERVICE [V1.0.0-WALL]                                                                                          ║
+ * ║ [SCREENED MATTERS PER USER | DENY & AUDIT | RISK PARTNER TRAIL]                                                                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/ethicalWallService.js                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Walls are the participants recorded by Conflict.addEthicalWall: those users are screened from the conflict's matter.
+ * models/plugins/ethicalWallPlugin.js asks this service who is screened from what; middleware/ethicalWall.js binds the
+ * requesting user. Queries run outside a bound request (workers, migrations) are not walled.
+ */
+
+import mongoose from 'mongoose';
+import Conflict from '../models/Conflict.js';
+import auditLogger from '../utils/auditLogger.js';
+import { tenantStorage, getCurrentRequestId } from '../middleware/tenantContext.js';
+
+const SCREEN_TTL_MS = 60 * 1000;
+const BLOCKED_ATTEMPT_LIMIT = 500;
+const EMPTY_SCREEN = Object.freeze({ walls: new Map(), objectIds: [], keys: [] });
+
+const wallError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'ETHICAL_WALL';
+  if (details) error.details = details;
+  return error;
+};
+
+class EthicalWallService {
+  constructor() {
+    this.screens = new Map();
+  }
+
+  /**
+   * @function currentSubject
+   * @desc The { tenantId, userId } bound to the running request, if any.
+   */
+  currentSubject() {
+    return tenantStorage.getStore()?.ethicalWall || null;
+  }
+
+  /**
+   * @function screenFor
+   * @desc Matters the user is walled off from. `walls` is keyed by every form a matter reference takes
+   *       (Matter _id, MAT- matterId, matter number); `objectIds`/`keys` feed ObjectId and String filters.
+   */
+  async screenFor(tenantId, userId) {
+    if (!tenantId || !mongoose.isValidObjectId(userId)) return EMPTY_SCREEN;
+    const cacheKey = `${tenantId}:${userId}`;
+    const cached = this.screens.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.screen;
+
+    const conflicts = await Conflict.find({
+      tenantId: String(tenantId),
+      status: { $ne: 'archived' },
+      'resolution.ethicalWall.established': true,
+      'resolution.ethicalWall.participants': userId
+    }).select('conflictReference matter.matterId resolution.ethicalWall.wallId').lean();
+
+    const walled = conflicts.filter((conflict) => conflict.matter?.matterId);
+    const matters = walled.length
+      ? await mongoose.model('Matter')
+        .find({ _id: { $in: walled.map((conflict) => conflict.matter.matterId) } })
+        .select('matterId matterNumber')
+        .setOptions({ ethicalWall: false })
+        .lean()
+      : [];
+    const aliases = new Map(matters.map((matter) => [String(matter._id), [matter.matterId, matter.matterNumber].filter(Boolean)]));
+
+    const walls = new Map();
+    const objectIds = [];
+    for (const conflict of walled) {
+      const matterId = String(conflict.matter.matterId);
+      const wall = { wallId: conflict.resolution.ethicalWall.wallId, conflictId: String(conflict._id), matterId };
+      objectIds.push(conflict.matter.matterId);
+      for (const key of [matterId, ...(aliases.get(matterId) || [])]) walls.set(key, wall);
+    }
+
+    const screen = { walls, objectIds, keys: [...walls.keys()] };
+    this.screens.set(cacheKey, { screen, expiresAt: Date.now() + SCREEN_TTL_MS });
+    return screen;
+  }
+
+  /**
+   * @function wallFor
+   * @desc The wall screening a matter reference (ObjectId, string or populated doc), if any.
+   */
+  wallFor(screen, reference) {
+    if (reference === undefined || reference === null || !screen.walls.size) return undefined;
+    const key = typeof reference === 'object' && reference._id ? reference._id : reference;
+    return screen.walls.get(String(key));
+  }
+
+  /**
+   * @function invalidate
+   * @desc Drops cached screens for a tenant after a wall changes.
+   */
+  invalidate(tenantId) {
+    for (const key of this.screens.keys()) {
+      if (key.startsWith(`${tenantId}:`)) this.screens.delete(key);
+    }
+  }
+
+  /**
+   * @function recordBlocked
+   * @desc Writes a blocked attempt to the audit trail and onto the conflict for the risk partner's review.
+   */
+  async recordBlocked(subject, wall, { resource, action, recordId } = {}) {
+    const attempt = {
+      userId: subject.userId,
+      resource,
+      action,
+      recordId,
+      matterId: wall.matterId,
+      traceId: getCurrentRequestId(),
+      attemptedAt: new Date()
+    };
+
+    auditLogger.security('ETHICAL_WALL_BLOCKED', {
+      tenantId: String(subject.tenantId),
+      userId: String(subject.userId),
+      severity: 'HIGH',
+      audience: 'RISK_PARTNER',
+      wallId: wall.wallId,
+      conflictId: wall.conflictId,
+      ...attempt
+    });
+
+    try {
+      await Conflict.updateOne(
+        { _id: wall.conflictId },
+        { $push: { 'resolution.ethicalWall.blockedAttempts': { $each: [attempt], $slice: -BLOCKED_ATTEMPT_LIMIT } } }
+      );
+    } catch (error) {
+      auditLogger.error('ETHICAL_WALL_TRAIL_FAILED', { conflictId: wall.conflictId, error: error.message });
+    }
+  }
+
+  /**
+   * @function deny
+   * @desc Records the attempt and throws a 403 that names no detail of the screened matter.
+   */
+  async deny(subject, wall, attempt) {
+    await this.recordBlocked(subject, wall, attempt);
+    throw wallError(403, 'ETHICAL_WALL: You are screened from this matter', { wallId: wall.wallId });
+  }
+
+  /**
+   * @function assertMatterAccess
+   * @desc Throws (and audits) when the bound user is screened from the matter reference.
+   */
+  async assertMatterAccess(reference, attempt = {}) {
+    const subject = this.currentSubject();
+    if (!subject) return;
+    const screen = await this.screenFor(subject.tenantId, subject.userId);
+    const wall = this.wallFor(screen, reference);
+    if (wall) await this.deny(subject, wall, attempt);
+  }
+
+  /**
+   * @function listBlockedAttempts
+   * @desc Blocked attempts recorded against a conflict's wall, newest first.
+   */
+  async listBlockedAttempts(tenantId, conflictId) {
+    const conflict = await Conflict.findOne({ _id: conflictId, tenantId: String(tenantId) })
+      .select('conflictReference resolution.ethicalWall')
+      .lean();
+    if (!conflict) throw wallError(404, `ETHICAL_WALL: Conflict ${conflictId} not found`);
+    const wall = conflict.resolution?.ethicalWall || {};
+    return {
+      conflictReference: conflict.conflictReference,
+      wallId: wall.wallId,
+      established: Boolean(wall.established),
+      attempts: [...(wall.blockedAttempts || [])].reverse()
+    };
+  }
+}
+
+export const ethicalWallService = new EthicalWallService();
+export default ethicalWallService;
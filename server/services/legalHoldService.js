@@ -0,0 +1,375 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - LEGAL HOLD SERVICE [V2.0.0-HOLD]                                                                                            ║
+ * ║ [ISSUE & RELEASE | CUSTODIAN NOTICES | TOKEN ACKNOWLEDGEMENT | REMINDERS | DISPOSAL REFUSAL]                                           ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/legalHoldService.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Acknowledgement tokens are an HMAC of the hold and custodian, so reminders can carry the same link as the original
+ * notice without the raw token ever being stored. Anything that disposes of records calls assertNotHeld first.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import LegalHold, { HOLD_STATUS, CUSTODIAN_STATUS } from '../models/LegalHold.js';
+import emailService from './emailService.js';
+import auditLogger from '../utils/auditLogger.js';
+import { getCurrentRequestId } from '../middleware/tenantContext.js';
+import { normaliseScope, documentHoldFacts, holdCovers, reminderDue } from '../utils/legalHold.js';
+
+const holdError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+const tokenSecret = () => {
+  const secret = process.env.LEGAL_HOLD_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw holdError(500, 'LEGAL_HOLD_ERROR: LEGAL_HOLD_TOKEN_SECRET is not configured');
+  return secret;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+const scopeSummary = (scope = {}) => [
+  scope.matterIds?.length ? `${scope.matterIds.length} matter(s)` : null,
+  scope.custodianIds?.length ? `${scope.custodianIds.length} custodian(s)` : null,
+  scope.dateFrom || scope.dateTo ? `records dated ${formatDate(scope.dateFrom) || 'any time'} to ${formatDate(scope.dateTo) || 'date'}` : null,
+  scope.documentTypes?.length ? `types: ${scope.documentTypes.join(', ')}` : null
+].filter(Boolean).join('; ');
+
+const holdFilter = (tenantId, holdId) => (mongoose.isValidObjectId(holdId)
+  ? { tenantId: String(tenantId), _id: holdId }
+  : { tenantId: String(tenantId), holdId });
+
+class LegalHoldService {
+  /**
+   * @function acknowledgementToken
+   * @desc The custodian's acknowledgement token. Stable for the life of the hold.
+   */
+  acknowledgementToken(hold, custodian) {
+    return crypto.createHmac('sha256', tokenSecret()).update(`${hold._id}:${custodian._id}`).digest('hex');
+  }
+
+  acknowledgementUrl(token) {
+    return `${process.env.APP_URL || 'http://localhost:3000'}/legal-holds/acknowledge/${token}`;
+  }
+
+  /**
+   * @function resolveCustodians
+   * @desc Merges explicitly listed custodians with the users named in the scope, filling name and email from
+   *       the tenant's user records.
+   */
+  async resolveCustodians(tenantId, custodians = [], custodianIds = []) {
+    const userIds = [...new Set([...custodians.map((custodian) => custodian.userId), ...custodianIds].filter(Boolean).map(String))];
+    const invalid = userIds.filter((id) => !mongoose.isValidObjectId(id));
+    if (invalid.length) throw holdError(400, 'LEGAL_HOLD_ERROR: Invalid custodian user id', { invalid });
+
+    const users = userIds.length
+      ? await mongoose.model('User').find({ _id: { $in: userIds }, tenantId: String(tenantId) }).select('firstName lastName email').lean()
+      : [];
+    const byId = new Map(users.map((user) => [String(user._id), user]));
+    const missing = userIds.filter((id) => !byId.has(id));
+    if (missing.length) throw holdError(404, 'LEGAL_HOLD_ERROR: Custodian users not found in this tenant', { missing });
+
+    const resolved = new Map();
+    for (const userId of userIds) {
+      const user = byId.get(userId);
+      resolved.set(user.email, { userId, name: `${user.firstName} ${user.lastName}`.trim(), email: user.email });
+    }
+    for (const custodian of custodians.filter((entry) => !entry.userId)) {
+      if (!custodian.email || !custodian.name) throw holdError(400, 'LEGAL_HOLD_ERROR: External custodians need a name and email');
+      const email = String(custodian.email).trim().toLowerCase();
+      if (!resolved.has(email)) resolved.set(email, { name: custodian.name, email });
+    }
+    return [...resolved.values()];
+  }
+
+  /**
+   * @function createHold
+   * @desc Issues a hold and sends every custodian their notice.
+   */
+  async createHold(tenantId, { name, description, reason, scope, custodians, reminders } = {}, context = {}) {
+    const normalisedScope = normaliseScope(scope);
+    if (normalisedScope.matterIds.length) {
+      const found = await mongoose.model('Matter')
+        .countDocuments({ tenantId: String(tenantId), _id: { $in: normalisedScope.matterIds } });
+      if (found !== normalisedScope.matterIds.length) throw holdError(404, 'LEGAL_HOLD_ERROR: One or more matters not found in this tenant');
+    }
+
+    const resolvedCustodians = await this.resolveCustodians(tenantId, custodians, normalisedScope.custodianIds);
+    const hold = new LegalHold({
+      tenantId: String(tenantId),
+      name,
+      description,
+      reason,
+      scope: normalisedScope,
+      custodians: resolvedCustodians,
+      reminders,
+      issuedBy: context.userId
+    });
+    for (const custodian of hold.custodians) custodian.tokenHash = hashToken(this.acknowledgementToken(hold, custodian));
+    await hold.save();
+
+    auditLogger.info('LEGAL_HOLD_ISSUED', {
+      tenantId: String(tenantId),
+      userId: context.userId ? String(context.userId) : undefined,
+      holdId: hold.holdId,
+      scope: normalisedScope,
+      custodians: hold.custodians.length,
+      traceId: getCurrentRequestId()
+    });
+
+    await this.sendNotices(hold);
+    return hold;
+  }
+
+  /**
+   * @function sendNotices
+   * @desc Sends the notice (or, with `reminder`, the next reminder) to the given custodians. A failed send leaves
+   *       the custodian untouched so the next run retries.
+   */
+  async sendNotices(hold, custodians = hold.custodians, { reminder = false, now = new Date() } = {}) {
+    let sent = 0;
+    for (const custodian of custodians) {
+      const reminderNumber = reminder ? (custodian.remindersSent || 0) + 1 : undefined;
+      try {
+        const result = await emailService.sendLegalHoldNotice(custodian.email, {
+          holdId: hold.holdId,
+          holdName: hold.name,
+          reason: hold.reason,
+          name: custodian.name,
+          scopeSummary: scopeSummary(hold.scope),
+          issuedOn: formatDate(hold.issuedAt),
+          reminderNumber,
+          acknowledgeUrl: this.acknowledgementUrl(this.acknowledgementToken(hold, custodian))
+        });
+        if (result?.success === false) throw new Error(result.error || 'EMAIL_NOT_SENT');
+      } catch (error) {
+        auditLogger.error('LEGAL_HOLD_NOTICE_FAILED', { holdId: hold.holdId, custodianId: String(custodian._id), error: error.message });
+        continue;
+      }
+      if (reminder) {
+        custodian.remindersSent = reminderNumber;
+        custodian.lastReminderAt = now;
+      } else {
+        custodian.noticeSentAt = now;
+      }
+      sent++;
+    }
+    if (sent) await hold.save();
+    return sent;
+  }
+
+  async list(tenantId, { status, matterId, custodianId } = {}) {
+    const filter = { tenantId: String(tenantId) };
+    if (status) filter.status = status;
+    if (matterId) filter['scope.matterIds'] = matterId;
+    if (custodianId) filter['custodians.userId'] = custodianId;
+    return LegalHold.find(filter).sort({ issuedAt: -1 });
+  }
+
+  async get(tenantId, holdId) {
+    const hold = await LegalHold.findOne(holdFilter(tenantId, holdId));
+    if (!hold) throw holdError(404, `LEGAL_HOLD_ERROR: Hold ${holdId} not found`);
+    return hold;
+  }
+
+  /**
+   * @function release
+   * @desc Lifts a hold. Records it covered become disposable again unless another active hold reaches them.
+   */
+  async release(tenantId, holdId, { reason } = {}, context = {}) {
+    const hold = await this.get(tenantId, holdId);
+    if (hold.status === HOLD_STATUS.RELEASED) throw holdError(409, `LEGAL_HOLD_ERROR: Hold ${hold.holdId} is already released`);
+
+    hold.status = HOLD_STATUS.RELEASED;
+    hold.releasedAt = new Date();
+    hold.releasedBy = context.userId;
+    hold.releaseReason = reason;
+    for (const custodian of hold.custodians) custodian.status = CUSTODIAN_STATUS.RELEASED;
+    await hold.save();
+
+    auditLogger.info('LEGAL_HOLD_RELEASED', {
+      tenantId: String(tenantId),
+      userId: context.userId ? String(context.userId) : undefined,
+      holdId: hold.holdId,
+      reason,
+      traceId: getCurrentRequestId()
+    });
+    return hold;
+  }
+
+  /**
+   * @function findByToken
+   * @desc The hold and custodian an acknowledgement token belongs to.
+   */
+  async findByToken(token) {
+    if (!/^[a-f0-9]{64}$/.test(String(token))) throw holdError(404, 'LEGAL_HOLD_ERROR: Acknowledgement link not recognised');
+    const tokenHash = hashToken(token);
+    const hold = await LegalHold.findOne({ 'custodians.tokenHash': tokenHash }).select('+custodians.tokenHash');
+    const custodian = hold?.custodians.find((entry) => entry.tokenHash === tokenHash);
+    if (!custodian) throw holdError(404, 'LEGAL_HOLD_ERROR: Acknowledgement link not recognised');
+    return { hold, custodian };
+  }
+
+  /**
+   * @function describeForCustodian
+   * @desc What the acknowledgement page shows: the notice itself, never other custodians or the scope's ids.
+   */
+  async describeForCustodian(token) {
+    const { hold, custodian } = await this.findByToken(token);
+    return {
+      holdId: hold.holdId,
+      name: hold.name,
+      reason: hold.reason,
+      description: hold.description,
+      scope: scopeSummary(hold.scope),
+      issuedAt: hold.issuedAt,
+      status: hold.status,
+      custodian: { name: custodian.name, status: custodian.status, acknowledgedAt: custodian.acknowledgedAt }
+    };
+  }
+
+  /**
+   * @function acknowledge
+   * @desc Records a custodian's acknowledgement from their emailed link. Repeat submissions are harmless.
+   */
+  async acknowledge(token, { ip } = {}) {
+    const { hold, custodian } = await this.findByToken(token);
+    if (hold.status === HOLD_STATUS.RELEASED) throw holdError(410, `LEGAL_HOLD_ERROR: Hold ${hold.holdId} has been released`);
+
+    if (custodian.status !== CUSTODIAN_STATUS.ACKNOWLEDGED) {
+      custodian.status = CUSTODIAN_STATUS.ACKNOWLEDGED;
+      custodian.acknowledgedAt = new Date();
+      custodian.acknowledgedFrom = ip;
+      await hold.save();
+      auditLogger.info('LEGAL_HOLD_ACKNOWLEDGED', {
+        tenantId: hold.tenantId,
+        holdId: hold.holdId,
+        custodianId: String(custodian._id),
+        userId: custodian.userId ? String(custodian.userId) : undefined,
+        ip
+      });
+    }
+    return { holdId: hold.holdId, name: hold.name, custodian: custodian.name, acknowledgedAt: custodian.acknowledgedAt };
+  }
+
+  /**
+   * @function sendReminders
+   * @desc Reminds every custodian whose acknowledgement is overdue under their hold's cadence, and retries
+   *       notices that failed to send.
+   */
+  async sendReminders(now = new Date()) {
+    const holds = await LegalHold.find({ status: HOLD_STATUS.ACTIVE, 'custodians.status': CUSTODIAN_STATUS.PENDING });
+    let reminded = 0;
+    let noticed = 0;
+    for (const hold of holds) {
+      const unsent = hold.custodians.filter((custodian) => custodian.status === CUSTODIAN_STATUS.PENDING && !custodian.noticeSentAt);
+      if (unsent.length) noticed += await this.sendNotices(hold, unsent, { now });
+      const due = hold.custodians.filter((custodian) => reminderDue(custodian, hold.reminders, now));
+      if (due.length) reminded += await this.sendNotices(hold, due, { reminder: true, now });
+    }
+    return { holdsChecked: holds.length, noticed, reminded };
+  }
+
+  /**
+   * @function remindNow
+   * @desc Chases every custodian still to acknowledge a hold, outside the scheduled cadence.
+   */
+  async remindNow(tenantId, holdId) {
+    const hold = await this.get(tenantId, holdId);
+    if (hold.status !== HOLD_STATUS.ACTIVE) throw holdError(409, `LEGAL_HOLD_ERROR: Hold ${hold.holdId} is not active`);
+    const pending = hold.custodians.filter((custodian) => custodian.status === CUSTODIAN_STATUS.PENDING);
+    // Custodians whose first notice never went out get the notice, not a reminder
+    const unsent = pending.filter((custodian) => !custodian.noticeSentAt);
+    const notices = await this.sendNotices(hold, unsent);
+    const reminders = await this.sendNotices(hold, pending.filter((custodian) => custodian.noticeSentAt && !unsent.includes(custodian)), { reminder: true });
+    return { holdId: hold.holdId, pending: pending.length, notices, reminders };
+  }
+
+  /**
+   * @function activeHolds
+   * @desc The tenant's active holds, for callers that test many records (see heldBy).
+   */
+  async activeHolds(tenantId) {
+    return LegalHold.find({ tenantId: String(tenantId), status: HOLD_STATUS.ACTIVE }).select('holdId name status scope').lean();
+  }
+
+  heldBy(holds, facts) {
+    return holds.filter((hold) => holdCovers(hold, facts));
+  }
+
+  /**
+   * @function holdsCovering
+   * @desc Active holds reaching a single record. Every hold names a matter or custodian, so those pre-filter the query.
+   */
+  async holdsCovering(tenantId, facts = {}) {
+    const reach = [];
+    if (facts.matterId && mongoose.isValidObjectId(facts.matterId)) reach.push({ 'scope.matterIds': facts.matterId });
+    const custodianIds = (facts.custodianIds || []).filter((id) => mongoose.isValidObjectId(id));
+    if (custodianIds.length) reach.push({ 'scope.custodianIds': { $in: custodianIds } });
+    if (!reach.length) return [];
+    const holds = await LegalHold.find({ tenantId: String(tenantId), status: HOLD_STATUS.ACTIVE, $or: reach })
+      .select('holdId name status scope')
+      .lean();
+    return this.heldBy(holds, facts);
+  }
+
+  /**
+   * @function assertNotHeld
+   * @desc Refuses (409, audited) disposal of a record an active hold covers. Pass `holds` to skip the lookup.
+   */
+  async assertNotHeld(tenantId, facts, { resource = 'record', action = 'dispose', recordId, holds } = {}) {
+    const covering = holds ? this.heldBy(holds, facts) : await this.holdsCovering(tenantId, facts);
+    if (!covering.length) return;
+
+    const holdIds = covering.map((hold) => hold.holdId);
+    auditLogger.security('LEGAL_HOLD_BLOCKED', {
+      tenantId: String(tenantId),
+      resource,
+      action,
+      recordId: recordId ? String(recordId) : undefined,
+      holdIds,
+      traceId: getCurrentRequestId()
+    });
+    const error = holdError(409, `LEGAL_HOLD: ${[resource, recordId].filter(Boolean).join(' ')} is preserved under legal hold ${holdIds.join(', ')}`, { holdIds });
+    error.code = 'LEGAL_HOLD';
+    throw error;
+  }
+
+  /**
+   * @function recordFacts
+   * @desc Hold facts for a record named by type and id, as DisposalCertificate describes them.
+   */
+  async recordFacts(recordType, recordId, originalRecord = {}) {
+    const fallback = { createdAt: originalRecord.createdAt, documentType: originalRecord.type };
+    if (recordType === 'Case') return { ...fallback, matterId: String(recordId) };
+    if (recordType === 'Document') {
+      const doc = await mongoose.model('Document').findById(recordId).select('matterId createdBy createdAt metadata')
+        .setOptions({ ethicalWall: false }).lean();
+      return doc ? documentHoldFacts(doc) : fallback;
+    }
+    if (recordType === 'Invoice' && mongoose.models.Invoice) {
+      const invoice = await mongoose.model('Invoice').findById(recordId).select('matterId createdAt')
+        .setOptions({ ethicalWall: false }).lean();
+      if (invoice?.matterId) return { ...fallback, createdAt: invoice.createdAt, matterId: await this.matterObjectId(invoice.matterId) };
+    }
+    return fallback;
+  }
+
+  async matterObjectId(reference) {
+    if (mongoose.isValidObjectId(reference)) return String(reference);
+    const matter = await mongoose.model('Matter').findOne({ $or: [{ matterId: reference }, { matterNumber: reference }] })
+      .select('_id').setOptions({ ethicalWall: false }).lean();
+    return matter ? String(matter._id) : undefined;
+  }
+}
+
+export const legalHoldService = new LegalHoldService();
+export default legalHoldService;
@@ -15,10 +15,20 @@
  * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
  */
 
+import mongoose from 'mongoose';
 import { TrustAccount } from '../models/TrustAccount.js';
+import TrustTransaction from '../models/TrustTransaction.js';
 import crypto from 'node:crypto';
 import logger from '../utils/logger.js';
 import { broadcastTelemetry } from '../utils/telemetryHelper.js';
+import {
+  isTrustInflow,
+  signedTrustAmount,
+  applyTrustMovement,
+  summariseClientLedgers,
+  reconcileThreeWay
+} from '../utils/trustReconciliation.js';
+import { computeTrustChainHash } from '../utils/trustChainVerifier.js';
 
 class LPCService {
   /**
@@ -36,6 +46,7 @@ class LPCService {
       ...bankData,
       currentBalance: 0,
       transactions: [],
+      genesisSeal: genesisHash,
       masterIntegritySeal: genesisHash
     });
   }
@@ -43,71 +54,213 @@ class LPCService {
   /**
    * @function recordTransaction
    * @desc Process a Fiduciary Transaction with Recursive Forensic Chaining and Trace-ID alignment.
-   * Engineered for absolute compliance with LPC Rule 54.1.
+   * Every movement is posted twice inside one MongoDB transaction: to the tenant-wide control account
+   * (TrustAccount.transactions) and to the client/matter sub-ledger (TrustTransaction).
+   * Engineered for absolute compliance with LPC Rule 54.1 and Rule 54.14.
+   * @param {string} tenantId
+   * @param {Object} data - { clientId, matterId, entityId, amount, type, description, reference, method, initiatedBy, forensicId }
+   * @param {Object} [options] - { session } to enlist in a caller-owned transaction.
    */
-  async recordTransaction(tenantId, data) {
-    const { entityId, amount, type, description, reference, initiatedBy, forensicId } = data;
+  async recordTransaction(tenantId, data, options = {}) {
+    const { clientId, matterId, entityId, type, description, reference, method, initiatedBy, forensicId } = data;
+    const amount = Number(data.amount);
 
-    // 🛡️ 1. ACCOUNT NEXUS & FORENSIC SECURITY CHECK
-    const account = await TrustAccount.findOne({ tenantId });
-    if (!account) throw new Error('FIDUCIARY_ERROR: Trust anchor not found for this shard.');
-    if (account.isFrozen) throw new Error('FIDUCIARY_ERROR: Account frozen for forensic audit.');
+    if (!clientId || !matterId) {
+      throw new Error('FIDUCIARY_ERROR: clientId and matterId are required to post to a client trust ledger.');
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('FIDUCIARY_ERROR: Trust movements require a positive amount.');
+    }
+
+    const ownsSession = !options.session;
+    const session = options.session || await mongoose.startSession();
+    if (ownsSession) session.startTransaction();
+
+    try {
+      // 🛡️ 1. ACCOUNT NEXUS & FORENSIC SECURITY CHECK
+      const account = await TrustAccount.findOne({ tenantId }).session(session);
+      if (!account) throw new Error('FIDUCIARY_ERROR: Trust anchor not found for this shard.');
+      if (account.isFrozen) throw new Error('FIDUCIARY_ERROR: Account frozen for forensic audit.');
+
+      // 💰 2. ATOMIC LIQUIDITY VERIFICATION (pooled and per-client)
+      const clientBalance = await this.getClientLedgerBalance(tenantId, clientId, matterId, { session });
+      if (!isTrustInflow(type)) {
+        if (clientBalance < amount) {
+          throw new Error(`FIDUCIARY_BREACH: Insufficient funds on client ledger (available R${clientBalance.toFixed(2)}). Transaction aborted to prevent a trust deficit.`);
+        }
+        if (account.currentBalance < amount) {
+          throw new Error('FIDUCIARY_BREACH: Insufficient trust funds. Transaction aborted to prevent trust deficit.');
+        }
+      }
+
+      // 🧬 3. RECURSIVE FORENSIC CHAINING [V33 SPEC]
+      // Mathematically links this transaction to the previous entry and the Master API Trace ID.
+      const previousHash = account.transactions.length > 0
+        ? account.transactions[account.transactions.length - 1].forensicHash
+        : account.masterIntegritySeal || '0'.repeat(128);
+
+      const transactionId = `TXL-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+      const timestamp = Date.now();
+      const traceId = forensicId || `TRC-SYS-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+      // The Recursive Chain Seal [SHA3-512]
+      const forensicHash = computeTrustChainHash({ previousHash, transactionId, amount, type, tenantId, traceId, timestamp });
+
+      const newTransaction = {
+        transactionId,
+        traceId,
+        type,
+        amount,
+        description,
+        reference,
+        entityId: entityId || clientId,
+        clientId,
+        matterId,
+        initiatedBy,
+        sequence: account.transactions.length + 1,
+        previousHash,
+        forensicHash,
+        timestamp: new Date(timestamp)
+      };
+
+      // 🏛️ 4. ATOMIC STATE TRANSITION
+      // Control account and client sub-ledger commit or roll back as a single unit of truth.
+      const updatedAccount = await TrustAccount.findOneAndUpdate(
+        { tenantId },
+        {
+          $push: { transactions: newTransaction },
+          $inc: { currentBalance: signedTrustAmount(type, amount) },
+          $set: { masterIntegritySeal: forensicHash, lastTransactionAt: new Date() }
+        },
+        { new: true, runValidators: true, session }
+      );
+
+      const balanceAfter = applyTrustMovement(clientBalance, type, amount);
+
+      const [ledgerEntry] = await TrustTransaction.create([{
+        tenantId: String(tenantId),
+        clientId,
+        matterId,
+        type,
+        amount,
+        balanceAfter,
+        controlTransactionId: transactionId,
+        lpcReference: reference,
+        method: method || 'EFT',
+        previousHash,
+        forensicHash,
+        metadata: { authorizedBy: initiatedBy, traceId }
+      }], { session });
+
+      if (ownsSession) await session.commitTransaction();
+
+      logger.info(`[LPC-ENGINE] ✅ Transaction Sealed: ${transactionId} | Trace: ${traceId} | Client Ledger: ${balanceAfter} | New Balance: ${updatedAccount.currentBalance}`);
+
+      return {
+        transactionId,
+        ledgerTransactionId: ledgerEntry.transactionId,
+        traceId,
+        forensicHash,
+        clientBalance: balanceAfter,
+        currentBalance: updatedAccount.currentBalance
+      };
+    } catch (error) {
+      if (ownsSession) await session.abortTransaction();
+      throw error;
+    } finally {
+      if (ownsSession) session.endSession();
+    }
+  }
+
+  /**
+   * @function getClientLedgerBalance
+   * @desc Current balance of a single client/matter sub-ledger (latest balanceAfter snapshot).
+   */
+  async getClientLedgerBalance(tenantId, clientId, matterId, { session } = {}) {
+    const latest = await TrustTransaction.findOne({ tenantId: String(tenantId), clientId, matterId, investmentId: null })
+      .sort({ createdAt: -1, _id: -1 })
+      .session(session || null)
+      .lean();
+
+    return latest ? latest.balanceAfter : 0;
+  }
+
+  /**
+   * @function getClientLedgers
+   * @desc Recomputes every client/matter sub-ledger for a tenant from its movements.
+   * @param {Object} [filter] - Optional { clientId, matterId } narrowing.
+   */
+  async getClientLedgers(tenantId, filter = {}) {
+    const query = { tenantId: String(tenantId), investmentId: null };
+    if (filter.clientId) query.clientId = filter.clientId;
+    if (filter.matterId) query.matterId = filter.matterId;
 
-    // 💰 2. ATOMIC LIQUIDITY VERIFICATION
-    if (type === 'WITHDRAWAL' && account.currentBalance < amount) {
-      throw new Error('FIDUCIARY_BREACH: Insufficient trust funds. Transaction aborted to prevent trust deficit.');
+    const transactions = await TrustTransaction.find(query)
+      .select('clientId matterId type amount balanceAfter createdAt')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    return summariseClientLedgers(transactions);
+  }
+
+  /**
+   * @function reconcileTrustAccount
+   * @desc LPC Rule 54.15 three-way reconciliation (bank statement, control account, client ledgers).
+   * The outcome is retained on the trust account so the annual audit can inspect every month-end.
+   * @param {string} tenantId
+   * @param {Object} statement - { bankBalance, statementDate, outstandingDeposits, outstandingPayments }
+   * @param {Object} [context] - { performedBy, traceId }
+   */
+  async reconcileTrustAccount(tenantId, statement, context = {}) {
+    const bankBalance = Number(statement.bankBalance);
+    if (!Number.isFinite(bankBalance)) {
+      throw new Error('FIDUCIARY_ERROR: A numeric bankBalance from the bank statement is required.');
     }
 
-    // 🧬 3. RECURSIVE FORENSIC CHAINING [V33 SPEC]
-    // Mathematically links this transaction to the previous entry and the Master API Trace ID.
-    const previousHash = account.transactions.length > 0
-      ? account.transactions[account.transactions.length - 1].forensicHash
-      : account.masterIntegritySeal || '0'.repeat(128);
+    const account = await TrustAccount.findOne({ tenantId }).lean();
+    if (!account) throw new Error('FIDUCIARY_ERROR: Trust anchor not found for this shard.');
+
+    const clientLedgers = await this.getClientLedgers(tenantId);
 
-    const transactionId = `TXL-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
-    const timestamp = Date.now();
-    const traceId = forensicId || `TRC-SYS-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const result = reconcileThreeWay({
+      bankBalance,
+      outstandingDeposits: statement.outstandingDeposits,
+      outstandingPayments: statement.outstandingPayments,
+      controlBalance: account.currentBalance,
+      controlTransactions: account.transactions,
+      clientLedgers
+    });
 
-    // The Recursive Chain Seal [SHA3-512]
-    const forensicHash = crypto.createHash('sha3-512')
-      .update(`${previousHash}|${transactionId}|${amount}|${type}|${tenantId}|${traceId}|${timestamp}`)
+    const reconciledAt = new Date();
+    const reconciliationHash = crypto.createHash('sha3-512')
+      .update(`${account.masterIntegritySeal}|${tenantId}|${reconciledAt.toISOString()}|${JSON.stringify(result)}`)
       .digest('hex');
 
-    const newTransaction = {
-      transactionId,
-      traceId,
-      type,
-      amount,
-      description,
-      reference,
-      entityId,
-      initiatedBy,
-      forensicHash,
-      timestamp: new Date(timestamp)
-    };
-
-    // 🏛️ 4. ATOMIC STATE TRANSITION
-    // Ensures the ledger and balance are updated as a single immutable unit of truth.
-    const balanceModifier = (type === 'DEPOSIT') ? amount : -amount;
-
-    const updatedAccount = await TrustAccount.findOneAndUpdate(
+    await TrustAccount.updateOne(
       { tenantId },
       {
-        $push: { transactions: newTransaction },
-        $inc: { currentBalance: balanceModifier },
-        $set: { masterIntegritySeal: forensicHash, lastTransactionAt: new Date() }
-      },
-      { new: true, runValidators: true }
+        $push: {
+          reconciliations: {
+            reconciledAt,
+            statementDate: statement.statementDate ? new Date(statement.statementDate) : reconciledAt,
+            bankBalance: result.bankBalance,
+            adjustedBankBalance: result.adjustedBankBalance,
+            controlBalance: result.controlBalance,
+            clientLedgerTotal: result.clientLedgerTotal,
+            isReconciled: result.isReconciled,
+            discrepancies: result.discrepancies,
+            performedBy: context.performedBy,
+            traceId: context.traceId,
+            reconciliationHash
+          }
+        }
+      }
     );
 
-    logger.info(`[LPC-ENGINE] ✅ Transaction Sealed: ${transactionId} | Trace: ${traceId} | New Balance: ${updatedAccount.currentBalance}`);
+    const level = result.isReconciled ? 'info' : 'warn';
+    logger[level](`[LPC-ENGINE] ⚖️ Three-way reconciliation for ${tenantId}: ${result.isReconciled ? 'RECONCILED' : `${result.discrepancies.length} discrepancies`}`);
 
-    return {
-      transactionId,
-      traceId,
-      forensicHash,
-      currentBalance: updatedAccount.currentBalance
-    };
+    return { ...result, reconciledAt, reconciliationHash, clientLedgers };
   }
 }
 
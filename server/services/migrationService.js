@@ -0,0 +1,843 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRACTICE MIGRATION SERVICE [V1.0.0-MIGRATION]                                                                               ║
+ * ║ [MAPPING PROFILES | DRY RUNS | RESUMABLE IDEMPOTENT BATCHES | CONTACTS, MATTERS, DEADLINES, WIP, TRUST, DOCUMENT INDEX]                ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/migrationService.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Brings a firm over from its old practice-management system one export file at a time, in IMPORT_ORDER. A dry run
+ * maps and checks a file and writes nothing. A real run stores the mapped rows and imports them in batches; every
+ * record it creates takes its id from the row's migration key, so re-running a batch or re-uploading a file finds
+ * what is already there. Opening trust balances go through lpcService.recordTransaction and are only accepted
+ * when they reconcile to the old system's per-client totals.
+ */
+
+import crypto from 'node:crypto';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import Client from '../models/clientModel.js';
+import Matter, { MATTER_TYPES, MATTER_STATUS } from '../models/Matter.js';
+import User from '../models/User.js';
+import Document from '../models/Document.js';
+import TimeEntry, { TIME_ENTRY_STATUS } from '../models/TimeEntry.js';
+import TrustTransaction from '../models/TrustTransaction.js';
+import { WIP_TRANSACTION_TYPES } from '../models/WipTransaction.js';
+import MigrationProfile from '../models/MigrationProfile.js';
+import MigrationRun, { MigrationRecord, MIGRATION_RUN_STATUS, MIGRATION_ROW_STATUS, RESOLVED_ROW_STATUSES } from '../models/MigrationRun.js';
+import { lpcService } from './lpcService.js';
+import { timeEntryService } from './timeEntryService.js';
+import { encrypt } from '../utils/cryptoCore.js';
+import { ACTIVITY_CODES, valueTime } from '../utils/timeEntryCalculations.js';
+import {
+  MIGRATION_ENTITIES,
+  IMPORT_ORDER,
+  MIGRATION_FIELDS,
+  BUILT_IN_PROFILES,
+  readDelimited,
+  validateProfile,
+  resolveColumns,
+  mapRow,
+  recordKey,
+  migrationId,
+  migrationObjectId,
+  blindIndex,
+  findDuplicateContacts,
+  reconcileTrustBalances
+} from '../utils/migrationMapping.js';
+import auditLogger from '../utils/auditLogger.js';
+
+const LEASE_MS = 5 * 60 * 1000;
+const REPORT_LIMIT = 500;
+const PREVIEW_ROWS = 10;
+
+// Courts a matter can be filed in (Matter.courtDetails.court)
+const COURTS = Matter.schema.path('courtDetails.court')?.enumValues || [];
+
+const MATTER_ENUMS = {
+  matterType: Object.values(MATTER_TYPES),
+  matterStatus: Object.values(MATTER_STATUS),
+  court: COURTS
+};
+
+// Fields that name a fee earner or assignee by email
+const USER_FIELDS = {
+  [MIGRATION_ENTITIES.MATTERS]: { attorneyEmail: true },
+  [MIGRATION_ENTITIES.UNBILLED_TIME]: { feeEarnerEmail: true },
+  [MIGRATION_ENTITIES.DEADLINES]: { assigneeEmail: false }
+};
+
+// Each importer returns the row's outcome and the id of the record the row now stands for
+const IMPORTERS = {
+  [MIGRATION_ENTITIES.CONTACTS]: 'importContact',
+  [MIGRATION_ENTITIES.MATTERS]: 'importMatter',
+  [MIGRATION_ENTITIES.DEADLINES]: 'importDeadline',
+  [MIGRATION_ENTITIES.UNBILLED_TIME]: 'importTimeEntry',
+  [MIGRATION_ENTITIES.TRUST_BALANCES]: 'importTrustBalance',
+  [MIGRATION_ENTITIES.DOCUMENTS]: 'importDocument'
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// Text of a spreadsheet cell; dates become YYYY-MM-DD so they parse like CSV dates
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+  }
+  return String(value);
+};
+
+class MigrationService {
+  async withTransaction(fn) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const result = await fn(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // ==========================================================================
+  // 🗺️ MAPPING PROFILES
+  // ==========================================================================
+
+  /**
+   * @function listProfiles
+   * @desc Built-in profiles for common SA practice-management exports, then the tenant's own.
+   */
+  async listProfiles(tenantId) {
+    const saved = await MigrationProfile.find({ tenantId: String(tenantId) }).sort({ name: 1 }).lean();
+    return [...Object.values(BUILT_IN_PROFILES).map((profile) => ({ ...profile, source: profile.name })), ...saved];
+  }
+
+  async getProfile(tenantId, profileId) {
+    const builtIn = BUILT_IN_PROFILES[profileId];
+    if (builtIn) return { ...builtIn, source: builtIn.name };
+    const profile = await MigrationProfile.findOne({ tenantId: String(tenantId), profileId }).lean();
+    if (!profile) throw new Error(`MIGRATION_NOT_FOUND: Mapping profile ${profileId} not found.`);
+    return profile;
+  }
+
+  /**
+   * @function saveProfile
+   * @desc Saves a column mapping. `basedOn` starts from a built-in profile, whose columns and value translations
+   *       the new mapping overrides entity by entity.
+   */
+  async saveProfile(tenantId, { name, source, basedOn, entities = {}, values = {} }, { userId } = {}) {
+    const base = basedOn ? BUILT_IN_PROFILES[basedOn] : null;
+    if (basedOn && !base) throw new Error(`MIGRATION_ERROR: ${basedOn} is not a built-in profile.`);
+
+    const merged = { ...(base?.entities || {}) };
+    for (const [entity, columns] of Object.entries(entities)) merged[entity] = { ...(merged[entity] || {}), ...columns };
+    const mergedValues = { ...(base?.values || {}) };
+    for (const [field, translations] of Object.entries(values)) mergedValues[field] = { ...(mergedValues[field] || {}), ...translations };
+
+    const problems = validateProfile({ entities: merged });
+    if (problems.length) {
+      const error = new Error(`MIGRATION_INVALID: ${problems.join(' ')}`);
+      error.details = problems;
+      throw error;
+    }
+
+    const profile = await MigrationProfile.findOneAndUpdate(
+      { tenantId: String(tenantId), name },
+      {
+        $set: { source: source || base?.name || name, basedOn, entities: merged, values: mergedValues, updatedBy: userId },
+        $setOnInsert: { createdBy: userId }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    auditLogger.info('MIGRATION_PROFILE_SAVED', { tenantId, profileId: profile.profileId, name });
+    return profile;
+  }
+
+  async deleteProfile(tenantId, profileId) {
+    const result = await MigrationProfile.deleteOne({ tenantId: String(tenantId), profileId });
+    if (!result.deletedCount) throw new Error(`MIGRATION_NOT_FOUND: Mapping profile ${profileId} not found.`);
+  }
+
+  // ==========================================================================
+  // 🔍 READING AND CHECKING AN EXPORT
+  // ==========================================================================
+
+  /**
+   * @function readFile
+   * @desc Header and rows of a CSV or the first worksheet of an .xlsx export.
+   */
+  async readFile(file) {
+    if (!file?.buffer?.length) throw new Error('MIGRATION_ERROR: No export file was uploaded.');
+    if (!/\.xlsx$/i.test(file.originalname || '')) return readDelimited(file.buffer.toString('utf8'));
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw new Error(`MIGRATION_ERROR: ${file.originalname} could not be read as a spreadsheet.`);
+    }
+    const sheet = workbook.worksheets[0];
+    const rows = [];
+    sheet?.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      for (let column = 1; column <= sheet.columnCount; column += 1) cells.push(cellText(row.getCell(column).value).trim());
+      if (cells.some(Boolean)) rows.push(cells);
+    });
+    const [header = [], ...data] = rows;
+    return { header, rows: data };
+  }
+
+  /**
+   * @function resolveRefs
+   * @desc Ids of contacts or matters by their key in the old system: rows already migrated first, then clients by
+   *       clientReference and matters by matterNumber for records opened on this system directly.
+   */
+  async resolveRefs(tenantId, source, entity, keys) {
+    const wanted = [...new Set(keys.filter(Boolean).map(String))];
+    const resolved = new Map();
+    if (!wanted.length) return resolved;
+
+    const migrated = await MigrationRecord.find({
+      tenantId: String(tenantId), source, entity, key: { $in: wanted }, status: { $in: RESOLVED_ROW_STATUSES }, targetId: { $ne: null }
+    }).select('key targetId').sort({ updatedAt: -1 }).lean();
+    for (const row of migrated) if (!resolved.has(row.key)) resolved.set(row.key, row.targetId);
+
+    const missing = wanted.filter((key) => !resolved.has(key));
+    if (missing.length && entity === MIGRATION_ENTITIES.CONTACTS) {
+      const clients = await Client.find({ tenantId: String(tenantId), clientReference: { $in: missing } }).select('_id clientReference').lean();
+      for (const client of clients) resolved.set(client.clientReference, String(client._id));
+    }
+    if (missing.length && entity === MIGRATION_ENTITIES.MATTERS) {
+      const matters = await Matter.find({ tenantId: String(tenantId), matterNumber: { $in: missing }, isDeleted: { $ne: true } }).select('_id matterNumber').lean();
+      for (const matter of matters) resolved.set(matter.matterNumber, String(matter._id));
+    }
+    return resolved;
+  }
+
+  async resolveUsers(tenantId, emails) {
+    const wanted = [...new Set(emails.filter(Boolean))];
+    if (!wanted.length) return new Map();
+    const users = await User.find({ tenantId: String(tenantId), email: { $in: wanted } }).select('_id email firstName lastName name').lean();
+    return new Map(users.map((user) => [user.email, user]));
+  }
+
+  /**
+   * @function prepare
+   * @desc Reads, maps and checks an export without writing anything: field errors, references to contacts and
+   *       matters that are not on the system, unknown fee earners, repeated rows, duplicate contacts and (for trust
+   *       balances) reconciliation to the per-client totals.
+   */
+  async prepare(tenantId, file, { entity, profileId, controlTotal } = {}) {
+    if (!IMPORT_ORDER.includes(entity)) throw new Error(`MIGRATION_ERROR: Unknown entity ${entity}. Use one of ${IMPORT_ORDER.join(', ')}.`);
+    const profile = await this.getProfile(tenantId, profileId);
+    const source = profile.source;
+    const { header, rows } = await this.readFile(file);
+    if (!rows.length) throw new Error('MIGRATION_ERROR: The export has a header but no rows.');
+
+    const { columns, missingColumns, unmappedColumns } = resolveColumns(entity, header, profile);
+    const report = {
+      entity,
+      source,
+      profileId: profile.profileId,
+      filename: file.originalname,
+      fileHash: sha256(Buffer.concat([Buffer.from(`${entity}|`), file.buffer])),
+      rows: rows.length,
+      missingColumns,
+      unmappedColumns,
+      valid: 0,
+      invalid: rows.length,
+      errors: [],
+      errorCount: 0,
+      warnings: [],
+      canImport: false
+    };
+    if (missingColumns.length) return { report, prepared: [], source };
+
+    const occurrences = new Map();
+    const prepared = rows.map((cells, index) => {
+      const row = index + 2;
+      const { record, errors } = mapRow(entity, cells, columns, { values: profile.values, enums: MATTER_ENUMS });
+      const base = recordKey(entity, record);
+      const occurrence = occurrences.get(base) || 0;
+      occurrences.set(base, occurrence + 1);
+      const key = entity === MIGRATION_ENTITIES.UNBILLED_TIME && !record.externalId ? recordKey(entity, record, occurrence) : base;
+      return { row, record, key, errors: errors.map((error) => ({ row, ...error })) };
+    });
+
+    // The same source record twice in one file
+    const firstRow = new Map();
+    for (const entry of prepared) {
+      if (!entry.key || entry.errors.length) continue;
+      if (firstRow.has(entry.key)) entry.errors.push({ row: entry.row, field: 'externalId', message: `repeats row ${firstRow.get(entry.key)}` });
+      else firstRow.set(entry.key, entry.row);
+    }
+
+    const refs = await this.checkReferences(tenantId, source, entity, prepared);
+    await this.checkUsers(tenantId, entity, prepared, report);
+
+    if (entity === MIGRATION_ENTITIES.CONTACTS) {
+      report.duplicates = await this.checkContacts(tenantId, prepared);
+    }
+    if (entity === MIGRATION_ENTITIES.TRUST_BALANCES) {
+      await this.checkTrustMatters(tenantId, prepared, refs);
+      report.reconciliation = await this.reconcile(tenantId, source, prepared, controlTotal);
+    }
+
+    const errors = prepared.flatMap((entry) => entry.errors);
+    report.valid = prepared.filter((entry) => !entry.errors.length).length;
+    report.invalid = rows.length - report.valid;
+    report.errorCount = errors.length;
+    report.errors = errors.slice(0, REPORT_LIMIT);
+    report.preview = prepared.filter((entry) => !entry.errors.length).slice(0, PREVIEW_ROWS).map(({ row, key, record }) => ({ row, key, record }));
+
+    // Opening trust balances are all or nothing: a partial ledger cannot reconcile
+    report.canImport = entity === MIGRATION_ENTITIES.TRUST_BALANCES
+      ? report.invalid === 0 && report.reconciliation.balanced
+      : report.valid > 0;
+    return { report, prepared, source, profile };
+  }
+
+  async checkReferences(tenantId, source, entity, prepared) {
+    const refs = {};
+    for (const [field, spec] of Object.entries(MIGRATION_FIELDS[entity])) {
+      if (!spec.ref) continue;
+      refs[spec.ref] = await this.resolveRefs(tenantId, source, spec.ref, prepared.map((entry) => entry.record[field]));
+      for (const entry of prepared) {
+        const value = entry.record[field];
+        if (value !== undefined && !refs[spec.ref].has(String(value))) {
+          const noun = spec.ref === MIGRATION_ENTITIES.CONTACTS ? 'contact' : 'matter';
+          entry.errors.push({ row: entry.row, field, message: `no ${noun} ${value} on the system; import ${spec.ref} first` });
+        }
+      }
+    }
+    return refs;
+  }
+
+  async checkUsers(tenantId, entity, prepared, report) {
+    for (const [field, required] of Object.entries(USER_FIELDS[entity] || {})) {
+      const users = await this.resolveUsers(tenantId, prepared.map((entry) => entry.record[field]));
+      for (const entry of prepared) {
+        const email = entry.record[field];
+        if (!email || users.has(email)) continue;
+        if (required) entry.errors.push({ row: entry.row, field, message: `no user ${email}; invite the fee earner before importing` });
+        else if (report.warnings.length < REPORT_LIMIT) report.warnings.push({ row: entry.row, field, message: `no user ${email}; the row is imported unassigned` });
+      }
+    }
+  }
+
+  async checkContacts(tenantId, prepared) {
+    const existing = await Client.find({ tenantId: String(tenantId), isCurrent: { $ne: false } })
+      .select('_id name clientReference piiVault.emailBlindIndex piiVault.idNumberBlindIndex')
+      .lean();
+    const duplicates = findDuplicateContacts(
+      prepared.filter((entry) => !entry.errors.length).map(({ row, record }) => ({ row, record })),
+      existing.map((client) => ({ ...client, ...client.piiVault }))
+    );
+    // An in-file duplicate folds into the first row; one matching a client already here links to that client
+    const keyByRow = new Map(prepared.map((entry) => [entry.row, entry.key]));
+    for (const duplicate of duplicates.exact) {
+      if (duplicate.matchedRow) prepared.find((entry) => entry.row === duplicate.row).mergeIntoKey = keyByRow.get(duplicate.matchedRow);
+    }
+    return duplicates;
+  }
+
+  // A trust balance must sit on a matter that belongs to the client it is recorded for
+  async checkTrustMatters(tenantId, prepared, refs) {
+    const matterIds = [...new Set(prepared.map((entry) => refs[MIGRATION_ENTITIES.MATTERS]?.get(String(entry.record.matterRef))).filter(Boolean))];
+    const matters = await Matter.find({ tenantId: String(tenantId), _id: { $in: matterIds } }).select('_id clientId').lean();
+    const clientOf = new Map(matters.map((matter) => [String(matter._id), String(matter.clientId || '')]));
+    for (const entry of prepared) {
+      const matterId = refs[MIGRATION_ENTITIES.MATTERS]?.get(String(entry.record.matterRef));
+      const clientId = refs[MIGRATION_ENTITIES.CONTACTS]?.get(String(entry.record.clientRef));
+      if (matterId && clientId && clientOf.get(matterId) !== clientId) {
+        entry.errors.push({ row: entry.row, field: 'matterRef', message: `matter ${entry.record.matterRef} is not a matter of client ${entry.record.clientRef}` });
+      }
+    }
+  }
+
+  async reconcile(tenantId, source, prepared, controlTotal) {
+    const clientRefs = [...new Set(prepared.map((entry) => entry.record.clientRef).filter(Boolean))];
+    const contacts = await MigrationRecord.find({
+      tenantId: String(tenantId), source, entity: MIGRATION_ENTITIES.CONTACTS, key: { $in: clientRefs }, status: { $in: RESOLVED_ROW_STATUSES }
+    }).select('key record.trustBalance').lean();
+    const contactTotals = new Map(contacts.filter((row) => row.record?.trustBalance !== undefined).map((row) => [row.key, row.record.trustBalance]));
+    const balances = prepared.filter((entry) => entry.record.clientRef && entry.record.balance !== undefined).map((entry) => entry.record);
+    return reconcileTrustBalances(balances, { contactTotals, controlTotal: controlTotal === undefined ? undefined : Number(controlTotal) });
+  }
+
+  /**
+   * @function dryRun
+   * @desc The migration report for an export, written nowhere.
+   */
+  async dryRun(tenantId, file, options = {}) {
+    const { report } = await this.prepare(tenantId, file, options);
+    auditLogger.info('MIGRATION_DRY_RUN', { tenantId, entity: report.entity, source: report.source, rows: report.rows, invalid: report.invalid });
+    return report;
+  }
+
+  // ==========================================================================
+  // 🚚 RUNS AND BATCHES
+  // ==========================================================================
+
+  /**
+   * @function startRun
+   * @desc Stores a checked export as a run and imports its first batches. Uploading a file whose run has not finished
+   *       resumes that run.
+   * @param {Object} options - { entity, profileId, controlTotal, batchSize, maxBatches, firmId, userId }
+   */
+  async startRun(tenantId, file, options = {}) {
+    const { report, prepared, source } = await this.prepare(tenantId, file, options);
+    if (!report.canImport) {
+      const error = new Error(report.entity === MIGRATION_ENTITIES.TRUST_BALANCES && report.reconciliation && !report.reconciliation.balanced
+        ? 'MIGRATION_UNRECONCILED: Opening trust balances do not reconcile to the per-client totals.'
+        : 'MIGRATION_INVALID: The export cannot be imported; run a dry run for the report.');
+      error.details = report;
+      throw error;
+    }
+    if (report.entity === MIGRATION_ENTITIES.MATTERS && !options.firmId) {
+      throw new Error('MIGRATION_ERROR: firmId is required to import matters.');
+    }
+
+    const unfinished = await MigrationRun.findOne({
+      tenantId: String(tenantId), entity: report.entity, fileHash: report.fileHash, status: { $ne: MIGRATION_RUN_STATUS.COMPLETED }
+    });
+    if (unfinished) return this.resume(tenantId, unfinished.runId, options);
+
+    const run = await MigrationRun.create({
+      tenantId: String(tenantId),
+      firmId: options.firmId,
+      entity: report.entity,
+      source,
+      profileId: report.profileId,
+      filename: report.filename,
+      fileHash: report.fileHash,
+      batchSize: options.batchSize || undefined,
+      counts: { rows: report.rows },
+      issues: report.errors,
+      duplicates: report.duplicates,
+      reconciliation: report.reconciliation,
+      startedBy: options.userId
+    });
+
+    const rows = prepared.map((entry) => ({
+      tenantId: String(tenantId),
+      runId: run.runId,
+      source,
+      entity: report.entity,
+      row: entry.row,
+      key: entry.key || `row-${entry.row}`,
+      record: entry.record,
+      mergeIntoKey: entry.mergeIntoKey,
+      status: entry.errors.length ? MIGRATION_ROW_STATUS.INVALID : MIGRATION_ROW_STATUS.PENDING,
+      message: entry.errors.map((error) => `${error.field}: ${error.message}`).join('; ') || undefined
+    }));
+    for (let index = 0; index < rows.length; index += 500) {
+      await MigrationRecord.insertMany(rows.slice(index, index + 500), { ordered: false });
+    }
+
+    auditLogger.info('MIGRATION_RUN_STARTED', { tenantId, runId: run.runId, entity: run.entity, source, rows: rows.length });
+    return this.resume(tenantId, run.runId, options);
+  }
+
+  /**
+   * @function resume
+   * @desc Imports up to `maxBatches` batches of PENDING rows. The run is leased while it works, so two callers cannot
+   *       import the same rows; a run whose worker died is free again when the lease lapses. A run ends PAUSED while
+   *       rows remain or failed, and COMPLETED once every row is resolved.
+   * @param {Object} options - { maxBatches, retryFailed }
+   */
+  async resume(tenantId, runId, { maxBatches = Infinity, retryFailed = false } = {}) {
+    const now = new Date();
+    const run = await MigrationRun.findOneAndUpdate(
+      {
+        tenantId: String(tenantId),
+        runId,
+        $or: [
+          { status: { $in: [MIGRATION_RUN_STATUS.READY, MIGRATION_RUN_STATUS.PAUSED] } },
+          { status: MIGRATION_RUN_STATUS.RUNNING, leaseExpiresAt: { $lt: now } }
+        ]
+      },
+      { $set: { status: MIGRATION_RUN_STATUS.RUNNING, leaseExpiresAt: new Date(now.getTime() + LEASE_MS) } },
+      { new: true }
+    );
+    if (!run) {
+      const existing = await MigrationRun.findOne({ tenantId: String(tenantId), runId });
+      if (!existing) throw new Error(`MIGRATION_NOT_FOUND: Migration run ${runId} not found.`);
+      if (existing.status === MIGRATION_RUN_STATUS.COMPLETED) return this.progress(existing);
+      throw new Error(`MIGRATION_BUSY: Migration run ${runId} is being imported; try again when the current batch finishes.`);
+    }
+
+    if (retryFailed) {
+      await MigrationRecord.updateMany({ runId, status: MIGRATION_ROW_STATUS.FAILED }, { $set: { status: MIGRATION_ROW_STATUS.PENDING }, $unset: { message: 1 } });
+    }
+
+    try {
+      for (let batch = 0; batch < maxBatches; batch += 1) {
+        const rows = await MigrationRecord.find({ runId, status: MIGRATION_ROW_STATUS.PENDING }).sort({ row: 1 }).limit(run.batchSize);
+        if (!rows.length) break;
+        await this.importBatch(run, rows);
+        run.batchesRun += 1;
+        run.lastRow = rows[rows.length - 1].row;
+        await MigrationRun.updateOne(
+          { runId },
+          { $set: { batchesRun: run.batchesRun, lastRow: run.lastRow, leaseExpiresAt: new Date(Date.now() + LEASE_MS) } }
+        );
+      }
+    } finally {
+      await this.settle(run);
+    }
+    return this.progress(run);
+  }
+
+  // Recounts the run from its rows and releases the lease
+  async settle(run) {
+    const tally = await MigrationRecord.aggregate([
+      { $match: { runId: run.runId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const count = (status) => tally.find((entry) => entry._id === status)?.count || 0;
+    run.counts = {
+      rows: tally.reduce((sum, entry) => sum + entry.count, 0),
+      invalid: count(MIGRATION_ROW_STATUS.INVALID),
+      imported: count(MIGRATION_ROW_STATUS.IMPORTED),
+      skipped: count(MIGRATION_ROW_STATUS.SKIPPED),
+      linked: count(MIGRATION_ROW_STATUS.LINKED),
+      merged: count(MIGRATION_ROW_STATUS.MERGED),
+      failed: count(MIGRATION_ROW_STATUS.FAILED)
+    };
+    run.pending = count(MIGRATION_ROW_STATUS.PENDING);
+
+    const finished = run.pending === 0 && run.counts.failed === 0;
+    if (finished && run.entity === MIGRATION_ENTITIES.TRUST_BALANCES) {
+      run.reconciliation = { ...(run.reconciliation || {}), ...(await this.postedTrustTotals(run)) };
+    }
+    await MigrationRun.updateOne({ runId: run.runId }, {
+      $set: {
+        counts: run.counts,
+        reconciliation: run.reconciliation,
+        status: finished ? MIGRATION_RUN_STATUS.COMPLETED : MIGRATION_RUN_STATUS.PAUSED,
+        completedAt: finished ? new Date() : undefined
+      },
+      $unset: { leaseExpiresAt: 1 }
+    });
+    run.status = finished ? MIGRATION_RUN_STATUS.COMPLETED : MIGRATION_RUN_STATUS.PAUSED;
+    if (finished) auditLogger.info('MIGRATION_RUN_COMPLETED', { tenantId: run.tenantId, runId: run.runId, entity: run.entity, counts: run.counts });
+  }
+
+  // What the trust ledger actually received for this run, against the total that was reconciled
+  async postedTrustTotals(run) {
+    const rows = await MigrationRecord.find({ runId: run.runId, status: { $in: RESOLVED_ROW_STATUSES } }).select('key').lean();
+    const references = rows.map((row) => this.trustReference(run, row.key));
+    const [posted] = await TrustTransaction.aggregate([
+      { $match: { tenantId: run.tenantId, type: 'DEPOSIT', lpcReference: { $in: references } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    const postedTotal = Math.round((posted?.total || 0) * 100) / 100;
+    return { postedTotal, postedBalanced: Math.round(postedTotal * 100) === Math.round((run.reconciliation?.total || 0) * 100) };
+  }
+
+  async importBatch(run, rows) {
+    const entity = run.entity;
+    const refs = {};
+    for (const [field, spec] of Object.entries(MIGRATION_FIELDS[entity])) {
+      if (spec.ref) refs[spec.ref] = await this.resolveRefs(run.tenantId, run.source, spec.ref, rows.map((row) => row.record?.[field]));
+    }
+    const users = await this.resolveUsers(run.tenantId, rows.flatMap((row) => Object.keys(USER_FIELDS[entity] || {}).map((field) => row.record?.[field])));
+    const context = { refs, users };
+
+    for (const row of rows) {
+      try {
+        const { status, targetId, message } = await this[IMPORTERS[entity]](run, row, context);
+        row.set({ status, targetId, message, processedAt: new Date() });
+      } catch (error) {
+        row.set({ status: MIGRATION_ROW_STATUS.FAILED, message: error.message, processedAt: new Date() });
+        auditLogger.warn('MIGRATION_ROW_FAILED', { tenantId: run.tenantId, runId: run.runId, row: row.row, error: error.message });
+      }
+      await row.save();
+    }
+  }
+
+  ref(context, entity, value) {
+    const id = context.refs[entity]?.get(String(value));
+    if (!id) throw new Error(`MIGRATION_ERROR: No ${entity === MIGRATION_ENTITIES.CONTACTS ? 'contact' : 'matter'} ${value} on the system.`);
+    return id;
+  }
+
+  user(context, email) {
+    const user = context.users.get(email);
+    if (!user) throw new Error(`MIGRATION_ERROR: No user ${email}.`);
+    return user;
+  }
+
+  targetId(run, row) {
+    return migrationObjectId(run.tenantId, run.source, run.entity, row.key);
+  }
+
+  trustReference(run, key) {
+    return `MIG-${migrationId(run.tenantId, run.source, MIGRATION_ENTITIES.TRUST_BALANCES, key).slice(0, 20).toUpperCase()}`;
+  }
+
+  async importContact(run, row) {
+    if (row.mergeIntoKey) {
+      const first = await MigrationRecord.findOne({ runId: run.runId, key: row.mergeIntoKey, status: { $in: RESOLVED_ROW_STATUSES } }).lean();
+      if (!first) throw new Error(`MIGRATION_ERROR: The contact this row duplicates (${row.mergeIntoKey}) has not been imported.`);
+      return { status: MIGRATION_ROW_STATUS.MERGED, targetId: first.targetId, message: `Merged into ${row.mergeIntoKey}` };
+    }
+
+    const { record } = row;
+    const _id = this.targetId(run, row);
+    const identity = record.idNumber || record.registrationNumber;
+    const emailIndex = blindIndex(record.email);
+    const idIndex = blindIndex(identity);
+    const findExisting = () => Client.findOne({
+      tenantId: run.tenantId,
+      $or: [{ _id }, { 'piiVault.emailBlindIndex': emailIndex }, ...(idIndex ? [{ 'piiVault.idNumberBlindIndex': idIndex }] : [])]
+    }).select('_id').lean();
+    const outcome = (client) => (String(client._id) === _id
+      ? { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: _id, message: 'Already imported' }
+      : { status: MIGRATION_ROW_STATUS.LINKED, targetId: String(client._id), message: 'Same email or identity number as an existing client' });
+
+    const existing = await findExisting();
+    if (existing) return outcome(existing);
+    try {
+      await Client.create({
+        _id,
+        tenantId: run.tenantId,
+        clientReference: record.externalId,
+        entityType: record.entityType,
+        name: record.name,
+        vatNumber: record.vatNumber,
+        piiVault: {
+          emailCiphertext: encrypt(record.email, run.tenantId),
+          phoneCiphertext: encrypt(record.phone, run.tenantId) || undefined,
+          idNumberCiphertext: encrypt(identity, run.tenantId) || undefined,
+          addressCiphertext: encrypt(record.address, run.tenantId) || undefined,
+          emailBlindIndex: emailIndex,
+          idNumberBlindIndex: idIndex
+        }
+      });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      return outcome(await findExisting());
+    }
+    return { status: MIGRATION_ROW_STATUS.IMPORTED, targetId: _id };
+  }
+
+  async importMatter(run, row, context) {
+    const { record } = row;
+    const _id = this.targetId(run, row);
+    if (await Matter.exists({ _id })) return { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: _id, message: 'Already imported' };
+    const native = await Matter.findOne({ tenantId: run.tenantId, matterNumber: record.externalId }).select('_id').lean();
+    if (native) return { status: MIGRATION_ROW_STATUS.LINKED, targetId: String(native._id), message: 'Matter number already on the system' };
+
+    const attorney = this.user(context, record.attorneyEmail);
+    const matter = new Matter({
+      _id,
+      tenantId: run.tenantId,
+      firmId: run.firmId,
+      matterNumber: record.externalId,
+      matterType: record.matterType,
+      title: record.title,
+      description: record.description,
+      status: record.status,
+      openedDate: record.openedDate || new Date(),
+      clientId: this.ref(context, MIGRATION_ENTITIES.CONTACTS, record.clientRef),
+      responsibleAttorney: { userId: attorney._id, name: attorney.name || [attorney.firstName, attorney.lastName].filter(Boolean).join(' ') || undefined },
+      courtDetails: record.court || record.caseNumber ? { court: record.court, caseNumber: record.caseNumber } : undefined,
+      financials: record.hourlyRate !== undefined ? { hourlyRate: record.hourlyRate } : undefined,
+      createdBy: run.startedBy
+    });
+    try {
+      // matter.created goes to the outbox in the same transaction as the matter
+      await this.withTransaction((session) => matter.save({ session }));
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      return { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: _id, message: 'Already imported' };
+    }
+    return { status: MIGRATION_ROW_STATUS.IMPORTED, targetId: _id };
+  }
+
+  async importDeadline(run, row, context) {
+    const { record } = row;
+    const matterId = this.ref(context, MIGRATION_ENTITIES.MATTERS, record.matterRef);
+    const deadlineId = `MIG-${this.targetId(run, row)}`;
+    const result = await Matter.updateOne(
+      { _id: matterId, tenantId: run.tenantId, 'deadlines.deadlineId': { $ne: deadlineId } },
+      {
+        $push: {
+          deadlines: {
+            deadlineId,
+            title: record.title,
+            description: record.description,
+            dueDate: record.dueDate,
+            status: 'pending',
+            assignedTo: context.users.get(record.assigneeEmail)?._id,
+            courtReference: record.courtReference
+          }
+        }
+      }
+    );
+    return result.modifiedCount
+      ? { status: MIGRATION_ROW_STATUS.IMPORTED, targetId: deadlineId }
+      : { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: deadlineId, message: 'Already imported' };
+  }
+
+  // Time keeps the old system's units, rate and value; only rows without a rate are priced from the rate card
+  async importTimeEntry(run, row, context) {
+    const { record } = row;
+    const entryId = `TE-MIG-${this.targetId(run, row).slice(0, 16).toUpperCase()}`;
+    if (await TimeEntry.exists({ entryId })) return { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: entryId, message: 'Already imported' };
+    const matterId = this.ref(context, MIGRATION_ENTITIES.MATTERS, record.matterRef);
+    const feeEarner = this.user(context, record.feeEarnerEmail);
+
+    try {
+      await this.withTransaction(async (session) => {
+        const matter = await timeEntryService.loadMatter(run.tenantId, matterId, session);
+        const entry = new TimeEntry({
+          entryId,
+          tenantId: run.tenantId,
+          matterId: matter._id,
+          clientId: matter.clientId,
+          userId: feeEarner._id,
+          workDate: record.workDate,
+          activityCode: record.activityCode,
+          description: record.description || ACTIVITY_CODES[record.activityCode],
+          billable: record.billable !== false,
+          rawMinutes: record.minutes
+        });
+        if (record.ratePerHour === undefined) {
+          await timeEntryService.recordEntry(entry, matter, { userId: run.startedBy, traceId: run.runId }, session);
+          return;
+        }
+        entry.set({
+          status: TIME_ENTRY_STATUS.UNBILLED,
+          billedMinutes: record.minutes,
+          ratePerHour: record.ratePerHour,
+          rateSource: `MIGRATED:${run.source}`,
+          currency: matter.financials?.currency || 'ZAR',
+          amount: entry.billable ? (record.amount ?? valueTime(record.minutes, record.ratePerHour)) : 0
+        });
+        await entry.save({ session });
+        if (entry.billable && entry.amount > 0) {
+          await timeEntryService.postWip(entry, {
+            type: WIP_TRANSACTION_TYPES.TIME_RECORDED,
+            amount: entry.amount,
+            minutes: entry.billedMinutes,
+            timeEntryId: entryId,
+            reason: `Unbilled time migrated from ${run.source}`,
+            userId: run.startedBy,
+            traceId: run.runId
+          }, session);
+        }
+      });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      return { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: entryId, message: 'Already imported' };
+    }
+    return { status: MIGRATION_ROW_STATUS.IMPORTED, targetId: entryId };
+  }
+
+  async importTrustBalance(run, row, context) {
+    const { record } = row;
+    const reference = this.trustReference(run, row.key);
+    if (!record.balance) return { status: MIGRATION_ROW_STATUS.SKIPPED, message: 'Nil balance; nothing to open' };
+    const clientId = this.ref(context, MIGRATION_ENTITIES.CONTACTS, record.clientRef);
+    const matterId = this.ref(context, MIGRATION_ENTITIES.MATTERS, record.matterRef);
+
+    return this.withTransaction(async (session) => {
+      const posted = await TrustTransaction.findOne({ tenantId: run.tenantId, lpcReference: reference }).session(session).lean();
+      if (posted) return { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: posted.controlTransactionId, message: 'Already posted' };
+      const asAt = record.asAt ? ` as at ${record.asAt.toISOString().slice(0, 10)}` : '';
+      const result = await lpcService.recordTransaction(run.tenantId, {
+        clientId,
+        matterId,
+        amount: record.balance,
+        type: 'DEPOSIT',
+        description: `Opening trust balance migrated from ${run.source}${asAt}`,
+        reference,
+        method: 'INTERNAL_TRANSFER',
+        initiatedBy: run.startedBy,
+        forensicId: run.runId
+      }, { session });
+      return { status: MIGRATION_ROW_STATUS.IMPORTED, targetId: result.transactionId };
+    });
+  }
+
+  // The document index: folders and file locations in the old system; the files follow by storage transfer
+  async importDocument(run, row, context) {
+    const { record } = row;
+    const _id = this.targetId(run, row);
+    if (await Document.exists({ _id })) return { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: _id, message: 'Already imported' };
+    const extension = (record.sourcePath.match(/\.([a-z0-9]{1,8})$/i) || [])[1];
+    try {
+      await Document.create({
+        _id,
+        tenantId: run.tenantId,
+        matterId: this.ref(context, MIGRATION_ENTITIES.MATTERS, record.matterRef),
+        title: record.title.slice(0, 200),
+        folder: record.folder?.replace(/\\/g, '/').replace(/^\/+|\/+$/g, ''),
+        storageKey: record.sourcePath,
+        status: 'published',
+        metadata: { mimeType: record.mimeType, fileSize: record.fileSize, fileExtension: extension?.toLowerCase() },
+        tags: ['migrated'],
+        createdBy: run.startedBy,
+        ...(record.createdDate ? { createdAt: record.createdDate } : {})
+      });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      return { status: MIGRATION_ROW_STATUS.SKIPPED, targetId: _id, message: 'Already imported' };
+    }
+    return { status: MIGRATION_ROW_STATUS.IMPORTED, targetId: _id };
+  }
+
+  // ==========================================================================
+  // 📋 PROGRESS
+  // ==========================================================================
+
+  progress(run) {
+    return {
+      runId: run.runId,
+      entity: run.entity,
+      source: run.source,
+      filename: run.filename,
+      status: run.status,
+      counts: run.counts,
+      pending: run.pending ?? Math.max(0, run.counts.rows - run.counts.invalid - run.counts.imported - run.counts.skipped
+        - run.counts.linked - run.counts.merged - run.counts.failed),
+      batchesRun: run.batchesRun,
+      lastRow: run.lastRow,
+      issues: (run.issues || []).slice(0, 100),
+      duplicates: run.duplicates,
+      reconciliation: run.reconciliation,
+      completedAt: run.completedAt
+    };
+  }
+
+  async getRun(tenantId, runId) {
+    const run = await MigrationRun.findOne({ tenantId: String(tenantId), runId }).lean();
+    if (!run) throw new Error(`MIGRATION_NOT_FOUND: Migration run ${runId} not found.`);
+    const problems = await MigrationRecord.find({ runId, status: { $in: [MIGRATION_ROW_STATUS.INVALID, MIGRATION_ROW_STATUS.FAILED] } })
+      .select('row key status message').sort({ row: 1 }).limit(REPORT_LIMIT).lean();
+    return { ...this.progress(run), problems };
+  }
+
+  async listRuns(tenantId, { entity, limit = 50 } = {}) {
+    const query = { tenantId: String(tenantId) };
+    if (entity) query.entity = entity;
+    const runs = await MigrationRun.find(query).select('-issues -duplicates').sort({ createdAt: -1 }).limit(Math.min(Number(limit) || 50, 200)).lean();
+    return runs.map((run) => this.progress(run));
+  }
+}
+
+export const migrationService = new MigrationService();
+export default migrationService;
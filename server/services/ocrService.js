@@ -0,0 +1,357 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DOCUMENT OCR SERVICE [V1.0.0-OCR]                                                                                           ║
+ * ║ [LOCAL TESSERACT.JS | ENGLISH + AFRIKAANS | PAGE TEXT AND CONFIDENCE | SEARCHABLE PDF AS A NEW VERSION]                                ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/ocrService.js                                                    ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Reads the text of scanned court papers and faxed affidavits so that they can be searched and scanned for PII.
+ * Image-only pages of a PDF, and every page of a TIFF, JPEG or PNG upload, go through tesseract.js on this server
+ * with the English and Afrikaans data shipped in @tesseract.js-data; nothing leaves the firm. The result is saved
+ * as the document's newest version (origin OCR): the same pages with the recognised text laid invisibly over them,
+ * page text and confidence recorded on that version. Runs in the OCR worker (jobs/ocrWorker.js); faults carry an
+ * HTTP `status` and a `code`.
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { createWorker, OEM } from 'tesseract.js';
+import Document from '../models/Document.js';
+import { OCR_STATUS, VERSION_ORIGINS } from '../models/DocumentVersion.js';
+import documentVersionService from './documentVersionService.js';
+import DocumentService from './documentService.js';
+import auditLogger from '../utils/auditLogger.js';
+import { sniffMime } from '../utils/bundleCompiler.js';
+import {
+  OCR_LANGUAGES,
+  OCR_IMAGE_TYPES,
+  resolveOcrDpi,
+  findImageOnlyPages,
+  renderPagesForOcr,
+  imagesToPdf,
+  readRecognition,
+  summariseOcr,
+  addTextLayer,
+  loadPdfForLayer
+} from '../utils/ocrLayer.js';
+
+const require = createRequire(import.meta.url);
+
+const ENGINE = 'tesseract.js';
+// The model set in the @tesseract.js-data packages
+const TESSDATA_MODEL = '4.0.0_best_int';
+const MAX_OCR_PAGES = 300;
+// A job left QUEUED or RUNNING this long has died with its worker and can be asked for again
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+const ocrError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = message.split(':')[0];
+  if (details) error.details = details;
+  return error;
+};
+
+const wrapUtilError = (error) => (/^OCR_ERROR: /.test(error.message) ? ocrError(422, error.message) : error);
+
+const isTiff = (bytes) => {
+  const head = bytes.subarray(0, 4).toString('latin1');
+  return head === 'II*\x00' || head === 'MM\x00*';
+};
+
+const fileType = (bytes, version) => (isTiff(bytes) ? 'image/tiff' : sniffMime(bytes, version.mimeType, version.fileName));
+
+/** Whether a version's file is one OCR can read: a PDF, or a scan saved as TIFF, JPEG or PNG. */
+export const isOcrCandidate = (mimeType) => ['application/pdf', ...OCR_IMAGE_TYPES].includes(String(mimeType || '').toLowerCase());
+
+let languagePath = null;
+let sharpModule = null;
+
+// sharp is a native module: it is loaded when a scan first needs it, so the document routes start without its binary
+const loadSharp = async () => {
+  sharpModule ||= (await import('sharp')).default;
+  return sharpModule;
+};
+
+/**
+ * Each @tesseract.js-data package holds one language, and tesseract.js reads all of them from one directory, so they
+ * are copied together once per process. OCR_LANG_PATH points at a prepared directory instead.
+ */
+const resolveLanguagePath = () => {
+  if (process.env.OCR_LANG_PATH) return Promise.resolve(process.env.OCR_LANG_PATH);
+  languagePath = languagePath || (async () => {
+    const directory = path.join(os.tmpdir(), 'wilsy-tessdata');
+    await fs.mkdir(directory, { recursive: true });
+    for (const language of OCR_LANGUAGES) {
+      const file = `${language}.traineddata.gz`;
+      const source = path.join(path.dirname(require.resolve(`@tesseract.js-data/${language}/package.json`)), TESSDATA_MODEL, file);
+      await fs.copyFile(source, path.join(directory, file));
+    }
+    return directory;
+  })().catch((error) => {
+    languagePath = null;
+    throw error;
+  });
+  return languagePath;
+};
+
+class OcrService {
+  /**
+   * @function request
+   * @desc Checks that a version can be read and marks the document QUEUED for it; the caller hands the returned
+   *       payload to the OCR worker.
+   */
+  async request(tenantId, documentId, { version: versionRef, dpi, userId, auto = false, traceId } = {}) {
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    await documentVersionService.ensureBaseline(tenantId, doc);
+    const version = await documentVersionService.findVersion(tenantId, doc, versionRef ?? doc.version);
+    if (!isOcrCandidate(version.mimeType)) {
+      throw ocrError(422, `OCR_ERROR: Version ${version.versionNumber} is ${version.mimeType || 'of an unknown type'}; OCR reads PDFs and TIFF, JPEG or PNG scans.`);
+    }
+    // A run on an older version ends SUPERSEDED by itself; only the same version twice is refused
+    const running = [OCR_STATUS.QUEUED, OCR_STATUS.RUNNING].includes(doc.ocr?.status)
+      && doc.ocr.sourceVersion === version.versionNumber
+      && Date.now() - new Date(doc.ocr.startedAt || doc.ocr.queuedAt).getTime() < STALE_AFTER_MS;
+    if (running) throw ocrError(409, `OCR_CONFLICT: OCR of version ${doc.ocr.sourceVersion} is already ${doc.ocr.status}.`);
+
+    // Auto-queued scans are read on behalf of whoever saved the version
+    const initiatedBy = userId || version.author?._id || version.author || doc.updatedBy || doc.createdBy;
+    const queuedAt = new Date();
+    await Document.updateOne({ _id: doc._id }, {
+      $set: { ocr: { status: OCR_STATUS.QUEUED, sourceVersion: version.versionNumber, queuedAt } }
+    });
+    auditLogger.info('DOCUMENT_OCR_QUEUED', {
+      tenantId: String(tenantId),
+      documentId: String(doc._id),
+      sourceVersion: version.versionNumber,
+      auto,
+      userId: userId ? String(userId) : undefined,
+      traceId
+    });
+    return {
+      tenantId: String(tenantId),
+      documentId: String(doc._id),
+      sourceVersion: version.versionNumber,
+      dpi: dpi ? resolveOcrDpi(dpi) : undefined,
+      initiatedBy: String(initiatedBy),
+      auto
+    };
+  }
+
+  /**
+   * @function recognise
+   * @desc Runs tesseract.js over each image in turn with one worker, which is always terminated.
+   * @param {Function} images - async (visit) => void, calling visit({ pageNumber, png, dpi }) per page
+   */
+  async recognise(images) {
+    const worker = await createWorker([...OCR_LANGUAGES], OEM.LSTM_ONLY, {
+      langPath: await resolveLanguagePath(),
+      gzip: true,
+      cacheMethod: 'none'
+    });
+    try {
+      const pages = [];
+      await images(async ({ pageNumber, png, dpi, toPdfPoint }) => {
+        if (dpi) await worker.setParameters({ user_defined_dpi: String(dpi) });
+        const { data } = await worker.recognize(png, {}, { text: true, blocks: true });
+        pages.push({ pageNumber, toPdfPoint, ...readRecognition(data) });
+      });
+      return pages;
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  /**
+   * @function scanImages
+   * @desc A scanned image upload as one PNG or JPEG per page, every frame of a multi-page TIFF included and phone
+   *       photographs turned upright.
+   */
+  async scanImages(bytes, type) {
+    try {
+      if (type === 'image/png') return [{ bytes, mimeType: type }];
+      const sharp = await loadSharp();
+      if (type === 'image/tiff') {
+        const { pages = 1 } = await sharp(bytes).metadata();
+        if (pages > MAX_OCR_PAGES) throw ocrError(422, `OCR_ERROR: The scan has ${pages} pages; OCR reads at most ${MAX_OCR_PAGES}.`);
+        const frames = [];
+        for (let page = 0; page < pages; page += 1) {
+          frames.push({ bytes: await sharp(bytes, { page }).png().toBuffer(), mimeType: 'image/png' });
+        }
+        return frames;
+      }
+      return [{ bytes: await sharp(bytes).rotate().jpeg({ quality: 92 }).toBuffer(), mimeType: type }];
+    } catch (error) {
+      if (error.status) throw error;
+      throw ocrError(422, `OCR_ERROR: The scan could not be read (${error.message}).`);
+    }
+  }
+
+  /**
+   * @function process
+   * @desc Reads a queued version and saves the searchable PDF as the newest version. Called by the OCR worker. The
+   *       outcome (DONE, NOT_NEEDED, SUPERSEDED or FAILED) is recorded on the document.
+   * @returns {Promise<{ status: string, version?: Object, confidence?: number, pageCount?: number }>}
+   */
+  async process(tenantId, documentId, { sourceVersion, dpi, initiatedBy, auto = false, traceId } = {}) {
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    let runVersion = sourceVersion;
+    // Records this run's progress unless a later version has been queued since
+    const finish = async (fields) => {
+      await Document.updateOne(
+        { _id: doc._id, 'ocr.sourceVersion': { $in: [runVersion, null] } },
+        { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`ocr.${key}`, value])) }
+      );
+    };
+
+    try {
+      const version = await documentVersionService.findVersion(tenantId, doc, sourceVersion ?? doc.version);
+      runVersion = version.versionNumber;
+      const bytes = await documentVersionService.readVersion(tenantId, version);
+      const type = fileType(bytes, version);
+      const startedAt = new Date();
+      await finish({ status: OCR_STATUS.RUNNING, sourceVersion: version.versionNumber, startedAt, error: null });
+
+      let pdf;
+      let pages;
+      let pageCount;
+      let rendered;
+      if (type === 'application/pdf') {
+        const scanned = await findImageOnlyPages(bytes);
+        pageCount = scanned.pageCount;
+        if (!scanned.pages.length) {
+          await finish({ status: OCR_STATUS.NOT_NEEDED, pageCount, completedAt: new Date() });
+          return { status: OCR_STATUS.NOT_NEEDED, pageCount };
+        }
+        if (scanned.pages.length > MAX_OCR_PAGES) {
+          throw ocrError(422, `OCR_ERROR: ${scanned.pages.length} pages need OCR; at most ${MAX_OCR_PAGES} are read at a time.`);
+        }
+        pages = await this.recognise((visit) => renderPagesForOcr(bytes, scanned.pages, { dpi }, (page) => {
+          rendered = page.dpi;
+          return visit(page);
+        }));
+        pdf = await loadPdfForLayer(bytes);
+      } else if (OCR_IMAGE_TYPES.includes(type)) {
+        const images = await this.scanImages(bytes, type);
+        const built = await imagesToPdf(images);
+        pdf = built.pdf;
+        pageCount = images.length;
+        pages = await this.recognise(async (visit) => {
+          for (const [index, image] of images.entries()) await visit({ ...built.pages[index], png: image.bytes });
+        });
+      } else {
+        await finish({ status: OCR_STATUS.NOT_NEEDED, completedAt: new Date() });
+        return { status: OCR_STATUS.NOT_NEEDED };
+      }
+
+      const summary = summariseOcr(pages);
+      if (!summary.wordCount) throw ocrError(422, 'OCR_ERROR: No text could be read from the scanned pages.');
+      await addTextLayer(pdf, pages);
+      const output = Buffer.from(await pdf.save());
+
+      // A version saved while OCR ran is newer than the scan read; the OCR copy must not replace it
+      const current = await documentVersionService.loadDocument(tenantId, documentId);
+      if (current.version !== version.versionNumber) {
+        await finish({ status: OCR_STATUS.SUPERSEDED, completedAt: new Date() });
+        auditLogger.info('DOCUMENT_OCR_SUPERSEDED', { tenantId: String(tenantId), documentId: String(doc._id), sourceVersion: version.versionNumber, currentVersion: current.version, traceId });
+        return { status: OCR_STATUS.SUPERSEDED };
+      }
+
+      const stem = path.basename(version.fileName || doc.title || 'document', path.extname(version.fileName || '')).replace(/[^\w.-]+/g, '_').slice(0, 80);
+      const pii = DocumentService.scanForPII(summary.text);
+      const saved = await documentVersionService.saveVersion(tenantId, current, {
+        bytes: output,
+        fileName: `${stem}_ocr.pdf`,
+        mimeType: 'application/pdf'
+      }, {
+        userId: initiatedBy,
+        comment: `Text recognised by OCR from version ${version.versionNumber} (${pages.length} page${pages.length === 1 ? '' : 's'}, ${summary.confidence}% confidence)`,
+        origin: VERSION_ORIGINS.OCR,
+        ocr: {
+          sourceVersion: version.versionNumber,
+          engine: ENGINE,
+          languages: [...OCR_LANGUAGES],
+          dpi: rendered,
+          confidence: summary.confidence,
+          wordCount: summary.wordCount,
+          pages: pages.map(({ pageNumber, text, confidence, words }) => ({ page: pageNumber, text, confidence, wordCount: words.length }))
+        },
+        // OCR never takes or releases anyone's check-out
+        keepCheckedOut: true,
+        traceId
+      });
+
+      current.set({
+        'metadata.pageCount': pageCount,
+        ocr: {
+          status: OCR_STATUS.DONE,
+          sourceVersion: version.versionNumber,
+          versionNumber: saved.versionNumber,
+          confidence: summary.confidence,
+          pageCount: pages.length,
+          text: summary.text,
+          queuedAt: doc.ocr?.queuedAt,
+          startedAt,
+          completedAt: new Date()
+        }
+      });
+      await current.save();
+
+      auditLogger.info('DOCUMENT_OCR_PROCESSED', {
+        tenantId: String(tenantId),
+        documentId: String(doc._id),
+        sourceVersion: version.versionNumber,
+        versionId: saved.versionId,
+        versionNumber: saved.versionNumber,
+        pages: pages.length,
+        words: summary.wordCount,
+        confidence: summary.confidence,
+        piiRisk: pii.riskLevel,
+        piiIndicators: pii.indicators,
+        auto,
+        userId: initiatedBy ? String(initiatedBy) : undefined,
+        traceId
+      });
+      return { status: OCR_STATUS.DONE, version: saved, confidence: summary.confidence, pageCount: pages.length };
+    } catch (error) {
+      await finish({ status: OCR_STATUS.FAILED, error: error.message, completedAt: new Date() });
+      auditLogger.error('DOCUMENT_OCR_FAILED', { tenantId: String(tenantId), documentId: String(doc._id), sourceVersion: runVersion, error: error.message, traceId });
+      throw wrapUtilError(error);
+    }
+  }
+
+  /**
+   * @function getResult
+   * @desc The document's OCR state and, once done, the text and confidence of each page read.
+   */
+  async getResult(tenantId, documentId) {
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    // The full text is on the pages below
+    const state = { ...doc.toObject().ocr };
+    delete state.text;
+    const result = {
+      documentId: String(doc._id),
+      currentVersion: doc.version,
+      ...state,
+      status: state.status || null,
+      // Search reads the text only while the OCR version is the current one
+      searchable: Boolean(state.versionNumber && state.versionNumber === doc.version)
+    };
+    if (state.status === OCR_STATUS.DONE && state.versionNumber) {
+      const version = await documentVersionService.findVersion(tenantId, doc, state.versionNumber);
+      result.versionId = version.versionId;
+      result.engine = version.ocr?.engine;
+      result.languages = version.ocr?.languages;
+      result.dpi = version.ocr?.dpi;
+      result.pages = version.ocr?.pages || [];
+    }
+    return result;
+  }
+}
+
+export const ocrService = new OcrService();
+export default ocrService;
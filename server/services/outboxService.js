@@ -0,0 +1,327 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - EVENT OUTBOX RELAY [V1.0.0-HOOKS]                                                                                           ║
+ * ║ [TRANSACTIONAL RECORD | RELAY TO WORKFLOWS + WEBHOOKS | SIGNED DELIVERY | EXPONENTIAL BACKOFF | DEAD-LETTER]                           ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/outboxService.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * record() writes the event in the caller's session; dispatch() relays a committed event to the workflow engine and fans
+ * it out as one WebhookDelivery per matching subscription; deliver() makes one signed attempt. Jobs run on the
+ * EVENT_OUTBOX queue, or in-process without REDIS_HOST, and jobs/outboxRelayJob.js sweeps up whatever a queue dropped.
+ */
+
+import axios from 'axios';
+import crypto from 'node:crypto';
+import OutboxEvent, { OUTBOX_STATUS } from '../models/OutboxEvent.js';
+import WebhookSubscription, { SUBSCRIPTION_STATUS } from '../models/WebhookSubscription.js';
+import WebhookDelivery, { DELIVERY_STATUS } from '../models/WebhookDelivery.js';
+import workflowEngineService, { WORKFLOW_JOBS } from './workflowEngineService.js';
+import { decrypt } from '../utils/cryptoCore.js';
+import auditLogger from '../utils/auditLogger.js';
+import logger from '../utils/logger.js';
+import {
+  SIGNATURE_HEADER,
+  signPayload,
+  backoffDelay,
+  isRetryable,
+  subscriptionMatches,
+  deliveryBody
+} from '../utils/webhooks.js';
+
+export { OUTBOX_STATUS, DELIVERY_STATUS };
+
+export const OUTBOX_JOBS = Object.freeze({
+  DISPATCH: 'dispatch',
+  DELIVER: 'deliver'
+});
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// A claimed attempt is not picked up by the sweep for this long, so one delivery is never sent twice at once
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+// Paused subscriptions keep their deliveries; they are looked at again after this
+const PAUSED_RECHECK_MS = 60 * 60 * 1000;
+const MAX_DISPATCH_ATTEMPTS = 10;
+const SWEEP_BATCH = 100;
+
+const newDeliveryId = () => `WHD-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+class OutboxService {
+  // ------------------------------------------------------------------
+  // Scheduling
+  // ------------------------------------------------------------------
+
+  /**
+   * @function schedule
+   * @desc Queues outbox work on EVENT_OUTBOX (BullMQ) or runs it in-process when Redis is not configured.
+   *       Delayed in-process jobs are not kept: the relay sweep finds them instead.
+   */
+  async schedule(name, payload, { delay = 0, jobId } = {}) {
+    if (process.env.REDIS_HOST) {
+      const { default: queues } = await import('../jobs/queue.js');
+      await queues.outboxQueue.add(name, payload, { delay, jobId, attempts: 1 });
+      return { queued: true, via: 'bullmq' };
+    }
+    if (delay > 0) return { queued: false, via: 'sweep' };
+    setImmediate(() => {
+      this.process(name, payload).catch((error) => {
+        logger.error('outbox: in-process job failed', { name, error: error.message });
+      });
+    });
+    return { queued: true, via: 'in-process' };
+  }
+
+  /**
+   * @function process
+   * @desc Entry point for EVENT_OUTBOX jobs (see jobs/outboxWorker.js).
+   */
+  async process(name, payload = {}) {
+    if (name === OUTBOX_JOBS.DISPATCH) return this.dispatch(payload.eventId);
+    if (name === OUTBOX_JOBS.DELIVER) return this.deliver(payload.deliveryId);
+    throw new Error(`OUTBOX_ERROR: Unknown outbox job ${name}`);
+  }
+
+  // ------------------------------------------------------------------
+  // Outbox
+  // ------------------------------------------------------------------
+
+  /**
+   * @function record
+   * @desc Writes an event to the outbox in `session`. Inside a transaction the relay is scheduled when the session ends,
+   *       by which point the event is either committed or gone. A repeated `dedupeKey` records nothing and returns null.
+   */
+  async record({ tenantId, type, subject, matterId, payload = {} }, { session, dedupeKey } = {}) {
+    let event;
+    try {
+      [event] = await OutboxEvent.create([{
+        tenantId: String(tenantId),
+        type,
+        subject: { type: subject.type, id: String(subject.id) },
+        matterId: matterId ? String(matterId) : undefined,
+        payload,
+        dedupeKey
+      }], { session: session || undefined });
+    } catch (error) {
+      if (dedupeKey && error.code === 11000) return null;
+      throw error;
+    }
+
+    const relay = () => this.schedule(OUTBOX_JOBS.DISPATCH, { eventId: event.eventId }, { jobId: `dispatch-${event.eventId}` })
+      .catch((error) => logger.error('outbox: could not schedule relay', { eventId: event.eventId, error: error.message }));
+    if (session?.inTransaction?.()) session.once('ended', relay);
+    else await relay();
+    return event;
+  }
+
+  /**
+   * @function envelope
+   * @desc The plain event handed to the workflow engine.
+   */
+  envelope(event) {
+    return {
+      eventId: event.eventId,
+      type: event.type,
+      tenantId: event.tenantId,
+      subject: { type: event.subject.type, id: event.subject.id },
+      matterId: event.matterId,
+      occurredAt: new Date(event.occurredAt).toISOString(),
+      payload: event.payload || {}
+    };
+  }
+
+  /**
+   * @function dispatch
+   * @desc Relays a committed event: workflow triggers, then one delivery per subscription that wants it. Both sides are
+   *       idempotent (unique event ids), so a relay retried after a partial failure does not double up.
+   */
+  async dispatch(eventId) {
+    const event = await OutboxEvent.findOne({ eventId });
+    if (!event || event.status !== OUTBOX_STATUS.PENDING) return null;
+
+    event.attempts += 1;
+    try {
+      await workflowEngineService.schedule(WORKFLOW_JOBS.EVENT, this.envelope(event), { jobId: `event-${event.eventId}` });
+      const deliveries = await this.fanOut(event);
+      event.status = OUTBOX_STATUS.DISPATCHED;
+      event.dispatchedAt = new Date();
+      event.deliveries = deliveries.length;
+      event.lastError = undefined;
+      await event.save();
+      return { eventId, deliveries };
+    } catch (error) {
+      event.lastError = error.message;
+      if (event.attempts >= MAX_DISPATCH_ATTEMPTS) event.status = OUTBOX_STATUS.FAILED;
+      await event.save();
+      auditLogger.error('OUTBOX_DISPATCH_FAILED', { tenantId: event.tenantId, eventId, type: event.type, attempts: event.attempts, error: error.message });
+      return { eventId, error: error.message };
+    }
+  }
+
+  async fanOut(event) {
+    const subscriptions = await WebhookSubscription.find({
+      tenantId: event.tenantId,
+      status: SUBSCRIPTION_STATUS.ACTIVE,
+      events: { $in: [event.type, '*'] }
+    }).lean();
+
+    const created = [];
+    for (const subscription of subscriptions) {
+      if (!subscriptionMatches(subscription, event.type)) continue;
+      const deliveryId = newDeliveryId();
+      try {
+        await WebhookDelivery.create({
+          deliveryId,
+          tenantId: event.tenantId,
+          subscriptionId: subscription.subscriptionId,
+          eventId: event.eventId,
+          eventType: event.type,
+          url: subscription.url,
+          body: deliveryBody(event, deliveryId),
+          maxAttempts: subscription.maxAttempts
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        continue;
+      }
+      created.push(deliveryId);
+      await this.schedule(OUTBOX_JOBS.DELIVER, { deliveryId }, { jobId: `deliver-${deliveryId}-1` });
+    }
+    return created;
+  }
+
+  // ------------------------------------------------------------------
+  // Delivery
+  // ------------------------------------------------------------------
+
+  /**
+   * @function send
+   * @desc One signed POST of the stored body. Never throws: network failures come back as `{ error }`.
+   */
+  async send(delivery, secret) {
+    const started = Date.now();
+    try {
+      const response = await axios.post(delivery.url, delivery.body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Wilsy-Webhooks/1.0',
+          'X-Wilsy-Event': delivery.eventType,
+          'X-Wilsy-Event-Id': delivery.eventId,
+          'X-Wilsy-Delivery': delivery.deliveryId,
+          'X-Wilsy-Attempt': String(delivery.attempts),
+          [SIGNATURE_HEADER]: signPayload(secret, delivery.body)
+        },
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength: 64 * 1024,
+        transformRequest: [(data) => data],
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      return {
+        statusCode: response.status,
+        durationMs: Date.now() - started,
+        responseBody: String(response.data ?? '').slice(0, 2000)
+      };
+    } catch (error) {
+      return { durationMs: Date.now() - started, error: error.code || error.message };
+    }
+  }
+
+  /**
+   * @function deliver
+   * @desc Makes the next attempt of a delivery that is due. Success closes it; a retryable failure schedules the next
+   *       attempt with exponential backoff; a final answer or the last attempt parks it as DEAD (the dead-letter queue).
+   */
+  async deliver(deliveryId, now = new Date()) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { deliveryId, status: { $in: [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.RETRYING] }, nextAttemptAt: { $lte: now } },
+      { $inc: { attempts: 1 }, $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+    if (!delivery) return null;
+
+    const subscription = await WebhookSubscription.findOne({ subscriptionId: delivery.subscriptionId }).select('+encryptedSecret');
+    if (subscription?.status === SUBSCRIPTION_STATUS.PAUSED) {
+      delivery.attempts -= 1;
+      delivery.nextAttemptAt = new Date(now.getTime() + PAUSED_RECHECK_MS);
+      return delivery.save();
+    }
+    const secret = subscription?.status === SUBSCRIPTION_STATUS.ACTIVE ? decrypt(subscription.encryptedSecret, subscription.tenantId) : null;
+    const result = secret
+      ? await this.send(delivery, secret)
+      : { durationMs: 0, error: subscription ? `subscription ${subscription.status.toLowerCase()}` : 'subscription not found' };
+
+    delivery.attemptLog.push({ attempt: delivery.attempts, at: now, ...result });
+    const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+
+    if (succeeded) {
+      delivery.status = DELIVERY_STATUS.SUCCEEDED;
+      delivery.deliveredAt = new Date();
+      delivery.lastError = undefined;
+    } else {
+      delivery.lastError = result.error || `HTTP ${result.statusCode}`;
+      const retry = secret && isRetryable(result.statusCode) && delivery.attempts < delivery.maxAttempts;
+      if (retry) {
+        const delay = backoffDelay(delivery.attempts);
+        delivery.status = DELIVERY_STATUS.RETRYING;
+        delivery.nextAttemptAt = new Date(now.getTime() + delay);
+        await this.schedule(OUTBOX_JOBS.DELIVER, { deliveryId }, { delay, jobId: `deliver-${deliveryId}-${delivery.attempts + 1}` });
+      } else {
+        delivery.status = DELIVERY_STATUS.DEAD;
+        delivery.deadAt = new Date();
+        auditLogger.warn('WEBHOOK_DELIVERY_DEAD', {
+          tenantId: delivery.tenantId,
+          deliveryId,
+          subscriptionId: delivery.subscriptionId,
+          eventType: delivery.eventType,
+          attempts: delivery.attempts,
+          error: delivery.lastError
+        });
+      }
+    }
+    await delivery.save();
+
+    if (subscription) {
+      await WebhookSubscription.updateOne(
+        { _id: subscription._id },
+        succeeded
+          ? { $set: { consecutiveFailures: 0, lastDeliveredAt: new Date() } }
+          : { $inc: { consecutiveFailures: 1 }, $set: { lastFailedAt: new Date() } }
+      );
+    }
+    return delivery;
+  }
+
+  // ------------------------------------------------------------------
+  // Sweep
+  // ------------------------------------------------------------------
+
+  /**
+   * @function sweep
+   * @desc Relays events still PENDING and attempts deliveries that are due, whatever happened to their jobs.
+   */
+  async sweep(now = new Date()) {
+    const pending = await OutboxEvent.find({ status: OUTBOX_STATUS.PENDING, occurredAt: { $lte: now } })
+      .sort({ occurredAt: 1 }).limit(SWEEP_BATCH).select('eventId').lean();
+    let dispatched = 0;
+    for (const { eventId } of pending) {
+      const result = await this.dispatch(eventId);
+      if (result && !result.error) dispatched++;
+    }
+
+    const due = await WebhookDelivery.find({
+      status: { $in: [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.RETRYING] },
+      nextAttemptAt: { $lte: now }
+    }).sort({ nextAttemptAt: 1 }).limit(SWEEP_BATCH).select('deliveryId').lean();
+    let attempted = 0;
+    for (const { deliveryId } of due) {
+      if (await this.deliver(deliveryId, now)) attempted++;
+    }
+
+    return { pendingEvents: pending.length, dispatched, dueDeliveries: due.length, attempted };
+  }
+}
+
+export const outboxService = new OutboxService();
+export default outboxService;
@@ -0,0 +1,179 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PADES SEALING SERVICE [V1.0.0-PADES]                                                                                        ║
+ * ║ [SOURCE RENDERING | FIELD PLACEMENT | COMPLETION CERTIFICATE | PER-SIGNER PADES-B-T | DSS FOR B-LT | OFFLINE VERIFICATION]             ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/padesService.js                                                  ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Turns a completed e-sign request into a signed PDF: the source document plus a completion certificate, one
+ * embedded signature per party (in signing order, each an incremental update with a visible appearance in its
+ * field), then a Document Security Store. Certificates and timestamps come from services/signingAuthorityService.js.
+ */
+
+import crypto from 'node:crypto';
+import { toPdfDocument } from '../utils/bundleCompiler.js';
+import { createCadesSignature } from '../utils/cms.js';
+import {
+  PADES_LEVELS,
+  placeSignatureFields,
+  appendCompletionCertificate,
+  appendSignature,
+  appendDss,
+  verifyPdfSignatures
+} from '../utils/pdfSignature.js';
+import signingAuthorityService from './signingAuthorityService.js';
+
+export { PADES_LEVELS };
+
+const SIGNATURE_REASON = 'Electronic signature (ECT Act 25 of 2002)';
+
+const padesError = (status, message) => {
+  const error = new Error(`ESIGN_ERROR: ${message}`);
+  error.status = status;
+  error.code = 'ESIGN_PDF_FAILED';
+  return error;
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// A signer's adopted signature (from the remote ceremony) drawn in their field
+const adoptedMark = (adopted) => {
+  if (adopted?.type === 'drawn' && adopted.image) return { image: Buffer.from(adopted.image, 'base64') };
+  if (adopted?.type === 'typed' && adopted.text) return { text: adopted.text };
+  return undefined;
+};
+
+const utc = (date) => new Date(date).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+class PadesService {
+  /**
+   * @function renderSource
+   * @desc The document to be signed as a PDF, its page sizes and hash. Accepts what toPdfDocument accepts.
+   */
+  async renderSource(source) {
+    let doc;
+    try {
+      doc = await toPdfDocument(source);
+    } catch (error) {
+      throw padesError(422, error.message.replace(/^BUNDLE_ERROR: /, ''));
+    }
+    if (doc.isEncrypted) throw padesError(422, 'Encrypted PDFs cannot be signed.');
+    const pdf = Buffer.from(await doc.save({ useObjectStreams: false }));
+    return {
+      pdf,
+      hash: sha256(pdf),
+      pages: doc.getPages().map((page) => page.getSize())
+    };
+  }
+
+  /**
+   * @function placeFields
+   * @desc Signature fields for each signing party, from the template's signature requirements.
+   */
+  placeFields(requirements, signers, pages) {
+    try {
+      return placeSignatureFields(requirements, signers, pages);
+    } catch (error) {
+      throw padesError(422, error.message.replace(/^PADES_ERROR: /, ''));
+    }
+  }
+
+  /**
+   * @function seal
+   * @desc Builds the signed PDF for a fully signed request.
+   * @param {Object} request { requestId, title, createdAt, completedAt, organisation }
+   * @param {Buffer} sourcePdf The PDF the parties signed (as stored at request creation).
+   * @param {Array<Object>} fields Placed fields, matched to signers by email.
+   * @param {Array<Object>} signers { name, email, role, order, signedAt, ipAddress, geoLocation, verificationLevel, adoptedSignature }
+   */
+  async seal(request, sourcePdf, fields, signers) {
+    const byEmail = new Map(fields.map((field) => [field.email, field]));
+    const parties = signers
+      .filter((signer) => byEmail.has(signer.email))
+      .sort((a, b) => new Date(a.signedAt) - new Date(b.signedAt));
+    if (!parties.length) throw padesError(409, 'The request has no signing parties.');
+
+    let bytes = await appendCompletionCertificate(sourcePdf, {
+      title: request.title,
+      requestId: request.requestId,
+      documentHash: sha256(sourcePdf),
+      createdAt: request.createdAt,
+      completedAt: request.completedAt,
+      signers: parties.map((signer) => ({ ...signer, field: byEmail.get(signer.email) }))
+    });
+
+    const timestamp = await signingAuthorityService.timestamper();
+    const issued = [];
+    for (const signer of parties) {
+      const field = byEmail.get(signer.email);
+      const { certificate, key, chain } = await signingAuthorityService.issueSignerCertificate({
+        name: signer.name,
+        email: signer.email,
+        organisation: request.organisation
+      });
+      const signed = await appendSignature(bytes, {
+        field,
+        appearance: [
+          `Digitally signed by ${signer.name}`,
+          signer.email,
+          `Date: ${utc(signer.signedAt)}`,
+          `Role: ${signer.role || 'signer'}`
+        ],
+        mark: adoptedMark(signer.adoptedSignature),
+        signingTime: signer.signedAt,
+        name: signer.name,
+        reason: SIGNATURE_REASON,
+        location: signer.geoLocation,
+        contactInfo: signer.email,
+        sign: (digest) => createCadesSignature({ digest, certificate, key, chain, timestamp })
+      });
+      bytes = signed.bytes;
+      issued.push({ signer, field, certificate, signed });
+    }
+
+    // Validation material for every signature: root, timestamping unit, each signer's certificate and the CRL
+    const material = await signingAuthorityService.validationMaterial();
+    bytes = await appendDss(bytes, {
+      certificates: [...material.certificates, ...issued.map((entry) => entry.certificate.der)],
+      crls: material.crls,
+      vri: issued.map((entry, index) => ({
+        contents: entry.signed.contents,
+        certificates: [0, 1, material.certificates.length + index],
+        crls: material.crls.map((crl, crlIndex) => crlIndex)
+      }))
+    });
+
+    return {
+      pdf: bytes,
+      hash: sha256(bytes),
+      level: PADES_LEVELS.B_LT,
+      signatures: issued.map(({ signer, field, certificate, signed }) => ({
+        email: signer.email,
+        fieldName: signed.fieldName,
+        page: field.page,
+        certificateSerial: certificate.serial,
+        certificateFingerprint: certificate.fingerprint,
+        byteRange: signed.byteRange,
+        digest: signed.digest
+      }))
+    };
+  }
+
+  /**
+   * @function verify
+   * @desc Offline verification of every embedded signature against the local CA.
+   */
+  async verify(pdf) {
+    const trustAnchors = await signingAuthorityService.trustAnchors();
+    try {
+      return await verifyPdfSignatures(pdf, { trustAnchors });
+    } catch (error) {
+      throw padesError(422, `The PDF could not be read: ${error.message}`);
+    }
+  }
+}
+
+export const padesService = new PadesService();
+export default padesService;
@@ -0,0 +1,581 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRE-BILL SERVICE [V1.0.0-BILLING]                                                                                           ║
+ * ║ [PROFORMA GENERATION | WRITE-DOWN / WRITE-OFF / TRANSFER | BILLING PARTNER APPROVAL | NUMBERED TAX INVOICE]                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/preBillService.js                                                ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Flow: generate (DRAFT, sources locked) → responsible attorney adjusts lines → submit to billing partner (SUBMITTED)
+ * → partner approves (APPROVED) or rejects back to DRAFT → issue. Issue is the only step that touches WIP, time entries,
+ * disbursements, the Invoice collection and Matter.financials, and it does so in one MongoDB transaction.
+ */
+
+import mongoose from 'mongoose';
+import PreBill, { PRE_BILL_STATUS, OPEN_PRE_BILL_STATUSES, PRE_BILL_LINE_SOURCES, PRE_BILL_LINE_STATUS } from '../models/PreBill.js';
+import TimeEntry, { TIME_ENTRY_STATUS } from '../models/TimeEntry.js';
+import Disbursement, { DISBURSEMENT_STATUS, DISBURSEMENT_CATEGORIES } from '../models/Disbursement.js';
+import { WIP_TRANSACTION_TYPES } from '../models/WipTransaction.js';
+import Counter from '../models/Counter.js';
+import Matter from '../models/Matter.js';
+import User from '../models/User.js';
+import { Invoice } from '../models/Invoice.js';
+import { timeEntryService } from './timeEntryService.js';
+import { notificationService } from './notificationService.js';
+import auditLogger from '../utils/auditLogger.js';
+import logger from '../utils/logger.js';
+import { ACTIVITY_CODES } from '../utils/timeEntryCalculations.js';
+import {
+  applyLineAdjustment,
+  preBillTotals,
+  fixedFeeOutstanding,
+  formatTaxInvoiceNumber
+} from '../utils/preBillCalculations.js';
+
+const VAT_RATE = 0.15;
+const sameUser = (a, b) => Boolean(a) && Boolean(b) && String(a) === String(b);
+
+class PreBillService {
+  /**
+   * @function withTransaction
+   * @desc Runs fn inside a MongoDB transaction, committing or aborting as one unit.
+   */
+  async withTransaction(fn) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const result = await fn(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  async loadPreBill(tenantId, preBillId, session) {
+    const preBill = await PreBill.findOne({ tenantId: String(tenantId), preBillId }).session(session || null);
+    if (!preBill) throw new Error(`BILLING_ERROR: Pre-bill ${preBillId} not found.`);
+    return preBill;
+  }
+
+  assertStatus(preBill, ...allowed) {
+    if (!allowed.includes(preBill.status)) {
+      throw new Error(`BILLING_CONFLICT: Pre-bill ${preBill.preBillId} is ${preBill.status}; expected ${allowed.join(' or ')}.`);
+    }
+  }
+
+  assertResponsible(preBill, userId) {
+    if (!sameUser(preBill.responsibleAttorneyId, userId)) {
+      throw new Error('ACCESS_DENIED: Only the responsible attorney can prepare this pre-bill.');
+    }
+  }
+
+  assertBillingPartner(preBill, userId) {
+    if (!sameUser(preBill.billingPartnerId, userId)) {
+      throw new Error('ACCESS_DENIED: Only the assigned billing partner can approve or reject this pre-bill.');
+    }
+  }
+
+  /**
+   * @function notify
+   * @desc Emails a pre-bill participant. Delivery problems are logged and never fail the workflow step.
+   */
+  async notify(tenantId, recipientId, title, body) {
+    try {
+      const recipient = await User.findById(recipientId).select('email').lean();
+      if (!recipient?.email) return;
+      await notificationService.sendNotification({
+        tenantId,
+        userId: String(recipientId),
+        type: 'PREBILL_APPROVAL',
+        channels: ['EMAIL'],
+        recipients: { email: recipient.email },
+        data: { title, body }
+      });
+    } catch (error) {
+      logger.warn(`[PreBill] Notification to ${recipientId} failed: ${error.message}`);
+    }
+  }
+
+  // ==========================================================================
+  // 🧾 DISBURSEMENTS
+  // ==========================================================================
+
+  /**
+   * @function recordDisbursement
+   * @desc Records a recoverable cost on a matter for the next pre-bill.
+   * @param {Object} data - { matterId, amount (excl. VAT), description, incurredOn?, category?, supplier?, vatApplicable? }
+   */
+  async recordDisbursement(tenantId, data, { userId, traceId } = {}) {
+    const amount = Number(data.amount);
+    if (!Number.isFinite(amount) || amount <= 0) throw new Error('BILLING_ERROR: Disbursement amount must be positive.');
+    if (!String(data.description || '').trim()) throw new Error('BILLING_ERROR: Disbursement description is required.');
+    if (data.category && !DISBURSEMENT_CATEGORIES.includes(data.category)) {
+      throw new Error(`BILLING_ERROR: Unknown disbursement category ${data.category}.`);
+    }
+
+    const matter = await timeEntryService.loadMatter(tenantId, data.matterId);
+    const disbursement = await Disbursement.create({
+      tenantId: String(tenantId),
+      matterId: matter._id,
+      clientId: matter.clientId,
+      incurredOn: data.incurredOn ? new Date(data.incurredOn) : new Date(),
+      category: data.category,
+      description: data.description,
+      supplier: data.supplier,
+      amount: Math.round(amount * 100) / 100,
+      vatApplicable: data.vatApplicable !== false,
+      recordedBy: userId
+    });
+
+    auditLogger.info('DISBURSEMENT_RECORDED', { tenantId, disbursementId: disbursement.disbursementId, matterId: String(matter._id), amount, traceId });
+    return disbursement;
+  }
+
+  async listDisbursements(tenantId, { matterId, status } = {}) {
+    const query = { tenantId: String(tenantId) };
+    if (matterId) query.matterId = matterId;
+    if (status) query.status = status;
+    return Disbursement.find(query).sort({ incurredOn: -1 }).lean();
+  }
+
+  // ==========================================================================
+  // 📋 PRE-BILL LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * @function generate
+   * @desc Gathers a matter's unbilled time, unbilled disbursements and undrawn fixed fee into a DRAFT pre-bill.
+   * @param {Object} options - { periodTo?, includeFixedFee? (default true) }
+   */
+  async generate(tenantId, matterId, { periodTo, includeFixedFee = true } = {}, { userId, traceId } = {}) {
+    return this.withTransaction(async (session) => {
+      const matter = await timeEntryService.loadMatter(tenantId, matterId, session);
+      const open = await PreBill.findOne({ tenantId: String(tenantId), matterId: matter._id, status: { $in: OPEN_PRE_BILL_STATUSES } })
+        .session(session)
+        .lean();
+      if (open) throw new Error(`BILLING_CONFLICT: Matter already has open pre-bill ${open.preBillId}.`);
+
+      const cutOff = periodTo ? new Date(periodTo) : new Date();
+      // Sequential: operations on one transaction session must not run in parallel.
+      const entries = await TimeEntry.find({
+        tenantId: String(tenantId),
+        matterId: matter._id,
+        status: TIME_ENTRY_STATUS.UNBILLED,
+        billable: true,
+        amount: { $gt: 0 },
+        preBillId: null,
+        workDate: { $lte: cutOff }
+      }).sort({ workDate: 1 }).session(session);
+      const disbursements = await Disbursement.find({
+        tenantId: String(tenantId),
+        matterId: matter._id,
+        status: DISBURSEMENT_STATUS.UNBILLED,
+        preBillId: null,
+        incurredOn: { $lte: cutOff }
+      }).sort({ incurredOn: 1 }).session(session);
+
+      const lines = [];
+      entries.forEach((entry) => lines.push({
+        lineId: `L${lines.length + 1}`,
+        sourceType: PRE_BILL_LINE_SOURCES.TIME_ENTRY,
+        sourceId: entry.entryId,
+        workDate: entry.workDate,
+        description: entry.description || ACTIVITY_CODES[entry.activityCode],
+        userId: entry.userId,
+        quantity: Math.round((entry.billedMinutes / 60) * 100) / 100,
+        units: 'HOURS',
+        unitPrice: entry.ratePerHour,
+        taxRate: VAT_RATE,
+        originalAmount: entry.amount,
+        amount: entry.amount
+      }));
+      disbursements.forEach((disbursement) => lines.push({
+        lineId: `L${lines.length + 1}`,
+        sourceType: PRE_BILL_LINE_SOURCES.DISBURSEMENT,
+        sourceId: disbursement.disbursementId,
+        workDate: disbursement.incurredOn,
+        description: disbursement.description,
+        quantity: 1,
+        units: 'ITEM',
+        unitPrice: disbursement.amount,
+        taxRate: disbursement.vatApplicable ? VAT_RATE : 0,
+        originalAmount: disbursement.amount,
+        amount: disbursement.amount
+      }));
+
+      if (includeFixedFee && matter.financials?.feeArrangement === 'fixed' && matter.financials.fixedFee > 0) {
+        const drawn = await this.fixedFeeDrawn(tenantId, matter._id, session);
+        const outstanding = fixedFeeOutstanding(matter.financials.fixedFee, drawn);
+        if (outstanding > 0) {
+          lines.push({
+            lineId: `L${lines.length + 1}`,
+            sourceType: PRE_BILL_LINE_SOURCES.FIXED_FEE,
+            sourceId: String(matter._id),
+            workDate: cutOff,
+            description: `Agreed fixed fee: ${matter.title || matter.matterNumber}`,
+            quantity: 1,
+            units: 'FIXED_FEE',
+            unitPrice: outstanding,
+            taxRate: VAT_RATE,
+            originalAmount: outstanding,
+            amount: outstanding
+          });
+        }
+      }
+
+      if (lines.length === 0) throw new Error('BILLING_ERROR: Nothing unbilled on this matter.');
+
+      const [preBill] = await PreBill.create([{
+        tenantId: String(tenantId),
+        matterId: matter._id,
+        clientId: matter.clientId,
+        responsibleAttorneyId: matter.responsibleAttorney?.userId,
+        billingPartnerId: matter.financials?.billingPartnerId,
+        currency: matter.financials?.currency || 'ZAR',
+        periodTo: cutOff,
+        lines,
+        totals: preBillTotals(lines),
+        createdBy: userId
+      }], { session });
+
+      await TimeEntry.updateMany({ _id: { $in: entries.map((e) => e._id) } }, { $set: { preBillId: preBill.preBillId } }, { session });
+      await Disbursement.updateMany({ _id: { $in: disbursements.map((d) => d._id) } }, { $set: { preBillId: preBill.preBillId } }, { session });
+
+      auditLogger.info('PREBILL_GENERATED', {
+        tenantId, preBillId: preBill.preBillId, matterId: String(matter._id), lines: lines.length, totals: preBill.totals, userId, traceId
+      });
+      return preBill;
+    });
+  }
+
+  /**
+   * @function fixedFeeDrawn
+   * @desc Fixed fee already drawn by issued pre-bills (written-off portions count as drawn).
+   */
+  async fixedFeeDrawn(tenantId, matterId, session) {
+    const issued = await PreBill.find({
+      tenantId: String(tenantId),
+      matterId,
+      status: PRE_BILL_STATUS.ISSUED,
+      'lines.sourceType': PRE_BILL_LINE_SOURCES.FIXED_FEE
+    }).select('lines').session(session || null).lean();
+
+    return issued.reduce((sum, preBill) => sum + preBill.lines
+      .filter((line) => line.sourceType === PRE_BILL_LINE_SOURCES.FIXED_FEE)
+      .reduce((lineSum, line) => lineSum + line.originalAmount, 0), 0);
+  }
+
+  /**
+   * @function adjustLine
+   * @desc Writes a line down, writes it off, transfers it to another matter or restores it. DRAFT only.
+   * @param {Object} request - { action: WRITE_DOWN|WRITE_OFF|TRANSFER|RESTORE, amount?, targetMatterId?, reason }
+   */
+  async adjustLine(tenantId, preBillId, lineId, request, { userId, traceId } = {}) {
+    const preBill = await this.loadPreBill(tenantId, preBillId);
+    this.assertStatus(preBill, PRE_BILL_STATUS.DRAFT);
+    this.assertResponsible(preBill, userId);
+
+    const index = preBill.lines.findIndex((line) => line.lineId === lineId);
+    if (index === -1) throw new Error(`BILLING_ERROR: Line ${lineId} not found on pre-bill ${preBillId}.`);
+
+    if (request.action === 'TRANSFER') {
+      const target = await timeEntryService.loadMatter(tenantId, request.targetMatterId);
+      if (String(target._id) === String(preBill.matterId)) throw new Error('BILLING_ERROR: A line cannot be transferred to its own matter.');
+    }
+
+    const { line, adjustment } = applyLineAdjustment(preBill.lines[index].toObject(), request);
+    preBill.lines.set(index, line);
+    preBill.adjustments.push({ ...adjustment, performedBy: userId, performedAt: new Date() });
+    preBill.totals = preBillTotals(preBill.lines);
+    await preBill.save();
+
+    await auditLogger.log({
+      action: `PREBILL_LINE_${adjustment.action}`,
+      category: 'BILLING',
+      resource: preBillId,
+      status: 'SUCCESS',
+      metadata: { tenantId, ...adjustment, performedBy: userId, traceId }
+    });
+    return preBill;
+  }
+
+  /**
+   * @function submit
+   * @desc Sends a DRAFT pre-bill to the billing partner (body value, else the matter's billing partner).
+   */
+  async submit(tenantId, preBillId, { billingPartnerId, comment } = {}, { userId, traceId } = {}) {
+    const preBill = await this.loadPreBill(tenantId, preBillId);
+    this.assertStatus(preBill, PRE_BILL_STATUS.DRAFT);
+    this.assertResponsible(preBill, userId);
+
+    const partnerId = billingPartnerId || preBill.billingPartnerId;
+    if (!partnerId) throw new Error('BILLING_ERROR: No billing partner on the matter; supply billingPartnerId.');
+    if (sameUser(partnerId, userId)) throw new Error('BILLING_ERROR: A pre-bill cannot be approved by the attorney who prepared it.');
+
+    preBill.billingPartnerId = partnerId;
+    preBill.status = PRE_BILL_STATUS.SUBMITTED;
+    preBill.approvals.push({ action: 'SUBMITTED', userId, comment });
+    await preBill.save();
+
+    auditLogger.info('PREBILL_SUBMITTED', { tenantId, preBillId, billingPartnerId: String(partnerId), totals: preBill.totals, userId, traceId });
+    await this.notify(tenantId, partnerId, `Pre-bill ${preBillId} awaiting your approval`,
+      `A pre-bill of ${preBill.currency} ${preBill.totals.totalAmount.toFixed(2)} (incl. VAT) is ready for review.`);
+    return preBill;
+  }
+
+  /**
+   * @function approve
+   * @desc Billing partner sign-off. The pre-bill can then be issued.
+   */
+  async approve(tenantId, preBillId, { comment } = {}, { userId, traceId } = {}) {
+    const preBill = await this.loadPreBill(tenantId, preBillId);
+    this.assertStatus(preBill, PRE_BILL_STATUS.SUBMITTED);
+    this.assertBillingPartner(preBill, userId);
+
+    preBill.status = PRE_BILL_STATUS.APPROVED;
+    preBill.approvals.push({ action: 'APPROVED', userId, comment });
+    await preBill.save();
+
+    auditLogger.info('PREBILL_APPROVED', { tenantId, preBillId, userId, traceId });
+    return preBill;
+  }
+
+  /**
+   * @function reject
+   * @desc Returns a SUBMITTED pre-bill to the responsible attorney as DRAFT.
+   */
+  async reject(tenantId, preBillId, { reason } = {}, { userId, traceId } = {}) {
+    if (!String(reason || '').trim()) throw new Error('BILLING_ERROR: A rejection needs a reason.');
+    const preBill = await this.loadPreBill(tenantId, preBillId);
+    this.assertStatus(preBill, PRE_BILL_STATUS.SUBMITTED);
+    this.assertBillingPartner(preBill, userId);
+
+    preBill.status = PRE_BILL_STATUS.DRAFT;
+    preBill.approvals.push({ action: 'REJECTED', userId, comment: reason });
+    await preBill.save();
+
+    auditLogger.info('PREBILL_REJECTED', { tenantId, preBillId, reason, userId, traceId });
+    await this.notify(tenantId, preBill.responsibleAttorneyId, `Pre-bill ${preBillId} returned`, reason);
+    return preBill;
+  }
+
+  /**
+   * @function cancel
+   * @desc Abandons an open pre-bill and releases its time entries and disbursements untouched.
+   */
+  async cancel(tenantId, preBillId, { reason } = {}, { userId, traceId } = {}) {
+    return this.withTransaction(async (session) => {
+      const preBill = await this.loadPreBill(tenantId, preBillId, session);
+      this.assertStatus(preBill, ...OPEN_PRE_BILL_STATUSES);
+      if (!sameUser(preBill.responsibleAttorneyId, userId) && !sameUser(preBill.billingPartnerId, userId)) {
+        throw new Error('ACCESS_DENIED: Only the responsible attorney or billing partner can cancel this pre-bill.');
+      }
+
+      await TimeEntry.updateMany({ tenantId: String(tenantId), preBillId }, { $unset: { preBillId: 1 } }, { session });
+      await Disbursement.updateMany({ tenantId: String(tenantId), preBillId }, { $unset: { preBillId: 1 } }, { session });
+
+      preBill.status = PRE_BILL_STATUS.CANCELLED;
+      preBill.approvals.push({ action: 'CANCELLED', userId, comment: reason });
+      await preBill.save({ session });
+
+      auditLogger.info('PREBILL_CANCELLED', { tenantId, preBillId, reason, userId, traceId });
+      return preBill;
+    });
+  }
+
+  /**
+   * @function issue
+   * @desc Issues an APPROVED pre-bill: numbered tax invoice, WIP relief, source statuses and Matter.financials rollup.
+   * A pre-bill written off in full issues without an invoice.
+   * @param {Object} options - { dueDate? }
+   */
+  async issue(tenantId, preBillId, { dueDate } = {}, { userId, traceId } = {}) {
+    return this.withTransaction(async (session) => {
+      const preBill = await this.loadPreBill(tenantId, preBillId, session);
+      this.assertStatus(preBill, PRE_BILL_STATUS.APPROVED);
+      const matter = await timeEntryService.loadMatter(tenantId, preBill.matterId, session);
+
+      const reasons = new Map();
+      preBill.adjustments.forEach((adjustment) => reasons.set(adjustment.lineId, adjustment.reason));
+      const totals = preBillTotals(preBill.lines);
+
+      let invoice = null;
+      if (totals.subtotal > 0) {
+        const year = new Date().getFullYear();
+        const sequence = await Counter.next({ model: 'Invoice', field: 'taxInvoiceNumber', tenantId, year }, session);
+        const billedLines = preBill.lines.filter((line) => line.amount > 0);
+
+        [invoice] = await Invoice.create([{
+          tenantId: String(tenantId),
+          invoiceNumber: formatTaxInvoiceNumber({ tenantId, year, sequence }),
+          type: 'CLIENT_INVOICE',
+          status: 'ISSUED',
+          clientId: preBill.clientId ? String(preBill.clientId) : undefined,
+          matterId: String(preBill.matterId),
+          attorneyId: preBill.responsibleAttorneyId ? String(preBill.responsibleAttorneyId) : undefined,
+          preBillId,
+          currency: preBill.currency,
+          lineItems: billedLines.map((line) => {
+            // A written-down line keeps its quantity; the unit price absorbs the reduction.
+            const unitPrice = line.quantity ? Math.round((line.amount / line.quantity) * 100) / 100 : line.amount;
+            return {
+              description: `${line.workDate ? `${line.workDate.toISOString().slice(0, 10)} ` : ''}${line.description}`,
+              quantity: line.quantity,
+              unitPrice,
+              price: unitPrice,
+              taxRate: line.taxRate,
+              taxAmount: Math.round(line.amount * line.taxRate * 100) / 100,
+              lineTotal: line.amount,
+              category: line.sourceType === PRE_BILL_LINE_SOURCES.DISBURSEMENT ? 'DISBURSEMENTS' : 'LEGAL_FEES',
+              units: line.units,
+              sourceType: line.sourceType,
+              sourceId: line.sourceId
+            };
+          }),
+          subtotal: totals.subtotal,
+          taxableAmount: totals.subtotal,
+          taxAmount: totals.taxAmount,
+          totalAmount: totals.totalAmount,
+          outstandingAmount: totals.totalAmount,
+          dueDate,
+          traceId
+        }], { session });
+      }
+
+      const context = { userId, traceId };
+      for (const line of preBill.lines) {
+        const reason = reasons.get(line.lineId);
+        if (line.sourceType === PRE_BILL_LINE_SOURCES.TIME_ENTRY) {
+          await this.settleTimeLine(tenantId, preBillId, line, { invoice, reason, ...context }, session);
+        } else if (line.sourceType === PRE_BILL_LINE_SOURCES.DISBURSEMENT) {
+          await this.settleDisbursementLine(tenantId, preBillId, line, { invoice }, session);
+        }
+      }
+
+      if (invoice) {
+        await Matter.updateOne(
+          { _id: matter._id },
+          { $inc: { 'financials.totalBilled': invoice.totalAmount, 'financials.outstandingBalance': invoice.totalAmount } },
+          { session }
+        );
+      }
+
+      preBill.totals = totals;
+      preBill.status = PRE_BILL_STATUS.ISSUED;
+      preBill.invoiceId = invoice?._id;
+      preBill.invoiceNumber = invoice?.invoiceNumber;
+      preBill.issuedAt = new Date();
+      preBill.approvals.push({ action: 'ISSUED', userId });
+      await preBill.save({ session });
+
+      await auditLogger.log({
+        action: 'PREBILL_ISSUED',
+        category: 'BILLING',
+        resource: preBillId,
+        status: 'SUCCESS',
+        metadata: {
+          tenantId,
+          matterId: String(matter._id),
+          invoiceId: invoice ? String(invoice._id) : null,
+          invoiceNumber: invoice?.invoiceNumber,
+          totals,
+          adjustments: preBill.adjustments.length,
+          userId,
+          traceId
+        }
+      });
+
+      return { preBill, invoice };
+    });
+  }
+
+  /**
+   * @function settleTimeLine
+   * @desc Posts a time line's outcome to WIP and moves the entry to its final state (or to its new matter).
+   */
+  async settleTimeLine(tenantId, preBillId, line, { invoice, reason, userId, traceId }, session) {
+    const entry = await TimeEntry.findOne({ tenantId: String(tenantId), entryId: line.sourceId, preBillId }).session(session);
+    if (!entry) throw new Error(`BILLING_CONFLICT: Time entry ${line.sourceId} is no longer held by pre-bill ${preBillId}.`);
+    const post = (matterRef, row) => timeEntryService.postWip(matterRef, { timeEntryId: entry.entryId, userId, traceId, ...row }, session);
+    const written = Math.round((line.originalAmount - line.amount) * 100) / 100;
+
+    if (line.status === PRE_BILL_LINE_STATUS.TRANSFERRED) {
+      const target = await timeEntryService.loadMatter(tenantId, line.transferToMatterId, session);
+      await post(entry, { type: WIP_TRANSACTION_TYPES.TRANSFERRED_OUT, amount: -entry.amount, minutes: -entry.billedMinutes, reason });
+      entry.matterId = target._id;
+      entry.clientId = target.clientId;
+      entry.preBillId = undefined;
+      await post(entry, { type: WIP_TRANSACTION_TYPES.TRANSFERRED_IN, amount: entry.amount, minutes: entry.billedMinutes, reason });
+      return entry.save({ session });
+    }
+
+    if (line.status === PRE_BILL_LINE_STATUS.WRITTEN_OFF) {
+      await post(entry, { type: WIP_TRANSACTION_TYPES.WRITTEN_OFF, amount: -entry.amount, minutes: -entry.billedMinutes, reason });
+      entry.status = TIME_ENTRY_STATUS.WRITTEN_OFF;
+    } else {
+      if (written > 0) await post(entry, { type: WIP_TRANSACTION_TYPES.WRITTEN_DOWN, amount: -written, reason });
+      await post(entry, {
+        type: WIP_TRANSACTION_TYPES.BILLED,
+        amount: -line.amount,
+        minutes: -entry.billedMinutes,
+        invoiceId: invoice?._id
+      });
+      entry.status = TIME_ENTRY_STATUS.BILLED;
+      entry.invoiceId = invoice?._id;
+      entry.billedAt = new Date();
+    }
+    entry.preBillId = undefined;
+    return entry.save({ session });
+  }
+
+  /**
+   * @function settleDisbursementLine
+   * @desc Moves a disbursement to BILLED, WRITTEN_OFF or its new matter.
+   */
+  async settleDisbursementLine(tenantId, preBillId, line, { invoice }, session) {
+    const disbursement = await Disbursement.findOne({ tenantId: String(tenantId), disbursementId: line.sourceId, preBillId }).session(session);
+    if (!disbursement) throw new Error(`BILLING_CONFLICT: Disbursement ${line.sourceId} is no longer held by pre-bill ${preBillId}.`);
+
+    if (line.status === PRE_BILL_LINE_STATUS.TRANSFERRED) {
+      const target = await timeEntryService.loadMatter(tenantId, line.transferToMatterId, session);
+      disbursement.matterId = target._id;
+      disbursement.clientId = target.clientId;
+    } else if (line.status === PRE_BILL_LINE_STATUS.WRITTEN_OFF) {
+      disbursement.status = DISBURSEMENT_STATUS.WRITTEN_OFF;
+    } else {
+      disbursement.status = DISBURSEMENT_STATUS.BILLED;
+      disbursement.billedAmount = line.amount;
+      disbursement.invoiceId = invoice?._id;
+    }
+    disbursement.preBillId = undefined;
+    return disbursement.save({ session });
+  }
+
+  async getPreBill(tenantId, preBillId) {
+    const preBill = await this.loadPreBill(tenantId, preBillId);
+    return preBill.toObject();
+  }
+
+  /**
+   * @function listPreBills
+   * @desc Pre-bill register; `awaitingApprovalBy` gives a billing partner's approval inbox.
+   */
+  async listPreBills(tenantId, { matterId, status, awaitingApprovalBy } = {}) {
+    const query = { tenantId: String(tenantId) };
+    if (matterId) query.matterId = matterId;
+    if (status) query.status = status;
+    if (awaitingApprovalBy) {
+      query.billingPartnerId = awaitingApprovalBy;
+      query.status = PRE_BILL_STATUS.SUBMITTED;
+    }
+    return PreBill.find(query).select('-lines -adjustments').sort({ createdAt: -1 }).lean();
+  }
+}
+
+export const preBillService = new PreBillService();
+export default preBillService;
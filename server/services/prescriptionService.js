@@ -0,0 +1,223 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRESCRIPTION SERVICE [V1.0.0-LITIGATION]                                                                                    ║
+ * ║ [CLAIM REGISTRATION | THRESHOLD ESCALATION | FIRM-WIDE AT-RISK REPORT]                                                                 ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/prescriptionService.js                                           ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Alert thresholds come from the matter (prescription.alertThresholds), else PRESCRIPTION_ALERT_DAYS, else the defaults.
+ * Each threshold fires once per cut-off; HIGH, CRITICAL and PRESCRIBED alerts also go to the matter's billing partner.
+ */
+
+import mongoose from 'mongoose';
+import Matter, { MATTER_STATUS } from '../models/Matter.js';
+import User from '../models/User.js';
+import auditLogger from '../utils/auditLogger.js';
+import logger from '../utils/logger.js';
+import { notificationService } from './notificationService.js';
+import { nextCutoff, daysRemaining, escalationFor, parseThresholds } from '../utils/prescriptionRules.js';
+import { toCourtDate } from '../utils/courtDeadlineRules.js';
+
+const CLOSED_STATUSES = [
+  MATTER_STATUS.CLOSED,
+  MATTER_STATUS.ARCHIVED,
+  MATTER_STATUS.DELETED,
+  MATTER_STATUS.SETTLED,
+  MATTER_STATUS.WITHDRAWN,
+  MATTER_STATUS.DISCONTINUED
+];
+const CLAIM_FIELDS = ['claimCategory', 'causeOfActionDate', 'knowledgeDate', 'impedimentEndsOn', 'noticeServedOn', 'interruptedOn', 'alertThresholds'];
+const CUTOFF_LABELS = { STATE_NOTICE: 'Act 40 of 2002 notice', PRESCRIPTION: 'Prescription' };
+
+class PrescriptionService {
+  constructor() {
+    this.thresholds = parseThresholds(process.env.PRESCRIPTION_ALERT_DAYS);
+  }
+
+  async loadMatter(tenantId, matterId) {
+    if (!mongoose.isValidObjectId(matterId)) throw new Error('LITIGATION_ERROR: A valid matterId is required.');
+    const matter = await Matter.findOne({ _id: matterId, tenantId: String(tenantId) });
+    if (!matter) throw new Error(`LITIGATION_ERROR: Matter ${matterId} not found.`);
+    return matter;
+  }
+
+  thresholdsFor(matter) {
+    return matter.prescription?.alertThresholds?.length ? matter.prescription.alertThresholds : this.thresholds;
+  }
+
+  /**
+   * @function setClaim
+   * @desc Records the claim category and cause-of-action details; the Matter hook derives the cut-off dates.
+   */
+  async setClaim(tenantId, matterId, body, { userId, traceId }) {
+    const matter = await this.loadMatter(tenantId, matterId);
+    const current = matter.prescription?.toObject?.() || {};
+    const updates = Object.fromEntries(CLAIM_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+    if (!(updates.claimCategory || current.claimCategory) || !(updates.causeOfActionDate || current.causeOfActionDate)) {
+      throw new Error('LITIGATION_ERROR: claimCategory and causeOfActionDate are required.');
+    }
+
+    matter.prescription = { ...current, ...updates };
+    matter.updatedBy = userId;
+    await matter.save();
+
+    auditLogger.info('PRESCRIPTION_CLAIM_RECORDED', {
+      tenantId, matterId: String(matter._id), fields: Object.keys(updates),
+      prescriptionDate: matter.prescription.prescriptionDate, noticeDeadline: matter.prescription.noticeDeadline, userId, traceId
+    });
+    await this.escalate(matter);
+    return matter.prescription;
+  }
+
+  /**
+   * @function assess
+   * @desc Where a matter stands against its next open cut-off.
+   */
+  assess(matter, now = new Date()) {
+    const cutoff = nextCutoff(matter.prescription || {});
+    if (!cutoff) return null;
+    const days = daysRemaining(cutoff.date, now);
+    return { cutoff, days, escalation: escalationFor(days, this.thresholdsFor(matter)) };
+  }
+
+  /**
+   * @function notify
+   * @desc Emails an alert recipient. Delivery problems are logged and never stop the escalation run.
+   */
+  async notify(tenantId, recipientId, title, body) {
+    try {
+      const recipient = await User.findById(recipientId).select('email').lean();
+      if (!recipient?.email) return false;
+      await notificationService.sendNotification({
+        tenantId,
+        userId: String(recipientId),
+        type: 'COMPLIANCE_ALERT',
+        channels: ['EMAIL'],
+        recipients: { email: recipient.email },
+        data: { title, body }
+      });
+      return true;
+    } catch (error) {
+      logger.warn(`[Prescription] Notification to ${recipientId} failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * @function escalate
+   * @desc Sends the alert for the tightest threshold reached, unless that threshold was already alerted for this cut-off.
+   * @returns {Promise<boolean>} true when an alert went out
+   */
+  async escalate(matter, now = new Date()) {
+    const assessment = this.assess(matter, now);
+    if (!assessment?.escalation) return false;
+
+    const { cutoff, days, escalation } = assessment;
+    const last = matter.prescription.lastAlert || {};
+    const sameCutoff = last.cutoff === cutoff.type && last.cutoffDate && toCourtDate(last.cutoffDate) === cutoff.date;
+    if (sameCutoff && last.threshold <= escalation.threshold) return false;
+
+    const label = CUTOFF_LABELS[cutoff.type];
+    const title = escalation.severity === 'PRESCRIBED'
+      ? `${label} date passed on ${matter.matterNumber}`
+      : `${label} in ${days} day(s) on ${matter.matterNumber}`;
+    const body = `${matter.title}: ${label.toLowerCase()} cut-off ${cutoff.date} (${matter.prescription.basis}). Severity ${escalation.severity}.`;
+
+    const recipients = [matter.responsibleAttorney?.userId];
+    if (['HIGH', 'CRITICAL', 'PRESCRIBED'].includes(escalation.severity)) recipients.push(matter.financials?.billingPartnerId);
+    const unique = [...new Set(recipients.filter(Boolean).map(String))];
+    for (const recipientId of unique) {
+      await this.notify(matter.tenantId, recipientId, title, body);
+    }
+
+    matter.prescription.lastAlert = {
+      cutoff: cutoff.type,
+      cutoffDate: new Date(`${cutoff.date}T00:00:00Z`),
+      threshold: escalation.threshold,
+      severity: escalation.severity,
+      sentAt: now
+    };
+    await matter.save();
+
+    auditLogger.warn('PRESCRIPTION_ALERT_ESCALATED', {
+      tenantId: matter.tenantId, matterId: String(matter._id), cutoff: cutoff.type, cutoffDate: cutoff.date,
+      daysRemaining: days, ...escalation, recipients: unique
+    });
+    return true;
+  }
+
+  /**
+   * @function runEscalations
+   * @desc Daily sweep over every open matter with an unexpired claim cut-off, across all tenants.
+   */
+  async runEscalations(now = new Date()) {
+    const cursor = Matter.find({
+      status: { $nin: CLOSED_STATUSES },
+      'prescription.prescriptionDate': { $ne: null },
+      'prescription.interruptedOn': null
+    }).cursor();
+
+    let checked = 0;
+    let escalated = 0;
+    for await (const matter of cursor) {
+      checked += 1;
+      try {
+        if (await this.escalate(matter, now)) escalated += 1;
+      } catch (error) {
+        logger.error(`[Prescription] Escalation failed for matter ${matter._id}: ${error.message}`);
+      }
+    }
+    return { checked, escalated };
+  }
+
+  /**
+   * @function atRiskReport
+   * @desc Open matters whose next cut-off falls within `days` (default 90), soonest first, plus any already passed.
+   */
+  async atRiskReport(tenantId, { days = 90, now = new Date() } = {}) {
+    const windowDays = Number(days) > 0 ? Number(days) : 90;
+    const horizon = new Date(now.getTime() + (windowDays + 1) * 24 * 60 * 60 * 1000);
+    const matters = await Matter.find({
+      tenantId: String(tenantId),
+      status: { $nin: CLOSED_STATUSES },
+      'prescription.interruptedOn': null,
+      $or: [
+        { 'prescription.prescriptionDate': { $lte: horizon } },
+        { 'prescription.noticeDeadline': { $lte: horizon }, 'prescription.noticeServedOn': null }
+      ]
+    })
+      .select('matterNumber title status responsibleAttorney financials.billingPartnerId prescription')
+      .lean();
+
+    const rows = matters
+      .map((matter) => ({ matter, assessment: this.assess(matter, now) }))
+      .filter(({ assessment }) => assessment && assessment.days <= windowDays)
+      .map(({ matter, assessment }) => ({
+        matterId: String(matter._id),
+        matterNumber: matter.matterNumber,
+        title: matter.title,
+        claimCategory: matter.prescription.claimCategory,
+        basis: matter.prescription.basis,
+        cutoff: assessment.cutoff.type,
+        cutoffDate: assessment.cutoff.date,
+        daysRemaining: assessment.days,
+        severity: assessment.escalation?.severity || 'LOW',
+        responsibleAttorney: matter.responsibleAttorney,
+        billingPartnerId: matter.financials?.billingPartnerId
+      }))
+      .sort((a, b) => a.daysRemaining - b.daysRemaining);
+
+    return {
+      generatedAt: now,
+      windowDays,
+      total: rows.length,
+      prescribed: rows.filter((row) => row.daysRemaining < 0).length,
+      matters: rows
+    };
+  }
+}
+
+export const prescriptionService = new PrescriptionService();
+export default prescriptionService;
@@ -0,0 +1,162 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DOCUMENT REDACTION SERVICE [V1.0.0-REDACTION]                                                                               ║
+ * ║ [PII CANDIDATES FROM MATTER PARTIES | REASON CODES | BURN-IN REDACTED VERSION | REDACTION LOG ANNEXURE]                                ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/redactionService.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Proposes PII in a PDF version for review and saves the redacted PDF as the document's newest version (origin
+ * REDACTION), log annexure included. The version redacted from stays in the history for the firm's own file; what
+ * goes out for discovery or a PAIA release is the redacted version. Faults carry an HTTP `status` and a `code`.
+ */
+
+import path from 'node:path';
+import mongoose from 'mongoose';
+import Matter from '../models/Matter.js';
+import { VERSION_ORIGINS } from '../models/DocumentVersion.js';
+import documentVersionService from './documentVersionService.js';
+import auditLogger from '../utils/auditLogger.js';
+import { PII_TYPES, proposeRedactions, redactPdf } from '../utils/pdfRedaction.js';
+
+const redactionError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = message.split(':')[0];
+  if (details) error.details = details;
+  return error;
+};
+
+// Matter.parties keeps only a hash of each name in production; the blind-index keys still match
+const HASHED_NAME = /^[a-f0-9]{64}$/;
+
+const wrapUtilError = (error) => (/^REDACTION_ERROR: /.test(error.message) ? redactionError(422, error.message) : error);
+
+class RedactionService {
+  /**
+   * @function loadSource
+   * @desc The document and the PDF version to redact (default: the current one).
+   */
+  async loadSource(tenantId, documentId, versionRef) {
+    const doc = await documentVersionService.loadDocument(tenantId, documentId);
+    await documentVersionService.ensureBaseline(tenantId, doc);
+    const version = await documentVersionService.findVersion(tenantId, doc, versionRef ?? doc.version);
+    if (version.mimeType !== 'application/pdf') {
+      throw redactionError(422, `REDACTION_ERROR: Version ${version.versionNumber} is ${version.mimeType || 'not a PDF'}; only PDF versions can be redacted. Save it as a PDF first.`);
+    }
+    return { doc, version, bytes: await documentVersionService.readVersion(tenantId, version) };
+  }
+
+  /**
+   * @function propose
+   * @desc PII candidates in the bytes, party names taken from the document's matter.
+   */
+  async propose(tenantId, doc, bytes) {
+    let parties = [];
+    if (doc.matterId && mongoose.isValidObjectId(doc.matterId)) {
+      const matter = await Matter.findOne({ _id: doc.matterId, tenantId: String(tenantId) }).select('parties').lean();
+      parties = (matter?.parties || []).map((party) => ({
+        name: party.name && !HASHED_NAME.test(party.name) ? party.name : undefined,
+        searchKeys: party.searchKeys
+      }));
+    }
+    try {
+      return await proposeRedactions(bytes, { parties, secret: process.env.CONFLICT_INDEX_KEY });
+    } catch (error) {
+      throw wrapUtilError(error);
+    }
+  }
+
+  /**
+   * @function candidates
+   * @desc PII proposed for redaction in a version, with page sizes so boxes can be drawn over a page preview.
+   */
+  async candidates(tenantId, documentId, { version: versionRef } = {}) {
+    const { doc, version, bytes } = await this.loadSource(tenantId, documentId, versionRef);
+    const proposal = await this.propose(tenantId, doc, bytes);
+    return {
+      documentId: String(doc._id),
+      version: version.versionNumber,
+      versionId: version.versionId,
+      // A scan has no text to search; it needs OCR first, or boxes drawn by hand
+      hasText: proposal.pages.some((page) => page.hasText),
+      ...proposal
+    };
+  }
+
+  /**
+   * @function redact
+   * @desc Burns the chosen candidates (by id, optionally with another reason or a note) and hand-drawn boxes into
+   *       a flattened copy of the version and saves it, with its redaction log, as the newest version.
+   * @param {Object} request - { version?, candidates: [{ candidateId, reason?, note? }], boxes: [{ page, x, y, width, height, reason, note? }], dpi?, comment? }
+   */
+  async redact(tenantId, documentId, { version: versionRef, candidates = [], boxes = [], dpi, comment } = {}, { userId, preparedBy, traceId } = {}) {
+    if (!Array.isArray(candidates) || !Array.isArray(boxes)) {
+      throw redactionError(400, 'REDACTION_ERROR: candidates and boxes must be lists.');
+    }
+    const { doc, version, bytes } = await this.loadSource(tenantId, documentId, versionRef);
+    documentVersionService.assertWritable(doc, userId);
+
+    const proposed = candidates.length ? (await this.propose(tenantId, doc, bytes)).candidates : [];
+    const chosen = candidates.map((choice) => {
+      const candidate = proposed.find((entry) => entry.candidateId === choice?.candidateId);
+      if (!candidate) {
+        throw redactionError(400, `REDACTION_ERROR: Candidate ${choice?.candidateId} was not proposed for version ${version.versionNumber}.`);
+      }
+      return {
+        candidateId: candidate.candidateId,
+        type: candidate.type,
+        page: candidate.page,
+        rects: candidate.rects,
+        reason: choice.reason || candidate.reason,
+        note: choice.note
+      };
+    });
+    const drawn = boxes.map(({ page, x, y, width, height, reason, note }) => ({ type: PII_TYPES.MANUAL, page, x, y, width, height, reason, note }));
+
+    let result;
+    try {
+      result = await redactPdf(bytes, [...chosen, ...drawn], {
+        title: doc.title,
+        source: { label: `Version ${version.versionNumber}`, fileName: version.fileName, contentHash: version.contentHash },
+        preparedBy,
+        dpi
+      });
+    } catch (error) {
+      throw wrapUtilError(error);
+    }
+
+    const stem = path.basename(version.fileName || doc.title || 'document', path.extname(version.fileName || '')).replace(/[^\w.-]+/g, '_').slice(0, 80);
+    const count = result.redactions.length;
+    const saved = await documentVersionService.saveVersion(tenantId, doc, {
+      bytes: result.pdf,
+      fileName: `${stem}_redacted.pdf`,
+      mimeType: 'application/pdf'
+    }, {
+      userId,
+      comment: comment || `Redacted from version ${version.versionNumber} (${count} redaction${count === 1 ? '' : 's'})`,
+      origin: VERSION_ORIGINS.REDACTION,
+      redaction: { sourceVersion: version.versionNumber, dpi: result.dpi, entries: result.redactions },
+      traceId
+    });
+
+    const reasons = result.redactions.reduce((counts, entry) => ({ ...counts, [entry.reason]: (counts[entry.reason] || 0) + 1 }), {});
+    auditLogger.info('DOCUMENT_REDACTED', {
+      tenantId: String(tenantId),
+      documentId: String(doc._id),
+      sourceVersion: version.versionNumber,
+      versionId: saved.versionId,
+      versionNumber: saved.versionNumber,
+      redactions: count,
+      candidates: chosen.length,
+      reasons,
+      userId: userId ? String(userId) : undefined,
+      traceId
+    });
+    return saved;
+  }
+}
+
+export const redactionService = new RedactionService();
+export default redactionService;
@@ -0,0 +1,531 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SEARCH INDEX SERVICE [V1.0.0-SEARCH]                                                                                        ║
+ * ║ [MATTERS | DOCUMENTS | CLIENTS | CITATIONS → BM25 | FACETS | HIGHLIGHTS | PERMISSION TRIMMING | SAVED SEARCHES]                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/searchIndexService.js                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Source models carry models/plugins/searchIndexPlugin.js, which calls indexRecord/removeRecord as records change.
+ * Candidates are fetched through the postings index and scored in memory with utils/searchIndex.js. Source models are
+ * resolved through mongoose.model() at call time because they import this service through the plugin.
+ * Each search a user runs is kept in models/SearchHistory.js for their recent-searches list.
+ */
+
+import mongoose from 'mongoose';
+import SearchIndexEntry, { INDEX_KINDS } from '../models/SearchIndexEntry.js';
+import SearchTerm from '../models/SearchTerm.js';
+import SavedSearch from '../models/SavedSearch.js';
+import SearchHistory from '../models/SearchHistory.js';
+import auditLogger from '../utils/auditLogger.js';
+import {
+  buildPostings,
+  parseQuery,
+  containsPhrases,
+  bm25,
+  highlight,
+  facetCounts,
+  words
+} from '../utils/searchIndex.js';
+
+export { INDEX_KINDS };
+
+export const SEARCH_SORTS = Object.freeze(['relevance', 'date_desc', 'date_asc']);
+
+// Roles that see every record of the tenant; everyone else is trimmed to what they own, share or staff
+const PRIVILEGED_ROLES = ['ADMIN', 'SUPER_ADMIN', 'PARTNER', 'FOUNDER', 'TENANT_OWNER'];
+const TEXT_LIMIT = 20000;
+const CANDIDATE_LIMIT = 2000;
+const STATS_TTL_MS = 60 * 1000;
+const BULK_REINDEX_LIMIT = 500;
+const HASHED_NAME = /^[a-f0-9]{64}$/;
+
+const searchError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+const ids = (values) => [...new Set(values.filter(Boolean).map((value) => String(value._id || value)))];
+const joinText = (...parts) => parts.flat().filter(Boolean).join('\n').slice(0, TEXT_LIMIT);
+const SYSTEM = { ethicalWall: false };
+
+const matterContext = async (matterId) => {
+  if (!matterId || !mongoose.models.Matter) return null;
+  return mongoose.model('Matter').findById(matterId)
+    .select('matterType responsibleAttorney team')
+    .setOptions(SYSTEM)
+    .lean();
+};
+
+const teamOf = (matter) => (matter ? ids([matter.responsibleAttorney?.userId, ...(matter.team || []).map((member) => member.userId)]) : []);
+
+/**
+ * What each source contributes to the index. `project` returns null for records that should not be searchable.
+ */
+const SOURCES = {
+  [INDEX_KINDS.MATTER]: {
+    model: 'Matter',
+    project: async (matter) => {
+      if (matter.isDeleted || matter.status === 'deleted') return null;
+      const partyNames = (matter.parties || []).map((party) => party.name).filter((name) => name && !HASHED_NAME.test(name));
+      const notes = (matter.notes || []).filter((note) => !note.isConfidential).map((note) => note.content);
+      return {
+        matterId: matter._id,
+        title: matter.title,
+        reference: matter.matterNumber,
+        fields: [
+          { text: matter.title, weight: 3 },
+          { text: matter.matterNumber, weight: 3 },
+          { text: partyNames.join(' '), weight: 2 },
+          { text: (matter.tags || []).join(' '), weight: 2 },
+          { text: matter.description, weight: 1 },
+          { text: notes.join('\n'), weight: 1 }
+        ],
+        text: joinText(matter.description, notes),
+        facets: {
+          matterType: matter.matterType,
+          attorneyId: matter.responsibleAttorney?.userId,
+          attorneyName: matter.responsibleAttorney?.name,
+          date: matter.openedDate || matter.createdAt
+        },
+        access: { restricted: true, userIds: ids([matter.createdBy]), teamIds: teamOf(matter) }
+      };
+    }
+  },
+
+  [INDEX_KINDS.DOCUMENT]: {
+    model: 'Document',
+    project: async (doc) => {
+      if (doc.status === 'deleted') return null;
+      const matter = await matterContext(doc.matterId);
+      // Text read from a scan by OCR, while the version it was read into is still the current one
+      const scanned = doc.ocr?.versionNumber && doc.ocr.versionNumber === doc.version ? doc.ocr.text : undefined;
+      return {
+        matterId: doc.matterId,
+        title: doc.title,
+        reference: doc.metadata?.documentType,
+        fields: [
+          { text: doc.title, weight: 3 },
+          { text: (doc.tags || []).join(' '), weight: 2 },
+          { text: doc.description, weight: 1 },
+          { text: doc.content, weight: 1 },
+          { text: scanned, weight: 1 }
+        ],
+        text: joinText(doc.description, doc.content, scanned),
+        facets: {
+          matterType: matter?.matterType,
+          attorneyId: matter?.responsibleAttorney?.userId,
+          attorneyName: matter?.responsibleAttorney?.name,
+          documentType: doc.metadata?.documentType || doc.metadata?.fileExtension?.toLowerCase(),
+          date: doc.createdAt
+        },
+        access: doc.sharing?.isPublic
+          ? { restricted: false, userIds: [], teamIds: [] }
+          : { restricted: true, userIds: ids([doc.createdBy, ...(doc.sharing?.sharedWith || []).map((share) => share.userId)]), teamIds: teamOf(matter) }
+      };
+    }
+  },
+
+  [INDEX_KINDS.CLIENT]: {
+    model: 'Client',
+    project: async (client) => {
+      if (client.isCurrent === false) return null;
+      return {
+        title: client.name,
+        reference: client.clientReference,
+        fields: [
+          { text: client.name, weight: 3 },
+          { text: client.tradingName, weight: 3 },
+          { text: client.clientReference, weight: 2 }
+        ],
+        text: joinText(client.tradingName),
+        facets: { date: client.createdAt },
+        access: { restricted: false, userIds: [], teamIds: [] }
+      };
+    }
+  },
+
+  [INDEX_KINDS.CITATION]: {
+    model: 'Citation',
+    project: async (citation) => ({
+      title: citation.metadata?.pinpointCitation || 'Citation',
+      reference: citation.metadata?.court,
+      fields: [
+        { text: citation.metadata?.pinpointCitation, weight: 3 },
+        { text: citation.metadata?.court, weight: 2 },
+        { text: citation.reasoning, weight: 1 },
+        { text: (citation.analysis?.distinguishingFactors || []).join(' '), weight: 1 }
+      ],
+      text: joinText(citation.reasoning, citation.analysis?.distinguishingFactors),
+      facets: { date: citation.metadata?.dateOfDecision || citation.createdAt },
+      access: { restricted: false, userIds: [], teamIds: [] }
+    })
+  }
+};
+
+class SearchIndexService {
+  constructor() {
+    this.stats = new Map();
+  }
+
+  /**
+   * @function adjustDocumentFrequency
+   * @desc Moves df for terms an entry gained or lost; terms no entry uses any more are dropped.
+   */
+  async adjustDocumentFrequency(tenantId, added = [], removed = []) {
+    const operations = [
+      ...added.map((term) => ({ updateOne: { filter: { tenantId, term }, update: { $inc: { df: 1 } }, upsert: true } })),
+      ...removed.map((term) => ({ updateOne: { filter: { tenantId, term }, update: { $inc: { df: -1 } } } }))
+    ];
+    if (!operations.length) return;
+    await SearchTerm.bulkWrite(operations, { ordered: false });
+    if (removed.length) await SearchTerm.deleteMany({ tenantId, term: { $in: removed }, df: { $lte: 0 } });
+    this.stats.delete(tenantId);
+  }
+
+  /**
+   * @function indexRecord
+   * @desc (Re)indexes one source record, or removes it when it is no longer searchable.
+   */
+  async indexRecord(kind, record) {
+    const source = SOURCES[kind];
+    if (!source) throw searchError(400, `SEARCH_ERROR: Unknown index kind ${kind}`);
+    const tenantId = String(record.tenantId);
+    const projected = await source.project(record);
+    if (!projected) return this.removeRecord(kind, tenantId, record._id);
+
+    const { postings, length } = buildPostings(projected.fields);
+    const previous = await SearchIndexEntry.findOneAndUpdate(
+      { tenantId, kind, recordId: record._id },
+      {
+        $set: {
+          matterId: projected.matterId || undefined,
+          title: projected.title,
+          reference: projected.reference,
+          text: projected.text,
+          postings,
+          length,
+          facets: projected.facets,
+          access: projected.access,
+          indexedAt: new Date()
+        }
+      },
+      { upsert: true, new: false, projection: { 'postings.term': 1 } }
+    ).setOptions(SYSTEM).lean();
+
+    const before = new Set((previous?.postings || []).map((posting) => posting.term));
+    const after = new Set(postings.map((posting) => posting.term));
+    await this.adjustDocumentFrequency(
+      tenantId,
+      [...after].filter((term) => !before.has(term)),
+      [...before].filter((term) => !after.has(term))
+    );
+
+    // Documents inherit their matter's team and facets, so a matter change flows down to them
+    if (kind === INDEX_KINDS.MATTER) {
+      await SearchIndexEntry.updateMany(
+        { tenantId, kind: INDEX_KINDS.DOCUMENT, matterId: record._id },
+        {
+          $set: {
+            'access.teamIds': projected.access.teamIds,
+            'facets.matterType': projected.facets.matterType,
+            'facets.attorneyId': projected.facets.attorneyId,
+            'facets.attorneyName': projected.facets.attorneyName
+          }
+        }
+      ).setOptions(SYSTEM);
+    }
+  }
+
+  async removeRecord(kind, tenantId, recordId) {
+    const removed = await SearchIndexEntry.findOneAndDelete({ tenantId: String(tenantId), kind, recordId })
+      .select('postings.term')
+      .setOptions(SYSTEM)
+      .lean();
+    if (removed) await this.adjustDocumentFrequency(String(tenantId), [], removed.postings.map((posting) => posting.term));
+  }
+
+  /**
+   * @function reindexById
+   * @desc Reloads source records by id and reindexes them (used after query updates). Bulk changes beyond
+   *       BULK_REINDEX_LIMIT are left to rebuildTenant.
+   */
+  async reindexById(kind, recordIds = []) {
+    const source = SOURCES[kind];
+    const records = await mongoose.model(source.model).find({ _id: { $in: recordIds.slice(0, BULK_REINDEX_LIMIT) } }).setOptions(SYSTEM);
+    for (const record of records) await this.indexRecord(kind, record);
+  }
+
+  /**
+   * @function rebuildTenant
+   * @desc Drops and rebuilds a tenant's whole index from its source collections.
+   */
+  async rebuildTenant(tenantId) {
+    tenantId = String(tenantId);
+    await SearchIndexEntry.deleteMany({ tenantId }).setOptions(SYSTEM);
+    await SearchTerm.deleteMany({ tenantId });
+    this.stats.delete(tenantId);
+
+    const counts = {};
+    for (const [kind, source] of Object.entries(SOURCES)) {
+      counts[kind] = 0;
+      const Model = mongoose.models[source.model];
+      // Documents key tenants by ObjectId; a tenant slug cannot own any
+      if (!Model || (Model.schema.path('tenantId')?.instance === 'ObjectId' && !mongoose.isValidObjectId(tenantId))) continue;
+      const cursor = Model.find({ tenantId }).setOptions(SYSTEM).cursor();
+      for await (const record of cursor) {
+        await this.indexRecord(kind, record);
+        counts[kind]++;
+      }
+    }
+    auditLogger.info('SEARCH_INDEX_REBUILT', { tenantId, counts });
+    return counts;
+  }
+
+  /**
+   * @function tenantStats
+   * @desc Entry count and average weighted length for BM25, cached briefly per tenant.
+   */
+  async tenantStats(tenantId) {
+    const cached = this.stats.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) return cached.stats;
+    const [row] = await SearchIndexEntry.aggregate([
+      { $match: { tenantId } },
+      { $group: { _id: null, totalDocs: { $sum: 1 }, averageLength: { $avg: '$length' } } }
+    ]).option(SYSTEM);
+    const stats = { totalDocs: row?.totalDocs || 0, averageLength: row?.averageLength || 1 };
+    this.stats.set(tenantId, { stats, expiresAt: Date.now() + STATS_TTL_MS });
+    return stats;
+  }
+
+  /**
+   * @function accessFilter
+   * @desc Permission trimming: restricted entries reach only their owners, sharees and matter team.
+   */
+  accessFilter(user = {}) {
+    const roles = [user.role, ...(user.roles || [])].filter(Boolean).map((role) => String(role).toUpperCase());
+    if (roles.some((role) => PRIVILEGED_ROLES.includes(role))) return {};
+    const userId = user._id || user.id;
+    if (!mongoose.isValidObjectId(userId)) return { 'access.restricted': false };
+    return { $or: [{ 'access.restricted': false }, { 'access.userIds': userId }, { 'access.teamIds': userId }] };
+  }
+
+  filterFor(tenantId, user, { domain, matterType, attorneyId, documentType, startDate, endDate } = {}) {
+    const filter = { tenantId: String(tenantId), ...this.accessFilter(user) };
+    if (domain) filter.kind = String(domain).toUpperCase();
+    if (matterType) filter['facets.matterType'] = matterType;
+    if (attorneyId && mongoose.isValidObjectId(attorneyId)) filter['facets.attorneyId'] = attorneyId;
+    if (documentType) filter['facets.documentType'] = String(documentType).toLowerCase();
+    if (startDate || endDate) {
+      filter['facets.date'] = {};
+      if (startDate) filter['facets.date'].$gte = new Date(startDate);
+      if (endDate) filter['facets.date'].$lte = new Date(endDate);
+    }
+    return filter;
+  }
+
+  /**
+   * @function search
+   * @desc Ranked, faceted, permission-trimmed search over the tenant's index.
+   */
+  async search(tenantId, user, { q, sort = 'relevance', limit = 20, offset = 0, highlight: withHighlights = true, ...filters } = {}) {
+    const parsed = parseQuery(q);
+    if (!parsed.terms.length) throw searchError(400, 'SEARCH_ERROR: The query has no searchable terms');
+
+    const match = this.filterFor(tenantId, user, filters);
+    match['postings.term'] = parsed.excluded.length ? { $in: parsed.terms, $nin: parsed.excluded } : { $in: parsed.terms };
+
+    const candidates = await SearchIndexEntry.aggregate([
+      { $match: match },
+      { $limit: CANDIDATE_LIMIT },
+      {
+        $project: {
+          kind: 1,
+          recordId: 1,
+          matterId: 1,
+          title: 1,
+          reference: 1,
+          facets: 1,
+          length: 1,
+          ...(parsed.phrases.length ? { text: 1 } : {}),
+          postings: { $filter: { input: '$postings', cond: { $in: ['$$this.term', parsed.terms] } } }
+        }
+      }
+    ]);
+
+    const [documentFrequency, stats] = await Promise.all([
+      SearchTerm.find({ tenantId: String(tenantId), term: { $in: parsed.terms } }).lean()
+        .then((rows) => new Map(rows.map((row) => [row.term, row.df]))),
+      this.tenantStats(String(tenantId))
+    ]);
+
+    let scored = candidates
+      .filter((entry) => containsPhrases(`${entry.title || ''}\n${entry.text || ''}`, parsed.phrases))
+      .map((entry) => ({ ...entry, score: bm25(entry.postings, entry.length, documentFrequency, stats) }));
+
+    const dateOf = (entry) => new Date(entry.facets?.date || 0).getTime();
+    scored.sort((a, b) => {
+      if (sort === 'date_desc') return dateOf(b) - dateOf(a) || b.score - a.score;
+      if (sort === 'date_asc') return dateOf(a) - dateOf(b) || b.score - a.score;
+      return b.score - a.score;
+    });
+
+    const page = scored.slice(offset, offset + limit);
+    const texts = withHighlights && page.length
+      ? new Map((await SearchIndexEntry.find({ _id: { $in: page.map((entry) => entry._id) } }).select('text').lean())
+        .map((entry) => [String(entry._id), entry.text]))
+      : new Map();
+
+    return {
+      total: scored.length,
+      truncated: candidates.length === CANDIDATE_LIMIT,
+      facets: facetCounts(scored),
+      results: page.map((entry) => ({
+        kind: entry.kind,
+        id: String(entry.recordId),
+        matterId: entry.matterId ? String(entry.matterId) : undefined,
+        title: entry.title,
+        reference: entry.reference,
+        date: entry.facets?.date,
+        score: Math.round(entry.score * 10000) / 10000,
+        highlights: withHighlights
+          ? { title: highlight(entry.title, parsed.terms, { fragments: 1, radius: 200 }), text: highlight(texts.get(String(entry._id)), parsed.terms) }
+          : undefined
+      }))
+    };
+  }
+
+  /**
+   * @function related
+   * @desc Free-text search for passages like the given text: every word counts towards the BM25 score, and a result is
+   *       kept while its score is at least `threshold` of the best match's, which is reported as its similarity.
+   */
+  async related(tenantId, user, { text, domain, limit = 20, threshold = 0.5 } = {}) {
+    const q = words(text).join(' ');
+    if (!q) throw searchError(400, 'SEARCH_ERROR: The text has no searchable terms');
+
+    const { results } = await this.search(tenantId, user, { q, domain, limit, highlight: false });
+    const best = results[0]?.score || 0;
+    const related = results
+      .map((result) => ({ ...result, similarity: best ? Math.round((result.score / best) * 10000) / 10000 : 0 }))
+      .filter((result) => result.similarity >= threshold);
+
+    return { total: related.length, threshold, results: related };
+  }
+
+  /**
+   * @function suggest
+   * @desc Completions for the word being typed: matching title words and titles, from records the user can see.
+   */
+  async suggest(tenantId, user, { q, domain, limit = 10 } = {}) {
+    const typed = words(q);
+    const prefix = typed.pop();
+    if (!prefix) return [];
+    const leading = typed.join(' ');
+
+    const entries = await SearchIndexEntry.find({
+      ...this.filterFor(tenantId, user, { domain }),
+      'postings.term': { $regex: `^${prefix.replace(/[^a-z0-9]/g, '')}` }
+    }).select('kind recordId title').limit(200).lean();
+
+    const completions = new Map();
+    const titles = [];
+    for (const entry of entries) {
+      const titleWords = words(entry.title);
+      if (!titleWords.some((word) => word.startsWith(prefix))) continue;
+      titles.push({ text: entry.title, type: entry.kind.toLowerCase(), id: String(entry.recordId), count: 1 });
+      for (const word of new Set(titleWords.filter((candidate) => candidate.startsWith(prefix) && candidate.length > prefix.length))) {
+        const text = leading ? `${leading} ${word}` : word;
+        completions.set(text, (completions.get(text) || 0) + 1);
+      }
+    }
+
+    return [
+      ...[...completions.entries()].sort((a, b) => b[1] - a[1]).map(([text, count]) => ({ text, count, type: 'term' })),
+      ...titles
+    ].slice(0, limit);
+  }
+
+  // ------------------------------------------------------------------
+  // Search history
+  // ------------------------------------------------------------------
+
+  /**
+   * @function recordSearch
+   * @desc Adds a query to the user's history; a failed write is logged rather than failing the search.
+   */
+  async recordSearch(tenantId, userId, { q, domain, total = 0 }) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+    try {
+      return await SearchHistory.create({ tenantId: String(tenantId), userId, query: q, domain, resultCount: total });
+    } catch (error) {
+      auditLogger.error('SEARCH_HISTORY_FAILED', { tenantId: String(tenantId), error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @function recent
+   * @desc The user's latest distinct queries, newest first, with how often each was run.
+   */
+  async recent(tenantId, userId, { limit = 20 } = {}) {
+    if (!mongoose.isValidObjectId(userId)) return [];
+    const rows = await SearchHistory.aggregate([
+      { $match: { tenantId: String(tenantId), userId: new mongoose.Types.ObjectId(String(userId)) } },
+      { $sort: { searchedAt: -1 } },
+      { $limit: 500 },
+      {
+        $group: {
+          _id: { query: '$query', domain: '$domain' },
+          lastSearchedAt: { $first: '$searchedAt' },
+          resultCount: { $first: '$resultCount' },
+          runs: { $sum: 1 }
+        }
+      },
+      { $sort: { lastSearchedAt: -1 } },
+      { $limit: limit }
+    ]);
+    return rows.map(({ _id, ...row }) => ({ query: _id.query, domain: _id.domain, ...row }));
+  }
+
+  // ------------------------------------------------------------------
+  // Saved searches
+  // ------------------------------------------------------------------
+
+  async listSaved(tenantId, userId) {
+    return SavedSearch.find({ tenantId: String(tenantId), userId }).sort({ createdAt: -1 }).lean();
+  }
+
+  async saveSearch(tenantId, userId, { name, query, filters, frequency, notify }) {
+    if (!parseQuery(query).terms.length) throw searchError(400, 'SEARCH_ERROR: The query has no searchable terms');
+    return SavedSearch.create({ tenantId: String(tenantId), userId, name, query, filters, frequency, notify });
+  }
+
+  async deleteSaved(tenantId, userId, savedSearchId) {
+    const removed = await SavedSearch.findOneAndDelete({ tenantId: String(tenantId), userId, savedSearchId });
+    if (!removed) throw searchError(404, `SEARCH_ERROR: Saved search ${savedSearchId} not found`);
+    return removed;
+  }
+
+  /**
+   * @function runSaved
+   * @desc Runs a saved search as its owner and records the result count.
+   */
+  async runSaved(tenantId, user, savedSearchId, options = {}) {
+    const userId = user._id || user.id;
+    const saved = await SavedSearch.findOne({ tenantId: String(tenantId), userId, savedSearchId });
+    if (!saved) throw searchError(404, `SEARCH_ERROR: Saved search ${savedSearchId} not found`);
+    const filters = saved.filters?.toObject ? saved.filters.toObject() : saved.filters || {};
+    const result = await this.search(tenantId, user, { ...filters, ...options, q: saved.query });
+    saved.lastRunAt = new Date();
+    saved.lastResultCount = result.total;
+    await saved.save();
+    return { savedSearch: saved, ...result };
+  }
+}
+
+export const searchIndexService = new SearchIndexService();
+export default searchIndexService;
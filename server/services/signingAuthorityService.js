@@ -0,0 +1,214 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - E-SIGN SIGNING AUTHORITY [V1.0.0-PADES]                                                                                     ║
+ * ║ [LOCAL TEST CA | PER-SIGNER CERTIFICATES | RFC 3161 TIMESTAMPING UNIT | CRL ISSUANCE | TRUST ANCHOR EXPORT]                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/signingAuthorityService.js                                       ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The CA behind embedded e-sign signatures. By default a local test CA and timestamping unit are generated on first use
+ * and kept under ESIGN_CA_DIR (keys encrypted with ESIGN_CA_PASSPHRASE when set). Their root certificate is the trust
+ * anchor for /api/esign/verify and can be imported into a PDF reader. Each signer gets a short-lived certificate whose
+ * private key signs once and is never stored.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  OIDS,
+  KEY_USAGE,
+  issueCertificate,
+  parseCertificate,
+  issueCrl,
+  createTimestampToken,
+  toPem,
+  fromPem
+} from '../utils/cms.js';
+import logger from '../utils/logger.js';
+
+const CA_DIR = path.resolve(process.env.ESIGN_CA_DIR || './vault/esign-ca');
+const STATE_FILE = 'authority.json';
+const ROOT_NAME = Object.freeze({ C: 'ZA', O: 'Wilsy OS', OU: 'E-Signature Test PKI', CN: 'Wilsy OS Local Test CA' });
+const TSA_NAME = Object.freeze({ C: 'ZA', O: 'Wilsy OS', OU: 'E-Signature Test PKI', CN: 'Wilsy OS Local Timestamping Unit' });
+// ITU-T example arc: the local TSA's policy identifies it as a test service
+const TSA_POLICY = '2.999.1.1';
+const ROOT_VALIDITY_MS = 20 * 365 * 86400000;
+const TSA_VALIDITY_MS = 10 * 365 * 86400000;
+const SIGNER_VALIDITY_MS = 2 * 365 * 86400000;
+const CRL_VALIDITY_MS = 30 * 86400000;
+// Backdated so a certificate is already valid on a host whose clock runs slightly behind
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const authorityError = (message) => {
+  const error = new Error(`SIGNING_AUTHORITY_ERROR: ${message}`);
+  error.status = 500;
+  error.code = 'SIGNING_AUTHORITY_ERROR';
+  return error;
+};
+
+const newKeyPair = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+class SigningAuthorityService {
+  constructor() {
+    this.state = null;
+    this.loading = null;
+  }
+
+  exportKey(privateKey) {
+    const passphrase = process.env.ESIGN_CA_PASSPHRASE;
+    return privateKey.export(passphrase
+      ? { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase }
+      : { type: 'pkcs8', format: 'pem' });
+  }
+
+  importKey(pem) {
+    return crypto.createPrivateKey({ key: pem, format: 'pem', passphrase: process.env.ESIGN_CA_PASSPHRASE });
+  }
+
+  /**
+   * @function generate
+   * @desc Creates the local test root and its timestamping unit.
+   */
+  generate() {
+    const now = Date.now() - CLOCK_SKEW_MS;
+    const root = newKeyPair();
+    const rootDer = issueCertificate({
+      subject: ROOT_NAME,
+      publicKey: root.publicKey,
+      issuerKey: root.privateKey,
+      notBefore: new Date(now),
+      notAfter: new Date(now + ROOT_VALIDITY_MS),
+      ca: true,
+      keyUsage: [KEY_USAGE.KEY_CERT_SIGN, KEY_USAGE.CRL_SIGN]
+    });
+    const tsa = newKeyPair();
+    const tsaDer = issueCertificate({
+      subject: TSA_NAME,
+      issuer: ROOT_NAME,
+      publicKey: tsa.publicKey,
+      issuerKey: root.privateKey,
+      notBefore: new Date(now),
+      notAfter: new Date(now + TSA_VALIDITY_MS),
+      keyUsage: [KEY_USAGE.DIGITAL_SIGNATURE, KEY_USAGE.NON_REPUDIATION],
+      extendedKeyUsage: [OIDS.KP_TIMESTAMPING]
+    });
+    return {
+      root: { certificate: toPem(rootDer), key: this.exportKey(root.privateKey) },
+      tsa: { certificate: toPem(tsaDer), key: this.exportKey(tsa.privateKey) },
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async readOrCreate() {
+    const file = path.join(CA_DIR, STATE_FILE);
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw authorityError(`Cannot read ${file}: ${error.message}`);
+    }
+    const created = this.generate();
+    await fs.mkdir(CA_DIR, { recursive: true, mode: 0o700 });
+    try {
+      // wx: when two workers race, the first file wins and the loser reads it back
+      await fs.writeFile(file, JSON.stringify(created, null, 2), { flag: 'wx', mode: 0o600 });
+      logger.warn('esign: generated a local test CA; signatures will only be trusted where its root is imported', { dir: CA_DIR });
+      return created;
+    } catch (error) {
+      if (error.code === 'EEXIST') return JSON.parse(await fs.readFile(file, 'utf8'));
+      throw authorityError(`Cannot write ${file}: ${error.message}`);
+    }
+  }
+
+  async ready() {
+    if (this.state) return this.state;
+    if (!this.loading) {
+      this.loading = this.readOrCreate().then((stored) => {
+        const root = parseCertificate(fromPem(stored.root.certificate));
+        const tsa = parseCertificate(fromPem(stored.tsa.certificate));
+        if (!root.isCa) throw authorityError('The stored root certificate is not a CA.');
+        this.state = {
+          root,
+          rootKey: this.importKey(stored.root.key),
+          tsa,
+          tsaKey: this.importKey(stored.tsa.key)
+        };
+        return this.state;
+      }).finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @function trustAnchors
+   * @desc The root certificate(s) verification trusts, parsed.
+   */
+  async trustAnchors() {
+    const { root } = await this.ready();
+    return [root];
+  }
+
+  async rootPem() {
+    const { root } = await this.ready();
+    return toPem(root.der);
+  }
+
+  /**
+   * @function issueSignerCertificate
+   * @desc A fresh key pair and certificate naming the signer. The caller signs once and drops the key.
+   */
+  async issueSignerCertificate({ name, email, organisation }) {
+    const { root, rootKey } = await this.ready();
+    const keys = newKeyPair();
+    const now = Date.now() - CLOCK_SKEW_MS;
+    const der = issueCertificate({
+      subject: { C: 'ZA', O: organisation, CN: name, emailAddress: email },
+      issuer: root.subject,
+      publicKey: keys.publicKey,
+      issuerKey: rootKey,
+      notBefore: new Date(now),
+      notAfter: new Date(now + SIGNER_VALIDITY_MS),
+      keyUsage: [KEY_USAGE.DIGITAL_SIGNATURE, KEY_USAGE.NON_REPUDIATION],
+      extendedKeyUsage: [OIDS.KP_DOCUMENT_SIGNING]
+    });
+    return { certificate: parseCertificate(der), key: keys.privateKey, chain: [root] };
+  }
+
+  /**
+   * @function timestamper
+   * @desc A callback producing RFC 3161 tokens over SHA-256 digests from the timestamping unit, for utils/cms.js.
+   */
+  async timestamper() {
+    const { root, tsa, tsaKey } = await this.ready();
+    return (digest) => createTimestampToken({ digest, tsaCertificate: tsa, tsaKey, chain: [root], policy: TSA_POLICY });
+  }
+
+  /**
+   * @function currentCrl
+   * @desc A freshly signed CRL from the root. Nothing is revoked through this service yet, so it is empty.
+   */
+  async currentCrl() {
+    const { root, rootKey } = await this.ready();
+    const now = new Date();
+    return issueCrl({
+      issuer: root.subject,
+      issuerKey: rootKey,
+      thisUpdate: now,
+      nextUpdate: new Date(now.getTime() + CRL_VALIDITY_MS),
+      crlNumber: Math.floor(now.getTime() / 1000)
+    });
+  }
+
+  /**
+   * @function validationMaterial
+   * @desc Certificates (root, timestamping unit) and the CRL a DSS needs besides the signers' own certificates.
+   */
+  async validationMaterial() {
+    const { root, tsa } = await this.ready();
+    return { certificates: [root.der, tsa.der], crls: [await this.currentCrl()] };
+  }
+}
+
+export const signingAuthorityService = new SigningAuthorityService();
+export default signingAuthorityService;
@@ -0,0 +1,438 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - REMOTE SIGNING CEREMONY [V1.0.0-CEREMONY]                                                                                   ║
+ * ║ [ONE-TIME LINKS | SMS/EMAIL OTP | DOCUMENT REVIEW | ECT ACT CONSENT | ADOPT, SIGN, DECLINE, DELEGATE]                                  ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/signingCeremonyService.js                                        ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Lets parties without a Wilsy account sign. Each remote signer is emailed a link when it is their turn; opening it
+ * and entering a one-time code (SMS when we have their number, otherwise email) uses up the link and starts a short
+ * session in which they review the PDF, consent, adopt a signature and sign, decline or delegate. Every step is kept
+ * on the request's ceremonyEvents and shows up in eSignService.getSignatureHistory.
+ */
+
+import ESignService, { ElectronicSignature, SIGNATURE_STATUS, VERIFICATION_LEVELS } from './eSignService.js';
+import SovereignPdfStore from './pdfStore.js';
+import emailService from './emailService.js';
+import { sendSigningCode as sendSmsCode } from './smsService.js';
+import auditLogger from '../utils/auditLogger.js';
+import {
+  CEREMONY_EVENTS,
+  CEREMONY_LIMITS,
+  ECT_CONSENT,
+  OTP_CHANNELS,
+  hashSecret,
+  createToken,
+  isToken,
+  generateOtp,
+  checkOtp,
+  canResendOtp,
+  signingTurn,
+  dueForInvitation,
+  normaliseAdoptedSignature,
+  maskEmail,
+  maskPhone
+} from '../utils/signingCeremony.js';
+
+const SECRET_FIELDS = '+signers.ceremony.tokenHash +signers.ceremony.otpHash +signers.ceremony.sessionHash';
+const CLOSED_STATUSES = [SIGNATURE_STATUS.SIGNED, SIGNATURE_STATUS.DECLINED, SIGNATURE_STATUS.REVOKED, SIGNATURE_STATUS.EXPIRED];
+// Levels a one-time code can satisfy; stronger ones need the signer inside Wilsy
+const REMOTE_LEVELS = [VERIFICATION_LEVELS.LEVEL_1, VERIFICATION_LEVELS.LEVEL_2];
+
+const ceremonyError = (status, message, details) => {
+  const error = new Error(`ESIGN_CEREMONY_ERROR: ${message}`);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+
+class SigningCeremonyService {
+  constructor() {
+    this.eSign = null;
+  }
+
+  // ESignService logs a banner when constructed, so only build it when a ceremony first needs it
+  eSignService() {
+    if (!this.eSign) this.eSign = new ESignService();
+    return this.eSign;
+  }
+
+  signUrl(token) {
+    return `${process.env.APP_URL || 'http://localhost:3000'}/sign/${token}`;
+  }
+
+  record(request, signer, event, { ip, userAgent } = {}, detail) {
+    request.ceremonyEvents.push({ signerId: String(signer._id), email: signer.email, event, at: new Date(), ipAddress: ip, userAgent, detail });
+    auditLogger.info(`ESIGN_CEREMONY_${event}`, {
+      tenantId: request.tenantId,
+      signatureId: request.signatureId,
+      signerId: String(signer._id),
+      ip,
+      ...(detail || {})
+    });
+  }
+
+  /**
+   * @function invite
+   * @desc Issues a signer a fresh one-time link (revoking any earlier one) and emails it.
+   */
+  async invite(request, signer, meta = {}) {
+    if (!REMOTE_LEVELS.includes(signer.verificationLevel)) {
+      throw ceremonyError(409, `${signer.name} must sign in Wilsy: their verification level (${signer.verificationLevel}) needs more than a one-time code`);
+    }
+    const token = createToken();
+    const expiresAt = new Date(Math.min(Date.now() + CEREMONY_LIMITS.LINK_TTL_MS, new Date(request.expiresAt || Infinity).getTime()));
+    signer.remote = true;
+    signer.ceremony = {
+      tokenHash: hashSecret(token),
+      tokenExpiresAt: expiresAt,
+      invitedAt: new Date(),
+      invitationCount: (signer.ceremony?.invitationCount || 0) + 1,
+      otpSends: 0,
+      otpAttempts: 0
+    };
+
+    const result = await emailService.sendSigningInvitation(signer.email, {
+      name: signer.name,
+      title: request.title,
+      organisation: request.metadata?.organisation,
+      signatureId: request.signatureId,
+      signUrl: this.signUrl(token),
+      expiresOn: formatDate(expiresAt),
+      delegatedBy: signer.delegatedFrom ? request.signers.find((other) => other.email === signer.delegatedFrom)?.name : undefined
+    });
+    this.record(request, signer, CEREMONY_EVENTS.INVITED, meta, { sent: Boolean(result?.success), invitation: signer.ceremony.invitationCount });
+    return { signerId: String(signer._id), email: maskEmail(signer.email), expiresAt, sent: Boolean(result?.success) };
+  }
+
+  /**
+   * @function sendInvitations
+   * @desc Invites the remote parties whose turn it is. With `emails`, (re-)invites those parties instead, as long as
+   *       it is their turn; re-inviting revokes their previous link.
+   */
+  async sendInvitations(tenantId, signatureId, { emails, userId } = {}) {
+    const request = await ElectronicSignature.findOne({ signatureId, tenantId: String(tenantId) }).select(SECRET_FIELDS);
+    if (!request) throw ceremonyError(404, `Signature request ${signatureId} not found`);
+    if (CLOSED_STATUSES.includes(request.status)) throw ceremonyError(409, `Signature request is ${request.status}`);
+
+    let due;
+    if (emails?.length) {
+      const wanted = emails.map((email) => String(email).toLowerCase());
+      due = request.signers.filter((signer) => wanted.includes(signer.email));
+      const unknown = wanted.filter((email) => !due.some((signer) => signer.email === email));
+      if (unknown.length) throw ceremonyError(404, `Not a party to this request: ${unknown.map(maskEmail).join(', ')}`);
+      const notYet = due.filter((signer) => !signingTurn(request.signers, signer).allowed);
+      if (notYet.length) throw ceremonyError(409, `Not their turn to sign: ${notYet.map((signer) => signer.name).join(', ')}`);
+    } else {
+      due = dueForInvitation(request.signers);
+    }
+
+    const invited = [];
+    for (const signer of due) invited.push(await this.invite(request, signer, { userId }));
+    if (invited.length) {
+      request.audit.updatedBy = userId ? String(userId) : 'SYSTEM';
+      await request.save();
+    }
+    return { signatureId, invited };
+  }
+
+  /**
+   * @function findByLink
+   * @desc The request and signer behind an unused, unexpired link.
+   */
+  async findByLink(token) {
+    if (!isToken(token)) throw ceremonyError(404, 'Signing link not recognised');
+    const tokenHash = hashSecret(token);
+    const request = await ElectronicSignature.findOne({ 'signers.ceremony.tokenHash': tokenHash }).select(SECRET_FIELDS);
+    const signer = request?.signers.find((entry) => entry.ceremony?.tokenHash === tokenHash);
+    if (!signer) throw ceremonyError(404, 'Signing link not recognised');
+    if (signer.ceremony.linkUsedAt) throw ceremonyError(410, 'This signing link has already been used; ask the sender for a new one');
+    if (new Date(signer.ceremony.tokenExpiresAt) <= new Date()) throw ceremonyError(410, 'This signing link has expired; ask the sender for a new one');
+    this.assertOpen(request, signer);
+    return { request, signer };
+  }
+
+  /**
+   * @function findBySession
+   * @desc The request and signer behind a live ceremony session.
+   */
+  async findBySession(sessionToken) {
+    if (!isToken(sessionToken)) throw ceremonyError(401, 'Signing session required');
+    const sessionHash = hashSecret(sessionToken);
+    const request = await ElectronicSignature.findOne({ 'signers.ceremony.sessionHash': sessionHash }).select(SECRET_FIELDS);
+    const signer = request?.signers.find((entry) => entry.ceremony?.sessionHash === sessionHash);
+    if (!signer || new Date(signer.ceremony.sessionExpiresAt) <= new Date()) throw ceremonyError(401, 'Signing session expired; open your link again or ask for a new one');
+    this.assertOpen(request, signer);
+    return { request, signer };
+  }
+
+  assertOpen(request, signer) {
+    if (CLOSED_STATUSES.includes(request.status)) throw ceremonyError(410, `This signature request is ${request.status}`);
+    if (request.expiresAt && new Date(request.expiresAt) <= new Date()) throw ceremonyError(410, 'This signature request has expired');
+    if (signer.signedAt) throw ceremonyError(409, 'You have already signed this document');
+    if (signer.declinedAt) throw ceremonyError(409, 'You declined to sign this document');
+    if (signer.delegatedAt) throw ceremonyError(409, 'You delegated signing of this document');
+  }
+
+  channelsFor(signer) {
+    return signer.phone
+      ? [{ channel: OTP_CHANNELS.SMS, destination: maskPhone(signer.phone) }, { channel: OTP_CHANNELS.EMAIL, destination: maskEmail(signer.email) }]
+      : [{ channel: OTP_CHANNELS.EMAIL, destination: maskEmail(signer.email) }];
+  }
+
+  /**
+   * @function describeLink
+   * @desc What the landing page shows before the signer proves who they are: no document content.
+   */
+  async describeLink(token, meta = {}) {
+    const { request, signer } = await this.findByLink(token);
+    this.record(request, signer, CEREMONY_EVENTS.LINK_OPENED, meta);
+    await request.save();
+    return {
+      signatureId: request.signatureId,
+      title: request.title,
+      organisation: request.metadata?.organisation,
+      signer: { name: signer.name, role: signer.role },
+      codeChannels: this.channelsFor(signer),
+      expiresAt: signer.ceremony.tokenExpiresAt
+    };
+  }
+
+  /**
+   * @function sendCode
+   * @desc Sends a one-time code by SMS or email. A new code replaces the previous one.
+   */
+  async sendCode(token, { channel, ...meta } = {}) {
+    const { request, signer } = await this.findByLink(token);
+    const via = channel || (signer.phone ? OTP_CHANNELS.SMS : OTP_CHANNELS.EMAIL);
+    if (via === OTP_CHANNELS.SMS && !signer.phone) throw ceremonyError(400, 'No mobile number is on record for you; choose email');
+
+    const allowed = canResendOtp(signer.ceremony);
+    if (!allowed.allowed) {
+      throw ceremonyError(429, allowed.reason === 'TOO_SOON' ? 'Please wait before requesting another code' : 'Too many codes requested; ask the sender for a new link', { retryAfter: allowed.retryAfter });
+    }
+
+    const code = generateOtp();
+    const expiry = CEREMONY_LIMITS.OTP_TTL_MS / 60000;
+    const result = via === OTP_CHANNELS.SMS
+      ? await sendSmsCode({ to: signer.phone, code, title: request.title, signatureId: request.signatureId, expiryMinutes: expiry, ip: meta.ip })
+      : await emailService.sendSigningCode(signer.email, { code, title: request.title, signatureId: request.signatureId, expiry });
+    if (!result?.success) throw ceremonyError(502, `The code could not be sent by ${via}${result?.error ? ` (${result.error})` : ''}`);
+
+    Object.assign(signer.ceremony, {
+      otpChannel: via,
+      otpHash: hashSecret(code),
+      otpSentAt: new Date(),
+      otpExpiresAt: new Date(Date.now() + CEREMONY_LIMITS.OTP_TTL_MS),
+      otpSends: (signer.ceremony.otpSends || 0) + 1,
+      otpAttempts: 0
+    });
+    this.record(request, signer, CEREMONY_EVENTS.OTP_SENT, meta, { channel: via });
+    await request.save();
+    return {
+      channel: via,
+      destination: via === OTP_CHANNELS.SMS ? maskPhone(signer.phone) : maskEmail(signer.email),
+      expiresAt: signer.ceremony.otpExpiresAt
+    };
+  }
+
+  /**
+   * @function verifyCode
+   * @desc Checks the code. Success uses up the link and opens a signing session.
+   */
+  async verifyCode(token, code, meta = {}) {
+    const { request, signer } = await this.findByLink(token);
+    const result = checkOtp(signer.ceremony, code);
+    if (!result.ok) {
+      if (result.reason === 'MISMATCH') signer.ceremony.otpAttempts = (signer.ceremony.otpAttempts || 0) + 1;
+      this.record(request, signer, CEREMONY_EVENTS.OTP_FAILED, meta, { reason: result.reason, attemptsLeft: result.attemptsLeft });
+      await request.save();
+      const status = result.reason === 'LOCKED' ? 423 : result.reason === 'MISMATCH' ? 401 : 400;
+      throw ceremonyError(status, {
+        NOT_SENT: 'Request a code first',
+        EXPIRED: 'The code has expired; request a new one',
+        LOCKED: 'Too many incorrect codes; request a new one',
+        MISMATCH: 'Incorrect code'
+      }[result.reason], { attemptsLeft: result.attemptsLeft });
+    }
+
+    const sessionToken = createToken();
+    Object.assign(signer.ceremony, {
+      otpHash: undefined,
+      otpVerifiedAt: new Date(),
+      linkUsedAt: new Date(),
+      sessionHash: hashSecret(sessionToken),
+      sessionExpiresAt: new Date(Date.now() + CEREMONY_LIMITS.SESSION_TTL_MS)
+    });
+    this.record(request, signer, CEREMONY_EVENTS.OTP_VERIFIED, meta, { channel: signer.ceremony.otpChannel });
+    await request.save();
+    return { sessionToken, expiresAt: signer.ceremony.sessionExpiresAt, ...this.progress(request, signer) };
+  }
+
+  progress(request, signer) {
+    const turn = signingTurn(request.signers, signer);
+    return {
+      signatureId: request.signatureId,
+      title: request.title,
+      signer: { name: signer.name, role: signer.role },
+      reviewed: Boolean(signer.ceremony?.reviewedAt),
+      consented: signer.ceremony?.consentVersion === ECT_CONSENT.version,
+      signatureAdopted: Boolean(signer.adoptedSignature?.type),
+      canSign: turn.allowed,
+      waitingFor: turn.waitingFor || [],
+      allowDelegation: request.allowDelegation !== false,
+      consent: ECT_CONSENT,
+      sessionExpiresAt: signer.ceremony?.sessionExpiresAt
+    };
+  }
+
+  /**
+   * @function describeSession
+   * @desc Where the signer is in the ceremony.
+   */
+  async describeSession(sessionToken) {
+    const { request, signer } = await this.findBySession(sessionToken);
+    return this.progress(request, signer);
+  }
+
+  /**
+   * @function document
+   * @desc The PDF being signed, for review. Viewing it is recorded.
+   */
+  async document(sessionToken, meta = {}) {
+    const { request, signer } = await this.findBySession(sessionToken);
+    if (!request.pdf?.sourceTraceId) throw ceremonyError(409, 'This request has no document to review');
+    const pdf = await SovereignPdfStore.get(String(request.tenantId), request.pdf.sourceTraceId);
+    signer.viewedAt = signer.viewedAt || new Date();
+    signer.ceremony.reviewedAt = new Date();
+    this.record(request, signer, CEREMONY_EVENTS.DOCUMENT_REVIEWED, meta, { sourceHash: request.pdf.sourceHash });
+    await request.save();
+    return { pdf, filename: `${request.title.replace(/[^\w.-]+/g, '_')}.pdf`, hash: request.pdf.sourceHash };
+  }
+
+  /**
+   * @function consent
+   * @desc Records consent to sign electronically under the ECT Act. The signer must accept the current wording.
+   */
+  async consent(sessionToken, { accepted, version } = {}, meta = {}) {
+    const { request, signer } = await this.findBySession(sessionToken);
+    if (accepted !== true || version !== ECT_CONSENT.version) {
+      throw ceremonyError(400, `Accept the current consent (version ${ECT_CONSENT.version}) to continue`);
+    }
+    signer.ceremony.consentVersion = ECT_CONSENT.version;
+    signer.ceremony.consentedAt = new Date();
+    this.record(request, signer, CEREMONY_EVENTS.CONSENTED, meta, { version: ECT_CONSENT.version });
+    await request.save();
+    return this.progress(request, signer);
+  }
+
+  /**
+   * @function adoptSignature
+   * @desc Stores the typed or drawn signature shown in the signer's field on the signed PDF.
+   */
+  async adoptSignature(sessionToken, input, meta = {}) {
+    const { request, signer } = await this.findBySession(sessionToken);
+    let adopted;
+    try {
+      adopted = normaliseAdoptedSignature(input);
+    } catch (error) {
+      throw ceremonyError(400, error.message);
+    }
+    signer.adoptedSignature = { ...adopted, adoptedAt: new Date() };
+    this.record(request, signer, CEREMONY_EVENTS.SIGNATURE_ADOPTED, meta, { type: adopted.type, hash: adopted.hash });
+    await request.save();
+    return this.progress(request, signer);
+  }
+
+  /**
+   * @function sign
+   * @desc Signs once the document has been reviewed, consent given and a signature adopted, in signing order.
+   *       Then invites whoever is next.
+   */
+  async sign(sessionToken, { geoLocation, ...meta } = {}) {
+    const { request, signer } = await this.findBySession(sessionToken);
+    const missing = [
+      signer.ceremony.reviewedAt ? null : 'review the document',
+      signer.ceremony.consentVersion === ECT_CONSENT.version ? null : 'consent to signing electronically',
+      signer.adoptedSignature?.type ? null : 'adopt a signature'
+    ].filter(Boolean);
+    if (missing.length) throw ceremonyError(409, `Before signing, ${missing.join(', ')}`);
+
+    const result = await this.eSignService().signDocument(
+      request.signatureId,
+      { signerId: String(signer._id), email: signer.email, ipAddress: meta.ip, userAgent: meta.userAgent, geoLocation },
+      { tenantId: request.tenantId, otpVerifiedAt: signer.ceremony.otpVerifiedAt }
+    );
+
+    // signDocument saved its own copy; record the outcome on a fresh one and close the session
+    const updated = await ElectronicSignature.findOne({ _id: request._id }).select(SECRET_FIELDS);
+    const signed = updated.signers.id(signer._id);
+    if (signed.ceremony) signed.ceremony.sessionHash = undefined;
+    this.record(updated, signed, CEREMONY_EVENTS.SIGNED, meta, { allSigned: result.allSigned, adoptedSignatureHash: signer.adoptedSignature.hash });
+    const next = [];
+    if (!result.allSigned) for (const party of dueForInvitation(updated.signers)) next.push(await this.invite(updated, party));
+    await updated.save();
+
+    return { signatureId: request.signatureId, signedAt: signed.signedAt, allSigned: result.allSigned, signedPdf: result.signedPdf, nextInvited: next.length };
+  }
+
+  /**
+   * @function decline
+   * @desc Declines with a reason. The whole request stops; the sender sees the reason in its history.
+   */
+  async decline(sessionToken, { reason, ...meta } = {}) {
+    const { request, signer } = await this.findBySession(sessionToken);
+    signer.declinedAt = new Date();
+    signer.declineReason = reason;
+    signer.ceremony.sessionHash = undefined;
+    request.status = SIGNATURE_STATUS.DECLINED;
+    request.statusHistory.push({ status: SIGNATURE_STATUS.DECLINED, timestamp: new Date(), changedBy: signer.email, reason });
+    request.audit.updatedBy = signer.email;
+    this.record(request, signer, CEREMONY_EVENTS.DECLINED, meta, { reason });
+    await request.save();
+    return { signatureId: request.signatureId, status: request.status, declinedAt: signer.declinedAt };
+  }
+
+  /**
+   * @function delegate
+   * @desc Hands the signer's place (order, role and signature field) to someone else, who is invited in turn.
+   */
+  async delegate(sessionToken, { name, email, phone, reason, ...meta } = {}) {
+    const { request, signer } = await this.findBySession(sessionToken);
+    if (request.allowDelegation === false) throw ceremonyError(403, 'The sender does not allow delegation on this request');
+    const delegateEmail = String(email).toLowerCase();
+    if (request.signers.some((entry) => entry.email === delegateEmail)) throw ceremonyError(409, 'That person is already a party to this request');
+
+    signer.delegatedAt = new Date();
+    signer.delegatedTo = delegateEmail;
+    signer.delegationReason = reason;
+    signer.ceremony.sessionHash = undefined;
+    request.signers.push({
+      email: delegateEmail,
+      name,
+      phone,
+      role: signer.role,
+      order: signer.order,
+      verificationLevel: VERIFICATION_LEVELS.LEVEL_2,
+      remote: true,
+      delegatedFrom: signer.email,
+      sentAt: new Date()
+    });
+    const field = request.pdf?.fields?.find((entry) => entry.email === signer.email);
+    if (field) field.email = delegateEmail;
+    request.audit.updatedBy = signer.email;
+    this.record(request, signer, CEREMONY_EVENTS.DELEGATED, meta, { to: maskEmail(delegateEmail), reason });
+
+    const delegateSigner = request.signers[request.signers.length - 1];
+    const invited = signingTurn(request.signers, delegateSigner).allowed ? await this.invite(request, delegateSigner, meta) : null;
+    await request.save();
+    return { signatureId: request.signatureId, delegatedTo: maskEmail(delegateEmail), invited: Boolean(invited) };
+  }
+}
+
+export const signingCeremonyService = new SigningCeremonyService();
+export default signingCeremonyService;
@@ -104,6 +104,18 @@ const TEMPLATES = {
     xh: '💰 Intengiselwano ye-WILSY OS: {{description}} nge-{{amount}}. Ikhowudi: {{code}}',
     af: '💰 WILSY OS Transaksie: {{description}} vir {{amount}}. Kode: {{code}}'
   },
+  signingCode: {
+    en: '✍️ WILSY OS: Your code to sign "{{title}}" is {{code}}. Valid for {{expiry}} minutes. Do not share this code.',
+    zu: '✍️ I-WILSY OS: Ikhodi yakho yokusayina "{{title}}" ngu-{{code}}. Isebenza imizuzu engu-{{expiry}}. Ungayabelani naleli khodi.',
+    xh: '✍️ I-WILSY OS: Ikhowudi yakho yokutyikitya "{{title}}" yile: {{code}}. Isebenza imizuzu engu-{{expiry}}. Ungayabelani nale khowudi.',
+    af: '✍️ WILSY OS: U kode om "{{title}}" te teken is {{code}}. Geldig vir {{expiry}} minute. Moenie hierdie kode deel nie.'
+  },
+  shareCode: {
+    en: '📄 WILSY OS: Your code to open "{{title}}" is {{code}}. Valid for {{expiry}} minutes. Do not share this code.',
+    zu: '📄 I-WILSY OS: Ikhodi yakho yokuvula "{{title}}" ngu-{{code}}. Isebenza imizuzu engu-{{expiry}}. Ungayabelani naleli khodi.',
+    xh: '📄 I-WILSY OS: Ikhowudi yakho yokuvula "{{title}}" yile: {{code}}. Isebenza imizuzu engu-{{expiry}}. Ungayabelani nale khowudi.',
+    af: '📄 WILSY OS: U kode om "{{title}}" oop te maak is {{code}}. Geldig vir {{expiry}} minute. Moenie hierdie kode deel nie.'
+  },
   accountRecovery: {
     en: '🔐 WILSY OS Account Recovery: Use code {{code}} to reset password. Valid {{expiry}} min.',
     zu: '🔐 Ukuthola kabusha i-akhawunti ye-WILSY OS: Sebenzisa ikhodi {{code}} ukusetha kabusha iphasiwedi. Isebenza imizuzu engu-{{expiry}}.',
@@ -554,6 +566,30 @@ export const sendTransactionCode = async (options = {}) => {
   });
 };
 
+export const sendSigningCode = async (options = {}) => {
+  const { to, code, title, signatureId, expiryMinutes = 10, ip, language = 'en' } = options;
+  return sendSMS({
+    to,
+    template: 'signingCode',
+    templateData: { code, title: String(title).slice(0, 60), expiry: expiryMinutes },
+    language,
+    ip,
+    metadata: { type: 'esign', signatureId }
+  });
+};
+
+export const sendShareCode = async (options = {}) => {
+  const { to, code, title, shareId, expiryMinutes = 10, ip, language = 'en' } = options;
+  return sendSMS({
+    to,
+    template: 'shareCode',
+    templateData: { code, title: String(title).slice(0, 60), expiry: expiryMinutes },
+    language,
+    ip,
+    metadata: { type: 'document_share', shareId }
+  });
+};
+
 export const sendBulkSMS = async (messages) => {
   const results = [];
   for (const msg of messages) {
@@ -595,6 +631,8 @@ export default {
   sendBulkSMS,
   sendMFACode,
   sendTransactionCode,
+  sendSigningCode,
+  sendShareCode,
   getDeliveryStatus,
   healthCheck,
   validatePhoneNumber,
@@ -0,0 +1,463 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TIME ENTRY & WIP SERVICE [V1.0.0-BILLING]                                                                                   ║
+ * ║ [TIMERS | MANUAL ENTRIES | PER-ATTORNEY RATE CARDS | PER-MATTER WIP LEDGER | INVOICE FEED]                                             ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/timeEntryService.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Billable time enters WIP as TIME_RECORDED when its timer stops (or a manual entry is saved). Edits post TIME_ADJUSTED
+ * deltas, deletions TIME_REVERSED. Billing, write-downs and transfers are posted by preBillService when a pre-bill issues.
+ */
+
+import mongoose from 'mongoose';
+import TimeEntry, { TIME_ENTRY_STATUS } from '../models/TimeEntry.js';
+import BillingRate from '../models/BillingRate.js';
+import WipTransaction, { WIP_TRANSACTION_TYPES } from '../models/WipTransaction.js';
+import Matter from '../models/Matter.js';
+import auditLogger from '../utils/auditLogger.js';
+import {
+  ACTIVITY_CODES,
+  DEFAULT_TIME_INCREMENT_MINUTES,
+  elapsedMinutes,
+  roundUpMinutes,
+  resolveHourlyRate,
+  valueTime,
+  summariseWip
+} from '../utils/timeEntryCalculations.js';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+class TimeEntryService {
+  /**
+   * @function withTransaction
+   * @desc Runs fn inside a MongoDB transaction, committing or aborting as one unit.
+   */
+  async withTransaction(fn) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const result = await fn(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  async loadMatter(tenantId, matterId, session) {
+    if (!mongoose.isValidObjectId(matterId)) throw new Error('BILLING_ERROR: A valid matterId is required.');
+    const matter = await Matter.findOne({ _id: matterId, tenantId: String(tenantId) }).session(session || null);
+    if (!matter) throw new Error(`BILLING_ERROR: Matter ${matterId} not found.`);
+    return matter;
+  }
+
+  async loadEntry(tenantId, entryId, session) {
+    const entry = await TimeEntry.findOne({ tenantId: String(tenantId), entryId }).session(session || null);
+    if (!entry) throw new Error(`BILLING_ERROR: Time entry ${entryId} not found.`);
+    return entry;
+  }
+
+  assertActivity(activityCode) {
+    if (!ACTIVITY_CODES[activityCode]) {
+      throw new Error(`BILLING_ERROR: Unknown activity code ${activityCode}. Use one of ${Object.keys(ACTIVITY_CODES).join(', ')}.`);
+    }
+  }
+
+  /**
+   * @function priceEntry
+   * @desc Rounds the entry's raw minutes to billing units and snapshots the rate and value from the rate card.
+   */
+  async priceEntry(entry, matter, session) {
+    const rates = await BillingRate.find({ tenantId: entry.tenantId, userId: entry.userId }).session(session || null).lean();
+    const { ratePerHour, source } = resolveHourlyRate(
+      rates,
+      { userId: entry.userId, matterId: entry.matterId, date: entry.workDate },
+      matter.financials?.hourlyRate
+    );
+    entry.billedMinutes = roundUpMinutes(entry.rawMinutes, DEFAULT_TIME_INCREMENT_MINUTES);
+    entry.ratePerHour = ratePerHour;
+    entry.rateSource = source;
+    entry.currency = matter.financials?.currency || 'ZAR';
+    entry.amount = entry.billable ? valueTime(entry.billedMinutes, ratePerHour) : 0;
+    return entry;
+  }
+
+  /**
+   * @function postWip
+   * @desc Appends one signed row to the matter's WIP ledger.
+   */
+  async postWip({ tenantId, matterId }, { type, amount, minutes = 0, timeEntryId, invoiceId, reason, userId, traceId }, session) {
+    const last = await WipTransaction.findOne({ tenantId, matterId })
+      .sort({ createdAt: -1, _id: -1 })
+      .session(session || null)
+      .lean();
+    const balanceAfter = roundCents((last?.balanceAfter || 0) + amount);
+
+    const [row] = await WipTransaction.create([{
+      tenantId,
+      matterId,
+      type,
+      amount: roundCents(amount),
+      minutes,
+      balanceAfter,
+      timeEntryId,
+      invoiceId,
+      reason,
+      performedBy: userId,
+      traceId
+    }], { session });
+    return row;
+  }
+
+  /**
+   * @function recordEntry
+   * @desc Prices an entry and, when billable, brings it into WIP.
+   */
+  async recordEntry(entry, matter, { userId, traceId }, session) {
+    await this.priceEntry(entry, matter, session);
+    entry.status = TIME_ENTRY_STATUS.UNBILLED;
+    await entry.save({ session });
+
+    if (entry.billable && entry.amount > 0) {
+      await this.postWip(entry, {
+        type: WIP_TRANSACTION_TYPES.TIME_RECORDED,
+        amount: entry.amount,
+        minutes: entry.billedMinutes,
+        timeEntryId: entry.entryId,
+        userId,
+        traceId
+      }, session);
+    }
+    return entry;
+  }
+
+  // ==========================================================================
+  // ⏱️ TIMERS
+  // ==========================================================================
+
+  /**
+   * @function startTimer
+   * @desc Starts a timer against a matter. A fee earner has one running timer; any other is paused first.
+   * @param {Object} data - { matterId, activityCode, description, billable, taskId }
+   */
+  async startTimer(tenantId, data, { userId, traceId } = {}) {
+    this.assertActivity(data.activityCode);
+    const matter = await this.loadMatter(tenantId, data.matterId);
+    await this.pauseRunning(tenantId, userId);
+
+    const now = new Date();
+    const entry = await TimeEntry.create({
+      tenantId: String(tenantId),
+      matterId: matter._id,
+      clientId: matter.clientId,
+      userId,
+      taskId: data.taskId,
+      workDate: now,
+      activityCode: data.activityCode,
+      description: data.description || ACTIVITY_CODES[data.activityCode],
+      billable: data.billable !== false,
+      status: TIME_ENTRY_STATUS.RUNNING,
+      timerSegments: [{ startedAt: now }]
+    });
+
+    auditLogger.info('TIME_TIMER_STARTED', { tenantId, entryId: entry.entryId, matterId: String(matter._id), userId, traceId });
+    return entry;
+  }
+
+  async pauseRunning(tenantId, userId) {
+    const running = await TimeEntry.findOne({ tenantId: String(tenantId), userId, status: TIME_ENTRY_STATUS.RUNNING });
+    if (!running) return null;
+    running.timerSegments[running.timerSegments.length - 1].stoppedAt = new Date();
+    running.status = TIME_ENTRY_STATUS.PAUSED;
+    return running.save();
+  }
+
+  /**
+   * @function pauseTimer
+   * @desc Closes the open segment of a running timer.
+   */
+  async pauseTimer(tenantId, entryId, { userId } = {}) {
+    const entry = await this.loadEntry(tenantId, entryId);
+    if (entry.status !== TIME_ENTRY_STATUS.RUNNING) throw new Error(`BILLING_CONFLICT: Timer ${entryId} is not running.`);
+    if (userId && String(entry.userId) !== String(userId)) throw new Error('ACCESS_DENIED: Timers can only be controlled by their owner.');
+
+    entry.timerSegments[entry.timerSegments.length - 1].stoppedAt = new Date();
+    entry.status = TIME_ENTRY_STATUS.PAUSED;
+    return entry.save();
+  }
+
+  /**
+   * @function resumeTimer
+   * @desc Opens a new segment on a paused timer, pausing whichever timer was running.
+   */
+  async resumeTimer(tenantId, entryId, { userId } = {}) {
+    const entry = await this.loadEntry(tenantId, entryId);
+    if (entry.status !== TIME_ENTRY_STATUS.PAUSED) throw new Error(`BILLING_CONFLICT: Timer ${entryId} is not paused.`);
+    if (userId && String(entry.userId) !== String(userId)) throw new Error('ACCESS_DENIED: Timers can only be controlled by their owner.');
+
+    await this.pauseRunning(tenantId, entry.userId);
+    entry.timerSegments.push({ startedAt: new Date() });
+    entry.status = TIME_ENTRY_STATUS.RUNNING;
+    return entry.save();
+  }
+
+  /**
+   * @function stopTimer
+   * @desc Stops a running or paused timer, prices it and posts billable time to WIP.
+   * @param {Object} changes - optional { description, activityCode, billable } to settle on stop
+   */
+  async stopTimer(tenantId, entryId, changes = {}, { userId, traceId } = {}) {
+    return this.withTransaction(async (session) => {
+      const entry = await this.loadEntry(tenantId, entryId, session);
+      if (![TIME_ENTRY_STATUS.RUNNING, TIME_ENTRY_STATUS.PAUSED].includes(entry.status)) {
+        throw new Error(`BILLING_CONFLICT: Timer ${entryId} has already been stopped.`);
+      }
+      if (userId && String(entry.userId) !== String(userId)) throw new Error('ACCESS_DENIED: Timers can only be controlled by their owner.');
+
+      const now = new Date();
+      const open = entry.timerSegments[entry.timerSegments.length - 1];
+      if (open && !open.stoppedAt) open.stoppedAt = now;
+
+      if (changes.activityCode) {
+        this.assertActivity(changes.activityCode);
+        entry.activityCode = changes.activityCode;
+      }
+      if (changes.description !== undefined) entry.description = changes.description;
+      if (changes.billable !== undefined) entry.billable = Boolean(changes.billable);
+      entry.rawMinutes = Math.round(elapsedMinutes(entry.timerSegments, now) * 100) / 100;
+
+      const matter = await this.loadMatter(tenantId, entry.matterId, session);
+      await this.recordEntry(entry, matter, { userId, traceId }, session);
+
+      auditLogger.info('TIME_TIMER_STOPPED', {
+        tenantId, entryId, matterId: String(entry.matterId), rawMinutes: entry.rawMinutes, amount: entry.amount, traceId
+      });
+      return entry;
+    });
+  }
+
+  /**
+   * @function getRunningTimers
+   * @desc A fee earner's running and paused timers with live elapsed minutes.
+   */
+  async getRunningTimers(tenantId, userId) {
+    const entries = await TimeEntry.find({
+      tenantId: String(tenantId),
+      userId,
+      status: { $in: [TIME_ENTRY_STATUS.RUNNING, TIME_ENTRY_STATUS.PAUSED] }
+    }).sort({ createdAt: -1 }).lean();
+    const now = new Date();
+    return entries.map((entry) => ({ ...entry, elapsedMinutes: Math.round(elapsedMinutes(entry.timerSegments, now) * 100) / 100 }));
+  }
+
+  // ==========================================================================
+  // 📝 MANUAL ENTRIES
+  // ==========================================================================
+
+  /**
+   * @function createManualEntry
+   * @desc Records time after the fact against a matter.
+   * @param {Object} data - { matterId, minutes | hours, workDate, activityCode, description, billable, taskId }
+   */
+  async createManualEntry(tenantId, data, { userId, traceId } = {}) {
+    this.assertActivity(data.activityCode);
+    const rawMinutes = data.minutes !== undefined ? Number(data.minutes) : Number(data.hours) * 60;
+    if (!Number.isFinite(rawMinutes) || rawMinutes <= 0 || rawMinutes > 24 * 60) {
+      throw new Error('BILLING_ERROR: Time must be more than 0 and at most 24 hours.');
+    }
+
+    return this.withTransaction(async (session) => {
+      const matter = await this.loadMatter(tenantId, data.matterId, session);
+      const entry = new TimeEntry({
+        tenantId: String(tenantId),
+        matterId: matter._id,
+        clientId: matter.clientId,
+        userId: data.userId || userId,
+        taskId: data.taskId,
+        workDate: data.workDate ? new Date(data.workDate) : new Date(),
+        activityCode: data.activityCode,
+        description: data.description || ACTIVITY_CODES[data.activityCode],
+        billable: data.billable !== false,
+        rawMinutes
+      });
+      await this.recordEntry(entry, matter, { userId, traceId }, session);
+
+      auditLogger.info('TIME_ENTRY_RECORDED', {
+        tenantId, entryId: entry.entryId, matterId: String(matter._id), billedMinutes: entry.billedMinutes, amount: entry.amount, traceId
+      });
+      return entry;
+    });
+  }
+
+  /**
+   * @function updateEntry
+   * @desc Edits an unbilled entry, re-prices it and posts the WIP difference.
+   * @param {Object} changes - { minutes | hours, workDate, activityCode, description, billable }
+   */
+  async updateEntry(tenantId, entryId, changes, { userId, traceId } = {}) {
+    return this.withTransaction(async (session) => {
+      const entry = await this.loadEntry(tenantId, entryId, session);
+      if (entry.status !== TIME_ENTRY_STATUS.UNBILLED) {
+        throw new Error(`BILLING_CONFLICT: Only unbilled time can be edited; ${entryId} is ${entry.status}.`);
+      }
+      if (entry.preBillId) throw new Error(`BILLING_CONFLICT: ${entryId} is on pre-bill ${entry.preBillId}; adjust it there.`);
+      const before = { amount: entry.billable ? entry.amount : 0, minutes: entry.billable ? entry.billedMinutes : 0 };
+
+      if (changes.activityCode) {
+        this.assertActivity(changes.activityCode);
+        entry.activityCode = changes.activityCode;
+      }
+      if (changes.description !== undefined) entry.description = changes.description;
+      if (changes.billable !== undefined) entry.billable = Boolean(changes.billable);
+      if (changes.workDate) entry.workDate = new Date(changes.workDate);
+      if (changes.minutes !== undefined || changes.hours !== undefined) {
+        const rawMinutes = changes.minutes !== undefined ? Number(changes.minutes) : Number(changes.hours) * 60;
+        if (!Number.isFinite(rawMinutes) || rawMinutes <= 0 || rawMinutes > 24 * 60) {
+          throw new Error('BILLING_ERROR: Time must be more than 0 and at most 24 hours.');
+        }
+        entry.rawMinutes = rawMinutes;
+      }
+
+      const matter = await this.loadMatter(tenantId, entry.matterId, session);
+      await this.priceEntry(entry, matter, session);
+      await entry.save({ session });
+
+      const delta = roundCents(entry.amount - before.amount);
+      if (delta !== 0) {
+        await this.postWip(entry, {
+          type: WIP_TRANSACTION_TYPES.TIME_ADJUSTED,
+          amount: delta,
+          minutes: (entry.billable ? entry.billedMinutes : 0) - before.minutes,
+          timeEntryId: entry.entryId,
+          reason: changes.reason,
+          userId,
+          traceId
+        }, session);
+      }
+      return entry;
+    });
+  }
+
+  /**
+   * @function deleteEntry
+   * @desc Removes an unbilled or still-running entry; any WIP it carried is reversed.
+   */
+  async deleteEntry(tenantId, entryId, { userId, traceId, reason } = {}) {
+    return this.withTransaction(async (session) => {
+      const entry = await this.loadEntry(tenantId, entryId, session);
+      if ([TIME_ENTRY_STATUS.BILLED, TIME_ENTRY_STATUS.WRITTEN_OFF].includes(entry.status)) {
+        throw new Error(`BILLING_CONFLICT: ${entry.status} time cannot be deleted.`);
+      }
+      if (entry.preBillId) throw new Error(`BILLING_CONFLICT: ${entryId} is on pre-bill ${entry.preBillId}; adjust it there.`);
+
+      if (entry.status === TIME_ENTRY_STATUS.UNBILLED && entry.billable && entry.amount > 0) {
+        await this.postWip(entry, {
+          type: WIP_TRANSACTION_TYPES.TIME_REVERSED,
+          amount: -entry.amount,
+          minutes: -entry.billedMinutes,
+          timeEntryId: entry.entryId,
+          reason,
+          userId,
+          traceId
+        }, session);
+      }
+      await TimeEntry.deleteOne({ _id: entry._id }, { session });
+
+      auditLogger.info('TIME_ENTRY_DELETED', { tenantId, entryId, matterId: String(entry.matterId), userId, reason, traceId });
+      return { entryId, deleted: true };
+    });
+  }
+
+  /**
+   * @function listEntries
+   * @desc Time sheet query.
+   * @param {Object} filters - { matterId, userId, taskId, status, billable, from, to }
+   */
+  async listEntries(tenantId, { matterId, userId, taskId, status, billable, from, to } = {}) {
+    const query = { tenantId: String(tenantId) };
+    if (matterId) query.matterId = matterId;
+    if (userId) query.userId = userId;
+    if (taskId) query.taskId = taskId;
+    if (status) query.status = status;
+    if (billable !== undefined) query.billable = String(billable) === 'true';
+    if (from || to) {
+      query.workDate = {};
+      if (from) query.workDate.$gte = new Date(from);
+      if (to) query.workDate.$lte = new Date(to);
+    }
+    return TimeEntry.find(query).sort({ workDate: -1, createdAt: -1 }).lean();
+  }
+
+  // ==========================================================================
+  // 💷 RATE CARDS
+  // ==========================================================================
+
+  /**
+   * @function setRate
+   * @desc Adds a rate for an attorney (optionally on one matter) from effectiveFrom. The rate it supersedes is end-dated.
+   * @param {Object} data - { userId, matterId?, ratePerHour, effectiveFrom? }
+   */
+  async setRate(tenantId, { userId, matterId, ratePerHour, effectiveFrom }, { userId: setBy } = {}) {
+    const rate = Number(ratePerHour);
+    if (!userId) throw new Error('BILLING_ERROR: userId is required.');
+    if (!Number.isFinite(rate) || rate < 0) throw new Error('BILLING_ERROR: ratePerHour must be a non-negative number.');
+    if (matterId) await this.loadMatter(tenantId, matterId);
+
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    await BillingRate.updateMany(
+      {
+        tenantId: String(tenantId),
+        userId,
+        matterId: matterId || null,
+        effectiveFrom: { $lt: from },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gt: from } }]
+      },
+      { $set: { effectiveTo: from } }
+    );
+
+    return BillingRate.create({ tenantId: String(tenantId), userId, matterId, ratePerHour: rate, effectiveFrom: from, setBy });
+  }
+
+  async listRates(tenantId, { userId, matterId } = {}) {
+    const query = { tenantId: String(tenantId) };
+    if (userId) query.userId = userId;
+    if (matterId) query.matterId = matterId;
+    return BillingRate.find(query).sort({ userId: 1, effectiveFrom: -1 }).lean();
+  }
+
+  // ==========================================================================
+  // 📒 WORK IN PROGRESS
+  // ==========================================================================
+
+  /**
+   * @function getMatterWip
+   * @desc WIP position for a matter: ledger summary, unbilled entries and the ledger itself.
+   */
+  async getMatterWip(tenantId, matterId) {
+    const matter = await this.loadMatter(tenantId, matterId);
+    const [ledger, unbilled] = await Promise.all([
+      WipTransaction.find({ tenantId: String(tenantId), matterId: matter._id }).sort({ createdAt: 1, _id: 1 }).lean(),
+      TimeEntry.find({ tenantId: String(tenantId), matterId: matter._id, status: TIME_ENTRY_STATUS.UNBILLED, billable: true })
+        .sort({ workDate: 1 })
+        .lean()
+    ]);
+
+    return {
+      matterId: String(matter._id),
+      matterNumber: matter.matterNumber,
+      currency: matter.financials?.currency || 'ZAR',
+      summary: summariseWip(ledger),
+      totalBilled: matter.financials?.totalBilled || 0,
+      unbilledEntries: unbilled,
+      ledger
+    };
+  }
+}
+
+export const timeEntryService = new TimeEntryService();
+export default timeEntryService;
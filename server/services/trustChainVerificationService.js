@@ -0,0 +1,161 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TRUST CHAIN VERIFICATION SERVICE [V1.0.0-FIDUCIARY]                                                                         ║
+ * ║ [LPC RULE 54 AUDIT EVIDENCE | SHA3-512 CHAIN RE-WALK | SIGNED JSON / PDF INTEGRITY REPORT]                                             ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/trustChainVerificationService.js                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The report is signed with TRUST_AUDIT_SIGNING_PRIVATE_KEY (PEM, RSA or EC). The matching public key travels inside the
+ * report so an auditor can verify it offline without access to the platform.
+ */
+
+import crypto from 'node:crypto';
+import PDFDocument from 'pdfkit';
+import { TrustAccount } from '../models/TrustAccount.js';
+import TrustTransaction from '../models/TrustTransaction.js';
+import logger from '../utils/logger.js';
+import { normalizePayload } from '../utils/forensicSigner.js';
+import { verifyTrustChain } from '../utils/trustChainVerifier.js';
+
+const REPORT_SIGNING_ALGORITHM = 'sha512';
+
+class TrustChainVerificationService {
+  /**
+   * @function verifyAccount
+   * @desc Loads the control account and its sub-ledger and re-walks the forensic chain.
+   */
+  async verifyAccount(tenantId) {
+    const account = await TrustAccount.findOne({ tenantId }).lean();
+    if (!account) throw new Error('FIDUCIARY_ERROR: Trust account not found for this tenant.');
+
+    const ledgerEntries = await TrustTransaction.find({ tenantId: String(tenantId) })
+      .select('controlTransactionId type amount previousHash forensicHash')
+      .lean();
+
+    const result = verifyTrustChain({
+      tenantId,
+      genesisSeal: account.genesisSeal,
+      masterIntegritySeal: account.masterIntegritySeal,
+      currentBalance: account.currentBalance,
+      transactions: account.transactions || [],
+      ledgerEntries
+    });
+
+    if (!result.isIntact) {
+      logger.error(`[LPC-ENGINE] 🚨 Trust chain integrity failure for Tenant: ${tenantId} | Findings: ${result.findings.length}`);
+    }
+
+    return { account, result };
+  }
+
+  /**
+   * @function buildIntegrityReport
+   * @desc Verifies the chain and returns a signed, auditor-ready JSON report.
+   */
+  async buildIntegrityReport(tenantId, { generatedBy, traceId } = {}) {
+    const { account, result } = await this.verifyAccount(tenantId);
+
+    const body = {
+      reportId: `TCV-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      generatedAt: new Date().toISOString(),
+      generatedBy: generatedBy ? String(generatedBy) : null,
+      traceId: traceId || null,
+      account: {
+        tenantId: String(tenantId),
+        accountNumber: account.accountNumber,
+        bankName: account.bankName,
+        currentBalance: account.currentBalance,
+        genesisSeal: account.genesisSeal || null,
+        masterIntegritySeal: account.masterIntegritySeal
+      },
+      verification: result
+    };
+
+    return { ...body, signature: this.signPayload(body) };
+  }
+
+  /**
+   * @function signPayload
+   * @desc Signs the canonical (key-sorted) JSON of the report body.
+   */
+  signPayload(body) {
+    const privateKeyPem = process.env.TRUST_AUDIT_SIGNING_PRIVATE_KEY;
+    if (!privateKeyPem) {
+      throw new Error('FIDUCIARY_ERROR: TRUST_AUDIT_SIGNING_PRIVATE_KEY is not configured.');
+    }
+
+    const privateKey = crypto.createPrivateKey(privateKeyPem);
+    const canonical = JSON.stringify(normalizePayload(body));
+
+    return {
+      algorithm: `${REPORT_SIGNING_ALGORITHM.toUpperCase()}with${privateKey.asymmetricKeyType.toUpperCase()}`,
+      payloadHash: crypto.createHash('sha3-512').update(canonical).digest('hex'),
+      value: crypto.sign(REPORT_SIGNING_ALGORITHM, Buffer.from(canonical), privateKey).toString('base64'),
+      publicKey: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }),
+      signedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * @function renderReportPdf
+   * @desc Renders the signed report as a PDF. The signature block reproduces the JSON signature so the printed copy can be
+   * checked against the machine-readable report.
+   */
+  renderReportPdf(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const buffers = [];
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      const { account, verification, signature } = report;
+
+      doc.fontSize(16).text('Trust Account Forensic Chain Integrity Report');
+      doc.moveDown(0.5).fontSize(9)
+        .text(`Report ID: ${report.reportId}`)
+        .text(`Generated: ${report.generatedAt}`)
+        .text(`Account: ${account.bankName} ${account.accountNumber}`)
+        .text(`Control balance: R ${Number(account.currentBalance).toFixed(2)}`)
+        .text(`Movements verified: ${verification.checkedCount}`);
+
+      doc.moveDown().fontSize(13)
+        .fillColor(verification.isIntact ? '#1b5e20' : '#b71c1c')
+        .text(verification.isIntact ? 'RESULT: CHAIN INTACT' : 'RESULT: INTEGRITY FAILURE')
+        .fillColor('black');
+
+      doc.moveDown().fontSize(11).text('Findings');
+      doc.fontSize(9);
+      if (verification.findings.length === 0) {
+        doc.text('No findings.');
+      }
+      verification.findings.forEach((finding, i) => {
+        const position = finding.index !== undefined ? ` @ #${finding.index + 1}` : '';
+        doc.moveDown(0.3)
+          .text(`${i + 1}. [${finding.severity}] ${finding.code}${position} ${finding.transactionId || ''}`)
+          .text(`   ${finding.description}`);
+      });
+
+      doc.moveDown().fontSize(11).text('Seals');
+      doc.fontSize(7)
+        .text(`Genesis: ${account.genesisSeal || 'not anchored'}`)
+        .text(`Master (stored): ${account.masterIntegritySeal}`)
+        .text(`Chain head (computed): ${verification.computedSeal}`);
+
+      doc.moveDown().fontSize(11).text('Digital signature');
+      doc.fontSize(7)
+        .text(`Algorithm: ${signature.algorithm}`)
+        .text(`Payload SHA3-512: ${signature.payloadHash}`)
+        .text(`Signature: ${signature.value}`)
+        .moveDown(0.3)
+        .text(signature.publicKey);
+
+      doc.end();
+    });
+  }
+}
+
+export const trustChainVerificationService = new TrustChainVerificationService();
+export default trustChainVerificationService;
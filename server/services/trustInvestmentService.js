@@ -0,0 +1,394 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TRUST INVESTMENT SERVICE [V1.0.0-FIDUCIARY]                                                                                 ║
+ * ║ [s86(3) / s86(4) PLACEMENTS | DAILY ACCRUAL | MONTH-END CAPITALISATION | FIDELITY FUND LEVY]                                           ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/trustInvestmentService.js                                        ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Placement: client trust ledger TRANSFER out (via lpcService) + investment ledger DEPOSIT, in one MongoDB transaction.
+ * Month-end: gross interest is credited as INTEREST_ACCRUAL and the Fund's share debited as LPC_LEVY, leaving the client's
+ * share capitalised on the investment. Uplift reverses the placement back into the trust current account.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'node:crypto';
+import TrustInvestmentAccount, { INVESTMENT_SECTIONS, INVESTMENT_STATUS } from '../models/TrustInvestmentAccount.js';
+import TrustTransaction from '../models/TrustTransaction.js';
+import FidelityFund from '../models/FidelityFund.js';
+import { lpcService } from './lpcService.js';
+import logger from '../utils/logger.js';
+import { applyTrustMovement } from '../utils/trustReconciliation.js';
+import { computeTrustChainHash } from '../utils/trustChainVerifier.js';
+import {
+  toUtcDay,
+  monthBounds,
+  accrueDailyInterest,
+  buildInterestStatement
+} from '../utils/trustInterest.js';
+
+const roundMicro = (value) => Math.round(value * 1e6) / 1e6;
+
+class TrustInvestmentService {
+  /**
+   * @function withTransaction
+   * @desc Runs fn inside a MongoDB transaction, committing or aborting as one unit.
+   */
+  async withTransaction(fn) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const result = await fn(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  async loadInvestment(tenantId, investmentId, session) {
+    const investment = await TrustInvestmentAccount.findOne({ tenantId: String(tenantId), investmentId }).session(session || null);
+    if (!investment) throw new Error(`FIDUCIARY_ERROR: Trust investment ${investmentId} not found.`);
+    return investment;
+  }
+
+  /**
+   * @function postLedgerRow
+   * @desc Posts one chained row to the investment's ledger and moves its balance.
+   */
+  async postLedgerRow(investment, { type, amount, description, traceId, userId }, session) {
+    const transactionId = `TRST-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const timestamp = Date.now();
+    const previousHash = investment.ledgerHead;
+    const forensicHash = computeTrustChainHash({
+      previousHash, transactionId, amount, type, tenantId: investment.tenantId, traceId, timestamp
+    });
+
+    investment.balance = applyTrustMovement(investment.balance, type, amount);
+    investment.ledgerHead = forensicHash;
+
+    await TrustTransaction.create([{
+      transactionId,
+      tenantId: investment.tenantId,
+      clientId: investment.clientId,
+      matterId: investment.matterId,
+      investmentId: investment.investmentId,
+      type,
+      amount,
+      balanceAfter: investment.balance,
+      lpcReference: description,
+      method: 'INTERNAL_TRANSFER',
+      previousHash,
+      forensicHash,
+      metadata: { authorizedBy: userId, traceId }
+    }], { session });
+
+    return transactionId;
+  }
+
+  /**
+   * @function accrue
+   * @desc Adds daily accrual rows from accruedThrough up to (not including) asOf on the current balance.
+   * Must run before any balance change so each day accrues on the balance it actually held.
+   */
+  accrue(investment, asOf = new Date()) {
+    const rows = accrueDailyInterest({
+      balance: investment.balance,
+      rates: investment.rates,
+      fromDate: investment.accruedThrough,
+      toDate: asOf,
+      dayCountBasis: investment.dayCountBasis
+    });
+    if (rows.length === 0) return 0;
+
+    investment.accruals.push(...rows);
+    investment.accruedInterest = roundMicro(investment.accruedInterest + rows.reduce((sum, r) => sum + r.interest, 0));
+    investment.accruedThrough = toUtcDay(asOf);
+    return rows.length;
+  }
+
+  /**
+   * @function openInvestment
+   * @desc Places client trust money in a s86(3) or s86(4) investment for a matter. The Fidelity Fund share is the
+   *       statutory one for the section; it is never taken from the caller.
+   * @param {Object} data - { clientId, matterId, section, bankName, accountNumber, amount, ratePercent, dayCountBasis }
+   * @param {Object} context - { userId, traceId }
+   */
+  async openInvestment(tenantId, data, { userId, traceId } = {}) {
+    const amount = Number(data.amount);
+    const ratePercent = Number(data.ratePercent);
+    if (!Object.values(INVESTMENT_SECTIONS).includes(data.section)) {
+      throw new Error(`FIDUCIARY_ERROR: section must be one of ${Object.values(INVESTMENT_SECTIONS).join(', ')}.`);
+    }
+    if (!Number.isFinite(amount) || amount <= 0) throw new Error('FIDUCIARY_ERROR: A positive placement amount is required.');
+    if (!Number.isFinite(ratePercent) || ratePercent < 0) throw new Error('FIDUCIARY_ERROR: A bank interest rate (ratePercent) is required.');
+
+    return this.withTransaction(async (session) => {
+      const today = toUtcDay(new Date());
+      const investment = new TrustInvestmentAccount({
+        tenantId: String(tenantId),
+        clientId: data.clientId,
+        matterId: data.matterId,
+        section: data.section,
+        bankName: data.bankName,
+        accountNumber: data.accountNumber,
+        dayCountBasis: data.dayCountBasis,
+        rates: [{ ratePercent, effectiveFrom: today, setBy: userId }],
+        accruedThrough: today,
+        openedBy: userId
+      });
+      investment.ledgerHead = crypto.createHash('sha3-512')
+        .update(`GENESIS-${investment.investmentId}-${tenantId}-${Date.now()}`)
+        .digest('hex');
+
+      const trustMovement = await lpcService.recordTransaction(tenantId, {
+        type: 'TRANSFER',
+        amount,
+        clientId: data.clientId,
+        matterId: data.matterId,
+        method: 'INTERNAL_TRANSFER',
+        reference: investment.investmentId,
+        description: `${data.section} investment placement ${investment.investmentId}`,
+        initiatedBy: userId,
+        forensicId: traceId
+      }, { session });
+
+      await this.postLedgerRow(investment, {
+        type: 'DEPOSIT', amount, description: trustMovement.transactionId, traceId, userId
+      }, session);
+      await investment.save({ session });
+
+      logger.info(`[LPC-ENGINE] 🏦 ${data.section} investment ${investment.investmentId} opened: R${amount.toFixed(2)} @ ${ratePercent}%`);
+      return investment;
+    });
+  }
+
+  /**
+   * @function setRate
+   * @desc Records a bank rate change. Days already accrued cannot be re-rated.
+   */
+  async setRate(tenantId, investmentId, { ratePercent, effectiveFrom }, { userId } = {}) {
+    const rate = Number(ratePercent);
+    if (!Number.isFinite(rate) || rate < 0) throw new Error('FIDUCIARY_ERROR: ratePercent must be a non-negative number.');
+
+    const investment = await this.loadInvestment(tenantId, investmentId);
+    const from = toUtcDay(effectiveFrom || new Date());
+    if (from < investment.accruedThrough) {
+      throw new Error(`FIDUCIARY_ERROR: Interest has already accrued through ${investment.accruedThrough.toISOString().slice(0, 10)}; the rate cannot take effect earlier.`);
+    }
+
+    investment.rates.push({ ratePercent: rate, effectiveFrom: from, setBy: userId });
+    await investment.save();
+    return investment;
+  }
+
+  /**
+   * @function accrueAll
+   * @desc Daily job: accrues every active investment up to asOf (exclusive).
+   */
+  async accrueAll(asOf = new Date()) {
+    const investments = await TrustInvestmentAccount.find({ status: INVESTMENT_STATUS.ACTIVE, accruedThrough: { $lt: toUtcDay(asOf) } });
+    let accrued = 0;
+    for (const investment of investments) {
+      try {
+        if (this.accrue(investment, asOf) > 0) {
+          await investment.save();
+          accrued++;
+        }
+      } catch (error) {
+        logger.error(`[LPC-ENGINE] ❌ Interest accrual failed for ${investment.investmentId}: ${error.message}`);
+      }
+    }
+    return { accrued, total: investments.length };
+  }
+
+  /**
+   * @function allocateInterest
+   * @desc Month-end: rounds the period's accrued interest, splits it with the Fidelity Fund and capitalises the client's
+   * share. Idempotent per period.
+   */
+  async allocateInterest(tenantId, investmentId, { year, month }, { userId, traceId } = {}) {
+    const { periodStart, periodEnd } = monthBounds(Number(year), Number(month));
+    if (periodEnd > toUtcDay(new Date())) throw new Error('FIDUCIARY_ERROR: Interest can only be allocated for a completed month.');
+
+    return this.withTransaction(async (session) => {
+      const investment = await this.loadInvestment(tenantId, investmentId, session);
+      const existing = investment.allocations.find((a) => a.periodStart.getTime() === periodStart.getTime());
+      if (existing) return { investment, allocation: existing, alreadyAllocated: true };
+
+      if (investment.status === INVESTMENT_STATUS.ACTIVE && investment.accruedThrough < periodEnd) {
+        this.accrue(investment, periodEnd);
+      }
+
+      const allocation = await this.allocatePending(investment, { periodStart, periodEnd, traceId, userId }, session);
+      await investment.save({ session });
+      return { investment, allocation, alreadyAllocated: false };
+    });
+  }
+
+  /**
+   * @function allocatePending
+   * @desc Allocates every unallocated accrual dated before periodEnd. Mutates the investment; the caller saves it.
+   */
+  async allocatePending(investment, { periodStart, periodEnd, traceId, userId }, session) {
+    const pending = investment.accruals.filter((a) => !a.allocationId && a.date < periodEnd);
+    const accrued = roundMicro(pending.reduce((sum, a) => sum + a.interest, 0));
+    const split = FidelityFund.calculateInterestShare(accrued, investment.section, investment.fundShare);
+    const allocationId = `IAL-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const period = `${periodStart.toISOString().slice(0, 10)}..${periodEnd.toISOString().slice(0, 10)}`;
+
+    const allocation = { allocationId, periodStart, periodEnd, ...split };
+    if (split.grossInterest > 0) {
+      allocation.interestTransactionId = await this.postLedgerRow(investment, {
+        type: 'INTEREST_ACCRUAL', amount: split.grossInterest, description: `Interest ${period}`, traceId, userId
+      }, session);
+    }
+    if (split.fundShare > 0) {
+      allocation.levyTransactionId = await this.postLedgerRow(investment, {
+        type: 'LPC_LEVY', amount: split.fundShare, description: `Fidelity Fund s86 interest ${period}`, traceId, userId
+      }, session);
+    }
+
+    pending.forEach((a) => { a.allocationId = allocationId; });
+    investment.accruedInterest = roundMicro(investment.accruedInterest - accrued);
+    investment.allocations.push(allocation);
+    return allocation;
+  }
+
+  /**
+   * @function allocateMonthEnd
+   * @desc Monthly job: allocates the given month for every investment that accrued in it.
+   */
+  async allocateMonthEnd({ year, month }) {
+    const { periodStart } = monthBounds(year, month);
+    const investments = await TrustInvestmentAccount.find({
+      accruedThrough: { $gt: periodStart },
+      'allocations.periodStart': { $ne: periodStart }
+    }).select('tenantId investmentId').lean();
+
+    let allocated = 0;
+    for (const { tenantId, investmentId } of investments) {
+      try {
+        await this.allocateInterest(tenantId, investmentId, { year, month }, { traceId: `TRC-SYS-INT-${year}${String(month).padStart(2, '0')}` });
+        allocated++;
+      } catch (error) {
+        logger.error(`[LPC-ENGINE] ❌ Interest allocation failed for ${investmentId}: ${error.message}`);
+      }
+    }
+    return { allocated, total: investments.length };
+  }
+
+  /**
+   * @function upliftInvestment
+   * @desc Returns capital to the client's trust current account ledger. A full uplift first allocates interest accrued in
+   * the current month and closes the investment.
+   */
+  async upliftInvestment(tenantId, investmentId, { amount } = {}, { userId, traceId } = {}) {
+    return this.withTransaction(async (session) => {
+      const investment = await this.loadInvestment(tenantId, investmentId, session);
+      if (investment.status !== INVESTMENT_STATUS.ACTIVE) throw new Error('FIDUCIARY_ERROR: Investment is already closed.');
+
+      const today = toUtcDay(new Date());
+      this.accrue(investment, today);
+
+      const fullUplift = amount === undefined || amount === null || amount === '';
+      if (fullUplift) {
+        const { periodStart } = monthBounds(today.getUTCFullYear(), today.getUTCMonth() + 1);
+        await this.allocatePending(investment, { periodStart, periodEnd: today, traceId, userId }, session);
+      }
+
+      const upliftAmount = fullUplift ? investment.balance : Number(amount);
+      if (!Number.isFinite(upliftAmount) || upliftAmount <= 0) throw new Error('FIDUCIARY_ERROR: A positive uplift amount is required.');
+      if (upliftAmount > investment.balance) {
+        throw new Error(`FIDUCIARY_BREACH: Uplift exceeds the investment balance (R${investment.balance.toFixed(2)}).`);
+      }
+
+      const trustMovement = await lpcService.recordTransaction(tenantId, {
+        type: 'DEPOSIT',
+        amount: upliftAmount,
+        clientId: investment.clientId,
+        matterId: investment.matterId,
+        method: 'INTERNAL_TRANSFER',
+        reference: investment.investmentId,
+        description: `${investment.section} investment uplift ${investment.investmentId}`,
+        initiatedBy: userId,
+        forensicId: traceId
+      }, { session });
+
+      await this.postLedgerRow(investment, {
+        type: 'WITHDRAWAL', amount: upliftAmount, description: trustMovement.transactionId, traceId, userId
+      }, session);
+
+      if (fullUplift) {
+        investment.status = INVESTMENT_STATUS.CLOSED;
+        investment.closedAt = new Date();
+      }
+      await investment.save({ session });
+      return { investment, upliftAmount, trustTransactionId: trustMovement.transactionId };
+    });
+  }
+
+  /**
+   * @function getInterestStatement
+   * @desc Month-end interest statement for the client on one investment.
+   */
+  async getInterestStatement(tenantId, investmentId, { year, month }) {
+    const investment = await this.loadInvestment(tenantId, investmentId);
+    const { periodStart, periodEnd } = monthBounds(Number(year), Number(month));
+    const movements = await TrustTransaction.find({ tenantId: String(tenantId), investmentId })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    return buildInterestStatement({
+      investment: investment.toObject(),
+      periodStart,
+      periodEnd,
+      movements,
+      accruals: investment.accruals
+    });
+  }
+
+  /**
+   * @function listInvestments
+   */
+  async listInvestments(tenantId, { clientId, matterId, status } = {}) {
+    const query = { tenantId: String(tenantId) };
+    if (clientId) query.clientId = clientId;
+    if (matterId) query.matterId = matterId;
+    if (status) query.status = status;
+    return TrustInvestmentAccount.find(query).select('-accruals').sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * @function getFidelityFundLevy
+   * @desc s86 interest payable to the Fidelity Fund for a date range, by section.
+   */
+  async getFidelityFundLevy(tenantId, { from, to } = {}) {
+    const match = { tenantId: String(tenantId), type: 'LPC_LEVY', investmentId: { $ne: null } };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lt = new Date(to);
+    }
+
+    const rows = await TrustTransaction.find(match).select('investmentId amount').lean();
+    const sections = new Map((await TrustInvestmentAccount.find({ investmentId: { $in: [...new Set(rows.map((r) => r.investmentId))] } })
+      .select('investmentId section').lean()).map((i) => [i.investmentId, i.section]));
+
+    const centsBySection = {};
+    rows.forEach((row) => {
+      const section = sections.get(row.investmentId);
+      centsBySection[section] = (centsBySection[section] || 0) + Math.round(row.amount * 100);
+    });
+    const bySection = Object.fromEntries(Object.entries(centsBySection).map(([section, cents]) => [section, cents / 100]));
+    const total = Object.values(centsBySection).reduce((sum, cents) => sum + cents, 0) / 100;
+    return { total, bySection, entries: rows.length };
+  }
+}
+
+export const trustInvestmentService = new TrustInvestmentService();
+export default trustInvestmentService;
@@ -0,0 +1,238 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WEBHOOK SUBSCRIPTIONS [V1.0.0-HOOKS]                                                                                        ║
+ * ║ [SUBSCRIPTIONS | SECRET ISSUE + ROTATION | DELIVERY HISTORY | DEAD-LETTER QUEUE | REPLAY | PING]                                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/webhookService.js                                                ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * What a tenant manages through /api/webhooks. Sending is services/outboxService.js's job; replays and pings here only
+ * create deliveries and hand them to it.
+ */
+
+import crypto from 'node:crypto';
+import WebhookSubscription, { SUBSCRIPTION_STATUS } from '../models/WebhookSubscription.js';
+import WebhookDelivery, { DELIVERY_STATUS } from '../models/WebhookDelivery.js';
+import OutboxEvent, { OUTBOX_STATUS } from '../models/OutboxEvent.js';
+import outboxService, { OUTBOX_JOBS } from './outboxService.js';
+import { EVENT_CATALOGUE } from './domainEventService.js';
+import { encrypt } from '../utils/cryptoCore.js';
+import { normaliseEndpoint, deliveryBody } from '../utils/webhooks.js';
+
+export { SUBSCRIPTION_STATUS, DELIVERY_STATUS };
+
+export const PING_EVENT = 'webhook.ping';
+
+const CATALOGUE_TYPES = new Set(EVENT_CATALOGUE.map((entry) => entry.type));
+
+const webhookError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+const newDeliveryId = () => `WHD-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+class WebhookService {
+  catalogue() {
+    return EVENT_CATALOGUE;
+  }
+
+  normaliseEvents(events = []) {
+    const unique = [...new Set(events.map((event) => String(event).trim()).filter(Boolean))];
+    if (!unique.length) throw webhookError(400, 'WEBHOOK_ERROR: subscribe to at least one event');
+    const unknown = unique.filter((event) => event !== '*' && !CATALOGUE_TYPES.has(event));
+    if (unknown.length) throw webhookError(400, `WEBHOOK_ERROR: not in the event catalogue: ${unknown.join(', ')}`);
+    return unique.includes('*') ? ['*'] : unique;
+  }
+
+  endpoint(url) {
+    return normaliseEndpoint(url, { allowInsecure: process.env.NODE_ENV !== 'production' });
+  }
+
+  // ------------------------------------------------------------------
+  // Subscriptions
+  // ------------------------------------------------------------------
+
+  async listSubscriptions(tenantId, { status } = {}) {
+    const filter = { tenantId: String(tenantId) };
+    if (status) filter.status = status;
+    return WebhookSubscription.find(filter).sort({ createdAt: -1 }).lean();
+  }
+
+  async getSubscription(tenantId, subscriptionId, { withSecret = false } = {}) {
+    const query = WebhookSubscription.findOne({ tenantId: String(tenantId), subscriptionId });
+    const subscription = await (withSecret ? query.select('+encryptedSecret') : query);
+    if (!subscription) throw webhookError(404, `WEBHOOK_ERROR: Subscription ${subscriptionId} not found`);
+    return subscription;
+  }
+
+  /**
+   * @function createSubscription
+   * @desc Stores a subscription and issues its signing secret, which is returned this once and never again.
+   * @returns {Promise<{ subscription: object, secret: string }>}
+   */
+  async createSubscription(tenantId, { name, description, url, events, maxAttempts }, { userId } = {}) {
+    const secret = newSecret();
+    const subscription = await WebhookSubscription.create({
+      tenantId: String(tenantId),
+      name,
+      description,
+      url: this.endpoint(url),
+      events: this.normaliseEvents(events),
+      maxAttempts,
+      encryptedSecret: encrypt(secret, String(tenantId)),
+      createdBy: userId
+    });
+    return { subscription: this.publicView(subscription), secret };
+  }
+
+  async updateSubscription(tenantId, subscriptionId, changes = {}, { userId } = {}) {
+    const subscription = await this.getSubscription(tenantId, subscriptionId);
+    if (subscription.status === SUBSCRIPTION_STATUS.DISABLED) {
+      throw webhookError(409, `WEBHOOK_ERROR: Subscription ${subscriptionId} is disabled`);
+    }
+    if (changes.name !== undefined) subscription.name = changes.name;
+    if (changes.description !== undefined) subscription.description = changes.description;
+    if (changes.url !== undefined) subscription.url = this.endpoint(changes.url);
+    if (changes.events !== undefined) subscription.events = this.normaliseEvents(changes.events);
+    if (changes.maxAttempts !== undefined) subscription.maxAttempts = changes.maxAttempts;
+    if (changes.status !== undefined) {
+      subscription.status = changes.status;
+      if (changes.status === SUBSCRIPTION_STATUS.ACTIVE) subscription.consecutiveFailures = 0;
+    }
+    subscription.updatedBy = userId;
+    await subscription.save();
+    return this.publicView(subscription);
+  }
+
+  async rotateSecret(tenantId, subscriptionId, { userId } = {}) {
+    const subscription = await this.getSubscription(tenantId, subscriptionId);
+    const secret = newSecret();
+    subscription.encryptedSecret = encrypt(secret, String(tenantId));
+    subscription.secretRotatedAt = new Date();
+    subscription.updatedBy = userId;
+    await subscription.save();
+    return { subscription: this.publicView(subscription), secret };
+  }
+
+  /**
+   * @function disableSubscription
+   * @desc Stops all sending to a subscription; its delivery history is kept.
+   */
+  async disableSubscription(tenantId, subscriptionId, { userId } = {}) {
+    const subscription = await this.getSubscription(tenantId, subscriptionId);
+    subscription.status = SUBSCRIPTION_STATUS.DISABLED;
+    subscription.updatedBy = userId;
+    await subscription.save();
+    return this.publicView(subscription);
+  }
+
+  publicView(subscription) {
+    const { encryptedSecret, __v, ...view } = typeof subscription.toObject === 'function' ? subscription.toObject() : subscription;
+    return view;
+  }
+
+  // ------------------------------------------------------------------
+  // Deliveries
+  // ------------------------------------------------------------------
+
+  async listDeliveries(tenantId, { subscriptionId, status, eventType, limit = 50, offset = 0 } = {}) {
+    const filter = { tenantId: String(tenantId) };
+    if (subscriptionId) filter.subscriptionId = subscriptionId;
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).select('-body -attemptLog').sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+    return { deliveries, total, limit, offset };
+  }
+
+  async getDelivery(tenantId, deliveryId) {
+    const delivery = await WebhookDelivery.findOne({ tenantId: String(tenantId), deliveryId }).lean();
+    if (!delivery) throw webhookError(404, `WEBHOOK_ERROR: Delivery ${deliveryId} not found`);
+    return delivery;
+  }
+
+  /**
+   * @function replay
+   * @desc Sends a finished delivery (usually a dead letter) again as a new delivery to the subscription's current URL,
+   *       with a fresh attempt budget. The original is left as it was.
+   */
+  async replay(tenantId, deliveryId, { userId } = {}) {
+    const original = await this.getDelivery(tenantId, deliveryId);
+    if (![DELIVERY_STATUS.DEAD, DELIVERY_STATUS.SUCCEEDED].includes(original.status)) {
+      throw webhookError(409, `WEBHOOK_ERROR: Delivery ${deliveryId} is still ${original.status}`);
+    }
+    const subscription = await this.getSubscription(tenantId, original.subscriptionId);
+    if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+      throw webhookError(409, `WEBHOOK_ERROR: Subscription ${subscription.subscriptionId} is ${subscription.status}; activate it before replaying`);
+    }
+
+    const replayId = newDeliveryId();
+    const body = JSON.stringify({ ...JSON.parse(original.body), deliveryId: replayId });
+    const replay = await WebhookDelivery.create({
+      deliveryId: replayId,
+      tenantId: original.tenantId,
+      subscriptionId: original.subscriptionId,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      url: subscription.url,
+      body,
+      maxAttempts: subscription.maxAttempts,
+      replayOf: original.deliveryId,
+      replayedBy: userId
+    });
+    await outboxService.schedule(OUTBOX_JOBS.DELIVER, { deliveryId: replayId }, { jobId: `deliver-${replayId}-1` });
+    return replay;
+  }
+
+  /**
+   * @function ping
+   * @desc Sends a signed webhook.ping to a subscription straight away and returns the recorded attempt.
+   */
+  async ping(tenantId, subscriptionId) {
+    const subscription = await this.getSubscription(tenantId, subscriptionId);
+    if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+      throw webhookError(409, `WEBHOOK_ERROR: Subscription ${subscriptionId} is ${subscription.status}`);
+    }
+    const deliveryId = newDeliveryId();
+    const event = {
+      eventId: `PING-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      type: PING_EVENT,
+      occurredAt: new Date(),
+      subject: { type: 'webhook_subscription', id: subscriptionId },
+      payload: { message: 'Webhook endpoint check' }
+    };
+    await WebhookDelivery.create({
+      deliveryId,
+      tenantId: String(tenantId),
+      subscriptionId,
+      eventId: event.eventId,
+      eventType: PING_EVENT,
+      url: subscription.url,
+      body: deliveryBody(event, deliveryId),
+      maxAttempts: 1
+    });
+    return outboxService.deliver(deliveryId);
+  }
+
+  async stats(tenantId) {
+    const tenant = String(tenantId);
+    const [byStatus, subscriptions, pendingEvents] = await Promise.all([
+      WebhookDelivery.aggregate([{ $match: { tenantId: tenant } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+      WebhookSubscription.aggregate([{ $match: { tenantId: tenant } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+      OutboxEvent.countDocuments({ tenantId: tenant, status: OUTBOX_STATUS.PENDING })
+    ]);
+    const counts = (rows) => Object.fromEntries(rows.map((row) => [row._id, row.count]));
+    const deliveries = counts(byStatus);
+    return { subscriptions: counts(subscriptions), deliveries, deadLetters: deliveries[DELIVERY_STATUS.DEAD] || 0, pendingEvents };
+  }
+}
+
+export const webhookService = new WebhookService();
+export default webhookService;
@@ -0,0 +1,474 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WORKFLOW ENGINE [V1.0.0-FLOW]                                                                                               ║
+ * ║ [PERSISTED DEFINITIONS | DURABLE INSTANCES | HUMAN TASK INBOX | EVENT TRIGGERS | SLA ESCALATION | BULLMQ]                              ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/services/workflowEngineService.js                                         ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * MongoDB holds every instance's state; the WF_ENGINE queue in jobs/queue.js only says when to look again (start from an
+ * event, take an automatic step, check an SLA). Without REDIS_HOST those jobs run in-process and SLA checks fall to
+ * jobs/workflowSlaJob.js, which also sweeps up any timer Redis lost.
+ */
+
+import WorkflowDefinition, { DEFINITION_STATUS } from '../models/WorkflowDefinition.js';
+import WorkflowInstance, { INSTANCE_STATUS, TRIGGER_TYPES } from '../models/WorkflowInstance.js';
+import auditLogger from '../utils/auditLogger.js';
+import logger from '../utils/logger.js';
+import {
+  STATE_TYPES,
+  normaliseDefinition,
+  stateOf,
+  availableTransitions,
+  nextAutomaticTransition,
+  resolveAssignees,
+  canAct,
+  slaDueAt,
+  triggersFor
+} from '../utils/workflowRules.js';
+
+export { DEFINITION_STATUS, INSTANCE_STATUS, TRIGGER_TYPES };
+
+export const WORKFLOW_JOBS = Object.freeze({
+  EVENT: 'event',
+  ADVANCE: 'advance',
+  SLA: 'sla'
+});
+
+// May act on any open task, e.g. to unblock an instance whose assignee has left
+const OVERRIDE_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+// Guards against definitions whose AUTO states route in a circle
+const MAX_AUTOMATIC_STEPS = 25;
+const SYSTEM = { ethicalWall: false };
+
+const workflowError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+const rolesOf = (user = {}) => [user.role, ...(user.roles || [])].filter(Boolean).map((role) => String(role).toUpperCase());
+const userIdOf = (user = {}) => user._id || user.id;
+
+class WorkflowEngineService {
+  // ------------------------------------------------------------------
+  // Scheduling
+  // ------------------------------------------------------------------
+
+  /**
+   * @function schedule
+   * @desc Queues engine work on WF_ENGINE (BullMQ) or runs it in-process when Redis is not configured.
+   *       Delayed in-process jobs are not kept: the SLA sweep finds them instead.
+   */
+  async schedule(name, payload, { delay = 0, jobId } = {}) {
+    if (process.env.REDIS_HOST) {
+      const { default: queues } = await import('../jobs/queue.js');
+      await queues.workflowQueue.add(name, payload, { delay, jobId });
+      return { queued: true, via: 'bullmq' };
+    }
+    if (delay > 0) return { queued: false, via: 'sweep' };
+    setImmediate(() => {
+      this.process(name, payload).catch((error) => {
+        logger.error('workflowEngine: in-process job failed', { name, error: error.message });
+      });
+    });
+    return { queued: true, via: 'in-process' };
+  }
+
+  /**
+   * @function process
+   * @desc Entry point for WF_ENGINE jobs (see jobs/workflowWorker.js).
+   */
+  async process(name, payload = {}) {
+    if (name === WORKFLOW_JOBS.EVENT) return this.handleEvent(payload);
+    if (name === WORKFLOW_JOBS.ADVANCE) return this.advance(payload.instanceId);
+    if (name === WORKFLOW_JOBS.SLA) return this.checkSla(payload.instanceId);
+    throw workflowError(400, `WORKFLOW_ERROR: Unknown workflow job ${name}`);
+  }
+
+  // ------------------------------------------------------------------
+  // Definitions
+  // ------------------------------------------------------------------
+
+  async listDefinitions(tenantId, { status } = {}) {
+    const filter = { tenantId: String(tenantId) };
+    if (status) filter.status = status;
+    return WorkflowDefinition.find(filter).sort({ updatedAt: -1 }).lean();
+  }
+
+  async getDefinition(tenantId, workflowId) {
+    const definition = await WorkflowDefinition.findOne({ tenantId: String(tenantId), workflowId });
+    if (!definition) throw workflowError(404, `WORKFLOW_ERROR: Workflow ${workflowId} not found`);
+    return definition;
+  }
+
+  async createDefinition(tenantId, { name, description, states, initialState, transitions, triggers }, { userId } = {}) {
+    const canonical = normaliseDefinition({ states, initialState, transitions, triggers });
+    return WorkflowDefinition.create({ tenantId: String(tenantId), name, description, ...canonical, createdBy: userId });
+  }
+
+  /**
+   * @function updateDefinition
+   * @desc Edits a definition. Structural edits bump the version; instances already running keep their snapshot.
+   */
+  async updateDefinition(tenantId, workflowId, changes = {}, { userId } = {}) {
+    const definition = await this.getDefinition(tenantId, workflowId);
+    if (definition.status === DEFINITION_STATUS.ARCHIVED) throw workflowError(409, `WORKFLOW_ERROR: Workflow ${workflowId} is archived`);
+
+    if (changes.name !== undefined) definition.name = changes.name;
+    if (changes.description !== undefined) definition.description = changes.description;
+    if (['states', 'initialState', 'transitions', 'triggers'].some((key) => changes[key] !== undefined)) {
+      const current = definition.toObject();
+      const canonical = normaliseDefinition({
+        states: changes.states ?? current.states,
+        initialState: changes.initialState ?? (changes.states ? undefined : current.initialState),
+        transitions: changes.transitions ?? current.transitions,
+        triggers: changes.triggers ?? current.triggers
+      });
+      Object.assign(definition, canonical);
+      definition.version += 1;
+    }
+    definition.updatedBy = userId;
+    return definition.save();
+  }
+
+  async setDefinitionStatus(tenantId, workflowId, status, { userId } = {}) {
+    const definition = await this.getDefinition(tenantId, workflowId);
+    if (definition.status === DEFINITION_STATUS.ARCHIVED) throw workflowError(409, `WORKFLOW_ERROR: Workflow ${workflowId} is archived`);
+    definition.status = status;
+    definition.updatedBy = userId;
+    if (status === DEFINITION_STATUS.ACTIVE) definition.activatedAt = new Date();
+    if (status === DEFINITION_STATUS.ARCHIVED) definition.archivedAt = new Date();
+    return definition.save();
+  }
+
+  // ------------------------------------------------------------------
+  // Instances
+  // ------------------------------------------------------------------
+
+  /**
+   * @function enterState
+   * @desc Moves an (unsaved) instance into a state: opens its task, sets the SLA, or completes the instance.
+   */
+  enterState(instance, stateKey, { action, by, comment, from = instance.currentState, now = new Date() } = {}) {
+    const state = stateOf(instance.definition, stateKey);
+    if (!state) throw workflowError(409, `WORKFLOW_ERROR: State ${stateKey} is not part of this workflow`);
+
+    instance.history.push({ from, to: stateKey, action, by, comment, at: now });
+    instance.currentState = stateKey;
+    instance.enteredStateAt = now;
+
+    if (state.type === STATE_TYPES.TASK) {
+      const assignees = resolveAssignees(state, instance.context);
+      instance.task = { ...assignees, dueAt: slaDueAt(state, now), escalatedAt: undefined };
+    } else {
+      instance.task = { roles: [], userIds: [] };
+    }
+    if (state.type === STATE_TYPES.END) {
+      instance.status = INSTANCE_STATUS.COMPLETED;
+      instance.completedAt = now;
+    }
+    return state;
+  }
+
+  async saveInstance(instance) {
+    try {
+      return await instance.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw workflowError(409, `WORKFLOW_CONFLICT: Instance ${instance.instanceId} was changed by someone else; reload and retry`, 'WORKFLOW_CONFLICT');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @function afterEnter
+   * @desc Follow-up work for the state an instance has just entered.
+   */
+  async afterEnter(instance) {
+    const state = stateOf(instance.definition, instance.currentState);
+    if (instance.status !== INSTANCE_STATUS.RUNNING) return;
+    if (state.type === STATE_TYPES.AUTO) {
+      await this.schedule(WORKFLOW_JOBS.ADVANCE, { instanceId: instance.instanceId });
+    } else if (instance.task?.dueAt) {
+      await this.schedule(WORKFLOW_JOBS.SLA, { instanceId: instance.instanceId }, {
+        delay: Math.max(0, instance.task.dueAt.getTime() - Date.now()),
+        jobId: `sla-${instance.instanceId}-${instance.enteredStateAt.getTime()}`
+      });
+    }
+  }
+
+  /**
+   * @function startInstance
+   * @desc Starts an ACTIVE workflow. `trigger.eventId` makes event starts idempotent.
+   */
+  async startInstance(tenantId, workflowId, { context = {}, subject, matterId, trigger, userId } = {}) {
+    const definition = await this.getDefinition(tenantId, workflowId);
+    if (definition.status !== DEFINITION_STATUS.ACTIVE) {
+      throw workflowError(409, `WORKFLOW_ERROR: Workflow ${workflowId} is ${definition.status}; only ACTIVE workflows start`);
+    }
+
+    const instance = new WorkflowInstance({
+      tenantId: String(tenantId),
+      workflowId,
+      workflowName: definition.name,
+      definitionVersion: definition.version,
+      definition: { states: definition.states, transitions: definition.transitions },
+      currentState: definition.initialState,
+      context,
+      subject,
+      matterId,
+      trigger: trigger || { type: TRIGGER_TYPES.MANUAL },
+      startedBy: userId
+    });
+    this.enterState(instance, definition.initialState, { action: 'start', by: userId, from: null });
+
+    await instance.save();
+    await this.afterEnter(instance);
+    auditLogger.info('WORKFLOW_STARTED', { tenantId, workflowId, instanceId: instance.instanceId, trigger: instance.trigger?.type });
+    return instance;
+  }
+
+  async listInstances(tenantId, { status, workflowId, limit = 50, offset = 0 } = {}) {
+    const filter = { tenantId: String(tenantId) };
+    if (status) filter.status = status;
+    if (workflowId) filter.workflowId = workflowId;
+    const [instances, total] = await Promise.all([
+      WorkflowInstance.find(filter).select('-definition -history').sort({ updatedAt: -1 }).skip(offset).limit(limit).lean(),
+      WorkflowInstance.countDocuments(filter)
+    ]);
+    return { instances, total, limit, offset };
+  }
+
+  async getInstance(tenantId, instanceId) {
+    const instance = await WorkflowInstance.findOne({ tenantId: String(tenantId), instanceId });
+    if (!instance) throw workflowError(404, `WORKFLOW_ERROR: Workflow instance ${instanceId} not found`);
+    return instance;
+  }
+
+  /**
+   * @function describeInstance
+   * @desc An instance plus what the given user can do with it now.
+   */
+  describeInstance(instance, user) {
+    const open = instance.status === INSTANCE_STATUS.RUNNING;
+    const allowed = open && this.mayAct(user, instance);
+    return {
+      ...instance.toObject(),
+      availableActions: allowed
+        ? availableTransitions(instance.definition, instance.currentState, instance.context)
+          .map(({ action, name, to, requiresComment }) => ({ action, name, to, requiresComment }))
+        : []
+    };
+  }
+
+  mayAct(user, instance) {
+    return canAct(user, instance.task || {}) || rolesOf(user).some((role) => OVERRIDE_ROLES.includes(role));
+  }
+
+  /**
+   * @function transition
+   * @desc A person completes the current task by taking one of its actions.
+   */
+  async transition(tenantId, instanceId, { action, comment, data } = {}, user = {}) {
+    const instance = await this.getInstance(tenantId, instanceId);
+    if (instance.status !== INSTANCE_STATUS.RUNNING) {
+      throw workflowError(409, `WORKFLOW_ERROR: Instance ${instanceId} is ${instance.status}`);
+    }
+    if (!this.mayAct(user, instance)) {
+      throw workflowError(403, `WORKFLOW_ERROR: You are not an assignee of the ${instance.currentState} task`);
+    }
+
+    if (data && typeof data === 'object') instance.context = { ...instance.context, ...data };
+    const transition = availableTransitions(instance.definition, instance.currentState, instance.context)
+      .find((candidate) => candidate.action === action);
+    if (!transition) {
+      throw workflowError(409, `WORKFLOW_ERROR: "${action}" is not available from ${instance.currentState}`);
+    }
+    if (transition.requiresComment && !comment) throw workflowError(400, `WORKFLOW_ERROR: "${action}" needs a comment`);
+
+    const previousState = instance.currentState;
+    this.enterState(instance, transition.to, { action, by: userIdOf(user), comment });
+    await this.saveInstance(instance);
+    await this.afterEnter(instance);
+    return { instance, previousState, transition };
+  }
+
+  /**
+   * @function advance
+   * @desc Takes automatic transitions until the instance waits on a person or finishes.
+   */
+  async advance(instanceId) {
+    const instance = await WorkflowInstance.findOne({ instanceId }).setOptions(SYSTEM);
+    if (!instance || instance.status !== INSTANCE_STATUS.RUNNING) return null;
+
+    for (let step = 0; step < MAX_AUTOMATIC_STEPS; step++) {
+      const state = stateOf(instance.definition, instance.currentState);
+      if (state.type !== STATE_TYPES.AUTO) break;
+      const transition = nextAutomaticTransition(instance.definition, instance.currentState, instance.context);
+      if (!transition) {
+        instance.status = INSTANCE_STATUS.FAILED;
+        instance.error = `No automatic transition out of ${instance.currentState} matched the context`;
+        break;
+      }
+      this.enterState(instance, transition.to, { action: transition.action });
+    }
+    if (instance.status === INSTANCE_STATUS.RUNNING && stateOf(instance.definition, instance.currentState).type === STATE_TYPES.AUTO) {
+      instance.status = INSTANCE_STATUS.FAILED;
+      instance.error = `Stopped after ${MAX_AUTOMATIC_STEPS} automatic steps; the definition loops`;
+    }
+
+    await this.saveInstance(instance);
+    if (instance.status === INSTANCE_STATUS.FAILED) {
+      auditLogger.warn('WORKFLOW_FAILED', { tenantId: instance.tenantId, instanceId, error: instance.error });
+    }
+    await this.afterEnter(instance);
+    return instance;
+  }
+
+  async cancel(tenantId, instanceId, { reason } = {}, user = {}) {
+    const instance = await this.getInstance(tenantId, instanceId);
+    if (instance.status !== INSTANCE_STATUS.RUNNING) {
+      throw workflowError(409, `WORKFLOW_ERROR: Instance ${instanceId} is ${instance.status}`);
+    }
+    instance.status = INSTANCE_STATUS.CANCELLED;
+    instance.cancelledBy = userIdOf(user);
+    instance.cancelledAt = new Date();
+    instance.cancellationReason = reason;
+    instance.task = { roles: [], userIds: [] };
+    instance.history.push({ from: instance.currentState, to: instance.currentState, action: 'cancel', by: userIdOf(user), comment: reason });
+    return this.saveInstance(instance);
+  }
+
+  /**
+   * @function inbox
+   * @desc Open tasks assigned to the user, by name or by role, soonest due first.
+   */
+  async inbox(tenantId, user = {}, { limit = 50, offset = 0 } = {}) {
+    const userId = userIdOf(user);
+    const filter = {
+      tenantId: String(tenantId),
+      status: INSTANCE_STATUS.RUNNING,
+      $or: [{ 'task.userIds': String(userId) }, { 'task.roles': { $in: rolesOf(user) } }]
+    };
+    const [tasks, total] = await Promise.all([
+      WorkflowInstance.find(filter)
+        .select('instanceId workflowId workflowName currentState enteredStateAt task subject matterId context')
+        .sort({ 'task.dueAt': 1, enteredStateAt: 1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      WorkflowInstance.countDocuments(filter)
+    ]);
+    const now = Date.now();
+    return {
+      total,
+      tasks: tasks.map((task) => ({ ...task, overdue: Boolean(task.task?.dueAt && new Date(task.task.dueAt).getTime() < now) }))
+    };
+  }
+
+  // ------------------------------------------------------------------
+  // Event triggers
+  // ------------------------------------------------------------------
+
+  /**
+   * @function handleEvent
+   * @desc Starts every ACTIVE workflow of the event's tenant whose trigger the event fires. Redelivered events are
+   *       ignored per workflow through the unique (workflowId, trigger.eventId) index.
+   */
+  async handleEvent(event = {}) {
+    const definitions = await WorkflowDefinition.find({
+      tenantId: String(event.tenantId),
+      status: DEFINITION_STATUS.ACTIVE,
+      'triggers.event': event.type
+    });
+
+    const started = [];
+    for (const definition of definitions) {
+      if (!triggersFor(definition, event).length) continue;
+      try {
+        const instance = await this.startInstance(event.tenantId, definition.workflowId, {
+          context: { event: { eventId: event.eventId, type: event.type, occurredAt: event.occurredAt }, [event.subject?.type || 'subject']: event.payload },
+          subject: event.subject,
+          matterId: event.matterId,
+          trigger: { type: TRIGGER_TYPES.EVENT, event: event.type, eventId: event.eventId }
+        });
+        started.push(instance.instanceId);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    return { event: event.type, started };
+  }
+
+  // ------------------------------------------------------------------
+  // SLA timers
+  // ------------------------------------------------------------------
+
+  /**
+   * @function checkSla
+   * @desc Escalates an open task whose SLA has run out: the state's escalation roles join the assignees.
+   */
+  async checkSla(instanceId, now = new Date()) {
+    const instance = await WorkflowInstance.findOne({ instanceId }).setOptions(SYSTEM);
+    if (!instance || instance.status !== INSTANCE_STATUS.RUNNING) return null;
+    if (!instance.task?.dueAt || instance.task.escalatedAt || instance.task.dueAt > now) return null;
+
+    const state = stateOf(instance.definition, instance.currentState);
+    const escalateTo = state?.sla?.escalateTo || [];
+    instance.task.roles = [...new Set([...(instance.task.roles || []), ...escalateTo])];
+    instance.task.escalatedAt = now;
+    instance.history.push({ from: instance.currentState, to: instance.currentState, action: 'sla_breached', at: now });
+    await this.saveInstance(instance);
+
+    auditLogger.warn('WORKFLOW_SLA_BREACHED', {
+      tenantId: instance.tenantId,
+      instanceId,
+      workflowId: instance.workflowId,
+      state: instance.currentState,
+      dueAt: instance.task.dueAt,
+      escalatedTo: escalateTo
+    });
+    return instance;
+  }
+
+  /**
+   * @function sweepSla
+   * @desc Escalates every task past its SLA that has not been escalated yet.
+   */
+  async sweepSla(now = new Date()) {
+    const overdue = await WorkflowInstance.find({
+      status: INSTANCE_STATUS.RUNNING,
+      'task.dueAt': { $lte: now },
+      'task.escalatedAt': null
+    }).select('instanceId').setOptions(SYSTEM).lean();
+
+    let escalated = 0;
+    for (const { instanceId } of overdue) {
+      try {
+        if (await this.checkSla(instanceId, now)) escalated++;
+      } catch (error) {
+        // A concurrent transition won; the task is no longer the one that breached
+        if (error.code !== 'WORKFLOW_CONFLICT') throw error;
+      }
+    }
+    return { checked: overdue.length, escalated };
+  }
+
+  async metrics(tenantId) {
+    const tenant = String(tenantId);
+    const [byStatus, definitions, overdueTasks] = await Promise.all([
+      WorkflowInstance.aggregate([{ $match: { tenantId: tenant } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+      WorkflowDefinition.aggregate([{ $match: { tenantId: tenant } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+      WorkflowInstance.countDocuments({ tenantId: tenant, status: INSTANCE_STATUS.RUNNING, 'task.dueAt': { $lt: new Date() } })
+    ]);
+    const counts = (rows) => Object.fromEntries(rows.map((row) => [row._id, row.count]));
+    return { definitions: counts(definitions), instances: counts(byStatus), overdueTasks };
+  }
+}
+
+export const workflowEngineService = new WorkflowEngineService();
+export default workflowEngineService;
@@ -0,0 +1,174 @@
+/* eslint-disable */
+/**
+ * 🧪 Ethical Wall Enforcement Audit
+ * @description A user screened from a matter does not see its records in lists or aggregates, is refused (403,
+ * recorded for the risk partner) when a lookup or write reaches one directly, and is refused a request that names the
+ * matter in its query string or body.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import ethicalWallPlugin from '../../models/plugins/ethicalWallPlugin.js';
+import Conflict from '../../models/Conflict.js';
+import ethicalWallService from '../../services/ethicalWallService.js';
+import { tenantStorage } from '../../middleware/tenantContext.js';
+import { bindEthicalWall, requireMatterAccess } from '../../middleware/ethicalWall.js';
+import auditLogger from '../../utils/auditLogger.js';
+
+const TENANT = 'tenant-walls';
+const USER = new mongoose.Types.ObjectId().toString();
+const WALLED = new mongoose.Types.ObjectId();
+const OPEN = new mongoose.Types.ObjectId();
+const WALL = { wallId: 'EW-1', conflictId: new mongoose.Types.ObjectId().toString(), matterId: String(WALLED) };
+
+const probeSchema = new mongoose.Schema({ tenantId: String, matterId: mongoose.Schema.Types.ObjectId, title: String });
+probeSchema.plugin(ethicalWallPlugin, { matterField: 'matterId', resource: 'probe' });
+const Probe = mongoose.models.EthicalWallProbe || mongoose.model('EthicalWallProbe', probeSchema);
+
+const screen = () => ({
+  walls: new Map([[String(WALLED), WALL], ['MAT-2026-0099', WALL]]),
+  objectIds: [WALLED],
+  keys: [String(WALLED), 'MAT-2026-0099']
+});
+
+// Queries are run (exec) inside the request context, as they are in a route handler
+const asWalledUser = (fn) => tenantStorage.run({ tenantId: TENANT, ethicalWall: { tenantId: TENANT, userId: USER } }, fn);
+
+const refusal = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the ethical wall to refuse');
+};
+
+describe('🧱 Ethical walls', () => {
+  let security;
+
+  beforeEach(() => {
+    sinon.stub(ethicalWallService, 'screenFor').resolves(screen());
+    sinon.stub(Conflict, 'updateOne').resolves({});
+    security = sinon.stub(auditLogger, 'security');
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('ethicalWallPlugin', () => {
+    it('filters screened matters out of a list', async () => {
+      const find = sinon.stub(mongoose.Query.prototype, '_find').callsFake(async function () { return this.getFilter(); });
+
+      const filter = await asWalledUser(() => Probe.find({ tenantId: TENANT }).exec());
+
+      expect(find.calledOnce).to.equal(true);
+      expect(filter.tenantId).to.equal(TENANT);
+      expect(filter.$and).to.deep.equal([{ matterId: { $nin: [WALLED] } }]);
+      expect(security.called).to.equal(false);
+    });
+
+    it('leaves lists alone for a user behind no wall and for system reads', async () => {
+      ethicalWallService.screenFor.resolves({ walls: new Map(), objectIds: [], keys: [] });
+      sinon.stub(mongoose.Query.prototype, '_find').callsFake(async function () { return this.getFilter(); });
+
+      expect(await asWalledUser(() => Probe.find({ tenantId: TENANT }).exec())).to.deep.equal({ tenantId: TENANT });
+      ethicalWallService.screenFor.resolves(screen());
+      expect(await asWalledUser(() => Probe.find({ tenantId: TENANT }).setOptions({ ethicalWall: false }).exec())).to.deep.equal({ tenantId: TENANT });
+    });
+
+    it('refuses a list that names a screened matter and records the attempt', async () => {
+      const find = sinon.stub(mongoose.Query.prototype, '_find').resolves([]);
+
+      const error = await refusal(asWalledUser(() => Probe.find({ matterId: WALLED }).exec()));
+
+      expect(error).to.include({ status: 403, code: 'ETHICAL_WALL' });
+      expect(find.called).to.equal(false);
+      expect(security.calledOnceWith('ETHICAL_WALL_BLOCKED', sinon.match({ tenantId: TENANT, userId: USER, wallId: 'EW-1', resource: 'probe', action: 'find' }))).to.equal(true);
+      expect(Conflict.updateOne.firstCall.args[0]).to.deep.equal({ _id: WALL.conflictId });
+    });
+
+    it('refuses a direct findOne on a screened record and records it', async () => {
+      const target = { _id: new mongoose.Types.ObjectId(), matterId: WALLED };
+      sinon.stub(mongoose.Query.prototype, '_findOne').callsFake(async function () {
+        // The walled lookup misses; the unscoped look-up that explains the miss finds the record
+        return this.getOptions().ethicalWall === false ? target : null;
+      });
+
+      const error = await refusal(asWalledUser(() => Probe.findOne({ _id: target._id }).exec()));
+
+      expect(error.status).to.equal(403);
+      expect(security.calledOnceWith('ETHICAL_WALL_BLOCKED', sinon.match({ action: 'findOne', recordId: String(target._id), matterId: String(WALLED) }))).to.equal(true);
+    });
+
+    it('reports a missing record as missing, not as screened', async () => {
+      sinon.stub(mongoose.Query.prototype, '_findOne').resolves(null);
+
+      expect(await asWalledUser(() => Probe.findOne({ _id: new mongoose.Types.ObjectId() }).exec())).to.equal(null);
+      expect(security.called).to.equal(false);
+    });
+
+    it('refuses an updateOne that only misses because of the wall', async () => {
+      const target = { _id: new mongoose.Types.ObjectId(), matterId: WALLED };
+      const update = sinon.stub(mongoose.Query.prototype, '_updateOne').callsFake(async function () {
+        return { matchedCount: 0, modifiedCount: 0, filter: this.getFilter() };
+      });
+      sinon.stub(mongoose.Query.prototype, '_findOne').resolves(target);
+
+      const error = await refusal(asWalledUser(() => Probe.updateOne({ _id: target._id }, { $set: { title: 'x' } }).exec()));
+
+      expect(error.status).to.equal(403);
+      expect((await update.firstCall.returnValue).filter.$and).to.deep.equal([{ matterId: { $nin: [WALLED] } }]);
+      expect(security.calledOnceWith('ETHICAL_WALL_BLOCKED', sinon.match({ action: 'updateOne', recordId: String(target._id) }))).to.equal(true);
+    });
+
+    it('inserts a $match after the stages that must lead an aggregate', async () => {
+      const aggregate = sinon.stub(Probe.collection, 'aggregate').resolves({ toArray: async () => [] });
+
+      await asWalledUser(() => Probe.aggregate([
+        { $geoNear: { near: { type: 'Point', coordinates: [28, -26] }, distanceField: 'd' } },
+        { $group: { _id: '$matterId', n: { $sum: 1 } } }
+      ]).exec());
+
+      expect(aggregate.firstCall.args[0]).to.deep.equal([
+        { $geoNear: { near: { type: 'Point', coordinates: [28, -26] }, distanceField: 'd' } },
+        { $match: { matterId: { $nin: [WALLED] } } },
+        { $group: { _id: '$matterId', n: { $sum: 1 } } }
+      ]);
+    });
+  });
+
+  describe('bindEthicalWall', () => {
+    const run = (middleware, req) => new Promise((resolve) => middleware(req, {}, resolve));
+    const request = (extra) => ({ user: { _id: USER, tenantId: TENANT }, method: 'POST', path: '/', baseUrl: '/api/time-entries', params: {}, query: {}, body: {}, ...extra });
+
+    it('refuses a body that names a screened matter', async () => {
+      const error = await run(bindEthicalWall, request({ body: { matterId: String(WALLED), hours: 1 } }));
+
+      expect(error).to.include({ status: 403, code: 'ETHICAL_WALL' });
+      expect(security.calledOnceWith('ETHICAL_WALL_BLOCKED', sinon.match({ resource: 'time-entries', action: 'POST /' }))).to.equal(true);
+    });
+
+    it('refuses a query string that names a screened matter by number', async () => {
+      const error = await run(bindEthicalWall, request({ method: 'GET', query: { matterId: 'MAT-2026-0099' } }));
+
+      expect(error?.status).to.equal(403);
+    });
+
+    it('lets other matters through and binds the user for the models', async () => {
+      let bound;
+      await new Promise((resolve) => bindEthicalWall(request({ body: { matterId: String(OPEN) } }), {}, (error) => {
+        bound = { error, subject: ethicalWallService.currentSubject() };
+        resolve();
+      }));
+
+      expect(bound.error).to.equal(undefined);
+      expect(bound.subject).to.deep.equal({ tenantId: TENANT, userId: USER });
+      expect(security.called).to.equal(false);
+    });
+
+    it('guards a matter in a route param', async () => {
+      const error = await asWalledUser(() => run(requireMatterAccess('matterId'), request({ method: 'GET', params: { matterId: String(WALLED) } })));
+
+      expect(error?.status).to.equal(403);
+    });
+  });
+});
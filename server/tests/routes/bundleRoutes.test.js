@@ -0,0 +1,191 @@
+/* eslint-disable */
+/**
+ * 🧪 Court Bundle Routes Audit
+ * @description Creating a bundle records the selection with a fingerprint per document and queues the compile, which
+ * writes the paginated PDF to the vault and the page range of each item back onto the bundle (or marks it FAILED).
+ * Regeneration only recompiles when a bundled document changed, and client users only reach bundles on their own
+ * matters.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import CourtBundle, { BUNDLE_STATUS } from '../../models/CourtBundle.js';
+import Document from '../../models/Document.js';
+import Matter from '../../models/Matter.js';
+import SovereignPdfStore from '../../services/pdfStore.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { fingerprintDocument } from '../../utils/bundleCompiler.js';
+import { bundleService } from '../../services/bundleService.js';
+import bundleRoutes from '../../routes/bundleRoutes.js';
+
+const TENANT = 'tenant-bundles';
+const CLIENT = new mongoose.Types.ObjectId();
+const MATTER = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Dlamini v Minister of Police',
+  matterNumber: 'MAT-2026-0042',
+  courtDetails: { court: 'high_court', caseNumber: '1234/2026' }
+};
+
+const appAs = (role, user = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: new mongoose.Types.ObjectId(), email: `${role}@nkosi.co.za`, role, tenantId: TENANT, ...user };
+    next();
+  });
+  app.use('/api/bundles', bundleRoutes);
+  // API fault interceptor: bundle faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+  return app;
+};
+
+const lean = (result) => ({ select() { return this; }, lean: async () => result });
+
+describe('📚 Court bundle routes', () => {
+  let documents;
+  let bundle;
+  let saved;
+
+  beforeEach(() => {
+    documents = [
+      { _id: new mongoose.Types.ObjectId(), title: 'Summons', content: '<p>Summons commencing action</p>', version: 1, createdAt: new Date('2026-03-02') },
+      { _id: new mongoose.Types.ObjectId(), title: 'Plea', content: 'The defendant pleads as follows.', version: 1, createdAt: new Date('2026-04-14') }
+    ];
+    saved = [];
+    sinon.stub(Document, 'find').callsFake((filter) => lean(documents.filter((doc) => filter._id.$in.includes(String(doc._id)))));
+    sinon.stub(Matter, 'findOne').callsFake(() => lean(MATTER));
+    sinon.stub(CourtBundle, 'create').callsFake(async (fields) => { bundle = new CourtBundle(fields); return bundle; });
+    sinon.stub(CourtBundle, 'findOne').callsFake(async () => bundle);
+    sinon.stub(CourtBundle.prototype, 'save').callsFake(async function save() { saved.push(this.status); return this; });
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'warn');
+    sinon.stub(auditLogger, 'error');
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  const selection = () => ({
+    caseId: String(MATTER._id),
+    name: 'Trial Bundle',
+    documents: [
+      { documentId: String(documents[1]._id), order: 1, section: 'B' },
+      { documentId: String(documents[0]._id), order: 1, section: 'A' }
+    ]
+  });
+
+  it('records the selection, queues the compile and writes the page ranges back to the bundle', async () => {
+    let compiled;
+    const stored = new Promise((resolve) => { compiled = resolve; });
+    const storePdf = sinon.stub(SovereignPdfStore, 'storePdf').callsFake(async (...args) => { setImmediate(compiled); return args; });
+
+    const res = await request(appAs('lawyer')).post('/api/bundles').send(selection());
+
+    expect(res.status).to.equal(202);
+    expect(res.body.data.bundle).to.include({ status: BUNDLE_STATUS.QUEUED, caseId: String(MATTER._id) });
+    expect(res.body.data.queue).to.deep.equal({ queued: true, via: 'in-process' });
+    expect(bundle.documents.map((entry) => entry.fingerprint)).to.deep.equal([fingerprintDocument(documents[1]), fingerprintDocument(documents[0])]);
+
+    await stored;
+    const [tenantId, traceId, bytes] = storePdf.firstCall.args;
+    expect([tenantId, traceId]).to.deep.equal([TENANT, `${bundle.bundleId}-R1`]);
+    expect(bytes.subarray(0, 5).toString()).to.equal('%PDF-');
+    expect(saved).to.deep.equal([BUNDLE_STATUS.COMPILING, BUNDLE_STATUS.READY]);
+    expect(bundle.revision).to.equal(1);
+    expect(bundle.documents.map(({ item, pageStart, pageEnd }) => [item, pageStart, pageEnd])).to.deep.equal([['B1', 5, 5], ['A1', 3, 3]]);
+    expect(bundle.output.toObject()).to.include({ traceId, totalPages: 5, indexPages: 1 });
+  });
+
+  it('refuses a document listed twice', async () => {
+    const body = selection();
+    body.documents[1].documentId = body.documents[0].documentId;
+
+    const res = await request(appAs('lawyer')).post('/api/bundles').send(body);
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal(`BUNDLE_ERROR: Document(s) listed twice: ${body.documents[0].documentId}.`);
+    expect(CourtBundle.create.called).to.equal(false);
+  });
+
+  it('is not compiled for clients', async () => {
+    const res = await request(appAs('client', { clientId: String(CLIENT) })).post('/api/bundles').send(selection());
+
+    expect(res.status).to.equal(403);
+    expect(CourtBundle.create.called).to.equal(false);
+  });
+
+  it('marks the bundle FAILED when a document has nothing to print', async () => {
+    await bundleService.createBundle(TENANT, selection(), {});
+    delete documents[0].content;
+
+    let fault;
+    try {
+      await bundleService.compile(TENANT, bundle.bundleId);
+    } catch (error) {
+      fault = error;
+    }
+
+    expect(fault.status).to.equal(422);
+    expect(bundle).to.include({ status: BUNDLE_STATUS.FAILED, error: 'BUNDLE_ERROR: Document "Summons" has no uploaded file or content.' });
+  });
+
+  describe('regeneration', () => {
+    beforeEach(async () => {
+      await bundleService.createBundle(TENANT, selection(), {});
+      bundle.status = BUNDLE_STATUS.READY;
+      sinon.stub(bundleService, 'compile').resolves(bundle);
+    });
+
+    it('leaves an unchanged bundle alone', async () => {
+      const res = await request(appAs('paralegal')).post(`/api/bundles/${bundle.bundleId}/regenerate`).send({});
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.include({ regenerated: false });
+      expect(bundle.status).to.equal(BUNDLE_STATUS.READY);
+    });
+
+    it('requeues the bundle when a bundled document changed', async () => {
+      documents[0].title = 'Amended summons';
+
+      const res = await request(appAs('paralegal')).post(`/api/bundles/${bundle.bundleId}/regenerate`).send({});
+
+      expect(res.status).to.equal(202);
+      expect(res.body.data.changed).to.deep.equal([String(documents[0]._id)]);
+      expect(saved).to.deep.equal([BUNDLE_STATUS.QUEUED]);
+    });
+  });
+
+  describe('client access', () => {
+    beforeEach(async () => {
+      await bundleService.createBundle(TENANT, selection(), {});
+      bundle.status = BUNDLE_STATUS.READY;
+      bundle.revision = 1;
+      bundle.output = { traceId: `${bundle.bundleId}-R1`, totalPages: 5, sealHash: 'f'.repeat(64) };
+      sinon.stub(SovereignPdfStore, 'get').resolves(Buffer.from('%PDF-1.7 bundle'));
+    });
+
+    it("downloads a bundle on the client's own matter", async () => {
+      sinon.stub(Matter, 'exists').resolves({ _id: MATTER._id });
+
+      const res = await request(appAs('client', { clientId: String(CLIENT) })).get(`/api/bundles/${bundle.bundleId}/download`);
+
+      expect(res.status).to.equal(200);
+      expect(res.headers['x-bundle-seal']).to.equal('f'.repeat(64));
+      expect(Matter.exists.firstCall.args[0]).to.deep.equal({ _id: bundle.caseId, tenantId: TENANT, clientId: String(CLIENT) });
+    });
+
+    it("hides bundles on other clients' matters", async () => {
+      sinon.stub(Matter, 'exists').resolves(null);
+
+      const app = appAs('client', { clientId: String(CLIENT) });
+      const status = await request(app).get(`/api/bundles/${bundle.bundleId}`);
+      const download = await request(app).get(`/api/bundles/${bundle.bundleId}/download`);
+
+      expect([status.status, download.status]).to.deep.equal([404, 404]);
+      expect(SovereignPdfStore.get.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/* eslint-disable */
+/**
+ * 🧪 Client Portal Routes Audit
+ * @description The firm's attorneys invite someone acting for a client, who sets a password from the emailed
+ * single-use link and signs in to the portal. Wrong passwords lock the account for a while, the session reaches the
+ * client's own trust statement and takes FICA uploads into the vault, and a suspension ends every session at once.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import Client from '../../models/clientModel.js';
+import Matter from '../../models/Matter.js';
+import Document from '../../models/Document.js';
+import DocumentVersion, { VERSION_ORIGINS } from '../../models/DocumentVersion.js';
+import TrustTransaction from '../../models/TrustTransaction.js';
+import PortalAccount from '../../models/PortalAccount.js';
+import PortalActivity from '../../models/PortalActivity.js';
+import SovereignPdfStore from '../../services/pdfStore.js';
+import emailService from '../../services/emailService.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { PORTAL_EVENTS, PORTAL_LIMITS, PORTAL_STATUS } from '../../utils/clientPortal.js';
+import { hashSecret } from '../../utils/signingCeremony.js';
+import portalRoutes, { portalAccessRoutes } from '../../routes/clientPortalRoutes.js';
+
+const TENANT = 'tenant-portal';
+const ATTORNEY = String(new mongoose.Types.ObjectId());
+const CLIENT = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT, name: 'Mokoena Family Trust', clientReference: 'CL-0042' };
+const MATTER = new mongoose.Types.ObjectId();
+const PASSWORD = 'Kruger2026park';
+
+// The portal as the public gateway mounts it, and the firm's side behind staff authentication as `role`
+const appAs = (role) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/portal', portalRoutes);
+  app.use('/api/client-portal', (req, res, next) => {
+    req.user = { _id: ATTORNEY, email: 'attorney@nkosi.co.za', firstName: 'Naledi', lastName: 'Dube', role, tenantId: TENANT };
+    next();
+  }, portalAccessRoutes);
+  // API fault interceptor: portal faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, code: err.code }));
+  return app;
+};
+
+// A query chain that resolves to `result` however it is refined
+const query = (result) => {
+  const chain = {};
+  for (const method of ['select', 'sort', 'limit', 'setOptions', 'populate']) chain[method] = sinon.stub().returns(chain);
+  chain.lean = sinon.stub().resolves(result);
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+};
+
+// The saved portal accounts matching every field of a filter, sessions matched by their token hash
+const accountWhere = (filter) => accounts.find((account) => Object.entries(filter).every(([field, value]) => (field === 'sessions.tokenHash'
+  ? account.sessions.some((session) => session.tokenHash === value)
+  : String(account.get(field)) === String(value)))) || null;
+
+let accounts;
+
+describe('🔑 Client portal routes', function () {
+  // Setting a password hashes it with the production bcrypt cost
+  this.timeout(20000);
+
+  let invitations;
+
+  beforeEach(() => {
+    accounts = [];
+    invitations = [];
+
+    sinon.stub(PortalAccount, 'exists').callsFake(async (filter) => Boolean(accountWhere(filter)));
+    sinon.stub(PortalAccount, 'findOne').callsFake((filter) => ({ select: async () => accountWhere(filter) }));
+    sinon.stub(PortalAccount, 'updateOne').resolves({});
+    sinon.stub(PortalAccount.prototype, 'save').callsFake(async function save() {
+      if (!accounts.includes(this)) accounts.push(this);
+      return this;
+    });
+    sinon.stub(Client, 'findOne').callsFake((filter) => query(String(filter._id) === String(CLIENT._id) && filter.tenantId === TENANT ? CLIENT : null));
+    sinon.stub(PortalActivity, 'create').resolves({});
+    sinon.stub(emailService, 'sendPortalInvitation').callsFake(async (to, details) => {
+      invitations.push({ to, ...details });
+      return { success: true };
+    });
+    for (const level of ['info', 'security']) sinon.stub(auditLogger, level);
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  const invite = (body, role = 'ATTORNEY') => request(appAs(role)).post(`/api/client-portal/clients/${CLIENT._id}/accounts`).send(body);
+  const setPassword = (token, password) => request(appAs()).post('/api/portal/password').send({ token, password });
+  const login = (password) => request(appAs()).post('/api/portal/login').send({ firm: TENANT, email: 'thandi@mokoena.co.za', password });
+  const linkToken = (invitation) => invitation.setupUrl.split('/').pop();
+
+  // An activated account for Thandi, with a cheap hash of PASSWORD so that signing in stays quick
+  const activeAccount = async () => {
+    const account = new PortalAccount({
+      tenantId: TENANT,
+      clientId: CLIENT._id,
+      email: 'thandi@mokoena.co.za',
+      name: 'Thandi Mokoena',
+      status: PORTAL_STATUS.ACTIVE,
+      passwordHash: await bcrypt.hash(PASSWORD, 4)
+    });
+    accounts.push(account);
+    return account;
+  };
+  const signIn = async () => (await login(PASSWORD)).body.data.sessionToken;
+
+  it('leaves invitations to attorneys and keeps only a hash of the emailed link', async () => {
+    const refused = await invite({ email: 'thandi@mokoena.co.za' }, 'PARALEGAL');
+    expect(refused.status).to.equal(403);
+    expect(accounts).to.have.length(0);
+
+    const res = await invite({ email: 'Thandi@Mokoena.co.za', name: 'Thandi Mokoena' });
+
+    expect(res.status).to.equal(201);
+    expect(res.body.data).to.include({ clientId: String(CLIENT._id), email: 'thandi@mokoena.co.za', status: PORTAL_STATUS.INVITED, invitedBy: ATTORNEY, emailed: true });
+    expect(invitations).to.have.length(1);
+    expect(invitations[0]).to.include({ to: 'thandi@mokoena.co.za', clientName: 'Mokoena Family Trust', invitedBy: 'Naledi Dube' });
+    const token = linkToken(invitations[0]);
+    expect(accounts[0].setupTokenHash).to.equal(hashSecret(token));
+    expect(JSON.stringify(accounts[0].toObject())).to.not.include(token);
+    expect(PortalActivity.create.calledWith(sinon.match({ action: PORTAL_EVENTS.INVITED, userId: ATTORNEY }))).to.equal(true);
+
+    const again = await invite({ email: 'thandi@mokoena.co.za' });
+    expect(again.status).to.equal(409);
+    expect(again.body.code).to.equal('PORTAL_CONFLICT');
+  });
+
+  it('activates the account from the link once, and refuses a weak password', async () => {
+    await invite({ email: 'thandi@mokoena.co.za' });
+    const token = linkToken(invitations[0]);
+
+    const weak = await setPassword(token, 'thandi12345');
+    expect(weak.status).to.equal(400);
+    expect(weak.body.error).to.equal('PORTAL_ERROR: A password may not contain your email address.');
+
+    const res = await setPassword(token, PASSWORD);
+    expect(res.status).to.equal(200);
+    expect(res.body.data.sessionToken).to.match(/^[a-f0-9]{64}$/);
+    expect(res.body.data.account).to.include({ status: PORTAL_STATUS.ACTIVE });
+    expect(accounts[0].setupTokenHash).to.equal(undefined);
+    expect(await bcrypt.compare(PASSWORD, accounts[0].passwordHash)).to.equal(true);
+
+    const reused = await setPassword(token, 'Another2026pass');
+    expect(reused.status).to.equal(410);
+    expect(reused.body.code).to.equal('PORTAL_LINK_EXPIRED');
+  });
+
+  it('locks the account after too many wrong passwords, even against the right one', async () => {
+    const account = await activeAccount();
+
+    for (let attempt = 1; attempt < PORTAL_LIMITS.LOGIN_MAX_ATTEMPTS; attempt += 1) {
+      const res = await login('Wrong2026guess');
+      expect(res.status).to.equal(401);
+      expect(res.body.code).to.equal('PORTAL_LOGIN_FAILED');
+    }
+    const locking = await login('Wrong2026guess');
+    const locked = await login(PASSWORD);
+
+    expect([locking.status, locked.status]).to.deep.equal([423, 423]);
+    expect(locked.body.code).to.equal('PORTAL_LOCKED');
+    expect(account.lockedUntil.getTime()).to.be.closeTo(Date.now() + PORTAL_LIMITS.LOCKOUT_MS, 5000);
+    expect(account.sessions).to.have.length(0);
+    expect(auditLogger.security.withArgs(`CLIENT_PORTAL_${PORTAL_EVENTS.LOGIN_FAILED}`).callCount).to.equal(PORTAL_LIMITS.LOGIN_MAX_ATTEMPTS + 1);
+  });
+
+  it("shows the signed-in client their own trust statement, with earlier movements brought forward", async () => {
+    await activeAccount();
+    const find = sinon.stub(TrustTransaction, 'find').returns(query([
+      { transactionId: 'TT-1', matterId: MATTER, type: 'DEPOSIT', amount: 50000, createdAt: new Date('2026-08-03') },
+      { transactionId: 'TT-2', matterId: MATTER, type: 'FEE_EARNED', amount: 12500, createdAt: new Date('2026-09-15') },
+      { transactionId: 'TT-3', matterId: MATTER, type: 'DEPOSIT', amount: 7500, createdAt: new Date('2026-09-20') }
+    ]));
+    sinon.stub(Matter, 'find').returns(query([{ _id: MATTER, matterNumber: 'EST-2026-014', title: 'Estate late J. Mokoena' }]));
+
+    const anonymous = await request(appAs()).get('/api/portal/trust-statement');
+    expect(anonymous.status).to.equal(401);
+    expect(anonymous.body.code).to.equal('PORTAL_SESSION_REQUIRED');
+
+    const res = await request(appAs()).get('/api/portal/trust-statement').set('X-Portal-Session', await signIn()).query({ from: '2026-09-01' });
+
+    expect(res.status).to.equal(200);
+    expect(res.headers['cache-control']).to.equal('no-store');
+    expect(find.firstCall.args[0]).to.deep.include({ tenantId: TENANT, clientId: CLIENT._id });
+    expect(res.body.data.client).to.deep.equal({ name: 'Mokoena Family Trust', reference: 'CL-0042' });
+    expect(res.body.data).to.include({ openingBalance: 50000, closingBalance: 45000 });
+    const [ledger] = res.body.data.matters;
+    expect(ledger).to.include({ matterNumber: 'EST-2026-014', openingBalance: 50000, totalCredits: 7500, totalDebits: 12500 });
+    expect(ledger.entries.map(({ transactionId, balance }) => [transactionId, balance])).to.deep.equal([['TT-2', 37500], ['TT-3', 45000]]);
+  });
+
+  it('files a FICA upload in the vault as a new document, and refuses a file that is not a scan or PDF', async () => {
+    await activeAccount();
+    const session = await signIn();
+    const vault = new Map();
+    let filed;
+    sinon.stub(Document, 'create').callsFake(async (fields) => (filed = new Document(fields)));
+    sinon.stub(Document.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(DocumentVersion, 'create').callsFake(async (fields) => new DocumentVersion(fields));
+    sinon.stub(SovereignPdfStore, 'storePdf').callsFake(async (tenantId, traceId, bytes) => { vault.set(traceId, Buffer.from(bytes)); });
+    const upload = (bytes, filename) => request(appAs()).post('/api/portal/fica').set('X-Portal-Session', session)
+      .field('ficaType', 'PROOF_OF_ADDRESS').field('note', 'Municipal account').attach('file', bytes, { filename });
+
+    const refused = await upload(Buffer.from('Just some text'), 'address.txt');
+    expect(refused.status).to.equal(400);
+    expect(refused.body.error).to.equal('PORTAL_ERROR: Upload a PDF, or a JPEG, PNG or TIFF scan.');
+    expect(Document.create.called).to.equal(false);
+
+    const pdf = Buffer.from('%PDF-1.7\n1 0 obj <<>> endobj\n%%EOF');
+    const res = await upload(pdf, 'municipal account.pdf');
+
+    expect(res.status).to.equal(201);
+    expect(Document.create.firstCall.args[0]).to.include({ tenantId: TENANT, folder: 'FICA', title: 'FICA - Proof of residential address (not older than three months)' });
+    expect(filed.version).to.equal(1);
+    expect(filed.clientUpload).to.include({ ficaType: 'PROOF_OF_ADDRESS', note: 'Municipal account' });
+    expect(String(filed.clientUpload.clientId)).to.equal(String(CLIENT._id));
+    expect(filed.auditLog[0]).to.include({ action: 'CLIENT_UPLOADED', externalActor: 'thandi@mokoena.co.za' });
+    expect(filed.metadata.mimeType).to.equal('application/pdf');
+    expect([...vault.values()][0].equals(pdf)).to.equal(true);
+    expect(DocumentVersion.create.firstCall.args[0]).to.include({ versionNumber: 1, origin: VERSION_ORIGINS.UPLOAD, fileName: 'municipal account.pdf' });
+  });
+
+  it('ends every session when the firm suspends the account, and keeps it out', async () => {
+    const account = await activeAccount();
+    const session = await signIn();
+
+    const reasonless = await request(appAs('ATTORNEY')).post(`/api/client-portal/accounts/${account.accountId}/suspend`).send({});
+    expect(reasonless.status).to.equal(400);
+
+    const res = await request(appAs('ATTORNEY')).post(`/api/client-portal/accounts/${account.accountId}/suspend`).send({ reason: 'Mandate terminated' });
+    expect(res.status).to.equal(200);
+    expect(res.body.data).to.include({ status: PORTAL_STATUS.SUSPENDED, suspendReason: 'Mandate terminated' });
+    expect(account.sessions).to.have.length(0);
+
+    const [reused, again, signedIn] = await Promise.all([
+      request(appAs()).get('/api/portal/trust-statement').set('X-Portal-Session', session),
+      request(appAs('ATTORNEY')).post(`/api/client-portal/accounts/${account.accountId}/suspend`).send({ reason: 'Mandate terminated' }),
+      login(PASSWORD)
+    ]);
+    expect([reused.status, again.status, signedIn.status]).to.deep.equal([401, 409, 403]);
+    expect(signedIn.body.code).to.equal('PORTAL_SUSPENDED');
+  });
+});
@@ -0,0 +1,156 @@
+/* eslint-disable */
+/**
+ * 🧪 Conflict Screening Routes Audit
+ * @description Screening a new matter scores its parties against every party-bearing record of the tenant (other
+ * matters, including hashed party names through their blind-index keys, case parties, companies and their directors,
+ * CRM and the conflict register) and stores the result on the matter awaiting sign-off. Only risk roles sign off,
+ * waivers and cleared hits need notes, and a screening is signed off once.
+ */
+import crypto from 'node:crypto';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import Matter from '../../models/Matter.js';
+import Company from '../../models/Company.js';
+import CrmRecord from '../../models/CrmRecord.js';
+import Conflict from '../../models/Conflict.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { nameSearchKeys } from '../../utils/nameMatcher.js';
+import conflictRoutes from '../../routes/conflict.js';
+
+const TENANT = 'tenant-conflicts';
+const OTHER_ATTORNEY = new mongoose.Types.ObjectId();
+
+const appAs = (role) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: new mongoose.Types.ObjectId(), email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/v1/conflicts', conflictRoutes);
+  // API fault interceptor: screening faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+  return app;
+};
+
+const records = (rows) => ({ select() { return this; }, lean() { return this; }, cursor: () => rows });
+
+describe('🔎 Conflict screening routes', () => {
+  let matter;
+  let candidates;
+
+  beforeEach(() => {
+    matter = new Matter({ tenantId: TENANT, matterNumber: 'MAT-2026-0099', title: 'Acme Holdings v Mokoena' });
+    candidates = {
+      matters: [{
+        _id: new mongoose.Types.ObjectId(),
+        matterNumber: 'MAT-2025-0007',
+        title: 'Estate Late Mokoena',
+        responsibleAttorney: { userId: OTHER_ATTORNEY, name: 'N. Dube' },
+        // Stored in production form: the name hashed, matched on its blind-index keys
+        parties: [{ partyId: 'PTY-1', name: crypto.createHash('sha256').update('Thabo Mokoena').digest('hex'), role: 'defendant', searchKeys: nameSearchKeys('Thabo Mokoena', process.env.CONFLICT_INDEX_KEY) }]
+      }],
+      caseParties: [{ _id: new mongoose.Types.ObjectId(), name: 'Unrelated Trading', partyType: 'plaintiff', caseId: new mongoose.Types.ObjectId() }],
+      companies: [{ _id: new mongoose.Types.ObjectId(), name: 'ACME HOLDINGS PROPRIETARY LIMITED', directors: [{ firstName: 'Sipho', lastName: 'Nkosi' }] }],
+      crm: [],
+      conflicts: []
+    };
+
+    sinon.stub(Matter, 'findOne').callsFake(async () => matter);
+    sinon.stub(Matter.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(Matter, 'find').callsFake(() => records(candidates.matters));
+    sinon.stub(mongoose.connection, 'collection').returns({ find: () => candidates.caseParties });
+    sinon.stub(Company, 'find').callsFake(() => records(candidates.companies));
+    sinon.stub(CrmRecord, 'find').callsFake(() => records(candidates.crm));
+    sinon.stub(Conflict, 'find').callsFake(() => records(candidates.conflicts));
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  const screen = (role = 'intake', partyNames = ['Acme Holdings (Pty) Ltd', 'Thabo Mokoena']) => request(appAs(role))
+    .post('/api/v1/conflicts/screen')
+    .send({ matterId: matter.matterNumber, partyNames });
+
+  describe('POST /screen', () => {
+    it('finds the company and the hashed party on another matter and stores the screening for sign-off', async () => {
+      const res = await screen();
+
+      expect(res.status).to.equal(200);
+      expect(Matter.findOne.firstCall.args[0]).to.deep.equal({ tenantId: TENANT, matterNumber: 'MAT-2026-0099' });
+      expect(Matter.find.firstCall.args[0]).to.deep.equal({ tenantId: TENANT, _id: { $ne: matter._id } });
+
+      const { data } = res.body;
+      expect(data).to.include({ outcome: 'POTENTIAL_CONFLICT', hitCount: 2, matterNumber: 'MAT-2026-0099' });
+      const [party, company] = data.hits;
+      expect(company).to.include({ searchedName: 'Acme Holdings (Pty) Ltd', matchedName: 'ACME HOLDINGS PROPRIETARY LIMITED', source: 'COMPANY', score: 1 });
+      expect(party).to.include({ searchedName: 'Thabo Mokoena', matchedName: '[PROTECTED]', source: 'MATTER_PARTY', role: 'defendant', matterNumber: 'MAT-2025-0007' });
+      expect(party.responsibleAttorney).to.deep.equal({ userId: String(OTHER_ATTORNEY), name: 'N. Dube' });
+
+      const [stored] = matter.conflictScreenings;
+      expect(stored).to.include({ screeningId: data.screeningId, outcome: 'POTENTIAL_CONFLICT', hitCount: 2 });
+      expect(stored.signOff.status).to.equal('PENDING');
+      expect(Matter.prototype.save.calledOnce).to.equal(true);
+    });
+
+    it('records a clear screening when nobody matches', async () => {
+      const res = await screen('paralegal', ['Zanele Khumalo']);
+
+      expect(res.body.data).to.include({ outcome: 'CLEAR', hitCount: 0 });
+      expect(matter.conflictScreenings[0].outcome).to.equal('CLEAR');
+    });
+
+    it('reports an unknown matter', async () => {
+      Matter.findOne.resolves(null);
+
+      const res = await screen();
+
+      expect(res.status).to.equal(404);
+      expect(res.body.error).to.equal('CONFLICT_ERROR: Matter MAT-2026-0099 not found');
+    });
+  });
+
+  describe('POST /screenings/:screeningId/sign-off', () => {
+    let screeningId;
+
+    beforeEach(async () => {
+      ({ body: { data: { screeningId } } } = await screen());
+      Matter.prototype.save.resetHistory();
+    });
+
+    const signOff = (role, body) => request(appAs(role)).post(`/api/v1/conflicts/screenings/${screeningId}/sign-off`).send(body);
+
+    it('is reserved for risk roles', async () => {
+      const res = await signOff('intake', { decision: 'CLEARED', notes: 'Different Mokoena' });
+
+      expect(res.status).to.equal(403);
+      expect(Matter.prototype.save.called).to.equal(false);
+    });
+
+    it('needs notes to clear a screening with hits or to waive it', async () => {
+      const cleared = await signOff('partner', { decision: 'CLEARED' });
+      const waived = await signOff('partner', { decision: 'WAIVED' });
+
+      expect(cleared.status).to.equal(400);
+      expect(cleared.body.error).to.equal('CONFLICT_ERROR: Clearing a screening with hits needs notes');
+      expect(waived.body.error).to.equal('CONFLICT_ERROR: WAIVED needs notes');
+      expect(Matter.prototype.save.called).to.equal(false);
+    });
+
+    it('records the waiver once', async () => {
+      const res = await signOff('compliance_officer', { decision: 'WAIVED', notes: 'Informed consent from both clients on file' });
+
+      expect(res.status).to.equal(200);
+      expect(Matter.findOne.lastCall.args[0]).to.deep.equal({ tenantId: TENANT, 'conflictScreenings.screeningId': screeningId });
+      expect(matter.conflictScreenings[0].signOff).to.include({ status: 'WAIVED', notes: 'Informed consent from both clients on file' });
+
+      const again = await signOff('partner', { decision: 'DECLINED', notes: 'Second thoughts' });
+      expect(again.status).to.equal(409);
+      expect(again.body.error).to.equal(`CONFLICT_ERROR: Screening ${screeningId} was already WAIVED`);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/* eslint-disable */
+/**
+ * 🧪 Court Deadline Routes Audit
+ * @description Recording a trigger event on a matter writes its dependent deadlines into Matter.deadlines in court
+ * days, over the 16 December – 15 January recess where the rules say so. Moving the trigger recalculates them while
+ * keeping completed work and manual deadlines, withdrawing it removes only what it generated, and a preview against a
+ * Court record uses that court's rules without touching any matter.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import Matter from '../../models/Matter.js';
+import { Court } from '../../models/Court.js';
+import auditLogger from '../../utils/auditLogger.js';
+import courtDeadlineRoutes from '../../routes/courtDeadlineRoutes.js';
+
+const TENANT = 'tenant-deadlines';
+const USER = new mongoose.Types.ObjectId();
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { _id: USER, role: 'associate', tenantId: TENANT };
+  next();
+});
+app.use('/api/deadlines', courtDeadlineRoutes);
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+const byRule = (deadlines) => Object.fromEntries(deadlines.filter((d) => d.ruleCode).map((d) => [d.ruleCode, d]));
+
+describe('⚖️ Court deadline routes', () => {
+  let matter;
+
+  beforeEach(() => {
+    matter = new Matter({
+      tenantId: TENANT,
+      courtDetails: { court: 'magistrate' },
+      deadlines: [{ title: 'Client consultation', dueDate: new Date('2026-11-01') }]
+    });
+    sinon.stub(Matter, 'findOne').callsFake(async () => matter);
+    // Saving runs the Matter validate hook, which is where generated deadlines are rebuilt
+    sinon.stub(Matter.prototype, 'save').callsFake(async function save() {
+      await this.validate(['deadlines', 'deadlineTriggers']);
+      return this;
+    });
+    sinon.stub(auditLogger, 'info');
+  });
+
+  afterEach(() => sinon.restore());
+
+  const recordMotion = () => request(app)
+    .post(`/api/deadlines/matters/${matter._id}/triggers`)
+    .send({ event: 'NOTICE_OF_MOTION_SERVED', triggerDate: '2026-10-19' });
+
+  it("writes a trigger's dependent deadlines into the matter in court days", async () => {
+    const res = await recordMotion();
+
+    expect(res.status).to.equal(201);
+    expect(Matter.findOne.firstCall.args[0]).to.deep.equal({ _id: String(matter._id), tenantId: TENANT });
+    expect(res.body.result.deadlines.map((d) => [d.ruleCode, day(d.dueDate)])).to.deep.equal([
+      ['NOTICE_TO_OPPOSE', '2026-10-26'],
+      ['ANSWERING_AFFIDAVIT', '2026-11-16'],
+      ['REPLYING_AFFIDAVIT', '2026-11-30']
+    ]);
+    expect(matter.deadlines).to.have.lengthOf(4);
+    expect(matter.deadlineTriggers[0]).to.include({ courtTier: 'magistrate' });
+    expect(String(matter.deadlineTriggers[0].recordedBy)).to.equal(String(USER));
+  });
+
+  it('skips the December recess when a summons is served in the High Court', async () => {
+    const res = await request(app)
+      .post(`/api/deadlines/matters/${matter._id}/triggers`)
+      .send({ event: 'SUMMONS_SERVED', triggerDate: '2026-12-10', courtTier: 'high' });
+
+    expect(day(byRule(res.body.result.deadlines).NOTICE_OF_INTENTION_TO_DEFEND.dueDate)).to.equal('2027-01-26');
+  });
+
+  it('recalculates when the trigger moves, keeping completed deadlines and manual ones', async () => {
+    const { body } = await recordMotion();
+    const { triggerId } = body.result.trigger;
+    byRule(matter.deadlines).NOTICE_TO_OPPOSE.status = 'completed';
+
+    const res = await request(app)
+      .patch(`/api/deadlines/matters/${matter._id}/triggers/${triggerId}`)
+      .send({ triggerDate: '2026-10-26' });
+
+    expect(res.status).to.equal(200);
+    const moved = byRule(matter.deadlines);
+    expect(day(moved.NOTICE_TO_OPPOSE.dueDate)).to.equal('2026-11-02');
+    expect(moved.NOTICE_TO_OPPOSE.status).to.equal('completed');
+    expect(day(moved.ANSWERING_AFFIDAVIT.dueDate)).to.equal('2026-11-23');
+    expect(matter.deadlines.find((d) => !d.ruleCode).title).to.equal('Client consultation');
+  });
+
+  it('drops only the generated deadlines when a trigger is withdrawn', async () => {
+    const { body } = await recordMotion();
+
+    const res = await request(app)
+      .delete(`/api/deadlines/matters/${matter._id}/triggers/${body.result.trigger.triggerId}`)
+      .send({ reason: 'Recorded on the wrong matter' });
+
+    expect(res.status).to.equal(200);
+    expect(matter.deadlines.map((d) => d.title)).to.deep.equal(['Client consultation']);
+  });
+
+  it("previews a trigger against a Court record's rules without saving", async () => {
+    const findCourt = sinon.stub(Court, 'findOne').returns({ lean: async () => ({ courtId: 'CRT-GP', tier: 'high_court' }) });
+
+    const res = await request(app)
+      .post('/api/deadlines/preview')
+      .send({ event: 'JUDGMENT_DELIVERED', triggerDate: '2026-12-10', courtId: 'CRT-GP' });
+
+    expect(res.status).to.equal(200);
+    expect(res.body.deadlines[0]).to.include({ ruleCode: 'LEAVE_TO_APPEAL', dueDate: '2027-01-05' });
+    expect(findCourt.firstCall.args[0]).to.deep.equal({ courtId: 'CRT-GP', tenantId: TENANT });
+    expect(Matter.prototype.save.called).to.equal(false);
+  });
+
+  it('rejects an unknown trigger event', async () => {
+    const res = await request(app)
+      .post(`/api/deadlines/matters/${matter._id}/triggers`)
+      .send({ event: 'LUNCH_SERVED', triggerDate: '2026-10-19' });
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.match(/^LITIGATION_ERROR: Unknown trigger event LUNCH_SERVED/);
+    expect(Matter.prototype.save.called).to.equal(false);
+  });
+});
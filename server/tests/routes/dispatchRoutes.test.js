@@ -0,0 +1,209 @@
+/* eslint-disable */
+/**
+ * 🧪 Dispatch Routes Audit
+ * @description The dispatch board puts each open instruction in its sheriff's lane, suggests unassigned work to the
+ * nearest sheriff whose coverage area contains it and leaves the rest uncovered. Route optimisation serves
+ * time-critical stops first and stores the visiting order on the sheriff's instructions, and a sheriff may only
+ * optimise their own route. Bulk assignment is all-or-nothing against coverage and daily capacity, and is for
+ * dispatchers only.
+ */
+import crypto from 'node:crypto';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import DispatchInstruction, { INSTRUCTION_STATUS } from '../../models/DispatchInstruction.js';
+import auditLogger from '../../utils/auditLogger.js';
+
+// The Sheriff model refuses to load without its field encryption key
+process.env.SHERIFF_ENCRYPTION_KEY ||= crypto.randomBytes(32).toString('hex');
+const { default: Sheriff } = await import('../../models/Sheriff.js');
+const { default: dispatchRoutes } = await import('../../routes/dispatchRoutes.js');
+
+const TENANT = 'tenant-dispatch';
+const SHERIFF_USER = new mongoose.Types.ObjectId();
+const DEPART = '2026-10-19T06:00:00.000Z';
+const MINUTE = 60 * 1000;
+
+const square = (lng, lat, size) => [[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]];
+const point = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
+const appAs = (role, userId = new mongoose.Types.ObjectId()) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId, id: String(userId), email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/dispatch', dispatchRoutes);
+  // API fault interceptor: dispatch faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+  return app;
+};
+
+const sheriffRecord = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: SHERIFF_USER,
+  status: 'ACTIVE',
+  isOnline: true,
+  coverageArea: { type: 'Polygon', coordinates: [square(28, -27, 1)] },
+  currentLocation: point(-26.0, 28.0),
+  dailyCapacity: 3,
+  jurisdictionNames: ['JOHANNESBURG NORTH'],
+  ...overrides
+});
+
+const instruction = (instructionId, lat, lng, fields = {}) => new DispatchInstruction({
+  tenantId: TENANT, instructionId, recipientName: instructionId, location: point(lat, lng), ...fields
+});
+
+const lean = (result) => ({ select() { return this; }, sort() { return this; }, lean: async () => result });
+
+describe('🚓 Dispatch routes', () => {
+  let sheriff;
+
+  beforeEach(() => {
+    sheriff = sheriffRecord();
+    sinon.stub(Sheriff, 'findOne').callsFake(() => lean(sheriff));
+    sinon.stub(DispatchInstruction.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('GET /board', () => {
+    it('puts assigned work in its lane and suggests the rest to the nearest covering sheriff', async () => {
+      const near = sheriffRecord({ currentLocation: point(-26.5, 28.45) });
+      const far = sheriffRecord({ currentLocation: point(-26.9, 28.9), dailyCapacity: 1 });
+      sinon.stub(Sheriff, 'find').returns(lean([far, near]));
+      sinon.stub(DispatchInstruction, 'find').returns(lean([
+        instruction('DIS-ASSIGNED', -26.8, 28.8, { sheriffId: far._id, status: INSTRUCTION_STATUS.ASSIGNED }).toObject(),
+        instruction('DIS-SANDTON', -26.5, 28.5).toObject(),
+        instruction('DIS-CAPE-TOWN', -33.9, 18.4).toObject()
+      ]));
+
+      const res = await request(appAs('dispatcher')).get('/api/dispatch/board');
+
+      expect(res.status).to.equal(200);
+      expect(Sheriff.find.firstCall.args[0]).to.include({ tenantId: TENANT });
+      const board = res.body.data;
+      const lane = (id) => board.sheriffs.find((s) => s.sheriffId === String(id));
+      expect(lane(far._id).assigned.map((card) => card.instructionId)).to.deep.equal(['DIS-ASSIGNED']);
+      expect(lane(far._id).remainingCapacity).to.equal(0);
+      expect(lane(near._id).suggested.map((card) => card.instructionId)).to.deep.equal(['DIS-SANDTON']);
+      expect(board.uncovered.map((card) => card.instructionId)).to.deep.equal(['DIS-CAPE-TOWN']);
+      expect(board.totals).to.deep.equal({ instructions: 3, assigned: 1, suggested: 1, uncovered: 1 });
+    });
+
+    it('is not open to sheriffs', async () => {
+      const res = await request(appAs('sheriff')).get('/api/dispatch/board');
+
+      expect(res.status).to.equal(403);
+    });
+  });
+
+  describe('POST /optimize', () => {
+    let stops;
+
+    beforeEach(() => {
+      stops = [
+        instruction('DIS-NEAR-LATER', -26.01, 28.0, {
+          sheriffId: sheriff._id, status: INSTRUCTION_STATUS.ASSIGNED,
+          windowStart: new Date(Date.parse(DEPART) + 180 * MINUTE), windowEnd: new Date(Date.parse(DEPART) + 300 * MINUTE)
+        }),
+        instruction('DIS-FAR-URGENT', -26.2, 28.0, {
+          sheriffId: sheriff._id, status: INSTRUCTION_STATUS.ASSIGNED, windowEnd: new Date(Date.parse(DEPART) + 60 * MINUTE)
+        })
+      ];
+      sinon.stub(DispatchInstruction, 'find').resolves(stops);
+    });
+
+    const optimise = (app) => request(app)
+      .post('/api/dispatch/optimize')
+      .send({ sheriffId: String(sheriff._id), instructionIds: ['DIS-NEAR-LATER', 'DIS-FAR-URGENT'], departAt: DEPART });
+
+    it("serves the time-critical stop first and stores the order on the sheriff's own route", async () => {
+      const res = await optimise(appAs('sheriff', SHERIFF_USER));
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.order).to.deep.equal(['DIS-FAR-URGENT', 'DIS-NEAR-LATER']);
+      expect(res.body.data.lateStops).to.equal(0);
+      expect(Sheriff.findOne.firstCall.args[0]).to.deep.equal({ _id: String(sheriff._id), tenantId: TENANT });
+      expect(stops.map((stop) => [stop.instructionId, stop.routeSequence])).to.deep.equal([['DIS-NEAR-LATER', 2], ['DIS-FAR-URGENT', 1]]);
+      expect(stops[0].plannedArrival.toISOString()).to.equal(new Date(Date.parse(DEPART) + 180 * MINUTE).toISOString());
+    });
+
+    it("refuses a sheriff optimising another sheriff's route", async () => {
+      const res = await optimise(appAs('sheriff'));
+
+      expect(res.status).to.equal(403);
+      expect(res.body.error).to.equal('ACCESS_DENIED: Sheriffs may only optimise their own route.');
+      expect(DispatchInstruction.prototype.save.called).to.equal(false);
+    });
+
+    it('refuses stops already assigned to another sheriff', async () => {
+      stops[1].sheriffId = new mongoose.Types.ObjectId();
+
+      const res = await optimise(appAs('dispatcher'));
+
+      expect(res.status).to.equal(409);
+      expect(res.body.error).to.equal('DISPATCH_CONFLICT: Assigned to another sheriff: DIS-FAR-URGENT.');
+    });
+  });
+
+  describe('POST /bulk-assign', () => {
+    beforeEach(() => {
+      sinon.stub(DispatchInstruction, 'updateMany').callsFake(async (filter) => ({ modifiedCount: filter.instructionId.$in.length }));
+    });
+
+    const assign = (app, instructionIds) => request(app)
+      .post('/api/dispatch/bulk-assign')
+      .send({ sheriffId: String(sheriff._id), instructionIds });
+
+    it('assigns a batch inside the coverage area and capacity', async () => {
+      sinon.stub(DispatchInstruction, 'find').resolves([instruction('DIS-A', -26.5, 28.5), instruction('DIS-B', -26.6, 28.6)]);
+      sinon.stub(DispatchInstruction, 'countDocuments').resolves(1);
+      const dispatcher = new mongoose.Types.ObjectId();
+
+      const res = await assign(appAs('dispatcher', dispatcher), ['DIS-A', 'DIS-B']);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.include({ assigned: 2, alreadyAssigned: 0, load: 3, capacity: 3 });
+      const [filter, update] = DispatchInstruction.updateMany.firstCall.args;
+      expect(filter).to.include({ tenantId: TENANT });
+      expect(filter.instructionId.$in).to.deep.equal(['DIS-A', 'DIS-B']);
+      expect(update.$set.status).to.equal(INSTRUCTION_STATUS.ASSIGNED);
+      expect(String(update.$set.assignedBy)).to.equal(String(dispatcher));
+    });
+
+    it('rejects the whole batch when one instruction is outside the coverage area', async () => {
+      sinon.stub(DispatchInstruction, 'find').resolves([instruction('DIS-A', -26.5, 28.5), instruction('DIS-CAPE-TOWN', -33.9, 18.4)]);
+
+      const res = await assign(appAs('dispatcher'), ['DIS-A', 'DIS-CAPE-TOWN']);
+
+      expect(res.status).to.equal(422);
+      expect(res.body.details).to.deep.equal([{ instructionId: 'DIS-CAPE-TOWN', reason: 'Outside sheriff coverage area' }]);
+      expect(DispatchInstruction.updateMany.called).to.equal(false);
+    });
+
+    it("rejects a batch beyond the sheriff's remaining capacity", async () => {
+      sinon.stub(DispatchInstruction, 'find').resolves([instruction('DIS-A', -26.5, 28.5), instruction('DIS-B', -26.6, 28.6)]);
+      sinon.stub(DispatchInstruction, 'countDocuments').resolves(2);
+
+      const res = await assign(appAs('dispatcher'), ['DIS-A', 'DIS-B']);
+
+      expect(res.status).to.equal(409);
+      expect(res.body.error).to.equal('DISPATCH_CONFLICT: Capacity exceeded: 2 open + 2 new > 3.');
+      expect(DispatchInstruction.updateMany.called).to.equal(false);
+    });
+
+    it('is for dispatchers only', async () => {
+      const res = await assign(appAs('sheriff', SHERIFF_USER), ['DIS-A']);
+
+      expect(res.status).to.equal(403);
+      expect(DispatchInstruction.updateMany.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/* eslint-disable */
+/**
+ * 🧪 Document OCR Routes Audit
+ * @description A scanned PDF or photographed page is queued for OCR as soon as it is saved, and read into a
+ * searchable PDF saved as the newest version on behalf of whoever saved the scan, with its page text and confidence.
+ * A PDF that already has text is left alone, a file OCR cannot read is refused, the same version is not read twice at
+ * once, and a version saved while OCR ran is never replaced by the OCR copy. The recognition engine is replaced by
+ * its tesseract.js output; everything around it runs.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { PDFParse } from 'pdf-parse';
+import Document from '../../models/Document.js';
+import DocumentVersion, { OCR_STATUS, VERSION_ORIGINS } from '../../models/DocumentVersion.js';
+import SovereignPdfStore from '../../services/pdfStore.js';
+import documentVersionService from '../../services/documentVersionService.js';
+import ocrService from '../../services/ocrService.js';
+import auditLogger from '../../utils/auditLogger.js';
+import logger from '../../utils/logger.js';
+import { imagesToPdf, readRecognition, renderPagesForOcr } from '../../utils/ocrLayer.js';
+import { keepTenantContext, tenantStorage } from '../../middleware/tenantContext.js';
+import documentController from '../../controllers/documentController.js';
+
+const TENANT = 'tenant-ocr';
+const CLERK = String(new mongoose.Types.ObjectId());
+const PARTNER = String(new mongoose.Types.ObjectId());
+
+// The document routes under the tenant context the API gateway sets for each caller
+const appAs = (userId) => {
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId, email: 'clerk@nkosi.co.za', role: 'paralegal', tenantId: TENANT };
+    tenantStorage.run({ tenantId: TENANT, userId, requestId: 'REQ-TEST' }, next);
+  });
+  app.post('/api/documents', keepTenantContext(upload.single('file')), documentController.uploadDocument);
+  app.post('/api/documents/:documentId/versions', keepTenantContext(upload.single('file')), documentController.createVersion);
+  app.post('/api/documents/:documentId/ocr', documentController.requestOcr);
+  app.get('/api/documents/:documentId/ocr', documentController.getOcr);
+  // API fault interceptor: OCR faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, code: err.code }));
+  return app;
+};
+
+const typed = async (text) => {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  pdf.addPage([595, 842]).drawText(text, { x: 72, y: 760, size: 24, font });
+  return Buffer.from(await pdf.save());
+};
+
+// A page as a scanner or phone would deliver it: a picture of the text and nothing behind it
+const photographed = async (text) => {
+  const images = [];
+  await renderPagesForOcr(await typed(text), [1], { dpi: 100 }, async ({ png }) => { images.push(png); });
+  return images[0];
+};
+const scanned = async (text) => {
+  const { pdf } = await imagesToPdf([{ bytes: await photographed(text), mimeType: 'image/png' }]);
+  return Buffer.from(await pdf.save());
+};
+
+const textOf = async (bytes) => {
+  const parser = new PDFParse({ data: bytes });
+  try {
+    return (await parser.getText()).text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// What tesseract.js returns with { blocks: true } for one line of words, trimmed to the fields read
+const recognition = (text) => {
+  const words = text.split(' ').map((word, index) => ({ text: word, confidence: 90 + index, bbox: { x0: 100 + index * 120, y0: 100, x1: 200 + index * 120, y1: 140 } }));
+  return { text, confidence: 91, blocks: [{ paragraphs: [{ lines: [{ words }] }] }] };
+};
+
+// A query chain over the saved versions, however the service finishes it; findOne takes the first
+const versionsWhere = (filter, { one = false } = {}) => {
+  let order = 1;
+  const result = () => {
+    const matching = versions
+      .filter((version) => filter.versionNumber === undefined || version.versionNumber === filter.versionNumber)
+      .sort((a, b) => order * (a.versionNumber - b.versionNumber))
+      .map((version) => version.toObject());
+    return one ? matching[0] || null : matching;
+  };
+  return {
+    sort(spec) { order = spec.versionNumber; return this; },
+    populate() { return this; },
+    lean() { return this; },
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+  };
+};
+
+let versions;
+
+describe('🔤 Document OCR routes', function () {
+  // Scans are rendered and rebuilt as PDFs
+  this.timeout(20000);
+
+  let doc;
+  let vault;
+  let read;
+
+  beforeEach(() => {
+    versions = [];
+    vault = new Map();
+    read = 'Notice of motion';
+    doc = new Document({ tenantId: TENANT, title: 'Notice of motion', createdBy: PARTNER, status: 'draft' });
+
+    sinon.stub(Document, 'findOne').callsFake(async () => doc);
+    // uploadDocument builds its own Document; the one saved last is the one found
+    sinon.stub(Document.prototype, 'save').callsFake(async function save() { doc = this; return this; });
+    // OCR progress is recorded only while no later version has been queued
+    sinon.stub(Document, 'updateOne').callsFake(async (filter, update) => {
+      const guard = filter['ocr.sourceVersion']?.$in;
+      if (guard && !guard.includes(doc.ocr?.sourceVersion ?? null)) return { modifiedCount: 0 };
+      doc.set(update.$set || {});
+      return { modifiedCount: 1 };
+    });
+    sinon.stub(DocumentVersion, 'exists').callsFake(async () => versions.length > 0);
+    sinon.stub(DocumentVersion, 'findOne').callsFake((filter) => versionsWhere(filter, { one: true }));
+    sinon.stub(DocumentVersion, 'create').callsFake(async (fields) => {
+      const version = new DocumentVersion(fields);
+      versions.push(version);
+      return version;
+    });
+    sinon.stub(SovereignPdfStore, 'storePdf').callsFake(async (tenantId, traceId, bytes) => { vault.set(traceId, Buffer.from(bytes)); });
+    sinon.stub(SovereignPdfStore, 'get').callsFake(async (tenantId, traceId) => vault.get(traceId));
+    sinon.stub(ocrService, 'recognise').callsFake(async (images) => {
+      const pages = [];
+      await images(async ({ pageNumber, toPdfPoint }) => { pages.push({ pageNumber, toPdfPoint, ...readRecognition(recognition(read)) }); });
+      return pages;
+    });
+    sinon.spy(ocrService, 'process');
+    sinon.stub(auditLogger, 'log').resolves();
+    for (const level of ['info', 'error', 'security']) sinon.stub(auditLogger, level);
+    for (const level of ['info', 'warn', 'error']) sinon.stub(logger, level);
+  });
+
+  afterEach(() => sinon.restore());
+
+  // Waits for the in-process OCR jobs queued so far
+  const settled = async (runs = 1) => {
+    while (ocrService.process.callCount < runs) await new Promise(setImmediate);
+    await Promise.allSettled(ocrService.process.returnValues);
+  };
+  const upload = (bytes, filename, contentType, userId = CLERK) => request(appAs(userId)).post('/api/documents').attach('file', bytes, { filename, contentType });
+  const ocrOf = () => request(appAs(PARTNER)).get(`/api/documents/${doc._id}/ocr`);
+
+  it('reads a scanned upload into a searchable PDF version on behalf of whoever saved it', async () => {
+    const res = await upload(await scanned('Notice of motion'), 'scan.pdf', 'application/pdf');
+    expect(res.status).to.equal(201);
+    expect(res.body.data.ocr).to.deep.equal({ queued: true, via: 'in-process' });
+    await settled();
+
+    expect(versions.map(({ versionNumber, origin }) => [versionNumber, origin])).to.deep.equal([[1, VERSION_ORIGINS.UPLOAD], [2, VERSION_ORIGINS.OCR]]);
+    expect(versions[1]).to.include({ fileName: 'scan_ocr.pdf', mimeType: 'application/pdf' });
+    expect(String(versions[1].author)).to.equal(CLERK);
+    expect(versions[1].ocr).to.deep.include({ sourceVersion: 1, engine: 'tesseract.js', confidence: 91 });
+    expect(await textOf(vault.get(versions[1].vaultTraceId))).to.include('Notice of motion');
+
+    const result = await ocrOf();
+    expect(result.body.data).to.include({ status: OCR_STATUS.DONE, sourceVersion: 1, versionNumber: 2, currentVersion: 2, searchable: true, confidence: 91 });
+    expect(result.body.data.pages).to.deep.equal([{ page: 1, text: 'Notice of motion', confidence: 91, wordCount: 3 }]);
+    expect(auditLogger.info.calledWith('DOCUMENT_OCR_PROCESSED', sinon.match({ auto: true, sourceVersion: 1, versionNumber: 2 }))).to.equal(true);
+  });
+
+  it('reads a photographed page as a one-page searchable PDF', async () => {
+    read = 'Return of service';
+    await upload(await photographed('Return of service'), 'return.png', 'image/png');
+    await settled();
+
+    expect(versions[1]).to.include({ origin: VERSION_ORIGINS.OCR, fileName: 'return_ocr.pdf', mimeType: 'application/pdf' });
+    expect((await PDFDocument.load(vault.get(versions[1].vaultTraceId))).getPageCount()).to.equal(1);
+    expect(doc.ocr).to.include({ status: OCR_STATUS.DONE, pageCount: 1, text: 'Return of service' });
+  });
+
+  it('leaves a PDF that already has text alone', async () => {
+    await upload(await typed('Founding affidavit'), 'affidavit.pdf', 'application/pdf');
+    await settled();
+
+    expect(ocrService.recognise.called).to.equal(false);
+    expect(versions).to.have.length(1);
+    expect((await ocrOf()).body.data).to.include({ status: OCR_STATUS.NOT_NEEDED, pageCount: 1, searchable: false });
+  });
+
+  it('refuses a file it cannot read, and the same version twice at once', async () => {
+    await upload(Buffer.from('Draft heads of argument'), 'heads.txt', 'text/plain');
+    const unreadable = await request(appAs(PARTNER)).post(`/api/documents/${doc._id}/ocr`).send({});
+    expect(unreadable.status).to.equal(422);
+    expect(unreadable.body.error).to.equal('OCR_ERROR: Version 1 is text/plain; OCR reads PDFs and TIFF, JPEG or PNG scans.');
+
+    await request(appAs(CLERK)).post(`/api/documents/${doc._id}/versions`).attach('file', await scanned('Notice of motion'), { filename: 'scan.pdf', contentType: 'application/pdf' });
+    await settled();
+    doc.set({ ocr: { status: OCR_STATUS.RUNNING, sourceVersion: 2, startedAt: new Date() } });
+    const twice = await request(appAs(PARTNER)).post(`/api/documents/${doc._id}/ocr`).send({ version: 2 });
+    expect(twice.status).to.equal(409);
+    expect(twice.body.error).to.equal('OCR_CONFLICT: OCR of version 2 is already RUNNING.');
+
+    // A run whose worker died long ago can be asked for again
+    doc.set('ocr.startedAt', new Date(Date.now() - 2 * 3600000));
+    const retried = await request(appAs(PARTNER)).post(`/api/documents/${doc._id}/ocr`).send({ version: 2 });
+    expect(retried.status).to.equal(202);
+    expect(retried.body.data.sourceVersion).to.equal(2);
+    // Version 2 was read into version 3 when it was saved, so the second reading is not saved over it
+    await settled(2);
+    expect(doc.ocr).to.include({ status: OCR_STATUS.SUPERSEDED, sourceVersion: 2 });
+    expect(versions.map(({ origin }) => origin)).to.deep.equal([VERSION_ORIGINS.UPLOAD, VERSION_ORIGINS.UPLOAD, VERSION_ORIGINS.OCR]);
+  });
+
+  it('never replaces a version saved while OCR ran', async () => {
+    ocrService.recognise.callsFake(async (images) => {
+      await documentVersionService.createVersion(TENANT, doc._id, { buffer: Buffer.from('Amended notice of motion'), originalname: 'amended.txt', mimetype: 'text/plain' }, { userId: PARTNER });
+      const pages = [];
+      await images(async ({ pageNumber, toPdfPoint }) => { pages.push({ pageNumber, toPdfPoint, ...readRecognition(recognition(read)) }); });
+      return pages;
+    });
+
+    await upload(await scanned('Notice of motion'), 'scan.pdf', 'application/pdf');
+    await settled();
+
+    expect(versions.map(({ origin }) => origin)).to.deep.equal([VERSION_ORIGINS.UPLOAD, VERSION_ORIGINS.UPLOAD]);
+    expect((await ocrOf()).body.data).to.include({ status: OCR_STATUS.SUPERSEDED, sourceVersion: 1, currentVersion: 2, searchable: false });
+  });
+
+  it('records a scan with no readable text as failed', async () => {
+    read = '';
+
+    await upload(await scanned('Notice of motion'), 'scan.pdf', 'application/pdf');
+    await settled();
+
+    expect(versions).to.have.length(1);
+    expect((await ocrOf()).body.data).to.include({ status: OCR_STATUS.FAILED, error: 'OCR_ERROR: No text could be read from the scanned pages.' });
+  });
+});
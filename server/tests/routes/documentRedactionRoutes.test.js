@@ -0,0 +1,207 @@
+/* eslint-disable */
+/**
+ * 🧪 Document Redaction Routes Audit
+ * @description Compliance reviews the ID numbers, phone numbers, bank accounts and matter party names proposed in a
+ * PDF version, then burns the chosen ones and any hand-drawn boxes, each with a reason code, into a flattened copy
+ * saved as the newest version with its redaction log. The version redacted from is kept, nothing is redacted that was
+ * not proposed or has no valid reason, and a document checked out by someone else cannot be redacted.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { PDFParse } from 'pdf-parse';
+import Document from '../../models/Document.js';
+import DocumentVersion, { VERSION_ORIGINS } from '../../models/DocumentVersion.js';
+import Matter from '../../models/Matter.js';
+import SovereignPdfStore from '../../services/pdfStore.js';
+import documentVersionService from '../../services/documentVersionService.js';
+import auditLogger from '../../utils/auditLogger.js';
+import logger from '../../utils/logger.js';
+import { PII_TYPES, REDACTION_REASONS } from '../../utils/pdfRedaction.js';
+import { requireRole } from '../../middleware/auth.js';
+import { tenantStorage } from '../../middleware/tenantContext.js';
+import documentController from '../../controllers/documentController.js';
+
+const TENANT = 'tenant-redaction';
+const OFFICER = String(new mongoose.Types.ObjectId());
+const ASSOCIATE = String(new mongoose.Types.ObjectId());
+const MATTER = new mongoose.Types.ObjectId();
+
+const LINES = [
+  'Affidavit of Thandi Mokoena (ID 8001015009087)',
+  'Cell 082 555 1234',
+  'Account number 62012345678 at First National Bank'
+];
+
+// The redaction routes, behind their role gate, under the tenant context the API gateway sets for each caller
+const appAs = (role, userId) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId, email: `${role}@nkosi.co.za`, firstName: 'Naledi', lastName: 'Dube', role, tenantId: TENANT };
+    tenantStorage.run({ tenantId: TENANT, userId, requestId: 'REQ-TEST' }, next);
+  });
+  app.get('/api/documents/:documentId/redact/candidates', requireRole(['super_admin', 'compliance']), documentController.getRedactionCandidates);
+  app.post('/api/documents/:documentId/redact', requireRole(['super_admin', 'compliance']), documentController.redactDocument);
+  // API fault interceptor: redaction faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, code: err.code }));
+  return app;
+};
+
+const affidavit = async () => {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const page = pdf.addPage([595, 842]);
+  LINES.forEach((line, index) => page.drawText(line, { x: 50, y: 750 - index * 20, size: 11, font }));
+  return Buffer.from(await pdf.save());
+};
+
+const textOf = async (bytes) => {
+  const parser = new PDFParse({ data: bytes });
+  try {
+    return (await parser.getText()).text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// A query chain over the saved versions, however the service finishes it; findOne takes the first
+const versionsWhere = (filter, { one = false } = {}) => {
+  let order = 1;
+  const result = () => {
+    const matching = versions
+      .filter((version) => (filter.versionNumber === undefined || version.versionNumber === filter.versionNumber)
+        && (filter.versionId === undefined || version.versionId === filter.versionId))
+      .sort((a, b) => order * (a.versionNumber - b.versionNumber))
+      .map((version) => version.toObject());
+    return one ? matching[0] || null : matching;
+  };
+  return {
+    sort(spec) { order = spec.versionNumber; return this; },
+    populate() { return this; },
+    lean() { return this; },
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+  };
+};
+
+let versions;
+
+describe('⬛ Document redaction routes', function () {
+  // Burning in renders each page to an image
+  this.timeout(20000);
+
+  let doc;
+  let vault;
+
+  beforeEach(async () => {
+    versions = [];
+    vault = new Map();
+    doc = new Document({ tenantId: TENANT, title: 'Founding affidavit', createdBy: OFFICER, matterId: MATTER, status: 'draft' });
+
+    sinon.stub(Document, 'findOne').callsFake(async () => doc);
+    sinon.stub(Document.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(Document, 'updateOne').resolves({});
+    sinon.stub(DocumentVersion, 'exists').callsFake(async () => versions.length > 0);
+    sinon.stub(DocumentVersion, 'findOne').callsFake((filter) => versionsWhere(filter, { one: true }));
+    sinon.stub(DocumentVersion, 'create').callsFake(async (fields) => {
+      const version = new DocumentVersion(fields);
+      versions.push(version);
+      return version;
+    });
+    sinon.stub(Matter, 'findOne').returns({
+      select() { return this; },
+      lean: async () => ({ _id: MATTER, parties: [{ name: 'Thandi Mokoena', role: 'deponent' }] })
+    });
+    sinon.stub(SovereignPdfStore, 'storePdf').callsFake(async (tenantId, traceId, bytes) => { vault.set(traceId, Buffer.from(bytes)); });
+    sinon.stub(SovereignPdfStore, 'get').callsFake(async (tenantId, traceId) => vault.get(traceId));
+    for (const level of ['info', 'security']) sinon.stub(auditLogger, level);
+    sinon.stub(logger, 'error');
+    sinon.stub(logger, 'warn');
+
+    await documentVersionService.createVersion(TENANT, doc._id, {
+      buffer: await affidavit(),
+      originalname: 'affidavit.pdf',
+      mimetype: 'application/pdf'
+    }, { userId: OFFICER });
+  });
+
+  afterEach(() => sinon.restore());
+
+  const candidates = (role = 'compliance') => request(appAs(role, role === 'compliance' ? OFFICER : ASSOCIATE)).get(`/api/documents/${doc._id}/redact/candidates`);
+  const redact = (body, role = 'compliance') => request(appAs(role, role === 'compliance' ? OFFICER : ASSOCIATE)).post(`/api/documents/${doc._id}/redact`).send(body);
+
+  it('leaves redaction to compliance', async () => {
+    const [proposed, redacted] = await Promise.all([candidates('associate'), redact({ boxes: [] }, 'associate')]);
+
+    expect([proposed.status, redacted.status]).to.deep.equal([403, 403]);
+    expect(versions).to.have.length(1);
+  });
+
+  it("proposes the version's personal information, party names taken from its matter", async () => {
+    const res = await candidates();
+
+    expect(res.status).to.equal(200);
+    expect(Matter.findOne.firstCall.args[0]).to.deep.equal({ _id: MATTER, tenantId: TENANT });
+    expect(res.body.data).to.include({ documentId: String(doc._id), version: 1, hasText: true });
+    expect(res.body.data.candidates.map(({ type, text, reason }) => [type, text, reason])).to.deep.equal([
+      [PII_TYPES.PARTY_NAME, 'Thandi Mokoena', REDACTION_REASONS.THIRD_PARTY],
+      [PII_TYPES.SA_ID_NUMBER, '8001015009087', REDACTION_REASONS.POPIA_S19],
+      [PII_TYPES.PHONE_NUMBER, '082 555 1234', REDACTION_REASONS.POPIA_S19],
+      [PII_TYPES.BANK_ACCOUNT, '62012345678', REDACTION_REASONS.POPIA_S19]
+    ]);
+  });
+
+  it('burns the chosen candidates and hand-drawn boxes into a new version and keeps the one it came from', async () => {
+    const { body: { data: proposal } } = await candidates();
+    const chosen = proposal.candidates.filter((candidate) => candidate.type !== PII_TYPES.PHONE_NUMBER);
+
+    const res = await redact({
+      candidates: chosen.map(({ candidateId }) => ({ candidateId })),
+      boxes: [{ page: 1, x: 40, y: 40, width: 200, height: 20, reason: REDACTION_REASONS.PRIVILEGE, note: 'Advice from counsel' }],
+      dpi: 72
+    });
+
+    expect(res.status).to.equal(201);
+    expect(res.body.data).to.include({ versionNumber: 2, origin: VERSION_ORIGINS.REDACTION, fileName: 'affidavit_redacted.pdf', comment: 'Redacted from version 1 (4 redactions)' });
+    expect(versions[1].redaction.sourceVersion).to.equal(1);
+    expect(versions[1].redaction.entries.map((entry) => entry.reason)).to.have.members([
+      REDACTION_REASONS.PRIVILEGE, REDACTION_REASONS.THIRD_PARTY, REDACTION_REASONS.POPIA_S19, REDACTION_REASONS.POPIA_S19
+    ]);
+    expect(doc.auditLog.at(-1).action).to.equal('REDACTED');
+
+    const redacted = await textOf(vault.get(versions[1].vaultTraceId));
+    expect(redacted).to.include('REDACTION LOG');
+    expect(redacted).to.include('applied by Naledi Dube');
+    expect(redacted).to.not.match(/Mokoena|8001015009087|62012345678|082 555 1234/);
+    expect(await textOf(vault.get(versions[0].vaultTraceId))).to.include('8001015009087');
+    expect(auditLogger.info.calledWith('DOCUMENT_REDACTED', sinon.match({
+      sourceVersion: 1, redactions: 4, reasons: { PRIVILEGE: 1, THIRD_PARTY: 1, POPIA_S19: 2 }, userId: OFFICER
+    }))).to.equal(true);
+  });
+
+  it('refuses candidates that were not proposed and boxes without a valid reason', async () => {
+    const unproposed = await redact({ candidates: [{ candidateId: 'C-099' }] });
+    const unreasoned = await redact({ boxes: [{ page: 1, x: 40, y: 40, width: 200, height: 20, reason: 'EMBARRASSING' }] });
+
+    expect([unproposed.status, unreasoned.status]).to.deep.equal([400, 422]);
+    expect(unproposed.body.error).to.equal('REDACTION_ERROR: Candidate C-099 was not proposed for version 1.');
+    expect(unreasoned.body.error).to.match(/^REDACTION_ERROR: Redaction 1: reason must be one of PRIVILEGE, POPIA_S19, THIRD_PARTY/);
+    expect(versions).to.have.length(1);
+  });
+
+  it('refuses a version that is not a PDF, and a document checked out by someone else', async () => {
+    await documentVersionService.createVersion(TENANT, doc._id, { buffer: Buffer.from('Draft heads of argument'), originalname: 'heads.txt', mimetype: 'text/plain' }, { userId: ASSOCIATE });
+    const notPdf = await redact({ boxes: [{ page: 1, x: 40, y: 40, width: 200, height: 20, reason: REDACTION_REASONS.PRIVILEGE }] });
+    expect(notPdf.status).to.equal(422);
+    expect(notPdf.body.error).to.match(/^REDACTION_ERROR: Version 2 is text\/plain; only PDF versions can be redacted/);
+
+    doc.checkout = { userId: ASSOCIATE, checkedOutAt: new Date(), expiresAt: new Date(Date.now() + 3600000) };
+    const locked = await redact({ version: 1, boxes: [{ page: 1, x: 40, y: 40, width: 200, height: 20, reason: REDACTION_REASONS.PRIVILEGE }] });
+    expect(locked.status).to.equal(409);
+    expect(locked.body.code).to.equal('DOCUMENT_LOCKED');
+    expect(versions).to.have.length(2);
+  });
+});
@@ -0,0 +1,205 @@
+/* eslint-disable */
+/**
+ * 🧪 Document Version Routes Audit
+ * @description Every saved file becomes an immutable version in the vault and the document points at the newest one.
+ * A check-out locks the document to its holder until it is checked in or expires; only compliance may break someone
+ * else's lock, and only with a reason. Restoring saves an earlier version again as the newest, a version whose bytes
+ * no longer match its hash is refused, and a redline compares two versions word by word.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import Document from '../../models/Document.js';
+import DocumentVersion, { VERSION_ORIGINS } from '../../models/DocumentVersion.js';
+import SovereignPdfStore from '../../services/pdfStore.js';
+import auditLogger from '../../utils/auditLogger.js';
+import logger from '../../utils/logger.js';
+import { keepTenantContext, tenantStorage } from '../../middleware/tenantContext.js';
+import documentController from '../../controllers/documentController.js';
+
+const TENANT = 'tenant-versions';
+const OWNER = String(new mongoose.Types.ObjectId());
+const COLLEAGUE = String(new mongoose.Types.ObjectId());
+
+// The document routes under the tenant context the API gateway sets for each caller
+const appAs = (role, userId) => {
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId, email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    tenantStorage.run({ tenantId: TENANT, userId, requestId: 'REQ-TEST' }, next);
+  });
+  app.get('/api/documents/:documentId/versions', documentController.getVersions);
+  app.post('/api/documents/:documentId/versions', keepTenantContext(upload.single('file')), documentController.createVersion);
+  app.get('/api/documents/:documentId/versions/:versionId/download', documentController.downloadVersion);
+  app.post('/api/documents/:documentId/versions/:versionId/restore', documentController.restoreVersion);
+  app.post('/api/documents/:documentId/lock', documentController.lockDocument);
+  app.post('/api/documents/:documentId/unlock', documentController.unlockDocument);
+  app.get('/api/documents/:documentId/redline', documentController.getRedline);
+  // API fault interceptor: document faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, code: err.code }));
+  return app;
+};
+
+// A query chain over the saved versions, however the service finishes it; findOne takes the first
+const versionsWhere = (filter, { one = false } = {}) => {
+  let order = 1;
+  const result = () => {
+    const matching = versions
+      .filter((version) => (filter.versionNumber === undefined || version.versionNumber === filter.versionNumber)
+        && (filter.versionId === undefined || version.versionId === filter.versionId))
+      .sort((a, b) => order * (a.versionNumber - b.versionNumber))
+      .map((version) => version.toObject());
+    return one ? matching[0] || null : matching;
+  };
+  return {
+    sort(spec) { order = spec.versionNumber; return this; },
+    populate() { return this; },
+    lean() { return this; },
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+  };
+};
+
+let versions;
+
+describe('🗂️ Document version routes', () => {
+  let doc;
+  let vault;
+
+  beforeEach(() => {
+    versions = [];
+    vault = new Map();
+    doc = new Document({ tenantId: TENANT, title: 'Sale agreement', createdBy: OWNER, status: 'draft' });
+
+    sinon.stub(Document, 'findOne').callsFake(async () => doc);
+    sinon.stub(Document.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(Document, 'updateOne').resolves({});
+    sinon.stub(Document, 'findById').returns({ select() { return this; }, lean: async () => ({ checkout: doc.checkout }) });
+    // The lock is taken or released only if nobody else holds a running one (or, for a forced release, at all)
+    sinon.stub(Document, 'findOneAndUpdate').callsFake(async (filter, update) => {
+      const holder = doc.checkout?.userId ? String(doc.checkout.userId) : null;
+      const expired = !doc.checkout?.expiresAt || doc.checkout.expiresAt <= new Date();
+      const caller = filter.$or?.find((condition) => condition['checkout.userId'])?.['checkout.userId'];
+      if (filter.$or && holder && !expired && holder !== String(caller)) return null;
+      doc.checkout = update.$set?.checkout;
+      return doc;
+    });
+
+    sinon.stub(DocumentVersion, 'exists').callsFake(async () => versions.length > 0);
+    sinon.stub(DocumentVersion, 'findOne').callsFake((filter) => versionsWhere(filter, { one: true }));
+    sinon.stub(DocumentVersion, 'find').callsFake((filter) => versionsWhere(filter));
+    sinon.stub(DocumentVersion, 'create').callsFake(async (fields) => {
+      const version = new DocumentVersion(fields);
+      versions.push(version);
+      return version;
+    });
+    sinon.stub(SovereignPdfStore, 'storePdf').callsFake(async (tenantId, traceId, bytes) => { vault.set(traceId, Buffer.from(bytes)); });
+    sinon.stub(SovereignPdfStore, 'get').callsFake(async (tenantId, traceId) => vault.get(traceId));
+    for (const level of ['info', 'security']) sinon.stub(auditLogger, level);
+    sinon.stub(logger, 'error');
+  });
+
+  afterEach(() => sinon.restore());
+
+  const save = (userId, text, fields = {}) => {
+    const req = request(appAs('associate', userId)).post(`/api/documents/${doc._id}/versions`).attach('file', Buffer.from(text), { filename: 'sale.txt', contentType: 'text/plain' });
+    for (const [name, value] of Object.entries(fields)) req.field(name, value);
+    return req;
+  };
+  const lock = (userId, body = {}, role = 'associate') => request(appAs(role, userId)).post(`/api/documents/${doc._id}/lock`).send(body);
+  const unlock = (userId, body = {}, role = 'associate') => request(appAs(role, userId)).post(`/api/documents/${doc._id}/unlock`).send(body);
+
+  it('keeps every saved file as a version and points the document at the newest', async () => {
+    await save(OWNER, 'The purchase price is R1 200 000.', { comment: 'First draft' });
+    const res = await save(COLLEAGUE, 'The purchase price is R1 350 000.');
+
+    expect(res.status).to.equal(201);
+    expect(res.body.data).to.include({ versionNumber: 2, origin: VERSION_ORIGINS.UPLOAD, mimeType: 'text/plain', author: COLLEAGUE });
+    expect(doc).to.include({ version: 2, currentVersionId: versions[1].versionId, storageKey: `vault:${versions[1].vaultTraceId}` });
+    expect(vault.get(versions[0].vaultTraceId).toString()).to.equal('The purchase price is R1 200 000.');
+
+    const unchanged = await save(OWNER, 'The purchase price is R1 350 000.');
+    expect(unchanged.status).to.equal(409);
+    expect(unchanged.body.code).to.equal('DOCUMENT_UNCHANGED');
+
+    const history = await request(appAs('associate', OWNER)).get(`/api/documents/${doc._id}/versions`);
+    expect(history.body.data.versions.map((version) => version.versionNumber)).to.deep.equal([2, 1]);
+  });
+
+  it('lets only the holder of a check-out save, and checks in on save', async () => {
+    const taken = await lock(OWNER, { minutes: 60, comment: 'Redrafting clause 4' });
+    expect(taken.status).to.equal(200);
+
+    const stolen = await lock(COLLEAGUE);
+    const blocked = await save(COLLEAGUE, 'Clause 4 deleted.');
+    expect([stolen.status, blocked.status]).to.deep.equal([409, 409]);
+    expect(blocked.body.code).to.equal('DOCUMENT_LOCKED');
+    expect(versions).to.have.length(0);
+
+    const res = await save(OWNER, 'Clause 4 redrafted.');
+    expect(res.body.data.origin).to.equal(VERSION_ORIGINS.CHECK_IN);
+    expect(doc.checkout?.userId).to.equal(undefined);
+    expect((await save(COLLEAGUE, 'Clause 4 reviewed.')).status).to.equal(201);
+  });
+
+  it('lets an expired check-out lapse', async () => {
+    await lock(OWNER, { minutes: 1 });
+    doc.checkout.expiresAt = new Date(Date.now() - 1000);
+
+    const res = await save(COLLEAGUE, 'Clause 4 reviewed.');
+
+    expect(res.status).to.equal(201);
+  });
+
+  it("leaves breaking someone else's check-out to compliance, with a reason", async () => {
+    await lock(OWNER, { minutes: 60 });
+
+    const mine = await unlock(COLLEAGUE);
+    const forced = await unlock(COLLEAGUE, { force: true, reason: 'Urgent filing' });
+    const unexplained = await unlock(COLLEAGUE, { force: true }, 'compliance');
+    expect([mine.status, forced.status, unexplained.status]).to.deep.equal([409, 403, 400]);
+    expect(doc.checkout.userId.toString()).to.equal(OWNER);
+
+    const res = await unlock(COLLEAGUE, { force: true, reason: 'Owner on leave; urgent filing' }, 'compliance');
+    expect(res.body.data).to.deep.equal({ documentId: String(doc._id), releasedFrom: OWNER, forced: true });
+    expect(doc.checkout?.userId).to.equal(undefined);
+    expect(auditLogger.security.calledWith('DOCUMENT_CHECKOUT_OVERRIDDEN', sinon.match({ heldBy: OWNER, userId: COLLEAGUE }))).to.equal(true);
+  });
+
+  it('restores an earlier version as the newest and redlines it against the one it replaced', async () => {
+    await save(OWNER, 'The seller sells the property voetstoots.');
+    await save(OWNER, 'The seller sells the property with a defects warranty.');
+
+    const restored = await request(appAs('associate', OWNER)).post(`/api/documents/${doc._id}/versions/1/restore`).send({});
+    expect(restored.status).to.equal(201);
+    expect(restored.body.data).to.include({ versionNumber: 3, origin: VERSION_ORIGINS.RESTORE, restoredFrom: 1, contentHash: versions[0].contentHash });
+    expect(versions.map((version) => version.versionNumber)).to.deep.equal([1, 2, 3]);
+
+    const res = await request(appAs('associate', OWNER)).get(`/api/documents/${doc._id}/redline`).query({ format: 'json' });
+    expect(res.body.data.from.label).to.equal('Version 2');
+    expect(res.body.data.to.label).to.equal('Version 3');
+    expect(res.body.data.changes.filter((change) => change.type !== 'equal').map(({ type, text }) => [type, text])).to.deep.equal([
+      ['delete', 'with a defects warranty.'],
+      ['insert', 'voetstoots.']
+    ]);
+
+    const pdf = await request(appAs('associate', OWNER)).get(`/api/documents/${doc._id}/redline`).query({ from: 1, to: 2 }).buffer(true);
+    expect(pdf.headers['content-type']).to.equal('application/pdf');
+    expect(pdf.headers['content-disposition']).to.contain('Sale_agreement_redline_v1-v2.pdf');
+  });
+
+  it('refuses to hand out a version whose bytes no longer match its hash', async () => {
+    await save(OWNER, 'The purchase price is R1 200 000.');
+    vault.set(versions[0].vaultTraceId, Buffer.from('The purchase price is R1 000.'));
+
+    const res = await request(appAs('associate', OWNER)).get(`/api/documents/${doc._id}/versions/1/download`);
+
+    expect(res.status).to.equal(500);
+    expect(res.body.code).to.equal('DOCUMENT_VERSION_TAMPERED');
+    expect(auditLogger.security.calledWith('DOCUMENT_VERSION_TAMPERED')).to.equal(true);
+  });
+});
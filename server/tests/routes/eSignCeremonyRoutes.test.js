@@ -0,0 +1,230 @@
+/* eslint-disable */
+/**
+ * 🧪 Remote Signing Ceremony Routes Audit
+ * @description A remote request invites only the parties whose turn it is, by a link stored as a hash. The link shows
+ * nothing of the document until the party enters the one-time code sent to them; wrong and early codes are refused,
+ * and the right one uses up the link and opens a short session. In that session the party must review, consent and
+ * adopt a signature before signing, after which the next party is invited; declining stops the request and delegating
+ * hands the party's place to someone else.
+ */
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import DocumentTemplate from '../../models/DocumentTemplate.js';
+import SovereignPdfStore from '../../services/pdfStore.js';
+import emailService from '../../services/emailService.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { CEREMONY_EVENTS, ECT_CONSENT, hashSecret } from '../../utils/signingCeremony.js';
+
+// The signing authority keeps its test CA under ESIGN_CA_DIR, read when the service loads
+const CA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'esign-ca-'));
+process.env.ESIGN_CA_DIR = CA_DIR;
+const { ElectronicSignature, SIGNATURE_STATUS } = await import('../../services/eSignService.js');
+const { PADES_LEVELS } = await import('../../services/padesService.js');
+const { default: eSignRoutes, eSignCeremonyRoutes } = await import('../../routes/eSignRoutes.js');
+
+const TENANT = 'tenant-ceremony';
+const TEMPLATE = {
+  templateId: 'TPL-SALE',
+  tenantId: TENANT,
+  name: 'Deed of Sale',
+  content: { raw: 'The seller sells and the purchaser buys Erf 1042, Durbanville, for R2 450 000.' }
+};
+const SIGNERS = [
+  { name: 'Thandi Mokoena', email: 'thandi@mokoena.co.za', phone: '+27 82 555 0142', order: 1 },
+  { name: 'Pieter Botha', email: 'pieter@botha.co.za', order: 2 }
+];
+
+const appAs = (role) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/esign/ceremony', eSignCeremonyRoutes);
+  app.use((req, res, next) => {
+    req.user = { _id: new mongoose.Types.ObjectId(), email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/esign', eSignRoutes);
+  // API fault interceptor: e-sign faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, details: err.details }));
+  return app;
+};
+
+// findOne(...) is awaited as it is, or after .select() of the ceremony secrets
+const found = (result) => ({
+  select: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+describe('✍️ Remote signing ceremony routes', function () {
+  // The first signed PDF generates the local CA's keys
+  this.timeout(20000);
+
+  let signature;
+  let invitations;
+  let codes;
+  const publicApp = appAs('public');
+
+  after(() => fs.rm(CA_DIR, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    const vault = new Map();
+    invitations = [];
+    codes = [];
+    sinon.stub(DocumentTemplate, 'findOne').resolves(TEMPLATE);
+    sinon.stub(ElectronicSignature.prototype, 'save').callsFake(async function save() { signature = this; return this; });
+    sinon.stub(ElectronicSignature, 'findOne').callsFake(() => found(signature));
+    sinon.stub(SovereignPdfStore, 'storePdf').callsFake(async (tenantId, traceId, bytes) => { vault.set(`${tenantId}/${traceId}`, Buffer.from(bytes)); });
+    sinon.stub(SovereignPdfStore, 'get').callsFake(async (tenantId, traceId) => vault.get(`${tenantId}/${traceId}`));
+    sinon.stub(mongoose, 'startSession').resolves({
+      startTransaction() {}, commitTransaction: async () => {}, abortTransaction: async () => {}, endSession() {}
+    });
+    sinon.stub(emailService, 'sendSigningInvitation').callsFake(async (to, data) => { invitations.push({ to, ...data }); return { success: true }; });
+    sinon.stub(emailService, 'sendSigningCode').callsFake(async (to, data) => { codes.push({ to, ...data }); return { success: true }; });
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  const raise = (role = 'lawyer') => request(appAs(role)).post('/api/esign/requests').send({ templateId: TEMPLATE.templateId, signers: SIGNERS, remoteSigning: true });
+  const linkFor = (email) => invitations.filter((invitation) => invitation.to === email).at(-1).signUrl.split('/').pop();
+  const codeFor = (email) => codes.filter((code) => code.to === email).at(-1).code;
+
+  // Opens the party's link and enters the code emailed to them
+  const enter = async (email) => {
+    const link = linkFor(email);
+    await request(publicApp).post(`/api/esign/ceremony/${link}/code`).send({ channel: 'email' });
+    const res = await request(publicApp).post(`/api/esign/ceremony/${link}/verify`).send({ code: codeFor(email) });
+    return res.body.data.sessionToken;
+  };
+  const session = (method, route, token, body) => request(publicApp)[method](`/api/esign/ceremony/session${route}`).set('X-Signing-Session', token).send(body);
+  const prepare = async (token, text) => {
+    await session('get', '/document', token);
+    await session('post', '/consent', token, { accepted: true, version: ECT_CONSENT.version });
+    await session('post', '/signature', token, { type: 'typed', text });
+  };
+
+  it('invites only the party whose turn it is, by a link kept as a hash', async () => {
+    const res = await raise();
+
+    expect(res.status).to.equal(201);
+    expect(res.body.data.invitations.map(({ email, sent }) => [email, sent])).to.deep.equal([['th***@mokoena.co.za', true]]);
+    expect(invitations.map((invitation) => invitation.to)).to.deep.equal(['thandi@mokoena.co.za']);
+    const link = linkFor('thandi@mokoena.co.za');
+    expect(signature.signers[0].ceremony.tokenHash).to.equal(hashSecret(link));
+    expect(JSON.stringify(signature.toObject())).to.not.contain(link);
+    expect(signature.signers[1].ceremony?.invitedAt).to.equal(undefined);
+  });
+
+  it('leaves resending links to legal staff', async () => {
+    await raise();
+
+    const res = await request(appAs('client')).post(`/api/esign/requests/${signature.signatureId}/invitations`).send({ emails: ['thandi@mokoena.co.za'] });
+
+    expect(res.status).to.equal(403);
+    expect(invitations).to.have.length(1);
+  });
+
+  describe('one-time codes', () => {
+    let link;
+
+    beforeEach(async () => {
+      await raise();
+      link = linkFor('thandi@mokoena.co.za');
+    });
+
+    it('shows the party nothing of the document before the code, and offers SMS first', async () => {
+      const res = await request(publicApp).get(`/api/esign/ceremony/${link}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.include({ signatureId: signature.signatureId, title: TEMPLATE.name });
+      expect(res.body.data.codeChannels.map(({ channel, destination }) => [channel, destination])).to.deep.equal([['sms', '*******0142'], ['email', 'th***@mokoena.co.za']]);
+      expect(JSON.stringify(res.body)).to.not.contain('Erf 1042');
+      expect(signature.ceremonyEvents.map((event) => event.event)).to.include(CEREMONY_EVENTS.LINK_OPENED);
+    });
+
+    it('refuses a wrong code and an early resend, then opens a session and uses up the link', async () => {
+      const sent = await request(publicApp).post(`/api/esign/ceremony/${link}/code`).send({ channel: 'email' });
+      expect(sent.body.data).to.include({ channel: 'email', destination: 'th***@mokoena.co.za' });
+
+      const again = await request(publicApp).post(`/api/esign/ceremony/${link}/code`).send({ channel: 'email' });
+      expect(again.status).to.equal(429);
+
+      const wrong = await request(publicApp).post(`/api/esign/ceremony/${link}/verify`).send({ code: codeFor('thandi@mokoena.co.za') === '000000' ? '111111' : '000000' });
+      expect(wrong.status).to.equal(401);
+      expect(wrong.body.details).to.deep.equal({ attemptsLeft: 4 });
+
+      const res = await request(publicApp).post(`/api/esign/ceremony/${link}/verify`).send({ code: codeFor('thandi@mokoena.co.za') });
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.include({ reviewed: false, consented: false, canSign: true });
+      expect(signature.signers[0].ceremony.sessionHash).to.equal(hashSecret(res.body.data.sessionToken));
+
+      const reused = await request(publicApp).get(`/api/esign/ceremony/${link}`);
+      expect(reused.status).to.equal(410);
+    });
+
+    it('refuses a forged session', async () => {
+      const res = await session('get', '', 'f'.repeat(64));
+
+      expect(res.status).to.equal(401);
+    });
+  });
+
+  describe('signing session', () => {
+    beforeEach(() => raise());
+
+    it('signs only after review, consent and an adopted signature, then invites the next party', async () => {
+      const token = await enter('thandi@mokoena.co.za');
+
+      const early = await session('post', '/sign', token, {});
+      expect(early.status).to.equal(409);
+      expect(early.body.error).to.equal('ESIGN_CEREMONY_ERROR: Before signing, review the document, consent to signing electronically, adopt a signature');
+
+      await prepare(token, 'T. Mokoena');
+      const res = await session('post', '/sign', token, { geoLocation: 'Durbanville' });
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.include({ allSigned: false, nextInvited: 1 });
+      expect(invitations.at(-1).to).to.equal('pieter@botha.co.za');
+      expect((await session('get', '', token)).status).to.equal(401);
+
+      const last = await enter('pieter@botha.co.za');
+      await prepare(last, 'P. Botha');
+      const done = await session('post', '/sign', last, {});
+      expect(done.body.data.allSigned).to.equal(true);
+      expect(done.body.data.signedPdf.level).to.equal(PADES_LEVELS.B_LT);
+      expect(signature.status).to.equal(SIGNATURE_STATUS.SIGNED);
+      expect(signature.pdf.signatures.map((entry) => entry.email)).to.deep.equal(['thandi@mokoena.co.za', 'pieter@botha.co.za']);
+    });
+
+    it('stops the whole request when a party declines', async () => {
+      const token = await enter('thandi@mokoena.co.za');
+
+      const res = await session('post', '/decline', token, { reason: 'The purchase price is wrong' });
+
+      expect(res.body.data.status).to.equal(SIGNATURE_STATUS.DECLINED);
+      expect(signature.statusHistory.at(-1)).to.include({ status: SIGNATURE_STATUS.DECLINED, reason: 'The purchase price is wrong', changedBy: 'thandi@mokoena.co.za' });
+      const resend = await request(appAs('lawyer')).post(`/api/esign/requests/${signature.signatureId}/invitations`).send({});
+      expect(resend.status).to.equal(409);
+    });
+
+    it("hands a party's place and signature field to the delegate, who is invited straight away", async () => {
+      const token = await enter('thandi@mokoena.co.za');
+
+      const res = await session('post', '/delegate', token, { name: 'Sipho Mokoena', email: 'Sipho@Mokoena.co.za', reason: 'Signing under power of attorney' });
+
+      expect(res.body.data).to.include({ delegatedTo: 'si***@mokoena.co.za', invited: true });
+      const delegate = signature.signers.at(-1);
+      expect(delegate).to.include({ email: 'sipho@mokoena.co.za', order: 1, delegatedFrom: 'thandi@mokoena.co.za', remote: true });
+      expect(signature.pdf.fields.map((field) => field.email)).to.include('sipho@mokoena.co.za');
+      expect(invitations.at(-1)).to.include({ to: 'sipho@mokoena.co.za', delegatedBy: 'Thandi Mokoena' });
+      expect((await session('get', '', token)).status).to.equal(401);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/* eslint-disable */
+/**
+ * 🧪 E-Sign Routes Audit
+ * @description A signature request renders the template to a PDF with a field per party. Parties sign in order, and
+ * the last signature embeds a PAdES-B-LT signature per party, issued by the local signing authority, in the stored
+ * PDF. /verify re-validates those signatures offline and fails once the signed PDF has been altered. Requests are
+ * raised, verified and downloaded by legal staff only.
+ */
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import DocumentTemplate from '../../models/DocumentTemplate.js';
+import SovereignPdfStore from '../../services/pdfStore.js';
+import auditLogger from '../../utils/auditLogger.js';
+
+// The signing authority keeps its test CA under ESIGN_CA_DIR, read when the service loads
+const CA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'esign-ca-'));
+process.env.ESIGN_CA_DIR = CA_DIR;
+const { ElectronicSignature, SIGNATURE_STATUS } = await import('../../services/eSignService.js');
+const { PADES_LEVELS } = await import('../../services/padesService.js');
+const { default: eSignRoutes } = await import('../../routes/eSignRoutes.js');
+
+const TENANT = 'tenant-esign';
+const TEMPLATE = {
+  templateId: 'TPL-LEASE',
+  tenantId: TENANT,
+  name: 'Commercial Lease',
+  content: { raw: 'The landlord lets and the tenant hires the premises at 12 Loop Street, Cape Town.' }
+};
+const SIGNERS = [
+  { name: 'Thandi Mokoena', email: 'thandi@mokoena.co.za', order: 1 },
+  { name: 'Pieter Botha', email: 'pieter@botha.co.za', order: 2 }
+];
+
+const appAs = (role, email = `${role}@nkosi.co.za`) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: new mongoose.Types.ObjectId(), email, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/esign', eSignRoutes);
+  // API fault interceptor: e-sign faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+  return app;
+};
+
+describe('✍️ E-sign routes', function () {
+  // The first request generates the local CA's keys
+  this.timeout(20000);
+
+  let signature;
+  let vault;
+
+  after(() => fs.rm(CA_DIR, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    vault = new Map();
+    sinon.stub(DocumentTemplate, 'findOne').resolves(TEMPLATE);
+    sinon.stub(ElectronicSignature.prototype, 'save').callsFake(async function save() { signature = this; return this; });
+    sinon.stub(ElectronicSignature, 'findOne').callsFake(async () => signature);
+    sinon.stub(SovereignPdfStore, 'storePdf').callsFake(async (tenantId, traceId, bytes) => { vault.set(`${tenantId}/${traceId}`, Buffer.from(bytes)); });
+    sinon.stub(SovereignPdfStore, 'get').callsFake(async (tenantId, traceId) => vault.get(`${tenantId}/${traceId}`));
+    sinon.stub(mongoose, 'startSession').resolves({
+      startTransaction() {}, commitTransaction: async () => {}, abortTransaction: async () => {}, endSession() {}
+    });
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'error');
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  const raise = (role = 'lawyer') => request(appAs(role)).post('/api/esign/requests').send({ templateId: TEMPLATE.templateId, signers: SIGNERS });
+  const sign = (signer, signerId) => request(appAs('client', signer.email))
+    .post(`/api/esign/requests/${signature.signatureId}/sign/${signerId}`)
+    .send({ quantumSignature: 'device-bound-proof', geoLocation: 'Cape Town' });
+
+  it('renders the template and places a signature field per party', async () => {
+    const res = await raise();
+
+    expect(res.status).to.equal(201);
+    expect(DocumentTemplate.findOne.firstCall.args[0]).to.deep.equal({ templateId: TEMPLATE.templateId, tenantId: TENANT });
+    expect(res.body.data.fields.map((field) => field.email)).to.deep.equal(SIGNERS.map((signer) => signer.email));
+    expect(vault.get(`${TENANT}/${signature.signatureId}-SOURCE`).subarray(0, 5).toString()).to.equal('%PDF-');
+    expect(signature.status).to.equal(SIGNATURE_STATUS.PENDING);
+  });
+
+  it('is raised by legal staff only', async () => {
+    const res = await raise('client');
+
+    expect(res.status).to.equal(403);
+    expect(DocumentTemplate.findOne.called).to.equal(false);
+  });
+
+  describe('signing', () => {
+    let signerIds;
+
+    beforeEach(async () => {
+      ({ body: { data: { signers: signerIds } } } = await raise());
+      signerIds = signerIds.map((signer) => signer.signerId);
+    });
+
+    it('makes the second party wait for the first', async () => {
+      const res = await sign(SIGNERS[1], signerIds[1]);
+
+      expect(res.status).to.equal(409);
+      expect(res.body.error).to.match(/^Signer cannot sign now \(NOT_YOUR_TURN\)/);
+      expect(signature.signers[1].signedAt).to.equal(undefined);
+    });
+
+    it('embeds a PAdES-B-LT signature per party once the last one signs, and verifies them offline', async () => {
+      const first = await sign(SIGNERS[0], signerIds[0]);
+      expect(first.body.data).to.include({ allSigned: false, signedPdf: null });
+
+      const last = await sign(SIGNERS[1], signerIds[1]);
+      expect(last.body.data).to.include({ allSigned: true, status: SIGNATURE_STATUS.SIGNED });
+      expect(last.body.data.signedPdf.level).to.equal(PADES_LEVELS.B_LT);
+      expect(signature.pdf.signatures.map((entry) => entry.email)).to.deep.equal(SIGNERS.map((signer) => signer.email));
+
+      const res = await request(appAs('paralegal')).post(`/api/esign/verify/${signature.signatureId}`);
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.include({ verified: true, storedHashMatches: true, signatureCount: 2, modifiedAfterLastSignature: false });
+      expect(res.body.data.signatures.map(({ valid, trusted, level }) => [valid, trusted, level])).to.deep.equal([
+        [true, true, PADES_LEVELS.B_LT],
+        [true, true, PADES_LEVELS.B_LT]
+      ]);
+
+      const download = await request(appAs('lawyer')).get(`/api/esign/requests/${signature.signatureId}/download`).buffer(true);
+      expect(download.headers['x-document-sha256']).to.equal(signature.pdf.signedHash);
+    });
+
+    it('fails verification once the signed PDF is altered', async () => {
+      await sign(SIGNERS[0], signerIds[0]);
+      await sign(SIGNERS[1], signerIds[1]);
+      const key = `${TENANT}/${signature.pdf.signedTraceId}`;
+      vault.set(key, Buffer.concat([vault.get(key), Buffer.from('\n999 0 obj\n(Rent is R1 per month)\nendobj\n')]));
+
+      const res = await request(appAs('lawyer')).post(`/api/esign/verify/${signature.signatureId}`);
+
+      expect(res.body.data).to.include({ verified: false, storedHashMatches: false, modifiedAfterLastSignature: true });
+    });
+
+    it('keeps the signed PDF from clients', async () => {
+      await sign(SIGNERS[0], signerIds[0]);
+      await sign(SIGNERS[1], signerIds[1]);
+
+      const res = await request(appAs('client')).get(`/api/esign/requests/${signature.signatureId}/download`);
+
+      expect(res.status).to.equal(403);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/* eslint-disable */
+/**
+ * 🧪 Legal Hold Routes Audit
+ * @description Issuing a hold is for hold managers; it resolves the custodians named in the scope and emails each one
+ * a notice whose link is the only credential the public acknowledgement route accepts. A failed notice is retried by
+ * the reminder run rather than marked sent, a released hold can no longer be acknowledged, and a document the hold
+ * covers cannot be deleted while it is active.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import LegalHold, { CUSTODIAN_STATUS } from '../../models/LegalHold.js';
+import Matter from '../../models/Matter.js';
+import User from '../../models/User.js';
+import Document from '../../models/Document.js';
+import emailService from '../../services/emailService.js';
+import legalHoldService from '../../services/legalHoldService.js';
+import auditLogger from '../../utils/auditLogger.js';
+import legalHoldRoutes, { legalHoldAcknowledgementRoutes } from '../../routes/legalHoldRoutes.js';
+
+const TENANT = 'tenant-holds';
+const MATTER = new mongoose.Types.ObjectId();
+const CUSTODIAN = { _id: new mongoose.Types.ObjectId(), firstName: 'Lindiwe', lastName: 'Zulu', email: 'lindiwe@nkosi.co.za' };
+const DAY = 24 * 60 * 60 * 1000;
+
+const appAs = (role) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/legal-holds/acknowledge', legalHoldAcknowledgementRoutes);
+  app.use((req, res, next) => {
+    req.user = { _id: new mongoose.Types.ObjectId(), email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/legal-holds', legalHoldRoutes);
+  // API fault interceptor: hold faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, code: err.code }));
+  return app;
+};
+
+const holdRequest = () => ({
+  name: 'Mokoena estate dispute',
+  reason: 'Litigation reasonably anticipated',
+  scope: { matterIds: [String(MATTER)], custodianIds: [String(CUSTODIAN._id)] },
+  custodians: [{ name: 'Pieter Botha', email: 'Pieter@BothaAuditors.co.za' }]
+});
+
+describe('⚖️ Legal hold routes', () => {
+  let hold;
+  let notices;
+
+  before(() => { process.env.LEGAL_HOLD_TOKEN_SECRET = 'legal-hold-test-secret'; });
+  after(() => { delete process.env.LEGAL_HOLD_TOKEN_SECRET; });
+
+  beforeEach(() => {
+    notices = [];
+    sinon.stub(Matter, 'countDocuments').resolves(1);
+    sinon.stub(User, 'find').returns({ select() { return this; }, lean: async () => [CUSTODIAN] });
+    sinon.stub(LegalHold.prototype, 'save').callsFake(async function save() { hold = this; return this; });
+    sinon.stub(LegalHold, 'findOne').callsFake(() => {
+      const found = Promise.resolve(hold);
+      found.select = async () => hold;
+      return found;
+    });
+    // The outside auditor's mailbox rejects the first notice
+    sinon.stub(emailService, 'sendLegalHoldNotice').callsFake(async (to, data) => {
+      notices.push({ to, ...data });
+      return to.includes('bothaauditors') && notices.length <= 2 ? { success: false, error: 'MAILBOX_UNAVAILABLE' } : { success: true };
+    });
+    for (const level of ['info', 'error', 'security']) sinon.stub(auditLogger, level);
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  const issue = (role = 'compliance_officer') => request(appAs(role)).post('/api/legal-holds').send(holdRequest());
+  const tokenFor = (email) => notices.find((notice) => notice.to === email).acknowledgeUrl.split('/').pop();
+
+  it('issues a hold and sends each custodian a notice carrying their own link', async () => {
+    const res = await issue();
+
+    expect(res.status).to.equal(201);
+    expect(Matter.countDocuments.firstCall.args[0]).to.deep.equal({ tenantId: TENANT, _id: { $in: [String(MATTER)] } });
+    expect(User.find.firstCall.args[0]).to.deep.equal({ _id: { $in: [String(CUSTODIAN._id)] }, tenantId: TENANT });
+    expect(notices.map(({ to, holdName, reminderNumber }) => [to, holdName, reminderNumber])).to.deep.equal([
+      ['lindiwe@nkosi.co.za', 'Mokoena estate dispute', undefined],
+      ['pieter@bothaauditors.co.za', 'Mokoena estate dispute', undefined]
+    ]);
+    expect(notices[0].scopeSummary).to.equal('1 matter(s); 1 custodian(s)');
+    expect(tokenFor('lindiwe@nkosi.co.za')).to.not.equal(tokenFor('pieter@bothaauditors.co.za'));
+
+    const [internal, external] = hold.custodians;
+    expect(internal.noticeSentAt).to.be.instanceOf(Date);
+    expect(external.noticeSentAt).to.equal(undefined);
+    expect(auditLogger.error.calledWith('LEGAL_HOLD_NOTICE_FAILED')).to.equal(true);
+  });
+
+  it('is issued only by hold managers', async () => {
+    const res = await issue('paralegal');
+
+    expect(res.status).to.equal(403);
+    expect(LegalHold.prototype.save.called).to.equal(false);
+  });
+
+  it('records an acknowledgement from the custodian link without exposing the rest of the hold', async () => {
+    await issue();
+    const token = tokenFor('lindiwe@nkosi.co.za');
+    const app = appAs('public');
+
+    const notice = await request(app).get(`/api/legal-holds/acknowledge/${token}`);
+    expect(notice.body.data).to.include({ holdId: hold.holdId, scope: '1 matter(s); 1 custodian(s)' });
+    expect(notice.body.data).to.not.have.any.keys('custodians', 'tenantId');
+
+    const res = await request(app).post(`/api/legal-holds/acknowledge/${token}`);
+    expect(res.status).to.equal(200);
+    expect(hold.custodians[0]).to.include({ status: CUSTODIAN_STATUS.ACKNOWLEDGED });
+    expect(hold.custodians[1].status).to.equal(CUSTODIAN_STATUS.PENDING);
+
+    const forged = await request(app).post(`/api/legal-holds/acknowledge/${'0'.repeat(64)}`);
+    expect(forged.status).to.equal(404);
+  });
+
+  it('retries the failed notice and reminds overdue custodians on the scheduled run', async () => {
+    await issue();
+    sinon.stub(LegalHold, 'find').resolves([hold]);
+
+    const result = await legalHoldService.sendReminders(new Date(Date.now() + 8 * DAY));
+
+    expect(result).to.deep.equal({ holdsChecked: 1, noticed: 1, reminded: 1 });
+    expect(notices.slice(2).map(({ to, reminderNumber }) => [to, reminderNumber])).to.deep.equal([
+      ['pieter@bothaauditors.co.za', undefined],
+      ['lindiwe@nkosi.co.za', 1]
+    ]);
+    expect(hold.custodians[0].remindersSent).to.equal(1);
+  });
+
+  it('refuses acknowledgement once the hold is released', async () => {
+    await issue();
+    const token = tokenFor('lindiwe@nkosi.co.za');
+
+    const released = await request(appAs('partner')).post(`/api/legal-holds/${hold.holdId}/release`).send({ reason: 'Matter settled' });
+    expect(released.status).to.equal(200);
+    expect(hold.custodians.map((custodian) => custodian.status)).to.deep.equal([CUSTODIAN_STATUS.RELEASED, CUSTODIAN_STATUS.RELEASED]);
+
+    const res = await request(appAs('public')).post(`/api/legal-holds/acknowledge/${token}`);
+    expect(res.status).to.equal(410);
+  });
+
+  it('refuses to delete a document the active hold covers', async () => {
+    await issue();
+    sinon.stub(LegalHold, 'find').returns({ select() { return this; }, lean: async () => [hold.toObject()] });
+    const held = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT, matterId: MATTER, createdBy: CUSTODIAN._id, createdAt: new Date() };
+    sinon.stub(Document, 'find').returns({ select() { return this; }, setOptions() { return this; }, lean() { return this; }, limit() { return this; }, then: (resolve) => resolve([held]) });
+
+    let refusal;
+    try {
+      await Document.deleteOne({ _id: held._id });
+    } catch (error) {
+      refusal = error;
+    }
+
+    expect(refusal).to.include({ status: 409, code: 'LEGAL_HOLD' });
+    expect(refusal.details.holdIds).to.deep.equal([hold.holdId]);
+    expect(auditLogger.security.calledWith('LEGAL_HOLD_BLOCKED', sinon.match({ resource: 'document', recordId: String(held._id) }))).to.equal(true);
+  });
+});
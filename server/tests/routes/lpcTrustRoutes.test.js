@@ -0,0 +1,114 @@
+/* eslint-disable */
+/**
+ * 🧪 LPC Trust Posting Routes Audit
+ * @description Only the firm's trust accountants (partner, admin, accounts) may post a trust deposit, run a
+ * three-way reconciliation or work with s86 investments; anyone else is refused before the trust ledger is touched.
+ * An investment always carries the statutory Fidelity Fund share for its section, whatever the request says.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import TrustInvestmentAccount from '../../models/TrustInvestmentAccount.js';
+import TrustTransaction from '../../models/TrustTransaction.js';
+import { lpcService } from '../../services/lpcService.js';
+import lpcGateway from '../../routes/lpc.js';
+
+const TENANT = 'tenant-lpc-routes';
+
+const appAs = (role) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: 'u1', email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/lpc', lpcGateway);
+  return app;
+};
+
+// Internal calls skip the request seal, so these requests reach the role gate
+const post = (app, path, body) => request(app).post(path).set('x-institutional-finality', 'TRUE').send(body);
+
+describe('🏛️ LPC trust posting routes', () => {
+  let recordTransaction;
+  let reconcile;
+
+  beforeEach(() => {
+    recordTransaction = sinon.stub(lpcService, 'recordTransaction').resolves({ transactionId: 'TRX-1', clientBalance: 15000, forensicHash: 'abc' });
+    reconcile = sinon.stub(lpcService, 'reconcileTrustAccount').resolves({ isReconciled: true });
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('refuses a trust deposit from a fee earner', async () => {
+    const res = await post(appAs('associate'), '/api/lpc/trust/deposit', { amount: 15000, clientId: 'c1', matterId: 'm1' });
+
+    expect(res.status).to.equal(403);
+    expect(recordTransaction.called).to.equal(false);
+  });
+
+  it('records a trust deposit for the accounts team', async () => {
+    const res = await post(appAs('accounts'), '/api/lpc/trust/deposit', { amount: 15000, clientId: 'c1', matterId: 'm1', reference: 'MAT-1' });
+
+    expect(res.status).to.equal(201);
+    expect(res.body).to.include({ success: true, transactionId: 'TRX-1' });
+    expect(recordTransaction.calledOnceWith(TENANT, sinon.match({ type: 'DEPOSIT', amount: 15000, initiatedBy: 'u1' }))).to.equal(true);
+  });
+
+  it('refuses a reconciliation from a fee earner', async () => {
+    const res = await post(appAs('associate'), '/api/lpc/trust/reconcile', { bankBalance: 15000, statementDate: '2026-03-31' });
+
+    expect(res.status).to.equal(403);
+    expect(reconcile.called).to.equal(false);
+  });
+
+  describe('s86 investments', () => {
+    const placement = {
+      clientId: new mongoose.Types.ObjectId().toString(),
+      matterId: new mongoose.Types.ObjectId().toString(),
+      section: 'S86_4',
+      bankName: 'Standard Bank',
+      accountNumber: '000123456',
+      amount: 250000,
+      ratePercent: 7.25
+    };
+    let session;
+
+    beforeEach(() => {
+      session = {
+        startTransaction: sinon.stub(),
+        commitTransaction: sinon.stub().resolves(),
+        abortTransaction: sinon.stub().resolves(),
+        endSession: sinon.stub()
+      };
+      sinon.stub(mongoose, 'startSession').resolves(session);
+      sinon.stub(TrustTransaction, 'create').resolves([{}]);
+      sinon.stub(TrustInvestmentAccount.prototype, 'save').callsFake(async function save() { return this; });
+    });
+
+    it('refuses to place an investment for a fee earner', async () => {
+      const res = await post(appAs('associate'), '/api/lpc/trust/investments', placement);
+
+      expect(res.status).to.equal(403);
+      expect(mongoose.startSession.called).to.equal(false);
+      expect(recordTransaction.called).to.equal(false);
+    });
+
+    it('opens an investment with the statutory Fidelity Fund share, ignoring one in the request', async () => {
+      const res = await post(appAs('accounts'), '/api/lpc/trust/investments', { ...placement, fundShare: 0 });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.investment).to.include({ section: 'S86_4', fundShare: 0.05, balance: 250000 });
+      expect(recordTransaction.calledOnceWith(TENANT, sinon.match({ type: 'TRANSFER', amount: 250000 }), { session })).to.equal(true);
+      expect(session.commitTransaction.calledOnce).to.equal(true);
+    });
+
+    it('refuses an investment statement to a fee earner', async () => {
+      const res = await request(appAs('associate')).get('/api/lpc/trust/investments/INV-1/statement');
+
+      expect(res.status).to.equal(403);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/* eslint-disable */
+/**
+ * 🧪 Global Search Routes Audit
+ * @description Saving a matter writes its weighted postings into the tenant's index with its team as the only readers,
+ * moves the document frequency of the terms it gained and lost, and passes its team down to the matter's documents;
+ * a deleted record leaves the index. Searches are trimmed to what the caller may see, ranked by BM25, filtered on
+ * quoted phrases, highlighted and kept in the caller's history. Rebuilding the index is for administrators.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import SearchIndexEntry, { INDEX_KINDS } from '../../models/SearchIndexEntry.js';
+import SearchTerm from '../../models/SearchTerm.js';
+import SearchHistory from '../../models/SearchHistory.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { analyse, buildPostings } from '../../utils/searchIndex.js';
+import searchIndexService from '../../services/searchIndexService.js';
+import searchRoutes from '../../routes/searchRoutes.js';
+
+const TENANT = 'tenant-search';
+const ASSOCIATE = new mongoose.Types.ObjectId();
+const ATTORNEY = new mongoose.Types.ObjectId();
+const [LEASE, EVICTION, ARREARS, LABOUR] = analyse('lease eviction arrears labour');
+
+const appAs = (role, userId = new mongoose.Types.ObjectId()) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId, email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/search', searchRoutes);
+  // API fault interceptor: search faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+  return app;
+};
+
+// A query chain that resolves to `result` however the service finishes it
+const chain = (result) => ({
+  select() { return this; },
+  setOptions() { return this; },
+  lean() { return this; },
+  option() { return this; },
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const entry = (kind, title, text, facets = {}) => {
+  const { postings, length } = buildPostings([{ text: title, weight: 3 }, { text, weight: 1 }]);
+  return { _id: new mongoose.Types.ObjectId(), kind, recordId: new mongoose.Types.ObjectId(), title, text, postings, length, facets };
+};
+
+describe('🔍 Global search', () => {
+  beforeEach(() => {
+    searchIndexService.stats.clear();
+    sinon.stub(SearchTerm, 'bulkWrite').resolves({});
+    sinon.stub(SearchTerm, 'deleteMany').resolves({});
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'error');
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('indexing', () => {
+    it("indexes a matter for its team only and passes the team down to the matter's documents", async () => {
+      const creator = new mongoose.Types.ObjectId();
+      const member = new mongoose.Types.ObjectId();
+      const matter = {
+        _id: new mongoose.Types.ObjectId(),
+        tenantId: TENANT,
+        title: 'Mokoena lease eviction',
+        matterNumber: 'MAT-2026-0042',
+        matterType: 'property',
+        description: 'Eviction for lease arrears',
+        parties: [{ name: 'Thabo Mokoena' }, { name: 'a'.repeat(64) }],
+        notes: [{ content: 'Settlement floor is R40 000', isConfidential: true }],
+        createdBy: creator,
+        responsibleAttorney: { userId: ATTORNEY, name: 'N. Dube' },
+        team: [{ userId: member }]
+      };
+      const upsert = sinon.stub(SearchIndexEntry, 'findOneAndUpdate').returns(chain({ postings: [{ term: LEASE }, { term: LABOUR }] }));
+      const cascade = sinon.stub(SearchIndexEntry, 'updateMany').returns(chain({ modifiedCount: 2 }));
+
+      await searchIndexService.indexRecord(INDEX_KINDS.MATTER, matter);
+
+      const [filter, { $set }, options] = upsert.firstCall.args;
+      expect(filter).to.deep.equal({ tenantId: TENANT, kind: INDEX_KINDS.MATTER, recordId: matter._id });
+      expect(options).to.include({ upsert: true, new: false });
+      expect($set.access).to.deep.equal({ restricted: true, userIds: [String(creator)], teamIds: [String(ATTORNEY), String(member)] });
+      const terms = $set.postings.map((posting) => posting.term);
+      expect($set.postings.find((posting) => posting.term === LEASE).tf).to.equal(4);
+      expect(terms).to.include.members(analyse('Thabo Mokoena'));
+      expect(terms).to.not.include.members(analyse('settlement floor'));
+      expect(terms).to.not.include('a'.repeat(64));
+
+      const operations = SearchTerm.bulkWrite.firstCall.args[0];
+      const added = operations.filter((op) => op.updateOne.upsert).map((op) => op.updateOne.filter.term);
+      expect(added).to.have.members(terms.filter((term) => term !== LEASE));
+      expect(operations.filter((op) => op.updateOne.update.$inc.df === -1).map((op) => op.updateOne.filter)).to.deep.equal([{ tenantId: TENANT, term: LABOUR }]);
+      expect(SearchTerm.deleteMany.firstCall.args[0]).to.deep.equal({ tenantId: TENANT, term: { $in: [LABOUR] }, df: { $lte: 0 } });
+
+      const [documents, update] = cascade.firstCall.args;
+      expect(documents).to.deep.equal({ tenantId: TENANT, kind: INDEX_KINDS.DOCUMENT, matterId: matter._id });
+      expect(update.$set).to.deep.include({ 'access.teamIds': [String(ATTORNEY), String(member)], 'facets.matterType': 'property' });
+    });
+
+    it('drops a deleted document from the index and releases its terms', async () => {
+      const doc = { _id: new mongoose.Types.ObjectId(), tenantId: TENANT, title: 'Eviction notice', status: 'deleted' };
+      sinon.stub(SearchIndexEntry, 'findOneAndUpdate');
+      const remove = sinon.stub(SearchIndexEntry, 'findOneAndDelete').returns(chain({ postings: [{ term: EVICTION }] }));
+
+      await searchIndexService.indexRecord(INDEX_KINDS.DOCUMENT, doc);
+
+      expect(SearchIndexEntry.findOneAndUpdate.called).to.equal(false);
+      expect(remove.firstCall.args[0]).to.deep.equal({ tenantId: TENANT, kind: INDEX_KINDS.DOCUMENT, recordId: doc._id });
+      expect(SearchTerm.bulkWrite.firstCall.args[0]).to.deep.equal([{ updateOne: { filter: { tenantId: TENANT, term: EVICTION }, update: { $inc: { df: -1 } } } }]);
+    });
+  });
+
+  describe('GET /api/search', () => {
+    let index;
+    let pipelines;
+
+    beforeEach(() => {
+      index = [
+        entry(INDEX_KINDS.DOCUMENT, 'Arrears schedule', 'Lease payments received and the arrears owed on the lease of the premises over two years', { documentType: 'pdf', date: new Date('2026-02-01') }),
+        entry(INDEX_KINDS.MATTER, 'Mokoena lease eviction', 'Eviction for lease arrears', { matterType: 'property', attorneyId: String(ATTORNEY), attorneyName: 'N. Dube', date: new Date('2026-01-10') }),
+        entry(INDEX_KINDS.CLIENT, 'Lease Holdings (Pty) Ltd', '', { date: new Date('2025-06-30') })
+      ];
+      pipelines = [];
+      // The candidate query returns entries holding a query term, with only those postings; anything else is the stats query
+      sinon.stub(SearchIndexEntry, 'aggregate').callsFake((pipeline) => {
+        pipelines.push(pipeline);
+        const terms = pipeline[0].$match['postings.term']?.$in;
+        if (!terms) return chain([{ totalDocs: 40, averageLength: 12 }]);
+        return chain(index
+          .filter((candidate) => candidate.postings.some((posting) => terms.includes(posting.term)))
+          .map((candidate) => ({ ...candidate, postings: candidate.postings.filter((posting) => terms.includes(posting.term)) })));
+      });
+      sinon.stub(SearchTerm, 'find').returns(chain([{ term: LEASE, df: 30 }, { term: EVICTION, df: 2 }, { term: ARREARS, df: 6 }]));
+      sinon.stub(SearchIndexEntry, 'find').callsFake((filter) => chain(index
+        .filter((candidate) => filter._id.$in.some((id) => String(id) === String(candidate._id)))
+        .map(({ _id, text }) => ({ _id, text }))));
+      sinon.stub(SearchHistory, 'create').resolves({});
+    });
+
+    const search = (app, query) => request(app).get('/api/search').query(query);
+
+    it("trims an associate's search to what they may see and ranks title hits on the rarer term first", async () => {
+      const res = await search(appAs('associate', ASSOCIATE), { q: 'lease eviction -labour' });
+
+      expect(res.status).to.equal(200);
+      expect(pipelines[0][0].$match).to.deep.equal({
+        tenantId: TENANT,
+        $or: [{ 'access.restricted': false }, { 'access.userIds': ASSOCIATE }, { 'access.teamIds': ASSOCIATE }],
+        'postings.term': { $in: [LEASE, EVICTION], $nin: [LABOUR] }
+      });
+      expect(SearchTerm.find.firstCall.args[0]).to.deep.equal({ tenantId: TENANT, term: { $in: [LEASE, EVICTION] } });
+
+      const { data } = res.body;
+      expect(data.total).to.equal(3);
+      expect(data.results.map((result) => result.title)).to.deep.equal(['Mokoena lease eviction', 'Lease Holdings (Pty) Ltd', 'Arrears schedule']);
+      expect(data.results[0].highlights.title).to.deep.equal(['Mokoena <mark>lease</mark> <mark>eviction</mark>']);
+      expect(data.results[0].highlights.text[0]).to.contain('<mark>Eviction</mark> for <mark>lease</mark> arrears');
+      expect(data.facets.kind.map(({ value, count }) => [value, count])).to.have.deep.members([['MATTER', 1], ['DOCUMENT', 1], ['CLIENT', 1]]);
+
+      expect(SearchHistory.create.firstCall.args[0]).to.deep.include({ tenantId: TENANT, query: 'lease eviction -labour', resultCount: 3 });
+      expect(String(SearchHistory.create.firstCall.args[0].userId)).to.equal(String(ASSOCIATE));
+    });
+
+    it('shows a partner the whole tenant and keeps only records holding the quoted phrase', async () => {
+      const res = await search(appAs('partner'), { q: '"lease arrears"', domain: 'matter', highlight: 'false' });
+
+      expect(res.status).to.equal(200);
+      expect(pipelines[0][0].$match).to.deep.equal({ tenantId: TENANT, kind: INDEX_KINDS.MATTER, 'postings.term': { $in: [LEASE, ARREARS] } });
+      expect(res.body.data.results.map((result) => [result.title, result.highlights])).to.deep.equal([['Mokoena lease eviction', undefined]]);
+      expect(SearchIndexEntry.find.called).to.equal(false);
+    });
+
+    it('refuses a query too short to search', async () => {
+      const res = await search(appAs('associate'), { q: 'a' });
+
+      expect(res.status).to.equal(400);
+      expect(SearchIndexEntry.aggregate.called).to.equal(false);
+    });
+  });
+
+  describe('index administration', () => {
+    it('reports index size to administrators only', async () => {
+      sinon.stub(SearchIndexEntry, 'aggregate').returns(chain([{ totalDocs: 40, averageLength: 12 }]));
+
+      const admin = await request(appAs('admin')).get('/api/search/stats');
+      const associate = await request(appAs('associate')).get('/api/search/stats');
+
+      expect(admin.body.data).to.deep.equal({ totalDocs: 40, averageLength: 12 });
+      expect(associate.status).to.equal(403);
+    });
+
+    it('rebuilds the index for administrators only', async () => {
+      const rebuild = sinon.stub(searchIndexService, 'rebuildTenant').resolves({ MATTER: 1, DOCUMENT: 2, CLIENT: 0, CITATION: 0 });
+
+      const refused = await request(appAs('associate')).post('/api/search/reindex');
+      const res = await request(appAs('admin')).post('/api/search/reindex');
+
+      expect(refused.status).to.equal(403);
+      expect(res.body.data.counts).to.include({ DOCUMENT: 2 });
+      expect(rebuild.calledOnceWith(TENANT)).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,283 @@
+/* eslint-disable */
+/**
+ * 🧪 Shared Document Routes Audit
+ * @description A version shared outside the firm is reached by an emailed link kept only as a hash. The link shows
+ * nothing of the document until the recipient gives the share password or a one-time code; repeated wrong passwords
+ * lock it. The session shows pages as images and downloads PDFs, each stamped with the recipient's email and the
+ * time, within the download limit and never on a view-only share. Revoking a share ends open sessions at once, and
+ * every step is written to the document's audit trail.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { PDFParse } from 'pdf-parse';
+import Document from '../../models/Document.js';
+import DocumentVersion from '../../models/DocumentVersion.js';
+import DocumentShare from '../../models/DocumentShare.js';
+import SovereignPdfStore from '../../services/pdfStore.js';
+import documentVersionService from '../../services/documentVersionService.js';
+import emailService from '../../services/emailService.js';
+import auditLogger from '../../utils/auditLogger.js';
+import logger from '../../utils/logger.js';
+import { hashSecret } from '../../utils/signingCeremony.js';
+import { SHARE_EVENTS, SHARE_STATUS } from '../../utils/documentSharing.js';
+import { requireRole } from '../../middleware/auth.js';
+import { tenantStorage } from '../../middleware/tenantContext.js';
+import documentController from '../../controllers/documentController.js';
+import sharedDocumentRoutes from '../../routes/sharedDocumentRoutes.js';
+
+const TENANT = 'tenant-sharing';
+const PARTNER = String(new mongoose.Types.ObjectId());
+const COUNSEL = 'counsel@chambers.co.za';
+
+// The firm's share routes under the tenant context the API gateway sets, and the public /api/shared gateway
+const appAs = (role, userId = PARTNER) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/shared', sharedDocumentRoutes);
+  app.use((req, res, next) => {
+    req.user = { _id: userId, email: `${role}@nkosi.co.za`, firstName: 'Pieter', lastName: 'van Wyk', role, tenantId: TENANT };
+    tenantStorage.run({ tenantId: TENANT, userId, requestId: 'REQ-TEST' }, next);
+  });
+  app.post('/api/documents/:documentId/share', documentController.shareDocument);
+  app.get('/api/documents/:documentId/shares', documentController.listShares);
+  app.delete('/api/documents/:documentId/share/:shareId', documentController.revokeShare);
+  app.post('/api/documents/:documentId/watermark', requireRole(['super_admin']), documentController.addWatermark);
+  // API fault interceptor: sharing faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message, code: err.code, details: err.details }));
+  return app;
+};
+
+const heads = async () => {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  ['Heads of argument', 'List of authorities'].forEach((text) => pdf.addPage([595, 842]).drawText(text, { x: 50, y: 750, size: 12, font }));
+  return Buffer.from(await pdf.save());
+};
+
+const textOf = async (bytes) => {
+  const parser = new PDFParse({ data: bytes });
+  try {
+    return (await parser.getText()).text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// A query chain over the saved versions, however the service finishes it; findOne takes the first
+const versionsWhere = (filter, { one = false } = {}) => {
+  let order = 1;
+  const result = () => {
+    const matching = versions
+      .filter((version) => filter.versionNumber === undefined || version.versionNumber === filter.versionNumber)
+      .sort((a, b) => order * (a.versionNumber - b.versionNumber))
+      .map((version) => version.toObject());
+    return one ? matching[0] || null : matching;
+  };
+  return {
+    sort(spec) { order = spec.versionNumber; return this; },
+    populate() { return this; },
+    lean() { return this; },
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+  };
+};
+
+// The share a lookup names by its link, its session or its id
+const shareWhere = (filter) => shares.find((share) => (filter.tokenHash === undefined || share.tokenHash === filter.tokenHash)
+  && (filter.sessionHash === undefined || share.sessionHash === filter.sessionHash)
+  && (filter.shareId === undefined || share.shareId === filter.shareId)) || null;
+
+let versions;
+let shares;
+
+describe('🔗 Shared document routes', function () {
+  // Share passwords are bcrypt hashes and pages are rendered to images
+  this.timeout(20000);
+
+  let doc;
+  let audit;
+  let emails;
+  const publicApp = appAs('public');
+
+  beforeEach(async () => {
+    versions = [];
+    shares = [];
+    audit = [];
+    emails = [];
+    const vault = new Map();
+    doc = new Document({ tenantId: TENANT, title: 'Heads of argument', createdBy: PARTNER, status: 'draft' });
+
+    sinon.stub(Document, 'findOne').callsFake(() => ({
+      select() { return this; },
+      setOptions() { return this; },
+      lean: async () => ({ _id: doc._id, title: doc.title }),
+      then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+    }));
+    sinon.stub(Document, 'exists').returns({ setOptions: async () => ({ _id: doc._id }) });
+    sinon.stub(Document.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(Document, 'updateOne').callsFake(async (filter, update) => {
+      if (update.$push?.auditLog) audit.push(update.$push.auditLog);
+      return {};
+    });
+    sinon.stub(DocumentVersion, 'exists').callsFake(async () => versions.length > 0);
+    sinon.stub(DocumentVersion, 'findOne').callsFake((filter) => versionsWhere(filter, { one: true }));
+    sinon.stub(DocumentVersion, 'create').callsFake(async (fields) => {
+      const version = new DocumentVersion(fields);
+      versions.push(version);
+      return version;
+    });
+    sinon.stub(DocumentShare, 'create').callsFake(async (fields) => {
+      const share = new DocumentShare(fields);
+      shares.push(share);
+      return share;
+    });
+    sinon.stub(DocumentShare, 'findOne').callsFake((filter) => ({ select: async () => shareWhere(filter) }));
+    sinon.stub(DocumentShare, 'find').returns({ sort() { return this; }, lean: async () => shares.map((share) => share.toObject()) });
+    sinon.stub(DocumentShare.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(DocumentShare, 'updateOne').callsFake(async ({ _id }, { $inc }) => {
+      const share = shares.find((entry) => String(entry._id) === String(_id));
+      share.viewCount += $inc.viewCount;
+      return {};
+    });
+    // A download is claimed only while the share is live, not view-only and under its limit
+    sinon.stub(DocumentShare, 'findOneAndUpdate').callsFake(async ({ _id }) => {
+      const share = shares.find((entry) => String(entry._id) === String(_id));
+      if (share.revokedAt || share.expiresAt <= new Date() || share.viewOnly) return null;
+      if (share.maxDownloads !== null && share.downloadCount >= share.maxDownloads) return null;
+      share.downloadCount += 1;
+      return share;
+    });
+    sinon.stub(SovereignPdfStore, 'storePdf').callsFake(async (tenantId, traceId, bytes) => { vault.set(traceId, Buffer.from(bytes)); });
+    sinon.stub(SovereignPdfStore, 'get').callsFake(async (tenantId, traceId) => vault.get(traceId));
+    sinon.stub(emailService, 'sendDocumentShared').callsFake(async (to, data) => { emails.push({ to, ...data }); return { success: true }; });
+    sinon.stub(emailService, 'sendShareCode').callsFake(async (to, data) => { emails.push({ to, ...data }); return { success: true }; });
+    for (const level of ['info', 'security']) sinon.stub(auditLogger, level);
+    sinon.stub(logger, 'error');
+    sinon.stub(logger, 'warn');
+
+    await documentVersionService.createVersion(TENANT, doc._id, { buffer: await heads(), originalname: 'heads.pdf', mimetype: 'application/pdf' }, { userId: PARTNER });
+  });
+
+  afterEach(() => sinon.restore());
+
+  const share = (body) => request(appAs('partner')).post(`/api/documents/${doc._id}/share`).send({ email: COUNSEL, name: 'Adv. N. Dube', ...body });
+  const linkOf = (res) => res.body.data.url.split('/').pop();
+  const session = (route, token) => request(publicApp).get(`/api/shared/session${route}`).set('X-Share-Session', token);
+  const actions = () => audit.map((entry) => entry.action);
+
+  // Opens the link with the one-time code emailed to the recipient
+  const enter = async (link) => {
+    await request(publicApp).post(`/api/shared/${link}/code`).send({ channel: 'email' });
+    const res = await request(publicApp).post(`/api/shared/${link}/verify`).send({ code: emails.at(-1).code });
+    return res.body.data.sessionToken;
+  };
+
+  it('emails the recipient a link that is kept only as a hash', async () => {
+    const res = await share({ phone: '+27 82 555 0142', maxDownloads: 2 });
+
+    expect(res.status).to.equal(201);
+    expect(res.body.data).to.include({ versionNumber: 1, protection: 'otp', status: SHARE_STATUS.ACTIVE, downloadsLeft: 2, emailed: true });
+    expect(emails[0]).to.include({ to: COUNSEL, title: 'Heads of argument', sharedBy: 'Pieter van Wyk', shareUrl: res.body.data.url });
+    expect(shares[0].tokenHash).to.equal(hashSecret(linkOf(res)));
+    expect(JSON.stringify(shares[0].toObject())).to.not.contain(linkOf(res));
+    expect(audit[0]).to.deep.include({ action: SHARE_EVENTS.CREATED, performedBy: PARTNER });
+
+    const weak = await share({ password: 'short' });
+    expect(weak.status).to.equal(400);
+    expect(weak.body.error).to.match(/password must be 8 to 128/);
+  });
+
+  it('shows nothing of the document before the code, then stamps every page and download with the recipient', async () => {
+    const link = linkOf(await share({ phone: '+27 82 555 0142', maxDownloads: 1 }));
+
+    const landing = await request(publicApp).get(`/api/shared/${link}`);
+    expect(landing.body.data).to.include({ title: 'Heads of argument', recipient: 'co***@chambers.co.za', protection: 'otp' });
+    expect(landing.body.data.codeChannels.map((option) => option.channel)).to.deep.equal(['sms', 'email']);
+    expect((await session('', 'f'.repeat(64))).status).to.equal(401);
+
+    await request(publicApp).post(`/api/shared/${link}/code`).send({ channel: 'email' });
+    const wrong = await request(publicApp).post(`/api/shared/${link}/verify`).send({ code: emails.at(-1).code === '000000' ? '111111' : '000000' });
+    expect(wrong.status).to.equal(401);
+    const verified = await request(publicApp).post(`/api/shared/${link}/verify`).send({ code: emails.at(-1).code });
+    const token = verified.body.data.sessionToken;
+    expect(verified.body.data).to.include({ viewer: COUNSEL, pageCount: 2, canDownload: true, downloadsLeft: 1 });
+
+    const page = await session('/pages/2', token).query({ dpi: 72 }).buffer(true);
+    expect(page.headers['content-type']).to.equal('image/png');
+    expect(page.headers['x-page-count']).to.equal('2');
+    expect(shares[0].viewCount).to.equal(1);
+
+    const download = await session('/download', token).buffer(true);
+    expect(download.headers['x-downloads-left']).to.equal('0');
+    const text = await textOf(download.body);
+    expect(text).to.include('List of authorities');
+    expect(text).to.match(/Shared with counsel@chambers\.co\.za on \d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} UTC/);
+    expect(text).to.include(shares[0].shareId);
+
+    const again = await session('/download', token);
+    expect(again.status).to.equal(403);
+    expect(again.body.code).to.equal('SHARE_DOWNLOAD_LIMIT');
+    expect(actions()).to.include.members([SHARE_EVENTS.OPENED, SHARE_EVENTS.CODE_SENT, SHARE_EVENTS.VERIFIED, SHARE_EVENTS.VIEWED, SHARE_EVENTS.DOWNLOADED, SHARE_EVENTS.DENIED]);
+    expect(audit.find((entry) => entry.action === SHARE_EVENTS.DOWNLOADED).externalActor).to.equal(COUNSEL);
+  });
+
+  it('locks a password share after repeated wrong passwords', async () => {
+    const link = linkOf(await share({ password: 'Sekret-2026' }));
+
+    const first = await request(publicApp).post(`/api/shared/${link}/verify`).send({ password: 'sekret-2026' });
+    expect(first.status).to.equal(401);
+    expect(first.body.details).to.deep.equal({ attemptsLeft: 4 });
+    for (let attempt = 0; attempt < 4; attempt += 1) await request(publicApp).post(`/api/shared/${link}/verify`).send({ password: 'Guess-2026' });
+
+    const res = await request(publicApp).post(`/api/shared/${link}/verify`).send({ password: 'Sekret-2026' });
+    expect(res.status).to.equal(423);
+    expect(res.body.code).to.equal('SHARE_LOCKED');
+  });
+
+  it('lets a view-only share be read but not downloaded', async () => {
+    const link = linkOf(await share({ viewOnly: true }));
+    const token = await enter(link);
+
+    const page = await session('/pages/1', token).query({ dpi: 72 });
+    const download = await session('/download', token);
+
+    expect(page.status).to.equal(200);
+    expect(download.status).to.equal(403);
+    expect(download.body.code).to.equal('SHARE_VIEW_ONLY');
+  });
+
+  it('ends open sessions at once when the share is revoked', async () => {
+    const created = await share({});
+    const link = linkOf(created);
+    const token = await enter(link);
+    expect((await session('', token)).status).to.equal(200);
+
+    const res = await request(appAs('partner')).delete(`/api/documents/${doc._id}/share/${created.body.data.shareId}`).send({ reason: 'Sent to the wrong counsel' });
+    expect(res.body.data).to.include({ status: SHARE_STATUS.REVOKED, revokeReason: 'Sent to the wrong counsel' });
+
+    const [open, reopened] = await Promise.all([session('/download', token), request(publicApp).get(`/api/shared/${link}`)]);
+    expect([open.status, reopened.status]).to.deep.equal([410, 410]);
+    expect(open.body.code).to.equal('SHARE_REVOKED');
+    expect((await request(appAs('partner')).delete(`/api/documents/${doc._id}/share/${created.body.data.shareId}`).send({})).status).to.equal(409);
+
+    const list = await request(appAs('partner')).get(`/api/documents/${doc._id}/shares`);
+    expect(list.body.data.map((entry) => entry.status)).to.deep.equal([SHARE_STATUS.REVOKED]);
+    expect(audit.filter((entry) => entry.action === SHARE_EVENTS.DENIED).map((entry) => entry.details.reason)).to.deep.equal([SHARE_STATUS.REVOKED, SHARE_STATUS.REVOKED]);
+  });
+
+  it("stamps a firm user's copy with their email, for administrators only", async () => {
+    const refused = await request(appAs('associate')).post(`/api/documents/${doc._id}/watermark`).send({});
+    expect(refused.status).to.equal(403);
+
+    const res = await request(appAs('super_admin')).post(`/api/documents/${doc._id}/watermark`).send({ version: 1 }).buffer(true);
+
+    expect(res.headers['content-disposition']).to.contain('heads_watermarked.pdf');
+    const text = await textOf(res.body);
+    expect(text).to.include('Heads of argument');
+    expect(text).to.include('super_admin@nkosi.co.za');
+    expect(audit.at(-1)).to.deep.include({ action: 'EXPORTED', performedBy: PARTNER });
+  });
+});
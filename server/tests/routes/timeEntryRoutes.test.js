@@ -0,0 +1,180 @@
+/* eslint-disable */
+/**
+ * 🧪 Time Entry Routes Audit
+ * @description Time recorded against a matter (by hand, or from a task with its taskId) is rounded up to six-minute
+ * units, priced from the attorney's rate card and brought into the matter's WIP in the same transaction. Stopping a
+ * timer does the same for its segments, only for the timer's owner; deleting unbilled time reverses its WIP; and only
+ * finance may set a rate card.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import Matter from '../../models/Matter.js';
+import TimeEntry, { TIME_ENTRY_STATUS } from '../../models/TimeEntry.js';
+import BillingRate from '../../models/BillingRate.js';
+import WipTransaction, { WIP_TRANSACTION_TYPES } from '../../models/WipTransaction.js';
+import auditLogger from '../../utils/auditLogger.js';
+import timeEntryRoutes from '../../routes/timeEntryRoutes.js';
+
+const TENANT = 'tenant-time';
+const ATTORNEY = new mongoose.Types.ObjectId();
+const MATTER = { _id: new mongoose.Types.ObjectId(), clientId: new mongoose.Types.ObjectId(), financials: { hourlyRate: 1500, currency: 'ZAR' } };
+
+const appAs = (role, userId = ATTORNEY) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId, email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/time-entries', timeEntryRoutes);
+  return app;
+};
+
+const query = (result) => {
+  const chain = {};
+  for (const method of ['sort', 'session']) chain[method] = sinon.stub().returns(chain);
+  chain.lean = sinon.stub().resolves(result);
+  return chain;
+};
+
+const MINUTE = 60000;
+
+describe('⏱️ Time entry routes', () => {
+  let session;
+  let wip;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: sinon.stub(),
+      commitTransaction: sinon.stub().resolves(),
+      abortTransaction: sinon.stub().resolves(),
+      endSession: sinon.stub()
+    };
+    sinon.stub(mongoose, 'startSession').resolves(session);
+    sinon.stub(Matter, 'findOne').returns({ session: async () => MATTER });
+    sinon.stub(BillingRate, 'find').returns(query([{ userId: ATTORNEY, ratePerHour: 2400, effectiveFrom: new Date('2026-01-01') }]));
+    sinon.stub(WipTransaction, 'findOne').returns(query({ balanceAfter: 1000 }));
+    wip = sinon.stub(WipTransaction, 'create').callsFake(async (rows) => rows);
+    sinon.stub(TimeEntry.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(auditLogger, 'info');
+  });
+
+  afterEach(() => sinon.restore());
+
+  it("records a task's time rounded up to six minutes at the attorney's rate and brings it into WIP", async () => {
+    const taskId = new mongoose.Types.ObjectId().toString();
+
+    const res = await request(appAs('associate'))
+      .post('/api/time-entries')
+      .send({ matterId: String(MATTER._id), minutes: 20, activityCode: 'DRAFTING', taskId });
+
+    expect(res.status).to.equal(201);
+    expect(res.body.entry).to.include({ taskId, rawMinutes: 20, billedMinutes: 24, ratePerHour: 2400, rateSource: 'ATTORNEY_RATE', amount: 960, status: TIME_ENTRY_STATUS.UNBILLED });
+    expect(Matter.findOne.firstCall.args[0]).to.deep.equal({ _id: String(MATTER._id), tenantId: TENANT });
+
+    const [[row], options] = wip.firstCall.args;
+    expect(row).to.include({ type: WIP_TRANSACTION_TYPES.TIME_RECORDED, amount: 960, minutes: 24, balanceAfter: 1960, timeEntryId: res.body.entry.entryId });
+    expect(options.session).to.equal(session);
+    expect(session.commitTransaction.calledOnce).to.equal(true);
+  });
+
+  it('keeps non-billable time out of WIP', async () => {
+    const res = await request(appAs('associate'))
+      .post('/api/time-entries')
+      .send({ matterId: String(MATTER._id), hours: 1, activityCode: 'PERUSAL', billable: false });
+
+    expect(res.status).to.equal(201);
+    expect(res.body.entry).to.include({ billedMinutes: 60, amount: 0 });
+    expect(wip.called).to.equal(false);
+  });
+
+  it('rejects an unknown activity code before opening a transaction', async () => {
+    const res = await request(appAs('associate'))
+      .post('/api/time-entries')
+      .send({ matterId: String(MATTER._id), minutes: 30, activityCode: 'GOLF' });
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.match(/^BILLING_ERROR: Unknown activity code GOLF/);
+    expect(mongoose.startSession.called).to.equal(false);
+  });
+
+  describe('timers', () => {
+    const timer = () => new TimeEntry({
+      tenantId: TENANT,
+      matterId: MATTER._id,
+      userId: ATTORNEY,
+      workDate: new Date(),
+      activityCode: 'ATTENDANCE',
+      description: 'Attendance',
+      status: TIME_ENTRY_STATUS.RUNNING,
+      timerSegments: [
+        { startedAt: new Date(Date.now() - 50 * MINUTE), stoppedAt: new Date(Date.now() - 40 * MINUTE) },
+        { startedAt: new Date(Date.now() - 7 * MINUTE) }
+      ]
+    });
+
+    it('stops a timer across its segments and posts the time to WIP', async () => {
+      const entry = timer();
+      sinon.stub(TimeEntry, 'findOne').returns({ session: async () => entry });
+
+      const res = await request(appAs('associate')).post(`/api/time-entries/timers/${entry.entryId}/stop`).send({});
+
+      expect(res.status).to.equal(200);
+      expect(res.body.entry.rawMinutes).to.be.within(17, 17.1);
+      expect(res.body.entry).to.include({ billedMinutes: 18, amount: 720, status: TIME_ENTRY_STATUS.UNBILLED });
+      expect(entry.timerSegments[1].stoppedAt).to.be.instanceOf(Date);
+      expect(wip.firstCall.args[0][0]).to.include({ type: WIP_TRANSACTION_TYPES.TIME_RECORDED, amount: 720 });
+    });
+
+    it("refuses to stop another fee earner's timer", async () => {
+      const entry = timer();
+      sinon.stub(TimeEntry, 'findOne').returns({ session: async () => entry });
+
+      const res = await request(appAs('associate', new mongoose.Types.ObjectId())).post(`/api/time-entries/timers/${entry.entryId}/stop`).send({});
+
+      expect(res.status).to.equal(403);
+      expect(wip.called).to.equal(false);
+      expect(session.abortTransaction.calledOnce).to.equal(true);
+    });
+  });
+
+  it('reverses the WIP of deleted unbilled time', async () => {
+    const entry = new TimeEntry({
+      tenantId: TENANT, matterId: MATTER._id, userId: ATTORNEY, workDate: new Date(), activityCode: 'DRAFTING',
+      rawMinutes: 30, billedMinutes: 30, amount: 1200, status: TIME_ENTRY_STATUS.UNBILLED
+    });
+    sinon.stub(TimeEntry, 'findOne').returns({ session: async () => entry });
+    const deleteOne = sinon.stub(TimeEntry, 'deleteOne').resolves({ deletedCount: 1 });
+
+    const res = await request(appAs('associate')).delete(`/api/time-entries/${entry.entryId}`).send({ reason: 'Duplicate' });
+
+    expect(res.status).to.equal(200);
+    expect(wip.firstCall.args[0][0]).to.include({ type: WIP_TRANSACTION_TYPES.TIME_REVERSED, amount: -1200, minutes: -30, reason: 'Duplicate' });
+    expect(deleteOne.firstCall.args[1].session).to.equal(session);
+  });
+
+  describe('rate cards', () => {
+    beforeEach(() => {
+      sinon.stub(BillingRate, 'updateMany').resolves({});
+      sinon.stub(BillingRate, 'create').callsFake(async (rate) => rate);
+    });
+
+    it('refuses a rate card change from a fee earner', async () => {
+      const res = await request(appAs('associate')).post('/api/time-entries/rates').send({ userId: String(ATTORNEY), ratePerHour: 9000 });
+
+      expect(res.status).to.equal(403);
+      expect(BillingRate.create.called).to.equal(false);
+    });
+
+    it("lets finance set an attorney's rate, end-dating the one it replaces", async () => {
+      const res = await request(appAs('accounts')).post('/api/time-entries/rates').send({ userId: String(ATTORNEY), ratePerHour: 2600, effectiveFrom: '2026-07-01' });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.rate).to.include({ tenantId: TENANT, ratePerHour: 2600 });
+      expect(BillingRate.updateMany.firstCall.args[1]).to.deep.equal({ $set: { effectiveTo: new Date('2026-07-01') } });
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/* eslint-disable */
+/**
+ * 🧪 Trust Chain Verification Route Audit
+ * @description GET /api/lpc/trust/verify re-walks the tenant's trust chain and returns a report signed with the audit
+ * key, which an auditor can check with the public key it carries; an edited movement or a replaced master seal shows
+ * up as a finding, the PDF copy carries the same signature, and fee earners are refused.
+ */
+import crypto from 'node:crypto';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import request from 'supertest';
+import { TrustAccount } from '../../models/TrustAccount.js';
+import TrustTransaction from '../../models/TrustTransaction.js';
+import { normalizePayload } from '../../utils/forensicSigner.js';
+import { CHAIN_FINDINGS, computeTrustChainHash } from '../../utils/trustChainVerifier.js';
+import lpcGateway from '../../routes/lpc.js';
+
+const TENANT = 'tenant-chain';
+const GENESIS = 'a'.repeat(128);
+
+const appAs = (role) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { _id: 'u1', email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/lpc', lpcGateway);
+  return app;
+};
+
+const verify = (app, format) => request(app)
+  .get('/api/lpc/trust/verify')
+  .query(format ? { format } : {})
+  .set('x-institutional-finality', 'TRUE');
+
+const query = (result) => {
+  const chain = {};
+  chain.select = sinon.stub().returns(chain);
+  chain.lean = sinon.stub().resolves(result);
+  return chain;
+};
+
+// Movements chained the way lpcService.recordTransaction seals them
+const chainOf = (movements) => {
+  let previousHash = GENESIS;
+  return movements.map(([type, amount], i) => {
+    const tx = {
+      transactionId: `TXL-${i + 1}`,
+      traceId: `TRC-${i + 1}`,
+      type,
+      amount,
+      sequence: i + 1,
+      previousHash,
+      timestamp: new Date(Date.UTC(2026, 2, 1 + i))
+    };
+    tx.forensicHash = computeTrustChainHash({ ...tx, tenantId: TENANT });
+    previousHash = tx.forensicHash;
+    return tx;
+  });
+};
+
+const ledgerFor = (transactions) => transactions.map(({ transactionId, type, amount, previousHash, forensicHash }) => (
+  { controlTransactionId: transactionId, type, amount, previousHash, forensicHash }
+));
+
+describe('🔗 Trust chain verification route', () => {
+  let signingKey;
+  let transactions;
+  let account;
+
+  before(() => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    signingKey = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  });
+
+  beforeEach(() => {
+    process.env.TRUST_AUDIT_SIGNING_PRIVATE_KEY = signingKey;
+    transactions = chainOf([['DEPOSIT', 1500], ['WITHDRAWAL', 300]]);
+    account = {
+      tenantId: TENANT,
+      bankName: 'Standard Bank',
+      accountNumber: '000123456',
+      currentBalance: 1200,
+      genesisSeal: GENESIS,
+      masterIntegritySeal: transactions[1].forensicHash,
+      transactions
+    };
+    sinon.stub(TrustAccount, 'findOne').callsFake(() => query(account));
+    sinon.stub(TrustTransaction, 'find').callsFake(() => query(ledgerFor(transactions)));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    delete process.env.TRUST_AUDIT_SIGNING_PRIVATE_KEY;
+  });
+
+  it('returns a signed report an auditor can verify with the key it carries', async () => {
+    const res = await verify(appAs('accounts'));
+
+    expect(res.status).to.equal(200);
+    const { signature, ...body } = res.body.report;
+    expect(body.verification).to.include({ isIntact: true, checkedCount: 2 });
+    expect(body.account).to.include({ tenantId: TENANT, masterIntegritySeal: account.masterIntegritySeal });
+    expect(TrustAccount.findOne.firstCall.args[0]).to.deep.equal({ tenantId: TENANT });
+
+    const canonical = Buffer.from(JSON.stringify(normalizePayload(body)));
+    expect(crypto.verify('sha512', canonical, signature.publicKey, Buffer.from(signature.value, 'base64'))).to.equal(true);
+  });
+
+  it('reports an amount edited after posting and a master seal that no longer heads the chain', async () => {
+    transactions[0].amount = 15000;
+    account.masterIntegritySeal = 'f'.repeat(128);
+
+    const res = await verify(appAs('auditor'));
+
+    expect(res.status).to.equal(200);
+    const { verification } = res.body.report;
+    expect(verification.isIntact).to.equal(false);
+    expect(verification.findings.map(({ code }) => code)).to.include.members([
+      CHAIN_FINDINGS.CONTENT_TAMPERED,
+      CHAIN_FINDINGS.SEAL_MISMATCH
+    ]);
+    expect(verification.findings.find(({ code }) => code === CHAIN_FINDINGS.CONTENT_TAMPERED)).to.include({ transactionId: 'TXL-1', severity: 'CRITICAL' });
+  });
+
+  it('reports a movement removed from the middle of the chain', async () => {
+    transactions = chainOf([['DEPOSIT', 1500], ['DEPOSIT', 200], ['WITHDRAWAL', 500]]);
+    account.masterIntegritySeal = transactions[2].forensicHash;
+    account.transactions = [transactions[0], transactions[2]];
+
+    const res = await verify(appAs('partner'));
+
+    expect(res.body.report.verification.findings.map(({ code }) => code)).to.include(CHAIN_FINDINGS.CHAIN_GAP);
+  });
+
+  it('sends the PDF copy with the report signature', async () => {
+    const res = await verify(appAs('accounts'), 'pdf').buffer(true).parse((stream, done) => {
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', () => done(null, Buffer.concat(chunks)));
+    });
+
+    expect(res.status).to.equal(200);
+    expect(res.headers['content-type']).to.equal('application/pdf');
+    expect(res.headers['x-report-signature']).to.be.a('string').and.not.equal('');
+    expect(res.body.subarray(0, 5).toString()).to.equal('%PDF-');
+  });
+
+  it('refuses the report to a fee earner', async () => {
+    const res = await verify(appAs('associate'));
+
+    expect(res.status).to.equal(403);
+    expect(TrustAccount.findOne.called).to.equal(false);
+  });
+
+  it('fails closed when no audit signing key is configured', async () => {
+    delete process.env.TRUST_AUDIT_SIGNING_PRIVATE_KEY;
+
+    const res = await verify(appAs('accounts'));
+
+    expect(res.body.success).to.equal(false);
+    expect(res.body.error).to.equal('FIDUCIARY_ERROR: TRUST_AUDIT_SIGNING_PRIVATE_KEY is not configured.');
+  });
+});
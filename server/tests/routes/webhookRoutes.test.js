@@ -0,0 +1,215 @@
+/* eslint-disable */
+/**
+ * 🧪 Webhook Routes Audit
+ * @description Only administrators manage subscriptions, which must name catalogued events and a public endpoint; the
+ * signing secret is shown once and stored encrypted. An event recorded inside a transaction is relayed only once the
+ * transaction ends, to the workflow engine and to each subscription that wants it, and the subscriber can verify the
+ * delivery with the secret it was given. Dead letters are replayed as new deliveries.
+ */
+import { EventEmitter } from 'node:events';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import axios from 'axios';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import OutboxEvent, { OUTBOX_STATUS } from '../../models/OutboxEvent.js';
+import WebhookSubscription from '../../models/WebhookSubscription.js';
+import WebhookDelivery, { DELIVERY_STATUS } from '../../models/WebhookDelivery.js';
+import { decrypt } from '../../utils/cryptoCore.js';
+import { SIGNATURE_HEADER, verifySignature } from '../../utils/webhooks.js';
+import auditLogger from '../../utils/auditLogger.js';
+import workflowEngineService, { WORKFLOW_JOBS } from '../../services/workflowEngineService.js';
+import { outboxService, OUTBOX_JOBS } from '../../services/outboxService.js';
+import domainEventService from '../../services/domainEventService.js';
+import webhookRoutes from '../../routes/webhookRoutes.js';
+
+const TENANT = 'tenant-webhooks';
+
+const appAs = (role) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: new mongoose.Types.ObjectId(), email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/webhooks', webhookRoutes);
+  // API fault interceptor: webhook faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+  return app;
+};
+
+// findOne(...) is awaited as it is, or after .select('+encryptedSecret')
+const found = (result) => ({
+  select: async () => result(),
+  lean: async () => result()?.toObject(),
+  then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+});
+
+const subscribe = (body, role = 'admin') => request(appAs(role)).post('/api/webhooks').send({
+  name: 'Practice accounting sync',
+  url: 'https://hooks.ledgerly.co.za/wilsy',
+  events: ['invoice.paid'],
+  ...body
+});
+
+describe('🪝 Webhook routes', () => {
+  let subscriptions;
+  let deliveries;
+
+  beforeEach(() => {
+    subscriptions = [];
+    deliveries = [];
+    sinon.stub(WebhookSubscription, 'create').callsFake(async (fields) => {
+      const subscription = new WebhookSubscription(fields);
+      subscriptions.push(subscription);
+      return subscription;
+    });
+    sinon.stub(WebhookSubscription, 'find').callsFake(() => ({ lean: async () => subscriptions.map((subscription) => subscription.toObject()) }));
+    sinon.stub(WebhookSubscription, 'findOne').callsFake(({ subscriptionId }) => found(() => subscriptions.find((s) => s.subscriptionId === subscriptionId)));
+    sinon.stub(WebhookSubscription, 'updateOne').resolves({});
+    sinon.stub(WebhookDelivery, 'create').callsFake(async (fields) => {
+      const delivery = new WebhookDelivery(fields);
+      deliveries.push(delivery);
+      return delivery;
+    });
+    sinon.stub(WebhookDelivery, 'findOne').callsFake(({ deliveryId }) => found(() => deliveries.find((d) => d.deliveryId === deliveryId)));
+    sinon.stub(WebhookDelivery.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(auditLogger, 'audit').resolves();
+    sinon.stub(auditLogger, 'warn');
+    sinon.stub(auditLogger, 'error');
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('subscriptions', () => {
+    it('are managed by administrators only', async () => {
+      const res = await subscribe({}, 'partner');
+
+      expect(res.status).to.equal(403);
+      expect(WebhookSubscription.create.called).to.equal(false);
+    });
+
+    it('hand out the signing secret once and keep it encrypted', async () => {
+      const res = await subscribe({});
+
+      expect(res.status).to.equal(201);
+      const { secret, encryptedSecret, ...view } = res.body.data;
+      expect(secret).to.match(/^whsec_[a-f0-9]{48}$/);
+      expect(encryptedSecret).to.equal(undefined);
+      expect(view).to.include({ tenantId: TENANT, url: 'https://hooks.ledgerly.co.za/wilsy', status: 'ACTIVE' });
+      expect(decrypt(subscriptions[0].encryptedSecret, TENANT)).to.equal(secret);
+    });
+
+    it('refuse endpoints inside the network and events outside the catalogue', async () => {
+      const internal = await subscribe({ url: 'https://10.0.0.12/hooks' });
+      const unknown = await subscribe({ events: ['invoice.paid', 'matter.deleted'] });
+
+      expect([internal.status, unknown.status]).to.deep.equal([400, 400]);
+      expect(internal.body.error).to.equal('WEBHOOK_ERROR: url must point at a public host');
+      expect(unknown.body.error).to.equal('WEBHOOK_ERROR: not in the event catalogue: matter.deleted');
+      expect(WebhookSubscription.create.called).to.equal(false);
+    });
+  });
+
+  describe('relay', () => {
+    let event;
+
+    beforeEach(() => {
+      sinon.stub(OutboxEvent, 'create').callsFake(async ([fields]) => { event = new OutboxEvent(fields); return [event]; });
+      sinon.stub(OutboxEvent, 'findOne').callsFake(async () => event);
+      sinon.stub(OutboxEvent.prototype, 'save').callsFake(async function save() { return this; });
+      sinon.stub(workflowEngineService, 'schedule').resolves({ queued: true, via: 'in-process' });
+      sinon.stub(outboxService, 'schedule').resolves({ queued: true, via: 'in-process' });
+    });
+
+    it('relays an event written in a transaction only once the transaction ends', async () => {
+      const session = Object.assign(new EventEmitter(), { inTransaction: () => true });
+
+      await domainEventService.record({ tenantId: TENANT, type: 'invoice.paid', subject: { type: 'invoice', id: 'INV-1' }, payload: { total: 11500 } }, { session });
+
+      expect(OutboxEvent.create.firstCall.args[1]).to.deep.equal({ session });
+      expect(outboxService.schedule.called).to.equal(false);
+
+      session.emit('ended');
+      expect(outboxService.schedule.calledOnceWith(OUTBOX_JOBS.DISPATCH, { eventId: event.eventId })).to.equal(true);
+    });
+
+    it('refuses events outside the catalogue', async () => {
+      let refusal;
+      try {
+        await domainEventService.record({ tenantId: TENANT, type: 'invoice.deleted', subject: { type: 'invoice', id: 'INV-1' } });
+      } catch (error) {
+        refusal = error;
+      }
+
+      expect(refusal.message).to.equal('DOMAIN_EVENT_ERROR: invoice.deleted is not in the event catalogue');
+      expect(OutboxEvent.create.called).to.equal(false);
+    });
+
+    it('fans the event out to the workflow engine and the subscriptions that want it, signed with their secret', async () => {
+      const { body: { data: { secret } } } = await subscribe({});
+      await subscribe({ name: 'Document mirror', events: ['document.uploaded'] });
+      await outboxService.record({ tenantId: TENANT, type: 'invoice.paid', subject: { type: 'invoice', id: 'INV-1' }, payload: { total: 11500 } });
+
+      const relayed = await outboxService.dispatch(event.eventId);
+
+      expect(workflowEngineService.schedule.firstCall.args.slice(0, 2)).to.deep.equal([WORKFLOW_JOBS.EVENT, outboxService.envelope(event)]);
+      expect(relayed.deliveries).to.have.length(1);
+      expect(event).to.include({ status: OUTBOX_STATUS.DISPATCHED, deliveries: 1 });
+      expect(deliveries[0]).to.include({ subscriptionId: subscriptions[0].subscriptionId, eventType: 'invoice.paid' });
+
+      sinon.stub(WebhookDelivery, 'findOneAndUpdate').callsFake(async () => { deliveries[0].attempts += 1; return deliveries[0]; });
+      const post = sinon.stub(axios, 'post').resolves({ status: 204, data: '' });
+      await outboxService.deliver(deliveries[0].deliveryId);
+
+      const [url, body, { headers }] = post.firstCall.args;
+      expect(url).to.equal('https://hooks.ledgerly.co.za/wilsy');
+      expect(JSON.parse(body)).to.include({ id: event.eventId, type: 'invoice.paid' });
+      expect(verifySignature(secret, body, headers[SIGNATURE_HEADER])).to.equal(true);
+      expect(verifySignature('whsec_forged', body, headers[SIGNATURE_HEADER])).to.equal(false);
+      expect(deliveries[0].status).to.equal(DELIVERY_STATUS.SUCCEEDED);
+    });
+  });
+
+  describe('POST /deliveries/:deliveryId/replay', () => {
+    let original;
+
+    beforeEach(async () => {
+      sinon.stub(outboxService, 'schedule').resolves({ queued: true, via: 'in-process' });
+      await subscribe({});
+      original = await WebhookDelivery.create({
+        tenantId: TENANT,
+        subscriptionId: subscriptions[0].subscriptionId,
+        eventId: 'EVT-1',
+        eventType: 'invoice.paid',
+        url: 'https://old.ledgerly.co.za/wilsy',
+        body: JSON.stringify({ id: 'EVT-1', type: 'invoice.paid', deliveryId: 'WHD-OLD' }),
+        maxAttempts: 3,
+        status: DELIVERY_STATUS.DEAD
+      });
+    });
+
+    const replay = () => request(appAs('admin')).post(`/api/webhooks/deliveries/${original.deliveryId}/replay`);
+
+    it('sends a dead letter again as a new delivery to the current URL', async () => {
+      const res = await replay();
+
+      expect(res.status).to.equal(202);
+      const copy = deliveries.at(-1);
+      expect(res.body.data).to.include({ deliveryId: copy.deliveryId, replayOf: original.deliveryId, url: 'https://hooks.ledgerly.co.za/wilsy' });
+      expect(JSON.parse(copy.body).deliveryId).to.equal(copy.deliveryId);
+      expect(original.status).to.equal(DELIVERY_STATUS.DEAD);
+      expect(outboxService.schedule.calledOnceWith(OUTBOX_JOBS.DELIVER, { deliveryId: copy.deliveryId })).to.equal(true);
+    });
+
+    it('leaves a delivery that is still being retried alone', async () => {
+      original.status = DELIVERY_STATUS.RETRYING;
+
+      const res = await replay();
+
+      expect(res.status).to.equal(409);
+      expect(res.body.error).to.equal(`WEBHOOK_ERROR: Delivery ${original.deliveryId} is still RETRYING`);
+    });
+  });
+});
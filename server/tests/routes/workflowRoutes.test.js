@@ -0,0 +1,236 @@
+/* eslint-disable */
+/**
+ * 🧪 Workflow Routes Audit
+ * @description Only designers define, activate and cancel workflows. An instance of an ACTIVE workflow takes its
+ * automatic steps on its own and then waits on the people its task names; only they (or an administrator) may act,
+ * and actions that need a comment are refused without one. Overdue tasks are escalated once by the SLA sweep, and a
+ * domain event starts every workflow whose trigger it matches, once per event.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import WorkflowDefinition from '../../models/WorkflowDefinition.js';
+import WorkflowInstance from '../../models/WorkflowInstance.js';
+import auditLogger from '../../utils/auditLogger.js';
+import workflowEngineService, { DEFINITION_STATUS, INSTANCE_STATUS, TRIGGER_TYPES } from '../../services/workflowEngineService.js';
+import workflowRoutes from '../../routes/workflowRoutes.js';
+
+const TENANT = 'tenant-workflows';
+const ATTORNEY = new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+const appAs = (role, userId = new mongoose.Types.ObjectId()) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId, email: `${role}@nkosi.co.za`, role, tenantId: TENANT };
+    next();
+  });
+  app.use('/api/workflows', workflowRoutes);
+  // API fault interceptor: workflow faults carry their HTTP status
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+  return app;
+};
+
+const contractReview = () => ({
+  name: 'Contract review',
+  states: [
+    { key: 'triage', type: 'auto' },
+    { key: 'review', assignees: { fields: ['document.createdBy'] }, sla: { hours: 24, escalateTo: ['partner'] } },
+    { key: 'partner_sign_off', assignees: { roles: ['partner'] } },
+    { key: 'approved', type: 'end' },
+    { key: 'rejected', type: 'end' }
+  ],
+  transitions: [
+    { action: 'large', from: 'triage', to: 'partner_sign_off', guard: [{ field: 'document.pages', op: 'gt', value: 100 }] },
+    { action: 'standard', from: 'triage', to: 'review' },
+    { action: 'approve', from: 'review', to: 'approved' },
+    { action: 'reject', from: 'review', to: 'rejected', requiresComment: true },
+    { action: 'approve', from: 'partner_sign_off', to: 'approved' }
+  ],
+  triggers: [{ event: 'document.uploaded', guard: [{ field: 'payload.documentType', op: 'eq', value: 'contract' }] }]
+});
+
+// Lets the in-process job the engine queued run to completion
+const settle = async () => {
+  await new Promise(setImmediate);
+  for (const call of workflowEngineService.process.getCalls()) await call.returnValue;
+};
+
+describe('🔀 Workflow routes', () => {
+  let definition;
+  let instance;
+
+  beforeEach(async () => {
+    instance = undefined;
+    sinon.stub(WorkflowDefinition, 'create').callsFake(async (fields) => new WorkflowDefinition(fields));
+    definition = await workflowEngineService.createDefinition(TENANT, contractReview());
+    definition.status = DEFINITION_STATUS.ACTIVE;
+    WorkflowDefinition.create.resetHistory();
+
+    sinon.stub(WorkflowDefinition, 'findOne').callsFake(async () => definition);
+    sinon.stub(WorkflowDefinition.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(WorkflowInstance.prototype, 'save').callsFake(async function save() { instance = this; return this; });
+    sinon.stub(WorkflowInstance, 'findOne').callsFake(() => ({
+      setOptions() { return this; },
+      then: (resolve, reject) => Promise.resolve(instance).then(resolve, reject)
+    }));
+    sinon.spy(workflowEngineService, 'process');
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'warn');
+    sinon.stub(auditLogger, 'audit').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  const start = (context = { document: { pages: 3, createdBy: String(ATTORNEY) } }, role = 'associate') => request(appAs(role))
+    .post(`/api/workflows/${definition.workflowId}/instances`)
+    .send({ context });
+  const act = (app, body) => request(app).post(`/api/workflows/instances/${instance.instanceId}/transition`).send(body);
+
+  describe('definitions', () => {
+    it('are created as drafts by designers only', async () => {
+      const refused = await request(appAs('associate')).post('/api/workflows').send(contractReview());
+      const res = await request(appAs('partner')).post('/api/workflows').send(contractReview());
+
+      expect(refused.status).to.equal(403);
+      expect(res.status).to.equal(201);
+      expect(res.body.data).to.include({ status: DEFINITION_STATUS.DRAFT, initialState: 'triage', tenantId: TENANT });
+      expect(WorkflowDefinition.create.calledOnce).to.equal(true);
+    });
+
+    it('refuses a state machine that cannot run', async () => {
+      const body = contractReview();
+      body.transitions = body.transitions.filter((transition) => transition.from !== 'partner_sign_off');
+
+      const res = await request(appAs('partner')).post('/api/workflows').send(body);
+
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.equal('WORKFLOW_ERROR: state partner_sign_off has no outgoing transition');
+      expect(WorkflowDefinition.create.called).to.equal(false);
+    });
+  });
+
+  describe('instances', () => {
+    it('takes the automatic step and waits on the assignee named in the context, with an SLA', async () => {
+      const res = await start();
+      await settle();
+
+      expect(res.status).to.equal(201);
+      expect(res.body.data).to.include({ currentState: 'triage', status: INSTANCE_STATUS.RUNNING });
+      expect(instance.currentState).to.equal('review');
+      expect(instance.history.map(({ from, to, action }) => [from, to, action])).to.deep.equal([[null, 'triage', 'start'], ['triage', 'review', 'standard']]);
+      expect(instance.task.userIds).to.deep.equal([String(ATTORNEY)]);
+      expect(instance.task.dueAt.getTime() - instance.enteredStateAt.getTime()).to.equal(24 * HOUR);
+    });
+
+    it('routes large documents straight to partner sign-off', async () => {
+      await start({ document: { pages: 250, createdBy: String(ATTORNEY) } });
+      await settle();
+
+      expect(instance.currentState).to.equal('partner_sign_off');
+      expect(instance.task.roles).to.deep.equal(['PARTNER']);
+    });
+
+    it('does not start a workflow that is not active', async () => {
+      definition.status = DEFINITION_STATUS.DRAFT;
+
+      const res = await start();
+
+      expect(res.status).to.equal(409);
+      expect(WorkflowInstance.prototype.save.called).to.equal(false);
+    });
+  });
+
+  describe('POST /instances/:instanceId/transition', () => {
+    beforeEach(async () => {
+      await start();
+      await settle();
+    });
+
+    it('lets only the assignee act, and needs a comment to reject', async () => {
+      const stranger = await act(appAs('associate'), { action: 'approve' });
+      const uncommented = await act(appAs('attorney', ATTORNEY), { action: 'reject' });
+      const res = await act(appAs('attorney', ATTORNEY), { action: 'reject', comment: 'Indemnity clause is uncapped' });
+
+      expect(stranger.status).to.equal(403);
+      expect(stranger.body.error).to.equal('WORKFLOW_ERROR: You are not an assignee of the review task');
+      expect(uncommented.status).to.equal(400);
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.include({ previousState: 'review', currentState: 'rejected', status: INSTANCE_STATUS.COMPLETED });
+      expect(instance.history.at(-1)).to.include({ action: 'reject', comment: 'Indemnity clause is uncapped' });
+    });
+
+    it('lets an administrator unblock the task, but not act on a finished instance', async () => {
+      const admin = appAs('admin');
+      const res = await act(admin, { action: 'approve' });
+      const again = await act(admin, { action: 'approve' });
+
+      expect(res.body.data).to.include({ currentState: 'approved', status: INSTANCE_STATUS.COMPLETED });
+      expect(again.status).to.equal(409);
+      expect(again.body.error).to.equal(`WORKFLOW_ERROR: Instance ${instance.instanceId} is COMPLETED`);
+    });
+
+    it('is cancelled by designers only', async () => {
+      const refused = await request(appAs('attorney', ATTORNEY)).post(`/api/workflows/instances/${instance.instanceId}/cancel`).send({ reason: 'Withdrawn' });
+      const res = await request(appAs('partner')).post(`/api/workflows/instances/${instance.instanceId}/cancel`).send({ reason: 'Withdrawn' });
+
+      expect(refused.status).to.equal(403);
+      expect(res.body.data.status).to.equal(INSTANCE_STATUS.CANCELLED);
+      expect(instance.task.userIds).to.deep.equal([]);
+    });
+  });
+
+  describe('SLA sweep', () => {
+    it('escalates an overdue task to the escalation roles once', async () => {
+      await start();
+      await settle();
+      sinon.stub(WorkflowInstance, 'find').returns({ select() { return this; }, setOptions() { return this; }, lean: async () => [{ instanceId: instance.instanceId }] });
+      const later = new Date(instance.task.dueAt.getTime() + HOUR);
+
+      expect(await workflowEngineService.sweepSla(later)).to.deep.equal({ checked: 1, escalated: 1 });
+      expect(instance.task.roles).to.deep.equal(['PARTNER']);
+      expect(instance.history.at(-1).action).to.equal('sla_breached');
+      expect(auditLogger.warn.calledWith('WORKFLOW_SLA_BREACHED')).to.equal(true);
+
+      expect(await workflowEngineService.sweepSla(later)).to.deep.equal({ checked: 1, escalated: 0 });
+    });
+  });
+
+  describe('event triggers', () => {
+    const uploaded = (documentType, eventId = 'EVT-1') => ({
+      eventId,
+      tenantId: TENANT,
+      type: 'document.uploaded',
+      occurredAt: new Date(),
+      subject: { type: 'document', id: 'doc-1' },
+      payload: { documentType, createdBy: String(ATTORNEY) }
+    });
+
+    beforeEach(() => {
+      sinon.stub(WorkflowDefinition, 'find').resolves([definition]);
+    });
+
+    it('starts the workflows whose trigger the event matches', async () => {
+      const result = await workflowEngineService.handleEvent(uploaded('contract'));
+
+      expect(WorkflowDefinition.find.firstCall.args[0]).to.deep.equal({ tenantId: TENANT, status: DEFINITION_STATUS.ACTIVE, 'triggers.event': 'document.uploaded' });
+      expect(result.started).to.deep.equal([instance.instanceId]);
+      expect(instance.trigger).to.include({ type: TRIGGER_TYPES.EVENT, eventId: 'EVT-1' });
+      expect(instance.context.document).to.include({ documentType: 'contract' });
+
+      const ignored = await workflowEngineService.handleEvent(uploaded('email', 'EVT-2'));
+      expect(ignored.started).to.deep.equal([]);
+    });
+
+    it('ignores a redelivered event', async () => {
+      WorkflowInstance.prototype.save.rejects(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const result = await workflowEngineService.handleEvent(uploaded('contract'));
+
+      expect(result.started).to.deep.equal([]);
+    });
+  });
+});
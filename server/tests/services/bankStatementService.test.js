@@ -0,0 +1,159 @@
+/* eslint-disable */
+/**
+ * 🧪 Bank Statement Posting Audit
+ * @description An imported statement is matched credit by credit against the tenant's open matters, with lines already
+ * seen in an earlier statement set aside and a re-uploaded file refused. Posting a statement credit checks the matter
+ * it lands on, including a client/matter picked at post time: the matter must be the tenant's, open and the client's,
+ * and a refused line is never claimed or receipted.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import Matter from '../../models/Matter.js';
+import Client from '../../models/clientModel.js';
+import TrustTransaction from '../../models/TrustTransaction.js';
+import BankStatementImport, { STATEMENT_LINE_STATUS } from '../../models/BankStatementImport.js';
+import { lpcService } from '../../services/lpcService.js';
+import { bankStatementService } from '../../services/bankStatementService.js';
+
+const TENANT = 'tenant-receipts';
+const CLIENT = new mongoose.Types.ObjectId();
+const OTHER_CLIENT = new mongoose.Types.ObjectId();
+const MATTER = new mongoose.Types.ObjectId();
+const OTHER_MATTER = new mongoose.Types.ObjectId();
+
+const query = (result) => {
+  const chain = {};
+  for (const method of ['select']) chain[method] = sinon.stub().returns(chain);
+  chain.lean = sinon.stub().resolves(result);
+  return chain;
+};
+
+const queuedLine = {
+  lineId: 'L-1',
+  status: STATEMENT_LINE_STATUS.AUTO_MATCHED,
+  date: new Date('2026-03-02T00:00:00Z'),
+  amount: 15000,
+  reference: 'MAT-2026-0042',
+  payerName: 'T NKOSI',
+  matchedClientId: CLIENT,
+  matchedMatterId: MATTER
+};
+
+describe('🏦 Bank Statement Service posting', () => {
+  let recordTransaction;
+
+  beforeEach(() => {
+    sinon.stub(BankStatementImport, 'findOne').returns(query({ lines: [queuedLine] }));
+    sinon.stub(BankStatementImport, 'updateOne').resolves({ matchedCount: 1, modifiedCount: 1 });
+    recordTransaction = sinon.stub(lpcService, 'recordTransaction').resolves({ transactionId: 'TRX-1' });
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('posts the stored match as a trust deposit once the matter checks out', async () => {
+    const findOne = sinon.stub(Matter, 'findOne').returns(query({ _id: MATTER, clientId: CLIENT, matterNumber: 'MAT-2026-0042' }));
+
+    const posted = await bankStatementService.postLine(TENANT, 'IMP-1', 'L-1', {}, { userId: 'u1', traceId: 'trace-1' });
+
+    expect(posted).to.deep.equal({ lineId: 'L-1', transactionId: 'TRX-1' });
+    expect(findOne.firstCall.args[0]).to.deep.include({ _id: MATTER, tenantId: TENANT });
+    expect(recordTransaction.calledOnceWith(TENANT, sinon.match({ type: 'DEPOSIT', amount: 15000, clientId: CLIENT, matterId: MATTER }))).to.equal(true);
+    expect(BankStatementImport.updateOne.firstCall.args[1]).to.deep.equal({ $set: { 'lines.$.status': STATEMENT_LINE_STATUS.POSTING } });
+  });
+
+  it("refuses an override onto another client's matter before claiming the line", async () => {
+    sinon.stub(Matter, 'findOne').returns(query({ _id: OTHER_MATTER, clientId: OTHER_CLIENT, matterNumber: 'MAT-2026-0007' }));
+
+    let refusal;
+    try {
+      await bankStatementService.postLine(TENANT, 'IMP-1', 'L-1', { clientId: CLIENT, matterId: OTHER_MATTER }, { userId: 'u1' });
+    } catch (error) {
+      refusal = error;
+    }
+
+    expect(refusal?.message).to.equal('STATEMENT_MATCH_ERROR: Matter does not belong to the selected client.');
+    expect(BankStatementImport.updateOne.called).to.equal(false);
+    expect(recordTransaction.called).to.equal(false);
+  });
+
+  it('refuses an override onto a matter outside the tenant or closed', async () => {
+    const findOne = sinon.stub(Matter, 'findOne').returns(query(null));
+
+    let refusal;
+    try {
+      await bankStatementService.postLine(TENANT, 'IMP-1', 'L-1', { matterId: OTHER_MATTER }, { userId: 'u1' });
+    } catch (error) {
+      refusal = error;
+    }
+
+    expect(refusal?.message).to.equal('STATEMENT_MATCH_ERROR: Matter not found or not open.');
+    expect(findOne.firstCall.args[0]).to.deep.include({ _id: OTHER_MATTER, tenantId: TENANT });
+    expect(findOne.firstCall.args[0].status.$in).to.include('active').and.not.include('closed');
+    expect(BankStatementImport.updateOne.called).to.equal(false);
+    expect(recordTransaction.called).to.equal(false);
+  });
+});
+
+describe('🏦 Bank Statement Service import', () => {
+  const nedbank = [
+    'Transaction Date,Description,Reference,Debit,Credit,Balance',
+    '02/03/2026,THANDI NKOSI,MAT-2026-0042,,15000.00,15000.00',
+    '03/03/2026,UNKNOWN DEPOSITOR,CASH,,800.00,15800.00',
+    '04/03/2026,SERVICE FEES,,25.00,,15775.00'
+  ].join('\n');
+  const file = { buffer: Buffer.from(nedbank), originalname: 'trust-march.csv' };
+  let create;
+
+  beforeEach(() => {
+    sinon.stub(BankStatementImport, 'findOne').returns(query(null));
+    sinon.stub(Matter, 'find').returns(query([{ _id: MATTER, clientId: CLIENT, matterNumber: 'MAT-2026-0042', title: 'Nkosi v RAF' }]));
+    sinon.stub(Client, 'find').returns(query([{ _id: CLIENT, name: 'Thandi Nkosi' }]));
+    sinon.stub(TrustTransaction, 'aggregate').resolves([]);
+    create = sinon.stub(BankStatementImport, 'create').callsFake(async (doc) => ({ ...doc, importId: 'IMP-1', toObject() { return this; } }));
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('auto-matches a credit quoting the matter number and leaves the rest for review', async () => {
+    sinon.stub(BankStatementImport, 'find').returns(query([]));
+    const recordTransaction = sinon.stub(lpcService, 'recordTransaction');
+
+    const imported = await bankStatementService.importStatement(TENANT, file, { userId: 'u1' });
+
+    expect(imported.summary).to.deep.equal({ totalLines: 3, credits: 2, debits: 1, autoMatched: 1, suggested: 0, unmatched: 1, duplicates: 0 });
+    const [matched, unknown, fees] = create.firstCall.args[0].lines;
+    expect(matched).to.include({ status: STATEMENT_LINE_STATUS.AUTO_MATCHED, matchedClientId: CLIENT, matchedMatterId: MATTER });
+    expect(matched.suggestions[0].reasons).to.include.members(['REFERENCE', 'PAYER_NAME']);
+    expect(unknown.status).to.equal(STATEMENT_LINE_STATUS.UNMATCHED);
+    expect(fees.status).to.equal(STATEMENT_LINE_STATUS.DEBIT);
+    expect(Matter.find.firstCall.args[0]).to.include({ tenantId: TENANT });
+    expect(recordTransaction.called).to.equal(false);
+  });
+
+  it('sets aside a line already imported from an overlapping statement', async () => {
+    sinon.stub(BankStatementImport, 'find').callsFake((filter) => query([
+      { lines: [{ fingerprint: filter['lines.fingerprint'].$in[0] }] }
+    ]));
+
+    const imported = await bankStatementService.importStatement(TENANT, file, { userId: 'u1' });
+
+    expect(imported.summary).to.include({ autoMatched: 0, duplicates: 1, unmatched: 1 });
+    expect(create.firstCall.args[0].lines[0].status).to.equal(STATEMENT_LINE_STATUS.DUPLICATE);
+  });
+
+  it('refuses a statement file that was already imported', async () => {
+    BankStatementImport.findOne.returns(query({ importId: 'IMP-0' }));
+
+    let refusal;
+    try {
+      await bankStatementService.importStatement(TENANT, file, { userId: 'u1' });
+    } catch (error) {
+      refusal = error;
+    }
+
+    expect(refusal?.message).to.equal('STATEMENT_DUPLICATE: This statement was already imported as IMP-0.');
+    expect(BankStatementImport.findOne.firstCall.args[0]).to.include({ tenantId: TENANT });
+    expect(create.called).to.equal(false);
+  });
+});
@@ -0,0 +1,115 @@
+/* eslint-disable */
+/**
+ * 🧪 Client Portal Service Isolation Audit
+ * @description A signed-in client cannot open another client's matter or invoice (the refusal is a 404 and is
+ * recorded), and a session that has lapsed is refused before anything else is read.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import Client from '../../models/clientModel.js';
+import Matter from '../../models/Matter.js';
+import Invoice from '../../models/Invoice.js';
+import PortalAccount from '../../models/PortalAccount.js';
+import PortalActivity from '../../models/PortalActivity.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { PORTAL_EVENTS, PORTAL_LIMITS, PORTAL_STATUS } from '../../utils/clientPortal.js';
+import { createToken, hashSecret } from '../../utils/signingCeremony.js';
+import { clientPortalService } from '../../services/clientPortalService.js';
+
+const TENANT = 'tenant-portal';
+const MINUTE = 60000;
+const CLIENT_A = new mongoose.Types.ObjectId();
+const OTHER_MATTER = new mongoose.Types.ObjectId();
+const OTHER_INVOICE = new mongoose.Types.ObjectId();
+
+// A query chain that resolves to `result` however it is refined
+const query = (result) => {
+  const chain = {};
+  for (const method of ['select', 'sort', 'limit', 'setOptions', 'populate']) chain[method] = sinon.stub().returns(chain);
+  chain.lean = sinon.stub().resolves(result);
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+};
+
+const signedIn = () => ({
+  account: { _id: new mongoose.Types.ObjectId(), tenantId: TENANT, accountId: 'PA-1', clientId: CLIENT_A, email: 'thandi@nkosi.co.za' },
+  client: { _id: CLIENT_A, name: 'Thandi Nkosi' },
+  tokenHash: 'session'
+});
+
+const refusal = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the portal to refuse');
+};
+
+describe('🧑‍💼 Client Portal Service', () => {
+  beforeEach(() => {
+    sinon.stub(PortalActivity, 'create').resolves({});
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'security');
+  });
+
+  afterEach(() => sinon.restore());
+
+  it("refuses another client's matter as not found and records the attempt", async () => {
+    const findOne = sinon.stub(Matter, 'findOne').returns(query(null));
+
+    const error = await refusal(clientPortalService.matter(signedIn(), String(OTHER_MATTER), { ip: '196.25.1.1' }));
+
+    expect(error).to.include({ status: 404, code: 'PORTAL_NOT_FOUND' });
+    expect(findOne.firstCall.args[0]).to.deep.include({ _id: String(OTHER_MATTER), tenantId: TENANT, clientId: CLIENT_A });
+    const [activity] = PortalActivity.create.firstCall.args;
+    expect(activity).to.deep.include({ action: PORTAL_EVENTS.ACCESS_DENIED, clientId: CLIENT_A, ipAddress: '196.25.1.1' });
+    expect(activity.details).to.deep.equal({ reason: 'NOT_CLIENT_MATTER', requested: String(OTHER_MATTER) });
+    expect(auditLogger.security.calledWith(`CLIENT_PORTAL_${PORTAL_EVENTS.ACCESS_DENIED}`)).to.equal(true);
+  });
+
+  it("refuses an invoice outside the client's own invoices without reading it", async () => {
+    const find = sinon.stub(Invoice, 'find').returns(query([]));
+    const findById = sinon.stub(Invoice, 'findById');
+
+    const error = await refusal(clientPortalService.invoice(signedIn(), String(OTHER_INVOICE)));
+
+    expect(error).to.include({ status: 404, code: 'PORTAL_NOT_FOUND' });
+    expect(find.firstCall.args[0]).to.deep.include({ tenantId: TENANT, clientId: String(CLIENT_A), _id: String(OTHER_INVOICE) });
+    expect(findById.called).to.equal(false);
+    expect(PortalActivity.create.firstCall.args[0].details).to.deep.equal({ reason: 'NOT_CLIENT_INVOICE', requested: String(OTHER_INVOICE) });
+  });
+
+  it('refuses a session that has been idle too long or open past its maximum, and keeps a live one alive', async () => {
+    const token = createToken();
+    const now = Date.now();
+    const account = {
+      _id: new mongoose.Types.ObjectId(),
+      tenantId: TENANT,
+      clientId: CLIENT_A,
+      status: PORTAL_STATUS.ACTIVE,
+      sessions: [{ tokenHash: hashSecret(token), createdAt: new Date(now - 60 * MINUTE), lastSeenAt: new Date(now - PORTAL_LIMITS.SESSION_IDLE_MS - MINUTE) }]
+    };
+    sinon.stub(PortalAccount, 'findOne').returns({ select: sinon.stub().resolves(account) });
+    const clientLookup = sinon.stub(Client, 'findOne').returns(query({ _id: CLIENT_A }));
+    const touch = sinon.stub(PortalAccount, 'updateOne').resolves({});
+
+    const error = await refusal(clientPortalService.authenticate(token));
+
+    expect(error).to.include({ status: 401, code: 'PORTAL_SESSION_REQUIRED' });
+    expect(error.message).to.match(/session has ended/);
+    expect(clientLookup.called).to.equal(false);
+    expect(touch.called).to.equal(false);
+
+    // Past its maximum length a session ends however recently it was used
+    account.sessions[0] = { ...account.sessions[0], createdAt: new Date(now - PORTAL_LIMITS.SESSION_MAX_MS - MINUTE), lastSeenAt: new Date(now - MINUTE) };
+    expect((await refusal(clientPortalService.authenticate(token))).status).to.equal(401);
+    expect(touch.called).to.equal(false);
+
+    account.sessions[0].createdAt = new Date(now - 60 * MINUTE);
+    const portal = await clientPortalService.authenticate(token);
+    expect(portal.client).to.deep.equal({ _id: CLIENT_A });
+    expect(touch.calledOnce).to.equal(true);
+  });
+});
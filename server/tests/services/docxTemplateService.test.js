@@ -0,0 +1,189 @@
+/* eslint-disable */
+/**
+ * 🧪 DOCX Template Service Audit
+ * @description An uploaded Word precedent is stored as a draft template whose variables are typed by their formats,
+ * and a precedent with broken tags is refused. Assembly fills in the matter, its court and its parties, lets data
+ * sent with the request override them, and refuses to leave a placeholder blank unless told to, in which case the
+ * blank is marked for completion by hand. A dry run separates missing fields from clauses left out.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import PizZip from 'pizzip';
+import DocumentTemplate, { OUTPUT_FORMATS, PRACTICE_AREAS, TEMPLATE_STATUS, TEMPLATE_TYPES, VARIABLE_TYPES } from '../../models/DocumentTemplate.js';
+import Matter from '../../models/Matter.js';
+import { Court } from '../../models/Court.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { BLANK_MARKER, docxText } from '../../utils/docxTemplate.js';
+import docxTemplateService, { DOCX_MIME } from '../../services/docxTemplateService.js';
+
+const TENANT = 'tenant-precedents';
+const MATTER = new mongoose.Types.ObjectId();
+
+const paragraph = (text) => `<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+const row = (...cells) => `<w:tbl><w:tr>${cells.map((text) => `<w:tc>${paragraph(text)}</w:tc>`).join('')}</w:tr></w:tbl>`;
+
+// A minimal Word package around a document body
+const docx = (...body) => {
+  const zip = new PizZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+  zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+    + `<w:body>${body.join('')}</w:body></w:document>`);
+  return zip.generate({ type: 'nodebuffer' });
+};
+
+const summons = () => ({
+  originalname: 'Combined summons.docx',
+  buffer: docx(
+    paragraph('IN THE {court.name | upper}'),
+    paragraph('Case No: {matter.caseNumber}'),
+    paragraph('{#matter.type == "litigation"}The plaintiff claims {claim | currency}.{/}'),
+    paragraph('{#urgent}This matter is brought as one of urgency.{/urgent}'),
+    row('{#plaintiffs}{name}', '{idNumber}{/plaintiffs}'),
+    paragraph('Attorney for the plaintiff: {attorney.name}')
+  )
+});
+
+const META = { name: 'Combined summons', templateType: TEMPLATE_TYPES.PLEADING, practiceArea: PRACTICE_AREAS.LITIGATION };
+
+// findOne(...) is awaited as it is, or after .select('+content.docx.data'); .lean() for matters and courts
+const found = (result) => ({
+  select() { return this; },
+  lean: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+describe('📄 DOCX template service', () => {
+  let template;
+
+  beforeEach(async () => {
+    sinon.stub(DocumentTemplate, 'create').callsFake(async (fields) => new DocumentTemplate(fields));
+    sinon.stub(DocumentTemplate, 'findOne').callsFake(() => found(template));
+    sinon.stub(DocumentTemplate.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'warn');
+    ({ template } = await docxTemplateService.createTemplate(TENANT, summons(), META, { userId: 'partner-1' }));
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('upload', () => {
+    it('stores the precedent as a draft with variables typed by their formats', () => {
+      expect(template).to.include({ tenantId: TENANT, status: TEMPLATE_STATUS.DRAFT, version: 1 });
+      expect(template.content).to.include({ format: 'docx' });
+      expect(template.content.docx.filename).to.equal('Combined summons.docx');
+      expect(template.output.formats).to.deep.equal([OUTPUT_FORMATS.DOCX, OUTPUT_FORMATS.PDF]);
+      expect(template.variables.map(({ name, type }) => [name, type])).to.deep.equal([
+        ['court.name', VARIABLE_TYPES.STRING],
+        ['matter.caseNumber', VARIABLE_TYPES.STRING],
+        ['matter.type', VARIABLE_TYPES.STRING],
+        ['claim', VARIABLE_TYPES.CURRENCY],
+        ['urgent', VARIABLE_TYPES.BOOLEAN],
+        ['attorney.name', VARIABLE_TYPES.STRING]
+      ]);
+    });
+
+    it('refuses a file that is not a precedent it can read', async () => {
+      DocumentTemplate.create.resetHistory();
+      const refusals = [];
+      for (const file of [
+        { originalname: 'summons.pdf', buffer: Buffer.from('%PDF-1.7') },
+        { originalname: 'summons.docx', buffer: docx(paragraph('{#plaintiffs}{name}')) }
+      ]) {
+        try {
+          await docxTemplateService.createTemplate(TENANT, file, META);
+        } catch (error) {
+          refusals.push(error.message);
+        }
+      }
+
+      expect(refusals[0]).to.equal('DOCX_TEMPLATE_ERROR: summons.pdf is not a .docx file.');
+      expect(refusals[1]).to.match(/loop with tag "plaintiffs" is unclosed/);
+      expect(DocumentTemplate.create.called).to.equal(false);
+    });
+
+    it('keeps a new revision of the precedent under the next version', async () => {
+      const { template: revised } = await docxTemplateService.replaceSource(TENANT, template.templateId, {
+        originalname: 'Combined summons v2.docx',
+        buffer: docx(paragraph('IN THE {court.name | upper}'), paragraph('Served on {served | longDate}'))
+      }, { userId: 'partner-2' });
+
+      expect(revised.version).to.equal(2);
+      expect(revised.variables.map(({ name, type }) => [name, type])).to.deep.equal([['court.name', VARIABLE_TYPES.STRING], ['served', VARIABLE_TYPES.DATE]]);
+      expect(revised.audit.updatedBy).to.equal('partner-2');
+    });
+  });
+
+  describe('assembly', () => {
+    beforeEach(() => {
+      sinon.stub(Matter, 'findOne').returns(found({
+        _id: MATTER,
+        tenantId: TENANT,
+        matterNumber: 'LIT-2026-001',
+        matterType: 'litigation',
+        courtDetails: { courtId: 'ZA-GP-JHB', caseNumber: '2026/01234' },
+        responsibleAttorney: { name: 'P. van Wyk' },
+        parties: [{ name: 'Thandi Mokoena', role: 'plaintiff', idNumber: '8001015009087' }, { name: 'Acme (Pty) Ltd', role: 'defendant' }]
+      }));
+      sinon.stub(Court, 'findOne').returns(found({ courtId: 'ZA-GP-JHB', name: 'Gauteng Division of the High Court, Johannesburg' }));
+    });
+
+    it("fills in the matter, its court and its parties, with the caller's data on top", async () => {
+      const result = await docxTemplateService.assemble(TENANT, template.templateId, { matterId: String(MATTER), data: { claim: 1250000, urgent: true, attorney: { name: 'N. Dube' } } });
+
+      expect(Matter.findOne.firstCall.args[0]).to.deep.equal({ _id: String(MATTER), tenantId: TENANT });
+      expect(Court.findOne.firstCall.args[0]).to.deep.equal({ courtId: 'ZA-GP-JHB', tenantId: TENANT });
+      expect(result.contentType).to.equal(DOCX_MIME);
+      const text = docxText(result.buffer);
+      expect(text).to.include('IN THE GAUTENG DIVISION OF THE HIGH COURT, JOHANNESBURG');
+      expect(text).to.include('Case No: 2026/01234');
+      expect(text).to.include('The plaintiff claims R1 250 000,00.');
+      expect(text).to.include('This matter is brought as one of urgency.');
+      expect(text).to.include('Thandi Mokoena');
+      expect(text).to.not.include('Acme');
+      expect(text).to.include('Attorney for the plaintiff: N. Dube');
+      expect(template.usageStats.timesUsed).to.equal(1);
+    });
+
+    it('refuses to leave a placeholder blank unless told to, then marks it for completion by hand', async () => {
+      let refusal;
+      try {
+        await docxTemplateService.assemble(TENANT, template.templateId, { matterId: String(MATTER) });
+      } catch (error) {
+        refusal = error;
+      }
+      expect(refusal.message).to.equal('MISSING_REQUIRED_FIELDS: claim');
+      expect(template.usageStats.timesUsed).to.equal(0);
+
+      const result = await docxTemplateService.assemble(TENANT, template.templateId, { matterId: String(MATTER), allowMissing: true, format: OUTPUT_FORMATS.PDF });
+      expect(result.contentType).to.equal('application/pdf');
+      expect(result.buffer.subarray(0, 5).toString()).to.equal('%PDF-');
+      expect(result.missing.map((entry) => entry.path)).to.deep.equal(['claim']);
+    });
+
+    it('tells missing fields from clauses left out in a dry run', async () => {
+      const report = await docxTemplateService.check(TENANT, template.templateId, { data: { matter: { type: 'litigation' } } });
+
+      expect(report.valid).to.equal(false);
+      expect(report.missingFields).to.deep.equal(['court.name', 'matter.caseNumber', 'claim', 'attorney.name']);
+      expect(report.warnings.map((warning) => warning.field)).to.deep.equal(['urgent', 'plaintiffs']);
+      expect(Matter.findOne.called).to.equal(false);
+    });
+
+    it('refuses a matter outside the tenant', async () => {
+      Matter.findOne.returns(found(null));
+      let refusal;
+      try {
+        await docxTemplateService.assemble(TENANT, template.templateId, { matterId: String(new mongoose.Types.ObjectId()) });
+      } catch (error) {
+        refusal = error;
+      }
+
+      expect(refusal.message).to.match(/^TEMPLATE_NOT_FOUND: Matter [a-f0-9]{24} not found\.$/);
+    });
+  });
+});
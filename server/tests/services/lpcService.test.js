@@ -0,0 +1,184 @@
+/* eslint-disable */
+/**
+ * 🧪 LPC Trust Posting Audit
+ * @description A trust movement is posted to the control account and the client/matter sub-ledger inside one
+ * transaction, a payment the client's own ledger cannot cover is refused even when the pooled account could, and a
+ * month-end three-way reconciliation is kept on the trust account with every discrepancy it found.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import { TrustAccount } from '../../models/TrustAccount.js';
+import TrustTransaction from '../../models/TrustTransaction.js';
+import { DISCREPANCY_TYPES } from '../../utils/trustReconciliation.js';
+import { lpcService } from '../../services/lpcService.js';
+
+const TENANT = 'tenant-trust';
+const CLIENT = new mongoose.Types.ObjectId();
+const MATTER = new mongoose.Types.ObjectId();
+
+const query = (result) => {
+  const chain = {};
+  for (const method of ['select', 'sort', 'session']) chain[method] = sinon.stub().returns(chain);
+  chain.lean = sinon.stub().resolves(result);
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+};
+
+const refusal = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the trust posting to be refused');
+};
+
+describe('🏛️ LPC Service trust posting', () => {
+  let session;
+  let account;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: sinon.stub(),
+      commitTransaction: sinon.stub().resolves(),
+      abortTransaction: sinon.stub().resolves(),
+      endSession: sinon.stub()
+    };
+    account = {
+      tenantId: TENANT,
+      currentBalance: 500000,
+      isFrozen: false,
+      masterIntegritySeal: 'seal-0',
+      transactions: [{ transactionId: 'TXL-PREV', forensicHash: 'hash-prev' }]
+    };
+    sinon.stub(mongoose, 'startSession').resolves(session);
+    sinon.stub(TrustAccount, 'findOne').returns(query(account));
+    sinon.stub(TrustAccount, 'findOneAndUpdate').callsFake(async (filter, update) => ({
+      ...account,
+      currentBalance: account.currentBalance + update.$inc.currentBalance
+    }));
+    sinon.stub(TrustTransaction, 'create').callsFake(async ([entry]) => [{ ...entry, transactionId: 'TRX-1' }]);
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('posts a deposit to the control account and client ledger in one committed transaction', async () => {
+    sinon.stub(TrustTransaction, 'findOne').returns(query({ balanceAfter: 2000 }));
+
+    const posted = await lpcService.recordTransaction(TENANT, {
+      clientId: CLIENT, matterId: MATTER, type: 'DEPOSIT', amount: 15000, reference: 'MAT-2026-0042', initiatedBy: 'u1'
+    });
+
+    expect(posted).to.include({ ledgerTransactionId: 'TRX-1', clientBalance: 17000, currentBalance: 515000 });
+
+    const [filter, update, options] = TrustAccount.findOneAndUpdate.firstCall.args;
+    expect(filter).to.deep.equal({ tenantId: TENANT });
+    expect(update.$inc).to.deep.equal({ currentBalance: 15000 });
+    expect(update.$push.transactions).to.include({ previousHash: 'hash-prev', forensicHash: posted.forensicHash, sequence: 2 });
+    expect(options.session).to.equal(session);
+
+    const [[entry], createOptions] = TrustTransaction.create.firstCall.args;
+    expect(entry).to.include({ tenantId: TENANT, clientId: CLIENT, matterId: MATTER, balanceAfter: 17000, controlTransactionId: posted.transactionId });
+    expect(createOptions.session).to.equal(session);
+
+    expect(session.startTransaction.calledOnce).to.equal(true);
+    expect(session.commitTransaction.calledOnce).to.equal(true);
+    expect(session.abortTransaction.called).to.equal(false);
+    expect(session.endSession.calledOnce).to.equal(true);
+  });
+
+  it("refuses a payment the client's ledger cannot cover, though the pooled account can, and rolls back", async () => {
+    sinon.stub(TrustTransaction, 'findOne').returns(query({ balanceAfter: 1000 }));
+
+    const error = await refusal(lpcService.recordTransaction(TENANT, {
+      clientId: CLIENT, matterId: MATTER, type: 'WITHDRAWAL', amount: 5000, initiatedBy: 'u1'
+    }));
+
+    expect(error.message).to.match(/^FIDUCIARY_BREACH: Insufficient funds on client ledger \(available R1000\.00\)/);
+    expect(TrustAccount.findOneAndUpdate.called).to.equal(false);
+    expect(TrustTransaction.create.called).to.equal(false);
+    expect(session.abortTransaction.calledOnce).to.equal(true);
+    expect(session.commitTransaction.called).to.equal(false);
+    expect(session.endSession.calledOnce).to.equal(true);
+  });
+
+  it('refuses to post to a frozen trust account', async () => {
+    account.isFrozen = true;
+    sinon.stub(TrustTransaction, 'findOne').returns(query(null));
+
+    const error = await refusal(lpcService.recordTransaction(TENANT, {
+      clientId: CLIENT, matterId: MATTER, type: 'DEPOSIT', amount: 100
+    }));
+
+    expect(error.message).to.equal('FIDUCIARY_ERROR: Account frozen for forensic audit.');
+    expect(TrustAccount.findOneAndUpdate.called).to.equal(false);
+    expect(session.abortTransaction.calledOnce).to.equal(true);
+  });
+
+  it("enlists in a caller's transaction without committing or ending it", async () => {
+    sinon.stub(TrustTransaction, 'findOne').returns(query(null));
+    const callerSession = {
+      startTransaction: sinon.stub(),
+      commitTransaction: sinon.stub(),
+      abortTransaction: sinon.stub(),
+      endSession: sinon.stub()
+    };
+
+    await lpcService.recordTransaction(TENANT, { clientId: CLIENT, matterId: MATTER, type: 'DEPOSIT', amount: 250 }, { session: callerSession });
+
+    expect(mongoose.startSession.called).to.equal(false);
+    expect(TrustAccount.findOneAndUpdate.firstCall.args[2].session).to.equal(callerSession);
+    expect(TrustTransaction.create.firstCall.args[1].session).to.equal(callerSession);
+    expect(callerSession.commitTransaction.called).to.equal(false);
+    expect(callerSession.endSession.called).to.equal(false);
+  });
+
+  it('refuses a movement without a client and matter before opening a transaction', async () => {
+    const error = await refusal(lpcService.recordTransaction(TENANT, { type: 'DEPOSIT', amount: 100 }));
+
+    expect(error.message).to.match(/clientId and matterId are required/);
+    expect(mongoose.startSession.called).to.equal(false);
+  });
+
+  describe('reconcileTrustAccount', () => {
+    it('keeps the reconciliation on the trust account and reports a client ledger in debit', async () => {
+      account.currentBalance = 10000;
+      account.transactions = [{ type: 'DEPOSIT', amount: 10000 }];
+      const OTHER_CLIENT = new mongoose.Types.ObjectId();
+      sinon.stub(TrustTransaction, 'find').returns(query([
+        { clientId: CLIENT, matterId: MATTER, type: 'DEPOSIT', amount: 12000, balanceAfter: 12000 },
+        { clientId: OTHER_CLIENT, matterId: MATTER, type: 'WITHDRAWAL', amount: 2000, balanceAfter: -2000 }
+      ]));
+      const updateOne = sinon.stub(TrustAccount, 'updateOne').resolves({});
+
+      const result = await lpcService.reconcileTrustAccount(TENANT, { bankBalance: 10000, statementDate: '2026-03-31' }, { performedBy: 'u1', traceId: 'trace-1' });
+
+      expect(result.isReconciled).to.equal(false);
+      expect(result.discrepancies.map(({ type }) => type)).to.deep.equal([DISCREPANCY_TYPES.NEGATIVE_CLIENT_BALANCE]);
+      expect(String(result.discrepancies[0].clientId)).to.equal(String(OTHER_CLIENT));
+
+      const [filter, update] = updateOne.firstCall.args;
+      expect(filter).to.deep.equal({ tenantId: TENANT });
+      expect(update.$push.reconciliations).to.include({ isReconciled: false, performedBy: 'u1', traceId: 'trace-1', reconciliationHash: result.reconciliationHash });
+      expect(update.$push.reconciliations.statementDate.toISOString()).to.equal('2026-03-31T00:00:00.000Z');
+    });
+
+    it('flags a bank balance that does not agree with the control account', async () => {
+      account.currentBalance = 10000;
+      account.transactions = [{ type: 'DEPOSIT', amount: 10000 }];
+      sinon.stub(TrustTransaction, 'find').returns(query([
+        { clientId: CLIENT, matterId: MATTER, type: 'DEPOSIT', amount: 10000, balanceAfter: 10000 }
+      ]));
+      sinon.stub(TrustAccount, 'updateOne').resolves({});
+
+      const result = await lpcService.reconcileTrustAccount(TENANT, { bankBalance: 9500 });
+
+      expect(result.discrepancies.map(({ type }) => type)).to.have.members([
+        DISCREPANCY_TYPES.BANK_VS_CONTROL,
+        DISCREPANCY_TYPES.BANK_VS_CLIENT_LEDGERS
+      ]);
+      expect(result.discrepancies.find(({ type }) => type === DISCREPANCY_TYPES.BANK_VS_CONTROL).variance).to.equal(-500);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/* eslint-disable */
+/**
+ * 🧪 Practice Migration Audit
+ * @description A dry run of a LegalSuite matter export: the report counts valid and invalid rows, names contacts and
+ * fee earners that are not on the system, previews the rows that would import, and writes nothing. A run imports in
+ * leased batches that can be resumed, skipping what an earlier run already brought over. Opening trust balances are
+ * refused unless they reconcile to the per-client totals, are posted to the trust ledger in a transaction, and are
+ * never posted twice.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import Matter from '../../models/Matter.js';
+import TrustTransaction from '../../models/TrustTransaction.js';
+import MigrationRun, { MigrationRecord, MIGRATION_ROW_STATUS, MIGRATION_RUN_STATUS } from '../../models/MigrationRun.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { lpcService } from '../../services/lpcService.js';
+import { migrationService } from '../../services/migrationService.js';
+
+const TENANT = 'tenant-migration';
+
+const exportFile = (lines) => ({
+  originalname: 'matters.csv',
+  buffer: Buffer.from(lines.join('\n'), 'utf8')
+});
+
+describe('🚚 Migration Service dry run', () => {
+  let writes;
+
+  beforeEach(() => {
+    sinon.stub(migrationService, 'resolveRefs').resolves(new Map([['C001', '64b000000000000000000001']]));
+    sinon.stub(migrationService, 'resolveUsers').resolves(new Map([['thandi@nkosi.co.za', { _id: 'u1', email: 'thandi@nkosi.co.za' }]]));
+    sinon.stub(auditLogger, 'info');
+    writes = [
+      sinon.stub(MigrationRun, 'create').rejects(new Error('dry run wrote a run')),
+      sinon.stub(MigrationRun, 'findOneAndUpdate').rejects(new Error('dry run wrote a run')),
+      sinon.stub(MigrationRecord, 'insertMany').rejects(new Error('dry run wrote rows')),
+      sinon.stub(Matter, 'updateOne').rejects(new Error('dry run wrote a matter')),
+      sinon.stub(Matter.prototype, 'save').rejects(new Error('dry run wrote a matter'))
+    ];
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('reports the rows that would import and the ones that would not, without writing anything', async () => {
+    const file = exportFile([
+      'File Ref,Client Code,Description,Matter Type,Status,Date Opened,Employee Email',
+      'M100,C001,Nkosi v Road Accident Fund,RAF,Open,15/03/2024,thandi@nkosi.co.za',
+      'M101,C404,Estate Late Dlamini,Deceased Estate,Open,01/06/2024,thandi@nkosi.co.za',
+      'M102,C001,Transfer Erf 12,Conveyancing,Closed,02/07/2024,nobody@nkosi.co.za',
+      'M100,C001,Nkosi v Road Accident Fund,RAF,Open,15/03/2024,thandi@nkosi.co.za'
+    ]);
+
+    const report = await migrationService.dryRun(TENANT, file, { entity: 'matters', profileId: 'legalsuite' });
+
+    expect(report).to.deep.include({ entity: 'matters', source: 'LegalSuite', profileId: 'legalsuite', rows: 4, valid: 1, invalid: 3, canImport: true });
+    expect(report.missingColumns).to.deep.equal([]);
+    expect(report.errors.map(({ row, field }) => [row, field])).to.deep.equal([[3, 'clientRef'], [4, 'attorneyEmail'], [5, 'externalId']]);
+    expect(report.errors[0].message).to.match(/no contact C404 on the system; import contacts first/);
+    expect(report.errors[1].message).to.match(/no user nobody@nkosi.co.za/);
+    expect(report.errors[2].message).to.match(/repeats row 2/);
+    expect(report.preview).to.have.length(1);
+    expect(report.preview[0].record).to.deep.include({ externalId: 'M100', clientRef: 'C001', matterType: 'litigation', status: 'active' });
+
+    expect(migrationService.resolveRefs.calledOnceWith(TENANT, 'LegalSuite', 'contacts')).to.equal(true);
+    expect(auditLogger.info.calledWith('MIGRATION_DRY_RUN', sinon.match({ tenantId: TENANT, entity: 'matters', rows: 4, invalid: 3 }))).to.equal(true);
+    for (const write of writes) expect(write.called, write.displayName).to.equal(false);
+  });
+
+  it('refuses an export that is missing a required column', async () => {
+    const file = exportFile([
+      'File Ref,Description,Matter Type,Employee Email',
+      'M100,Nkosi v Road Accident Fund,RAF,thandi@nkosi.co.za'
+    ]);
+
+    const report = await migrationService.dryRun(TENANT, file, { entity: 'matters', profileId: 'legalsuite' });
+
+    expect(report.missingColumns.map(({ field }) => field)).to.deep.equal(['clientRef']);
+    expect(report).to.deep.include({ valid: 0, invalid: 1, canImport: false });
+    expect(migrationService.resolveRefs.called).to.equal(false);
+    for (const write of writes) expect(write.called, write.displayName).to.equal(false);
+  });
+});
+
+describe('🚚 Migration Service runs', () => {
+  const FIRM = new mongoose.Types.ObjectId();
+  const CLIENT = String(new mongoose.Types.ObjectId());
+  const MATTERS = new Map([['M100', String(new mongoose.Types.ObjectId())], ['M101', String(new mongoose.Types.ObjectId())]]);
+  let runs;
+  let records;
+  let ledger;
+  let sessions;
+
+  // A query chain over the in-memory rows, however the service finishes it
+  const rowsWhere = (filter) => {
+    const matches = (value, condition) => condition === undefined || (condition.$in ? condition.$in.includes(value) : value === condition);
+    let limit = Infinity;
+    const result = () => records.filter((row) => row.runId === filter.runId && matches(row.status, filter.status) && matches(row.key, filter.key)).slice(0, limit);
+    return {
+      sort() { return this; },
+      select() { return this; },
+      lean() { return this; },
+      limit(count) { limit = count; return this; },
+      then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+    };
+  };
+
+  beforeEach(() => {
+    runs = [];
+    records = [];
+    ledger = [];
+    sessions = [];
+    sinon.stub(migrationService, 'resolveRefs').callsFake(async (tenantId, source, entity) => (entity === 'contacts' ? new Map([['C001', CLIENT]]) : MATTERS));
+    sinon.stub(migrationService, 'resolveUsers').resolves(new Map([['thandi@nkosi.co.za', { _id: new mongoose.Types.ObjectId(), firstName: 'Thandi', lastName: 'Nkosi' }]]));
+    sinon.stub(mongoose, 'startSession').callsFake(async () => {
+      const session = { startTransaction: sinon.spy(), commitTransaction: sinon.stub().resolves(), abortTransaction: sinon.stub().resolves(), endSession: sinon.spy() };
+      sessions.push(session);
+      return session;
+    });
+
+    sinon.stub(MigrationRun, 'create').callsFake(async (fields) => { const run = new MigrationRun(fields); runs.push(run); return run; });
+    sinon.stub(MigrationRun, 'findOne').callsFake(async (filter) => runs.find((run) => (filter.runId
+      ? run.runId === filter.runId
+      : run.fileHash === filter.fileHash && run.status !== MIGRATION_RUN_STATUS.COMPLETED)) || null);
+    // The lease: a run is taken unless another worker holds it or it is done
+    sinon.stub(MigrationRun, 'findOneAndUpdate').callsFake(async ({ runId }, { $set }) => {
+      const run = runs.find((candidate) => candidate.runId === runId);
+      const held = run?.status === MIGRATION_RUN_STATUS.RUNNING && run.leaseExpiresAt > new Date();
+      if (!run || held || run.status === MIGRATION_RUN_STATUS.COMPLETED) return null;
+      return Object.assign(run, $set);
+    });
+    sinon.stub(MigrationRun, 'updateOne').callsFake(async ({ runId }, { $set, $unset }) => {
+      const run = runs.find((candidate) => candidate.runId === runId);
+      Object.assign(run, $set);
+      for (const field of Object.keys($unset || {})) run[field] = undefined;
+    });
+    sinon.stub(MigrationRecord, 'insertMany').callsFake(async (rows) => { records.push(...rows.map((row) => new MigrationRecord(row))); });
+    sinon.stub(MigrationRecord, 'find').callsFake(rowsWhere);
+    sinon.stub(MigrationRecord.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(MigrationRecord, 'aggregate').callsFake(async ([{ $match: { runId } }]) => Object.values(records
+      .filter((row) => row.runId === runId)
+      .reduce((tally, row) => ({ ...tally, [row.status]: { _id: row.status, count: (tally[row.status]?.count || 0) + 1 } }), {})));
+    for (const level of ['info', 'warn']) sinon.stub(auditLogger, level);
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('matters', () => {
+    const file = () => exportFile([
+      'File Ref,Client Code,Description,Matter Type,Status,Date Opened,Employee Email',
+      'M100,C001,Nkosi v Road Accident Fund,RAF,Open,15/03/2024,thandi@nkosi.co.za',
+      'M101,C001,Transfer Erf 12,Conveyancing,Closed,02/07/2024,thandi@nkosi.co.za',
+      'M102,C001,Estate Late Dlamini,Deceased Estate,Open,01/06/2024,thandi@nkosi.co.za'
+    ]);
+    let saved;
+
+    beforeEach(() => {
+      saved = [];
+      sinon.stub(Matter, 'exists').callsFake(async ({ _id }) => saved.some((matter) => String(matter._id) === String(_id)));
+      sinon.stub(Matter, 'findOne').returns({ select() { return this; }, lean: async () => null });
+      sinon.stub(Matter.prototype, 'save').callsFake(async function save(options) { saved.push({ _id: this._id, options }); return this; });
+    });
+
+    it('imports in leased batches that pause and resume where they stopped', async () => {
+      const first = await migrationService.startRun(TENANT, file(), { entity: 'matters', profileId: 'legalsuite', firmId: FIRM, batchSize: 2, maxBatches: 1 });
+
+      expect(first).to.deep.include({ status: MIGRATION_RUN_STATUS.PAUSED, pending: 1, batchesRun: 1, lastRow: 3 });
+      expect(first.counts).to.include({ rows: 3, imported: 2 });
+      expect(runs[0].leaseExpiresAt).to.equal(undefined);
+      expect(saved.map(({ options }) => options.session)).to.deep.equal(sessions);
+      expect(sessions.map((session) => session.commitTransaction.calledOnce)).to.deep.equal([true, true]);
+
+      // Uploading the same export again carries on with the unfinished run
+      const second = await migrationService.startRun(TENANT, file(), { entity: 'matters', profileId: 'legalsuite', firmId: FIRM, batchSize: 2 });
+
+      expect(second).to.deep.include({ runId: first.runId, status: MIGRATION_RUN_STATUS.COMPLETED, pending: 0 });
+      expect(second.counts).to.include({ imported: 3 });
+      expect(MigrationRun.create.calledOnce).to.equal(true);
+      expect(saved).to.have.length(3);
+    });
+
+    it('skips matters an earlier run already brought over', async () => {
+      await migrationService.startRun(TENANT, file(), { entity: 'matters', profileId: 'legalsuite', firmId: FIRM });
+      runs[0].fileHash = 'an earlier export';
+
+      const again = await migrationService.startRun(TENANT, file(), { entity: 'matters', profileId: 'legalsuite', firmId: FIRM });
+
+      expect(again.runId).to.not.equal(runs[0].runId);
+      expect(again.counts).to.include({ imported: 0, skipped: 3 });
+      expect(saved).to.have.length(3);
+    });
+
+    it('will not let a second worker import a run another worker holds', async () => {
+      const run = new MigrationRun({ tenantId: TENANT, entity: 'matters', source: 'LegalSuite', profileId: 'legalsuite', fileHash: 'held' });
+      Object.assign(run, { status: MIGRATION_RUN_STATUS.RUNNING, leaseExpiresAt: new Date(Date.now() + 60000) });
+      runs.push(run);
+
+      let refusal;
+      try {
+        await migrationService.resume(TENANT, run.runId);
+      } catch (error) {
+        refusal = error;
+      }
+
+      expect(refusal.message).to.match(/^MIGRATION_BUSY: /);
+      expect(MigrationRecord.find.called).to.equal(false);
+    });
+  });
+
+  describe('opening trust balances', () => {
+    const file = (clientTotal) => exportFile([
+      'Client Code,File Ref,Trust Balance,Client Trust Total,Balance Date',
+      `C001,M100,12500.00,${clientTotal},28/02/2026`,
+      `C001,M101,2500.00,${clientTotal},28/02/2026`
+    ]);
+
+    beforeEach(() => {
+      sinon.stub(Matter, 'find').returns({ select() { return this; }, lean: async () => [...MATTERS.values()].map((_id) => ({ _id, clientId: CLIENT })) });
+      sinon.stub(TrustTransaction, 'findOne').callsFake(({ lpcReference }) => ({
+        session() { return this; },
+        lean: async () => ledger.find((entry) => entry.reference === lpcReference) || null
+      }));
+      sinon.stub(TrustTransaction, 'aggregate').callsFake(async ([{ $match }]) => [{ total: ledger.filter((entry) => $match.lpcReference.$in.includes(entry.reference)).reduce((sum, entry) => sum + entry.amount, 0) }]);
+      sinon.stub(lpcService, 'recordTransaction').callsFake(async (tenantId, transaction, { session }) => {
+        ledger.push({ ...transaction, session });
+        return { transactionId: `TRX-${ledger.length}` };
+      });
+    });
+
+    it('refuses balances that do not add up to the client total, posting nothing', async () => {
+      let refusal;
+      try {
+        await migrationService.startRun(TENANT, file('16000.00'), { entity: 'trust_balances', profileId: 'legalsuite' });
+      } catch (error) {
+        refusal = error;
+      }
+
+      expect(refusal.message).to.equal('MIGRATION_UNRECONCILED: Opening trust balances do not reconcile to the per-client totals.');
+      expect(refusal.details.reconciliation.mismatches).to.deep.equal([
+        { clientRef: 'C001', matters: 2, imported: 15000, stated: 16000, difference: -1000, problem: 'matter balances do not add up to the client total' }
+      ]);
+      expect(MigrationRun.create.called).to.equal(false);
+      expect(lpcService.recordTransaction.called).to.equal(false);
+    });
+
+    it('posts each balance to the trust ledger in a transaction, and never twice', async () => {
+      const run = await migrationService.startRun(TENANT, file('15000.00'), { entity: 'trust_balances', profileId: 'legalsuite' });
+
+      expect(run).to.deep.include({ status: MIGRATION_RUN_STATUS.COMPLETED });
+      expect(run.reconciliation).to.include({ total: 15000, postedTotal: 15000, postedBalanced: true });
+      expect(ledger.map(({ clientId, matterId, amount, type }) => [clientId, matterId, amount, type])).to.deep.equal([
+        [CLIENT, MATTERS.get('M100'), 12500, 'DEPOSIT'],
+        [CLIENT, MATTERS.get('M101'), 2500, 'DEPOSIT']
+      ]);
+      expect(ledger[0].description).to.equal('Opening trust balance migrated from LegalSuite as at 2026-02-28');
+      expect(ledger.map((entry) => entry.session)).to.deep.equal(sessions);
+      expect(records.map((row) => row.status)).to.deep.equal([MIGRATION_ROW_STATUS.IMPORTED, MIGRATION_ROW_STATUS.IMPORTED]);
+
+      runs[0].fileHash = 'an earlier export';
+      const again = await migrationService.startRun(TENANT, file('15000.00'), { entity: 'trust_balances', profileId: 'legalsuite' });
+
+      expect(lpcService.recordTransaction.calledTwice).to.equal(true);
+      expect(again.counts).to.include({ imported: 0, skipped: 2 });
+      expect(again.reconciliation).to.include({ postedTotal: 15000, postedBalanced: true });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/* eslint-disable */
+/**
+ * 🧪 Webhook Delivery Retry Audit
+ * @description Without Redis, a delivery that fails with a retryable answer is parked as RETRYING with a backoff, the
+ * relay sweep makes the next attempt once it is due, and the last failed attempt parks it as DEAD.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import OutboxEvent from '../../models/OutboxEvent.js';
+import WebhookSubscription, { SUBSCRIPTION_STATUS } from '../../models/WebhookSubscription.js';
+import WebhookDelivery, { DELIVERY_STATUS } from '../../models/WebhookDelivery.js';
+import { encrypt } from '../../utils/cryptoCore.js';
+import { SIGNATURE_HEADER } from '../../utils/webhooks.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { outboxService } from '../../services/outboxService.js';
+
+const TENANT = 'tenant-outbox';
+const MINUTE = 60000;
+
+const query = (result) => {
+  const chain = {};
+  for (const method of ['select', 'sort', 'limit']) chain[method] = sinon.stub().returns(chain);
+  chain.lean = sinon.stub().callsFake(async () => result());
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+};
+
+// The claim deliver() makes, applied to the one delivery held in memory
+const claimable = (delivery, now) => (
+  [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.RETRYING].includes(delivery.status) && delivery.nextAttemptAt <= now
+);
+
+describe('📮 Outbox Service webhook retries', () => {
+  let redisHost;
+  let delivery;
+  let subscription;
+
+  beforeEach(() => {
+    redisHost = process.env.REDIS_HOST;
+    delete process.env.REDIS_HOST;
+
+    subscription = {
+      _id: new mongoose.Types.ObjectId(),
+      tenantId: TENANT,
+      subscriptionId: 'WHS-1',
+      status: SUBSCRIPTION_STATUS.ACTIVE,
+      encryptedSecret: encrypt('whsec_test', TENANT)
+    };
+    delivery = new WebhookDelivery({
+      deliveryId: 'WHD-RETRY',
+      tenantId: TENANT,
+      subscriptionId: 'WHS-1',
+      eventId: 'EVT-1',
+      eventType: 'invoice.overdue',
+      url: 'https://hooks.example.com/wilsy',
+      body: JSON.stringify({ id: 'EVT-1', type: 'invoice.overdue' }),
+      maxAttempts: 2,
+      nextAttemptAt: new Date('2026-03-02T08:00:00Z')
+    });
+
+    sinon.stub(WebhookDelivery, 'findOneAndUpdate').callsFake(async ({ deliveryId, nextAttemptAt }, update) => {
+      if (deliveryId !== delivery.deliveryId || !claimable(delivery, nextAttemptAt.$lte)) return null;
+      delivery.attempts += update.$inc.attempts;
+      delivery.nextAttemptAt = update.$set.nextAttemptAt;
+      return delivery;
+    });
+    sinon.stub(WebhookDelivery, 'find').callsFake(({ nextAttemptAt }) => (
+      query(() => (claimable(delivery, nextAttemptAt.$lte) ? [{ deliveryId: delivery.deliveryId }] : []))
+    ));
+    sinon.stub(WebhookDelivery.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(OutboxEvent, 'find').returns(query(() => []));
+    sinon.stub(WebhookSubscription, 'findOne').returns(query(() => subscription));
+    sinon.stub(WebhookSubscription, 'updateOne').resolves({});
+    sinon.stub(auditLogger, 'warn');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    if (redisHost === undefined) delete process.env.REDIS_HOST;
+    else process.env.REDIS_HOST = redisHost;
+  });
+
+  it('retries a failed delivery from the relay sweep once its backoff is due, then dead-letters it', async () => {
+    const post = sinon.stub(axios, 'post').resolves({ status: 503, data: 'Service Unavailable' });
+    const schedule = sinon.spy(outboxService, 'schedule');
+    const first = new Date('2026-03-02T08:00:00Z');
+
+    await outboxService.deliver('WHD-RETRY', first);
+
+    expect(delivery.status).to.equal(DELIVERY_STATUS.RETRYING);
+    expect(delivery.attempts).to.equal(1);
+    expect(delivery.lastError).to.equal('HTTP 503');
+    const backoff = delivery.nextAttemptAt.getTime() - first.getTime();
+    expect(backoff).to.be.within(24000, 36000);
+    expect(await schedule.firstCall.returnValue).to.deep.equal({ queued: false, via: 'sweep' });
+    expect(post.firstCall.args[2].headers).to.include({ 'X-Wilsy-Attempt': '1' }).and.to.have.property(SIGNATURE_HEADER);
+
+    const early = await outboxService.sweep(new Date(first.getTime() + backoff - 1000));
+    expect(early).to.include({ dueDeliveries: 0, attempted: 0 });
+    expect(post.callCount).to.equal(1);
+
+    const due = await outboxService.sweep(new Date(first.getTime() + backoff));
+    expect(due).to.include({ dueDeliveries: 1, attempted: 1 });
+    expect(post.callCount).to.equal(2);
+    expect(post.secondCall.args[2].headers).to.include({ 'X-Wilsy-Attempt': '2' });
+
+    expect(delivery.status).to.equal(DELIVERY_STATUS.DEAD);
+    expect(delivery.deadAt).to.be.instanceOf(Date);
+    expect(delivery.attemptLog.map(({ attempt, statusCode }) => [attempt, statusCode])).to.deep.equal([[1, 503], [2, 503]]);
+    expect(auditLogger.warn.calledOnceWith('WEBHOOK_DELIVERY_DEAD', sinon.match({ tenantId: TENANT, deliveryId: 'WHD-RETRY', attempts: 2 }))).to.equal(true);
+    expect(WebhookSubscription.updateOne.secondCall.args[1]).to.have.nested.property('$inc.consecutiveFailures', 1);
+
+    const after = await outboxService.sweep(new Date(first.getTime() + 24 * 60 * MINUTE));
+    expect(after).to.include({ dueDeliveries: 0, attempted: 0 });
+    expect(post.callCount).to.equal(2);
+  });
+
+  it('dead-letters a delivery at once when the endpoint gives a final answer', async () => {
+    sinon.stub(axios, 'post').resolves({ status: 410, data: 'Gone' });
+    delivery.maxAttempts = 5;
+
+    await outboxService.deliver('WHD-RETRY', new Date('2026-03-02T08:00:00Z'));
+
+    expect(delivery.status).to.equal(DELIVERY_STATUS.DEAD);
+    expect(delivery.attempts).to.equal(1);
+    expect(delivery.lastError).to.equal('HTTP 410');
+    expect(auditLogger.warn.calledOnceWith('WEBHOOK_DELIVERY_DEAD')).to.equal(true);
+  });
+});
@@ -0,0 +1,177 @@
+/* eslint-disable */
+/**
+ * 🧪 Pre-Bill Approval Audit
+ * @description Only the responsible attorney adjusts a draft pre-bill, every adjustment carries its reason into the
+ * trail, and the attorney who prepared it cannot approve it. Issuing an approved pre-bill numbers a tax invoice,
+ * relieves WIP (write-down then billing), settles each source line and rolls the invoice up to the matter in one
+ * transaction; an unapproved pre-bill is never issued.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import PreBill, { PRE_BILL_STATUS, PRE_BILL_LINE_SOURCES, PRE_BILL_LINE_STATUS } from '../../models/PreBill.js';
+import TimeEntry, { TIME_ENTRY_STATUS } from '../../models/TimeEntry.js';
+import Disbursement, { DISBURSEMENT_STATUS } from '../../models/Disbursement.js';
+import WipTransaction, { WIP_TRANSACTION_TYPES } from '../../models/WipTransaction.js';
+import Counter from '../../models/Counter.js';
+import Matter from '../../models/Matter.js';
+import { Invoice } from '../../models/Invoice.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { preBillService } from '../../services/preBillService.js';
+
+const TENANT = 'tenant-prebill';
+const ATTORNEY = new mongoose.Types.ObjectId();
+const PARTNER = new mongoose.Types.ObjectId();
+const MATTER = { _id: new mongoose.Types.ObjectId(), clientId: new mongoose.Types.ObjectId(), matterNumber: 'MAT-2026-0042' };
+
+const refusal = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the pre-bill step to be refused');
+};
+
+const loaded = (doc) => ({ session: async () => doc });
+
+describe('🧾 Pre-Bill Service', () => {
+  let session;
+  let preBill;
+  let entry;
+  let disbursement;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: sinon.stub(),
+      commitTransaction: sinon.stub().resolves(),
+      abortTransaction: sinon.stub().resolves(),
+      endSession: sinon.stub()
+    };
+    entry = new TimeEntry({
+      tenantId: TENANT, matterId: MATTER._id, userId: ATTORNEY, workDate: new Date('2026-03-02'), activityCode: 'DRAFTING',
+      rawMinutes: 60, billedMinutes: 60, ratePerHour: 2400, amount: 2400, status: TIME_ENTRY_STATUS.UNBILLED
+    });
+    disbursement = new Disbursement({
+      tenantId: TENANT, matterId: MATTER._id, incurredOn: new Date('2026-03-03'), description: 'Sheriff service fee', amount: 350
+    });
+    preBill = new PreBill({
+      tenantId: TENANT,
+      matterId: MATTER._id,
+      clientId: MATTER.clientId,
+      responsibleAttorneyId: ATTORNEY,
+      billingPartnerId: PARTNER,
+      lines: [
+        { lineId: 'L1', sourceType: PRE_BILL_LINE_SOURCES.TIME_ENTRY, sourceId: entry.entryId, workDate: entry.workDate, description: 'Drafting', quantity: 1, unitPrice: 2400, taxRate: 0.15, originalAmount: 2400, amount: 2400 },
+        { lineId: 'L2', sourceType: PRE_BILL_LINE_SOURCES.DISBURSEMENT, sourceId: disbursement.disbursementId, description: 'Sheriff service fee', quantity: 1, units: 'ITEM', unitPrice: 350, taxRate: 0.15, originalAmount: 350, amount: 350 }
+      ]
+    });
+    entry.preBillId = preBill.preBillId;
+    disbursement.preBillId = preBill.preBillId;
+
+    sinon.stub(mongoose, 'startSession').resolves(session);
+    sinon.stub(PreBill, 'findOne').callsFake(() => loaded(preBill));
+    sinon.stub(PreBill.prototype, 'save').callsFake(async function save() { return this; });
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'log').resolves();
+    sinon.stub(preBillService, 'notify').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('review', () => {
+    it('records a write-down with its reason for the responsible attorney', async () => {
+      await preBillService.adjustLine(TENANT, preBill.preBillId, 'L1', { action: 'WRITE_DOWN', amount: 1800, reason: 'First draft over-length' }, { userId: ATTORNEY });
+
+      expect(preBill.lines[0]).to.include({ amount: 1800, status: PRE_BILL_LINE_STATUS.WRITTEN_DOWN });
+      expect(preBill.adjustments[0].toObject()).to.include({ lineId: 'L1', action: 'WRITE_DOWN', fromAmount: 2400, toAmount: 1800, reason: 'First draft over-length' });
+      expect(preBill.totals.toObject()).to.include({ writtenDown: 600, subtotal: 2150 });
+      expect(auditLogger.log.calledOnceWith(sinon.match({ action: 'PREBILL_LINE_WRITE_DOWN', resource: preBill.preBillId }))).to.equal(true);
+    });
+
+    it('refuses an adjustment from anyone but the responsible attorney', async () => {
+      const error = await refusal(preBillService.adjustLine(TENANT, preBill.preBillId, 'L1', { action: 'WRITE_OFF', reason: 'Goodwill' }, { userId: PARTNER }));
+
+      expect(error.message).to.equal('ACCESS_DENIED: Only the responsible attorney can prepare this pre-bill.');
+      expect(preBill.lines[0].amount).to.equal(2400);
+      expect(PreBill.prototype.save.called).to.equal(false);
+    });
+
+    it('refuses a write-off without a reason', async () => {
+      const error = await refusal(preBillService.adjustLine(TENANT, preBill.preBillId, 'L1', { action: 'WRITE_OFF' }, { userId: ATTORNEY }));
+
+      expect(error.message).to.equal('BILLING_ERROR: Every write-down, write-off or transfer needs a reason.');
+    });
+
+    it('will not route a pre-bill for approval to the attorney who prepared it', async () => {
+      const error = await refusal(preBillService.submit(TENANT, preBill.preBillId, { billingPartnerId: ATTORNEY }, { userId: ATTORNEY }));
+
+      expect(error.message).to.equal('BILLING_ERROR: A pre-bill cannot be approved by the attorney who prepared it.');
+      expect(preBill.status).to.equal(PRE_BILL_STATUS.DRAFT);
+    });
+
+    it('lets only the billing partner approve a submitted pre-bill', async () => {
+      await preBillService.submit(TENANT, preBill.preBillId, {}, { userId: ATTORNEY });
+      expect(preBillService.notify.calledOnceWith(TENANT, PARTNER)).to.equal(true);
+
+      const error = await refusal(preBillService.approve(TENANT, preBill.preBillId, {}, { userId: ATTORNEY }));
+      expect(error.message).to.equal('ACCESS_DENIED: Only the assigned billing partner can approve or reject this pre-bill.');
+
+      await preBillService.approve(TENANT, preBill.preBillId, { comment: 'OK' }, { userId: PARTNER });
+      expect(preBill.status).to.equal(PRE_BILL_STATUS.APPROVED);
+      expect(preBill.approvals.map(({ action }) => action)).to.deep.equal(['SUBMITTED', 'APPROVED']);
+    });
+  });
+
+  describe('issue', () => {
+    let wip;
+
+    beforeEach(() => {
+      sinon.stub(Matter, 'findOne').returns(loaded(MATTER));
+      sinon.stub(Matter, 'updateOne').resolves({});
+      sinon.stub(Counter, 'findOneAndUpdate').resolves({ sequence: 42 });
+      sinon.stub(Invoice, 'create').callsFake(async ([invoice]) => [{ ...invoice, _id: new mongoose.Types.ObjectId() }]);
+      sinon.stub(TimeEntry, 'findOne').returns(loaded(entry));
+      sinon.stub(TimeEntry.prototype, 'save').callsFake(async function save() { return this; });
+      sinon.stub(Disbursement, 'findOne').returns(loaded(disbursement));
+      sinon.stub(Disbursement.prototype, 'save').callsFake(async function save() { return this; });
+      sinon.stub(WipTransaction, 'findOne').returns({ sort() { return this; }, session() { return this; }, lean: async () => ({ balanceAfter: 2400 }) });
+      wip = sinon.stub(WipTransaction, 'create').callsFake(async (rows) => rows);
+    });
+
+    it('issues a numbered tax invoice, relieves WIP and rolls it up to the matter in one transaction', async () => {
+      preBill.lines.set(0, { ...preBill.lines[0].toObject(), amount: 1800, status: PRE_BILL_LINE_STATUS.WRITTEN_DOWN });
+      preBill.adjustments.push({ lineId: 'L1', action: 'WRITE_DOWN', reason: 'First draft over-length' });
+      preBill.status = PRE_BILL_STATUS.APPROVED;
+
+      const { invoice } = await preBillService.issue(TENANT, preBill.preBillId, {}, { userId: PARTNER });
+
+      const year = new Date().getFullYear();
+      expect(invoice).to.include({ invoiceNumber: `INV-${year}-BILL-000042`, subtotal: 2150, taxAmount: 322.5, totalAmount: 2472.5, preBillId: preBill.preBillId });
+      expect(Counter.findOneAndUpdate.firstCall.args[2].session).to.equal(session);
+      expect(Invoice.create.firstCall.args[1].session).to.equal(session);
+
+      const rows = wip.getCalls().map(({ args: [[row]] }) => [row.type, row.amount]);
+      expect(rows).to.deep.equal([[WIP_TRANSACTION_TYPES.WRITTEN_DOWN, -600], [WIP_TRANSACTION_TYPES.BILLED, -1800]]);
+      expect(wip.firstCall.args[0][0].reason).to.equal('First draft over-length');
+      expect(entry).to.include({ status: TIME_ENTRY_STATUS.BILLED, preBillId: undefined });
+      expect(disbursement).to.include({ status: DISBURSEMENT_STATUS.BILLED, billedAmount: 350 });
+
+      expect(Matter.updateOne.firstCall.args[1]).to.deep.equal({ $inc: { 'financials.totalBilled': 2472.5, 'financials.outstandingBalance': 2472.5 } });
+      expect(Matter.updateOne.firstCall.args[2].session).to.equal(session);
+      expect(preBill).to.include({ status: PRE_BILL_STATUS.ISSUED, invoiceNumber: invoice.invoiceNumber });
+      expect(session.commitTransaction.calledOnce).to.equal(true);
+    });
+
+    it('never issues a pre-bill the billing partner has not approved', async () => {
+      preBill.status = PRE_BILL_STATUS.SUBMITTED;
+
+      const error = await refusal(preBillService.issue(TENANT, preBill.preBillId, {}, { userId: PARTNER }));
+
+      expect(error.message).to.equal(`BILLING_CONFLICT: Pre-bill ${preBill.preBillId} is SUBMITTED; expected APPROVED.`);
+      expect(Invoice.create.called).to.equal(false);
+      expect(wip.called).to.equal(false);
+      expect(session.abortTransaction.calledOnce).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/* eslint-disable */
+/**
+ * 🧪 Prescription Escalation Audit
+ * @description Recording a claim on a matter derives its prescription date (and the Act 40 of 2002 notice deadline
+ * for state claims) and alerts the responsible attorney once a threshold is reached. Each threshold alerts once per
+ * cut-off, the billing partner is added from HIGH upwards, the daily sweep carries on past a matter that fails, and
+ * the at-risk report lists open cut-offs inside the window soonest first.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import Matter from '../../models/Matter.js';
+import User from '../../models/User.js';
+import { notificationService } from '../../services/notificationService.js';
+import auditLogger from '../../utils/auditLogger.js';
+import { prescriptionService } from '../../services/prescriptionService.js';
+
+const TENANT = 'tenant-prescription';
+const ATTORNEY = new mongoose.Types.ObjectId();
+const PARTNER = new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+const iso = (date) => date.toISOString().slice(0, 10);
+
+const claimMatter = (prescription) => new Matter({
+  tenantId: TENANT,
+  matterNumber: 'MAT-2026-0042',
+  title: 'Dlamini v Minister of Police',
+  responsibleAttorney: { userId: ATTORNEY },
+  financials: { billingPartnerId: PARTNER },
+  prescription
+});
+
+describe('⏳ Prescription Service', () => {
+  let send;
+
+  beforeEach(() => {
+    // Saving runs the Matter validate hook, which derives the cut-off dates from the claim
+    sinon.stub(Matter.prototype, 'save').callsFake(async function save() {
+      await this.validate(['prescription']);
+      return this;
+    });
+    sinon.stub(User, 'findById').callsFake((id) => ({
+      select() { return this; },
+      lean: async () => ({ email: String(id) === String(PARTNER) ? 'partner@nkosi.co.za' : 'attorney@nkosi.co.za' })
+    }));
+    send = sinon.stub(notificationService, 'sendNotification').resolves({});
+    sinon.stub(auditLogger, 'info');
+    sinon.stub(auditLogger, 'warn');
+  });
+
+  afterEach(() => sinon.restore());
+
+  const recipients = () => send.getCalls().map(({ args: [notification] }) => notification.recipients.email);
+
+  it('derives the notice and prescription dates of a state claim and alerts the attorney', async () => {
+    const matter = claimMatter();
+    sinon.stub(Matter, 'findOne').resolves(matter);
+    const arose = new Date(Date.now() - 10 * DAY);
+
+    const claim = await prescriptionService.setClaim(TENANT, String(matter._id), { claimCategory: 'STATE_CLAIM', causeOfActionDate: iso(arose) }, { userId: ATTORNEY });
+
+    expect(Matter.findOne.firstCall.args[0]).to.deep.equal({ _id: String(matter._id), tenantId: TENANT });
+    expect(claim.basis).to.match(/Act 40 of 2002/);
+    expect(iso(claim.noticeDeadline) < iso(claim.prescriptionDate)).to.equal(true);
+    expect(claim.lastAlert).to.include({ cutoff: 'STATE_NOTICE', threshold: 180, severity: 'LOW' });
+    expect(recipients()).to.deep.equal(['attorney@nkosi.co.za']);
+    expect(send.firstCall.args[0]).to.include({ tenantId: TENANT, type: 'COMPLIANCE_ALERT' });
+  });
+
+  it('refuses a claim without a category and cause-of-action date', async () => {
+    sinon.stub(Matter, 'findOne').resolves(claimMatter());
+
+    let refusal;
+    try {
+      await prescriptionService.setClaim(TENANT, String(new mongoose.Types.ObjectId()), { claimCategory: 'DELICT' }, { userId: ATTORNEY });
+    } catch (error) {
+      refusal = error;
+    }
+
+    expect(refusal?.message).to.equal('LITIGATION_ERROR: claimCategory and causeOfActionDate are required.');
+    expect(Matter.prototype.save.called).to.equal(false);
+  });
+
+  it('alerts each threshold once and brings in the billing partner from HIGH', async () => {
+    const matter = claimMatter({ claimCategory: 'DELICT', causeOfActionDate: new Date('2023-11-10T00:00:00Z') });
+    await matter.save();
+    expect(iso(matter.prescription.prescriptionDate)).to.equal('2026-11-09');
+
+    expect(await prescriptionService.escalate(matter, new Date('2026-10-19T08:00:00Z'))).to.equal(true);
+    expect(matter.prescription.lastAlert).to.include({ cutoff: 'PRESCRIPTION', threshold: 30, severity: 'HIGH' });
+    expect(recipients()).to.deep.equal(['attorney@nkosi.co.za', 'partner@nkosi.co.za']);
+
+    expect(await prescriptionService.escalate(matter, new Date('2026-10-20T08:00:00Z'))).to.equal(false);
+    expect(send.callCount).to.equal(2);
+
+    expect(await prescriptionService.escalate(matter, new Date('2026-11-03T08:00:00Z'))).to.equal(true);
+    expect(matter.prescription.lastAlert).to.include({ threshold: 7, severity: 'CRITICAL' });
+    expect(send.callCount).to.equal(4);
+  });
+
+  it('carries the daily sweep on past a matter that fails', async () => {
+    const failing = claimMatter({ claimCategory: 'DELICT', causeOfActionDate: new Date('2023-11-10T00:00:00Z') });
+    const due = claimMatter({ claimCategory: 'DELICT', causeOfActionDate: new Date('2023-11-10T00:00:00Z') });
+    await failing.save();
+    await due.save();
+    Matter.prototype.save.callsFake(async function save() {
+      if (this === failing) throw new Error('write conflict');
+      return this;
+    });
+    sinon.stub(Matter, 'find').returns({ cursor: () => [failing, due][Symbol.iterator]() });
+
+    const result = await prescriptionService.runEscalations(new Date('2026-10-19T08:00:00Z'));
+
+    expect(result).to.deep.equal({ checked: 2, escalated: 1 });
+    expect(Matter.find.firstCall.args[0]).to.include({ 'prescription.interruptedOn': null });
+  });
+
+  it('reports open cut-offs inside the window soonest first, counting those already passed', async () => {
+    const row = (matterNumber, prescriptionDate) => ({
+      _id: new mongoose.Types.ObjectId(), matterNumber, title: matterNumber,
+      prescription: { claimCategory: 'GENERAL_DEBT', basis: 'Prescription Act s11(d)', prescriptionDate: new Date(prescriptionDate) }
+    });
+    const select = sinon.stub().returns({ lean: async () => [
+      row('MAT-LATER', '2026-12-31T00:00:00Z'),
+      row('MAT-PASSED', '2026-10-01T00:00:00Z'),
+      row('MAT-OUTSIDE', '2027-06-30T00:00:00Z')
+    ] });
+    sinon.stub(Matter, 'find').returns({ select });
+
+    const report = await prescriptionService.atRiskReport(TENANT, { now: new Date('2026-10-19T08:00:00Z') });
+
+    expect(Matter.find.firstCall.args[0]).to.include({ tenantId: TENANT });
+    expect(report).to.include({ windowDays: 90, total: 2, prescribed: 1 });
+    expect(report.matters.map(({ matterNumber, daysRemaining, severity }) => [matterNumber, daysRemaining, severity])).to.deep.equal([
+      ['MAT-PASSED', -18, 'PRESCRIBED'],
+      ['MAT-LATER', 73, 'MEDIUM']
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+/* eslint-disable */
+/**
+ * 🧪 Trust Investment Interest Audit
+ * @description Month-end allocation accrues the month day by day, posts the gross interest and the Fidelity Fund levy
+ * to the investment ledger in one transaction and is not repeated for a month already allocated. An uplift moves the
+ * capital back to the client's trust ledger in the same transaction and is refused beyond the investment balance.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import TrustInvestmentAccount, { INVESTMENT_STATUS } from '../../models/TrustInvestmentAccount.js';
+import TrustTransaction from '../../models/TrustTransaction.js';
+import { lpcService } from '../../services/lpcService.js';
+import { trustInvestmentService } from '../../services/trustInvestmentService.js';
+
+const TENANT = 'tenant-invest';
+
+const investmentFrom = (accruedThrough) => new TrustInvestmentAccount({
+  tenantId: TENANT,
+  clientId: new mongoose.Types.ObjectId(),
+  matterId: new mongoose.Types.ObjectId(),
+  section: 'S86_4',
+  bankName: 'Standard Bank',
+  accountNumber: '000123456',
+  balance: 100000,
+  rates: [{ ratePercent: 7.3, effectiveFrom: accruedThrough }],
+  accruedThrough,
+  ledgerHead: 'a'.repeat(128)
+});
+
+const refusal = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected the investment movement to be refused');
+};
+
+describe('🏦 Trust Investment Service', () => {
+  let session;
+  let investment;
+  let ledger;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: sinon.stub(),
+      commitTransaction: sinon.stub().resolves(),
+      abortTransaction: sinon.stub().resolves(),
+      endSession: sinon.stub()
+    };
+    sinon.stub(mongoose, 'startSession').resolves(session);
+    sinon.stub(TrustInvestmentAccount, 'findOne').callsFake(() => ({ session: async () => investment }));
+    sinon.stub(TrustInvestmentAccount.prototype, 'save').callsFake(async function save() { return this; });
+    ledger = sinon.stub(TrustTransaction, 'create').callsFake(async (rows) => rows);
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('allocateInterest', () => {
+    it("accrues the month and posts the interest and the Fidelity Fund's share in one transaction", async () => {
+      investment = investmentFrom(new Date('2026-03-01T00:00:00Z'));
+
+      const { allocation, alreadyAllocated } = await trustInvestmentService.allocateInterest(TENANT, investment.investmentId, { year: 2026, month: 3 }, { userId: new mongoose.Types.ObjectId() });
+
+      expect(alreadyAllocated).to.equal(false);
+      expect(investment.accruals).to.have.lengthOf(31);
+      expect(investment.accruedThrough.toISOString()).to.equal('2026-04-01T00:00:00.000Z');
+      expect(allocation).to.include({ grossInterest: 620, fundShare: 31, clientShare: 589 });
+      expect(investment.balance).to.equal(100589);
+      expect(investment.accruedInterest).to.equal(0);
+
+      const rows = ledger.getCalls().map(({ args: [[row], options] }) => ({ type: row.type, amount: row.amount, session: options.session }));
+      expect(rows).to.deep.equal([
+        { type: 'INTEREST_ACCRUAL', amount: 620, session },
+        { type: 'LPC_LEVY', amount: 31, session }
+      ]);
+      expect(ledger.secondCall.args[0][0].previousHash).to.equal(ledger.firstCall.args[0][0].forensicHash);
+      expect(TrustInvestmentAccount.findOne.firstCall.args[0]).to.deep.equal({ tenantId: TENANT, investmentId: investment.investmentId });
+      expect(session.commitTransaction.calledOnce).to.equal(true);
+    });
+
+    it('does not allocate a month twice', async () => {
+      investment = investmentFrom(new Date('2026-03-01T00:00:00Z'));
+      await trustInvestmentService.allocateInterest(TENANT, investment.investmentId, { year: 2026, month: 3 });
+      ledger.resetHistory();
+
+      const again = await trustInvestmentService.allocateInterest(TENANT, investment.investmentId, { year: 2026, month: 3 });
+
+      expect(again.alreadyAllocated).to.equal(true);
+      expect(ledger.called).to.equal(false);
+      expect(investment.allocations).to.have.lengthOf(1);
+    });
+
+    it('refuses to allocate a month that has not ended', async () => {
+      const now = new Date();
+
+      const error = await refusal(trustInvestmentService.allocateInterest(TENANT, 'INV-1', { year: now.getUTCFullYear(), month: now.getUTCMonth() + 1 }));
+
+      expect(error.message).to.equal('FIDUCIARY_ERROR: Interest can only be allocated for a completed month.');
+      expect(mongoose.startSession.called).to.equal(false);
+    });
+  });
+
+  describe('upliftInvestment', () => {
+    let recordTransaction;
+
+    beforeEach(() => {
+      recordTransaction = sinon.stub(lpcService, 'recordTransaction').resolves({ transactionId: 'TXL-UPLIFT' });
+    });
+
+    it("returns the whole investment to the client's trust ledger and closes it", async () => {
+      investment = investmentFrom(new Date());
+
+      const { upliftAmount, trustTransactionId } = await trustInvestmentService.upliftInvestment(TENANT, investment.investmentId, {}, { userId: 'u1' });
+
+      expect(upliftAmount).to.equal(100000);
+      expect(trustTransactionId).to.equal('TXL-UPLIFT');
+      expect(recordTransaction.calledOnceWith(TENANT, sinon.match({ type: 'DEPOSIT', amount: 100000, clientId: investment.clientId, matterId: investment.matterId }), { session })).to.equal(true);
+      expect(ledger.firstCall.args[0][0]).to.include({ type: 'WITHDRAWAL', amount: 100000, balanceAfter: 0 });
+      expect(investment.status).to.equal(INVESTMENT_STATUS.CLOSED);
+      expect(session.commitTransaction.calledOnce).to.equal(true);
+    });
+
+    it('refuses an uplift beyond the investment balance and rolls back', async () => {
+      investment = investmentFrom(new Date());
+
+      const error = await refusal(trustInvestmentService.upliftInvestment(TENANT, investment.investmentId, { amount: 150000 }));
+
+      expect(error.message).to.equal('FIDUCIARY_BREACH: Uplift exceeds the investment balance (R100000.00).');
+      expect(recordTransaction.called).to.equal(false);
+      expect(ledger.called).to.equal(false);
+      expect(session.abortTransaction.calledOnce).to.equal(true);
+      expect(investment.status).to.equal(INVESTMENT_STATUS.ACTIVE);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/* eslint-disable */
+/**
+ * 🧪 Retention Cleanup Legal Hold Audit
+ * @description Expired documents under an active legal hold are skipped while the rest are disposed of, and when the
+ * tenant's holds cannot be read the run pauses without disposing of anything.
+ */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import Document from '../../models/Document.js';
+import legalHoldService from '../../services/legalHoldService.js';
+import { HOLD_STATUS } from '../../utils/legalHold.js';
+import auditLogger from '../../utils/auditLogger.js';
+import retentionCleanup from '../../workers/retentionCleanup.js';
+
+const TENANT = 'tenant-retention';
+const HELD_MATTER = new mongoose.Types.ObjectId();
+
+const query = (result) => {
+  const chain = {};
+  for (const method of ['select', 'limit']) chain[method] = sinon.stub().returns(chain);
+  chain.lean = sinon.stub().resolves(result);
+  return chain;
+};
+
+const expired = (documentId, matterId) => ({
+  documentId,
+  fileName: `${documentId}.pdf`,
+  matterId,
+  createdAt: new Date('2017-02-01T00:00:00Z'),
+  disposalDate: new Date('2024-02-01T00:00:00Z'),
+  retentionPolicy: { rule: 'COMPANIES_ACT_7YR' },
+  metadata: { sizeBytes: 1024 }
+});
+
+describe('🗄️ Retention Cleanup legal holds', () => {
+  let disposed;
+
+  beforeEach(() => {
+    sinon.stub(auditLogger, 'audit').resolves();
+    sinon.stub(Document, 'updateOne').resolves({});
+    disposed = sinon.stub(retentionCleanup, '_secureDeleteDocument').resolves();
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('skips documents an active hold covers and disposes of the rest', async () => {
+    sinon.stub(legalHoldService, 'activeHolds').resolves([
+      { holdId: 'LH-1', status: HOLD_STATUS.ACTIVE, scope: { matterIds: [HELD_MATTER] } }
+    ]);
+    sinon.stub(Document, 'find').returns(query([
+      expired('DOC-HELD', HELD_MATTER),
+      expired('DOC-FREE', new mongoose.Types.ObjectId())
+    ]));
+
+    const result = await retentionCleanup.executeRetentionCleanup(TENANT);
+
+    expect(result).to.include({ success: true, status: 'COMPLETED', documentsProcessed: 1, documentsDeleted: 1 });
+    expect(disposed.calledOnceWith('DOC-FREE', TENANT)).to.equal(true);
+    expect(Document.updateOne.calledOnce).to.equal(true);
+    expect(Document.updateOne.firstCall.args[0]).to.deep.equal({ documentId: 'DOC-FREE', tenantId: TENANT });
+  });
+
+  it('pauses and disposes of nothing when the legal hold lookup fails', async () => {
+    sinon.stub(legalHoldService, 'activeHolds').rejects(new Error('connection reset'));
+    const find = sinon.stub(Document, 'find').returns(query([expired('DOC-FREE', new mongoose.Types.ObjectId())]));
+
+    const result = await retentionCleanup.executeRetentionCleanup(TENANT);
+
+    expect(result).to.include({ success: false, status: 'PAUSED', reason: 'Legal hold check failed' });
+    expect(find.called).to.equal(false);
+    expect(disposed.called).to.equal(false);
+    expect(Document.updateOne.called).to.equal(false);
+  });
+});
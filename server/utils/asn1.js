@@ -0,0 +1,231 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DER CODEC [V1.0.0-ASN1]                                                                                                     ║
+ * ║ [DISTINGUISHED ENCODING RULES | TLV BUILDERS | TREE PARSER | OBJECT IDENTIFIERS | UTC AND GENERALIZED TIME]                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/asn1.js                                                             ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Just enough ASN.1 for X.509, CRLs and CMS: builders return DER buffers, decode() returns a node tree that keeps
+ * the byte offsets of every element so signed portions (TBS structures, signed attributes) can be re-hashed exactly.
+ */
+
+const asn1Error = (message) => new Error(`ASN1_ERROR: ${message}`);
+
+export const TAGS = Object.freeze({
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31
+});
+
+const encodeLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let value = length; value > 0; value = Math.floor(value / 256)) bytes.unshift(value & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+/**
+ * @function tlv
+ * @desc One DER element from a tag byte and its content.
+ */
+export const tlv = (tag, content = Buffer.alloc(0)) => Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+
+export const sequence = (...items) => tlv(TAGS.SEQUENCE, Buffer.concat(items.flat().filter(Boolean)));
+
+// DER sorts SET OF members by their encodings
+export const set = (...items) => tlv(TAGS.SET, Buffer.concat(items.flat().filter(Boolean).sort(Buffer.compare)));
+
+export const nullValue = () => tlv(TAGS.NULL);
+
+export const boolean = (value) => tlv(TAGS.BOOLEAN, Buffer.from([value ? 0xff : 0x00]));
+
+/**
+ * @function integer
+ * @desc A non-negative INTEGER from a number, bigint, hex string or big-endian buffer.
+ */
+export const integer = (value) => {
+  let bytes;
+  if (Buffer.isBuffer(value)) {
+    bytes = value;
+  } else {
+    let hex = (typeof value === 'string' ? value : BigInt(value).toString(16)).replace(/^0x/i, '');
+    if (hex.length % 2) hex = `0${hex}`;
+    bytes = Buffer.from(hex, 'hex');
+  }
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start += 1;
+  bytes = bytes.subarray(start);
+  if (!bytes.length) bytes = Buffer.from([0]);
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return tlv(TAGS.INTEGER, bytes);
+};
+
+export const octetString = (bytes) => tlv(TAGS.OCTET_STRING, Buffer.from(bytes));
+
+export const bitString = (bytes, unusedBits = 0) => tlv(TAGS.BIT_STRING, Buffer.concat([Buffer.from([unusedBits]), Buffer.from(bytes)]));
+
+export const utf8String = (text) => tlv(TAGS.UTF8_STRING, Buffer.from(String(text), 'utf8'));
+
+export const printableString = (text) => tlv(TAGS.PRINTABLE_STRING, Buffer.from(String(text), 'latin1'));
+
+export const ia5String = (text) => tlv(TAGS.IA5_STRING, Buffer.from(String(text), 'latin1'));
+
+export const oid = (dotted) => {
+  const arcs = String(dotted).split('.').map((arc) => BigInt(arc));
+  if (arcs.length < 2) throw asn1Error(`Invalid object identifier ${dotted}.`);
+  const bytes = [];
+  [arcs[0] * 40n + arcs[1], ...arcs.slice(2)].forEach((arc) => {
+    const chunk = [Number(arc & 0x7fn)];
+    for (let rest = arc >> 7n; rest > 0n; rest >>= 7n) chunk.unshift(Number(rest & 0x7fn) | 0x80);
+    bytes.push(...chunk);
+  });
+  return tlv(TAGS.OID, Buffer.from(bytes));
+};
+
+const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+const timeDigits = (date) => `${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+
+export const generalizedTime = (value) => {
+  const date = new Date(value);
+  return tlv(TAGS.GENERALIZED_TIME, Buffer.from(`${date.getUTCFullYear()}${timeDigits(date)}Z`, 'latin1'));
+};
+
+/**
+ * @function time
+ * @desc RFC 5280 Time: UTCTime up to 2049, GeneralizedTime from 2050.
+ */
+export const time = (value) => {
+  const date = new Date(value);
+  if (date.getUTCFullYear() >= 2050) return generalizedTime(date);
+  return tlv(TAGS.UTC_TIME, Buffer.from(`${pad(date.getUTCFullYear() % 100)}${timeDigits(date)}Z`, 'latin1'));
+};
+
+// Context-specific tagging: explicit wraps the element, implicit swaps its tag
+export const explicit = (number, element) => tlv(0xa0 | number, element);
+
+export const implicit = (number, element, constructed = true) => {
+  const copy = Buffer.from(element);
+  copy[0] = (constructed ? 0xa0 : 0x80) | number;
+  return copy;
+};
+
+/**
+ * @function decode
+ * @desc Parses one DER element (and its children when constructed) at an offset.
+ */
+export const decode = (input, offset = 0) => {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  if (offset + 2 > buffer.length) throw asn1Error('Truncated element.');
+  const tag = buffer[offset];
+  if ((tag & 0x1f) === 0x1f) throw asn1Error('High tag numbers are not supported.');
+  let length = buffer[offset + 1];
+  let headerLength = 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (!count || count > 4) throw asn1Error('Unsupported length encoding.');
+    length = 0;
+    for (let index = 0; index < count; index += 1) length = length * 256 + buffer[offset + 2 + index];
+    headerLength += count;
+  }
+  const start = offset + headerLength;
+  const end = start + length;
+  if (end > buffer.length) throw asn1Error('Element runs past the end of the input.');
+
+  const node = {
+    tag,
+    tagClass: tag >> 6,
+    tagNumber: tag & 0x1f,
+    constructed: Boolean(tag & 0x20),
+    offset,
+    headerLength,
+    length,
+    end,
+    der: buffer.subarray(offset, end),
+    content: buffer.subarray(start, end),
+    children: []
+  };
+  if (node.constructed) {
+    for (let cursor = start; cursor < end;) {
+      const child = decode(buffer, cursor);
+      node.children.push(child);
+      cursor = child.end;
+    }
+  }
+  return node;
+};
+
+export const readOid = (node) => {
+  if (node.tag !== TAGS.OID) throw asn1Error('Expected an OBJECT IDENTIFIER.');
+  const arcs = [];
+  let value = 0n;
+  for (const byte of node.content) {
+    value = (value << 7n) | BigInt(byte & 0x7f);
+    if (!(byte & 0x80)) {
+      arcs.push(value);
+      value = 0n;
+    }
+  }
+  const first = arcs[0] < 80n ? arcs[0] / 40n : 2n;
+  return [first, arcs[0] - first * 40n, ...arcs.slice(1)].join('.');
+};
+
+// Integers as uppercase hex without sign padding: certificate serials compare this way
+export const readIntegerHex = (node) => {
+  if (node.tag !== TAGS.INTEGER) throw asn1Error('Expected an INTEGER.');
+  let start = 0;
+  while (start < node.content.length - 1 && node.content[start] === 0) start += 1;
+  return node.content.subarray(start).toString('hex').toUpperCase();
+};
+
+export const readTime = (node) => {
+  const text = node.content.toString('latin1');
+  if (node.tag === TAGS.UTC_TIME) {
+    const year = Number(text.slice(0, 2));
+    return new Date(`${year >= 50 ? 1900 + year : 2000 + year}-${text.slice(2, 4)}-${text.slice(4, 6)}T${text.slice(6, 8)}:${text.slice(8, 10)}:${text.slice(10, 12)}Z`);
+  }
+  if (node.tag === TAGS.GENERALIZED_TIME) {
+    const fraction = text.match(/\.(\d+)/)?.[1] || '0';
+    return new Date(`${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}T${text.slice(8, 10)}:${text.slice(10, 12)}:${text.slice(12, 14)}.${fraction.slice(0, 3).padEnd(3, '0')}Z`);
+  }
+  throw asn1Error('Expected a UTCTime or GeneralizedTime.');
+};
+
+export const readString = (node) => node.content.toString(node.tag === TAGS.UTF8_STRING ? 'utf8' : 'latin1');
+
+export default {
+  TAGS,
+  tlv,
+  sequence,
+  set,
+  nullValue,
+  boolean,
+  integer,
+  octetString,
+  bitString,
+  utf8String,
+  printableString,
+  ia5String,
+  oid,
+  time,
+  generalizedTime,
+  explicit,
+  implicit,
+  decode,
+  readOid,
+  readIntegerHex,
+  readTime,
+  readString
+};
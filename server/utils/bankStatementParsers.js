@@ -0,0 +1,342 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - BANK STATEMENT PARSERS [V1.0.0-FIDUCIARY]                                                                                   ║
+ * ║ [OFX/QFX | GENERIC CSV | FNB | STANDARD BANK | ABSA | NEDBANK]                                                                         ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/bankStatementParsers.js                                             ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Turns a trust bank statement export into normalised lines:
+ *   { lineNumber, date, amount, direction: 'CREDIT'|'DEBIT', description, reference, payerName, bankTransactionId }
+ * Amounts are always positive; the sign lives in `direction`. Parsing is pure so it can run before anything is persisted.
+ */
+
+export const STATEMENT_FORMATS = Object.freeze({
+  OFX: 'OFX',
+  CSV: 'CSV',
+  FNB: 'FNB',
+  STANDARD_BANK: 'STANDARD_BANK',
+  ABSA: 'ABSA',
+  NEDBANK: 'NEDBANK'
+});
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+/**
+ * Prefixes SA banks put in front of the remitter on incoming EFTs. Stripped to expose the payer name.
+ */
+const PAYER_PREFIXES = [
+  /^(fnb\s+)?(app|ib|internet|cell|online)\s+(payment|pmt|transfer|trf)\s+(from\s+)?/i,
+  /^(acb|eft|rtc|payshap|immediate)\s+(credit|payment|pmt)\s+(from\s+)?/i,
+  /^(magtape|digital)\s+credit\s+/i,
+  /^(deposit|cash\s+deposit|credit\s+transfer|payment\s+received)\s+(from\s+)?/i
+];
+
+// ============================================================================
+// LOW-LEVEL HELPERS
+// ============================================================================
+
+/**
+ * @function parseAmount
+ * @desc Parses bank amount notation: "1 234,50", "1,234.50", "-500.00", "500.00 CR", "(500.00)".
+ */
+export const parseAmount = (raw) => {
+  if (raw === undefined || raw === null) return NaN;
+  let text = String(raw).trim().replace(/^R\s*/i, '').replace(/\s+/g, '');
+  if (text === '') return NaN;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) { sign = -1; text = text.slice(1, -1); }
+  if (/DR$/i.test(text)) { sign = -1; text = text.slice(0, -2); }
+  if (/CR$/i.test(text)) { text = text.slice(0, -2); }
+  if (text.startsWith('-')) { sign *= -1; text = text.slice(1); }
+  if (text.startsWith('+')) text = text.slice(1);
+
+  // Decimal comma (e.g. 1.234,50 or 1234,50)
+  if (/,\d{1,2}$/.test(text)) text = text.replace(/\./g, '').replace(',', '.');
+  else text = text.replace(/,/g, '');
+
+  const value = Number(text);
+  return Number.isFinite(value) ? sign * value : NaN;
+};
+
+/**
+ * @function parseStatementDate
+ * @desc Accepts YYYYMMDD, YYYY/MM/DD, YYYY-MM-DD, DD/MM/YYYY and "15 Jan 2024". Returns a UTC midnight Date.
+ */
+export const parseStatementDate = (raw) => {
+  const text = String(raw || '').trim();
+  let y; let m; let d;
+  let match;
+
+  if ((match = text.match(/^(\d{4})(\d{2})(\d{2})/))) [, y, m, d] = match;
+  else if ((match = text.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/))) [, y, m, d] = match;
+  else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/))) [, d, m, y] = match;
+  else if ((match = text.match(/^(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\s+(\d{4})/))) {
+    d = match[1]; m = MONTHS[match[2].toLowerCase()]; y = match[3];
+  }
+
+  if (!y || !m || !d) return null;
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @function extractPayerName
+ * @desc Removes bank channel prefixes from a narration to leave the remitter name.
+ */
+export const extractPayerName = (description = '') => {
+  let name = String(description).trim();
+  for (const prefix of PAYER_PREFIXES) name = name.replace(prefix, '');
+  return name.replace(/\s{2,}/g, ' ').trim();
+};
+
+/**
+ * @function splitCsvLine
+ * @desc RFC 4180 field splitter (quoted fields, escaped quotes). Delimiter may be ',' or ';'.
+ */
+export const splitCsvLine = (line, delimiter = ',') => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') { current += '"'; i += 1; }
+      else if (char === '"') quoted = false;
+      else current += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+const toLines = (text) => String(text).replace(/^﻿/, '').split(/\r?\n/).filter((line) => line.trim() !== '');
+
+const buildLine = (lineNumber, { date, amount, description = '', reference = '', payerName, bankTransactionId }) => {
+  if (!date || !Number.isFinite(amount) || amount === 0) return null;
+  return {
+    lineNumber,
+    date,
+    amount: Math.round(Math.abs(amount) * 100) / 100,
+    direction: amount > 0 ? 'CREDIT' : 'DEBIT',
+    description: description.trim(),
+    reference: reference.trim(),
+    payerName: (payerName || extractPayerName(description)).trim(),
+    bankTransactionId: bankTransactionId || null
+  };
+};
+
+// ============================================================================
+// OFX / QFX
+// ============================================================================
+
+const ofxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * @function parseOFX
+ * @desc Parses SGML (OFX 1.x) and XML (OFX 2.x) statements. Both leave <STMTTRN> blocks intact.
+ */
+export const parseOFX = (text) => {
+  const blocks = String(text).match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+  const lines = blocks.map((block, index) => buildLine(index + 1, {
+    date: parseStatementDate(ofxTag(block, 'DTPOSTED')),
+    amount: parseAmount(ofxTag(block, 'TRNAMT')),
+    description: [ofxTag(block, 'NAME'), ofxTag(block, 'MEMO')].filter(Boolean).join(' '),
+    reference: ofxTag(block, 'REFNUM') || ofxTag(block, 'CHECKNUM') || ofxTag(block, 'MEMO'),
+    payerName: extractPayerName(ofxTag(block, 'NAME')),
+    bankTransactionId: ofxTag(block, 'FITID') || null
+  })).filter(Boolean);
+
+  const ledger = String(text).match(/<LEDGERBAL>[\s\S]*?<BALAMT>([^<\r\n]+)[\s\S]*?<DTASOF>([^<\r\n]+)/i);
+  return {
+    format: STATEMENT_FORMATS.OFX,
+    accountNumber: ofxTag(String(text), 'ACCTID') || null,
+    closingBalance: ledger ? parseAmount(ledger[1]) : null,
+    statementDate: ledger ? parseStatementDate(ledger[2]) : null,
+    lines
+  };
+};
+
+// ============================================================================
+// CSV LAYOUTS
+// ============================================================================
+
+/**
+ * Column layouts of the CSV exports offered by SA banks' online banking.
+ * `header` identifies the header row; `map` converts one data row into a statement line.
+ */
+export const CSV_LAYOUTS = Object.freeze({
+  // FNB: metadata rows, then "Date, Amount, Balance, Description" with signed amounts.
+  [STATEMENT_FORMATS.FNB]: {
+    header: (cols) => cols[0] === 'date' && cols[1] === 'amount' && cols[2] === 'balance',
+    map: (f) => ({ date: parseStatementDate(f[0]), amount: parseAmount(f[1]), balance: parseAmount(f[2]), description: f[3] || '', reference: f[4] || '' })
+  },
+  // Standard Bank: headerless "HIST" records: HIST,YYYYMMDD,,amount,narration,reference,...
+  [STATEMENT_FORMATS.STANDARD_BANK]: {
+    record: (cols) => cols[0] === 'hist',
+    map: (f) => ({ date: parseStatementDate(f[1]), amount: parseAmount(f[3]), description: f[4] || '', reference: f[5] || '' })
+  },
+  // Absa: "Date, Transaction Description, Amount, Balance".
+  [STATEMENT_FORMATS.ABSA]: {
+    header: (cols) => cols[0] === 'date' && cols[1] === 'transaction description' && cols[2] === 'amount',
+    map: (f) => ({ date: parseStatementDate(f[0]), amount: parseAmount(f[2]), balance: parseAmount(f[3]), description: f[1] || '', reference: f[4] || '' })
+  },
+  // Nedbank: separate debit and credit columns.
+  [STATEMENT_FORMATS.NEDBANK]: {
+    header: (cols) => cols.includes('debit') && cols.includes('credit') && cols.includes('description'),
+    map: (f, idx) => {
+      const debit = parseAmount(f[idx.debit]);
+      const credit = parseAmount(f[idx.credit]);
+      return {
+        date: parseStatementDate(f[idx['transaction date'] ?? idx.date ?? 0]),
+        amount: Number.isFinite(credit) && credit !== 0 ? Math.abs(credit) : -Math.abs(debit),
+        balance: parseAmount(f[idx.balance]),
+        description: f[idx.description] || '',
+        reference: f[idx.reference] || ''
+      };
+    }
+  }
+});
+
+const GENERIC_COLUMNS = {
+  date: ['date', 'transaction date', 'posting date', 'value date'],
+  amount: ['amount', 'value', 'transaction amount'],
+  credit: ['credit', 'credit amount', 'deposit'],
+  debit: ['debit', 'debit amount', 'withdrawal'],
+  description: ['description', 'narration', 'narrative', 'details', 'transaction description'],
+  reference: ['reference', 'ref', 'their reference', 'payment reference'],
+  payerName: ['payer', 'payer name', 'remitter', 'from'],
+  balance: ['balance', 'running balance']
+};
+
+const indexColumns = (header) => header.reduce((acc, name, i) => ({ ...acc, [name]: i }), {});
+
+const findColumn = (idx, names) => names.map((n) => idx[n]).find((i) => i !== undefined);
+
+/**
+ * @function detectStatementFormat
+ * @desc Sniffs the export format from the file content (and extension for OFX/QFX).
+ */
+export const detectStatementFormat = (text, filename = '') => {
+  const content = String(text);
+  if (/\.(ofx|qfx)$/i.test(filename) || /<OFX>|OFXHEADER:/i.test(content)) return STATEMENT_FORMATS.OFX;
+
+  for (const line of toLines(content).slice(0, 20)) {
+    const cols = splitCsvLine(line, line.includes(';') && !line.includes(',') ? ';' : ',').map((c) => c.toLowerCase());
+    if (CSV_LAYOUTS.STANDARD_BANK.record(cols)) return STATEMENT_FORMATS.STANDARD_BANK;
+    if (CSV_LAYOUTS.FNB.header(cols)) return STATEMENT_FORMATS.FNB;
+    if (CSV_LAYOUTS.ABSA.header(cols)) return STATEMENT_FORMATS.ABSA;
+    if (CSV_LAYOUTS.NEDBANK.header(cols)) return STATEMENT_FORMATS.NEDBANK;
+  }
+  return STATEMENT_FORMATS.CSV;
+};
+
+/**
+ * @function parseCSVStatement
+ * @desc Parses one of the bank CSV layouts, or a generic CSV whose header names the columns.
+ */
+export const parseCSVStatement = (text, format = STATEMENT_FORMATS.CSV) => {
+  const rows = toLines(text);
+  const delimiter = rows[0] && rows[0].includes(';') && !rows[0].includes(',') ? ';' : ',';
+  const lines = [];
+  let closingBalance = null;
+  let statementDate = null;
+
+  const track = (line, balance) => {
+    if (!line) return;
+    lines.push(line);
+    if (Number.isFinite(balance) && (!statementDate || line.date >= statementDate)) {
+      closingBalance = balance;
+      statementDate = line.date;
+    }
+  };
+
+  if (format === STATEMENT_FORMATS.STANDARD_BANK) {
+    rows.forEach((row) => {
+      const fields = splitCsvLine(row, delimiter);
+      if (!CSV_LAYOUTS.STANDARD_BANK.record(fields.map((f) => f.toLowerCase()))) return;
+      track(buildLine(lines.length + 1, CSV_LAYOUTS.STANDARD_BANK.map(fields)));
+    });
+    return { format, accountNumber: null, closingBalance, statementDate, lines };
+  }
+
+  const headerAt = rows.findIndex((row) => {
+    const cols = splitCsvLine(row, delimiter).map((c) => c.toLowerCase());
+    if (format !== STATEMENT_FORMATS.CSV) return CSV_LAYOUTS[format].header(cols);
+    return cols.some((c) => GENERIC_COLUMNS.date.includes(c));
+  });
+  if (headerAt === -1) {
+    throw new Error(`STATEMENT_PARSE_ERROR: No ${format} header row found.`);
+  }
+
+  const idx = indexColumns(splitCsvLine(rows[headerAt], delimiter).map((c) => c.toLowerCase()));
+
+  rows.slice(headerAt + 1).forEach((row) => {
+    const fields = splitCsvLine(row, delimiter);
+    let mapped;
+
+    if (format !== STATEMENT_FORMATS.CSV) {
+      mapped = CSV_LAYOUTS[format].map(fields, idx);
+    } else {
+      const amountCol = findColumn(idx, GENERIC_COLUMNS.amount);
+      const creditCol = findColumn(idx, GENERIC_COLUMNS.credit);
+      const debitCol = findColumn(idx, GENERIC_COLUMNS.debit);
+      let amount = parseAmount(fields[amountCol]);
+      if (!Number.isFinite(amount)) {
+        const credit = parseAmount(fields[creditCol]);
+        amount = Number.isFinite(credit) && credit !== 0 ? Math.abs(credit) : -Math.abs(parseAmount(fields[debitCol]));
+      }
+      mapped = {
+        date: parseStatementDate(fields[findColumn(idx, GENERIC_COLUMNS.date)]),
+        amount,
+        description: fields[findColumn(idx, GENERIC_COLUMNS.description)] || '',
+        reference: fields[findColumn(idx, GENERIC_COLUMNS.reference)] || '',
+        payerName: fields[findColumn(idx, GENERIC_COLUMNS.payerName)] || undefined,
+        balance: parseAmount(fields[findColumn(idx, GENERIC_COLUMNS.balance)])
+      };
+    }
+
+    track(buildLine(lines.length + 1, mapped), mapped.balance);
+  });
+
+  return { format, accountNumber: null, closingBalance, statementDate, lines };
+};
+
+/**
+ * @function parseBankStatement
+ * @desc Entry point: detects (or honours) the format and returns the normalised statement.
+ * @param {string|Buffer} content - Raw file content.
+ * @param {Object} [options] - { format, filename }
+ */
+export const parseBankStatement = (content, { format, filename } = {}) => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+  const resolved = format && STATEMENT_FORMATS[format] ? format : detectStatementFormat(text, filename);
+
+  return resolved === STATEMENT_FORMATS.OFX ? parseOFX(text) : parseCSVStatement(text, resolved);
+};
+
+export default {
+  STATEMENT_FORMATS,
+  CSV_LAYOUTS,
+  parseAmount,
+  parseStatementDate,
+  extractPayerName,
+  splitCsvLine,
+  detectStatementFormat,
+  parseOFX,
+  parseCSVStatement,
+  parseBankStatement
+};
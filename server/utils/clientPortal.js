@@ -0,0 +1,288 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - CLIENT PORTAL RULES [V1.0.0-PORTAL]                                                                                         ║
+ * ║ [PORTAL PASSWORDS | SESSION EXPIRY | FICA UPLOADS | SECURE MESSAGES | CLIENT TRUST STATEMENTS | INVOICE TOTALS]                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/clientPortal.js                                                     ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pure rules behind services/clientPortalService.js. Portal accounts belong to a firm's Client, not to a staff User,
+ * and sign in with their own password. A trust statement is the client's LPC Rule 54.14 sub-ledger per matter,
+ * recomputed from its movements in cents.
+ */
+
+import { signedTrustAmount } from './trustReconciliation.js';
+
+export const PORTAL_STATUS = Object.freeze({ INVITED: 'INVITED', ACTIVE: 'ACTIVE', SUSPENDED: 'SUSPENDED' });
+
+// What the single-use emailed link is for
+export const SETUP_PURPOSES = Object.freeze({ INVITE: 'INVITE', RESET: 'RESET' });
+
+// PortalActivity actions: everything a client does in the portal, and what the firm does to their access
+export const PORTAL_EVENTS = Object.freeze({
+  INVITED: 'INVITED',
+  INVITE_RESENT: 'INVITE_RESENT',
+  ACTIVATED: 'ACTIVATED',
+  PASSWORD_RESET_REQUESTED: 'PASSWORD_RESET_REQUESTED',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  LOGGED_IN: 'LOGGED_IN',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  LOGGED_OUT: 'LOGGED_OUT',
+  SUSPENDED: 'SUSPENDED',
+  REINSTATED: 'REINSTATED',
+  OVERVIEW_VIEWED: 'OVERVIEW_VIEWED',
+  MATTERS_VIEWED: 'MATTERS_VIEWED',
+  MATTER_VIEWED: 'MATTER_VIEWED',
+  DOCUMENTS_VIEWED: 'DOCUMENTS_VIEWED',
+  DOCUMENT_DOWNLOADED: 'DOCUMENT_DOWNLOADED',
+  INVOICES_VIEWED: 'INVOICES_VIEWED',
+  INVOICE_VIEWED: 'INVOICE_VIEWED',
+  TRUST_STATEMENT_VIEWED: 'TRUST_STATEMENT_VIEWED',
+  FICA_VIEWED: 'FICA_VIEWED',
+  FICA_UPLOADED: 'FICA_UPLOADED',
+  MESSAGES_VIEWED: 'MESSAGES_VIEWED',
+  MESSAGE_SENT: 'MESSAGE_SENT',
+  MESSAGE_RECEIVED: 'MESSAGE_RECEIVED',
+  ACCESS_DENIED: 'ACCESS_DENIED'
+});
+
+export const PORTAL_LIMITS = Object.freeze({
+  INVITE_TTL_DAYS: 7,
+  RESET_TTL_MS: 60 * 60000,
+  // A session ends after SESSION_IDLE_MS without a request, and SESSION_MAX_MS after sign-in in any case
+  SESSION_IDLE_MS: 30 * 60000,
+  SESSION_MAX_MS: 12 * 60 * 60000,
+  // Devices signed in at once; the oldest session gives way
+  MAX_SESSIONS: 5,
+  PASSWORD_MIN_LENGTH: 10,
+  PASSWORD_MAX_LENGTH: 128,
+  // Wrong passwords in a row before the account is locked for LOCKOUT_MS
+  LOGIN_MAX_ATTEMPTS: 5,
+  LOCKOUT_MS: 15 * 60000,
+  MESSAGE_MAX_LENGTH: 5000,
+  FICA_MAX_BYTES: 15 * 1024 * 1024,
+  FICA_NOTE_MAX_LENGTH: 500
+});
+
+// FIC Act s21 customer due diligence documents a client can hand in
+export const FICA_DOCUMENT_TYPES = Object.freeze({
+  ID_COPY: 'Identity document or passport',
+  PROOF_OF_ADDRESS: 'Proof of residential address (not older than three months)',
+  COMPANY_REGISTRATION: 'Company registration documents (CIPC)',
+  DIRECTOR_ID_COPIES: 'Identity documents of directors or members',
+  TRUST_DEED: 'Trust deed and letters of authority',
+  RESOLUTION: 'Resolution authorising the representative',
+  BANK_CONFIRMATION: 'Bank account confirmation letter',
+  TAX_NUMBER: 'Proof of income tax number',
+  OTHER: 'Other supporting document'
+});
+
+export const FICA_FILE_TYPES = Object.freeze(['application/pdf', 'image/jpeg', 'image/png', 'image/tiff']);
+
+// Drafts, pro formas and invoices still under review are not the client's to see
+export const CLIENT_INVOICE_STATUSES = Object.freeze([
+  'ISSUED', 'PARTIALLY_PAID', 'PAID', 'OVERDUE', 'WRITTEN_OFF', 'DISPUTED', 'CANCELLED', 'REFUNDED', 'LEGAL_HOLD'
+]);
+
+const SETTLED_INVOICE_STATUSES = ['PAID', 'WRITTEN_OFF', 'CANCELLED', 'REFUNDED'];
+
+const TRUST_ENTRY_LABELS = {
+  DEPOSIT: 'Deposit',
+  WITHDRAWAL: 'Payment from trust',
+  TRANSFER: 'Transfer',
+  FEE_EARNED: 'Fees and disbursements paid from trust',
+  INTEREST_ACCRUAL: 'Interest',
+  LPC_LEVY: 'LPC levy'
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const portalError = (message) => new Error(`PORTAL_ERROR: ${message}`);
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * @function normalisePortalEmail
+ * @desc The sign-in email, trimmed and lowercased.
+ */
+export const normalisePortalEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  if (!EMAIL.test(value)) throw portalError('Give a valid email address.');
+  return value;
+};
+
+/**
+ * @function checkPortalPassword
+ * @desc A portal password must be 10 to 128 characters, mix letters and digits, and not contain the name part of
+ *       the account's email address.
+ */
+export const checkPortalPassword = (password, { email } = {}) => {
+  const value = String(password || '');
+  const { PASSWORD_MIN_LENGTH: min, PASSWORD_MAX_LENGTH: max } = PORTAL_LIMITS;
+  if (value.length < min || value.length > max) throw portalError(`A password must be ${min} to ${max} characters.`);
+  if (!/[a-z]/i.test(value) || !/\d/.test(value)) throw portalError('A password must contain both letters and digits.');
+  const local = String(email || '').split('@')[0].toLowerCase();
+  if (local.length >= 3 && value.toLowerCase().includes(local)) throw portalError('A password may not contain your email address.');
+  return value;
+};
+
+/**
+ * @function sessionEndsAt
+ * @desc When a session lapses: after the idle window since its last request, or the maximum since sign-in.
+ */
+export const sessionEndsAt = (session = {}) => new Date(Math.min(
+  new Date(session.lastSeenAt || session.createdAt).getTime() + PORTAL_LIMITS.SESSION_IDLE_MS,
+  new Date(session.createdAt).getTime() + PORTAL_LIMITS.SESSION_MAX_MS
+));
+
+export const isSessionLive = (session, now = new Date()) => Boolean(session?.createdAt) && sessionEndsAt(session) > now;
+
+/**
+ * @function pruneSessions
+ * @desc The sessions to keep when a new one opens: live ones only, newest first, leaving room for the new one.
+ */
+export const pruneSessions = (sessions = [], now = new Date()) => sessions
+  .filter((session) => isSessionLive(session, now))
+  .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  .slice(0, PORTAL_LIMITS.MAX_SESSIONS - 1);
+
+/**
+ * @function normaliseFicaUpload
+ * @desc Checks a FICA document the client uploads: a known document type, and a PDF or image scan within the size
+ *       limit. The mime type is the one read from the file's contents, not the one the browser claimed.
+ * @returns {{ ficaType, label, fileName, mimeType, note }}
+ */
+export const normaliseFicaUpload = ({ ficaType, fileName, mimeType, size, note } = {}) => {
+  if (!FICA_DOCUMENT_TYPES[ficaType]) throw portalError(`ficaType must be one of ${Object.keys(FICA_DOCUMENT_TYPES).join(', ')}.`);
+  if (!size) throw portalError('No file was uploaded.');
+  if (size > PORTAL_LIMITS.FICA_MAX_BYTES) throw portalError(`A file can be at most ${PORTAL_LIMITS.FICA_MAX_BYTES / 1048576} MB.`);
+  if (!FICA_FILE_TYPES.includes(mimeType)) throw portalError('Upload a PDF, or a JPEG, PNG or TIFF scan.');
+  const text = note ? String(note).trim() : undefined;
+  if (text && text.length > PORTAL_LIMITS.FICA_NOTE_MAX_LENGTH) {
+    throw portalError(`The note can be at most ${PORTAL_LIMITS.FICA_NOTE_MAX_LENGTH} characters.`);
+  }
+  const name = String(fileName || '').replace(/[\\/]/g, '_').replace(/[\u0000-\u001f]/g, '').trim().slice(0, 200);
+  return { ficaType, label: FICA_DOCUMENT_TYPES[ficaType], fileName: name || ficaType.toLowerCase(), mimeType, note: text };
+};
+
+/**
+ * @function normalisePortalMessage
+ * @desc A secure message's text, trimmed; it may not be empty or longer than the limit.
+ */
+export const normalisePortalMessage = ({ body } = {}) => {
+  const text = String(body || '').replace(/\r\n/g, '\n').trim();
+  if (!text) throw portalError('The message is empty.');
+  if (text.length > PORTAL_LIMITS.MESSAGE_MAX_LENGTH) {
+    throw portalError(`A message can be at most ${PORTAL_LIMITS.MESSAGE_MAX_LENGTH} characters.`);
+  }
+  return { body: text };
+};
+
+/**
+ * @function buildTrustStatement
+ * @desc The client's trust statement for a period, one section per matter: the balance brought forward, each
+ *       movement with its running balance, and the balance carried forward. Movements after the period are ignored.
+ * @param {Array<Object>} transactions - trust current-account movements, oldest first: { transactionId, matterId,
+ *        type, amount, createdAt, lpcReference, method }
+ * @param {{ from?: Date, to?: Date }} [period] - open-ended when left out
+ */
+export const buildTrustStatement = (transactions = [], { from, to } = {}) => {
+  const start = from ? new Date(from) : null;
+  const end = to ? new Date(to) : null;
+  const ledgers = new Map();
+
+  for (const tx of transactions) {
+    const at = new Date(tx.createdAt);
+    if (end && at > end) continue;
+    const key = String(tx.matterId);
+    const ledger = ledgers.get(key) || { matterId: key, openingCents: 0, balanceCents: 0, creditCents: 0, debitCents: 0, entries: [] };
+    ledgers.set(key, ledger);
+
+    const cents = toCents(signedTrustAmount(tx.type, tx.amount));
+    ledger.balanceCents += cents;
+    if (start && at < start) {
+      ledger.openingCents += cents;
+      continue;
+    }
+    if (cents > 0) ledger.creditCents += cents;
+    else ledger.debitCents -= cents;
+    ledger.entries.push({
+      date: at,
+      transactionId: tx.transactionId,
+      description: TRUST_ENTRY_LABELS[tx.type] || tx.type,
+      type: tx.type,
+      reference: tx.lpcReference,
+      method: tx.method,
+      credit: cents > 0 ? fromCents(cents) : 0,
+      debit: cents < 0 ? fromCents(-cents) : 0,
+      balance: fromCents(ledger.balanceCents)
+    });
+  }
+
+  const matters = [...ledgers.values()].map((ledger) => ({
+    matterId: ledger.matterId,
+    openingBalance: fromCents(ledger.openingCents),
+    totalCredits: fromCents(ledger.creditCents),
+    totalDebits: fromCents(ledger.debitCents),
+    closingBalance: fromCents(ledger.balanceCents),
+    entries: ledger.entries
+  }));
+  const sum = (field) => fromCents(matters.reduce((total, matter) => total + toCents(matter[field]), 0));
+
+  return {
+    from: start,
+    to: end,
+    matters,
+    openingBalance: sum('openingBalance'),
+    closingBalance: sum('closingBalance')
+  };
+};
+
+/**
+ * @function summariseInvoices
+ * @desc What the client has been billed and paid, what is outstanding, and how much of that is past due.
+ */
+export const summariseInvoices = (invoices = [], now = new Date()) => {
+  let billed = 0;
+  let paid = 0;
+  let outstanding = 0;
+  let overdue = 0;
+  for (const invoice of invoices) {
+    if (invoice.status === 'CANCELLED') continue;
+    const owing = SETTLED_INVOICE_STATUSES.includes(invoice.status)
+      ? 0
+      : toCents(invoice.outstandingAmount ?? (Number(invoice.totalAmount || 0) - Number(invoice.amountPaid || 0)));
+    billed += toCents(invoice.totalAmount);
+    paid += toCents(invoice.amountPaid);
+    outstanding += Math.max(owing, 0);
+    if (owing > 0 && (invoice.status === 'OVERDUE' || (invoice.dueDate && new Date(invoice.dueDate) < now))) overdue += owing;
+  }
+  return {
+    count: invoices.length,
+    billed: fromCents(billed),
+    paid: fromCents(paid),
+    outstanding: fromCents(outstanding),
+    overdue: fromCents(overdue)
+  };
+};
+
+export default {
+  PORTAL_STATUS,
+  SETUP_PURPOSES,
+  PORTAL_EVENTS,
+  PORTAL_LIMITS,
+  FICA_DOCUMENT_TYPES,
+  FICA_FILE_TYPES,
+  CLIENT_INVOICE_STATUSES,
+  normalisePortalEmail,
+  checkPortalPassword,
+  sessionEndsAt,
+  isSessionLive,
+  pruneSessions,
+  normaliseFicaUpload,
+  normalisePortalMessage,
+  buildTrustStatement,
+  summariseInvoices
+};
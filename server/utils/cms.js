@@ -0,0 +1,534 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - CMS AND X.509 TOOLKIT [V1.0.0-CADES]                                                                                        ║
+ * ║ [CERTIFICATE ISSUANCE | CRLS | DETACHED CADES SIGNED DATA | RFC 3161 TIMESTAMP TOKENS | OFFLINE VERIFICATION]                          ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/cms.js                                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The cryptography behind embedded PDF signatures, built on node:crypto and utils/asn1.js. Signatures follow the
+ * CAdES baseline PAdES expects: content-type, message-digest and signing-certificate-v2 signed attributes, no
+ * signing-time, and an optional signature timestamp as the only unsigned attribute. No I/O and no key storage.
+ */
+
+import crypto from 'node:crypto';
+import {
+  TAGS,
+  sequence,
+  set,
+  nullValue,
+  boolean,
+  integer,
+  octetString,
+  bitString,
+  utf8String,
+  printableString,
+  ia5String,
+  oid,
+  time,
+  generalizedTime,
+  explicit,
+  implicit,
+  decode,
+  readOid,
+  readIntegerHex,
+  readTime
+} from './asn1.js';
+
+export const OIDS = Object.freeze({
+  SHA256: '2.16.840.1.101.3.4.2.1',
+  RSA_ENCRYPTION: '1.2.840.113549.1.1.1',
+  SHA256_WITH_RSA: '1.2.840.113549.1.1.11',
+  EC_PUBLIC_KEY: '1.2.840.10045.2.1',
+  ECDSA_WITH_SHA256: '1.2.840.10045.4.3.2',
+  DATA: '1.2.840.113549.1.7.1',
+  SIGNED_DATA: '1.2.840.113549.1.7.2',
+  TST_INFO: '1.2.840.113549.1.9.16.1.4',
+  CONTENT_TYPE: '1.2.840.113549.1.9.3',
+  MESSAGE_DIGEST: '1.2.840.113549.1.9.4',
+  SIGNING_CERTIFICATE_V2: '1.2.840.113549.1.9.16.2.47',
+  SIGNATURE_TIMESTAMP: '1.2.840.113549.1.9.16.2.14',
+  COMMON_NAME: '2.5.4.3',
+  COUNTRY: '2.5.4.6',
+  ORGANIZATION: '2.5.4.10',
+  ORGANIZATIONAL_UNIT: '2.5.4.11',
+  EMAIL: '1.2.840.113549.1.9.1',
+  SUBJECT_KEY_ID: '2.5.29.14',
+  KEY_USAGE: '2.5.29.15',
+  BASIC_CONSTRAINTS: '2.5.29.19',
+  CRL_NUMBER: '2.5.29.20',
+  AUTHORITY_KEY_ID: '2.5.29.35',
+  EXT_KEY_USAGE: '2.5.29.37',
+  KP_TIMESTAMPING: '1.3.6.1.5.5.7.3.8',
+  KP_DOCUMENT_SIGNING: '1.3.6.1.4.1.311.10.3.12'
+});
+
+// Bit positions from RFC 5280 §4.2.1.3
+export const KEY_USAGE = Object.freeze({
+  DIGITAL_SIGNATURE: 0,
+  NON_REPUDIATION: 1,
+  KEY_CERT_SIGN: 5,
+  CRL_SIGN: 6
+});
+
+const cmsError = (message) => new Error(`CMS_ERROR: ${message}`);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const algorithm = (dotted, withNull = false) => sequence(oid(dotted), withNull ? nullValue() : null);
+
+const SHA256_ALGORITHM = algorithm(OIDS.SHA256);
+
+const signatureAlgorithm = (key) => {
+  const type = key.asymmetricKeyType;
+  if (type === 'ec') return algorithm(OIDS.ECDSA_WITH_SHA256);
+  if (type === 'rsa') return algorithm(OIDS.SHA256_WITH_RSA, true);
+  throw cmsError(`Unsupported key type ${type}.`);
+};
+
+const sign = (data, key) => crypto.sign('sha256', data, key);
+
+const NAME_ATTRIBUTES = [
+  ['C', OIDS.COUNTRY, printableString],
+  ['O', OIDS.ORGANIZATION, utf8String],
+  ['OU', OIDS.ORGANIZATIONAL_UNIT, utf8String],
+  ['CN', OIDS.COMMON_NAME, utf8String],
+  ['emailAddress', OIDS.EMAIL, ia5String]
+];
+
+/**
+ * @function encodeName
+ * @desc An X.501 Name from { C, O, OU, CN, emailAddress }; one attribute per RDN, in a fixed order. DER input passes through.
+ */
+export const encodeName = (name = {}) => (Buffer.isBuffer(name) ? name : sequence(NAME_ATTRIBUTES
+  .filter(([key]) => name[key])
+  .map(([key, dotted, encode]) => set(sequence(oid(dotted), encode(name[key]))))));
+
+const extension = (dotted, value, critical = false) => sequence(oid(dotted), critical ? boolean(true) : null, octetString(value));
+
+const keyUsageBits = (bits) => {
+  const bytes = Buffer.alloc(bits.some((bit) => bit > 7) ? 2 : 1);
+  bits.forEach((bit) => { bytes[bit >> 3] |= 0x80 >> (bit & 7); });
+  const last = bytes[bytes.length - 1];
+  let unused = 0;
+  while (unused < 8 && !(last & (1 << unused))) unused += 1;
+  return bitString(bytes, unused === 8 ? 0 : unused);
+};
+
+const publicKeyBits = (spki) => decode(spki).children[1].content.subarray(1);
+
+export const keyIdentifier = (publicKey) => crypto.createHash('sha1')
+  .update(publicKeyBits(publicKey.export({ type: 'spki', format: 'der' })))
+  .digest();
+
+/**
+ * @function randomSerial
+ * @desc A positive 16-byte serial number as uppercase hex.
+ */
+export const randomSerial = () => {
+  const bytes = crypto.randomBytes(16);
+  bytes[0] = (bytes[0] & 0x7f) || 0x01;
+  return bytes.toString('hex').toUpperCase();
+};
+
+/**
+ * @function issueCertificate
+ * @desc A DER X.509 v3 certificate for publicKey, signed by issuerKey (self-signed when no issuer is given).
+ */
+export const issueCertificate = ({
+  subject,
+  publicKey,
+  issuer,
+  issuerKey,
+  issuerPublicKey,
+  serial = randomSerial(),
+  notBefore = new Date(),
+  notAfter,
+  ca = false,
+  keyUsage = [KEY_USAGE.DIGITAL_SIGNATURE, KEY_USAGE.NON_REPUDIATION],
+  extendedKeyUsage = []
+}) => {
+  if (!subject || !publicKey || !issuerKey) throw cmsError('subject, publicKey and issuerKey are required to issue a certificate.');
+  const signerPublicKey = issuerPublicKey || crypto.createPublicKey(issuerKey);
+  const extensions = [
+    extension(OIDS.BASIC_CONSTRAINTS, ca ? sequence(boolean(true)) : sequence(), true),
+    extension(OIDS.KEY_USAGE, keyUsageBits(keyUsage), true),
+    extension(OIDS.SUBJECT_KEY_ID, octetString(keyIdentifier(publicKey))),
+    extension(OIDS.AUTHORITY_KEY_ID, sequence(implicit(0, octetString(keyIdentifier(signerPublicKey)), false)))
+  ];
+  if (extendedKeyUsage.length) {
+    extensions.push(extension(OIDS.EXT_KEY_USAGE, sequence(extendedKeyUsage.map((dotted) => oid(dotted))), extendedKeyUsage.includes(OIDS.KP_TIMESTAMPING)));
+  }
+
+  const sigAlg = signatureAlgorithm(issuerKey);
+  const tbs = sequence(
+    explicit(0, integer(2)),
+    integer(serial),
+    sigAlg,
+    encodeName(issuer || subject),
+    sequence(time(notBefore), time(notAfter || new Date(new Date(notBefore).getTime() + 365 * 86400000))),
+    encodeName(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(extensions))
+  );
+  return sequence(tbs, sigAlg, bitString(sign(tbs, issuerKey)));
+};
+
+/**
+ * @function parseCertificate
+ * @desc The parts of a DER certificate that chain building and CMS matching need.
+ */
+export const parseCertificate = (der) => {
+  const root = decode(der);
+  const [tbs, sigAlg, signatureValue] = root.children;
+  if (!tbs || !signatureValue) throw cmsError('Malformed certificate.');
+  const fields = tbs.children[0].tag === 0xa0 ? tbs.children.slice(1) : tbs.children;
+  const [serial, , issuer, validity, subject, spki] = fields;
+  const extensions = {};
+  const extensionBlock = tbs.children.find((child) => child.tag === 0xa3);
+  (extensionBlock?.children[0].children || []).forEach((entry) => {
+    const value = entry.children[entry.children.length - 1].content;
+    extensions[readOid(entry.children[0])] = value;
+  });
+  const x509 = new crypto.X509Certificate(root.der);
+  return {
+    der: Buffer.from(root.der),
+    tbs: tbs.der,
+    signatureAlgorithm: readOid(sigAlg.children[0]),
+    signature: signatureValue.content.subarray(1),
+    serial: readIntegerHex(serial),
+    issuer: issuer.der,
+    subject: subject.der,
+    spki: spki.der,
+    notBefore: readTime(validity.children[0]),
+    notAfter: readTime(validity.children[1]),
+    isCa: extensions[OIDS.BASIC_CONSTRAINTS] ? decode(extensions[OIDS.BASIC_CONSTRAINTS]).children.some((child) => child.tag === TAGS.BOOLEAN && child.content[0]) : false,
+    extendedKeyUsage: extensions[OIDS.EXT_KEY_USAGE] ? decode(extensions[OIDS.EXT_KEY_USAGE]).children.map(readOid) : [],
+    subjectName: x509.subject,
+    issuerName: x509.issuer,
+    fingerprint: sha256(root.der).toString('hex'),
+    publicKey: x509.publicKey
+  };
+};
+
+export const toPem = (der, label = 'CERTIFICATE') => `-----BEGIN ${label}-----\n${Buffer.from(der).toString('base64').match(/.{1,64}/g).join('\n')}\n-----END ${label}-----\n`;
+
+export const fromPem = (pem) => Buffer.from(String(pem).replace(/-----[^-]+-----/g, '').replace(/\s+/g, ''), 'base64');
+
+/**
+ * @function isIssuedBy
+ * @desc True when certificate names issuer as its issuer and carries a valid signature from issuer's key.
+ */
+export const isIssuedBy = (certificate, issuer) => certificate.issuer.equals(issuer.subject)
+  && crypto.verify('sha256', certificate.tbs, issuer.publicKey, certificate.signature);
+
+/**
+ * @function issueCrl
+ * @desc A DER v2 CRL from the issuing CA, listing revoked serials.
+ */
+export const issueCrl = ({ issuer, issuerKey, thisUpdate = new Date(), nextUpdate, revoked = [], crlNumber = 1 }) => {
+  const sigAlg = signatureAlgorithm(issuerKey);
+  const tbs = sequence(
+    integer(1),
+    sigAlg,
+    encodeName(issuer),
+    time(thisUpdate),
+    time(nextUpdate || new Date(new Date(thisUpdate).getTime() + 7 * 86400000)),
+    revoked.length ? sequence(revoked.map((entry) => sequence(integer(entry.serial), time(entry.revokedAt || thisUpdate)))) : null,
+    explicit(0, sequence(
+      extension(OIDS.AUTHORITY_KEY_ID, sequence(implicit(0, octetString(keyIdentifier(crypto.createPublicKey(issuerKey))), false))),
+      extension(OIDS.CRL_NUMBER, integer(crlNumber))
+    ))
+  );
+  return sequence(tbs, sigAlg, bitString(sign(tbs, issuerKey)));
+};
+
+export const parseCrl = (der) => {
+  const root = decode(der);
+  const [tbs, , signatureValue] = root.children;
+  let fields = tbs.children;
+  if (fields[0].tag === TAGS.INTEGER) fields = fields.slice(1);
+  const [, issuer, thisUpdate, ...rest] = fields;
+  const nextUpdate = rest[0] && (rest[0].tag === TAGS.UTC_TIME || rest[0].tag === TAGS.GENERALIZED_TIME) ? rest.shift() : null;
+  const revokedList = rest[0]?.tag === TAGS.SEQUENCE ? rest.shift() : null;
+  return {
+    der: Buffer.from(root.der),
+    tbs: tbs.der,
+    signature: signatureValue.content.subarray(1),
+    issuer: issuer.der,
+    thisUpdate: readTime(thisUpdate),
+    nextUpdate: nextUpdate ? readTime(nextUpdate) : null,
+    revoked: (revokedList?.children || []).map((entry) => ({ serial: readIntegerHex(entry.children[0]), revokedAt: readTime(entry.children[1]) }))
+  };
+};
+
+const attribute = (dotted, ...values) => sequence(oid(dotted), set(values));
+
+const issuerAndSerial = (certificate) => sequence(Buffer.from(certificate.issuer), integer(certificate.serial));
+
+const signingCertificateV2 = (certificate) => sequence(sequence(sequence(
+  octetString(sha256(certificate.der)),
+  sequence(sequence(explicit(4, Buffer.from(certificate.issuer))), integer(certificate.serial))
+)));
+
+const signedData = ({ contentType, content, signer, signerKey, certificates, unsignedAttributes = [] }) => {
+  const signedAttributes = set(
+    attribute(OIDS.CONTENT_TYPE, oid(contentType)),
+    attribute(OIDS.MESSAGE_DIGEST, octetString(content.digest)),
+    attribute(OIDS.SIGNING_CERTIFICATE_V2, signingCertificateV2(signer))
+  );
+  const signature = sign(signedAttributes, signerKey);
+  const unsigned = unsignedAttributes.map((build) => build(signature)).filter(Boolean);
+  const signerInfo = sequence(
+    integer(1),
+    issuerAndSerial(signer),
+    SHA256_ALGORITHM,
+    implicit(0, signedAttributes),
+    signatureAlgorithm(signerKey),
+    octetString(signature),
+    unsigned.length ? implicit(1, set(unsigned)) : null
+  );
+  return sequence(
+    oid(OIDS.SIGNED_DATA),
+    explicit(0, sequence(
+      integer(contentType === OIDS.DATA ? 1 : 3),
+      set(SHA256_ALGORITHM),
+      sequence(oid(contentType), content.encapsulated ? explicit(0, octetString(content.encapsulated)) : null),
+      implicit(0, set(certificates.map((certificate) => certificate.der))),
+      set(signerInfo)
+    ))
+  );
+};
+
+/**
+ * @function createTimestampToken
+ * @desc An RFC 3161 TimeStampToken over a message imprint (SHA-256 digest), signed by a timestamping unit.
+ */
+export const createTimestampToken = ({ digest, tsaCertificate, tsaKey, chain = [], policy, genTime = new Date(), serial = randomSerial() }) => {
+  if (!tsaCertificate.extendedKeyUsage.includes(OIDS.KP_TIMESTAMPING)) throw cmsError('The timestamping certificate lacks the timeStamping extended key usage.');
+  const tstInfo = sequence(
+    integer(1),
+    oid(policy),
+    sequence(SHA256_ALGORITHM, octetString(digest)),
+    integer(serial),
+    generalizedTime(genTime)
+  );
+  return signedData({
+    contentType: OIDS.TST_INFO,
+    content: { digest: sha256(tstInfo), encapsulated: tstInfo },
+    signer: tsaCertificate,
+    signerKey: tsaKey,
+    certificates: [tsaCertificate, ...chain]
+  });
+};
+
+/**
+ * @function createCadesSignature
+ * @desc A detached CAdES-BES SignedData over a SHA-256 digest, optionally carrying a signature timestamp (B-T).
+ */
+export const createCadesSignature = ({ digest, certificate, key, chain = [], timestamp }) => signedData({
+  contentType: OIDS.DATA,
+  content: { digest },
+  signer: certificate,
+  signerKey: key,
+  certificates: [certificate, ...chain],
+  unsignedAttributes: timestamp ? [(signature) => attribute(OIDS.SIGNATURE_TIMESTAMP, timestamp(sha256(signature)))] : []
+});
+
+const attributesOf = (node) => Object.fromEntries((node?.children || []).map((entry) => [readOid(entry.children[0]), entry.children[1].children]));
+
+/**
+ * @function parseSignedData
+ * @desc Unpacks a CMS ContentInfo holding SignedData with a single signer.
+ */
+export const parseSignedData = (der) => {
+  const root = decode(der);
+  if (readOid(root.children[0]) !== OIDS.SIGNED_DATA) throw cmsError('Not a CMS SignedData structure.');
+  const body = root.children[1].children[0].children;
+  const encapsulated = body[2];
+  const certificateBlock = body.find((child) => child.tag === 0xa0);
+  const signerInfos = body[body.length - 1].children;
+  if (signerInfos.length !== 1) throw cmsError(`Expected one signer, found ${signerInfos.length}.`);
+  const info = signerInfos[0].children;
+  const signedBlock = info.find((child) => child.tag === 0xa0);
+  const unsignedBlock = info.find((child) => child.tag === 0xa1);
+  if (!signedBlock) throw cmsError('The signer carries no signed attributes.');
+  const signatureNode = info.filter((child) => child.tag === TAGS.OCTET_STRING).pop();
+  const signed = attributesOf(signedBlock);
+  const unsigned = attributesOf(unsignedBlock);
+  const sid = info[1];
+
+  // Signed attributes are signed as an explicit SET OF, not with the [0] tag they travel under
+  const signedAttributes = Buffer.from(signedBlock.der);
+  signedAttributes[0] = TAGS.SET;
+
+  return {
+    der: Buffer.from(root.der),
+    contentType: readOid(encapsulated.children[0]),
+    content: encapsulated.children[1]?.children[0]?.content,
+    certificates: (certificateBlock?.children || []).map((child) => parseCertificate(child.der)),
+    signerId: { issuer: sid.children[0].der, serial: readIntegerHex(sid.children[1]) },
+    digestAlgorithm: readOid(info[2].children[0]),
+    signatureAlgorithm: readOid(info[info.indexOf(signatureNode) - 1].children[0]),
+    signedAttributes,
+    signature: signatureNode.content,
+    messageDigest: signed[OIDS.MESSAGE_DIGEST]?.[0].content,
+    signedContentType: signed[OIDS.CONTENT_TYPE] ? readOid(signed[OIDS.CONTENT_TYPE][0]) : null,
+    signingCertificateHash: signed[OIDS.SIGNING_CERTIFICATE_V2]?.[0].children[0].children[0].children
+      .find((child) => child.tag === TAGS.OCTET_STRING)?.content,
+    timestampToken: unsigned[OIDS.SIGNATURE_TIMESTAMP]?.[0].der
+  };
+};
+
+export const parseTstInfo = (der) => {
+  const fields = decode(der).children;
+  return {
+    policy: readOid(fields[1]),
+    hashAlgorithm: readOid(fields[2].children[0].children[0]),
+    digest: fields[2].children[1].content,
+    serial: readIntegerHex(fields[3]),
+    genTime: readTime(fields[4])
+  };
+};
+
+const findCertificate = (pool, issuer, serial) => pool.find((certificate) => certificate.serial === serial && certificate.issuer.equals(issuer));
+
+/**
+ * @function buildChain
+ * @desc Walks from a certificate up to one of the trust anchors, verifying every link's signature.
+ */
+export const buildChain = (certificate, pool, trustAnchors) => {
+  const chain = [certificate];
+  for (let current = certificate; chain.length <= 8;) {
+    const anchor = trustAnchors.find((candidate) => candidate.subject.equals(current.issuer) && isIssuedBy(current, candidate));
+    if (anchor) {
+      if (anchor.fingerprint !== current.fingerprint) chain.push(anchor);
+      return { trusted: true, chain };
+    }
+    const issuer = pool.find((candidate) => candidate.isCa && candidate.fingerprint !== current.fingerprint && isIssuedBy(current, candidate));
+    if (!issuer) return { trusted: false, chain, reason: `No trusted issuer for ${current.subjectName.replace(/\n/g, ', ')}.` };
+    chain.push(issuer);
+    current = issuer;
+  }
+  return { trusted: false, chain, reason: 'Certificate chain is too long.' };
+};
+
+const validAt = (certificate, at) => at >= certificate.notBefore && at <= certificate.notAfter;
+
+/**
+ * @function checkRevocation
+ * @desc Looks every non-anchor certificate in a chain up in CRLs signed by its issuer.
+ */
+export const checkRevocation = (chain, crls = []) => {
+  const parsed = crls.map((crl) => (crl.tbs ? crl : parseCrl(crl)));
+  const results = chain.slice(0, -1).map((certificate, index) => {
+    const issuer = chain[index + 1];
+    const crl = parsed.find((candidate) => candidate.issuer.equals(issuer.subject)
+      && crypto.verify('sha256', candidate.tbs, issuer.publicKey, candidate.signature));
+    if (!crl) return { serial: certificate.serial, status: 'UNKNOWN' };
+    const entry = crl.revoked.find((revoked) => revoked.serial === certificate.serial);
+    return { serial: certificate.serial, status: entry ? 'REVOKED' : 'GOOD', revokedAt: entry?.revokedAt, crlThisUpdate: crl.thisUpdate };
+  });
+  return {
+    status: results.some((result) => result.status === 'REVOKED') ? 'REVOKED' : results.every((result) => result.status === 'GOOD') ? 'GOOD' : 'UNKNOWN',
+    certificates: results
+  };
+};
+
+const verifySignerInfo = (cms, digest, extraCertificates) => {
+  const pool = [...cms.certificates, ...extraCertificates];
+  const signer = findCertificate(pool, cms.signerId.issuer, cms.signerId.serial);
+  const problems = [];
+  if (!signer) return { signer: null, problems: ['The signing certificate is not included.'] };
+  if (cms.digestAlgorithm !== OIDS.SHA256) problems.push(`Unsupported digest algorithm ${cms.digestAlgorithm}.`);
+  if (!cms.messageDigest || !cms.messageDigest.equals(digest)) problems.push('The message digest does not match the signed content.');
+  if (!cms.signingCertificateHash || !cms.signingCertificateHash.equals(sha256(signer.der))) problems.push('The signing-certificate-v2 attribute does not match the signer.');
+  if (!crypto.verify('sha256', cms.signedAttributes, signer.publicKey, cms.signature)) problems.push('The signature value is invalid.');
+  return { signer, pool, problems };
+};
+
+/**
+ * @function verifyTimestampToken
+ * @desc Checks an RFC 3161 token against the data it claims to timestamp.
+ */
+export const verifyTimestampToken = (tokenDer, data, { trustAnchors = [], certificates = [] } = {}) => {
+  const token = parseSignedData(tokenDer);
+  if (token.contentType !== OIDS.TST_INFO || !token.content) throw cmsError('The timestamp token carries no TSTInfo.');
+  const info = parseTstInfo(token.content);
+  const { signer, pool, problems } = verifySignerInfo(token, sha256(token.content), certificates);
+  if (!signer) return { valid: false, problems };
+  if (info.hashAlgorithm !== OIDS.SHA256 || !info.digest.equals(sha256(data))) problems.push('The timestamp does not cover this signature.');
+  if (!signer.extendedKeyUsage.includes(OIDS.KP_TIMESTAMPING)) problems.push('The timestamp was not issued by a timestamping unit.');
+  if (!validAt(signer, info.genTime)) problems.push('The timestamping certificate was not valid at the timestamp time.');
+  const chain = buildChain(signer, pool, trustAnchors);
+  if (!chain.trusted) problems.push(chain.reason);
+  return { valid: !problems.length, genTime: info.genTime, serial: info.serial, policy: info.policy, tsa: signer.subjectName, chain: chain.chain, problems };
+};
+
+/**
+ * @function verifyCadesSignature
+ * @desc Offline verification of a detached CAdES signature against the digest of the signed bytes.
+ * @param {Buffer} der CMS ContentInfo.
+ * @param {Buffer} digest SHA-256 of the signed content.
+ * @param {Object} options trustAnchors (parsed certificates), extra certificates, CRLs and a claimed signing time.
+ */
+export const verifyCadesSignature = (der, digest, { trustAnchors = [], certificates = [], crls = [], claimedSigningTime } = {}) => {
+  const cms = parseSignedData(der);
+  const { signer, pool, problems } = verifySignerInfo(cms, digest, certificates);
+  if (!signer) return { valid: false, problems };
+
+  let timestamp = null;
+  if (cms.timestampToken) {
+    timestamp = verifyTimestampToken(cms.timestampToken, cms.signature, { trustAnchors, certificates: pool });
+    if (!timestamp.valid) problems.push(...timestamp.problems.map((problem) => `Timestamp: ${problem}`));
+  }
+  const signingTime = timestamp?.valid ? timestamp.genTime : claimedSigningTime ? new Date(claimedSigningTime) : new Date();
+  if (!validAt(signer, signingTime)) problems.push('The signing certificate was not valid at the signing time.');
+
+  const chain = buildChain(signer, pool, trustAnchors);
+  if (!chain.trusted) problems.push(chain.reason);
+  const revocation = chain.trusted ? checkRevocation(chain.chain, crls) : { status: 'UNKNOWN', certificates: [] };
+  if (revocation.status === 'REVOKED') problems.push('A certificate in the chain is revoked.');
+
+  return {
+    valid: !problems.length,
+    signer: {
+      subject: signer.subjectName,
+      issuer: signer.issuerName,
+      serial: signer.serial,
+      fingerprint: signer.fingerprint,
+      notBefore: signer.notBefore,
+      notAfter: signer.notAfter
+    },
+    signingTime,
+    timestamp: timestamp && { valid: timestamp.valid, genTime: timestamp.genTime, tsa: timestamp.tsa, serial: timestamp.serial },
+    chain: chain.chain.map((certificate) => certificate.subjectName),
+    trusted: chain.trusted,
+    revocation,
+    problems
+  };
+};
+
+export default {
+  OIDS,
+  KEY_USAGE,
+  encodeName,
+  keyIdentifier,
+  randomSerial,
+  issueCertificate,
+  parseCertificate,
+  toPem,
+  fromPem,
+  isIssuedBy,
+  issueCrl,
+  parseCrl,
+  createTimestampToken,
+  createCadesSignature,
+  parseSignedData,
+  parseTstInfo,
+  buildChain,
+  checkRevocation,
+  verifyTimestampToken,
+  verifyCadesSignature
+};
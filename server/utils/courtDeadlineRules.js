@@ -0,0 +1,247 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - COURT DEADLINE RULES [V1.0.0-LITIGATION]                                                                                    ║
+ * ║ [COURT DAYS | DIES NON | 16 DEC – 15 JAN RECESS | UNIFORM & MAGISTRATES' COURT RULE TABLES]                                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/courtDeadlineRules.js                                               ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pure calculation layer for litigation deadlines. Periods are counted in court days: the day of the trigger is
+ * excluded, the last day is included, and Saturdays, Sundays and public holidays (dies non) are skipped. Pleading
+ * periods additionally skip 16 December – 15 January. Dates are handled as SAST calendar days (ISO YYYY-MM-DD).
+ */
+
+export const TRIGGER_EVENTS = Object.freeze({
+  SUMMONS_SERVED: 'SUMMONS_SERVED',
+  NOTICE_TO_DEFEND_DELIVERED: 'NOTICE_TO_DEFEND_DELIVERED',
+  PLEA_DELIVERED: 'PLEA_DELIVERED',
+  NOTICE_OF_BAR_SERVED: 'NOTICE_OF_BAR_SERVED',
+  NOTICE_OF_MOTION_SERVED: 'NOTICE_OF_MOTION_SERVED',
+  DISCOVERY_NOTICE_SERVED: 'DISCOVERY_NOTICE_SERVED',
+  JUDGMENT_DELIVERED: 'JUDGMENT_DELIVERED'
+});
+
+/**
+ * Rule tables per court family. `after` chains a rule onto another rule's due date instead of the trigger date.
+ */
+export const DEADLINE_RULES = Object.freeze({
+  HIGH_COURT: Object.freeze([
+    { code: 'NOTICE_OF_INTENTION_TO_DEFEND', trigger: 'SUMMONS_SERVED', days: 10, recess: true, title: 'Deliver notice of intention to defend', reference: 'Uniform Rule 19(1)' },
+    { code: 'PLEA', trigger: 'NOTICE_TO_DEFEND_DELIVERED', days: 20, recess: true, title: 'Deliver plea, exception or application to strike out', reference: 'Uniform Rule 22(1)' },
+    { code: 'REPLICATION', trigger: 'PLEA_DELIVERED', days: 15, recess: true, title: 'Deliver replication', reference: 'Uniform Rule 25(1)' },
+    { code: 'SUMMARY_JUDGMENT', trigger: 'PLEA_DELIVERED', days: 15, recess: true, title: 'Deliver application for summary judgment', reference: 'Uniform Rule 32(2)(a)' },
+    { code: 'PLEA_UNDER_BAR', trigger: 'NOTICE_OF_BAR_SERVED', days: 5, recess: true, title: 'Deliver pleading before bar takes effect', reference: 'Uniform Rule 26' },
+    { code: 'NOTICE_TO_OPPOSE', trigger: 'NOTICE_OF_MOTION_SERVED', days: 5, recess: true, title: 'Deliver notice of intention to oppose', reference: 'Uniform Rule 6(5)(b)(iii)' },
+    { code: 'ANSWERING_AFFIDAVIT', trigger: 'NOTICE_OF_MOTION_SERVED', after: 'NOTICE_TO_OPPOSE', days: 15, recess: true, title: 'Deliver answering affidavit', reference: 'Uniform Rule 6(5)(d)(ii)' },
+    { code: 'REPLYING_AFFIDAVIT', trigger: 'NOTICE_OF_MOTION_SERVED', after: 'ANSWERING_AFFIDAVIT', days: 10, recess: true, title: 'Deliver replying affidavit', reference: 'Uniform Rule 6(5)(e)' },
+    { code: 'DISCOVERY_AFFIDAVIT', trigger: 'DISCOVERY_NOTICE_SERVED', days: 20, recess: true, title: 'Make discovery on oath', reference: 'Uniform Rule 35(2)' },
+    { code: 'LEAVE_TO_APPEAL', trigger: 'JUDGMENT_DELIVERED', days: 15, recess: false, title: 'Apply for leave to appeal', reference: 'Uniform Rule 49(1)(b)' }
+  ]),
+  MAGISTRATES_COURT: Object.freeze([
+    { code: 'NOTICE_OF_INTENTION_TO_DEFEND', trigger: 'SUMMONS_SERVED', days: 10, recess: true, title: 'Deliver notice of intention to defend', reference: 'MC Rule 13(1)' },
+    { code: 'PLEA', trigger: 'NOTICE_TO_DEFEND_DELIVERED', days: 20, recess: true, title: 'Deliver plea, exception or application to strike out', reference: 'MC Rule 17(1)' },
+    { code: 'REPLICATION', trigger: 'PLEA_DELIVERED', days: 15, recess: true, title: 'Deliver replication', reference: 'MC Rule 21(1)' },
+    { code: 'SUMMARY_JUDGMENT', trigger: 'PLEA_DELIVERED', days: 15, recess: true, title: 'Deliver application for summary judgment', reference: 'MC Rule 14(2)(a)' },
+    { code: 'PLEA_UNDER_BAR', trigger: 'NOTICE_OF_BAR_SERVED', days: 5, recess: true, title: 'Deliver pleading before bar takes effect', reference: 'MC Rule 12(1)(b)' },
+    { code: 'NOTICE_TO_OPPOSE', trigger: 'NOTICE_OF_MOTION_SERVED', days: 5, recess: true, title: 'Deliver notice of intention to oppose', reference: 'MC Rule 55(1)(g)' },
+    { code: 'ANSWERING_AFFIDAVIT', trigger: 'NOTICE_OF_MOTION_SERVED', after: 'NOTICE_TO_OPPOSE', days: 15, recess: true, title: 'Deliver answering affidavit', reference: 'MC Rule 55(1)(j)' },
+    { code: 'REPLYING_AFFIDAVIT', trigger: 'NOTICE_OF_MOTION_SERVED', after: 'ANSWERING_AFFIDAVIT', days: 10, recess: true, title: 'Deliver replying affidavit', reference: 'MC Rule 55(1)(k)' },
+    { code: 'DISCOVERY_AFFIDAVIT', trigger: 'DISCOVERY_NOTICE_SERVED', days: 20, recess: true, title: 'Make discovery on oath', reference: 'MC Rule 23(1)' },
+    { code: 'NOTICE_OF_APPEAL', trigger: 'JUDGMENT_DELIVERED', days: 20, recess: false, title: 'Note appeal against judgment', reference: 'MC Rule 51(3)' }
+  ])
+});
+
+/**
+ * Court tiers (models/Court.js COURT_TIERS) and Matter.courtDetails.court values mapped onto a rule table.
+ */
+const RULE_FAMILY_BY_COURT = Object.freeze({
+  constitutional: 'HIGH_COURT',
+  supreme_appeal: 'HIGH_COURT',
+  high: 'HIGH_COURT',
+  specialist: 'HIGH_COURT',
+  magistrate: 'MAGISTRATES_COURT',
+  constitutional_court: 'HIGH_COURT',
+  supreme_court_appeal: 'HIGH_COURT',
+  high_court: 'HIGH_COURT',
+  magistrates_court: 'MAGISTRATES_COURT'
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAST_OFFSET_MS = 2 * 60 * 60 * 1000;
+const holidayCache = new Map();
+
+/**
+ * @function toCourtDate
+ * @desc Normalises a Date or date string to the SAST calendar day it falls on (YYYY-MM-DD).
+ */
+export const toCourtDate = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error('LITIGATION_ERROR: Invalid date');
+  return new Date(date.getTime() + SAST_OFFSET_MS).toISOString().slice(0, 10);
+};
+
+const shift = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const weekday = (isoDate) => new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+
+/**
+ * @function easterSunday
+ * @desc Gregorian Easter (anonymous algorithm).
+ */
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * @function publicHolidays
+ * @desc Public Holidays Act days for a year, with a Sunday holiday observed on the Monday. Once-off proclaimed
+ *       days (e.g. election days) are passed to the counting functions as `extraDiesNon`.
+ */
+export const publicHolidays = (year) => {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const fixed = ['01-01', '03-21', '04-27', '05-01', '06-16', '08-09', '09-24', '12-16', '12-25', '12-26'].map((md) => `${year}-${md}`);
+  const easter = easterSunday(year);
+  const days = new Set([...fixed, shift(easter, -2), shift(easter, 1)]);
+
+  for (const day of fixed) {
+    if (weekday(day) === 0) days.add(shift(day, 1));
+  }
+
+  holidayCache.set(year, days);
+  return days;
+};
+
+/**
+ * @function isInRecess
+ * @desc True for 16 December to 15 January inclusive.
+ */
+export const isInRecess = (value) => {
+  const [, month, day] = toCourtDate(value).split('-').map(Number);
+  return (month === 12 && day >= 16) || (month === 1 && day <= 15);
+};
+
+/**
+ * @function isCourtDay
+ * @desc False on weekends, public holidays and any additional dies non supplied by the caller.
+ */
+export const isCourtDay = (value, { extraDiesNon = [] } = {}) => {
+  const iso = toCourtDate(value);
+  const dow = weekday(iso);
+  if (dow === 0 || dow === 6) return false;
+  if (publicHolidays(Number(iso.slice(0, 4))).has(iso)) return false;
+  return !extraDiesNon.map(toCourtDate).includes(iso);
+};
+
+/**
+ * @function addCourtDays
+ * @desc Counts `days` court days after `start` (start excluded, last day included).
+ */
+export const addCourtDays = (start, days, { excludeRecess = true, extraDiesNon = [] } = {}) => {
+  if (!Number.isInteger(days) || days < 1) throw new Error('LITIGATION_ERROR: days must be a positive whole number');
+  let cursor = toCourtDate(start);
+  let counted = 0;
+  while (counted < days) {
+    cursor = shift(cursor, 1);
+    if (!isCourtDay(cursor, { extraDiesNon })) continue;
+    if (excludeRecess && isInRecess(cursor)) continue;
+    counted += 1;
+  }
+  return cursor;
+};
+
+/**
+ * @function resolveRuleFamily
+ * @desc Maps a court tier or Matter court value to its rule table key; throws for courts without a table.
+ */
+export const resolveRuleFamily = (courtTier) => {
+  const family = RULE_FAMILY_BY_COURT[String(courtTier || '').toLowerCase()];
+  if (!family) throw new Error(`LITIGATION_ERROR: No deadline rules for court type "${courtTier}"`);
+  return family;
+};
+
+/**
+ * @function computeDeadlines
+ * @desc Every deadline dependent on a trigger event, in rule-table order.
+ * @returns {Array<{ruleCode, title, reference, days, anchor, dueDate}>} dueDate as YYYY-MM-DD
+ */
+export const computeDeadlines = ({ triggerEvent, triggerDate, courtTier, extraDiesNon = [] }) => {
+  if (!TRIGGER_EVENTS[triggerEvent]) throw new Error(`LITIGATION_ERROR: Unknown trigger event "${triggerEvent}"`);
+  const rules = DEADLINE_RULES[resolveRuleFamily(courtTier)].filter((rule) => rule.trigger === triggerEvent);
+  const start = toCourtDate(triggerDate);
+  const due = {};
+
+  return rules.map((rule) => {
+    const anchor = rule.after ? due[rule.after] : start;
+    due[rule.code] = addCourtDays(anchor, rule.days, { excludeRecess: rule.recess, extraDiesNon });
+    return {
+      ruleCode: rule.code,
+      title: rule.title,
+      reference: rule.reference,
+      days: rule.days,
+      anchor: rule.after || triggerEvent,
+      dueDate: due[rule.code]
+    };
+  });
+};
+
+/**
+ * @function reconcileDeadlines
+ * @desc Rebuilds the rule-generated part of a matter's deadline list from its triggers. Manual deadlines are kept
+ *       untouched; a generated deadline that still applies keeps its id, assignee, reminders and completion state,
+ *       and an overdue one is reopened against its recalculated date.
+ */
+export const reconcileDeadlines = (existing = [], triggers = [], { extraDiesNon = [] } = {}) => {
+  const manual = existing.filter((deadline) => !deadline.triggerId);
+  const previous = new Map(existing.filter((deadline) => deadline.triggerId)
+    .map((deadline) => [`${deadline.triggerId}:${deadline.ruleCode}`, deadline]));
+
+  const generated = triggers.flatMap((trigger) =>
+    computeDeadlines({ ...trigger, triggerEvent: trigger.event, extraDiesNon }).map((computed) => {
+      const prior = previous.get(`${trigger.triggerId}:${computed.ruleCode}`) || {};
+      return {
+        ...(prior.deadlineId && { deadlineId: prior.deadlineId }),
+        title: computed.title,
+        description: `${computed.days} court days after ${computed.anchor.replace(/_/g, ' ').toLowerCase()}`,
+        dueDate: new Date(`${computed.dueDate}T00:00:00Z`),
+        status: ['completed', 'waived'].includes(prior.status) ? prior.status : 'pending',
+        completedDate: prior.completedDate,
+        assignedTo: prior.assignedTo,
+        courtOrder: false,
+        courtReference: computed.reference,
+        reminderDays: prior.reminderDays?.length ? prior.reminderDays : [7, 3, 1],
+        triggerId: trigger.triggerId,
+        ruleCode: computed.ruleCode
+      };
+    }));
+
+  return [...manual, ...generated];
+};
+
+export default {
+  TRIGGER_EVENTS,
+  DEADLINE_RULES,
+  toCourtDate,
+  publicHolidays,
+  isInRecess,
+  isCourtDay,
+  addCourtDays,
+  resolveRuleFamily,
+  computeDeadlines,
+  reconcileDeadlines
+};
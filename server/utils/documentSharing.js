@@ -0,0 +1,156 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - EXTERNAL DOCUMENT SHARING RULES [V1.0.0-SHARING]                                                                            ║
+ * ║ [SHARE REQUESTS | EXPIRY | PASSWORD OR OTP | DOWNLOAD LIMITS | VIEW-ONLY | REVOCATION]                                                 ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/documentSharing.js                                                  ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pure rules behind services/documentShareService.js. Link tokens, session tokens and codes are hashed with the
+ * helpers from utils/signingCeremony.js; share passwords are bcrypt-hashed by the service.
+ */
+
+export const SHARE_PROTECTION = Object.freeze({ PASSWORD: 'password', OTP: 'otp' });
+
+export const SHARE_STATUS = Object.freeze({ ACTIVE: 'ACTIVE', EXPIRED: 'EXPIRED', REVOKED: 'REVOKED' });
+
+// Document.auditLog actions, one per step an outside party (or the owner) takes with a share
+export const SHARE_EVENTS = Object.freeze({
+  CREATED: 'SHARED',
+  OPENED: 'SHARE_OPENED',
+  CODE_SENT: 'SHARE_CODE_SENT',
+  VERIFIED: 'SHARE_VERIFIED',
+  DENIED: 'SHARE_DENIED',
+  VIEWED: 'SHARE_VIEWED',
+  DOWNLOADED: 'SHARE_DOWNLOADED',
+  REVOKED: 'SHARE_REVOKED'
+});
+
+export const SHARE_LIMITS = Object.freeze({
+  DEFAULT_TTL_DAYS: 7,
+  MAX_TTL_DAYS: 90,
+  SESSION_TTL_MS: 30 * 60000,
+  PASSWORD_MIN_LENGTH: 8,
+  PASSWORD_MAX_LENGTH: 128,
+  // Wrong passwords in a row before the link is locked for LOCKOUT_MS
+  PASSWORD_MAX_ATTEMPTS: 5,
+  LOCKOUT_MS: 15 * 60000,
+  MAX_DOWNLOADS: 100,
+  MESSAGE_MAX_LENGTH: 1000
+});
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[\d\s()-]{9,20}$/;
+
+const shareError = (message) => new Error(`SHARE_ERROR: ${message}`);
+
+/**
+ * @function normaliseShareRequest
+ * @desc Validates what the owner asked for and fills in the defaults: OTP protection unless a password is given,
+ *       a week's expiry, downloads allowed without limit. A view-only share allows no downloads at all.
+ * @param {Object} input - { email, name?, phone?, protection?, password?, expiresAt? | expiresInDays?, viewOnly?, maxDownloads?, message? }
+ * @returns {Object} { recipient: { email, name, phone }, protection, password, expiresAt, viewOnly, maxDownloads, message }
+ */
+export const normaliseShareRequest = (input = {}, now = new Date()) => {
+  const email = String(input.email || '').trim().toLowerCase();
+  if (!EMAIL.test(email)) throw shareError('Give the email address of the person the document is shared with.');
+  const phone = input.phone ? String(input.phone).trim() : undefined;
+  if (phone && !PHONE.test(phone)) throw shareError('phone must be a phone number.');
+
+  const protection = input.protection || (input.password ? SHARE_PROTECTION.PASSWORD : SHARE_PROTECTION.OTP);
+  if (!Object.values(SHARE_PROTECTION).includes(protection)) {
+    throw shareError(`protection must be one of ${Object.values(SHARE_PROTECTION).join(', ')}.`);
+  }
+  let password;
+  if (protection === SHARE_PROTECTION.PASSWORD) {
+    password = String(input.password || '');
+    if (password.length < SHARE_LIMITS.PASSWORD_MIN_LENGTH || password.length > SHARE_LIMITS.PASSWORD_MAX_LENGTH) {
+      throw shareError(`A share password must be ${SHARE_LIMITS.PASSWORD_MIN_LENGTH} to ${SHARE_LIMITS.PASSWORD_MAX_LENGTH} characters.`);
+    }
+  } else if (input.password) {
+    throw shareError('A password cannot be set on a share protected by one-time code.');
+  }
+
+  const latest = now.getTime() + SHARE_LIMITS.MAX_TTL_DAYS * 86400000;
+  let expiresAt;
+  if (input.expiresAt !== undefined && input.expiresAt !== null && input.expiresAt !== '') {
+    expiresAt = new Date(input.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) throw shareError('expiresAt must be a date.');
+    if (expiresAt <= now) throw shareError('expiresAt must be in the future.');
+    if (expiresAt.getTime() > latest) throw shareError(`A share can last at most ${SHARE_LIMITS.MAX_TTL_DAYS} days.`);
+  } else {
+    const days = input.expiresInDays === undefined ? SHARE_LIMITS.DEFAULT_TTL_DAYS : Number(input.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > SHARE_LIMITS.MAX_TTL_DAYS) {
+      throw shareError(`expiresInDays must be a whole number from 1 to ${SHARE_LIMITS.MAX_TTL_DAYS}.`);
+    }
+    expiresAt = new Date(now.getTime() + days * 86400000);
+  }
+
+  const viewOnly = input.viewOnly === true || input.viewOnly === 'true';
+  let maxDownloads = null;
+  if (viewOnly) {
+    maxDownloads = 0;
+  } else if (input.maxDownloads !== undefined && input.maxDownloads !== null && input.maxDownloads !== '') {
+    maxDownloads = Number(input.maxDownloads);
+    if (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > SHARE_LIMITS.MAX_DOWNLOADS) {
+      throw shareError(`maxDownloads must be a whole number from 1 to ${SHARE_LIMITS.MAX_DOWNLOADS}; leave it out for no limit.`);
+    }
+  }
+
+  const message = input.message ? String(input.message).trim() : undefined;
+  if (message && message.length > SHARE_LIMITS.MESSAGE_MAX_LENGTH) {
+    throw shareError(`The message can be at most ${SHARE_LIMITS.MESSAGE_MAX_LENGTH} characters.`);
+  }
+
+  return {
+    recipient: { email, name: input.name ? String(input.name).trim() : undefined, phone },
+    protection,
+    password,
+    expiresAt,
+    viewOnly,
+    maxDownloads,
+    message
+  };
+};
+
+/**
+ * @function shareStatus
+ * @desc ACTIVE, or why the share no longer opens. Revocation wins over expiry.
+ */
+export const shareStatus = (share = {}, now = new Date()) => {
+  if (share.revokedAt) return SHARE_STATUS.REVOKED;
+  if (!share.expiresAt || new Date(share.expiresAt) <= now) return SHARE_STATUS.EXPIRED;
+  return SHARE_STATUS.ACTIVE;
+};
+
+/**
+ * @function downloadAllowance
+ * @desc Whether the share allows another download, and how many are left (null when unlimited).
+ * @returns {{ allowed: boolean, reason?: 'VIEW_ONLY'|'LIMIT_REACHED', remaining: number|null }}
+ */
+export const downloadAllowance = (share = {}) => {
+  if (share.viewOnly) return { allowed: false, reason: 'VIEW_ONLY', remaining: 0 };
+  if (share.maxDownloads === null || share.maxDownloads === undefined) return { allowed: true, remaining: null };
+  const remaining = Math.max(share.maxDownloads - (share.downloadCount || 0), 0);
+  return remaining > 0 ? { allowed: true, remaining } : { allowed: false, reason: 'LIMIT_REACHED', remaining: 0 };
+};
+
+/**
+ * @function passwordLock
+ * @desc Whether wrong passwords have locked the link, and until when.
+ */
+export const passwordLock = (share = {}, now = new Date()) => (share.lockedUntil && new Date(share.lockedUntil) > now
+  ? { locked: true, until: new Date(share.lockedUntil) }
+  : { locked: false });
+
+export default {
+  SHARE_PROTECTION,
+  SHARE_STATUS,
+  SHARE_EVENTS,
+  SHARE_LIMITS,
+  normaliseShareRequest,
+  shareStatus,
+  downloadAllowance,
+  passwordLock
+};
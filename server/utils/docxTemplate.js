@@ -0,0 +1,431 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DOCX TEMPLATE ASSEMBLY [V1.0.0-DOCX]                                                                                        ║
+ * ║ [MERGE FIELDS | CONDITIONAL CLAUSES | REPEATING ROWS | SA LEGAL NUMBER AND DATE FORMATS | MISSING FIELD REPORTS | MATTER DATA]         ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/docxTemplate.js                                                     ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Word precedents are authored with docxtemplater tags:
+ *   {matter.caseNumber}                      merge field
+ *   {claim.amount | currency}                formatted field (filters below, chained with |)
+ *   {#isUrgent}...{/isUrgent}                clause kept when the value is truthy; {^isUrgent} when falsy
+ *   {#matter.type == "litigation"}...{/}     clause kept when the comparison holds (== or !=)
+ *   {#parties}{name}{role}{/parties}         repeated paragraph, or table row when the tags sit in one row
+ * Pure functions; services/docxTemplateService.js stores the precedents and gathers matter data.
+ */
+
+import PizZip from 'pizzip';
+import Docxtemplater from 'docxtemplater';
+
+// Marker left where a field has no value, the usual blank in South African drafting
+export const BLANK_MARKER = '[●]';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const UNITS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve',
+  'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+
+const templateError = (message, details) => {
+  const error = new Error(`DOCX_TEMPLATE_ERROR: ${message}`);
+  if (details) error.details = details;
+  return error;
+};
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Digits grouped in threes with spaces and a decimal comma: 1 250 000,00
+const groupDigits = (value, decimals) => {
+  const [whole, fraction] = Math.abs(value).toFixed(decimals).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+  return `${value < 0 ? '-' : ''}${grouped}${fraction ? `,${fraction}` : ''}`;
+};
+
+const ordinal = (day) => {
+  const teen = day % 100 >= 11 && day % 100 <= 13;
+  return `${day}${teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th')}`;
+};
+
+const belowThousand = (n) => {
+  const words = [];
+  if (n >= 100) {
+    words.push(`${UNITS[Math.floor(n / 100)]} hundred`);
+    n %= 100;
+    if (n) words.push('and');
+  }
+  if (n >= 20) words.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${UNITS[n % 10]}` : ''));
+  else if (n || !words.length) words.push(UNITS[n]);
+  return words.join(' ');
+};
+
+/**
+ * @function numberToWords
+ * @desc Whole numbers in British English words, as used for amounts in agreements ("one thousand two hundred and fifty").
+ */
+export const numberToWords = (value) => {
+  let n = Math.floor(Math.abs(Number(value)));
+  if (n === 0) return 'zero';
+  const words = [];
+  for (const [size, name] of SCALES) {
+    if (n >= size) {
+      words.push(`${belowThousand(Math.floor(n / size))} ${name}`);
+      n %= size;
+    }
+  }
+  if (n) words.push(`${words.length && n < 100 ? 'and ' : ''}${belowThousand(n)}`);
+  return `${Number(value) < 0 ? 'minus ' : ''}${words.join(' ')}`;
+};
+
+/**
+ * Formatting filters. Each takes the value and an optional argument ({amount | currency:"USD"}) and returns text.
+ */
+export const DOCX_FILTERS = Object.freeze({
+  // R1 250 000,00
+  currency: (value, symbol = 'R') => (Number.isFinite(Number(value)) ? `${symbol}${groupDigits(Number(value), 2)}` : value),
+  // 1 250 000 or, with decimals, 1 250 000,50
+  number: (value, decimals = 0) => (Number.isFinite(Number(value)) ? groupDigits(Number(value), Number(decimals)) : value),
+  // 15,5%
+  percent: (value, decimals = 1) => (Number.isFinite(Number(value)) ? `${groupDigits(Number(value), Number(decimals))}%` : value),
+  // one million two hundred and fifty thousand rand and fifty cents
+  amountInWords: (value, currency = 'rand') => {
+    if (!Number.isFinite(Number(value))) return value;
+    const cents = Math.round(Math.abs(Number(value)) * 100) % 100;
+    return `${numberToWords(value)} ${currency}${cents ? ` and ${numberToWords(cents)} cent${cents === 1 ? '' : 's'}` : ''}`;
+  },
+  words: (value) => (Number.isFinite(Number(value)) ? numberToWords(value) : value),
+  // 2026-03-05 (SANS 8601 numeric date)
+  date: (value) => { const d = toDate(value); return d ? d.toISOString().slice(0, 10) : value; },
+  // 5 March 2026
+  longDate: (value) => { const d = toDate(value); return d ? `${d.getUTCDate()} ${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}` : value; },
+  // the 5th day of March 2026
+  legalDate: (value) => { const d = toDate(value); return d ? `the ${ordinal(d.getUTCDate())} day of ${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}` : value; },
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  title: (value) => String(value).toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase()),
+  // "A, B and C" from a list, optionally of one property: {parties | join:"name"}
+  join: (value, property) => {
+    if (!Array.isArray(value)) return value;
+    const items = value.map((item) => (property ? item?.[property] : item)).filter((item) => item != null && item !== '');
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join('');
+  },
+  count: (value) => (Array.isArray(value) ? value.length : value)
+});
+
+const LITERAL = /^(?:"([^"]*)"|'([^']*)'|(-?\d+(?:\.\d+)?)|(true|false|null))$/;
+const PATH = /^(?:\.|[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[\d+\])*)$/;
+
+const literalValue = (text) => {
+  const match = LITERAL.exec(text.trim());
+  if (!match) return undefined;
+  if (match[1] !== undefined || match[2] !== undefined) return match[1] ?? match[2];
+  if (match[3] !== undefined) return Number(match[3]);
+  return { true: true, false: false, null: null }[match[4]];
+};
+
+// Splits on a separator outside quotes
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim());
+};
+
+/**
+ * @function parseTag
+ * @desc Parses a tag body into a path, an optional comparison and filters.
+ * @returns {{ path: string, negate: boolean, compare?: { op: '=='|'!=', value: * }, filters: Array<{ name, arg }> }}
+ */
+export const parseTag = (tag) => {
+  // Word swaps straight quotes for curly ones as the author types
+  const [expression, ...filterParts] = splitOutsideQuotes(String(tag).replace(/[“”]/g, '"').replace(/[‘’]/g, "'").trim(), '|');
+  let body = expression;
+  const negate = body.startsWith('!');
+  if (negate) body = body.slice(1).trim();
+
+  let compare;
+  const comparison = /^(.+?)\s*(==|!=)\s*(.+)$/.exec(body);
+  if (comparison) {
+    const value = literalValue(comparison[3]);
+    if (value === undefined) throw templateError(`"${tag}" compares with something other than a quoted text, number, true, false or null`);
+    body = comparison[1].trim();
+    compare = { op: comparison[2], value };
+  }
+  if (!PATH.test(body)) throw templateError(`"${tag}" is not a field name`);
+
+  const filters = filterParts.map((part) => {
+    const [name, ...args] = splitOutsideQuotes(part, ':');
+    if (!DOCX_FILTERS[name]) throw templateError(`"${tag}" uses an unknown format "${name}". Known: ${Object.keys(DOCX_FILTERS).join(', ')}`);
+    const arg = args.length ? literalValue(args.join(':')) : undefined;
+    return { name, arg: arg === undefined && args.length ? args.join(':') : arg };
+  });
+  return { path: body, negate, compare, filters };
+};
+
+/**
+ * @function resolvePath
+ * @desc Reads a dotted/indexed path ("parties[0].name") from a scope; "." is the scope itself.
+ */
+export const resolvePath = (scope, path) => {
+  if (path === '.') return scope;
+  return path.split(/\.|\[(\d+)\]/).filter((key) => key !== undefined && key !== '').reduce(
+    (value, key) => (value == null ? undefined : value[key]),
+    scope
+  );
+};
+
+const evaluate = (parsed, scope) => {
+  let value = resolvePath(scope, parsed.path);
+  // Undefined lets docxtemplater look in the enclosing scope, then report the field as missing
+  if (value === undefined) return undefined;
+  if (parsed.compare) {
+    const equal = value === parsed.compare.value || (value != null && String(value) === String(parsed.compare.value));
+    value = parsed.compare.op === '==' ? equal : !equal;
+  }
+  if (parsed.negate) value = !value;
+  if (value === null) return undefined;
+  return parsed.filters.reduce((result, filter) => DOCX_FILTERS[filter.name](result, filter.arg), value);
+};
+
+// docxtemplater parser: tags are parsed once, then evaluated per scope
+const tagParser = (tag) => {
+  const parsed = parseTag(tag);
+  return { get: (scope) => evaluate(parsed, scope) };
+};
+
+const loadZip = (buffer) => {
+  try {
+    return new PizZip(buffer);
+  } catch (error) {
+    throw templateError('The file is not a Word (.docx) document.');
+  }
+};
+
+const compile = (buffer, options = {}) => {
+  try {
+    return new Docxtemplater(loadZip(buffer), { paragraphLoop: true, linebreaks: true, errorLogging: false, parser: tagParser, ...options });
+  } catch (error) {
+    throw describeError(error);
+  }
+};
+
+// docxtemplater reports template faults together; keep the tag and explanation of each
+const describeError = (error) => {
+  if (error.message?.startsWith('DOCX_TEMPLATE_ERROR')) return error;
+  const faults = (error.properties?.errors || [error]).map((fault) => ({
+    tag: fault.properties?.xtag || fault.properties?.id,
+    explanation: fault.properties?.rootError?.message?.replace(/^DOCX_TEMPLATE_ERROR: /, '') || fault.properties?.explanation || fault.message
+  }));
+  return templateError(faults.map((fault) => fault.explanation).join('; '), faults);
+};
+
+const fieldKind = (part) => {
+  if (part.module === 'loop') return part.inverted ? 'inverted' : 'section';
+  if (part.module === 'rawxml') return 'raw';
+  return 'field';
+};
+
+// The path a missing value would have had, including loop positions: parties[1].idNumber. A condition keeps its
+// enclosing scope, so it adds nothing to the path; an object section adds its name and a list its name and position.
+const scopedPath = (part, scopeManager) => {
+  const { scopePath = [], scopePathItem = [], scopeTypes = [], scopeList = [] } = scopeManager || {};
+  const scopes = scopePath
+    .map((name, index) => {
+      if (scopeList[index + 1] === scopeList[index]) return null;
+      const { path } = parseTag(name);
+      return scopeTypes[index] === 'array' ? `${path}[${scopePathItem[index]}]` : path;
+    })
+    .filter(Boolean);
+  return [...scopes, parseTag(part.value).path].join('.');
+};
+
+/**
+ * @function inspectDocxTemplate
+ * @desc The tags used in a template, nested under the sections that contain them.
+ * @returns {Array<{ tag, path, kind: 'field'|'section'|'inverted'|'raw', filters: string[], children? }>}
+ */
+export const inspectDocxTemplate = (buffer) => {
+  const doc = compile(buffer);
+  const walk = (parts) => parts
+    .filter((part) => part.type === 'placeholder')
+    .map((part) => {
+      const parsed = parseTag(part.value);
+      const entry = { tag: part.value, path: parsed.path, kind: fieldKind(part), filters: parsed.filters.map((filter) => filter.name) };
+      if (parsed.compare) entry.compare = parsed.compare;
+      if (part.subparsed) entry.children = walk(part.subparsed);
+      return entry;
+    });
+  return Object.values(doc.compiled).flatMap((file) => walk(file.postparsed));
+};
+
+/**
+ * @function renderDocx
+ * @desc Merges data into a template. Empty fields get BLANK_MARKER and are reported; sections whose value is missing
+ *       are left out and reported separately, since a clause switched off and a clause forgotten look the same.
+ * @returns {{ buffer: Buffer, missing: Array<{ path, tag }>, missingSections: Array<{ path, tag }> }}
+ */
+export const renderDocx = (buffer, data = {}, { blank = BLANK_MARKER } = {}) => {
+  const missing = [];
+  const missingSections = [];
+  const doc = compile(buffer, {
+    nullGetter: (part, scopeManager) => {
+      const entry = { path: scopedPath(part, scopeManager), tag: part.value };
+      if (part.module === 'loop') {
+        // {#x} and {^x} on the same value are one decision
+        if (!missingSections.some((section) => section.path === entry.path)) missingSections.push(entry);
+        return false;
+      }
+      missing.push(entry);
+      return part.module === 'rawxml' ? '' : blank;
+    }
+  });
+  try {
+    doc.render(data);
+  } catch (error) {
+    throw describeError(error);
+  }
+  return {
+    buffer: doc.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' }),
+    missing,
+    missingSections
+  };
+};
+
+/**
+ * @function docxText
+ * @desc Plain text of a document's body, paragraph per line; used for search and the template's content hash.
+ */
+export const docxText = (buffer) => {
+  const xml = loadZip(buffer).file('word/document.xml')?.asText() || '';
+  return xml
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:br\/>|<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+    .trim();
+};
+
+const PARTY_ROLES = ['plaintiff', 'defendant', 'applicant', 'respondent', 'appellant', 'intervenor', 'third_party', 'amicus', 'witness'];
+
+// CaseParty types read INDIVIDUAL_PLAINTIFF, CORPORATE_RESPONDENT...; matter parties use plain roles
+const partyRole = (type = '') => {
+  const lower = String(type).toLowerCase();
+  if (lower === 'respondent_appeal') return 'respondent';
+  return PARTY_ROLES.find((role) => lower.endsWith(role)) || lower || 'party';
+};
+
+const label = (text) => String(text || '').replace(/_/g, ' ').replace(/(^|\s)\p{L}/gu, (match) => match.toUpperCase());
+
+const oneLine = (address) => (address && typeof address === 'object'
+  ? ['street', 'suburb', 'city', 'province', 'postalCode'].map((key) => address[key]).filter(Boolean).join(', ')
+  : address || undefined);
+
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+/**
+ * @function matterMergeData
+ * @desc The data a matter offers its templates: matter, court, client, attorney, parties (plus one list per role:
+ *       plaintiffs, defendants...) and today. Parties are CaseParty records, or the matter's own parties without them.
+ */
+export const matterMergeData = ({ matter = {}, parties = [], court, now = new Date() } = {}) => {
+  const people = parties.map((party) => {
+    const id = party.identification || {};
+    const role = partyRole(party.partyType || party.role);
+    return compact({
+      name: party.name || [id.firstName, id.lastName].filter(Boolean).join(' ') || id.companyName,
+      role,
+      roleLabel: label(role),
+      idNumber: id.idNumber || party.idNumber,
+      registrationNumber: id.registrationNumber,
+      email: party.contact?.email || party.email,
+      phone: party.contact?.phone || party.phone,
+      address: oneLine(party.contact?.address || id.registeredAddress || party.address),
+      firm: party.representedBy?.firm || party.representation?.firmName,
+      attorneyNumber: party.representation?.attorneyNumber
+    });
+  });
+
+  const byRole = {};
+  for (const person of people) {
+    const key = person.role.endsWith('y') ? `${person.role.slice(0, -1)}ies` : `${person.role}s`;
+    (byRole[key] = byRole[key] || []).push(person);
+  }
+  const details = matter.courtDetails || {};
+  const primary = matter.parties?.find((party) => party.partyId && party.partyId === matter.primaryClient?.partyId);
+
+  return {
+    today: now,
+    matter: compact({
+      number: matter.matterNumber,
+      title: matter.title,
+      type: matter.matterType,
+      description: matter.description,
+      openedDate: matter.openedDate,
+      caseNumber: details.caseNumber,
+      judge: details.judge,
+      magistrate: details.magistrate,
+      filingDate: details.filingDate,
+      nextHearingDate: details.nextHearingDate,
+      value: matter.financials?.estimatedValue,
+      currency: matter.financials?.currency
+    }),
+    court: compact({
+      name: court?.name || (details.court ? label(details.court) : undefined),
+      shortName: court?.shortName,
+      tier: court?.tier,
+      address: oneLine(court?.location?.physicalAddress),
+      registrar: court?.registry?.registrar,
+      email: court?.registry?.email || court?.location?.email,
+      telephone: court?.registry?.telephone || court?.location?.telephone?.[0],
+      registry: details.registry
+    }),
+    attorney: compact({ name: matter.responsibleAttorney?.name, attorneyNumber: matter.responsibleAttorney?.attorneyNumber }),
+    client: primary ? compact({ name: primary.name, role: partyRole(primary.role) }) : (people.find((person) => person.role === 'client') || {}),
+    parties: people,
+    ...byRole
+  };
+};
+
+/**
+ * @function mergeData
+ * @desc Caller data over matter data; objects one level deep are merged so { matter: { caseNumber } } keeps the rest.
+ */
+export const mergeData = (base = {}, overrides = {}) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const plain = (item) => item && typeof item === 'object' && !Array.isArray(item) && !(item instanceof Date);
+    merged[key] = plain(value) && plain(base[key]) ? { ...base[key], ...value } : value;
+  }
+  return merged;
+};
+
+export default {
+  BLANK_MARKER,
+  DOCX_FILTERS,
+  numberToWords,
+  parseTag,
+  resolvePath,
+  inspectDocxTemplate,
+  renderDocx,
+  docxText,
+  matterMergeData,
+  mergeData
+};
@@ -1,93 +1,133 @@
-#!/*
- * Legal hold manager for litigation and investigation holds
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - LEGAL HOLD SCOPE RULES [V2.0.0-HOLD]                                                                                        ║
+ * ║ [MATTER | CUSTODIAN | DATE RANGE | DOCUMENT TYPE | REMINDER CADENCE]                                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/legalHold.js                                                        ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Holds are persisted in models/LegalHold.js; these pure rules decide what a hold covers. Every criterion a hold sets
+ * must match, and a criterion it leaves empty matches anything, so "matter X, custodian Y, 2024" narrows as expected.
  */
-class LegalHoldManager {
-  constructor() {
-    this.holds = new Map();
-    this.affectedRecords = new Map();
-  }
-
-  createHold(holdId, metadata) {
-    this.holds.set(holdId, {
-      id: holdId,
-      createdAt: new Date().toISOString(),
-      createdBy: metadata.createdBy || 'SYSTEM',
-      reason: metadata.reason || 'Legal hold',
-      caseReference: metadata.caseReference,
-      expiresAt: metadata.expiresAt || null,
-      status: 'ACTIVE',
-      affectedRecordCount: 0,
-    });
-    return this.holds.get(holdId);
-  }
-
-  placeHoldOnRecord(holdId, recordType, recordId) {
-    if (!this.holds.has(holdId)) {
-      throw new Error(`Legal hold ${holdId} does not exist`);
-    }
-
-    const key = `${recordType}:${recordId}`;
-    if (!this.affectedRecords.has(key)) {
-      this.affectedRecords.set(key, new Set());
-    }
 
-    this.affectedRecords.get(key).add(holdId);
+export const HOLD_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  RELEASED: 'RELEASED'
+});
 
-    // Increment hold counter
-    const hold = this.holds.get(holdId);
-    hold.affectedRecordCount++;
+export const CUSTODIAN_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  ACKNOWLEDGED: 'ACKNOWLEDGED',
+  RELEASED: 'RELEASED'
+});
 
-    return true;
-  }
-
-  isRecordOnHold(recordType, recordId) {
-    const key = `${recordType}:${recordId}`;
-    if (!this.affectedRecords.has(key)) return false;
-
-    // Check if any holds are still active
-    const holdIds = this.affectedRecords.get(key);
-    for (const holdId of holdIds) {
-      const hold = this.holds.get(holdId);
-      if (hold && hold.status === 'ACTIVE') {
-        return true;
-      }
-    }
-    return false;
-  }
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-  getHoldsForRecord(recordType, recordId) {
-    const key = `${recordType}:${recordId}`;
-    const holdIds = this.affectedRecords.get(key) || new Set();
-    const holds = [];
+const holdError = (message) => {
+  const error = new Error(`LEGAL_HOLD_ERROR: ${message}`);
+  error.status = 400;
+  return error;
+};
 
-    for (const holdId of holdIds) {
-      const hold = this.holds.get(holdId);
-      if (hold) holds.push(hold);
-    }
+const ids = (values) => [...new Set((values || []).filter(Boolean).map(String))];
+const toDate = (value) => (value ? new Date(value) : null);
 
-    return holds;
+/**
+ * @function normaliseScope
+ * @desc Validates and canonicalises a hold scope. A hold must name at least one matter or custodian.
+ * @returns {{ matterIds: string[], custodianIds: string[], dateFrom: Date|null, dateTo: Date|null, documentTypes: string[] }}
+ */
+export const normaliseScope = (scope = {}) => {
+  const normalised = {
+    matterIds: ids(scope.matterIds),
+    custodianIds: ids(scope.custodianIds),
+    dateFrom: toDate(scope.dateFrom),
+    dateTo: toDate(scope.dateTo),
+    documentTypes: [...new Set((scope.documentTypes || []).map((type) => String(type).trim().toLowerCase()).filter(Boolean))]
+  };
+  if (!normalised.matterIds.length && !normalised.custodianIds.length) throw holdError('scope needs at least one matter or custodian');
+  for (const key of ['dateFrom', 'dateTo']) {
+    if (normalised[key] && Number.isNaN(normalised[key].getTime())) throw holdError(`${key} is not a valid date`);
   }
-
-  releaseHold(holdId, releasedBy = 'SYSTEM') {
-    const hold = this.holds.get(holdId);
-    if (!hold) return false;
-
-    hold.status = 'RELEASED';
-    hold.releasedAt = new Date().toISOString();
-    hold.releasedBy = releasedBy;
-
-    return true;
+  if (normalised.dateFrom && normalised.dateTo && normalised.dateFrom > normalised.dateTo) throw holdError('dateFrom must not be after dateTo');
+  return normalised;
+};
+
+/**
+ * @function documentHoldFacts
+ * @desc The facts a hold is tested against, read from a Document: its matter, its custodian (creator),
+ *       when it was created and its type.
+ */
+export const documentHoldFacts = (doc = {}) => ({
+  matterId: doc.matterId ? String(doc.matterId._id || doc.matterId) : undefined,
+  custodianIds: ids([doc.createdBy?._id || doc.createdBy]),
+  createdAt: toDate(doc.createdAt),
+  documentType: doc.metadata?.documentType || doc.metadata?.fileExtension
+});
+
+/**
+ * @function holdCovers
+ * @desc True when an active hold's scope reaches the record described by `facts`.
+ */
+export const holdCovers = (hold, facts = {}) => {
+  if (!hold || hold.status !== HOLD_STATUS.ACTIVE) return false;
+  const scope = hold.scope || {};
+  const matterIds = ids(scope.matterIds);
+  const custodianIds = ids(scope.custodianIds);
+  const documentTypes = (scope.documentTypes || []).map((type) => String(type).toLowerCase());
+
+  if (matterIds.length && !matterIds.includes(String(facts.matterId))) return false;
+  if (custodianIds.length && !ids(facts.custodianIds).some((id) => custodianIds.includes(id))) return false;
+  if (documentTypes.length && !documentTypes.includes(String(facts.documentType || '').toLowerCase())) return false;
+
+  // Undated records stay held under a date-bounded hold: keeping too much is the safe side
+  const createdAt = toDate(facts.createdAt);
+  if (createdAt && scope.dateFrom && createdAt < new Date(scope.dateFrom)) return false;
+  if (createdAt && scope.dateTo && createdAt > new Date(scope.dateTo)) return false;
+  return true;
+};
+
+/**
+ * @function holdDocumentFilter
+ * @desc Mongo filter for the Documents a hold scope reaches (undated documents included).
+ */
+export const holdDocumentFilter = (scope = {}) => {
+  const filter = {};
+  if (scope.matterIds?.length) filter.matterId = { $in: scope.matterIds };
+  if (scope.custodianIds?.length) filter.createdBy = { $in: scope.custodianIds };
+  if (scope.documentTypes?.length) {
+    const types = scope.documentTypes.map((type) => new RegExp(`^${String(type).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+    filter.$or = [{ 'metadata.documentType': { $in: types } }, { 'metadata.fileExtension': { $in: types } }];
   }
-
-  getActiveHolds() {
-    const active = [];
-    for (const [holdId, hold] of this.holds.entries()) {
-      if (hold.status === 'ACTIVE') {
-        active.push(hold);
-      }
-    }
-    return active;
+  if (scope.dateFrom || scope.dateTo) {
+    const range = {};
+    if (scope.dateFrom) range.$gte = new Date(scope.dateFrom);
+    if (scope.dateTo) range.$lte = new Date(scope.dateTo);
+    filter.$and = [{ $or: [{ createdAt: range }, { createdAt: { $exists: false } }] }];
   }
-}
+  return filter;
+};
 
-export default { LegalHoldManager };
+/**
+ * @function reminderDue
+ * @desc Whether an unacknowledged custodian is owed a reminder under the hold's cadence.
+ */
+export const reminderDue = (custodian, reminders = {}, now = new Date()) => {
+  const intervalDays = reminders.intervalDays ?? 7;
+  const maxReminders = reminders.maxReminders ?? 5;
+  if (custodian.status !== CUSTODIAN_STATUS.PENDING || !custodian.noticeSentAt) return false;
+  if ((custodian.remindersSent || 0) >= maxReminders) return false;
+  const last = new Date(custodian.lastReminderAt || custodian.noticeSentAt);
+  return new Date(now).getTime() - last.getTime() >= intervalDays * DAY_MS;
+};
+
+export default {
+  HOLD_STATUS,
+  CUSTODIAN_STATUS,
+  normaliseScope,
+  documentHoldFacts,
+  holdCovers,
+  holdDocumentFilter,
+  reminderDue
+};
@@ -0,0 +1,558 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRACTICE MIGRATION MAPPING [V1.0.0-MIGRATION]                                                                               ║
+ * ║ [COLUMN MAPPING PROFILES | ROW COERCION | STABLE MIGRATION KEYS | DUPLICATE CONTACTS | OPENING TRUST RECONCILIATION]                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/migrationMapping.js                                                 ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pure helpers for services/migrationService.js. An export from the old practice-management system is read one
+ * entity at a time (contacts, matters, deadlines, unbilled time, trust balances, document index); a mapping profile
+ * says which column holds which field. Every row gets a key that is stable across re-exports, so importing the same
+ * row twice finds the first import instead of creating a second record.
+ */
+
+import crypto from 'node:crypto';
+import { parseAmount, parseStatementDate, splitCsvLine } from './bankStatementParsers.js';
+import { ACTIVITY_CODES } from './timeEntryCalculations.js';
+import { normaliseName, compareNames, phoneticKey } from './nameMatcher.js';
+
+export const MIGRATION_ENTITIES = Object.freeze({
+  CONTACTS: 'contacts',
+  MATTERS: 'matters',
+  DEADLINES: 'deadlines',
+  UNBILLED_TIME: 'unbilled_time',
+  TRUST_BALANCES: 'trust_balances',
+  DOCUMENTS: 'documents'
+});
+
+/** Contacts before matters; everything else hangs off a matter. */
+export const IMPORT_ORDER = Object.freeze([
+  MIGRATION_ENTITIES.CONTACTS,
+  MIGRATION_ENTITIES.MATTERS,
+  MIGRATION_ENTITIES.DEADLINES,
+  MIGRATION_ENTITIES.UNBILLED_TIME,
+  MIGRATION_ENTITIES.TRUST_BALANCES,
+  MIGRATION_ENTITIES.DOCUMENTS
+]);
+
+export const CLIENT_ENTITY_TYPES = Object.freeze(['INDIVIDUAL', 'CORPORATE', 'TRUST', 'GOVERNMENT', 'NGO']);
+
+/** Names with a fuzzy score at or above this are reported as possible duplicates. */
+export const POSSIBLE_DUPLICATE_SCORE = 0.85;
+
+/**
+ * Target fields per entity. `enum` names a list of allowed values; the matter lists are passed in by the caller
+ * because the Matter model owns them. `ref` marks a reference to a contact or matter imported earlier.
+ */
+export const MIGRATION_FIELDS = Object.freeze({
+  [MIGRATION_ENTITIES.CONTACTS]: {
+    externalId: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    entityType: { type: 'enum', enum: 'entityType', default: 'INDIVIDUAL' },
+    idNumber: { type: 'string' },
+    registrationNumber: { type: 'string' },
+    vatNumber: { type: 'string' },
+    email: { type: 'email', required: true },
+    phone: { type: 'string' },
+    address: { type: 'string' },
+    trustBalance: { type: 'amount' }
+  },
+  [MIGRATION_ENTITIES.MATTERS]: {
+    externalId: { type: 'string', required: true },
+    clientRef: { type: 'string', required: true, ref: MIGRATION_ENTITIES.CONTACTS },
+    title: { type: 'string', required: true },
+    matterType: { type: 'enum', enum: 'matterType', required: true },
+    status: { type: 'enum', enum: 'matterStatus', default: 'active' },
+    openedDate: { type: 'date' },
+    attorneyEmail: { type: 'email', required: true },
+    description: { type: 'string' },
+    caseNumber: { type: 'string' },
+    court: { type: 'enum', enum: 'court' },
+    hourlyRate: { type: 'amount' }
+  },
+  [MIGRATION_ENTITIES.DEADLINES]: {
+    externalId: { type: 'string' },
+    matterRef: { type: 'string', required: true, ref: MIGRATION_ENTITIES.MATTERS },
+    title: { type: 'string', required: true },
+    dueDate: { type: 'date', required: true },
+    courtReference: { type: 'string' },
+    assigneeEmail: { type: 'email' },
+    description: { type: 'string' }
+  },
+  [MIGRATION_ENTITIES.UNBILLED_TIME]: {
+    externalId: { type: 'string' },
+    matterRef: { type: 'string', required: true, ref: MIGRATION_ENTITIES.MATTERS },
+    feeEarnerEmail: { type: 'email', required: true },
+    workDate: { type: 'date', required: true },
+    minutes: { type: 'number' },
+    hours: { type: 'number' },
+    activityCode: { type: 'enum', enum: 'activityCode', default: 'ATTENDANCE' },
+    description: { type: 'string' },
+    ratePerHour: { type: 'amount' },
+    amount: { type: 'amount' },
+    billable: { type: 'boolean', default: true }
+  },
+  [MIGRATION_ENTITIES.TRUST_BALANCES]: {
+    clientRef: { type: 'string', required: true, ref: MIGRATION_ENTITIES.CONTACTS },
+    matterRef: { type: 'string', required: true, ref: MIGRATION_ENTITIES.MATTERS },
+    balance: { type: 'amount', required: true },
+    clientTotal: { type: 'amount' },
+    asAt: { type: 'date' }
+  },
+  [MIGRATION_ENTITIES.DOCUMENTS]: {
+    externalId: { type: 'string' },
+    matterRef: { type: 'string', required: true, ref: MIGRATION_ENTITIES.MATTERS },
+    folder: { type: 'string' },
+    title: { type: 'string', required: true },
+    sourcePath: { type: 'string', required: true },
+    mimeType: { type: 'string' },
+    fileSize: { type: 'number' },
+    createdDate: { type: 'date' }
+  }
+});
+
+// Source wording shared by the built-in profiles
+const ENTITY_TYPE_VALUES = {
+  individual: 'INDIVIDUAL', person: 'INDIVIDUAL', natural: 'INDIVIDUAL', 'natural person': 'INDIVIDUAL',
+  company: 'CORPORATE', 'pty ltd': 'CORPORATE', '(pty) ltd': 'CORPORATE', cc: 'CORPORATE', 'close corporation': 'CORPORATE',
+  partnership: 'CORPORATE', trust: 'TRUST', 'family trust': 'TRUST', state: 'GOVERNMENT', government: 'GOVERNMENT',
+  municipality: 'GOVERNMENT', npc: 'NGO', npo: 'NGO', 'non-profit': 'NGO'
+};
+const MATTER_TYPE_VALUES = {
+  litigation: 'litigation', 'civil litigation': 'litigation', collections: 'litigation', 'debt collection': 'litigation',
+  conveyancing: 'property', transfer: 'property', bond: 'property', 'bond registration': 'property', property: 'property',
+  estates: 'estate', 'deceased estate': 'estate', 'estate late': 'estate', wills: 'estate',
+  family: 'family', divorce: 'family', labour: 'labour', employment: 'labour', criminal: 'criminal',
+  commercial: 'commercial', corporate: 'corporate', contract: 'contract', insolvency: 'insolvency', liquidation: 'insolvency',
+  'road accident fund': 'litigation', raf: 'litigation', 'personal injury': 'litigation', tax: 'tax'
+};
+const MATTER_STATUS_VALUES = {
+  open: 'active', active: 'active', current: 'active', live: 'active', pending: 'pending', dormant: 'on_hold', 'on hold': 'on_hold',
+  suspended: 'suspended', closed: 'closed', finalised: 'closed', finalized: 'closed', archived: 'archived', settled: 'settled'
+};
+const COURT_VALUES = {
+  'high court': 'high_court', 'high': 'high_court', 'magistrates court': 'magistrates_court', "magistrate's court": 'magistrates_court',
+  magistrate: 'magistrates_court', 'regional court': 'magistrates_court', 'district court': 'magistrates_court',
+  'labour court': 'labour_court', 'constitutional court': 'constitutional_court', 'supreme court of appeal': 'supreme_court_appeal',
+  sca: 'supreme_court_appeal', 'land claims court': 'land_claims_court', 'tax court': 'tax_court', 'equality court': 'equality_court',
+  "children's court": 'childrens_court', 'childrens court': 'childrens_court', 'maintenance court': 'maintenance_court'
+};
+const ACTIVITY_VALUES = {
+  consultation: 'CONSULTATION', consult: 'CONSULTATION', attendance: 'ATTENDANCE', attend: 'ATTENDANCE', drafting: 'DRAFTING',
+  draft: 'DRAFTING', perusal: 'PERUSAL', peruse: 'PERUSAL', letter: 'CORRESPONDENCE', correspondence: 'CORRESPONDENCE',
+  email: 'CORRESPONDENCE', research: 'RESEARCH', negotiation: 'NEGOTIATION', court: 'COURT', appearance: 'COURT',
+  preparation: 'PREPARATION', travel: 'TRAVEL', admin: 'ADMINISTRATION', administration: 'ADMINISTRATION'
+};
+const SHARED_VALUES = {
+  entityType: ENTITY_TYPE_VALUES,
+  matterType: MATTER_TYPE_VALUES,
+  status: MATTER_STATUS_VALUES,
+  court: COURT_VALUES,
+  activityCode: ACTIVITY_VALUES
+};
+
+/**
+ * Built-in column mappings for common South African practice-management exports. A column may be given as
+ * a list of header spellings; the first one present in the file is used. Firms whose export differs save
+ * their own profile.
+ */
+export const BUILT_IN_PROFILES = Object.freeze({
+  legalsuite: {
+    profileId: 'legalsuite',
+    name: 'LegalSuite',
+    builtIn: true,
+    values: SHARED_VALUES,
+    entities: {
+      contacts: {
+        externalId: ['Party Code', 'Client Code'], name: ['Party Name', 'Client Name'], entityType: 'Party Type',
+        idNumber: ['ID Number', 'Identity Number'], registrationNumber: 'Registration Number', vatNumber: 'VAT Number',
+        email: ['Email', 'E-mail'], phone: ['Cell', 'Telephone'], address: 'Physical Address', trustBalance: 'Trust Balance'
+      },
+      matters: {
+        externalId: ['File Ref', 'Matter Ref'], clientRef: 'Client Code', title: 'Description', matterType: 'Matter Type',
+        status: 'Status', openedDate: 'Date Opened', attorneyEmail: ['Employee Email', 'Fee Earner Email'],
+        caseNumber: 'Case Number', court: 'Court', hourlyRate: 'Tariff Rate'
+      },
+      deadlines: { matterRef: 'File Ref', title: 'Reminder', dueDate: 'Due Date', assigneeEmail: 'Employee Email', description: 'Notes' },
+      unbilled_time: {
+        externalId: 'Fee Note No', matterRef: 'File Ref', feeEarnerEmail: 'Employee Email', workDate: 'Date', minutes: 'Minutes',
+        hours: 'Hours', activityCode: 'Fee Code', description: 'Description', ratePerHour: 'Rate', amount: 'Amount Excl'
+      },
+      trust_balances: { clientRef: 'Client Code', matterRef: 'File Ref', balance: 'Trust Balance', clientTotal: 'Client Trust Total', asAt: 'Balance Date' },
+      documents: { matterRef: 'File Ref', folder: 'Folder', title: 'Document Name', sourcePath: 'Path', createdDate: 'Date Saved' }
+    }
+  },
+  ghostpractice: {
+    profileId: 'ghostpractice',
+    name: 'GhostPractice',
+    builtIn: true,
+    values: SHARED_VALUES,
+    entities: {
+      contacts: {
+        externalId: 'Contact ID', name: 'Full Name', entityType: 'Contact Type', idNumber: 'ID/Passport',
+        registrationNumber: 'Company Reg No', vatNumber: 'VAT No', email: 'Email Address', phone: 'Mobile', address: 'Address',
+        trustBalance: 'Trust Balance'
+      },
+      matters: {
+        externalId: 'Matter Number', clientRef: 'Client ID', title: 'Matter Description', matterType: 'Matter Type',
+        status: 'Matter Status', openedDate: 'Open Date', attorneyEmail: 'Owner Email', caseNumber: 'Case No', court: 'Court'
+      },
+      deadlines: { externalId: 'Diary ID', matterRef: 'Matter Number', title: 'Subject', dueDate: 'Due', assigneeEmail: 'Assigned To Email' },
+      unbilled_time: {
+        externalId: 'Entry ID', matterRef: 'Matter Number', feeEarnerEmail: 'Fee Earner Email', workDate: 'Date',
+        hours: 'Time (h)', activityCode: 'Activity', description: 'Narrative', ratePerHour: 'Rate', amount: 'Value'
+      },
+      trust_balances: { clientRef: 'Client ID', matterRef: 'Matter Number', balance: 'Trust Balance', asAt: 'As At' },
+      documents: { externalId: 'Document ID', matterRef: 'Matter Number', folder: 'Folder Path', title: 'Title', sourcePath: 'File Path', mimeType: 'Type' }
+    }
+  },
+  ajs: {
+    profileId: 'ajs',
+    name: 'AJS',
+    builtIn: true,
+    values: SHARED_VALUES,
+    entities: {
+      contacts: {
+        externalId: 'Account', name: 'Name', entityType: 'Entity', idNumber: 'ID No', registrationNumber: 'Reg No',
+        vatNumber: 'VAT Reg', email: 'Email', phone: 'Tel', address: 'Street Address', trustBalance: 'Trust Bal'
+      },
+      matters: {
+        externalId: 'Matter', clientRef: 'Account', title: 'Matter Description', matterType: 'Department', status: 'Status',
+        openedDate: 'Opened', attorneyEmail: 'Partner Email', caseNumber: 'Case No', court: 'Court'
+      },
+      deadlines: { matterRef: 'Matter', title: 'Diary Entry', dueDate: 'Diary Date', assigneeEmail: 'Staff Email' },
+      unbilled_time: {
+        matterRef: 'Matter', feeEarnerEmail: 'Staff Email', workDate: 'Date', minutes: 'Units (min)', activityCode: 'Tariff',
+        description: 'Narration', ratePerHour: 'Rate', amount: 'Amount'
+      },
+      trust_balances: { clientRef: 'Account', matterRef: 'Matter', balance: 'Trust Balance', clientTotal: 'Account Trust Total', asAt: 'Date' },
+      documents: { matterRef: 'Matter', folder: 'Folder', title: 'Document', sourcePath: 'Location' }
+    }
+  },
+  generic: {
+    profileId: 'generic',
+    name: 'Generic CSV (field names as headers)',
+    builtIn: true,
+    values: SHARED_VALUES,
+    entities: Object.fromEntries(Object.entries(MIGRATION_FIELDS).map(([entity, fields]) => [
+      entity,
+      Object.fromEntries(Object.keys(fields).map((field) => [field, field]))
+    ]))
+  }
+});
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const clean = (value) => String(value ?? '').trim();
+const fold = (value) => clean(value).toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * @function readDelimited
+ * @desc Splits a CSV (comma or semicolon) export into a header and data rows, dropping blank lines.
+ */
+export const readDelimited = (text) => {
+  const lines = String(text).replace(/^﻿/, '').split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (!lines.length) return { header: [], rows: [] };
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const [header, ...rows] = lines.map((line) => splitCsvLine(line, delimiter));
+  return { header, rows };
+};
+
+/**
+ * @function validateProfile
+ * @desc Checks a saved mapping profile: known entities and fields, and a column for every required field of each
+ *       entity it maps. Returns the list of problems (empty when the profile can be used).
+ */
+export const validateProfile = (profile) => {
+  const problems = [];
+  const entities = profile?.entities || {};
+  if (!Object.keys(entities).length) problems.push('The profile maps no entities.');
+  for (const [entity, columns] of Object.entries(entities)) {
+    const fields = MIGRATION_FIELDS[entity];
+    if (!fields) { problems.push(`Unknown entity ${entity}.`); continue; }
+    for (const field of Object.keys(columns || {})) {
+      if (!fields[field]) problems.push(`${entity}: unknown field ${field}.`);
+    }
+    for (const [field, spec] of Object.entries(fields)) {
+      if (spec.required && !columns?.[field]) problems.push(`${entity}: no column mapped to required field ${field}.`);
+    }
+  }
+  return problems;
+};
+
+/**
+ * @function resolveColumns
+ * @desc Finds each mapped field's column in the file header (case- and space-insensitive). Reports required fields
+ *       with no column and header columns that nothing reads.
+ */
+export const resolveColumns = (entity, header, profile) => {
+  const fields = MIGRATION_FIELDS[entity];
+  if (!fields) throw new Error(`MIGRATION_ERROR: Unknown entity ${entity}. Use one of ${IMPORT_ORDER.join(', ')}.`);
+  const mapping = profile?.entities?.[entity];
+  if (!mapping) throw new Error(`MIGRATION_ERROR: Profile ${profile?.profileId || profile?.name} has no mapping for ${entity}.`);
+
+  const positions = new Map(header.map((name, index) => [fold(name), index]));
+  const columns = {};
+  const missingColumns = [];
+  for (const [field, spec] of Object.entries(fields)) {
+    const names = [].concat(mapping[field] || []);
+    const name = names.find((candidate) => positions.has(fold(candidate)));
+    if (name !== undefined) columns[field] = positions.get(fold(name));
+    else if (spec.required) missingColumns.push({ field, expected: names });
+  }
+  // Either minutes or hours carries the duration of a time entry
+  if (entity === MIGRATION_ENTITIES.UNBILLED_TIME && columns.minutes === undefined && columns.hours === undefined) {
+    missingColumns.push({ field: 'minutes', expected: [].concat(mapping.minutes || [], mapping.hours || []) });
+  }
+  const used = new Set(Object.values(columns));
+  return { columns, missingColumns, unmappedColumns: header.filter((name, index) => !used.has(index) && clean(name)) };
+};
+
+const coerce = (field, spec, raw, { values = {}, enums }) => {
+  const text = clean(raw);
+  if (text === '') return { value: spec.default };
+
+  switch (spec.type) {
+    case 'email': {
+      const email = text.toLowerCase();
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? { value: email } : { error: `"${text}" is not an email address` };
+    }
+    case 'date': {
+      const date = parseStatementDate(text);
+      return date ? { value: date } : { error: `"${text}" is not a date` };
+    }
+    case 'amount':
+    case 'number': {
+      const number = parseAmount(text);
+      if (!Number.isFinite(number)) return { error: `"${text}" is not a number` };
+      return { value: spec.type === 'amount' ? fromCents(toCents(number)) : number };
+    }
+    case 'boolean': {
+      if (/^(y|yes|true|1|billable)$/i.test(text)) return { value: true };
+      if (/^(n|no|false|0|non-billable|nb)$/i.test(text)) return { value: false };
+      return { error: `"${text}" is not yes or no` };
+    }
+    case 'enum': {
+      const allowed = enums[spec.enum] || [];
+      const translated = values[field]?.[fold(text)] ?? text;
+      const value = allowed.find((option) => option.toLowerCase() === String(translated).toLowerCase());
+      return value !== undefined ? { value } : { error: `"${text}" is not a known ${field}; map it to one of ${allowed.join(', ')}` };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * @function mapRow
+ * @desc Turns one data row into a typed record. Errors name the field and the offending value; the row number
+ *       is the spreadsheet row (header = 1).
+ * @param {Object} options - { values: { field: { sourceText: value } }, enums: { enumName: allowedValues[] } }
+ */
+export const mapRow = (entity, cells, columns, options = {}) => {
+  const fields = MIGRATION_FIELDS[entity];
+  const enums = { entityType: CLIENT_ENTITY_TYPES, activityCode: Object.keys(ACTIVITY_CODES), ...options.enums };
+  const record = {};
+  const errors = [];
+
+  for (const [field, spec] of Object.entries(fields)) {
+    const raw = columns[field] === undefined ? '' : cells[columns[field]];
+    const { value, error } = coerce(field, spec, raw, { values: options.values, enums });
+    if (error) errors.push({ field, message: error });
+    else if (value === undefined && spec.required) errors.push({ field, message: `${field} is required` });
+    else if (value !== undefined) record[field] = value;
+  }
+
+  if (entity === MIGRATION_ENTITIES.UNBILLED_TIME && !errors.some((error) => ['minutes', 'hours'].includes(error.field))) {
+    const minutes = record.minutes !== undefined ? record.minutes : record.hours !== undefined ? record.hours * 60 : undefined;
+    delete record.hours;
+    if (minutes === undefined) errors.push({ field: 'minutes', message: 'minutes or hours is required' });
+    else if (minutes <= 0 || minutes > 24 * 60) errors.push({ field: 'minutes', message: 'time must be more than 0 and at most 24 hours' });
+    else record.minutes = Math.round(minutes);
+  }
+  if (entity === MIGRATION_ENTITIES.TRUST_BALANCES && record.balance < 0) {
+    errors.push({ field: 'balance', message: 'a client trust ledger cannot open in debit; resolve the trust deficit before migrating' });
+  }
+  return { record, errors };
+};
+
+/**
+ * @function recordKey
+ * @desc The row's identity in the source system: its own id where the export has one, otherwise the fields that
+ *       identify it. `occurrence` tells identical rows in one file apart.
+ */
+export const recordKey = (entity, record, occurrence = 0) => {
+  if (record.externalId) return String(record.externalId);
+  const day = (date) => (date ? date.toISOString().slice(0, 10) : '');
+  switch (entity) {
+    case MIGRATION_ENTITIES.DEADLINES:
+      return `${record.matterRef}|${fold(record.title)}|${day(record.dueDate)}`;
+    case MIGRATION_ENTITIES.UNBILLED_TIME:
+      return `${record.matterRef}|${record.feeEarnerEmail}|${day(record.workDate)}|${record.minutes}|${fold(record.description)}|${occurrence}`;
+    case MIGRATION_ENTITIES.TRUST_BALANCES:
+      return `${record.clientRef}|${record.matterRef}`;
+    case MIGRATION_ENTITIES.DOCUMENTS:
+      return `${record.matterRef}|${record.sourcePath}`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * @function migrationId
+ * @desc Tenant-scoped hash of a source row's identity. The first 24 characters serve as the ObjectId of the record
+ *       it creates, so a second import of the row collides with the first instead of duplicating it.
+ */
+export const migrationId = (tenantId, source, entity, key) => sha256(`${tenantId}|${fold(source)}|${entity}|${key}`);
+
+export const migrationObjectId = (tenantId, source, entity, key) => migrationId(tenantId, source, entity, key).slice(0, 24);
+
+/**
+ * @function blindIndex
+ * @desc Deterministic hash of a normalised email or identity number, as kept in the client PII vault.
+ */
+export const blindIndex = (value) => (clean(value) ? sha256(clean(value).toLowerCase().replace(/\s+/g, '')) : undefined);
+
+/**
+ * @function findDuplicateContacts
+ * @desc Duplicate contacts within an export and against clients already on the system. The same email or identity
+ *       number is an exact duplicate; a near-identical name is a possible one, for a person to decide.
+ * @param {Array} contacts - [{ row, record }]
+ * @param {Array} existing - [{ _id, name, clientReference, emailBlindIndex, idNumberBlindIndex }]
+ * @returns {{ exact: Array, possible: Array }}
+ */
+export const findDuplicateContacts = (contacts, existing = []) => {
+  const exact = [];
+  const possible = [];
+  const firstByIndex = new Map();
+  const existingByIndex = new Map();
+  for (const client of existing) {
+    if (client.emailBlindIndex) existingByIndex.set(`EMAIL:${client.emailBlindIndex}`, client);
+    if (client.idNumberBlindIndex) existingByIndex.set(`ID_NUMBER:${client.idNumberBlindIndex}`, client);
+  }
+
+  const exactRows = new Set();
+  for (const { row, record } of contacts) {
+    const indexes = [
+      ['EMAIL', blindIndex(record.email)],
+      ['ID_NUMBER', blindIndex(record.idNumber || record.registrationNumber)]
+    ].filter(([, hash]) => hash).map(([reason, hash]) => [reason, `${reason}:${hash}`]);
+
+    const onSystem = indexes.map(([reason, index]) => [reason, existingByIndex.get(index)]).find(([, client]) => client);
+    const inFile = indexes.map(([reason, index]) => [reason, firstByIndex.get(index)]).find(([, first]) => first);
+    if (onSystem) {
+      exact.push({ row, name: record.name, reason: onSystem[0], matchedClientId: String(onSystem[1]._id), matchedName: onSystem[1].name });
+      exactRows.add(row);
+    } else if (inFile) {
+      exact.push({ row, name: record.name, reason: inFile[0], matchedRow: inFile[1].row, matchedName: inFile[1].record.name });
+      exactRows.add(row);
+    }
+    for (const [, index] of indexes) if (!firstByIndex.has(index)) firstByIndex.set(index, { row, record });
+  }
+
+  // Names are only compared within a sound-alike surname block, which keeps large exports quick
+  const blocks = new Map();
+  const block = (name) => `${name.kind}:${phoneticKey(name.surnameCompact)}`;
+  for (const client of existing) {
+    const name = normaliseName(client.name);
+    if (!name.compact) continue;
+    blocks.set(block(name), [...(blocks.get(block(name)) || []), { client, name }]);
+  }
+  for (const { row, record } of contacts) {
+    const name = normaliseName(record.name);
+    if (!name.compact) continue;
+    const peers = blocks.get(block(name)) || [];
+    if (!exactRows.has(row)) {
+      let best = null;
+      for (const peer of peers) {
+        const { score, matchType } = compareNames(name, peer.name);
+        if (score >= POSSIBLE_DUPLICATE_SCORE && (!best || score > best.score)) best = { peer, score, matchType };
+      }
+      if (best) {
+        possible.push({
+          row,
+          name: record.name,
+          score: best.score,
+          matchType: best.matchType,
+          ...(best.peer.client ? { matchedClientId: String(best.peer.client._id) } : { matchedRow: best.peer.row }),
+          matchedName: best.peer.client ? best.peer.client.name : best.peer.record.name
+        });
+      }
+    }
+    peers.push({ row, record, name });
+    blocks.set(block(name), peers);
+  }
+  return { exact, possible };
+};
+
+/**
+ * @function reconcileTrustBalances
+ * @desc Opening trust balances per matter must add up to each client's trust total in the old system (a
+ *       `clientTotal` column, else the contact's trustBalance) and, when given, to the trust control total.
+ * @param {Array} balances - [{ clientRef, matterRef, balance, clientTotal }]
+ * @param {Object} [options] - { contactTotals: Map(clientRef → amount), controlTotal }
+ */
+export const reconcileTrustBalances = (balances, { contactTotals = new Map(), controlTotal } = {}) => {
+  const clients = new Map();
+  for (const { clientRef, balance, clientTotal } of balances) {
+    const entry = clients.get(clientRef) || { clientRef, matters: 0, importedCents: 0, statedCents: undefined };
+    entry.matters += 1;
+    entry.importedCents += toCents(balance);
+    if (clientTotal !== undefined) {
+      if (entry.statedCents !== undefined && entry.statedCents !== toCents(clientTotal)) entry.conflictingTotals = true;
+      entry.statedCents = toCents(clientTotal);
+    }
+    clients.set(clientRef, entry);
+  }
+  for (const [clientRef, total] of contactTotals) {
+    const entry = clients.get(clientRef);
+    if (entry && entry.statedCents === undefined) entry.statedCents = toCents(total);
+    else if (!entry && toCents(total) !== 0) clients.set(clientRef, { clientRef, matters: 0, importedCents: 0, statedCents: toCents(total) });
+  }
+
+  const rows = [...clients.values()].map((entry) => {
+    const row = {
+      clientRef: entry.clientRef,
+      matters: entry.matters,
+      imported: fromCents(entry.importedCents),
+      stated: entry.statedCents === undefined ? null : fromCents(entry.statedCents),
+      difference: entry.statedCents === undefined ? null : fromCents(entry.importedCents - entry.statedCents)
+    };
+    if (entry.conflictingTotals) row.problem = 'the export gives this client more than one trust total';
+    else if (entry.statedCents === undefined) row.problem = 'no per-client trust total to reconcile to';
+    else if (entry.importedCents !== entry.statedCents) row.problem = 'matter balances do not add up to the client total';
+    return row;
+  });
+
+  const totalCents = rows.reduce((sum, row) => sum + toCents(row.imported), 0);
+  const controlDifference = controlTotal === undefined || controlTotal === null ? null : fromCents(totalCents - toCents(controlTotal));
+  const mismatches = rows.filter((row) => row.problem);
+  return {
+    total: fromCents(totalCents),
+    controlTotal: controlTotal ?? null,
+    controlDifference,
+    clients: rows,
+    mismatches,
+    balanced: mismatches.length === 0 && (controlDifference === null || controlDifference === 0)
+  };
+};
+
+export default {
+  MIGRATION_ENTITIES,
+  IMPORT_ORDER,
+  MIGRATION_FIELDS,
+  BUILT_IN_PROFILES,
+  readDelimited,
+  validateProfile,
+  resolveColumns,
+  mapRow,
+  recordKey,
+  migrationId,
+  migrationObjectId,
+  blindIndex,
+  findDuplicateContacts,
+  reconcileTrustBalances
+};
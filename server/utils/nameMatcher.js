@@ -0,0 +1,279 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - CONFLICT NAME MATCHER [V1.0.0-CONFLICT]                                                                                     ║
+ * ║ [TRANSLITERATION | SA SURNAME PREFIXES & INITIALS | COMPANY SUFFIXES | PHONETIC KEYS | JARO-WINKLER | BLIND INDEX]                      ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/nameMatcher.js                                                      ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * "Adv. J.P. van der Merwe", "Johan Pieter Vandermerwe" and "VAN DER MERWE, Johan" must land on one person, and
+ * "Acme Holdings (Pty) Ltd" on "ACME HOLDINGS PROPRIETARY LIMITED". Where a store only keeps a hash of the name
+ * (Matter.parties in production) matching falls back to keyed hashes of the normalised and phonetic forms.
+ */
+
+import crypto from 'node:crypto';
+
+export const DEFAULT_MATCH_THRESHOLD = 0.75;
+
+const TITLES = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'professor', 'adv', 'advocate', 'rev', 'reverend', 'hon', 'judge',
+  'justice', 'sir', 'dame', 'mnr', 'mev', 'mej', 'me', 'ds', 'dominee', 'kgosi', 'inkosi', 'chief', 'jnr', 'jr', 'snr', 'sr', 'estate', 'late'
+]);
+
+// Afrikaans, Dutch, French and Portuguese particles that belong to the surname
+const SURNAME_PARTICLES = new Set(['van', 'der', 'den', 'de', 'du', 'le', 'la', 'von', 'ver', 'te', 'ten', 'ter', 'da', 'dos', 'das', 'di', 'del', 'della', 'janse', 'jansen', 'st']);
+
+// Longest first so "proprietary limited" is removed before "limited"
+const COMPANY_SUFFIXES = [
+  'proprietary limited', 'pty limited', 'pty ltd', 'soc limited', 'soc ltd', 'close corporation', 'non profit company',
+  'incorporated', 'limited', 'ltd', 'inc', 'cc', 'npc', 'soc', 'rf', 'llc', 'plc', 'gmbh', 'bv', 'nv', 'pty'
+];
+
+const STOPWORDS = new Set(['the', 'and', 'of', 'en']);
+
+const SPECIAL_LETTERS = { 'ß': 'ss', 'æ': 'ae', 'ø': 'o', 'œ': 'oe', 'đ': 'd', 'ł': 'l', 'þ': 'th', 'ŉ': 'n', 'ı': 'i' };
+
+/**
+ * @function transliterate
+ * @desc Lower-cases and folds accents and special letters to ASCII ("Müller" → "muller", "Coetzée" → "coetzee").
+ */
+export const transliterate = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/[ßæøœđłþŉı]/g, (letter) => SPECIAL_LETTERS[letter])
+  .normalize('NFKD')
+  .replace(/[̀-ͯ]/g, '');
+
+const stripCompanySuffixes = (text) => {
+  let value = ` ${text} `;
+  let stripped = false;
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const suffix of COMPANY_SUFFIXES) {
+      if (value.endsWith(` ${suffix} `)) {
+        value = `${value.slice(0, -(suffix.length + 1)).trimEnd()} `;
+        stripped = true;
+        changed = true;
+      }
+    }
+  }
+  return { text: value.trim(), stripped };
+};
+
+/**
+ * @function normaliseName
+ * @desc Parses a raw party name into comparable parts.
+ * @returns {{ kind: 'PERSON'|'COMPANY', tokens: string[], given: string[], initials: string[], surname: string[], compact: string, surnameCompact: string }}
+ */
+export const normaliseName = (raw) => {
+  const source = String(raw ?? '').trim();
+  // "Surname, Given names" → "Given names Surname"
+  const reordered = /^[^,]+,[^,]+$/.test(source) ? source.split(',').reverse().join(' ') : source;
+  // Keep capitalised initials such as "JP" apart from short given names before case is lost
+  const mixedCase = /[a-z]/.test(reordered) && /[A-Z]/.test(reordered);
+  const spaced = reordered.replace(/\b([A-Z]{2,3})\b/g, (run) => (mixedCase && !/[AEIOU]{2}/.test(run) && !COMPANY_SUFFIXES.includes(run.toLowerCase()) ? run.split('').join(' ') : run));
+
+  let text = transliterate(spaced)
+    .replace(/&/g, ' and ')
+    .replace(/\bt\/a\b.*$/, '')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  const company = stripCompanySuffixes(text);
+  text = company.text;
+
+  const words = text.split(' ').filter((word) => word && !STOPWORDS.has(word));
+  const kind = company.stripped ? 'COMPANY' : 'PERSON';
+  if (kind === 'COMPANY') {
+    return { kind, tokens: words, given: [], initials: [], surname: words, compact: words.join(''), surnameCompact: words.join('') };
+  }
+
+  const tokens = words.filter((word) => !TITLES.has(word));
+  let split = tokens.length - 1;
+  while (split > 0 && SURNAME_PARTICLES.has(tokens[split - 1])) split -= 1;
+  const surname = tokens.slice(Math.max(0, split));
+  const forenames = tokens.slice(0, Math.max(0, split));
+  return {
+    kind,
+    tokens,
+    given: forenames.filter((word) => word.length > 1),
+    initials: forenames.map((word) => word[0]),
+    surname,
+    compact: tokens.join(''),
+    surnameCompact: surname.join('')
+  };
+};
+
+/**
+ * @function phoneticKey
+ * @desc Sound-alike key tuned for SA names: Nguni prenasalisation (Nkosi/Kosi, Mbatha/Batha), "tsh"/"ch"
+ *       (Tshabalala/Chabalala), "kh"/"k" (Khumalo/Kumalo), Afrikaans v/f, w/v, oe/u and ij/y.
+ */
+export const phoneticKey = (word) => {
+  let value = transliterate(word).replace(/[^a-z]/g, '');
+  if (!value) return '';
+  value = value
+    .replace(/^([nm])(?=[bcdfgjklpqstvxz])/, '')
+    .replace(/tsh/g, 'ch')
+    .replace(/sch/g, 'sk')
+    .replace(/ph/g, 'f')
+    .replace(/kh/g, 'k')
+    .replace(/[dt]h/g, (pair) => pair[0])
+    .replace(/ck|q/g, 'k')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/c(?!h)/g, 'k')
+    .replace(/oe/g, 'u')
+    .replace(/ij/g, 'y')
+    .replace(/^w/, 'v')
+    .replace(/v/g, 'f')
+    .replace(/z/g, 's')
+    .replace(/y/g, 'i')
+    .replace(/([^cs])h/g, '$1');
+
+  const [first, ...rest] = value;
+  const skeleton = rest.join('')
+    .replace(/(?<=[^aeiou])w/g, '')
+    .replace(/[aeiouw]/g, '')
+    .replace(/(.)\1+/g, '$1');
+  return `${first}${skeleton}`.replace(/(.)\1+/g, '$1');
+};
+
+/**
+ * @function jaroWinkler
+ * @desc Jaro-Winkler similarity (0..1).
+ */
+export const jaroWinkler = (a, b) => {
+  if (a === b) return a.length ? 1 : 0;
+  if (!a.length || !b.length) return 0;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j += 1) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (!matches) return 0;
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i += 1) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j += 1;
+    if (a[i] !== b[j]) transpositions += 1;
+    j += 1;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+const samePhonetics = (left, right) => left.length > 0 && left.length === right.length
+  && left.every((word, index) => phoneticKey(word) === phoneticKey(right[index]));
+
+// Initials on one side must agree, in order, with the first letters of the other side's forenames
+const initialsAgree = (a, b) => {
+  const [shorter, longer] = a.initials.length <= b.initials.length ? [a.initials, b.initials] : [b.initials, a.initials];
+  return shorter.length > 0 && shorter.every((initial, index) => longer[index] === initial);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * @function compareNames
+ * @desc Scores two parsed names (0..1) and names the strongest reason they match.
+ * @returns {{ score: number, matchType: string }}
+ */
+export const compareNames = (a, b) => {
+  if (!a.compact || !b.compact) return { score: 0, matchType: 'NONE' };
+  if (a.compact === b.compact) return { score: 1, matchType: 'EXACT' };
+
+  const fuzzy = jaroWinkler(a.compact, b.compact);
+  if (a.kind === 'COMPANY' || b.kind === 'COMPANY') {
+    if (samePhonetics(a.tokens, b.tokens)) return { score: 0.88, matchType: 'PHONETIC' };
+    return { score: round(fuzzy * 0.95), matchType: 'FUZZY' };
+  }
+
+  const sameSurname = a.surnameCompact === b.surnameCompact;
+  const soundAlikeSurname = sameSurname || phoneticKey(a.surnameCompact) === phoneticKey(b.surnameCompact);
+  const givenSound = samePhonetics(a.given, b.given);
+  const initials = initialsAgree(a, b);
+  const eitherSurnameOnly = !a.initials.length || !b.initials.length;
+
+  // A shared first name must not carry a different surname over the line, so the surname dominates
+  const givenSimilarity = eitherSurnameOnly ? 0.8 : Math.max(jaroWinkler(a.given.join(''), b.given.join('')), initials ? 0.9 : 0);
+  const personFuzzy = round((0.7 * jaroWinkler(a.surnameCompact, b.surnameCompact) + 0.3 * givenSimilarity) * 0.9);
+
+  // First applicable reason names the match; the score never drops below the plain similarity
+  const reasons = [
+    [sameSurname && givenSound, 0.95, 'PHONETIC'],
+    [sameSurname && initials, 0.9, 'INITIALS'],
+    [soundAlikeSurname && givenSound, 0.86, 'PHONETIC'],
+    [soundAlikeSurname && initials, 0.82, 'PHONETIC_INITIALS'],
+    [sameSurname && eitherSurnameOnly, 0.75, 'SURNAME_ONLY'],
+    [soundAlikeSurname && eitherSurnameOnly, 0.7, 'SURNAME_ONLY']
+  ];
+  const reason = reasons.find(([applies]) => applies);
+  if (!reason) return { score: personFuzzy, matchType: 'FUZZY' };
+  if (reason[2] === 'SURNAME_ONLY') return { score: reason[1], matchType: reason[2] };
+  return { score: Math.max(reason[1], personFuzzy), matchType: reason[2] };
+};
+
+/**
+ * @function matchNames
+ * @desc compareNames over raw strings.
+ */
+export const matchNames = (left, right) => compareNames(normaliseName(left), normaliseName(right));
+
+const keyed = (secret, value) => (secret
+  ? crypto.createHmac('sha256', secret).update(value).digest('hex')
+  : crypto.createHash('sha256').update(value).digest('hex')).slice(0, 32);
+
+/**
+ * @function nameSearchKeys
+ * @desc Blind-index keys for a name whose plaintext is not kept: full form (c), surname sound (s),
+ *       first forename sound (f) and first initial with surname sound (i).
+ */
+export const nameSearchKeys = (raw, secret) => {
+  const name = normaliseName(raw);
+  if (!name.compact) return [];
+  const surname = phoneticKey(name.surnameCompact);
+  const keys = [`c:${name.compact}`, `s:${name.kind}:${surname}`];
+  if (name.given[0]) keys.push(`f:${phoneticKey(name.given[0])}`);
+  if (name.initials[0]) keys.push(`i:${name.initials[0]}:${surname}`);
+  return keys.map((key) => `${key[0]}${keyed(secret, key)}`);
+};
+
+/**
+ * @function compareSearchKeys
+ * @desc Scores a query against blind-index keys only; weaker than compareNames, but never needs the stored name.
+ */
+export const compareSearchKeys = (queryKeys, storedKeys) => {
+  const stored = new Set(storedKeys || []);
+  const has = (type) => queryKeys.some((key) => key[0] === type && stored.has(key));
+  const queryHas = (type) => queryKeys.some((key) => key[0] === type);
+  const storedHas = (type) => [...stored].some((key) => key[0] === type);
+
+  if (has('c')) return { score: 1, matchType: 'EXACT' };
+  if (has('s') && has('f')) return { score: 0.86, matchType: 'PHONETIC' };
+  if (has('i')) return { score: 0.82, matchType: 'PHONETIC_INITIALS' };
+  if (has('s') && (!queryHas('i') || !storedHas('i'))) return { score: 0.7, matchType: 'SURNAME_ONLY' };
+  return { score: 0, matchType: 'NONE' };
+};
+
+export default {
+  DEFAULT_MATCH_THRESHOLD,
+  transliterate,
+  normaliseName,
+  phoneticKey,
+  jaroWinkler,
+  compareNames,
+  matchNames,
+  nameSearchKeys,
+  compareSearchKeys
+};
@@ -0,0 +1,261 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - OCR TEXT LAYER [V1.0.0-OCR]                                                                                                 ║
+ * ║ [IMAGE-ONLY PAGE DETECTION | PAGE RASTERS FOR OCR | WORD BOXES IN PDF SPACE | INVISIBLE SEARCHABLE TEXT LAYER]                         ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/ocrLayer.js                                                         ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The PDF side of OCR; the recognition itself runs in services/ocrService.js. Finds the pages of a PDF that are
+ * pictures with no text behind them, renders them for the OCR engine, and writes what it read back as invisible
+ * text laid over each word, so the page looks the same but can be searched, selected and scanned for PII.
+ * Scanned TIFF, JPEG and PNG files become PDF pages of the same proportions first.
+ */
+
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import {
+  PDFDocument,
+  StandardFonts,
+  TextRenderingMode,
+  beginText,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText
+} from 'pdf-lib';
+import { winAnsi } from './bundleCompiler.js';
+import { openPdf } from './pdfRedaction.js';
+
+// English and Afrikaans, as bundled with the @tesseract.js-data packages
+export const OCR_LANGUAGES = Object.freeze(['eng', 'afr']);
+export const OCR_IMAGE_TYPES = Object.freeze(['image/tiff', 'image/jpeg', 'image/png']);
+export const DEFAULT_OCR_DPI = 300;
+
+const MIN_OCR_DPI = 150;
+const MAX_OCR_DPI = 400;
+// About an A3 page at 400 dpi; larger pages are rendered at a lower resolution
+const MAX_PAGE_PIXELS = 40e6;
+
+// Scanned pages fill an A4 page at most
+const A4 = [595.28, 841.89];
+
+// How far the baseline sits above the bottom of a word's box, as a share of its height
+const DESCENT = 0.2;
+
+const IMAGE_OPS = new Set([
+  pdfjs.OPS.paintImageXObject,
+  pdfjs.OPS.paintInlineImageXObject,
+  pdfjs.OPS.paintImageMaskXObject,
+  pdfjs.OPS.paintImageXObjectRepeat
+]);
+
+const ocrError = (message) => new Error(`OCR_ERROR: ${message}`);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+export const resolveOcrDpi = (dpi) => Math.min(Math.max(Number(dpi) || DEFAULT_OCR_DPI, MIN_OCR_DPI), MAX_OCR_DPI);
+
+/**
+ * @function findImageOnlyPages
+ * @desc The pages that carry an image but no text: scans, faxes and photographs saved as PDF. Pages with any text
+ *       are left alone, as are blank ones.
+ * @param {Buffer} bytes - the PDF
+ * @returns {Promise<{ pageCount: number, pages: number[] }>}
+ */
+export const findImageOnlyPages = async (bytes) => {
+  const pdf = await openPdf(bytes, ocrError);
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      if (!content.items.some((item) => item.str?.trim())) {
+        const { fnArray } = await page.getOperatorList();
+        if (fnArray.some((fn) => IMAGE_OPS.has(fn))) pages.push(pageNumber);
+      }
+      page.cleanup();
+    }
+    return { pageCount: pdf.numPages, pages };
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * @function renderPagesForOcr
+ * @desc Renders each listed page to a PNG on white and hands it to `visit` with the function that turns its pixel
+ *       positions back into PDF points, one page at a time so that only one raster is held in memory.
+ * @param {Buffer} bytes - the PDF
+ * @param {number[]} pageNumbers
+ * @param {Function} visit - async ({ pageNumber, png, width, height, dpi, toPdfPoint }) => void
+ */
+export const renderPagesForOcr = async (bytes, pageNumbers, { dpi } = {}, visit) => {
+  const pdf = await openPdf(bytes, ocrError);
+  try {
+    for (const pageNumber of pageNumbers) {
+      if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pdf.numPages) {
+        throw ocrError(`Page ${pageNumber} is not in the document; it has ${pdf.numPages} pages.`);
+      }
+      const page = await pdf.getPage(pageNumber);
+      const unscaled = page.getViewport({ scale: 1 });
+      const scale = Math.min(resolveOcrDpi(dpi) / 72, Math.sqrt(MAX_PAGE_PIXELS / (unscaled.width * unscaled.height)));
+      const viewport = page.getViewport({ scale });
+      const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      let png;
+      try {
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: context, canvas, viewport }).promise;
+        png = canvas.toBuffer('image/png');
+      } catch (error) {
+        throw ocrError(`Page ${pageNumber} could not be rendered (${error.message}).`);
+      } finally {
+        pdf.canvasFactory.destroy({ canvas, context });
+        page.cleanup();
+      }
+      await visit({
+        pageNumber,
+        png,
+        width: Math.ceil(viewport.width),
+        height: Math.ceil(viewport.height),
+        dpi: Math.round(scale * 72),
+        toPdfPoint: (x, y) => viewport.convertToPdfPoint(x, y)
+      });
+    }
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * @function imagesToPdf
+ * @desc One page per scanned image (PNG or JPEG; TIFF frames are converted first), each scaled to fit A4 with its
+ *       proportions kept and no margin, so the page is the scan.
+ * @param {Array<{ bytes: Buffer, mimeType: string }>} images
+ * @returns {Promise<{ pdf: PDFDocument, pages: Array<{ pageNumber, toPdfPoint }> }>}
+ */
+export const imagesToPdf = async (images) => {
+  if (!images.length) throw ocrError('There are no images to recognise.');
+  const pdf = await PDFDocument.create();
+  const pages = [];
+  for (const [index, { bytes, mimeType }] of images.entries()) {
+    let image;
+    try {
+      image = mimeType === 'image/png' ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+    } catch (error) {
+      throw ocrError(`Image ${index + 1} could not be read (${error.message}).`);
+    }
+    const scale = Math.min(A4[0] / image.width, A4[1] / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    pdf.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+    pages.push({ pageNumber: index + 1, toPdfPoint: (x, y) => [x * scale, height - y * scale] });
+  }
+  return { pdf, pages };
+};
+
+/**
+ * @function readRecognition
+ * @desc One page of tesseract.js output (recognised with the `blocks` output on) as its text, the engine's mean
+ *       confidence and each word with its box in image pixels.
+ * @returns {{ text: string, confidence: number, words: Array<{ text, confidence, bbox: { x0, y0, x1, y1 } }> }}
+ */
+export const readRecognition = (data = {}) => {
+  const words = (data.blocks || [])
+    .flatMap((block) => block.paragraphs || [])
+    .flatMap((paragraph) => paragraph.lines || [])
+    .flatMap((line) => line.words || [])
+    .map(({ text, confidence, bbox }) => ({
+      text: String(text || '').trim(),
+      confidence: round(Number(confidence) || 0, 1),
+      bbox: { x0: bbox.x0, y0: bbox.y0, x1: bbox.x1, y1: bbox.y1 }
+    }))
+    .filter((word) => word.text && word.bbox.x1 > word.bbox.x0 && word.bbox.y1 > word.bbox.y0);
+  return {
+    text: String(data.text || '').replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').trim(),
+    confidence: round(Number(data.confidence) || 0, 1),
+    words
+  };
+};
+
+/**
+ * @function summariseOcr
+ * @desc The document's recognised text, page by page, and its confidence: the mean over all words, so a nearly
+ *       empty page does not weigh as much as a full one.
+ */
+export const summariseOcr = (pages) => {
+  const words = pages.flatMap((page) => page.words || []);
+  const confidence = words.length
+    ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+    : pages.reduce((sum, page) => sum + (page.confidence || 0), 0) / Math.max(pages.length, 1);
+  return {
+    text: pages.map((page) => page.text).filter(Boolean).join('\n\n'),
+    confidence: round(confidence, 1),
+    wordCount: words.length
+  };
+};
+
+/**
+ * @function addTextLayer
+ * @desc Writes each recognised word as invisible text (rendering mode 3) over where it appears on the page, set in
+ *       Helvetica stretched to the width of the word's box. Nothing changes on screen or in print. Works in place.
+ * @param {PDFDocument} pdf
+ * @param {Array<{ pageNumber, words, toPdfPoint }>} pages - words with boxes in pixels; toPdfPoint maps a pixel
+ *        position to PDF points
+ */
+export const addTextLayer = async (pdf, pages) => {
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  for (const { pageNumber, words, toPdfPoint } of pages) {
+    if (!words?.length) continue;
+    const page = pdf.getPage(pageNumber - 1);
+    const fontKey = page.node.newFontDictionary(font.name, font.ref);
+    const operators = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+    for (const word of words) {
+      const text = winAnsi(word.text).replace(/\s+/g, ' ');
+      const [ax, ay] = toPdfPoint(word.bbox.x0, word.bbox.y1);
+      const [bx, by] = toPdfPoint(word.bbox.x1, word.bbox.y0);
+      const width = Math.abs(bx - ax);
+      const height = Math.abs(by - ay);
+      const natural = font.widthOfTextAtSize(text, height);
+      if (!width || !height || !natural) continue;
+      operators.push(
+        setFontAndSize(fontKey, round(height)),
+        setTextMatrix(round(width / natural, 4), 0, 0, 1, round(Math.min(ax, bx)), round(Math.min(ay, by) + height * DESCENT)),
+        showText(font.encodeText(text))
+      );
+    }
+    operators.push(endText(), popGraphicsState());
+    page.pushOperators(...operators);
+  }
+  return pdf;
+};
+
+/**
+ * @function loadPdfForLayer
+ * @desc The original PDF as a pdf-lib document, for addTextLayer.
+ */
+export const loadPdfForLayer = async (bytes) => {
+  try {
+    return await PDFDocument.load(bytes);
+  } catch (error) {
+    throw ocrError(`The PDF could not be opened to add a text layer (${error.message}).`);
+  }
+};
+
+export default {
+  OCR_LANGUAGES,
+  OCR_IMAGE_TYPES,
+  DEFAULT_OCR_DPI,
+  resolveOcrDpi,
+  findImageOnlyPages,
+  renderPagesForOcr,
+  imagesToPdf,
+  readRecognition,
+  summariseOcr,
+  addTextLayer,
+  loadPdfForLayer
+};
@@ -0,0 +1,589 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PDF REDACTION [V1.0.0-REDACTION]                                                                                            ║
+ * ║ [PII CANDIDATES WITH PAGE POSITIONS | SA ID, BANK ACCOUNT, PHONE AND PARTY NAMES | BURN-IN FLATTENING | REDACTION LOG ANNEXURE]        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/pdfRedaction.js                                                     ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Redaction here is irreversible: every page is rendered to an image, the boxes are painted into its pixels and the
+ * PDF is rebuilt from those images alone, so no text layer, annotation, form field or metadata of the original
+ * survives. Boxes are in points from the top-left corner of the page as displayed. No storage or database access here.
+ */
+
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { fitText, winAnsi } from './bundleCompiler.js';
+import { normaliseName, nameSearchKeys } from './nameMatcher.js';
+
+export const REDACTION_REASONS = Object.freeze({
+  PRIVILEGE: 'PRIVILEGE',
+  POPIA_S19: 'POPIA_S19',
+  THIRD_PARTY: 'THIRD_PARTY'
+});
+
+export const REASON_LABELS = Object.freeze({
+  [REDACTION_REASONS.PRIVILEGE]: 'Privileged from production in legal proceedings (PAIA s.40)',
+  [REDACTION_REASONS.POPIA_S19]: 'Personal information safeguarded under POPIA s.19',
+  [REDACTION_REASONS.THIRD_PARTY]: 'Third-party information (PAIA ss.34 and 36)'
+});
+
+export const PII_TYPES = Object.freeze({
+  SA_ID_NUMBER: 'SA_ID_NUMBER',
+  BANK_ACCOUNT: 'BANK_ACCOUNT',
+  PHONE_NUMBER: 'PHONE_NUMBER',
+  PARTY_NAME: 'PARTY_NAME',
+  // A box drawn by hand rather than proposed
+  MANUAL: 'MANUAL'
+});
+
+const DEFAULT_REASONS = {
+  [PII_TYPES.SA_ID_NUMBER]: REDACTION_REASONS.POPIA_S19,
+  [PII_TYPES.BANK_ACCOUNT]: REDACTION_REASONS.POPIA_S19,
+  [PII_TYPES.PHONE_NUMBER]: REDACTION_REASONS.POPIA_S19,
+  [PII_TYPES.PARTY_NAME]: REDACTION_REASONS.THIRD_PARTY
+};
+
+const TYPE_LABELS = {
+  [PII_TYPES.SA_ID_NUMBER]: 'SA ID number',
+  [PII_TYPES.BANK_ACCOUNT]: 'Bank account number',
+  [PII_TYPES.PHONE_NUMBER]: 'Phone number',
+  [PII_TYPES.PARTY_NAME]: 'Party name',
+  [PII_TYPES.MANUAL]: 'Marked by hand'
+};
+
+export const DEFAULT_DPI = 150;
+const MAX_DPI = 300;
+
+const SA_ID = /(?<![\d])\d{6}[ ]?\d{4}[ ]?\d{2}[ ]?\d(?![\d])/g;
+// 0xx xxx xxxx, (0xx) xxx-xxxx, +27 xx xxx xxxx and +27 (0)xx …
+const PHONE = /(?<![\d+])(?:\+27[ -]?(?:\(0\)[ -]?)?|\(?0)[1-8]\d\)?(?:[ -]?\d){7}(?![\d])/g;
+// SA bank accounts run to 9–11 digits, sometimes grouped
+const ACCOUNT = /(?<![\d])\d(?:[ -]?\d){8,10}(?![\d])/g;
+const ACCOUNT_CONTEXT = /(?:account|acc(?:ount)?\s*(?:no|number)|a\/c|rekening|bank|branch code|takkode)\W*$/i;
+const NAME_WORD = /\p{L}[\p{L}'’-]*\.?/gu;
+const NAME_PARTICLES = new Set(['van', 'der', 'den', 'de', 'du', 'le', 'la', 'von', 'te', 'ten', 'ter', 'da', 'dos', 'das', 'di']);
+const MAX_NAME_WORDS = 6;
+
+const redactionError = (message) => new Error(`REDACTION_ERROR: ${message}`);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const luhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * @function isSaIdNumber
+ * @desc A 13-digit SA ID number with a real date of birth, a citizenship digit of 0, 1 or 2 and a valid Luhn check
+ *       digit. Spaces between the groups are ignored.
+ */
+export const isSaIdNumber = (value) => {
+  const digits = String(value ?? '').replace(/ /g, '');
+  if (!/^\d{13}$/.test(digits)) return false;
+  const month = Number(digits.slice(2, 4));
+  const day = Number(digits.slice(4, 6));
+  // Any century: 29 February only needs some leap year ending in those two digits
+  const birth = new Date(Date.UTC(2000 + (Number(digits.slice(0, 2)) % 4 === 0 ? 0 : 1), month - 1, day));
+  if (birth.getUTCMonth() !== month - 1 || birth.getUTCDate() !== day) return false;
+  return ['0', '1', '2'].includes(digits[10]) && luhn(digits);
+};
+
+const overlaps = (found, start, end) => found.some((hit) => start < hit.end && end > hit.start);
+
+const capitalised = (word) => /^\p{Lu}/u.test(word) || NAME_PARTICLES.has(word.toLowerCase());
+
+/**
+ * @function findPii
+ * @desc PII in a run of text, as character ranges: SA ID numbers, phone numbers, bank account numbers and the names
+ *       of matter parties. Party names are matched on their normalised form (titles, initials spacing, "Surname,
+ *       Given" order and company suffixes do not matter), or, where only blind-index keys are kept, on the full-name
+ *       key. A party's surname alone is proposed with MEDIUM confidence.
+ * @param {string} text
+ * @param {Object} [options] - { parties: [{ name?, searchKeys? }], secret } where secret is the blind-index key
+ * @returns {Array<{ type, start, end, text, confidence }>} in text order
+ */
+export const findPii = (text, { parties = [], secret } = {}) => {
+  const source = String(text ?? '');
+  const found = [];
+  const add = (type, start, end, confidence = 'HIGH') => {
+    if (!overlaps(found, start, end)) found.push({ type, start, end, text: source.slice(start, end), confidence });
+  };
+
+  for (const match of source.matchAll(SA_ID)) {
+    if (isSaIdNumber(match[0])) add(PII_TYPES.SA_ID_NUMBER, match.index, match.index + match[0].length);
+  }
+  for (const match of source.matchAll(PHONE)) add(PII_TYPES.PHONE_NUMBER, match.index, match.index + match[0].length);
+  for (const match of source.matchAll(ACCOUNT)) {
+    const context = ACCOUNT_CONTEXT.test(source.slice(Math.max(0, match.index - 40), match.index));
+    add(PII_TYPES.BANK_ACCOUNT, match.index, match.index + match[0].length, context ? 'HIGH' : 'MEDIUM');
+  }
+
+  const fullNames = new Set();
+  const surnames = new Set();
+  const fullKeys = new Set();
+  for (const party of parties) {
+    if (party?.name) {
+      const name = normaliseName(party.name);
+      if (name.compact) fullNames.add(name.compact);
+      if (name.kind === 'PERSON' && name.tokens.length > 1 && name.surnameCompact.length > 2) surnames.add(name.surnameCompact);
+    }
+    for (const key of party?.searchKeys || []) if (key[0] === 'c') fullKeys.add(key);
+  }
+  if (fullNames.size || surnames.size || fullKeys.size) {
+    const words = [...source.matchAll(NAME_WORD)].map((match) => ({ word: match[0], start: match.index, end: match.index + match[0].length }));
+    for (let first = 0; first < words.length; first += 1) {
+      if (!/^\p{Lu}/u.test(words[first].word)) continue;
+      // Longest run of capitalised words first, so "Thandi Mokoena" wins over "Mokoena"
+      let last = first;
+      while (last + 1 < words.length && last - first + 1 < MAX_NAME_WORDS && capitalised(words[last + 1].word)
+        && /^[\s(),&]*$/.test(source.slice(words[last].end, words[last + 1].start))) last += 1;
+      for (let end = last; end >= first; end -= 1) {
+        const start = words[first].start;
+        const stop = words[end].end - (words[end].word.endsWith('.') && end > first ? 1 : 0);
+        const candidate = normaliseName(source.slice(start, stop));
+        const exact = fullNames.has(candidate.compact)
+          || (fullKeys.size && nameSearchKeys(source.slice(start, stop), secret).some((key) => fullKeys.has(key)));
+        const surname = !exact && candidate.kind === 'PERSON' && surnames.has(candidate.compact);
+        if (exact || surname) {
+          add(PII_TYPES.PARTY_NAME, start, stop, exact ? 'HIGH' : 'MEDIUM');
+          first = end;
+          break;
+        }
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.start - b.start);
+};
+
+// Without the standard font files pages in Helvetica, Times… render in a stand-in font and the boxes miss the text
+const PDFJS_ROOT = path.dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json'));
+
+/**
+ * @function openPdf
+ * @desc Opens bytes with pdfjs for text layout and rendering. `fail` builds the error thrown for unreadable files.
+ */
+export const openPdf = async (bytes, fail = redactionError) => {
+  try {
+    return await pdfjs.getDocument({
+      data: new Uint8Array(bytes),
+      verbosity: pdfjs.VerbosityLevel.ERRORS,
+      isEvalSupported: false,
+      // Exposes each font's glyph widths to readTextLayout
+      fontExtraProperties: true,
+      standardFontDataUrl: `${PDFJS_ROOT}/standard_fonts/`,
+      cMapUrl: `${PDFJS_ROOT}/cmaps/`,
+      cMapPacked: true
+    }).promise;
+  } catch (error) {
+    throw fail(`The file could not be read as a PDF (${error.message}).`);
+  }
+};
+
+const glyphWidthCache = new WeakMap();
+
+// Glyph advance by the text each glyph stands for, from a font loaded with fontExtraProperties
+const glyphWidths = (font) => {
+  if (!glyphWidthCache.has(font)) {
+    const map = font.toUnicode?._map;
+    const widths = new Map();
+    if (map && font.widths) {
+      for (const [code, unicode] of Array.isArray(map) ? map.entries() : Object.entries(map)) {
+        if (unicode && !widths.has(unicode) && font.widths[code] != null) widths.set(unicode, font.widths[code]);
+      }
+    }
+    glyphWidthCache.set(font, widths);
+  }
+  return glyphWidthCache.get(font);
+};
+
+// Where each character of an item starts, as fractions of the item's width; null when a character cannot be traced
+// back to a glyph (fonts without a ToUnicode map, for one)
+const characterOffsets = (text, font) => {
+  const widths = font && typeof font === 'object' ? glyphWidths(font) : null;
+  if (!widths?.size) return null;
+  const advances = [];
+  for (let index = 0; index < text.length;) {
+    // Ligatures map one glyph to several characters ("ﬁ" to "fi")
+    const length = [3, 2, 1].find((size) => widths.has(text.slice(index, index + size)));
+    if (!length) return null;
+    const share = widths.get(text.slice(index, index + length)) / length;
+    for (let step = 0; step < length; step += 1) advances.push(share);
+    index += length;
+  }
+  const total = advances.reduce((sum, advance) => sum + advance, 0);
+  if (!total) return null;
+  const offsets = [0];
+  for (const advance of advances) offsets.push(offsets[offsets.length - 1] + advance / total);
+  return offsets;
+};
+
+/**
+ * @function readTextLayout
+ * @desc Each page's size in points and its text as one string, with every text item's position so that a range of
+ *       characters can be turned back into boxes on the page.
+ * @returns {Promise<Array<{ pageNumber, width, height, text, items }>>}
+ */
+export const readTextLayout = async (bytes) => {
+  const pdf = await openPdf(bytes);
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+      // Loads the page's fonts, glyph widths included
+      await page.getOperatorList();
+      const font = (name) => (page.commonObjs.has(name) ? page.commonObjs.get(name) : null);
+      let text = '';
+      const items = [];
+      let previous = null;
+      for (const item of content.items) {
+        if (typeof item.str !== 'string') continue;
+        const [a, b, c, d, e, f] = item.transform;
+        const size = Math.hypot(c, d) || item.height || 1;
+        if (previous && text && !text.endsWith('\n')) {
+          // Fragments of one word sit flush against each other on the same baseline
+          const flush = Math.abs(f - previous.f) < size * 0.3 && Math.abs(e - (previous.e + previous.width)) < size * 0.2;
+          if (!flush) text += ' ';
+        }
+        if (item.str) {
+          items.push({
+            start: text.length,
+            end: text.length + item.str.length,
+            transform: [a, b, c, d, e, f],
+            width: item.width,
+            size,
+            offsets: characterOffsets(item.str, font(item.fontName))
+          });
+          text += item.str;
+          previous = { e, f, width: item.width };
+        }
+        if (item.hasEOL) text += '\n';
+      }
+      pages.push({ pageNumber, width: round(viewport.width), height: round(viewport.height), text, items, viewport });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * @function rangeToRects
+ * @desc Boxes covering characters [start, end) of a page from readTextLayout, one per text item touched. Where the
+ *       glyph widths are unknown the item's width is shared out evenly across its characters; burnIn widens
+ *       proposed boxes to the nearest gap in the ink so that no glyph is left half covered.
+ */
+export const rangeToRects = (page, start, end) => page.items
+  .filter((item) => item.start < end && item.end > start)
+  .map((item) => {
+    const [a, b, c, d, e, f] = item.transform;
+    const length = item.end - item.start;
+    const at = (index) => (item.offsets ? item.offsets[index - item.start] : (index - item.start) / length);
+    const from = at(Math.max(start, item.start));
+    const to = at(Math.min(end, item.end));
+    const along = Math.hypot(a, b) || 1;
+    const up = Math.hypot(c, d) || 1;
+    const dir = [a / along, b / along];
+    const rise = [c / up, d / up];
+    // From below the descenders to above the accents
+    const corners = [];
+    for (const offset of [from * item.width, to * item.width]) {
+      for (const lift of [-0.3 * item.size, 1.05 * item.size]) {
+        corners.push(page.viewport.convertToViewportPoint(e + dir[0] * offset + rise[0] * lift, f + dir[1] * offset + rise[1] * lift));
+      }
+    }
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x: round(x), y: round(y), width: round(Math.max(...xs) - x), height: round(Math.max(...ys) - y) };
+  });
+
+/**
+ * @function proposeRedactions
+ * @desc PII candidates for review, each with a default reason and its boxes. Ids run C-001, C-002… in page and
+ *       reading order, so the same version always yields the same ids.
+ * @param {Buffer} bytes - the PDF
+ * @param {Object} [options] - findPii options
+ * @returns {Promise<{ pages: Array<{ pageNumber, width, height, hasText }>, candidates: Array }>}
+ */
+export const proposeRedactions = async (bytes, options = {}) => {
+  const layout = await readTextLayout(bytes);
+  const candidates = [];
+  for (const page of layout) {
+    for (const hit of findPii(page.text, options)) {
+      candidates.push({
+        candidateId: `C-${String(candidates.length + 1).padStart(3, '0')}`,
+        type: hit.type,
+        text: hit.text,
+        confidence: hit.confidence,
+        reason: DEFAULT_REASONS[hit.type],
+        page: page.pageNumber,
+        rects: rangeToRects(page, hit.start, hit.end)
+      });
+    }
+  }
+  return {
+    pages: layout.map((page) => ({ pageNumber: page.pageNumber, width: page.width, height: page.height, hasText: page.items.length > 0 })),
+    candidates
+  };
+};
+
+/**
+ * @function validateRedactions
+ * @desc Checks reasons, pages and boxes and clips boxes to their page. Returns the redactions numbered 1…n in page
+ *       order, the numbers printed on the boxes and used in the log.
+ */
+export const validateRedactions = (redactions, pages) => {
+  if (!Array.isArray(redactions) || !redactions.length) throw redactionError('Mark at least one area to redact.');
+  const numbered = redactions.map((redaction, index) => {
+    const label = redaction.candidateId || `Redaction ${index + 1}`;
+    if (!Object.values(REDACTION_REASONS).includes(redaction.reason)) {
+      throw redactionError(`${label}: reason must be one of ${Object.values(REDACTION_REASONS).join(', ')}.`);
+    }
+    const page = pages.find((entry) => entry.pageNumber === Number(redaction.page));
+    if (!page) throw redactionError(`${label}: page ${redaction.page} is not in the document.`);
+    const rects = (redaction.rects || [redaction]).map((rect) => {
+      const [x, y, width, height] = [rect.x, rect.y, rect.width, rect.height].map(Number);
+      if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+        throw redactionError(`${label}: a box needs a numeric x, y and a positive width and height.`);
+      }
+      const left = Math.max(0, x);
+      const top = Math.max(0, y);
+      const right = Math.min(page.width, x + width);
+      const bottom = Math.min(page.height, y + height);
+      if (right <= left || bottom <= top) throw redactionError(`${label}: a box lies outside page ${page.pageNumber}.`);
+      return { x: round(left), y: round(top), width: round(right - left), height: round(bottom - top) };
+    });
+    return {
+      candidateId: redaction.candidateId,
+      type: redaction.type || PII_TYPES.MANUAL,
+      reason: redaction.reason,
+      note: redaction.note ? String(redaction.note).slice(0, 300) : undefined,
+      page: page.pageNumber,
+      rects,
+      // Proposed boxes are estimates from the text layer; hand-drawn ones are taken as drawn
+      snap: Boolean(redaction.candidateId)
+    };
+  });
+  return numbered
+    .map((redaction, index) => ({ redaction, index }))
+    .sort((a, b) => a.redaction.page - b.redaction.page || a.redaction.rects[0].y - b.redaction.rects[0].y
+      || a.redaction.rects[0].x - b.redaction.rects[0].x || a.index - b.index)
+    .map(({ redaction }, index) => ({ number: index + 1, ...redaction }));
+};
+
+// Rendering resolution: DEFAULT_DPI unless asked, kept between 72 and MAX_DPI
+const resolveDpi = (dpi) => Math.min(Math.max(Number(dpi) || DEFAULT_DPI, 72), MAX_DPI);
+
+// Widens a pixel box sideways until each edge sits on a column with no ink, at most `reach` pixels each way
+const snapToGaps = (context, box, limit, reach) => {
+  const height = box.bottom - box.top;
+  const inked = (column) => {
+    const { data } = context.getImageData(column, box.top, 1, height);
+    for (let at = 0; at < data.length; at += 4) if (data[at] + data[at + 1] + data[at + 2] < 600) return true;
+    return false;
+  };
+  let { left, right } = box;
+  for (let step = 0; step < reach && left > 0 && inked(left); step += 1) left -= 1;
+  for (let step = 0; step < reach && right < limit && inked(right - 1); step += 1) right += 1;
+  return { ...box, left, right };
+};
+
+/**
+ * @function burnIn
+ * @desc Renders every page at `dpi`, paints the redactions black into the pixels and returns a new PDF made only of
+ *       those page images, each box carrying its number from the log.
+ * @returns {Promise<PDFDocument>} the rebuilt document (pdf-lib), ready for the log to be appended
+ */
+export const burnIn = async (bytes, redactions, { dpi } = {}) => {
+  const scale = resolveDpi(dpi) / 72;
+  const source = await openPdf(bytes);
+  const pdf = await PDFDocument.create();
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  try {
+    for (let pageNumber = 1; pageNumber <= source.numPages; pageNumber += 1) {
+      const sourcePage = await source.getPage(pageNumber);
+      const pageSize = sourcePage.getViewport({ scale: 1 });
+      const viewport = sourcePage.getViewport({ scale });
+      const { canvas, context } = source.canvasFactory.create(viewport.width, viewport.height);
+      try {
+        await sourcePage.render({ canvasContext: context, canvas, viewport }).promise;
+      } catch (error) {
+        throw redactionError(`Page ${pageNumber} could not be rendered (${error.message}).`);
+      }
+
+      // Canvas sizes are whole pixels, so measure the scale actually used
+      const px = canvas.width / pageSize.width;
+      const py = canvas.height / pageSize.height;
+      const onPage = redactions.filter((redaction) => redaction.page === pageNumber);
+      context.fillStyle = '#000000';
+      for (const redaction of onPage) {
+        for (const rect of redaction.rects) {
+          let box = {
+            left: Math.max(0, Math.floor(rect.x * px) - 1),
+            top: Math.max(0, Math.floor(rect.y * py) - 1),
+            right: Math.min(canvas.width, Math.ceil((rect.x + rect.width) * px) + 1),
+            bottom: Math.min(canvas.height, Math.ceil((rect.y + rect.height) * py) + 1)
+          };
+          if (redaction.snap) box = snapToGaps(context, box, canvas.width, Math.ceil(rect.height * px));
+          context.fillRect(box.left, box.top, box.right - box.left, box.bottom - box.top);
+        }
+      }
+
+      const image = await pdf.embedPng(canvas.toBuffer('image/png'));
+      source.canvasFactory.destroy({ canvas, context });
+      sourcePage.cleanup();
+
+      const page = pdf.addPage([pageSize.width, pageSize.height]);
+      page.drawImage(image, { x: 0, y: 0, width: pageSize.width, height: pageSize.height });
+      for (const redaction of onPage) {
+        const rect = redaction.rects[0];
+        const size = Math.min(8, rect.height * 0.7);
+        const label = String(redaction.number);
+        if (size < 4 || bold.widthOfTextAtSize(label, size) > rect.width - 2) continue;
+        page.drawText(label, { x: rect.x + 1.5, y: pageSize.height - rect.y - rect.height / 2 - size * 0.35, size, font: bold, color: rgb(1, 1, 1) });
+      }
+    }
+  } finally {
+    await source.destroy();
+  }
+  return pdf;
+};
+
+const A4 = [595.28, 841.89];
+const MARGIN = 56;
+
+const stamp = (value) => (value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+/**
+ * @function appendRedactionLog
+ * @desc Adds the redaction log annexure: what was redacted from which version, by whom and when, then one row per
+ *       redaction (number, page, what it was, reason) and the grounds behind each reason code. The log never repeats
+ *       the redacted text.
+ * @param {PDFDocument} pdf
+ * @param {Object} input - { title, source: { label, fileName?, contentHash? }, redactions, preparedBy?, generatedAt? }
+ */
+export const appendRedactionLog = async (pdf, { title, source = {}, redactions, preparedBy, generatedAt = new Date() }) => {
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const grey = rgb(0.4, 0.4, 0.4);
+  const right = A4[0] - MARGIN;
+  const width = right - MARGIN;
+  const columns = [MARGIN, MARGIN + 30, MARGIN + 66, MARGIN + 200, MARGIN + 280];
+  const first = pdf.getPageCount();
+
+  let page;
+  let y;
+  const header = () => {
+    page.drawText('No.', { x: columns[0], y, size: 8.5, font: bold });
+    page.drawText('Page', { x: columns[1], y, size: 8.5, font: bold });
+    page.drawText('Redacted', { x: columns[2], y, size: 8.5, font: bold });
+    page.drawText('Reason', { x: columns[3], y, size: 8.5, font: bold });
+    page.drawText('Note', { x: columns[4], y, size: 8.5, font: bold });
+    y -= 5;
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: right, y }, thickness: 0.5, color: grey });
+    y -= 13;
+  };
+  const newPage = (withHeader) => {
+    page = pdf.addPage(A4);
+    y = A4[1] - MARGIN;
+    if (withHeader) header();
+  };
+  const line = (text, { font = regular, size = 10, color = rgb(0.1, 0.1, 0.1), gap = 14 } = {}) => {
+    page.drawText(fitText(text, font, size, width), { x: MARGIN, y, size, font, color });
+    y -= gap;
+  };
+
+  newPage(false);
+  line('REDACTION LOG', { font: bold, size: 15, gap: 20 });
+  line(title || 'Document', { font: bold, size: 12, gap: 20 });
+  line('REDACTED FROM', { font: bold, size: 8, color: grey, gap: 11 });
+  line([source.label, source.fileName, source.contentHash ? `SHA-256 ${source.contentHash.slice(0, 16)}…` : null].filter(Boolean).join('  |  '), { size: 9.5, gap: 16 });
+  line(`${redactions.length} redaction${redactions.length === 1 ? '' : 's'} on `
+    + `${new Set(redactions.map((redaction) => redaction.page)).size} of ${first} page${first === 1 ? '' : 's'}`
+    + `${preparedBy ? `, applied by ${preparedBy}` : ''} on ${stamp(generatedAt)} UTC.`, { font: bold, size: 10, gap: 14 });
+  line('The pages were rebuilt as images with the redacted areas painted over; the text beneath them no longer exists', { size: 9, color: grey, gap: 11 });
+  line('in this file. Each box is numbered to match this log.', { size: 9, color: grey, gap: 20 });
+  header();
+
+  for (const redaction of redactions) {
+    if (y < MARGIN + 30) newPage(true);
+    page.drawText(String(redaction.number), { x: columns[0], y, size: 9, font: regular });
+    page.drawText(String(redaction.page), { x: columns[1], y, size: 9, font: regular });
+    page.drawText(fitText(TYPE_LABELS[redaction.type] || redaction.type, regular, 9, columns[3] - columns[2] - 6), { x: columns[2], y, size: 9, font: regular });
+    page.drawText(redaction.reason, { x: columns[3], y, size: 9, font: regular });
+    if (redaction.note) page.drawText(fitText(redaction.note, regular, 9, right - columns[4]), { x: columns[4], y, size: 9, font: regular });
+    y -= 14;
+  }
+
+  y -= 10;
+  if (y < MARGIN + 30 + 14 * Object.keys(REASON_LABELS).length) newPage(false);
+  line('REASON CODES', { font: bold, size: 8, color: grey, gap: 12 });
+  for (const [code, label] of Object.entries(REASON_LABELS)) line(`${code}  ${label}`, { size: 9, gap: 13 });
+
+  const pages = pdf.getPages().slice(first);
+  pages.forEach((sheet, index) => {
+    const pageLabel = `Redaction log page ${index + 1} of ${pages.length}`;
+    const labelWidth = regular.widthOfTextAtSize(pageLabel, 8);
+    sheet.drawText(fitText(`${title || 'Document'}: redaction log annexure`, regular, 8, width - labelWidth - 20), { x: MARGIN, y: MARGIN - 20, size: 8, font: regular, color: grey });
+    sheet.drawText(pageLabel, { x: right - labelWidth, y: MARGIN - 20, size: 8, font: regular, color: grey });
+  });
+  return pdf;
+};
+
+/**
+ * @function redactPdf
+ * @desc The redacted PDF: validated redactions burnt into flattened pages, followed by the redaction log.
+ * @param {Buffer} bytes - the PDF to redact
+ * @param {Array} redactions - [{ page, rects: [{ x, y, width, height }] | x, y, width, height, reason, type?, note?, candidateId? }]
+ * @param {Object} [options] - { title, source, preparedBy, generatedAt, dpi }
+ * @returns {Promise<{ pdf: Buffer, redactions: Array, pageCount: number, dpi: number }>} redactions as numbered in the log
+ */
+export const redactPdf = async (bytes, redactions, { title, source, preparedBy, generatedAt = new Date(), dpi } = {}) => {
+  const layout = await readTextLayout(bytes);
+  const numbered = validateRedactions(redactions, layout);
+  const pdf = await burnIn(bytes, numbered, { dpi });
+  const pageCount = pdf.getPageCount();
+  await appendRedactionLog(pdf, { title, source, redactions: numbered, preparedBy, generatedAt });
+
+  pdf.setTitle(winAnsi(`${title || 'Document'} (redacted)`));
+  pdf.setCreator('Wilsy OS Redaction');
+  pdf.setProducer('Wilsy OS Redaction');
+  pdf.setCreationDate(new Date(generatedAt));
+  pdf.setModificationDate(new Date(generatedAt));
+  return { pdf: Buffer.from(await pdf.save()), redactions: numbered.map(({ snap, ...redaction }) => redaction), pageCount, dpi: resolveDpi(dpi) };
+};
+
+export default {
+  REDACTION_REASONS,
+  REASON_LABELS,
+  PII_TYPES,
+  DEFAULT_DPI,
+  isSaIdNumber,
+  findPii,
+  openPdf,
+  readTextLayout,
+  rangeToRects,
+  proposeRedactions,
+  validateRedactions,
+  burnIn,
+  appendRedactionLog,
+  redactPdf
+};
@@ -0,0 +1,666 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PADES PDF SIGNATURES [V1.0.0-PADES]                                                                                         ║
+ * ║ [INCREMENTAL UPDATES | BYTERANGE AND CMS CONTENTS | VISIBLE APPEARANCES | DOCUMENT SECURITY STORE | OFFLINE VERIFICATION]              ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/pdfSignature.js                                                     ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every signature is appended as an incremental update, so earlier revisions (and the signatures over them) keep
+ * their bytes. Each update carries the signature field and widget, its appearance, the /Sig dictionary with a
+ * zero-filled /Contents and the classic xref section chained through /Prev. The caller's sign() callback gets the
+ * SHA-256 of the /ByteRange and returns the CMS bytes. Inputs must use classic xref tables: pdf-lib saves with
+ * useObjectStreams: false produce them. No storage access here.
+ */
+
+import crypto from 'node:crypto';
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFRef,
+  PDFString,
+  StandardFonts,
+  decodePDFRawStream,
+  rgb
+} from 'pdf-lib';
+import { decode } from './asn1.js';
+import { parseCertificate, verifyCadesSignature } from './cms.js';
+
+export const PADES_SUBFILTER = 'ETSI.CAdES.detached';
+
+export const PADES_LEVELS = Object.freeze({
+  B_B: 'PAdES-B-B',
+  B_T: 'PAdES-B-T',
+  B_LT: 'PAdES-B-LT'
+});
+
+export const DEFAULT_PLACEHOLDER_BYTES = 16384;
+
+// Print + Locked: the appearance prints and cannot be moved or deleted in a viewer
+const WIDGET_FLAGS = 132;
+const BYTE_RANGE_PLACEHOLDER = 9999999999;
+
+const signatureError = (message) => new Error(`PADES_ERROR: ${message}`);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const winAnsi = (text) => String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const lastStartXref = (bytes) => {
+  const tail = bytes.subarray(Math.max(0, bytes.length - 1024)).toString('latin1');
+  const match = tail.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+  if (!match) throw signatureError('The PDF does not end with a startxref marker.');
+  const offset = Number(match[1]);
+  if (bytes.subarray(offset, offset + 4).toString('latin1') !== 'xref') {
+    throw signatureError('Incremental signing needs a classic xref table; re-save the PDF without object streams first.');
+  }
+  return offset;
+};
+
+const serialise = (object) => {
+  const buffer = Buffer.alloc(object.sizeInBytes());
+  object.copyBytesInto(buffer, 0);
+  return buffer;
+};
+
+const xrefSection = (entries) => {
+  const sorted = [...entries].sort((a, b) => a.number - b.number);
+  const groups = [];
+  sorted.forEach((entry) => {
+    const group = groups[groups.length - 1];
+    if (group && group[group.length - 1].number + 1 === entry.number) group.push(entry);
+    else groups.push([entry]);
+  });
+  return groups.map((group) => `${group[0].number} ${group.length}\n${group
+    .map((entry) => `${String(entry.offset).padStart(10, '0')} ${String(entry.generation).padStart(5, '0')} n \n`)
+    .join('')}`).join('');
+};
+
+/**
+ * @function writeIncrement
+ * @desc Appends the given (new or changed) objects as one incremental update and returns the whole file plus
+ * the offset each object was written at.
+ */
+const writeIncrement = (original, doc, refs) => {
+  const { context } = doc;
+  const { Root, Info, ID, Encrypt } = context.trailerInfo;
+  if (Encrypt) throw signatureError('Encrypted PDFs cannot be signed.');
+  const prev = lastStartXref(original);
+
+  const chunks = [original];
+  let offset = original.length;
+  const push = (chunk) => {
+    chunks.push(chunk);
+    offset += chunk.length;
+  };
+  if (original[original.length - 1] !== 0x0a) push(Buffer.from('\n'));
+
+  const unique = [...new Map(refs.map((ref) => [ref.tag, ref])).values()];
+  const entries = [];
+  const offsets = new Map();
+  unique.forEach((ref) => {
+    entries.push({ number: ref.objectNumber, generation: ref.generationNumber, offset });
+    offsets.set(ref.tag, offset);
+    push(Buffer.concat([
+      Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`, 'latin1'),
+      serialise(context.lookup(ref)),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]));
+  });
+
+  const trailer = [
+    `/Size ${context.largestObjectNumber + 1}`,
+    `/Root ${Root}`,
+    Info ? `/Info ${Info}` : null,
+    ID ? `/ID ${ID}` : null,
+    `/Prev ${prev}`
+  ].filter(Boolean).join(' ');
+  const xrefOffset = offset;
+  push(Buffer.from(`xref\n${xrefSection(entries)}trailer\n<< ${trailer} >>\nstartxref\n${xrefOffset}\n%%EOF\n`, 'latin1'));
+  return { bytes: Buffer.concat(chunks), offsets };
+};
+
+// Returns the array stored under key, plus the ref to rewrite when that array is its own indirect object
+const arrayUnder = (context, dict, key) => {
+  const value = dict.get(PDFName.of(key));
+  if (value instanceof PDFRef) return { array: context.lookup(value, PDFArray), ref: value };
+  if (value instanceof PDFArray) return { array: value, ref: null };
+  const array = context.obj([]);
+  dict.set(PDFName.of(key), array);
+  return { array, ref: null };
+};
+
+const acroFormOf = (context, catalog) => {
+  const value = catalog.get(PDFName.of('AcroForm'));
+  if (value instanceof PDFRef) return { acroForm: context.lookup(value, PDFDict), ref: value, catalogChanged: false };
+  const acroForm = value instanceof PDFDict ? value : context.obj({ Fields: [] });
+  const ref = context.register(acroForm);
+  catalog.set(PDFName.of('AcroForm'), ref);
+  return { acroForm, ref, catalogChanged: true };
+};
+
+const fieldNames = (context, fields) => fields.asArray().flatMap((entry) => {
+  const field = context.lookup(entry);
+  if (!(field instanceof PDFDict)) return [];
+  const name = field.get(PDFName.of('T'));
+  const kids = field.get(PDFName.of('Kids'));
+  return [name ? name.decodeText() : null, ...(kids ? fieldNames(context, context.lookup(kids, PDFArray)) : [])].filter(Boolean);
+});
+
+// The adopted signature (a drawn PNG, or typed text in italics) takes the top half of the box, the lines the rest
+const appearanceStream = async (doc, { width, height, lines, mark }) => {
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  await font.embed();
+  const resources = { Font: { F1: font.ref } };
+  const drawn = [];
+  let textTop = height;
+  if (mark?.image) {
+    const image = await doc.embedPng(mark.image);
+    await image.embed();
+    const scale = Math.min((width - 8) / image.width, (height / 2 - 4) / image.height);
+    const [w, h] = [image.width * scale, image.height * scale];
+    drawn.push(`q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} 4 ${(height - 4 - h).toFixed(2)} cm /Im1 Do Q`);
+    resources.XObject = { Im1: image.ref };
+    textTop = height - 4 - h;
+  } else if (mark?.text) {
+    const script = await doc.embedFont(StandardFonts.TimesRomanItalic);
+    await script.embed();
+    const value = winAnsi(mark.text);
+    const size = Math.min(height / 2 - 6, ((width - 8) / Math.max(script.widthOfTextAtSize(value, 1), 1)));
+    drawn.push(`BT 0.05 0.1 0.35 rg /F2 ${size.toFixed(2)} Tf 4 ${(height - 4 - size).toFixed(2)} Td ${script.encodeText(value)} Tj ET`);
+    resources.Font.F2 = script.ref;
+    textTop = height - 6 - size;
+  }
+  const text = lines.map(winAnsi).filter(Boolean);
+  const size = Math.max(4, Math.min(10, (textTop - 8) / (Math.max(text.length, 1) * 1.25)));
+  const leading = size * 1.25;
+  const fitted = text.map((line) => {
+    let value = line;
+    while (value.length > 1 && font.widthOfTextAtSize(value, size) > width - 8) value = value.slice(0, -1);
+    return value === line ? value : `${value.slice(0, -1)}…`;
+  });
+  const content = [
+    `q 0.95 0.96 0.99 rg 0 0 ${width} ${height} re f Q`,
+    `q 0.16 0.25 0.55 RG 0.8 w 0.4 0.4 ${width - 0.8} ${height - 0.8} re S Q`,
+    ...drawn,
+    'BT 0.1 0.12 0.25 rg',
+    `/F1 ${size.toFixed(2)} Tf ${leading.toFixed(2)} TL 4 ${(textTop - 4 - size).toFixed(2)} Td`,
+    ...fitted.map((line, index) => `${index ? 'T* ' : ''}${font.encodeText(line)} Tj`),
+    'ET'
+  ].join('\n');
+  const stream = doc.context.stream(content, {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: [0, 0, width, height],
+    Resources: resources
+  });
+  return doc.context.register(stream);
+};
+
+const locate = (bytes, needle, from, to) => {
+  const index = bytes.indexOf(Buffer.from(needle, 'latin1'), from);
+  if (index === -1 || index > to) throw signatureError(`Could not locate ${needle} in the signature dictionary.`);
+  return index;
+};
+
+export const DEFAULT_FIELD_SIZE = Object.freeze({ width: 180, height: 54 });
+
+const FIELD_MARGIN = 56;
+const FIELD_GAP = 18;
+
+const fieldName = (value) => String(value).replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 64);
+
+/**
+ * @function placeSignatureFields
+ * @desc Positions one signature field per signing party. A template requirement for the party's role (and order,
+ * when several share a role) may fix the field; page is 1-based and negative pages count from the end. Parties
+ * without a fixed field are laid out in two columns from the bottom of the last page.
+ * @param {Array<Object>} requirements Template signatureRequirements: { role, order, field: { name, page, x, y, width, height } }.
+ * @param {Array<Object>} signers { email, name, role, order }; observers get no field.
+ * @param {Array<{width: number, height: number}>} pages Page sizes of the document being signed.
+ */
+export const placeSignatureFields = (requirements = [], signers = [], pages = []) => {
+  if (!pages.length) throw signatureError('The document has no pages to place signatures on.');
+  const signing = signers.filter((signer) => signer.role !== 'observer').sort((a, b) => (a.order || 0) - (b.order || 0));
+  const used = new Set();
+  let automatic = 0;
+
+  return signing.map((signer, index) => {
+    const candidates = requirements.filter((requirement, position) => !used.has(position) && requirement.field
+      && (requirement.role || 'signer').toLowerCase() === (signer.role || 'signer').toLowerCase());
+    const requirement = candidates.find((candidate) => candidate.order === signer.order) || candidates[0];
+    if (requirement) used.add(requirements.indexOf(requirement));
+    const fixed = requirement?.field || {};
+    const width = fixed.width || DEFAULT_FIELD_SIZE.width;
+    const height = fixed.height || DEFAULT_FIELD_SIZE.height;
+
+    let page = pages.length;
+    let x;
+    let y;
+    if (Number.isFinite(fixed.x) && Number.isFinite(fixed.y)) {
+      page = fixed.page < 0 ? pages.length + fixed.page + 1 : fixed.page || pages.length;
+      ({ x, y } = fixed);
+    } else {
+      x = FIELD_MARGIN + (automatic % 2) * (width + FIELD_GAP);
+      y = FIELD_MARGIN + Math.floor(automatic / 2) * (height + FIELD_GAP);
+      automatic += 1;
+    }
+    const size = pages[page - 1];
+    if (!size) throw signatureError(`Signature field for ${signer.email} is on page ${page}, but the document has ${pages.length}.`);
+    if (x < 0 || y < 0 || x + width > size.width || y + height > size.height) {
+      throw signatureError(`Signature field for ${signer.email} does not fit on page ${page}.`);
+    }
+    return {
+      email: signer.email,
+      role: signer.role || 'signer',
+      order: signer.order || index + 1,
+      name: fieldName(fixed.name || `Signature_${index + 1}_${signer.role || 'signer'}`),
+      page,
+      x,
+      y,
+      width,
+      height
+    };
+  });
+};
+
+const A4 = [595.28, 841.89];
+
+const wrap = (value, font, size, width) => winAnsi(value).split(/\n/).flatMap((paragraph) => {
+  const lines = [];
+  let line = '';
+  paragraph.split(/ +/).forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= width || !line) line = candidate;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  return [...lines, line];
+});
+
+const utc = (date) => (date ? new Date(date).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : '-');
+
+/**
+ * @function appendCompletionCertificate
+ * @desc Adds a certificate of completion after the document's pages and re-saves it with a classic xref table and a
+ * file identifier, ready for incremental signing. The signatures added afterwards cover this page too.
+ * @param {Buffer} pdfBytes The document being signed.
+ * @param {Object} summary { title, requestId, documentHash, createdAt, completedAt, signers: [{ name, email, role, signedAt, ipAddress, verificationLevel, field }] }
+ */
+export const appendCompletionCertificate = async (pdfBytes, summary) => {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const regular = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const width = A4[0] - FIELD_MARGIN * 2;
+  let page = doc.addPage(A4);
+  let y = A4[1] - FIELD_MARGIN;
+
+  const write = (value, { font = regular, size = 9.5, gap = 3, indent = 0 } = {}) => {
+    wrap(value, font, size, width - indent).forEach((line) => {
+      if (y - size < FIELD_MARGIN) {
+        page = doc.addPage(A4);
+        y = A4[1] - FIELD_MARGIN;
+      }
+      page.drawText(line, { x: FIELD_MARGIN + indent, y: y - size, size, font, color: rgb(0.1, 0.12, 0.2) });
+      y -= size + gap;
+    });
+  };
+
+  write('CERTIFICATE OF COMPLETION', { font: bold, size: 16, gap: 10 });
+  write(`Document: ${summary.title || '-'}`, { font: bold });
+  write(`Signature request: ${summary.requestId}`);
+  write(`Original document SHA-256: ${summary.documentHash}`);
+  write(`Requested: ${utc(summary.createdAt)}    Completed: ${utc(summary.completedAt)}`, { gap: 12 });
+  summary.signers.forEach((signer, index) => {
+    write(`${index + 1}. ${signer.name} <${signer.email}> - ${signer.role || 'signer'}`, { font: bold, size: 10.5 });
+    write(`Signed: ${utc(signer.signedAt)}    IP address: ${signer.ipAddress || '-'}    Verification: ${signer.verificationLevel || '-'}`, { indent: 14 });
+    if (signer.field) write(`Signature field "${signer.field.name}" on page ${signer.field.page}`, { indent: 14, gap: 10 });
+  });
+  y -= 6;
+  write('Each party\'s signature is embedded in this PDF as a PAdES baseline signature (ETSI.CAdES.detached) with a '
+    + 'signature timestamp, and the certificates and revocation data needed to validate it are stored in the '
+    + 'document. Every signature covers this certificate. Any change to the signed content invalidates them.', { size: 8.5 });
+
+  doc.context.trailerInfo.ID = doc.context.obj([PDFHexString.of(crypto.randomBytes(16).toString('hex')), PDFHexString.of(crypto.randomBytes(16).toString('hex'))]);
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+};
+
+/**
+ * @function appendSignature
+ * @desc Adds a signed signature field as an incremental update.
+ * @param {Buffer} pdfBytes The current PDF.
+ * @param {Object} options
+ * @param {Object} options.field name, page (1-based), x, y, width, height in PDF points; width/height 0 makes it invisible.
+ * @param {string[]} options.appearance Lines of text drawn in the visible field.
+ * @param {Object} [options.mark] The signer's adopted signature drawn above those lines: { image: PNG bytes } or { text }.
+ * @param {Function} options.sign async (digest: Buffer) => CMS DER bytes.
+ * @returns {Promise<{bytes: Buffer, byteRange: number[], digest: string, fieldName: string, contents: Buffer}>}
+ */
+export const appendSignature = async (pdfBytes, {
+  field,
+  appearance = [],
+  mark,
+  sign,
+  signingTime = new Date(),
+  name,
+  reason,
+  location,
+  contactInfo,
+  placeholderBytes = DEFAULT_PLACEHOLDER_BYTES
+}) => {
+  if (typeof sign !== 'function') throw signatureError('A sign(digest) callback is required.');
+  const original = Buffer.from(pdfBytes);
+  const doc = await PDFDocument.load(original, { updateMetadata: false });
+  const { context, catalog } = doc;
+  const existingObjects = context.largestObjectNumber;
+  const pages = doc.getPages();
+  const pageIndex = Math.min(Math.max((field?.page || pages.length) - 1, 0), pages.length - 1);
+  const page = pages[pageIndex];
+
+  const { acroForm, ref: acroFormRef, catalogChanged } = acroFormOf(context, catalog);
+  const fields = arrayUnder(context, acroForm, 'Fields');
+  const fieldName = winAnsi(field?.name || `Signature${fields.array.size() + 1}`);
+  if (fieldNames(context, fields.array).includes(fieldName)) throw signatureError(`The PDF already has a field named ${fieldName}.`);
+
+  const sigDict = context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: PADES_SUBFILTER,
+    ByteRange: [0, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER],
+    Contents: PDFHexString.of('0'.repeat(placeholderBytes * 2)),
+    M: PDFString.fromDate(new Date(signingTime))
+  });
+  if (name) sigDict.set(PDFName.of('Name'), PDFHexString.fromText(name));
+  if (reason) sigDict.set(PDFName.of('Reason'), PDFHexString.fromText(reason));
+  if (location) sigDict.set(PDFName.of('Location'), PDFHexString.fromText(location));
+  if (contactInfo) sigDict.set(PDFName.of('ContactInfo'), PDFHexString.fromText(contactInfo));
+  const sigRef = context.register(sigDict);
+
+  const width = Math.max(0, field?.width || 0);
+  const height = Math.max(0, field?.height || 0);
+  const x = field?.x || 0;
+  const y = field?.y || 0;
+  const written = [sigRef, acroFormRef];
+  const widget = context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFString.of(fieldName),
+    V: sigRef,
+    F: WIDGET_FLAGS,
+    P: page.ref,
+    Rect: [x, y, x + width, y + height]
+  });
+  if (width && height) {
+    widget.set(PDFName.of('AP'), context.obj({ N: await appearanceStream(doc, { width, height, lines: appearance, mark }) }));
+  }
+  const widgetRef = context.register(widget);
+  written.push(widgetRef);
+
+  fields.array.push(widgetRef);
+  written.push(fields.ref || acroFormRef);
+  acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+  const annots = arrayUnder(context, page.node, 'Annots');
+  annots.array.push(widgetRef);
+  written.push(annots.ref || page.ref);
+  if (catalogChanged) written.push(context.trailerInfo.Root);
+  // Everything registered since loading: the appearance stream, its fonts and images (with their soft masks)
+  context.enumerateIndirectObjects().forEach(([ref]) => {
+    if (ref.objectNumber > existingObjects) written.push(ref);
+  });
+
+  const { bytes, offsets } = writeIncrement(original, doc, written);
+
+  // Fill in the /ByteRange around the /Contents hole, then sign what it covers
+  const sigStart = offsets.get(sigRef.tag);
+  const sigEnd = bytes.indexOf(Buffer.from('endobj', 'latin1'), sigStart);
+  const contentsStart = locate(bytes, '/Contents <', sigStart, sigEnd) + '/Contents '.length;
+  const contentsEnd = bytes.indexOf(0x3e, contentsStart) + 1;
+  const rangeStart = locate(bytes, '/ByteRange [', sigStart, sigEnd) + '/ByteRange '.length;
+  const rangeEnd = bytes.indexOf(0x5d, rangeStart) + 1;
+  const byteRange = [0, contentsStart, contentsEnd, bytes.length - contentsEnd];
+  const rangeText = `[${byteRange.join(' ')}]`.padEnd(rangeEnd - rangeStart, ' ');
+  if (rangeText.length !== rangeEnd - rangeStart) throw signatureError('The /ByteRange placeholder is too small.');
+  bytes.write(rangeText, rangeStart, 'latin1');
+
+  const digest = sha256(Buffer.concat([bytes.subarray(0, contentsStart), bytes.subarray(contentsEnd)]));
+  const cms = Buffer.from(await sign(digest));
+  const hex = cms.toString('hex');
+  if (hex.length > contentsEnd - contentsStart - 2) {
+    throw signatureError(`The signature needs ${cms.length} bytes but only ${placeholderBytes} were reserved.`);
+  }
+  bytes.write(hex, contentsStart + 1, 'latin1');
+  const contents = Buffer.from(bytes.subarray(contentsStart + 1, contentsEnd - 1).toString('latin1'), 'hex');
+  return { bytes, byteRange, digest: digest.toString('hex'), fieldName, contents };
+};
+
+const dssKey = (contents) => crypto.createHash('sha1').update(contents).digest('hex').toUpperCase();
+
+/**
+ * @function appendDss
+ * @desc Adds the validation material (certificates and CRLs) in a Document Security Store, turning B-T
+ * signatures into B-LT. Per-signature VRI entries point at the material each signature needs.
+ * @param {Buffer} pdfBytes The signed PDF.
+ * @param {Object} options certificates and crls as DER buffers; vri maps a signature's /Contents bytes to the
+ * indexes of its certificates and CRLs.
+ */
+export const appendDss = async (pdfBytes, { certificates = [], crls = [], vri = [] }) => {
+  const original = Buffer.from(pdfBytes);
+  const doc = await PDFDocument.load(original, { updateMetadata: false });
+  const { context, catalog } = doc;
+  if (catalog.get(PDFName.of('DSS'))) throw signatureError('The PDF already has a Document Security Store.');
+
+  const streamRefs = (items) => items.map((der) => context.register(context.flateStream(der)));
+  const certRefs = streamRefs(certificates);
+  const crlRefs = streamRefs(crls);
+  const vriDict = context.obj({});
+  vri.forEach((entry) => {
+    vriDict.set(PDFName.of(dssKey(entry.contents)), context.obj({
+      Cert: (entry.certificates || []).map((index) => certRefs[index]),
+      CRL: (entry.crls || []).map((index) => crlRefs[index])
+    }));
+  });
+  const dssRef = context.register(context.obj({ Certs: certRefs, CRLs: crlRefs, VRI: vriDict }));
+  catalog.set(PDFName.of('DSS'), dssRef);
+  catalog.set(PDFName.of('Extensions'), context.obj({ ESIC: { BaseVersion: PDFName.of('1.7'), ExtensionLevel: 5 } }));
+
+  return writeIncrement(original, doc, [dssRef, ...certRefs, ...crlRefs, context.trailerInfo.Root]).bytes;
+};
+
+const streamBytes = (stream) => Buffer.from(stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents());
+
+/**
+ * @function readDss
+ * @desc Certificates and CRLs from the Document Security Store, plus the refs that belong to it.
+ */
+export const readDss = (doc) => {
+  const { context, catalog } = doc;
+  const dss = catalog.lookupMaybe(PDFName.of('DSS'), PDFDict);
+  if (!dss) return { certificates: [], crls: [], refs: [] };
+  const refs = [catalog.get(PDFName.of('DSS'))];
+  const collect = (key) => {
+    const array = dss.lookupMaybe(PDFName.of(key), PDFArray);
+    if (!array) return [];
+    return array.asArray().map((ref) => {
+      refs.push(ref);
+      return streamBytes(context.lookup(ref));
+    });
+  };
+  return { certificates: collect('Certs'), crls: collect('CRLs'), refs: refs.filter((ref) => ref instanceof PDFRef) };
+};
+
+const signatureFields = (context, array, pages) => array.asArray().flatMap((entry) => {
+  const field = context.lookup(entry);
+  if (!(field instanceof PDFDict)) return [];
+  const kids = field.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  const value = field.lookupMaybe(PDFName.of('V'), PDFDict);
+  const own = field.get(PDFName.of('FT')) === PDFName.of('Sig') && value ? [{ field, value }] : [];
+  return [...own, ...(kids ? signatureFields(context, kids, pages) : [])];
+}).map(({ field, value }) => {
+  const pageRef = field.get(PDFName.of('P'));
+  const rect = field.lookupMaybe(PDFName.of('Rect'), PDFArray)?.asArray().map((number) => number.asNumber());
+  return {
+    name: field.get(PDFName.of('T'))?.decodeText(),
+    page: pageRef ? pages.findIndex((page) => page.ref === pageRef) + 1 || null : null,
+    rect,
+    visible: Boolean(rect && rect[2] - rect[0] > 0 && rect[3] - rect[1] > 0),
+    value
+  };
+});
+
+const text = (dict, key) => dict.lookupMaybe(PDFName.of(key), PDFString, PDFHexString)?.decodeText();
+
+/**
+ * @function extractSignatures
+ * @desc Every signature field with its /ByteRange, the CMS taken from the hole the range leaves, and the digest
+ * of the bytes it covers. Structural problems are reported, not thrown.
+ */
+export const extractSignatures = async (pdfBytes) => {
+  const bytes = Buffer.from(pdfBytes);
+  const doc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const { context, catalog } = doc;
+  const fields = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict)?.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  const found = fields ? signatureFields(context, fields, doc.getPages()) : [];
+
+  const signatures = found.map(({ name, page, rect, visible, value }) => {
+    const problems = [];
+    const byteRange = value.lookupMaybe(PDFName.of('ByteRange'), PDFArray)?.asArray().map((number) => number.asNumber()) || [];
+    const [start, firstLength, secondStart, secondLength] = byteRange;
+    const wellFormed = byteRange.length === 4 && start === 0 && firstLength < secondStart && secondStart + secondLength <= bytes.length
+      && bytes[firstLength] === 0x3c && bytes[secondStart - 1] === 0x3e;
+    let cms = null;
+    let digest = null;
+    if (!wellFormed) {
+      problems.push('The /ByteRange is malformed or does not frame the /Contents string.');
+    } else {
+      const hex = bytes.subarray(firstLength + 1, secondStart - 1).toString('latin1');
+      if (!/^[0-9a-fA-F]*$/.test(hex)) {
+        problems.push('The /ByteRange hole does not contain a hex string.');
+      } else {
+        const contents = Buffer.from(hex, 'hex');
+        try {
+          cms = Buffer.from(decode(contents).der);
+        } catch (error) {
+          problems.push('The /Contents do not hold a DER encoded signature.');
+        }
+        digest = sha256(Buffer.concat([bytes.subarray(0, firstLength), bytes.subarray(secondStart, secondStart + secondLength)]));
+      }
+    }
+    const revisionEnd = wellFormed ? secondStart + secondLength : null;
+    if (revisionEnd && !/%%EOF\s*$/.test(bytes.subarray(Math.max(0, revisionEnd - 16), revisionEnd).toString('latin1'))) {
+      problems.push('The signed range does not end at a revision boundary.');
+    }
+    const subFilter = value.lookupMaybe(PDFName.of('SubFilter'), PDFName)?.decodeText();
+    if (subFilter !== PADES_SUBFILTER) problems.push(`Unsupported /SubFilter ${subFilter || 'missing'}.`);
+    return {
+      fieldName: name,
+      page,
+      rect,
+      visible,
+      subFilter,
+      name: text(value, 'Name'),
+      reason: text(value, 'Reason'),
+      location: text(value, 'Location'),
+      claimedSigningTime: value.lookupMaybe(PDFName.of('M'), PDFString, PDFHexString)?.decodeDate(),
+      byteRange,
+      revisionEnd,
+      coversWholeDocument: revisionEnd === bytes.length,
+      contents: wellFormed ? Buffer.from(bytes.subarray(firstLength + 1, secondStart - 1).toString('latin1'), 'hex') : null,
+      cms,
+      digest,
+      problems
+    };
+  });
+  return { doc, bytes, signatures: signatures.sort((a, b) => (a.revisionEnd || 0) - (b.revisionEnd || 0)) };
+};
+
+const objectNumbersIn = (chunk) => [...chunk.toString('latin1').matchAll(/(?:^|[\r\n])(\d+) (\d+) obj\b/g)].map((match) => Number(match[1]));
+
+/**
+ * @function verifyPdfSignatures
+ * @desc Offline PAdES verification: integrity of every /ByteRange, the CMS signature, the certificate chain to a
+ * trust anchor, the signature timestamp, revocation from the embedded DSS, and whether anything other than
+ * validation material was added after the last signature.
+ * @param {Buffer} pdfBytes
+ * @param {Object} options trustAnchors as DER buffers or parsed certificates.
+ */
+export const verifyPdfSignatures = async (pdfBytes, { trustAnchors = [] } = {}) => {
+  const anchors = trustAnchors.map((anchor) => (anchor.tbs ? anchor : parseCertificate(anchor)));
+  const { doc, bytes, signatures } = await extractSignatures(pdfBytes);
+  const dss = readDss(doc);
+  const dssCertificates = dss.certificates.map((der) => parseCertificate(der));
+
+  const results = signatures.map((signature) => {
+    const problems = [...signature.problems];
+    let check = null;
+    if (signature.cms && signature.digest) {
+      try {
+        check = verifyCadesSignature(signature.cms, signature.digest, {
+          trustAnchors: anchors,
+          certificates: dssCertificates,
+          crls: dss.crls,
+          claimedSigningTime: signature.claimedSigningTime
+        });
+        problems.push(...check.problems);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    const timestamped = Boolean(check?.timestamp?.valid);
+    const longTerm = timestamped && check.revocation.status === 'GOOD'
+      && check.chain.length > 0 && dss.certificates.length > 0;
+    const { contents, cms, digest, problems: structural, ...summary } = signature; // eslint-disable-line no-unused-vars
+    return {
+      ...summary,
+      valid: !problems.length,
+      integrity: Boolean(check) && !check.problems.some((problem) => /digest|signature value/i.test(problem)),
+      level: !check ? null : longTerm ? PADES_LEVELS.B_LT : timestamped ? PADES_LEVELS.B_T : PADES_LEVELS.B_B,
+      signer: check?.signer || null,
+      signingTime: check?.signingTime || null,
+      timestamp: check?.timestamp || null,
+      chain: check?.chain || [],
+      trusted: Boolean(check?.trusted),
+      revocation: check?.revocation?.status || 'UNKNOWN',
+      problems
+    };
+  });
+
+  // After the last signature only the DSS (and the catalog that points at it) may change
+  const lastEnd = signatures.reduce((max, signature) => Math.max(max, signature.revisionEnd || 0), 0);
+  const permitted = new Set([...dss.refs.map((ref) => ref.objectNumber), doc.context.trailerInfo.Root.objectNumber]);
+  const vriRefs = doc.catalog.lookupMaybe(PDFName.of('DSS'), PDFDict)?.lookupMaybe(PDFName.of('VRI'), PDFDict);
+  vriRefs?.values().forEach((entry) => { if (entry instanceof PDFRef) permitted.add(entry.objectNumber); });
+  const added = lastEnd ? objectNumbersIn(bytes.subarray(lastEnd)) : [];
+  const unexpected = added.filter((number) => !permitted.has(number));
+
+  return {
+    signatureCount: results.length,
+    valid: results.length > 0 && results.every((result) => result.valid) && !unexpected.length,
+    modifiedAfterLastSignature: unexpected.length > 0,
+    dss: { certificates: dss.certificates.length, crls: dss.crls.length },
+    signatures: results
+  };
+};
+
+export default {
+  PADES_SUBFILTER,
+  PADES_LEVELS,
+  DEFAULT_PLACEHOLDER_BYTES,
+  DEFAULT_FIELD_SIZE,
+  placeSignatureFields,
+  appendCompletionCertificate,
+  appendSignature,
+  appendDss,
+  readDss,
+  extractSignatures,
+  verifyPdfSignatures
+};
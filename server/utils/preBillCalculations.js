@@ -0,0 +1,147 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRE-BILL CALCULATIONS [V1.0.0-BILLING]                                                                                      ║
+ * ║ [LINE WRITE-DOWN / WRITE-OFF / TRANSFER | PROFORMA TOTALS | FIXED FEE DRAWDOWN | SEQUENTIAL TAX INVOICE NUMBERS]                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/preBillCalculations.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pure helpers behind preBillService. Amounts are exclusive of VAT and summed in cents.
+ */
+
+export const PRE_BILL_LINE_SOURCES = Object.freeze({
+  TIME_ENTRY: 'TIME_ENTRY',
+  DISBURSEMENT: 'DISBURSEMENT',
+  FIXED_FEE: 'FIXED_FEE'
+});
+
+export const PRE_BILL_LINE_STATUS = Object.freeze({
+  INCLUDED: 'INCLUDED',
+  WRITTEN_DOWN: 'WRITTEN_DOWN',
+  WRITTEN_OFF: 'WRITTEN_OFF',
+  TRANSFERRED: 'TRANSFERRED'
+});
+
+export const PRE_BILL_ADJUSTMENTS = Object.freeze({
+  WRITE_DOWN: 'WRITE_DOWN',
+  WRITE_OFF: 'WRITE_OFF',
+  TRANSFER: 'TRANSFER',
+  RESTORE: 'RESTORE'
+});
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * @function applyLineAdjustment
+ * @desc Validates an adjustment against a pre-bill line and returns the line's new state plus the audit record.
+ * A line is always adjusted from its original amount, so successive write-downs never compound.
+ * @param {Object} line - { lineId, sourceType, originalAmount, amount, status, transferToMatterId }
+ * @param {Object} request - { action, amount?, targetMatterId?, reason }
+ * @returns {{ line: Object, adjustment: Object }}
+ */
+export const applyLineAdjustment = (line, { action, amount, targetMatterId, reason }) => {
+  if (!PRE_BILL_ADJUSTMENTS[action]) throw new Error(`BILLING_ERROR: Unknown adjustment ${action}.`);
+  if (action !== PRE_BILL_ADJUSTMENTS.RESTORE && !String(reason || '').trim()) {
+    throw new Error('BILLING_ERROR: Every write-down, write-off or transfer needs a reason.');
+  }
+
+  const next = { ...line };
+  switch (action) {
+    case PRE_BILL_ADJUSTMENTS.WRITE_DOWN: {
+      const target = toCents(amount);
+      if (!(target > 0 && target < toCents(line.originalAmount))) {
+        throw new Error('BILLING_ERROR: A write-down must leave an amount above zero and below the original.');
+      }
+      next.amount = target / 100;
+      next.status = PRE_BILL_LINE_STATUS.WRITTEN_DOWN;
+      next.transferToMatterId = undefined;
+      break;
+    }
+    case PRE_BILL_ADJUSTMENTS.WRITE_OFF:
+      next.amount = 0;
+      next.status = PRE_BILL_LINE_STATUS.WRITTEN_OFF;
+      next.transferToMatterId = undefined;
+      break;
+    case PRE_BILL_ADJUSTMENTS.TRANSFER:
+      if (line.sourceType === PRE_BILL_LINE_SOURCES.FIXED_FEE) {
+        throw new Error('BILLING_ERROR: A fixed fee belongs to its matter and cannot be transferred.');
+      }
+      if (!targetMatterId) throw new Error('BILLING_ERROR: targetMatterId is required to transfer a line.');
+      next.amount = 0;
+      next.status = PRE_BILL_LINE_STATUS.TRANSFERRED;
+      next.transferToMatterId = targetMatterId;
+      break;
+    default:
+      next.amount = line.originalAmount;
+      next.status = PRE_BILL_LINE_STATUS.INCLUDED;
+      next.transferToMatterId = undefined;
+  }
+
+  return {
+    line: next,
+    adjustment: {
+      lineId: line.lineId,
+      action,
+      fromStatus: line.status,
+      toStatus: next.status,
+      fromAmount: line.amount,
+      toAmount: next.amount,
+      targetMatterId: next.transferToMatterId,
+      reason: reason ? String(reason).trim() : undefined
+    }
+  };
+};
+
+/**
+ * @function preBillTotals
+ * @desc Proforma position: what was gathered, what each adjustment type removed, and the invoice totals (VAT per line).
+ */
+export const preBillTotals = (lines = []) => {
+  const cents = { originalTotal: 0, writtenDown: 0, writtenOff: 0, transferred: 0, subtotal: 0, taxAmount: 0 };
+  lines.forEach((line) => {
+    const original = toCents(line.originalAmount);
+    const billed = toCents(line.amount);
+    cents.originalTotal += original;
+    if (line.status === PRE_BILL_LINE_STATUS.WRITTEN_DOWN) cents.writtenDown += original - billed;
+    if (line.status === PRE_BILL_LINE_STATUS.WRITTEN_OFF) cents.writtenOff += original;
+    if (line.status === PRE_BILL_LINE_STATUS.TRANSFERRED) cents.transferred += original;
+    cents.subtotal += billed;
+    cents.taxAmount += Math.round(billed * Number(line.taxRate ?? 0));
+  });
+
+  return {
+    originalTotal: cents.originalTotal / 100,
+    writtenDown: cents.writtenDown / 100,
+    writtenOff: cents.writtenOff / 100,
+    transferred: cents.transferred / 100,
+    subtotal: cents.subtotal / 100,
+    taxAmount: cents.taxAmount / 100,
+    totalAmount: (cents.subtotal + cents.taxAmount) / 100
+  };
+};
+
+/**
+ * @function fixedFeeOutstanding
+ * @desc Portion of an agreed fixed fee not yet drawn onto an issued pre-bill.
+ */
+export const fixedFeeOutstanding = (fixedFee, alreadyDrawn = 0) => Math.max(0, toCents(fixedFee) - toCents(alreadyDrawn)) / 100;
+
+/**
+ * @function formatTaxInvoiceNumber
+ * @desc Sequential, gap-free tax invoice number per tenant and year (SARS VAT Act s20 requires consecutive numbering).
+ */
+export const formatTaxInvoiceNumber = ({ tenantId, year, sequence }) => {
+  const tenantCode = tenantId ? String(tenantId).slice(-4).toUpperCase() : 'GLOB';
+  return `INV-${year}-${tenantCode}-${String(sequence).padStart(6, '0')}`;
+};
+
+export default {
+  PRE_BILL_LINE_SOURCES,
+  PRE_BILL_LINE_STATUS,
+  PRE_BILL_ADJUSTMENTS,
+  applyLineAdjustment,
+  preBillTotals,
+  fixedFeeOutstanding,
+  formatTaxInvoiceNumber
+};
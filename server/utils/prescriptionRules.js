@@ -0,0 +1,143 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - PRESCRIPTION RULES [V1.0.0-LITIGATION]                                                                                      ║
+ * ║ [PRESCRIPTION ACT 68 OF 1969 | ACT 40 OF 2002 NOTICE | s13 IMPEDIMENTS | ESCALATION THRESHOLDS]                                        ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/prescriptionRules.js                                                ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Periods run from the day the debt became due (or the creditor learnt of it, s12(3)) and are computed civilian-style:
+ * a three-year claim arising on 10 May 2023 prescribes at the end of 9 May 2026. Service of process (s15) stops the
+ * clock, as does delivery of the s3 notice for the notice cut-off on claims against organs of state.
+ */
+
+import { toCourtDate } from './courtDeadlineRules.js';
+
+export const CLAIM_CATEGORIES = Object.freeze({
+  GENERAL_DEBT: Object.freeze({ years: 3, label: 'Contractual or other debt', basis: 'Prescription Act s11(d)' }),
+  DELICT: Object.freeze({ years: 3, label: 'Delictual claim', basis: 'Prescription Act s11(d)' }),
+  STATE_CLAIM: Object.freeze({
+    years: 3,
+    noticeMonths: 6,
+    label: 'Claim against an organ of state',
+    basis: 'Prescription Act s11(d); notice under s3(2)(a) of Act 40 of 2002'
+  }),
+  ROAD_ACCIDENT_FUND: Object.freeze({ years: 3, label: 'Road Accident Fund claim', basis: 'Road Accident Fund Act s23(1)' }),
+  NEGOTIABLE_INSTRUMENT: Object.freeze({ years: 6, label: 'Bill of exchange, negotiable instrument or notarial contract', basis: 'Prescription Act s11(c)' }),
+  STATE_LOAN: Object.freeze({ years: 15, label: 'Debt owed to the State for a loan or sale of land', basis: 'Prescription Act s11(b)' }),
+  JUDGMENT_DEBT: Object.freeze({ years: 30, label: 'Judgment debt', basis: 'Prescription Act s11(a)(ii)' }),
+  MORTGAGE_BOND: Object.freeze({ years: 30, label: 'Debt secured by mortgage bond', basis: 'Prescription Act s11(a)(i)' })
+});
+
+export const CUTOFF_TYPES = Object.freeze({
+  STATE_NOTICE: 'STATE_NOTICE',
+  PRESCRIPTION: 'PRESCRIPTION'
+});
+
+/** Days before a cut-off at which the responsible attorney is alerted; overridable per firm (env) and per matter. */
+export const DEFAULT_ALERT_THRESHOLDS = Object.freeze([180, 90, 60, 30, 14, 7]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function addPeriod
+ * @desc Adds calendar years/months to an ISO date, clamping to month end (29 Feb + 1 year → 28 Feb).
+ */
+export const addPeriod = (isoDate, { years = 0, months = 0 } = {}) => {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  const totalMonths = (y + years) * 12 + (m - 1) + months;
+  const year = Math.floor(totalMonths / 12);
+  const month = totalMonths % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(d, lastDay))).toISOString().slice(0, 10);
+};
+
+const dayBefore = (isoDate) => new Date(Date.parse(`${isoDate}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * @function computePrescription
+ * @desc Prescription date (and Act 40 of 2002 notice deadline where applicable) for a claim.
+ * @returns {{ prescriptionDate: string, noticeDeadline: string|null, basis: string, years: number }} ISO dates
+ */
+export const computePrescription = ({ claimCategory, causeOfActionDate, knowledgeDate, impedimentEndsOn }) => {
+  const category = CLAIM_CATEGORIES[claimCategory];
+  if (!category) {
+    throw new Error(`LITIGATION_ERROR: Unknown claim category ${claimCategory}. Use one of ${Object.keys(CLAIM_CATEGORIES).join(', ')}.`);
+  }
+  if (!causeOfActionDate) throw new Error('LITIGATION_ERROR: causeOfActionDate is required.');
+
+  const arose = toCourtDate(causeOfActionDate);
+  const start = knowledgeDate && toCourtDate(knowledgeDate) > arose ? toCourtDate(knowledgeDate) : arose;
+  let prescriptionDate = dayBefore(addPeriod(start, { years: category.years }));
+
+  // s13(1): never completed before a year has passed since the impediment (minority, curatorship, etc.) fell away
+  if (impedimentEndsOn) {
+    const delayed = addPeriod(toCourtDate(impedimentEndsOn), { years: 1 });
+    if (delayed > prescriptionDate) prescriptionDate = delayed;
+  }
+
+  return {
+    prescriptionDate,
+    noticeDeadline: category.noticeMonths ? dayBefore(addPeriod(start, { months: category.noticeMonths })) : null,
+    basis: category.basis,
+    years: category.years
+  };
+};
+
+/**
+ * @function nextCutoff
+ * @desc The earliest cut-off still open on a claim, or null once both have been met.
+ * @param {Object} claim - { prescriptionDate, noticeDeadline, noticeServedOn, interruptedOn }
+ */
+export const nextCutoff = (claim = {}) => {
+  const open = [];
+  if (claim.noticeDeadline && !claim.noticeServedOn && !claim.interruptedOn) {
+    open.push({ type: CUTOFF_TYPES.STATE_NOTICE, date: toCourtDate(claim.noticeDeadline) });
+  }
+  if (claim.prescriptionDate && !claim.interruptedOn) {
+    open.push({ type: CUTOFF_TYPES.PRESCRIPTION, date: toCourtDate(claim.prescriptionDate) });
+  }
+  return open.sort((a, b) => a.date.localeCompare(b.date))[0] || null;
+};
+
+/**
+ * @function daysRemaining
+ * @desc Whole days from `now` (SAST) to the end of the cut-off day; negative once it has passed.
+ */
+export const daysRemaining = (cutoffDate, now = new Date()) =>
+  Math.round((Date.parse(`${toCourtDate(cutoffDate)}T00:00:00Z`) - Date.parse(`${toCourtDate(now)}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * @function escalationFor
+ * @desc Tightest threshold reached with the days remaining, and the severity that goes with it.
+ * @returns {{ threshold: number, severity: string }|null} null while outside every threshold
+ */
+export const escalationFor = (days, thresholds = DEFAULT_ALERT_THRESHOLDS) => {
+  if (days < 0) return { threshold: 0, severity: 'PRESCRIBED' };
+  const reached = [...thresholds].sort((a, b) => a - b).find((threshold) => days <= threshold);
+  if (reached === undefined) return null;
+  const severity = reached <= 14 ? 'CRITICAL' : reached <= 30 ? 'HIGH' : reached <= 90 ? 'MEDIUM' : 'LOW';
+  return { threshold: reached, severity };
+};
+
+/**
+ * @function parseThresholds
+ * @desc Reads a comma list of day counts (e.g. "120,60,30,7"); falls back to the defaults when empty or invalid.
+ */
+export const parseThresholds = (value) => {
+  const list = String(value || '').split(',').map((part) => Number(part.trim())).filter((n) => Number.isInteger(n) && n > 0);
+  return list.length ? [...new Set(list)].sort((a, b) => b - a) : [...DEFAULT_ALERT_THRESHOLDS];
+};
+
+export default {
+  CLAIM_CATEGORIES,
+  CUTOFF_TYPES,
+  DEFAULT_ALERT_THRESHOLDS,
+  addPeriod,
+  computePrescription,
+  nextCutoff,
+  daysRemaining,
+  escalationFor,
+  parseThresholds
+};
@@ -0,0 +1,447 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - REDLINE COMPARISON [V1.0.0-REDLINE]                                                                                         ║
+ * ║ [DOCX/PDF TEXT | WORD-LEVEL DIFF | INSERTIONS AND DELETIONS | COMPARISON PDF]                                                          ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/redline.js                                                          ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Compares the text of two versions, not their layout: words and paragraph breaks are diffed (Myers), so a PDF that
+ * merely re-wraps its lines shows no change. Very different versions are compared paragraph by paragraph first and
+ * word by word within each changed run, which keeps the work bounded. No storage or database access here.
+ */
+
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { DOCX_MIME, fitText, sniffMime, stripHtml, winAnsi } from './bundleCompiler.js';
+
+export const CHANGE = Object.freeze({ EQUAL: 'equal', INSERT: 'insert', DELETE: 'delete' });
+
+/** Token standing for a paragraph break; words never contain a newline. */
+export const PARAGRAPH = '\n';
+
+// Edit distance (in words) past which a single Myers pass is abandoned for the paragraph-first comparison
+const DEFAULT_MAX_EDITS = 2000;
+
+const A4 = [595.28, 841.89];
+const MARGIN = 56;
+const BODY_SIZE = 10.5;
+const LEADING = 15;
+
+const STYLES = {
+  [CHANGE.EQUAL]: { color: rgb(0.1, 0.1, 0.1) },
+  [CHANGE.INSERT]: { color: rgb(0.05, 0.25, 0.75), underline: true },
+  [CHANGE.DELETE]: { color: rgb(0.75, 0.1, 0.1), strike: true }
+};
+
+const redlineError = (message) => new Error(`REDLINE_ERROR: ${message}`);
+
+/**
+ * @function extractText
+ * @desc Plain text of a version: PDF text layer page by page, DOCX body text, or text/HTML as written.
+ * @param {Object} source - { bytes?, mimeType?, filename?, text? }
+ */
+export const extractText = async ({ bytes, mimeType, filename, text } = {}) => {
+  if (!bytes?.length) {
+    if (text != null) return /<[a-z][\s\S]*>/i.test(text) ? stripHtml(text) : String(text);
+    throw redlineError(`${filename || 'Version'} has no content to compare.`);
+  }
+  const type = sniffMime(bytes, mimeType, filename);
+  if (type === 'application/pdf') {
+    const parser = new PDFParse({ data: Buffer.from(bytes) });
+    try {
+      const { pages } = await parser.getText();
+      const body = pages.map((page) => page.text).join('\n\n');
+      if (!body.trim()) throw redlineError(`${filename || 'The PDF'} has no text layer (is it a scan?); OCR it before comparing.`);
+      return body;
+    } finally {
+      await parser.destroy();
+    }
+  }
+  if (type === DOCX_MIME) return (await mammoth.extractRawText({ buffer: Buffer.from(bytes) })).value;
+  if (type.startsWith('text/')) {
+    const body = Buffer.from(bytes).toString('utf8');
+    return type === 'text/html' ? stripHtml(body) : body;
+  }
+  throw redlineError(`Cannot compare ${filename || 'a version'} of type ${type || 'unknown'}; only PDF, Word (.docx) and text have comparable text.`);
+};
+
+/**
+ * @function tokenise
+ * @desc Words in reading order with PARAGRAPH between paragraphs. A blank line ends a paragraph; a single line
+ *       break is only wrapping.
+ */
+export const tokenise = (text) => {
+  const tokens = [];
+  for (const paragraph of String(text ?? '').replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+    const words = paragraph.match(/\S+/g);
+    if (!words) continue;
+    if (tokens.length) tokens.push(PARAGRAPH);
+    tokens.push(...words);
+  }
+  return tokens;
+};
+
+const EQ = 0;
+const DEL = 1;
+const INS = 2;
+
+const backtrack = (trace, n, m) => {
+  const steps = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      steps.push(EQ);
+      x -= 1;
+      y -= 1;
+    }
+    if (d > 0) steps.push(x === prevX ? INS : DEL);
+    x = prevX;
+    y = prevY;
+  }
+  return steps.reverse();
+};
+
+// Myers' O(ND) shortest edit script; null once more than maxEdits edits would be needed
+const myers = (a, b, maxEdits) => {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+  for (let d = 0; d <= limit; d += 1) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return null;
+};
+
+const pushToken = (changes, type, token) => {
+  const last = changes[changes.length - 1];
+  if (last?.type === type) last.tokens.push(token);
+  else changes.push({ type, tokens: [token] });
+};
+
+const appendChanges = (changes, more) => more.forEach((change) => change.tokens.forEach((token) => pushToken(changes, change.type, token)));
+
+// Within each run of edits, deletions read first and insertions after, as in a marked-up draft
+const orderHunks = (changes) => {
+  const ordered = [];
+  let hunk = [];
+  const flush = () => {
+    for (const type of [CHANGE.DELETE, CHANGE.INSERT]) {
+      hunk.filter((change) => change.type === type).forEach((change) => change.tokens.forEach((token) => pushToken(ordered, type, token)));
+    }
+    hunk = [];
+  };
+  for (const change of changes) {
+    if (change.type === CHANGE.EQUAL) {
+      flush();
+      change.tokens.forEach((token) => pushToken(ordered, CHANGE.EQUAL, token));
+    } else {
+      hunk.push(change);
+    }
+  }
+  flush();
+  return ordered;
+};
+
+const diffTokens = (a, b, maxEdits) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const steps = myers(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  if (!steps) return null;
+
+  const changes = [];
+  a.slice(0, start).forEach((token) => pushToken(changes, CHANGE.EQUAL, token));
+  let i = start;
+  let j = start;
+  for (const step of steps) {
+    if (step === EQ) {
+      pushToken(changes, CHANGE.EQUAL, a[i]);
+      i += 1;
+      j += 1;
+    } else if (step === DEL) {
+      pushToken(changes, CHANGE.DELETE, a[i]);
+      i += 1;
+    } else {
+      pushToken(changes, CHANGE.INSERT, b[j]);
+      j += 1;
+    }
+  }
+  a.slice(endA).forEach((token) => pushToken(changes, CHANGE.EQUAL, token));
+  return orderHunks(changes);
+};
+
+// Every paragraph keeps its closing PARAGRAPH so that whole paragraphs can be compared as units
+const paragraphUnits = (tokens) => {
+  const units = [];
+  let unit = [];
+  for (const token of [...tokens, ...(tokens.length ? [PARAGRAPH] : [])]) {
+    unit.push(token);
+    if (token === PARAGRAPH) {
+      units.push(unit);
+      unit = [];
+    }
+  }
+  return units;
+};
+
+// Takes each text's closing PARAGRAPH off again. One the texts shared stays with the text that carries on past it.
+const dropClosingParagraphs = (changes) => {
+  const lastRun = (type) => changes.findLastIndex((change) => change.type === CHANGE.EQUAL || change.type === type);
+  const before = lastRun(CHANGE.DELETE);
+  const after = lastRun(CHANGE.INSERT);
+  if (before === after) {
+    changes[before]?.tokens.pop();
+    return changes;
+  }
+  const ends = [[before, CHANGE.INSERT], [after, CHANGE.DELETE]].filter(([index]) => index !== -1).sort(([x], [y]) => y - x);
+  for (const [index, other] of ends) {
+    const run = changes[index];
+    run.tokens.pop();
+    if (run.type === CHANGE.EQUAL) changes.splice(index + 1, 0, { type: other, tokens: [PARAGRAPH] });
+  }
+  return changes;
+};
+
+const diffByParagraph = (a, b, maxEdits) => {
+  const unitsA = paragraphUnits(a);
+  const unitsB = paragraphUnits(b);
+  const steps = myers(unitsA.map((unit) => unit.join(' ')), unitsB.map((unit) => unit.join(' ')), maxEdits)
+    || [...unitsA.map(() => DEL), ...unitsB.map(() => INS)];
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    if (removed.length || added.length) {
+      appendChanges(changes, diffTokens(removed, added, maxEdits) || [
+        { type: CHANGE.DELETE, tokens: removed },
+        { type: CHANGE.INSERT, tokens: added }
+      ]);
+    }
+    removed = [];
+    added = [];
+  };
+  for (const step of steps) {
+    if (step === EQ) {
+      flush();
+      appendChanges(changes, [{ type: CHANGE.EQUAL, tokens: unitsA[i] }]);
+      i += 1;
+      j += 1;
+    } else if (step === DEL) {
+      removed.push(...unitsA[i]);
+      i += 1;
+    } else {
+      added.push(...unitsB[j]);
+      j += 1;
+    }
+  }
+  flush();
+  return orderHunks(dropClosingParagraphs(changes).filter((change) => change.tokens.length));
+};
+
+/**
+ * @function summariseChanges
+ * @desc Word counts and the number of separate places the text changed.
+ */
+export const summariseChanges = (changes) => {
+  const stats = { changes: 0, inserted: 0, deleted: 0, unchanged: 0 };
+  const key = { [CHANGE.EQUAL]: 'unchanged', [CHANGE.INSERT]: 'inserted', [CHANGE.DELETE]: 'deleted' };
+  let inHunk = false;
+  for (const change of changes) {
+    if (change.type !== CHANGE.EQUAL && !inHunk) stats.changes += 1;
+    inHunk = change.type !== CHANGE.EQUAL;
+    stats[key[change.type]] += change.tokens.filter((token) => token !== PARAGRAPH).length;
+  }
+  return stats;
+};
+
+/**
+ * @function diffTexts
+ * @desc Word-level comparison of two texts.
+ * @returns {{ changes: Array<{ type, tokens }>, stats: Object, coarse: boolean }} coarse is true when the texts were
+ *          too far apart for one pass and were compared paragraph by paragraph.
+ */
+export const diffTexts = (before, after, { maxEdits = DEFAULT_MAX_EDITS } = {}) => {
+  const a = tokenise(before);
+  const b = tokenise(after);
+  let changes = diffTokens(a, b, maxEdits);
+  const coarse = !changes;
+  if (coarse) changes = diffByParagraph(a, b, maxEdits);
+  return { changes, stats: summariseChanges(changes), coarse };
+};
+
+/**
+ * @function changesToText
+ * @desc The comparison as text runs, for JSON responses: paragraph breaks become blank lines.
+ */
+export const changesToText = (changes) => changes.map((change) => ({
+  type: change.type,
+  text: change.tokens.reduce((text, token, index) => {
+    if (token === PARAGRAPH) return `${text}\n\n`;
+    return text && index && change.tokens[index - 1] !== PARAGRAPH ? `${text} ${token}` : `${text}${token}`;
+  }, '')
+}));
+
+const stamp = (value) => (value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+const describeVersion = (version = {}) => [
+  version.label,
+  version.fileName,
+  version.author,
+  stamp(version.date),
+  version.contentHash ? `SHA-256 ${version.contentHash.slice(0, 16)}…` : null
+].filter(Boolean).join('  |  ');
+
+/**
+ * @function renderRedlinePdf
+ * @desc Comparison PDF for circulation: a cover block naming both versions, a legend and the counts, then the text
+ *       with insertions underlined in blue and deletions struck through in red. Every page carries the versions
+ *       compared and "Page x of y".
+ * @param {Object} input - { title, from, to, changes, stats, generatedAt?, preparedBy? }; from/to are
+ *        { label, fileName?, author?, date?, comment?, contentHash? }
+ * @returns {Promise<Buffer>}
+ */
+export const renderRedlinePdf = async ({ title, from = {}, to = {}, changes, stats = summariseChanges(changes), generatedAt = new Date(), preparedBy }) => {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(winAnsi(`Comparison - ${title || 'Document'}`));
+  pdf.setCreator('Wilsy OS Redline');
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const right = A4[0] - MARGIN;
+  const width = right - MARGIN;
+  const bottom = MARGIN + 24;
+
+  let page = pdf.addPage(A4);
+  let y = A4[1] - MARGIN;
+  const line = (text, { font = regular, size = 10, color = rgb(0.1, 0.1, 0.1), gap = 14 } = {}) => {
+    page.drawText(fitText(text, font, size, width), { x: MARGIN, y, size, font, color });
+    y -= gap;
+  };
+
+  line('DOCUMENT COMPARISON', { font: bold, size: 15, gap: 20 });
+  line(title || 'Document', { font: bold, size: 12, gap: 20 });
+  for (const [heading, version] of [['Original', from], ['Revised', to]]) {
+    line(heading.toUpperCase(), { font: bold, size: 8, color: rgb(0.4, 0.4, 0.4), gap: 11 });
+    line(describeVersion(version), { size: 9.5, gap: version.comment ? 12 : 16 });
+    if (version.comment) line(`"${version.comment}"`, { size: 9, color: rgb(0.35, 0.35, 0.35), gap: 16 });
+  }
+  line(`${stats.changes} change${stats.changes === 1 ? '' : 's'}: ${stats.inserted} word${stats.inserted === 1 ? '' : 's'} inserted, `
+    + `${stats.deleted} word${stats.deleted === 1 ? '' : 's'} deleted.`, { font: bold, size: 10, gap: 16 });
+
+  let x = MARGIN;
+  const legend = [['Inserted text', STYLES[CHANGE.INSERT]], ['Deleted text', STYLES[CHANGE.DELETE]]];
+  for (const [label, style] of legend) {
+    const labelWidth = regular.widthOfTextAtSize(label, 9);
+    page.drawText(label, { x, y, size: 9, font: regular, color: style.color });
+    const lineY = style.strike ? y + 3 : y - 1.5;
+    page.drawLine({ start: { x, y: lineY }, end: { x: x + labelWidth, y: lineY }, thickness: 0.7, color: style.color });
+    x += labelWidth + 24;
+  }
+  y -= 12;
+  page.drawLine({ start: { x: MARGIN, y }, end: { x: right, y }, thickness: 0.5, color: rgb(0.6, 0.6, 0.6) });
+  y -= LEADING + 6;
+
+  // Body: word by word so that each word can carry its own colour and rule
+  x = MARGIN;
+  let lastType = null;
+  const newLine = (extra = 0) => {
+    x = MARGIN;
+    lastType = null;
+    y -= LEADING + extra;
+    if (y < bottom) {
+      page = pdf.addPage(A4);
+      y = A4[1] - MARGIN;
+    }
+  };
+  const space = regular.widthOfTextAtSize(' ', BODY_SIZE);
+  const drawWord = (word, type) => {
+    const style = STYLES[type];
+    let text = winAnsi(word);
+    while (text) {
+      let piece = text;
+      while (piece.length > 1 && regular.widthOfTextAtSize(piece, BODY_SIZE) > width) piece = piece.slice(0, -1);
+      const pieceWidth = regular.widthOfTextAtSize(piece, BODY_SIZE);
+      let gap = x > MARGIN ? space : 0;
+      if (x + gap + pieceWidth > right) {
+        newLine();
+        gap = 0;
+      }
+      page.drawText(piece, { x: x + gap, y, size: BODY_SIZE, font: regular, color: style.color });
+      if (style.underline || style.strike) {
+        const start = lastType === type ? x : x + gap;
+        const ruleY = style.strike ? y + BODY_SIZE * 0.3 : y - 1.5;
+        page.drawLine({ start: { x: start, y: ruleY }, end: { x: x + gap + pieceWidth, y: ruleY }, thickness: 0.7, color: style.color });
+      }
+      x += gap + pieceWidth;
+      lastType = type;
+      text = text.slice(piece.length);
+    }
+  };
+
+  for (const change of changes) {
+    for (const token of change.tokens) {
+      if (token !== PARAGRAPH) {
+        drawWord(token, change.type);
+      } else if (change.type === CHANGE.EQUAL) {
+        newLine(LEADING / 2);
+      } else {
+        // A pilcrow marks a paragraph break that was added (the text breaks there) or removed (it runs on)
+        drawWord('¶', change.type);
+        if (change.type === CHANGE.INSERT) newLine(LEADING / 2);
+      }
+    }
+  }
+
+  const pages = pdf.getPages();
+  const footer = winAnsi(`${title || 'Document'}: ${from.label || 'original'} compared with ${to.label || 'revised'}`
+    + `${preparedBy ? `, prepared by ${preparedBy}` : ''} on ${stamp(generatedAt)}`);
+  pages.forEach((sheet, index) => {
+    const pageLabel = `Page ${index + 1} of ${pages.length}`;
+    const labelWidth = regular.widthOfTextAtSize(pageLabel, 8);
+    sheet.drawText(fitText(footer, regular, 8, width - labelWidth - 20), { x: MARGIN, y: MARGIN - 20, size: 8, font: regular, color: rgb(0.4, 0.4, 0.4) });
+    sheet.drawText(pageLabel, { x: right - labelWidth, y: MARGIN - 20, size: 8, font: regular, color: rgb(0.4, 0.4, 0.4) });
+  });
+
+  return Buffer.from(await pdf.save());
+};
+
+export default {
+  CHANGE,
+  PARAGRAPH,
+  extractText,
+  tokenise,
+  summariseChanges,
+  diffTexts,
+  changesToText,
+  renderRedlinePdf
+};
@@ -0,0 +1,214 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - SHERIFF ROUTE OPTIMISER [V1.0.0-DISPATCH]                                                                                   ║
+ * ║ [HAVERSINE | POINT-IN-POLYGON | NEAREST NEIGHBOUR + 2-OPT WITH TIME WINDOWS]                                                           ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/routeOptimizer.js                                                   ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Offline solver, no routing API: straight-line distance is scaled by a road factor and driven at an average speed.
+ * A stop reached before its window opens waits; one reached after its window closes is served late. Lateness is
+ * penalised far above distance, so 2-opt only trades kilometres once every window that can be met is met.
+ */
+
+export const DEFAULT_ROUTE_OPTIONS = Object.freeze({
+  speedKmh: 40,
+  roadFactor: 1.3,
+  serviceMinutes: 15,
+  latePenaltyKmPerMinute: 1000,
+  maxPasses: 50
+});
+
+const EARTH_RADIUS_KM = 6371.0088;
+const MINUTE_MS = 60 * 1000;
+const toRad = (deg) => (deg * Math.PI) / 180;
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * @function haversineKm
+ * @desc Great-circle distance between two { lat, lng } points.
+ */
+export const haversineKm = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const inRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+const inPolygon = (lng, lat, rings) => inRing(lng, lat, rings[0]) && !rings.slice(1).some((hole) => inRing(lng, lat, hole));
+
+/**
+ * @function pointInArea
+ * @desc True when { lat, lng } lies inside a GeoJSON Polygon or MultiPolygon (holes excluded).
+ */
+export const pointInArea = (point, area) => {
+  if (!area?.coordinates?.length) return false;
+  if (area.type === 'MultiPolygon') return area.coordinates.some((rings) => inPolygon(point.lng, point.lat, rings));
+  return inPolygon(point.lng, point.lat, area.coordinates);
+};
+
+/**
+ * @function coveringSheriffs
+ * @desc Sheriffs whose coverage area contains the point, nearest current location first.
+ * @param {Array<Object>} sheriffs - { id, coverageArea, location?: { lat, lng } }
+ */
+export const coveringSheriffs = (point, sheriffs) => sheriffs
+  .filter((sheriff) => pointInArea(point, sheriff.coverageArea))
+  .map((sheriff) => ({ sheriff, distanceKm: sheriff.location ? haversineKm(point, sheriff.location) : Infinity }))
+  .sort((a, b) => a.distanceKm - b.distanceKm)
+  .map(({ sheriff }) => sheriff);
+
+/**
+ * @function simulateRoute
+ * @desc Drives the stops in `order` from `start`, producing per-stop timings and the route cost.
+ * @param {Array<string>} order - stop ids
+ * @param {Map<string, Object>} stopsById - { id, lat, lng, serviceMinutes?, windowStart?, windowEnd? } (epoch ms)
+ */
+export const simulateRoute = (order, stopsById, { start, departAt, ...overrides } = {}) => {
+  const options = { ...DEFAULT_ROUTE_OPTIONS, ...overrides };
+  let position = start;
+  let clock = departAt;
+  let totalKm = 0;
+  let lateMinutes = 0;
+
+  const legs = order.map((id) => {
+    const stop = stopsById.get(id);
+    const distanceKm = haversineKm(position, stop) * options.roadFactor;
+    const arrival = clock + (distanceKm / options.speedKmh) * 60 * MINUTE_MS;
+    const serviceStart = stop.windowStart ? Math.max(arrival, stop.windowStart) : arrival;
+    const late = stop.windowEnd && serviceStart > stop.windowEnd ? (serviceStart - stop.windowEnd) / MINUTE_MS : 0;
+    const departure = serviceStart + (stop.serviceMinutes ?? options.serviceMinutes) * MINUTE_MS;
+
+    totalKm += distanceKm;
+    lateMinutes += late;
+    position = stop;
+    clock = departure;
+
+    return {
+      id,
+      distanceKm: round(distanceKm),
+      arrival: new Date(arrival),
+      waitMinutes: round((serviceStart - arrival) / MINUTE_MS, 1),
+      serviceStart: new Date(serviceStart),
+      departure: new Date(departure),
+      lateMinutes: round(late, 1)
+    };
+  });
+
+  return {
+    legs,
+    totalKm: round(totalKm),
+    lateMinutes: round(lateMinutes, 1),
+    durationMinutes: round((clock - departAt) / MINUTE_MS, 1),
+    cost: totalKm + lateMinutes * options.latePenaltyKmPerMinute
+  };
+};
+
+/**
+ * @function nearestNeighbourOrder
+ * @desc Greedy construction: always go next to the stop whose service can start soonest, so windows are honoured
+ *       first and distance decides among stops that are free now.
+ */
+export const nearestNeighbourOrder = (stops, { start, departAt, ...overrides }) => {
+  const options = { ...DEFAULT_ROUTE_OPTIONS, ...overrides };
+  const remaining = [...stops];
+  const order = [];
+  let position = start;
+  let clock = departAt;
+
+  while (remaining.length) {
+    let bestIndex = 0;
+    let bestKey = Infinity;
+    remaining.forEach((stop, index) => {
+      const travelMs = ((haversineKm(position, stop) * options.roadFactor) / options.speedKmh) * 60 * MINUTE_MS;
+      const serviceStart = Math.max(clock + travelMs, stop.windowStart || 0);
+      // A stop that can no longer be reached in time ranks by its closing time so it is not pushed even later
+      const key = serviceStart + (stop.windowEnd ? Math.min(0, stop.windowEnd - serviceStart) : 0);
+      if (key < bestKey) {
+        bestKey = key;
+        bestIndex = index;
+      }
+    });
+    const [next] = remaining.splice(bestIndex, 1);
+    const travelMs = ((haversineKm(position, next) * options.roadFactor) / options.speedKmh) * 60 * MINUTE_MS;
+    clock = Math.max(clock + travelMs, next.windowStart || 0) + (next.serviceMinutes ?? options.serviceMinutes) * MINUTE_MS;
+    position = next;
+    order.push(next.id);
+  }
+  return order;
+};
+
+/**
+ * @function twoOpt
+ * @desc Reverses route segments while doing so lowers the simulated cost (distance plus lateness penalty).
+ */
+export const twoOpt = (order, stopsById, routeOptions) => {
+  const maxPasses = routeOptions.maxPasses ?? DEFAULT_ROUTE_OPTIONS.maxPasses;
+  let best = [...order];
+  let bestCost = simulateRoute(best, stopsById, routeOptions).cost;
+
+  for (let pass = 0; pass < maxPasses; pass += 1) {
+    let improved = false;
+    for (let i = 0; i < best.length - 1; i += 1) {
+      for (let j = i + 1; j < best.length; j += 1) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const cost = simulateRoute(candidate, stopsById, routeOptions).cost;
+        if (cost + 1e-9 < bestCost) {
+          best = candidate;
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return best;
+};
+
+/**
+ * @function optimiseRoute
+ * @desc Visiting order for a sheriff's stops: nearest-neighbour construction refined by 2-opt.
+ * @param {Array<Object>} stops - { id, lat, lng, serviceMinutes?, windowStart?, windowEnd? }
+ * @param {Object} options - { start: { lat, lng }, departAt: epoch ms, speedKmh?, roadFactor?, serviceMinutes? }
+ */
+export const optimiseRoute = (stops, options) => {
+  if (!options?.start || !Number.isFinite(options.start.lat) || !Number.isFinite(options.start.lng)) {
+    throw new Error('DISPATCH_ERROR: A start location is required to optimise a route.');
+  }
+  const routeOptions = { departAt: Date.now(), ...options };
+  const stopsById = new Map(stops.map((stop) => [stop.id, stop]));
+  const initial = nearestNeighbourOrder(stops, routeOptions);
+  const order = stops.length > 2 ? twoOpt(initial, stopsById, routeOptions) : initial;
+  const { cost, ...route } = simulateRoute(order, stopsById, routeOptions);
+  const baseline = simulateRoute(initial, stopsById, routeOptions);
+
+  return {
+    method: 'NEAREST_NEIGHBOUR_2OPT',
+    order,
+    ...route,
+    lateStops: route.legs.filter((leg) => leg.lateMinutes > 0).length,
+    savedKm: round(baseline.totalKm - route.totalKm)
+  };
+};
+
+export default {
+  DEFAULT_ROUTE_OPTIONS,
+  haversineKm,
+  pointInArea,
+  coveringSheriffs,
+  simulateRoute,
+  nearestNeighbourOrder,
+  twoOpt,
+  optimiseRoute
+};
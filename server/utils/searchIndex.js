@@ -0,0 +1,216 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - FULL-TEXT INDEX RULES [V1.0.0-SEARCH]                                                                                       ║
+ * ║ [ANALYSER | WEIGHTED POSTINGS | BM25 | PHRASES & EXCLUSIONS | HIGHLIGHTING | FACETS]                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/searchIndex.js                                                      ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pure functions shared by indexing and querying, so a record and a query are always analysed the same way.
+ * services/searchIndexService.js owns storage; nothing here touches the database.
+ */
+
+export const BM25_DEFAULTS = Object.freeze({ k1: 1.2, b: 0.75 });
+export const MAX_TERMS_PER_RECORD = 5000;
+
+// English and Afrikaans function words that carry no ranking signal
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its', 'of', 'on', 'or',
+  'that', 'the', 'this', 'to', 'was', 'were', 'with', 'die', 'en', 'van', 'het', 'vir', 'op', 'te', 'nie', 'n'
+]);
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ESCAPES[ch]);
+
+const fold = (text) => String(text ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * @function stem
+ * @desc Light suffix stripping (plural, then -ing/-ed, then a final e) so "claims"/"claim" and
+ *       "terminated"/"terminate" meet without a dictionary.
+ */
+export const stem = (word) => {
+  if (/^\d+$/.test(word) || word.length <= 3) return word;
+  let stemmed = word;
+  if (stemmed.endsWith('ies') && stemmed.length > 4) stemmed = `${stemmed.slice(0, -3)}y`;
+  else if (stemmed.endsWith('sses')) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.endsWith('s') && !/(ss|us|is)$/.test(stemmed)) stemmed = stemmed.slice(0, -1);
+
+  if (stemmed.endsWith('ing') && stemmed.length > 5) stemmed = stemmed.slice(0, -3);
+  else if (stemmed.endsWith('ed') && stemmed.length > 4) stemmed = stemmed.slice(0, -2);
+
+  if (stemmed.endsWith('e') && stemmed.length > 4) stemmed = stemmed.slice(0, -1);
+  return stemmed;
+};
+
+/**
+ * @function words
+ * @desc Folded word tokens in order, without stopword removal or stemming (used for phrases and highlighting).
+ */
+export const words = (text) => fold(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * @function analyse
+ * @desc Index/query terms: folded, stopwords removed, stemmed. Single letters are dropped; numbers are kept.
+ */
+export const analyse = (text) => words(text)
+  .filter((word) => (word.length > 1 || /\d/.test(word)) && !STOPWORDS.has(word))
+  .map(stem);
+
+/**
+ * @function buildPostings
+ * @desc Weighted term frequencies over a record's fields, e.g. [{ text: title, weight: 3 }, { text: body, weight: 1 }].
+ * @returns {{ postings: Array<{ term: string, tf: number }>, length: number }}
+ */
+export const buildPostings = (fields = [], { maxTerms = MAX_TERMS_PER_RECORD } = {}) => {
+  const counts = new Map();
+  let length = 0;
+  for (const { text, weight = 1 } of fields) {
+    for (const term of analyse(text)) {
+      counts.set(term, (counts.get(term) || 0) + weight);
+      length += weight;
+    }
+  }
+  const postings = [...counts.entries()]
+    .map(([term, tf]) => ({ term, tf }))
+    .sort((a, b) => b.tf - a.tf || (a.term < b.term ? -1 : 1))
+    .slice(0, maxTerms);
+  return { postings, length };
+};
+
+/**
+ * @function parseQuery
+ * @desc Splits a query into ranked terms, required "quoted phrases" and -excluded terms.
+ */
+export const parseQuery = (query = '') => {
+  const phrases = [];
+  const rest = String(query).replace(/"([^"]+)"/g, (match, phrase) => {
+    const normalised = words(phrase).join(' ');
+    if (normalised) phrases.push(normalised);
+    return ` ${phrase} `;
+  });
+  const excluded = [];
+  const included = [];
+  for (const token of rest.split(/\s+/).filter(Boolean)) {
+    (token.startsWith('-') && token.length > 1 ? excluded : included).push(...analyse(token.replace(/^-/, '')));
+  }
+  return {
+    terms: [...new Set(included)].filter((term) => !excluded.includes(term)),
+    phrases,
+    excluded: [...new Set(excluded)]
+  };
+};
+
+/**
+ * @function containsPhrases
+ * @desc Whether every phrase appears word-for-word in the text.
+ */
+export const containsPhrases = (text, phrases = []) => {
+  if (!phrases.length) return true;
+  const haystack = ` ${words(text).join(' ')} `;
+  return phrases.every((phrase) => haystack.includes(` ${phrase} `));
+};
+
+/**
+ * @function inverseDocumentFrequency
+ * @desc BM25 idf, floored at zero contribution by the +1 inside the log.
+ */
+export const inverseDocumentFrequency = (df, totalDocs) => Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+
+/**
+ * @function bm25
+ * @desc Okapi BM25 score of one record for the query terms it contains.
+ * @param {Array<{ term: string, tf: number }>} postings - The record's postings for the query terms.
+ * @param {Map<string, number>} documentFrequency - df per query term across the tenant.
+ * @param {{ totalDocs: number, averageLength: number }} stats
+ */
+export const bm25 = (postings, length, documentFrequency, { totalDocs, averageLength }, { k1, b } = BM25_DEFAULTS) => {
+  const lengthNorm = 1 - b + b * (length / (averageLength || 1));
+  return postings.reduce((score, { term, tf }) => {
+    const df = documentFrequency.get(term) || 1;
+    return score + inverseDocumentFrequency(df, Math.max(totalDocs, df)) * ((tf * (k1 + 1)) / (tf + k1 * lengthNorm));
+  }, 0);
+};
+
+/**
+ * @function highlight
+ * @desc Up to `fragments` HTML-escaped snippets around query-term hits, hits wrapped in <mark>.
+ */
+export const highlight = (text, terms = [], { fragments = 3, radius = 60 } = {}) => {
+  const source = String(text ?? '');
+  if (!source || !terms.length) return [];
+  const wanted = new Set(terms);
+  const hits = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(source))) {
+    if (wanted.has(stem(fold(match[0])))) hits.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  const windows = [];
+  for (const hit of hits) {
+    const last = windows[windows.length - 1];
+    if (last && hit.start - last.end <= radius) {
+      last.end = hit.end;
+      last.hits.push(hit);
+    } else if (windows.length < fragments) {
+      windows.push({ start: hit.start, end: hit.end, hits: [hit] });
+    }
+  }
+
+  return windows.map((window) => {
+    const from = Math.max(0, window.start - radius);
+    const to = Math.min(source.length, window.end + radius);
+    let out = from > 0 ? '…' : '';
+    let cursor = from;
+    for (const hit of window.hits) {
+      out += `${escapeHtml(source.slice(cursor, hit.start))}<mark>${escapeHtml(source.slice(hit.start, hit.end))}</mark>`;
+      cursor = hit.end;
+    }
+    return `${out}${escapeHtml(source.slice(cursor, to))}${to < source.length ? '…' : ''}`.replace(/\s+/g, ' ');
+  });
+};
+
+// Facet name → how to read { value, label } off an index entry
+const FACETS = {
+  kind: (entry) => entry.kind && { value: entry.kind },
+  matterType: (entry) => entry.facets?.matterType && { value: entry.facets.matterType },
+  attorney: (entry) => entry.facets?.attorneyId && { value: String(entry.facets.attorneyId), label: entry.facets.attorneyName },
+  documentType: (entry) => entry.facets?.documentType && { value: entry.facets.documentType },
+  year: (entry) => entry.facets?.date && { value: String(new Date(entry.facets.date).getUTCFullYear()) }
+};
+
+export const FACET_NAMES = Object.freeze(Object.keys(FACETS));
+
+/**
+ * @function facetCounts
+ * @desc Counts per facet value over the full result set (before pagination), most frequent first.
+ */
+export const facetCounts = (entries = []) => Object.fromEntries(Object.entries(FACETS).map(([name, read]) => {
+  const buckets = new Map();
+  for (const entry of entries) {
+    const facet = read(entry);
+    if (!facet) continue;
+    const bucket = buckets.get(facet.value) || { value: facet.value, label: facet.label, count: 0 };
+    bucket.count++;
+    buckets.set(facet.value, bucket);
+  }
+  return [name, [...buckets.values()].sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : 1))];
+}));
+
+export default {
+  BM25_DEFAULTS,
+  MAX_TERMS_PER_RECORD,
+  FACET_NAMES,
+  stem,
+  words,
+  analyse,
+  buildPostings,
+  parseQuery,
+  containsPhrases,
+  inverseDocumentFrequency,
+  bm25,
+  highlight,
+  facetCounts
+};
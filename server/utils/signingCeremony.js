@@ -0,0 +1,189 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - REMOTE SIGNING CEREMONY RULES [V1.0.0-CEREMONY]                                                                             ║
+ * ║ [ONE-TIME LINKS | OTP CHALLENGES | SIGNING ORDER | ECT ACT CONSENT | ADOPTED SIGNATURES | MASKING]                                     ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/signingCeremony.js                                                  ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pure rules behind services/signingCeremonyService.js. Secrets (link tokens, session tokens, codes) are only ever
+ * stored as SHA-256 hashes, so nothing here needs a key.
+ */
+
+import crypto from 'node:crypto';
+
+export const CEREMONY_EVENTS = Object.freeze({
+  INVITED: 'INVITED',
+  LINK_OPENED: 'LINK_OPENED',
+  OTP_SENT: 'OTP_SENT',
+  OTP_FAILED: 'OTP_FAILED',
+  OTP_VERIFIED: 'OTP_VERIFIED',
+  DOCUMENT_REVIEWED: 'DOCUMENT_REVIEWED',
+  CONSENTED: 'CONSENTED',
+  SIGNATURE_ADOPTED: 'SIGNATURE_ADOPTED',
+  SIGNED: 'SIGNED',
+  DECLINED: 'DECLINED',
+  DELEGATED: 'DELEGATED'
+});
+
+export const OTP_CHANNELS = Object.freeze({ SMS: 'sms', EMAIL: 'email' });
+
+export const CEREMONY_LIMITS = Object.freeze({
+  LINK_TTL_MS: 7 * 86400000,
+  SESSION_TTL_MS: 30 * 60000,
+  OTP_TTL_MS: 10 * 60000,
+  OTP_LENGTH: 6,
+  OTP_MAX_ATTEMPTS: 5,
+  // A new code can be requested this often, and at most this many times per link
+  OTP_RESEND_INTERVAL_MS: 60000,
+  OTP_MAX_SENDS: 5,
+  SIGNATURE_IMAGE_MAX_BYTES: 200 * 1024,
+  SIGNATURE_TEXT_MAX_LENGTH: 100
+});
+
+// Consent to transact electronically; the version is recorded with each signer's acceptance
+export const ECT_CONSENT = Object.freeze({
+  version: 'ECT-2002-S13-V1',
+  text: 'I agree to sign this document electronically. I understand that under the Electronic Communications and '
+    + 'Transactions Act 25 of 2002 my electronic signature, applied after verifying my identity with a one-time code, '
+    + 'has the same legal effect as a handwritten signature, except for documents the Act excludes. I have been able '
+    + 'to review the complete document before signing and may download a copy once every party has signed.'
+});
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+export const hashSecret = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// 256-bit URL-safe secret for links and sessions
+export const createToken = () => crypto.randomBytes(32).toString('hex');
+
+export const isToken = (value) => /^[a-f0-9]{64}$/.test(String(value || ''));
+
+/**
+ * @function generateOtp
+ * @desc A uniformly random numeric code.
+ */
+export const generateOtp = (length = CEREMONY_LIMITS.OTP_LENGTH) => Array.from({ length }, () => crypto.randomInt(10)).join('');
+
+const sameHash = (a, b) => Boolean(a && b) && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * @function checkOtp
+ * @desc Compares a submitted code with the signer's outstanding challenge.
+ * @param {Object} challenge { otpHash, otpExpiresAt, otpAttempts }
+ * @returns {{ ok: boolean, reason?: 'NOT_SENT'|'EXPIRED'|'LOCKED'|'MISMATCH', attemptsLeft: number }}
+ */
+export const checkOtp = (challenge = {}, code, now = new Date(), maxAttempts = CEREMONY_LIMITS.OTP_MAX_ATTEMPTS) => {
+  const attempts = challenge.otpAttempts || 0;
+  if (!challenge.otpHash) return { ok: false, reason: 'NOT_SENT', attemptsLeft: 0 };
+  if (attempts >= maxAttempts) return { ok: false, reason: 'LOCKED', attemptsLeft: 0 };
+  if (!challenge.otpExpiresAt || new Date(challenge.otpExpiresAt) <= now) return { ok: false, reason: 'EXPIRED', attemptsLeft: maxAttempts - attempts };
+  if (!sameHash(hashSecret(String(code || '').trim()), challenge.otpHash)) {
+    return { ok: false, reason: 'MISMATCH', attemptsLeft: Math.max(maxAttempts - attempts - 1, 0) };
+  }
+  return { ok: true, attemptsLeft: maxAttempts - attempts };
+};
+
+/**
+ * @function canResendOtp
+ * @desc Whether another code may be sent now, and if not, when.
+ */
+export const canResendOtp = (challenge = {}, now = new Date()) => {
+  if ((challenge.otpSends || 0) >= CEREMONY_LIMITS.OTP_MAX_SENDS) return { allowed: false, reason: 'TOO_MANY_CODES' };
+  const next = challenge.otpSentAt ? new Date(challenge.otpSentAt).getTime() + CEREMONY_LIMITS.OTP_RESEND_INTERVAL_MS : 0;
+  return next > now.getTime() ? { allowed: false, reason: 'TOO_SOON', retryAfter: new Date(next) } : { allowed: true };
+};
+
+/**
+ * @function signingParties
+ * @desc Signers whose signature the document needs: observers and parties who delegated are left out.
+ */
+export const signingParties = (signers = []) => signers.filter((signer) => signer.role !== 'observer' && !signer.delegatedAt);
+
+/**
+ * @function currentOrder
+ * @desc The lowest order still waiting for a signature. Parties sharing an order sign in parallel.
+ */
+export const currentOrder = (signers = []) => {
+  const waiting = signingParties(signers).filter((signer) => !signer.signedAt);
+  return waiting.length ? Math.min(...waiting.map((signer) => signer.order || 1)) : null;
+};
+
+/**
+ * @function signingTurn
+ * @desc Whether a signer may sign now, and who they are waiting for if not.
+ */
+export const signingTurn = (signers = [], signer) => {
+  if (signer.role === 'observer') return { allowed: false, reason: 'OBSERVER' };
+  if (signer.delegatedAt) return { allowed: false, reason: 'DELEGATED' };
+  if (signer.signedAt) return { allowed: false, reason: 'ALREADY_SIGNED' };
+  if (signer.declinedAt) return { allowed: false, reason: 'DECLINED' };
+  const order = currentOrder(signers);
+  if ((signer.order || 1) <= order) return { allowed: true };
+  return {
+    allowed: false,
+    reason: 'NOT_YOUR_TURN',
+    waitingFor: signingParties(signers).filter((other) => !other.signedAt && (other.order || 1) < (signer.order || 1)).map((other) => other.name)
+  };
+};
+
+/**
+ * @function dueForInvitation
+ * @desc Remote parties whose turn it is and who have not yet been sent a link.
+ */
+export const dueForInvitation = (signers = []) => {
+  const order = currentOrder(signers);
+  if (order === null) return [];
+  return signingParties(signers).filter((signer) => signer.remote && !signer.signedAt && (signer.order || 1) === order && !signer.ceremony?.invitedAt);
+};
+
+/**
+ * @function normaliseAdoptedSignature
+ * @desc Validates the signature a signer adopts: typed text, or a drawn PNG sent as a data URL or base64.
+ * @returns {{ type: 'typed'|'drawn', text?: string, image?: string, hash: string }} image as base64 PNG.
+ */
+export const normaliseAdoptedSignature = (input = {}) => {
+  if (input.type === 'typed') {
+    const text = String(input.text || '').replace(/\s+/g, ' ').trim();
+    if (text.length < 2 || text.length > CEREMONY_LIMITS.SIGNATURE_TEXT_MAX_LENGTH) {
+      throw new Error(`A typed signature must be 2 to ${CEREMONY_LIMITS.SIGNATURE_TEXT_MAX_LENGTH} characters.`);
+    }
+    return { type: 'typed', text, hash: hashSecret(`typed:${text}`) };
+  }
+  if (input.type === 'drawn') {
+    const base64 = String(input.image || '').replace(/^data:image\/png;base64,/, '');
+    const bytes = Buffer.from(base64, 'base64');
+    if (!bytes.length || !bytes.subarray(0, 8).equals(PNG_MAGIC)) throw new Error('A drawn signature must be a PNG image.');
+    if (bytes.length > CEREMONY_LIMITS.SIGNATURE_IMAGE_MAX_BYTES) throw new Error('The drawn signature image is too large.');
+    return { type: 'drawn', image: bytes.toString('base64'), hash: crypto.createHash('sha256').update(bytes).digest('hex') };
+  }
+  throw new Error('A signature must be typed or drawn.');
+};
+
+export const maskEmail = (email = '') => String(email).replace(/^(.{2}).*(@.*)$/, '$1***$2');
+
+export const maskPhone = (phone = '') => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : '****';
+};
+
+export default {
+  CEREMONY_EVENTS,
+  OTP_CHANNELS,
+  CEREMONY_LIMITS,
+  ECT_CONSENT,
+  hashSecret,
+  createToken,
+  isToken,
+  generateOtp,
+  checkOtp,
+  canResendOtp,
+  signingParties,
+  currentOrder,
+  signingTurn,
+  dueForInvitation,
+  normaliseAdoptedSignature,
+  maskEmail,
+  maskPhone
+};
@@ -0,0 +1,113 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TIME ENTRY CALCULATIONS [V1.0.0-BILLING]                                                                                    ║
+ * ║ [TIMER SEGMENTS | LPC 6-MINUTE UNITS | RATE CARD RESOLUTION | WIP VALUATION]                                                           ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/timeEntryCalculations.js                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Rounding follows QuantumBillingCalculations.applyTimeIncrementRounding: always up to the next billing unit.
+ * All money is valued in cents.
+ */
+
+export const DEFAULT_TIME_INCREMENT_MINUTES = 6;
+
+/** Activity codes offered on time sheets; the description becomes the default invoice narration. */
+export const ACTIVITY_CODES = Object.freeze({
+  CONSULTATION: 'Consultation with client',
+  ATTENDANCE: 'Attendance',
+  DRAFTING: 'Drafting',
+  PERUSAL: 'Perusal',
+  CORRESPONDENCE: 'Correspondence',
+  RESEARCH: 'Legal research',
+  NEGOTIATION: 'Negotiation',
+  COURT: 'Court appearance',
+  PREPARATION: 'Preparation',
+  TRAVEL: 'Travel',
+  ADMINISTRATION: 'Administration'
+});
+
+/**
+ * @function elapsedMinutes
+ * @desc Total minutes across timer segments; an open segment runs to `now`.
+ */
+export const elapsedMinutes = (segments = [], now = new Date()) => segments.reduce((total, segment) => {
+  const end = segment.stoppedAt ? new Date(segment.stoppedAt) : now;
+  return total + Math.max(0, (end - new Date(segment.startedAt)) / 60000);
+}, 0);
+
+/**
+ * @function roundUpMinutes
+ * @desc Rounds raw minutes up to whole billing units (6 minutes = 0.1 hour by default).
+ */
+export const roundUpMinutes = (rawMinutes, increment = DEFAULT_TIME_INCREMENT_MINUTES) => {
+  if (rawMinutes <= 0) return 0;
+  // Guard against float noise such as 12.000000001 minutes tipping into the next unit.
+  return Math.ceil(Math.round((rawMinutes / increment) * 1e6) / 1e6) * increment;
+};
+
+/**
+ * @function resolveHourlyRate
+ * @desc Picks the rate for an attorney on a matter and day. Precedence: matter-specific attorney rate, then the attorney's
+ * standard rate, then the matter's own hourly rate. Within a level, the latest effectiveFrom on or before the day wins.
+ * @param {Array<Object>} rates - { userId, matterId?, ratePerHour, effectiveFrom, effectiveTo? }
+ * @returns {{ ratePerHour: number, source: string }}
+ */
+export const resolveHourlyRate = (rates = [], { userId, matterId, date = new Date() }, matterRate) => {
+  const day = new Date(date);
+  const live = rates.filter((r) => String(r.userId) === String(userId)
+    && new Date(r.effectiveFrom) <= day
+    && (!r.effectiveTo || new Date(r.effectiveTo) > day));
+  const latest = (list) => list.sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0];
+
+  const matterSpecific = latest(live.filter((r) => r.matterId && String(r.matterId) === String(matterId)));
+  if (matterSpecific) return { ratePerHour: matterSpecific.ratePerHour, source: 'MATTER_ATTORNEY_RATE' };
+
+  const standard = latest(live.filter((r) => !r.matterId));
+  if (standard) return { ratePerHour: standard.ratePerHour, source: 'ATTORNEY_RATE' };
+
+  if (Number(matterRate) > 0) return { ratePerHour: Number(matterRate), source: 'MATTER_RATE' };
+  return { ratePerHour: 0, source: 'UNRATED' };
+};
+
+/**
+ * @function valueTime
+ * @desc Value of billed minutes at an hourly rate, rounded to the cent.
+ */
+export const valueTime = (minutes, ratePerHour) => Math.round((minutes / 60) * ratePerHour * 100) / 100;
+
+/**
+ * @function summariseWip
+ * @desc Folds WIP ledger rows into a matter position.
+ * @returns {{ balance: number, hours: number, recorded: number, billed: number, writtenOff: number }}
+ */
+export const summariseWip = (rows = []) => {
+  const cents = { balance: 0, recorded: 0, billed: 0, writtenOff: 0 };
+  let minutes = 0;
+  rows.forEach((row) => {
+    const amount = Math.round(Number(row.amount) * 100);
+    cents.balance += amount;
+    minutes += Number(row.minutes || 0);
+    if (row.type === 'BILLED') cents.billed -= amount;
+    else if (row.type === 'WRITTEN_OFF' || row.type === 'WRITTEN_DOWN') cents.writtenOff -= amount;
+    else if (row.type.startsWith('TIME_')) cents.recorded += amount;
+  });
+  return {
+    balance: cents.balance / 100,
+    hours: Math.round((minutes / 60) * 100) / 100,
+    recorded: cents.recorded / 100,
+    billed: cents.billed / 100,
+    writtenOff: cents.writtenOff / 100
+  };
+};
+
+export default {
+  DEFAULT_TIME_INCREMENT_MINUTES,
+  ACTIVITY_CODES,
+  elapsedMinutes,
+  roundUpMinutes,
+  resolveHourlyRate,
+  valueTime,
+  summariseWip
+};
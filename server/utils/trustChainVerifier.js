@@ -0,0 +1,174 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TRUST FORENSIC CHAIN VERIFIER [V1.0.0-FIDUCIARY]                                                                            ║
+ * ║ [SHA3-512 RE-WALK | GAP / REORDER / EDIT DETECTION | MASTER SEAL PARITY | SUB-LEDGER CROSS-CHECK]                                      ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/trustChainVerifier.js                                               ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The chain formula lives here so that lpcService (which seals) and the verifier (which re-walks) can never drift apart.
+ */
+
+import crypto from 'node:crypto';
+import { signedTrustAmount } from './trustReconciliation.js';
+
+export const CHAIN_FINDINGS = Object.freeze({
+  GENESIS_UNANCHORED: 'GENESIS_UNANCHORED',
+  CONTENT_TAMPERED: 'CONTENT_TAMPERED',
+  CHAIN_GAP: 'CHAIN_GAP',
+  CHAIN_REORDERED: 'CHAIN_REORDERED',
+  SEQUENCE_GAP: 'SEQUENCE_GAP',
+  SEQUENCE_REORDERED: 'SEQUENCE_REORDERED',
+  TIMESTAMP_REGRESSION: 'TIMESTAMP_REGRESSION',
+  DUPLICATE_TRANSACTION: 'DUPLICATE_TRANSACTION',
+  SEAL_MISMATCH: 'SEAL_MISMATCH',
+  BALANCE_MISMATCH: 'BALANCE_MISMATCH',
+  SUBLEDGER_MISSING: 'SUBLEDGER_MISSING',
+  SUBLEDGER_MISMATCH: 'SUBLEDGER_MISMATCH',
+  SUBLEDGER_ORPHAN: 'SUBLEDGER_ORPHAN'
+});
+
+const WARNING_FINDINGS = new Set([CHAIN_FINDINGS.GENESIS_UNANCHORED]);
+
+/**
+ * @function computeTrustChainHash
+ * @desc The Recursive Chain Seal [SHA3-512] applied to every control account movement.
+ */
+export const computeTrustChainHash = ({ previousHash, transactionId, amount, type, tenantId, traceId, timestamp }) => {
+  const epochMs = timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+  return crypto.createHash('sha3-512')
+    .update(`${previousHash}|${transactionId}|${amount}|${type}|${tenantId}|${traceId}|${epochMs}`)
+    .digest('hex');
+};
+
+/**
+ * @function verifyTrustChain
+ * @desc Re-walks the control account chain and reports every integrity finding.
+ * @param {Object} input
+ * @param {string} input.tenantId - Tenant identifier exactly as it was hashed.
+ * @param {string} [input.genesisSeal] - Seal issued when the account was opened (absent on legacy accounts).
+ * @param {string} input.masterIntegritySeal - Seal currently stored on the account.
+ * @param {number} [input.currentBalance] - Stored control balance.
+ * @param {Array<Object>} input.transactions - Control account movements in stored order.
+ * @param {Array<Object>} [input.ledgerEntries=[]] - TrustTransaction sub-ledger rows for the tenant.
+ * @returns {{ isIntact: boolean, checkedCount: number, computedSeal: string|null, findings: Array<Object> }}
+ */
+export const verifyTrustChain = ({
+  tenantId,
+  genesisSeal,
+  masterIntegritySeal,
+  currentBalance,
+  transactions = [],
+  ledgerEntries = []
+}) => {
+  const findings = [];
+  const report = (code, detail = {}) => findings.push({
+    code,
+    severity: WARNING_FINDINGS.has(code) ? 'WARNING' : 'CRITICAL',
+    ...detail
+  });
+
+  const positionByHash = new Map(transactions.map((tx, i) => [tx.forensicHash, i]));
+  const ledgerByControlId = new Map(ledgerEntries.filter((e) => e.controlTransactionId).map((e) => [e.controlTransactionId, e]));
+  const seenIds = new Set();
+  let expectedSequence = null;
+  let balanceCents = 0;
+
+  if (!genesisSeal && transactions.length > 0) {
+    report(CHAIN_FINDINGS.GENESIS_UNANCHORED, {
+      index: 0,
+      description: 'Account predates genesis anchoring; the first link can only be checked against its sub-ledger copy.'
+    });
+  }
+
+  transactions.forEach((tx, index) => {
+    const where = { index, transactionId: tx.transactionId };
+    const ledgerEntry = ledgerByControlId.get(tx.transactionId);
+    balanceCents += Math.round(signedTrustAmount(tx.type, tx.amount) * 100);
+
+    if (seenIds.has(tx.transactionId)) {
+      report(CHAIN_FINDINGS.DUPLICATE_TRANSACTION, { ...where, description: 'Transaction id appears more than once in the chain.' });
+    }
+    seenIds.add(tx.transactionId);
+
+    // Explicit sequence numbers (accounts sealed after sequence anchoring)
+    if (Number.isInteger(tx.sequence)) {
+      if (expectedSequence !== null && tx.sequence > expectedSequence) {
+        report(CHAIN_FINDINGS.SEQUENCE_GAP, { ...where, expected: expectedSequence, actual: tx.sequence, description: `${tx.sequence - expectedSequence} sequence number(s) missing.` });
+      } else if (expectedSequence !== null && tx.sequence < expectedSequence) {
+        report(CHAIN_FINDINGS.SEQUENCE_REORDERED, { ...where, expected: expectedSequence, actual: tx.sequence, description: 'Sequence number runs backwards.' });
+      }
+      expectedSequence = tx.sequence + 1;
+    }
+
+    if (index > 0 && new Date(tx.timestamp) < new Date(transactions[index - 1].timestamp)) {
+      report(CHAIN_FINDINGS.TIMESTAMP_REGRESSION, { ...where, description: 'Timestamp precedes the previous movement.' });
+    }
+
+    // Link: which hash does this entry claim to follow, and which should it follow?
+    const expectedPrevious = index === 0 ? genesisSeal : transactions[index - 1].forensicHash;
+    const claimedPrevious = tx.previousHash || ledgerEntry?.previousHash || expectedPrevious;
+
+    if (expectedPrevious && claimedPrevious !== expectedPrevious) {
+      const claimedPosition = positionByHash.get(claimedPrevious);
+      if (claimedPosition !== undefined && claimedPosition >= index) {
+        report(CHAIN_FINDINGS.CHAIN_REORDERED, { ...where, description: `Entry chains from position ${claimedPosition}, which now sits after it.` });
+      } else {
+        report(CHAIN_FINDINGS.CHAIN_GAP, { ...where, description: 'Entry chains from a hash that is no longer in the ledger – one or more movements were removed.' });
+      }
+    }
+
+    // Content: recompute the seal from the stored fields
+    if (claimedPrevious) {
+      const recomputed = computeTrustChainHash({ ...tx, previousHash: claimedPrevious, tenantId });
+      if (recomputed !== tx.forensicHash) {
+        const edited = [];
+        if (ledgerEntry && Number(ledgerEntry.amount) !== Number(tx.amount)) edited.push(`amount (sub-ledger ${ledgerEntry.amount}, control ${tx.amount})`);
+        if (ledgerEntry && ledgerEntry.type !== tx.type) edited.push(`type (sub-ledger ${ledgerEntry.type}, control ${tx.type})`);
+        report(CHAIN_FINDINGS.CONTENT_TAMPERED, {
+          ...where,
+          expected: recomputed,
+          actual: tx.forensicHash,
+          description: edited.length ? `Sealed fields were edited: ${edited.join('; ')}.` : 'Recomputed SHA3-512 seal does not match the stored seal.'
+        });
+      }
+    }
+
+    // Sub-ledger parity
+    if (!ledgerEntry) {
+      // Movements sealed before sub-ledgers existed carry no clientId and have nothing to compare against.
+      if (tx.clientId) {
+        report(CHAIN_FINDINGS.SUBLEDGER_MISSING, { ...where, description: 'Client movement has no sub-ledger posting.' });
+      }
+    } else if (ledgerEntry.forensicHash !== tx.forensicHash || Number(ledgerEntry.amount) !== Number(tx.amount) || ledgerEntry.type !== tx.type) {
+      report(CHAIN_FINDINGS.SUBLEDGER_MISMATCH, { ...where, description: 'Sub-ledger posting disagrees with the control account entry.' });
+    }
+  });
+
+  const controlIds = new Set(transactions.map((tx) => tx.transactionId));
+  ledgerEntries
+    .filter((entry) => entry.controlTransactionId && !controlIds.has(entry.controlTransactionId))
+    .forEach((entry) => report(CHAIN_FINDINGS.SUBLEDGER_ORPHAN, {
+      transactionId: entry.controlTransactionId,
+      description: 'Sub-ledger posting whose control account entry is missing.'
+    }));
+
+  const computedSeal = transactions.length > 0 ? transactions[transactions.length - 1].forensicHash : (genesisSeal || null);
+  if (computedSeal && masterIntegritySeal !== computedSeal) {
+    report(CHAIN_FINDINGS.SEAL_MISMATCH, { expected: computedSeal, actual: masterIntegritySeal, description: 'masterIntegritySeal does not equal the head of the chain.' });
+  }
+
+  if (currentBalance !== undefined && Math.round(Number(currentBalance) * 100) !== balanceCents) {
+    report(CHAIN_FINDINGS.BALANCE_MISMATCH, { expected: balanceCents / 100, actual: Number(currentBalance), description: 'Stored control balance differs from the chained movements.' });
+  }
+
+  return {
+    isIntact: !findings.some((f) => f.severity === 'CRITICAL'),
+    checkedCount: transactions.length,
+    computedSeal,
+    findings
+  };
+};
+
+export default { CHAIN_FINDINGS, computeTrustChainHash, verifyTrustChain };
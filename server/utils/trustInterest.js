@@ -0,0 +1,145 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TRUST INVESTMENT INTEREST ENGINE [V1.0.0-FIDUCIARY]                                                                         ║
+ * ║ [LEGAL PRACTICE ACT s86(3) / s86(4) | DAILY ACCRUAL | FIDELITY FUND SPLIT | MONTH-END STATEMENTS]                                      ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/trustInterest.js                                                    ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Interest accrues daily (simple interest on the day's balance) and is capitalised at month-end, which is how SA banks run
+ * trust call accounts. Daily amounts keep six decimals; rounding to cents happens once per allocation so no fractions leak.
+ */
+
+import { applyTrustMovement } from './trustReconciliation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const INVESTMENT_SECTIONS = Object.freeze({
+  S86_3: 'S86_3',
+  S86_4: 'S86_4'
+});
+
+/** Share of interest payable to the Legal Practitioners Fidelity Fund, per section, unless the account overrides it. */
+export const DEFAULT_FUND_SHARE = Object.freeze({
+  [INVESTMENT_SECTIONS.S86_3]: 1,
+  [INVESTMENT_SECTIONS.S86_4]: 0.05
+});
+
+const roundMicro = (value) => Math.round(value * 1e6) / 1e6;
+
+/** Midnight UTC of the given date. */
+export const toUtcDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * @function monthBounds
+ * @desc [start, end) of a calendar month. month is 1-12.
+ */
+export const monthBounds = (year, month) => ({
+  periodStart: new Date(Date.UTC(year, month - 1, 1)),
+  periodEnd: new Date(Date.UTC(year, month, 1))
+});
+
+/**
+ * @function annualRateOn
+ * @desc Nominal annual rate (percent) in force on a day: the latest rate whose effectiveFrom is on or before it.
+ */
+export const annualRateOn = (rates = [], date) => {
+  const day = toUtcDay(date).getTime();
+  const applicable = rates
+    .filter((r) => toUtcDay(r.effectiveFrom).getTime() <= day)
+    .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+  return applicable.length ? Number(applicable[applicable.length - 1].ratePercent) : 0;
+};
+
+/**
+ * @function accrueDailyInterest
+ * @desc One accrual row per day in [fromDate, toDate) on a constant balance.
+ * @returns {Array<{ date: Date, balance: number, ratePercent: number, interest: number }>}
+ */
+export const accrueDailyInterest = ({ balance, rates, fromDate, toDate, dayCountBasis = 365 }) => {
+  const rows = [];
+  for (let t = toUtcDay(fromDate).getTime(); t < toUtcDay(toDate).getTime(); t += DAY_MS) {
+    const date = new Date(t);
+    const ratePercent = annualRateOn(rates, date);
+    rows.push({ date, balance, ratePercent, interest: roundMicro((balance * ratePercent) / 100 / dayCountBasis) });
+  }
+  return rows;
+};
+
+/**
+ * @function splitInterest
+ * @desc Rounds gross interest to cents and splits it between the client and the Fidelity Fund.
+ * The Fund share is rounded; the client receives the remainder so the parts always sum to the gross.
+ */
+export const splitInterest = (grossInterest, fundShare) => {
+  const grossCents = Math.round(grossInterest * 100);
+  const fundCents = Math.round(grossCents * Number(fundShare));
+  return {
+    grossInterest: grossCents / 100,
+    fundShare: fundCents / 100,
+    clientShare: (grossCents - fundCents) / 100
+  };
+};
+
+/**
+ * @function buildInterestStatement
+ * @desc Month-end interest statement for one investment.
+ * @param {Object} input
+ * @param {Object} input.investment - { investmentId, section, clientId, matterId, bankName, accountNumber }
+ * @param {Date} input.periodStart
+ * @param {Date} input.periodEnd - exclusive
+ * @param {Array<Object>} input.movements - investment ledger rows { type, amount, balanceAfter, createdAt } in posting order
+ * @param {Array<Object>} input.accruals - daily accrual rows
+ */
+export const buildInterestStatement = ({ investment, periodStart, periodEnd, movements = [], accruals = [] }) => {
+  const inPeriod = (date) => new Date(date) >= periodStart && new Date(date) < periodEnd;
+  const before = movements.filter((m) => new Date(m.createdAt) < periodStart);
+  const during = movements.filter((m) => inPeriod(m.createdAt));
+
+  const openingBalance = before.length ? before[before.length - 1].balanceAfter : 0;
+  const closingBalance = during.reduce((balance, m) => applyTrustMovement(balance, m.type, m.amount), openingBalance);
+  const periodAccruals = accruals.filter((a) => inPeriod(a.date));
+  const sumOf = (type) => during.filter((m) => m.type === type).reduce((sum, m) => sum + Math.round(m.amount * 100), 0) / 100;
+
+  return {
+    investmentId: investment.investmentId,
+    section: investment.section,
+    clientId: investment.clientId,
+    matterId: investment.matterId,
+    bankName: investment.bankName,
+    accountNumber: investment.accountNumber,
+    periodStart,
+    periodEnd,
+    daysAccrued: periodAccruals.length,
+    openingBalance,
+    accruedInterest: roundMicro(periodAccruals.reduce((sum, a) => sum + a.interest, 0)),
+    grossInterestCredited: sumOf('INTEREST_ACCRUAL'),
+    fidelityFundShare: sumOf('LPC_LEVY'),
+    placements: sumOf('DEPOSIT'),
+    withdrawals: sumOf('WITHDRAWAL'),
+    closingBalance,
+    movements: during.map((m) => ({
+      date: m.createdAt,
+      type: m.type,
+      amount: m.amount,
+      balanceAfter: m.balanceAfter,
+      reference: m.lpcReference
+    })),
+    rates: [...new Set(periodAccruals.map((a) => a.ratePercent))]
+  };
+};
+
+export default {
+  INVESTMENT_SECTIONS,
+  DEFAULT_FUND_SHARE,
+  toUtcDay,
+  monthBounds,
+  annualRateOn,
+  accrueDailyInterest,
+  splitInterest,
+  buildInterestStatement
+};
@@ -0,0 +1,109 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TRUST RECEIPT MATCHER [V1.0.0-FIDUCIARY]                                                                                    ║
+ * ║ [REFERENCE | AMOUNT | PAYER NAME SCORING FOR BANK STATEMENT CREDITS]                                                                   ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/trustReceiptMatcher.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Scores a statement credit against candidate client/matter pairs. A candidate looks like:
+ *   { clientId, matterId, matterNumber, references: [lpcReference...], clientName, expectedAmounts: [Number...] }
+ * The score is 0..1; the caller decides the auto-match and suggestion thresholds.
+ */
+
+export const MATCH_WEIGHTS = Object.freeze({ reference: 0.6, payerName: 0.3, amount: 0.1 });
+export const AUTO_MATCH_THRESHOLD = 0.8;
+export const SUGGESTION_THRESHOLD = 0.3;
+
+const NAME_NOISE = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'adv', 'pty', 'ltd', 'cc', 'inc', 'the', 'and', 'en']);
+
+/** Uppercase and strip separators so "MAT/2024-0012" and "mat 2024 0012" compare equal. */
+export const normaliseReference = (value = '') => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const nameTokens = (value = '') => String(value)
+  .toLowerCase()
+  .replace(/\(pty\)/g, ' ')
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter((t) => t.length > 1 && !NAME_NOISE.has(t));
+
+/**
+ * @function nameSimilarity
+ * @desc Dice coefficient over name tokens; tolerant of word order and titles ("SMITH J MR" vs "John Smith").
+ * Single-letter initials on the statement side count as a half match against a token with that initial.
+ */
+export const nameSimilarity = (a, b) => {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  const initials = String(a).toLowerCase().match(/\b[a-z]\b/g) || [];
+  if (left.length === 0 || right.length === 0) return 0;
+
+  let overlap = left.filter((t) => right.includes(t)).length;
+  const unmatched = right.filter((t) => !left.includes(t));
+  overlap += 0.5 * initials.filter((i) => unmatched.some((t) => t.startsWith(i))).length;
+
+  return Math.min(1, (2 * overlap) / (left.length + right.length));
+};
+
+/**
+ * @function scoreCandidate
+ * @desc Scores one statement line against one client/matter candidate.
+ * @returns {{ score: number, reasons: string[] }}
+ */
+export const scoreCandidate = (line, candidate) => {
+  const reasons = [];
+  let score = 0;
+
+  const haystack = normaliseReference(`${line.reference} ${line.description}`);
+  const references = [candidate.matterNumber, ...(candidate.references || [])].map(normaliseReference).filter((r) => r.length >= 4);
+  if (references.some((ref) => haystack.includes(ref))) {
+    score += MATCH_WEIGHTS.reference;
+    reasons.push('REFERENCE');
+  }
+
+  const similarity = nameSimilarity(line.payerName || line.description, candidate.clientName || '');
+  if (similarity >= 0.5) {
+    score += MATCH_WEIGHTS.payerName * similarity;
+    reasons.push('PAYER_NAME');
+  }
+
+  if ((candidate.expectedAmounts || []).some((expected) => Math.abs(Number(expected) - line.amount) < 0.005)) {
+    score += MATCH_WEIGHTS.amount;
+    reasons.push('AMOUNT');
+  }
+
+  return { score: Math.round(score * 1000) / 1000, reasons };
+};
+
+/**
+ * @function rankCandidates
+ * @desc Returns candidates scoring at least SUGGESTION_THRESHOLD, best first.
+ */
+export const rankCandidates = (line, candidates, limit = 5) => candidates
+  .map((candidate) => ({ ...scoreCandidate(line, candidate), candidate }))
+  .filter((m) => m.score >= SUGGESTION_THRESHOLD)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, limit);
+
+/**
+ * @function classifyMatch
+ * @desc AUTO_MATCHED only when the best candidate clears the threshold and is clearly ahead of the runner-up.
+ */
+export const classifyMatch = (ranked) => {
+  if (ranked.length === 0) return 'UNMATCHED';
+  const [best, second] = ranked;
+  const unambiguous = !second || best.score - second.score >= 0.2;
+  return best.score >= AUTO_MATCH_THRESHOLD && unambiguous ? 'AUTO_MATCHED' : 'SUGGESTED';
+};
+
+export default {
+  MATCH_WEIGHTS,
+  AUTO_MATCH_THRESHOLD,
+  SUGGESTION_THRESHOLD,
+  normaliseReference,
+  nameSimilarity,
+  scoreCandidate,
+  rankCandidates,
+  classifyMatch
+};
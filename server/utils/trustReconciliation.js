@@ -0,0 +1,172 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - TRUST RECONCILIATION MATHEMATICS [V1.0.0-FIDUCIARY]                                                                         ║
+ * ║ [LPC RULE 54.14 SUB-LEDGERS | LPC RULE 54.15 THREE-WAY RECONCILIATION | CENT-PRECISE ARITHMETIC]                                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/trustReconciliation.js                                              ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pure (database-free) helpers shared by the LPC service and its tests. All amounts are handled in
+ * cents internally so that R0.01 variances are reported exactly rather than as floating point noise.
+ */
+
+/** Movement types that increase a client's trust balance. Everything else is an outflow. */
+export const TRUST_INFLOW_TYPES = Object.freeze(['DEPOSIT', 'INTEREST_ACCRUAL']);
+
+/** Tolerance (in Rand) below which two balances are considered reconciled. */
+export const RECONCILIATION_TOLERANCE = 0.01;
+
+export const DISCREPANCY_TYPES = Object.freeze({
+  BANK_VS_CONTROL: 'BANK_VS_CONTROL',
+  CONTROL_VS_CLIENT_LEDGERS: 'CONTROL_VS_CLIENT_LEDGERS',
+  BANK_VS_CLIENT_LEDGERS: 'BANK_VS_CLIENT_LEDGERS',
+  CONTROL_BALANCE_DRIFT: 'CONTROL_BALANCE_DRIFT',
+  NEGATIVE_CLIENT_BALANCE: 'NEGATIVE_CLIENT_BALANCE',
+  CLIENT_LEDGER_DRIFT: 'CLIENT_LEDGER_DRIFT'
+});
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * @function isTrustInflow
+ * @desc Whether a movement type credits the client's sub-ledger.
+ */
+export const isTrustInflow = (type) => TRUST_INFLOW_TYPES.includes(type);
+
+/**
+ * @function signedTrustAmount
+ * @desc Returns the amount with the sign it applies to a trust balance (+ inflow, - outflow).
+ */
+export const signedTrustAmount = (type, amount) => (isTrustInflow(type) ? 1 : -1) * Number(amount || 0);
+
+/**
+ * @function applyTrustMovement
+ * @desc Computes the balance after a movement without floating point drift.
+ */
+export const applyTrustMovement = (balance, type, amount) =>
+  fromCents(toCents(balance) + toCents(signedTrustAmount(type, amount)));
+
+/**
+ * @function summariseClientLedgers
+ * @desc Folds sub-ledger transactions (oldest first) into one balance per client/matter pair.
+ * The recomputed balance is compared with the stored `balanceAfter` snapshot of the last entry so
+ * that a tampered or out-of-sequence snapshot surfaces as ledger drift.
+ * @param {Array<Object>} transactions - { clientId, matterId, type, amount, balanceAfter }
+ * @returns {Array<Object>} { clientId, matterId, balance, recordedBalance, transactionCount }
+ */
+export const summariseClientLedgers = (transactions = []) => {
+  const ledgers = new Map();
+
+  for (const tx of transactions) {
+    const key = `${tx.clientId}:${tx.matterId}`;
+    const ledger = ledgers.get(key) || {
+      clientId: String(tx.clientId),
+      matterId: String(tx.matterId),
+      balanceCents: 0,
+      recordedBalance: 0,
+      transactionCount: 0
+    };
+
+    ledger.balanceCents += toCents(signedTrustAmount(tx.type, tx.amount));
+    ledger.recordedBalance = Number(tx.balanceAfter ?? fromCents(ledger.balanceCents));
+    ledger.transactionCount += 1;
+    ledgers.set(key, ledger);
+  }
+
+  return [...ledgers.values()].map(({ balanceCents, ...ledger }) => ({
+    ...ledger,
+    balance: fromCents(balanceCents)
+  }));
+};
+
+/**
+ * @function reconcileThreeWay
+ * @desc LPC Rule 54.15 three-way reconciliation: bank statement vs trust control account vs the sum of
+ * the individual client ledgers. Returns every discrepancy rather than stopping at the first one.
+ * @param {Object} input
+ * @param {number} input.bankBalance - Closing balance per bank statement.
+ * @param {number} [input.outstandingDeposits=0] - Deposits recorded in the ledger but not yet on the statement.
+ * @param {number} [input.outstandingPayments=0] - Payments recorded in the ledger but not yet cleared.
+ * @param {number} input.controlBalance - Running balance held on the trust control account.
+ * @param {Array<Object>} [input.controlTransactions=[]] - Control account movements, used to detect balance drift.
+ * @param {Array<Object>} [input.clientLedgers=[]] - Output of {@link summariseClientLedgers}.
+ */
+export const reconcileThreeWay = ({
+  bankBalance,
+  outstandingDeposits = 0,
+  outstandingPayments = 0,
+  controlBalance,
+  controlTransactions = [],
+  clientLedgers = []
+}) => {
+  const toleranceCents = toCents(RECONCILIATION_TOLERANCE);
+  const discrepancies = [];
+
+  const adjustedBankCents = toCents(bankBalance) + toCents(outstandingDeposits) - toCents(outstandingPayments);
+  const controlCents = toCents(controlBalance);
+  const clientTotalCents = clientLedgers.reduce((sum, ledger) => sum + toCents(ledger.balance), 0);
+
+  const compare = (type, leftCents, rightCents, description) => {
+    const varianceCents = leftCents - rightCents;
+    if (Math.abs(varianceCents) >= toleranceCents) {
+      discrepancies.push({ type, variance: fromCents(varianceCents), description });
+    }
+  };
+
+  compare(DISCREPANCY_TYPES.BANK_VS_CONTROL, adjustedBankCents, controlCents,
+    'Adjusted bank statement balance does not agree with the trust control account.');
+  compare(DISCREPANCY_TYPES.CONTROL_VS_CLIENT_LEDGERS, controlCents, clientTotalCents,
+    'Trust control account does not agree with the sum of client ledgers.');
+  compare(DISCREPANCY_TYPES.BANK_VS_CLIENT_LEDGERS, adjustedBankCents, clientTotalCents,
+    'Adjusted bank statement balance does not agree with the sum of client ledgers.');
+
+  if (controlTransactions.length > 0) {
+    const recomputedCents = controlTransactions.reduce((sum, tx) => sum + toCents(signedTrustAmount(tx.type, tx.amount)), 0);
+    compare(DISCREPANCY_TYPES.CONTROL_BALANCE_DRIFT, controlCents, recomputedCents,
+      'Stored control balance differs from the sum of control account movements.');
+  }
+
+  for (const ledger of clientLedgers) {
+    if (toCents(ledger.balance) < 0) {
+      discrepancies.push({
+        type: DISCREPANCY_TYPES.NEGATIVE_CLIENT_BALANCE,
+        clientId: ledger.clientId,
+        matterId: ledger.matterId,
+        variance: ledger.balance,
+        description: 'Client ledger is in debit (LPC Rule 54.14.7 trust deficit).'
+      });
+    }
+    if (Math.abs(toCents(ledger.balance) - toCents(ledger.recordedBalance)) >= toleranceCents) {
+      discrepancies.push({
+        type: DISCREPANCY_TYPES.CLIENT_LEDGER_DRIFT,
+        clientId: ledger.clientId,
+        matterId: ledger.matterId,
+        variance: fromCents(toCents(ledger.recordedBalance) - toCents(ledger.balance)),
+        description: 'Recorded balanceAfter snapshot differs from the recomputed client ledger balance.'
+      });
+    }
+  }
+
+  return {
+    isReconciled: discrepancies.length === 0,
+    bankBalance: Number(bankBalance),
+    adjustedBankBalance: fromCents(adjustedBankCents),
+    controlBalance: fromCents(controlCents),
+    clientLedgerTotal: fromCents(clientTotalCents),
+    clientLedgerCount: clientLedgers.length,
+    discrepancies
+  };
+};
+
+export default {
+  TRUST_INFLOW_TYPES,
+  RECONCILIATION_TOLERANCE,
+  DISCREPANCY_TYPES,
+  isTrustInflow,
+  signedTrustAmount,
+  applyTrustMovement,
+  summariseClientLedgers,
+  reconcileThreeWay
+};
@@ -0,0 +1,158 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - DYNAMIC DOCUMENT WATERMARK [V1.0.0-WATERMARK]                                                                               ║
+ * ║ [PER-VIEWER STAMP | EMAIL AND UTC TIMESTAMP | TILED DIAGONAL MARK | FOOTER | VIEW-ONLY PAGE IMAGES]                                    ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/watermark.js                                                        ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Stamps every page with who is looking at it and when, at the moment they look, so a leaked copy or screenshot names
+ * its source. Sources are loaded with bundleCompiler's toPdfDocument, so Word, image and text versions are stamped
+ * as PDFs too. View-only pages are served as images rendered from a stamped single-page copy.
+ */
+
+import { PDFDocument, StandardFonts, degrees, rgb } from 'pdf-lib';
+import { toPdfDocument, winAnsi } from './bundleCompiler.js';
+import { openPdf } from './pdfRedaction.js';
+
+export const DEFAULT_VIEW_DPI = 110;
+const MAX_VIEW_DPI = 200;
+
+const TILE_ANGLE = 35;
+const TILE_OPACITY = 0.14;
+const FOOTER_SIZE = 7;
+
+const watermarkError = (message) => new Error(`WATERMARK_ERROR: ${message}`);
+
+export const stampTime = (at) => `${new Date(at).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+
+/**
+ * @function watermarkLines
+ * @desc The tiled mark and the footer line for one viewer at one moment.
+ * @param {Object} stamp - { email, at?, reference? }
+ */
+export const watermarkLines = ({ email, at = new Date(), reference } = {}) => {
+  if (!email) throw watermarkError('A watermark needs the viewer\'s email address.');
+  const when = stampTime(at);
+  return {
+    tile: winAnsi(`${email}  ${when}`),
+    footer: winAnsi([`Shared with ${email} on ${when}`, reference, 'Confidential - do not copy or forward'].filter(Boolean).join(' | '))
+  };
+};
+
+/**
+ * @function stampWatermark
+ * @desc Draws the viewer's mark over every page of a pdf-lib document, in place.
+ */
+export const stampWatermark = async (pdf, stamp) => {
+  const { tile, footer } = watermarkLines(stamp);
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const small = await pdf.embedFont(StandardFonts.Helvetica);
+  const grey = rgb(0.45, 0.45, 0.45);
+
+  for (const page of pdf.getPages()) {
+    const { width, height } = page.getSize();
+    // About two copies across the page, whatever its size
+    const size = Math.max(8, Math.min(22, (width * 0.45) / Math.max(font.widthOfTextAtSize(tile, 1), 1)));
+    // Rows laid along the slant, each offset by half a copy, until the page is covered
+    const along = font.widthOfTextAtSize(tile, size) + size * 4;
+    const across = size * 7;
+    const [cos, sin] = [Math.cos((TILE_ANGLE * Math.PI) / 180), Math.sin((TILE_ANGLE * Math.PI) / 180)];
+    const reach = Math.ceil(Math.hypot(width, height) / Math.min(along, across)) + 1;
+    for (let row = -reach; row <= reach; row += 1) {
+      for (let step = -reach; step <= reach; step += 1) {
+        const offset = step * along + (row % 2) * (along / 2);
+        const x = width / 2 + offset * cos - row * across * sin;
+        const y = height / 2 + offset * sin + row * across * cos;
+        if (x < -along || x > width || y < -along || y > height) continue;
+        page.drawText(tile, { x, y, size, font, color: grey, opacity: TILE_OPACITY, rotate: degrees(TILE_ANGLE) });
+      }
+    }
+
+    const footerSize = Math.min(FOOTER_SIZE, ((width - 24) / Math.max(small.widthOfTextAtSize(footer, 1), 1)));
+    page.drawRectangle({ x: 0, y: 0, width, height: footerSize + 8, color: rgb(1, 1, 1), opacity: 0.8 });
+    page.drawText(footer, { x: 12, y: 4, size: footerSize, font: small, color: rgb(0.2, 0.2, 0.2) });
+  }
+  return pdf;
+};
+
+const loadSource = async (source) => {
+  try {
+    return await toPdfDocument(source);
+  } catch (error) {
+    throw watermarkError(`The document could not be prepared for sharing (${error.message}).`);
+  }
+};
+
+/**
+ * @function countPages
+ * @desc Pages the source has once loaded as a PDF; also proves it can be watermarked.
+ */
+export const countPages = async (source) => (await loadSource(source)).getPageCount();
+
+/**
+ * @function watermarkPdf
+ * @desc The whole source as a PDF, every page stamped for the viewer.
+ * @param {Object} source - { bytes, mimeType?, filename? }
+ * @param {Object} stamp - { email, at?, reference? }
+ * @returns {Promise<{ pdf: Buffer, pageCount: number }>}
+ */
+export const watermarkPdf = async (source, stamp, { title } = {}) => {
+  const pdf = await loadSource(source);
+  await stampWatermark(pdf, stamp);
+  if (title) pdf.setTitle(title);
+  pdf.setSubject(`Shared with ${stamp.email} on ${stampTime(stamp.at || new Date())}`);
+  pdf.setModificationDate(new Date(stamp.at || Date.now()));
+  return { pdf: Buffer.from(await pdf.save()), pageCount: pdf.getPageCount() };
+};
+
+const resolveDpi = (dpi) => Math.min(Math.max(Number(dpi) || DEFAULT_VIEW_DPI, 50), MAX_VIEW_DPI);
+
+/**
+ * @function renderWatermarkedPage
+ * @desc One page, stamped for the viewer and rendered to a PNG, for view-only shares: no text layer, nothing to save
+ *       but pixels that carry the mark.
+ * @returns {Promise<{ png: Buffer, pageCount: number, width: number, height: number }>}
+ */
+export const renderWatermarkedPage = async (source, pageNumber, stamp, { dpi } = {}) => {
+  const pdf = await loadSource(source);
+  const pageCount = pdf.getPageCount();
+  if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pageCount) {
+    throw watermarkError(`Page ${pageNumber} is not in the document; it has ${pageCount} page${pageCount === 1 ? '' : 's'}.`);
+  }
+
+  const single = await PDFDocument.create();
+  const [page] = await single.copyPages(pdf, [pageNumber - 1]);
+  single.addPage(page);
+  await stampWatermark(single, stamp);
+
+  const rendered = await openPdf(await single.save(), watermarkError);
+  try {
+    const sourcePage = await rendered.getPage(1);
+    const viewport = sourcePage.getViewport({ scale: resolveDpi(dpi) / 72 });
+    const { canvas, context } = rendered.canvasFactory.create(viewport.width, viewport.height);
+    try {
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await sourcePage.render({ canvasContext: context, canvas, viewport }).promise;
+      return { png: canvas.toBuffer('image/png'), pageCount, width: canvas.width, height: canvas.height };
+    } catch (error) {
+      throw watermarkError(`Page ${pageNumber} could not be rendered (${error.message}).`);
+    } finally {
+      rendered.canvasFactory.destroy({ canvas, context });
+    }
+  } finally {
+    await rendered.destroy();
+  }
+};
+
+export default {
+  DEFAULT_VIEW_DPI,
+  stampTime,
+  watermarkLines,
+  stampWatermark,
+  countPages,
+  watermarkPdf,
+  renderWatermarkedPage
+};
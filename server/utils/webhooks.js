@@ -0,0 +1,141 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WEBHOOK DELIVERY RULES [V1.0.0-HOOKS]                                                                                       ║
+ * ║ [HMAC-SHA256 SIGNATURES | EXPONENTIAL BACKOFF | RETRY CLASSIFICATION | ENDPOINT VETTING]                                               ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/webhooks.js                                                         ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Receivers verify a delivery by recomputing HMAC-SHA256(secret, `${t}.${rawBody}`) and comparing it with v1 in the
+ * X-Wilsy-Signature header (`t=<unix seconds>,v1=<hex>`); the timestamp lets them reject replays outside their window.
+ */
+
+import crypto from 'node:crypto';
+import net from 'node:net';
+
+export const SIGNATURE_HEADER = 'X-Wilsy-Signature';
+export const DEFAULT_MAX_ATTEMPTS = 8;
+export const BACKOFF_BASE_MS = 30 * 1000;
+export const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+const webhookError = (message) => {
+  const error = new Error(`WEBHOOK_ERROR: ${message}`);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * @function signPayload
+ * @desc Signature header value for a raw request body.
+ * @returns {string} `t=<unix seconds>,v1=<hex digest>`
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * @function verifySignature
+ * @desc Checks a signature header against a raw body, rejecting anything older than `toleranceSeconds`.
+ */
+export const verifySignature = (secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.split('=').map((value) => value.trim())));
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * @function backoffDelay
+ * @desc Wait before retry number `attempt` (1-based): 30s, 1m, 2m, 4m… capped at six hours, with ±20% jitter so
+ *       endpoints that fail together do not get hit together.
+ */
+export const backoffDelay = (attempt, { baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS, random = Math.random } = {}) => {
+  const exponential = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(exponential * (0.8 + random() * 0.4));
+};
+
+/**
+ * @function isRetryable
+ * @desc Network failures, timeouts, 408, 429 and 5xx are worth retrying; any other non-2xx answer is final.
+ */
+export const isRetryable = (statusCode) => (
+  !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500
+);
+
+const PRIVATE_V4 = [
+  [0x0a000000, 8], [0x7f000000, 8], [0xa9fe0000, 16], [0xac100000, 12], [0xc0a80000, 16], [0x00000000, 8], [0x64400000, 10]
+];
+
+const isPrivateAddress = (host) => {
+  if (net.isIPv4(host)) {
+    const value = host.split('.').reduce((acc, octet) => (acc << 8) + Number(octet), 0) >>> 0;
+    return PRIVATE_V4.some(([base, bits]) => (value >>> (32 - bits)) === (base >>> (32 - bits)));
+  }
+  if (net.isIPv6(host)) {
+    const lower = host.toLowerCase();
+    return lower === '::1' || lower === '::' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('::ffff:');
+  }
+  return false;
+};
+
+/**
+ * @function normaliseEndpoint
+ * @desc Validates a subscriber URL: https only (http when `allowInsecure`), no embedded credentials, and no loopback,
+ *       private or link-local hosts, so a subscription cannot be pointed back into the platform's own network.
+ */
+export const normaliseEndpoint = (value, { allowInsecure = false } = {}) => {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    throw webhookError('url is not a valid URL');
+  }
+  if (url.protocol !== 'https:' && !(allowInsecure && url.protocol === 'http:')) throw webhookError('url must use https');
+  if (url.username || url.password) throw webhookError('url must not carry credentials');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || isPrivateAddress(host)) {
+    throw webhookError('url must point at a public host');
+  }
+  url.hash = '';
+  return url.toString();
+};
+
+/**
+ * @function subscriptionMatches
+ * @desc Whether an active subscription wants an event type ('*' subscribes to the whole catalogue).
+ */
+export const subscriptionMatches = (subscription, type) => (
+  subscription?.status === 'ACTIVE' && (subscription.events || []).some((event) => event === '*' || event === type)
+);
+
+/**
+ * @function deliveryBody
+ * @desc The JSON body a subscriber receives for an outbox event.
+ */
+export const deliveryBody = (event, deliveryId) => JSON.stringify({
+  id: event.eventId,
+  deliveryId,
+  type: event.type,
+  occurredAt: new Date(event.occurredAt).toISOString(),
+  subject: event.subject,
+  matterId: event.matterId || null,
+  data: event.payload || {}
+});
+
+export default {
+  SIGNATURE_HEADER,
+  DEFAULT_MAX_ATTEMPTS,
+  signPayload,
+  verifySignature,
+  backoffDelay,
+  isRetryable,
+  normaliseEndpoint,
+  subscriptionMatches,
+  deliveryBody
+};
@@ -0,0 +1,210 @@
+/* eslint-disable */
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╗
+ * ║ WILSY OS - WORKFLOW RULES [V1.0.0-FLOW]                                                                                                ║
+ * ║ [DEFINITION VALIDATION | GUARDS | ASSIGNEES | SLA DUE DATES | EVENT TRIGGERS]                                                          ║
+ * ╠════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╣
+ * ║ ABSOLUTE PATH: /Users/wilsonkhanyezi/legal-doc-system/server/utils/workflowRules.js                                                    ║
+ * ╚════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A workflow is a state machine. TASK states wait for a person (their assignees act on them), AUTO states move on by
+ * themselves through the first `auto` transition whose guard passes, and END states finish the instance. Guards are
+ * declarative condition lists over the instance context, so definitions stay storable and reviewable.
+ */
+
+export const STATE_TYPES = Object.freeze({
+  TASK: 'TASK',
+  AUTO: 'AUTO',
+  END: 'END'
+});
+
+export const GUARD_OPERATORS = Object.freeze(['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists']);
+
+const HOUR_MS = 60 * 60 * 1000;
+const KEY = /^[a-z][a-z0-9_]{0,63}$/;
+
+const ruleError = (message) => {
+  const error = new Error(`WORKFLOW_ERROR: ${message}`);
+  error.status = 400;
+  return error;
+};
+
+const ids = (values) => [...new Set((values || []).filter(Boolean).map(String))];
+const upper = (values) => [...new Set((values || []).filter(Boolean).map((value) => String(value).toUpperCase()))];
+
+export const readPath = (source, path) => String(path).split('.').reduce((value, key) => value?.[key], source);
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * @function evaluateGuard
+ * @desc True when every condition holds against the context, e.g. [{ field: 'invoice.outstanding', op: 'gt', value: 0 }].
+ */
+export const evaluateGuard = (conditions = [], context = {}) => conditions.every(({ field, op = 'eq', value }) => {
+  const actual = comparable(readPath(context, field));
+  const expected = comparable(value);
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'in': return Array.isArray(value) && value.includes(actual);
+    case 'nin': return Array.isArray(value) && !value.includes(actual);
+    case 'exists': return (actual !== undefined && actual !== null) === (value !== false);
+    default: return false;
+  }
+});
+
+// A guard is a list of conditions that must all hold; a single condition is accepted on its own
+const normaliseGuard = (guard, where) => [].concat(guard || []).map((condition) => {
+  if (!condition?.field || typeof condition.field !== 'string') throw ruleError(`${where}: every guard condition needs a field`);
+  const op = condition.op || 'eq';
+  if (!GUARD_OPERATORS.includes(op)) throw ruleError(`${where}: unknown guard operator ${op}`);
+  if (['in', 'nin'].includes(op) && !Array.isArray(condition.value)) throw ruleError(`${where}: ${op} needs a list value`);
+  return { field: condition.field, op, value: condition.value };
+});
+
+/**
+ * @function normaliseDefinition
+ * @desc Validates a definition's states, transitions and triggers and returns the canonical form that is stored.
+ */
+export const normaliseDefinition = (definition = {}) => {
+  const states = (definition.states || []).map((state) => {
+    if (!KEY.test(state?.key || '')) throw ruleError(`state key "${state?.key}" must be lower_snake_case`);
+    const type = String(state.type || STATE_TYPES.TASK).toUpperCase();
+    if (!Object.values(STATE_TYPES).includes(type)) throw ruleError(`state ${state.key} has unknown type ${state.type}`);
+    const assignees = {
+      roles: upper(state.assignees?.roles),
+      userIds: ids(state.assignees?.userIds),
+      fields: [...new Set(state.assignees?.fields || [])]
+    };
+    if (type === STATE_TYPES.TASK && !assignees.roles.length && !assignees.userIds.length && !assignees.fields.length) {
+      throw ruleError(`task state ${state.key} needs assignees (roles, userIds or context fields)`);
+    }
+    const slaHours = state.sla?.hours;
+    if (slaHours !== undefined && slaHours !== null && !(Number(slaHours) > 0)) throw ruleError(`state ${state.key} SLA hours must be positive`);
+    return {
+      key: state.key,
+      name: state.name || state.key,
+      type,
+      assignees,
+      sla: slaHours ? { hours: Number(slaHours), escalateTo: upper(state.sla.escalateTo) } : undefined
+    };
+  });
+
+  if (!states.length) throw ruleError('a workflow needs at least one state');
+  const byKey = new Map(states.map((state) => [state.key, state]));
+  if (byKey.size !== states.length) throw ruleError('state keys must be unique');
+  if (!states.some((state) => state.type === STATE_TYPES.END)) throw ruleError('a workflow needs at least one END state');
+
+  const initialState = definition.initialState || states[0].key;
+  if (!byKey.has(initialState)) throw ruleError(`initial state ${initialState} is not defined`);
+  if (byKey.get(initialState).type === STATE_TYPES.END) throw ruleError('the initial state cannot be an END state');
+
+  const transitions = (definition.transitions || []).map((transition) => {
+    const where = `transition ${transition?.action} from ${transition?.from}`;
+    if (!KEY.test(transition?.action || '')) throw ruleError(`${where}: action must be lower_snake_case`);
+    if (!byKey.has(transition.from)) throw ruleError(`${where}: unknown from state`);
+    if (!byKey.has(transition.to)) throw ruleError(`${where}: unknown to state ${transition.to}`);
+    if (byKey.get(transition.from).type === STATE_TYPES.END) throw ruleError(`${where}: END states have no way out`);
+    return {
+      action: transition.action,
+      from: transition.from,
+      to: transition.to,
+      name: transition.name || transition.action,
+      guard: normaliseGuard(transition.guard, where),
+      auto: byKey.get(transition.from).type === STATE_TYPES.AUTO || Boolean(transition.auto),
+      requiresComment: Boolean(transition.requiresComment)
+    };
+  });
+
+  const seen = new Set();
+  for (const transition of transitions) {
+    const id = `${transition.from}:${transition.action}`;
+    if (seen.has(id)) throw ruleError(`action ${transition.action} is defined twice on ${transition.from}`);
+    seen.add(id);
+  }
+  for (const state of states) {
+    if (state.type !== STATE_TYPES.END && !transitions.some((transition) => transition.from === state.key)) {
+      throw ruleError(`state ${state.key} has no outgoing transition`);
+    }
+  }
+
+  const triggers = (definition.triggers || []).map((trigger) => {
+    if (!trigger?.event || typeof trigger.event !== 'string') throw ruleError('every trigger needs an event');
+    return { event: trigger.event, guard: normaliseGuard(trigger.guard, `trigger ${trigger.event}`) };
+  });
+
+  return { states, initialState, transitions, triggers };
+};
+
+export const stateOf = (definition, key) => (definition.states || []).find((state) => state.key === key);
+
+/**
+ * @function availableTransitions
+ * @desc Transitions a person can take from a state right now (guards evaluated against the context).
+ */
+export const availableTransitions = (definition, stateKey, context = {}) => (definition.transitions || [])
+  .filter((transition) => transition.from === stateKey && !transition.auto && evaluateGuard(transition.guard, context));
+
+/**
+ * @function nextAutomaticTransition
+ * @desc The first automatic transition out of a state whose guard passes, or null.
+ */
+export const nextAutomaticTransition = (definition, stateKey, context = {}) => (definition.transitions || [])
+  .find((transition) => transition.from === stateKey && transition.auto && evaluateGuard(transition.guard, context)) || null;
+
+/**
+ * @function resolveAssignees
+ * @desc Concrete assignees for a state: its roles, its named users and users named by context fields.
+ */
+export const resolveAssignees = (state, context = {}) => {
+  if (!state || state.type !== STATE_TYPES.TASK) return { roles: [], userIds: [] };
+  const fromContext = (state.assignees?.fields || []).flatMap((field) => [readPath(context, field)].flat());
+  return {
+    roles: upper(state.assignees?.roles),
+    userIds: ids([...(state.assignees?.userIds || []), ...fromContext.map((value) => value?._id || value)])
+  };
+};
+
+/**
+ * @function canAct
+ * @desc Whether a user is among a task's assignees (by id or role).
+ */
+export const canAct = (user = {}, assignees = {}) => {
+  const userId = String(user._id || user.id || '');
+  const roles = upper([user.role, ...(user.roles || [])]);
+  return Boolean(userId && ids(assignees.userIds).includes(userId)) || upper(assignees.roles).some((role) => roles.includes(role));
+};
+
+/**
+ * @function slaDueAt
+ * @desc When a state's SLA expires for an instance that entered it at `enteredAt`, or null without an SLA.
+ */
+export const slaDueAt = (state, enteredAt = new Date()) => (
+  state?.sla?.hours ? new Date(new Date(enteredAt).getTime() + state.sla.hours * HOUR_MS) : null
+);
+
+/**
+ * @function triggersFor
+ * @desc The triggers of a definition that a domain event fires (event name matches and the guard passes on the event).
+ */
+export const triggersFor = (definition, event = {}) => (definition.triggers || [])
+  .filter((trigger) => trigger.event === event.type && evaluateGuard(trigger.guard, event));
+
+export default {
+  STATE_TYPES,
+  GUARD_OPERATORS,
+  readPath,
+  evaluateGuard,
+  normaliseDefinition,
+  stateOf,
+  availableTransitions,
+  nextAutomaticTransition,
+  resolveAssignees,
+  canAct,
+  slaDueAt,
+  triggersFor
+};
@@ -1,5 +1,3 @@
-#!import Agenda from 'agenda.js';
-import mongoose from 'mongoose';
 /* ╔════════════════════════════════════════════════════════════════╗
   ║ RETENTION CLEANUP WORKER - INVESTOR-GRADE MODULE              ║
   ║ [85% storage cost reduction | R3M compliance risk elimination]║
@@ -12,15 +10,15 @@ import mongoose from 'mongoose';
  * • Compliance: Companies Act §71, POPIA §14, ECT Act §15 Verified
  */
 
-// FIXED IMPORTS: Directly require models instead of using mongoose.model()
-const crypto = require('crypto');
-const Case = require('../models/Case');
-const Document = require('../models/Document');
-const RetentionPolicy = require('../models/RetentionPolicy');
-const auditLogger = require('../utils/auditLogger');
-const loggerRaw = require('../utils/logger');
-
-const logger = loggerRaw.default || loggerRaw;
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Case from '../models/Case.js';
+import Document from '../models/Document.js';
+import RetentionPolicy from '../models/RetentionPolicy.js';
+import legalHoldService from '../services/legalHoldService.js';
+import auditLogger from '../utils/auditLogger.js';
+import logger from '../utils/logger.js';
+import { documentHoldFacts } from '../utils/legalHold.js';
 
 /*
  * ASSUMPTIONS:
@@ -87,10 +85,10 @@ class RetentionCleanupWorker {
         throw new Error(`Invalid tenantId format: ${tenantId}`);
       }
 
-      // Check for active legal holds
-      const hasActiveLegalHolds = await this._checkActiveLegalHolds(tenantId);
-      if (hasActiveLegalHolds) {
-        logger.warn('Retention cleanup paused due to active legal holds', {
+      // Without the tenant's active legal holds nothing can be cleared for disposal (fail-safe)
+      const activeHolds = await this._loadActiveHolds(tenantId);
+      if (!activeHolds) {
+        logger.warn('Retention cleanup paused: legal holds could not be checked', {
           tenantId,
           cleanupId,
           action: 'PAUSED_LEGAL_HOLD',
@@ -100,11 +98,11 @@ class RetentionCleanupWorker {
           success: false,
           cleanupId,
           status: 'PAUSED',
-          reason: 'Active legal holds detected',
+          reason: 'Legal hold check failed',
           economicImpact: {
             potentialSavings: 0,
             riskAvoidance: 'R3M+ litigation risk avoided',
-            recommendation: 'Reschedule after legal hold clearance',
+            recommendation: 'Reschedule once legal holds can be checked',
           },
         };
       }
@@ -133,7 +131,7 @@ class RetentionCleanupWorker {
       }
 
       // Process documents in batches
-      const results = await this._processDocumentsBatch(tenantId, expiredDocuments, options);
+      const results = await this._processDocumentsBatch(tenantId, expiredDocuments, options, activeHolds);
 
       // Calculate economic impact
       const economicImpact = this._calculateEconomicImpact(results, expiredDocuments.length);
@@ -185,7 +183,7 @@ class RetentionCleanupWorker {
           auditTrail: 'VERIFIED',
         },
       };
-    } catch (_error) {
+    } catch (error) {
       logger.error('Retention cleanup failed', {
         tenantId,
         cleanupId,
@@ -330,7 +328,7 @@ class RetentionCleanupWorker {
       });
 
       return report;
-    } catch (_error) {
+    } catch (error) {
       logger.error('Retention compliance report generation failed', {
         tenantId,
         error: error.message,
@@ -404,7 +402,7 @@ class RetentionCleanupWorker {
           complianceAssurance: 'Companies Act 71 of 2008',
         },
       };
-    } catch (_error) {
+    } catch (error) {
       logger.error('Retention cleanup scheduling failed', {
         tenantId,
         error: error.message,
@@ -415,27 +413,13 @@ class RetentionCleanupWorker {
 
   // ==================== PRIVATE METHODS ====================
 
-  async _checkActiveLegalHolds(tenantId) {
+  async _loadActiveHolds(tenantId) {
     try {
-      // Check for documents with active legal holds
-      const legalHoldDocuments = await this.Document.countDocuments({
-        tenantId,
-        legalHold: true,
-        'legalHold.expiryDate': { $gt: new Date() },
-      });
-
-      // Check for cases with active legal holds
-      const legalHoldCases = await this.Case.countDocuments({
-        tenantId,
-        legalHold: true,
-        'legalHold.expiryDate': { $gt: new Date() },
-      });
-
-      return legalHoldDocuments > 0 || legalHoldCases > 0;
-    } catch (_error) {
+      return await legalHoldService.activeHolds(tenantId);
+    } catch (error) {
       logger.error('Legal hold check failed', { tenantId, error: error.message });
-      // In case of error, assume legal holds exist (fail-safe)
-      return true;
+      // In case of error, dispose of nothing (fail-safe)
+      return null;
     }
   }
 
@@ -457,22 +441,28 @@ class RetentionCleanupWorker {
     }
 
     return await this.Document.find(query)
-      .select('documentId fileName metadata retentionPolicy disposalDate')
+      .select('documentId fileName metadata retentionPolicy disposalDate matterId createdBy createdAt')
       .limit(this.CLEANUP_BATCH_SIZE)
       .lean();
   }
 
-  async _processDocumentsBatch(tenantId, documents, options) {
+  async _processDocumentsBatch(tenantId, documents, options, activeHolds) {
     const results = {
       processed: 0,
       deleted: 0,
       archived: 0,
       failed: 0,
+      held: 0,
       storageFreed: 0,
     };
 
-    // Process each document with proper error handling
+    // Process each document with proper error handling; records under an active legal hold are skipped one by one
     for (const doc of documents) {
+      if (legalHoldService.heldBy(activeHolds, documentHoldFacts(doc)).length) {
+        results.held++;
+        continue;
+      }
+
       try {
         const disposalMethod = this._getDisposalMethod(doc.retentionPolicy?.rule);
 
@@ -543,7 +533,7 @@ class RetentionCleanupWorker {
           retentionPolicy: 'companies_act_10_years',
           dataResidency: 'ZA',
         });
-      } catch (_error) {
+      } catch (error) {
         results.failed++;
         logger.error('Document disposal failed', {
           tenantId,
@@ -582,7 +572,7 @@ class RetentionCleanupWorker {
     const coverage = {};
 
     Object.keys(policies).forEach((_policyKey) => {
-      const policyStats = docStats.find((_stat) => stat._id === policies[policyKey].rule);
+      const policyStats = docStats.find((stat) => stat._id === policies[policyKey].rule);
       coverage[policyKey] = {
         rule: policies[policyKey].rule,
         documents: policyStats?.totalDocuments || 0,
@@ -653,7 +643,7 @@ class RetentionCleanupWorker {
     // 2. Update database records
     // 3. Log the deletion
     // For now, simulate with timeout
-    await new Promise((_resolve) => setTimeout(resolve, 50));
+    await new Promise((resolve) => setTimeout(resolve, 50));
 
     logger.info('Document securely deleted', {
       tenantId,
@@ -668,7 +658,7 @@ class RetentionCleanupWorker {
     // 1. Move to archival storage (cold storage)
     // 2. Update metadata
     // 3. Generate archival certificate
-    await new Promise((_resolve) => setTimeout(resolve, 100));
+    await new Promise((resolve) => setTimeout(resolve, 100));
 
     logger.info('Document archived', {
       tenantId,
@@ -683,7 +673,7 @@ class RetentionCleanupWorker {
     // 1. Apply PII redaction
     // 2. Generate redaction certificate
     // 3. Securely delete
-    await new Promise((_resolve) => setTimeout(resolve, 75));
+    await new Promise((resolve) => setTimeout(resolve, 75));
 
     logger.info('Document redacted and deleted', {
       tenantId,
@@ -698,7 +688,7 @@ class RetentionCleanupWorker {
     // 1. Move to permanent archival
     // 2. Generate archival certificate with hash
     // 3. Register with national archives if required
-    await new Promise((_resolve) => setTimeout(resolve, 150));
+    await new Promise((resolve) => setTimeout(resolve, 150));
 
     logger.info('Document permanently archived', {
       tenantId,